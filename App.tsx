@@ -1,5 +1,6 @@
 import React, { useState, lazy, Suspense, memo, useEffect } from 'react';
 import BottomNav from './components/Sidebar';
+import OfflineQueueBanner from './components/OfflineQueueBanner';
 import { AppContextProvider, useAppContext } from './contexts/AppContext';
 
 // Login/Register screens loaded immediately (authentication needed)
@@ -14,9 +15,14 @@ const HistoryScreen = lazy(() => import('./screens/HistoryScreen'));
 const CashReportScreen = lazy(() => import('./screens/CashReportScreen'));
 const ExpensesScreen = lazy(() => import('./screens/ExpensesScreen'));
 const CoworkingScreen = lazy(() => import('./screens/CoworkingScreen'));
+const TabsScreen = lazy(() => import('./screens/TabsScreen'));
+const KitchenScreen = lazy(() => import('./screens/KitchenScreen'));
+const PromotionsScreen = lazy(() => import('./screens/PromotionsScreen'));
 const ReportsScreen = lazy(() => import('./screens/ReportsScreen'));
 const CustomersScreen = lazy(() => import('./screens/CustomersScreen'));
 const AdminScreen = lazy(() => import('./screens/AdminScreen'));
+const SelfInvoiceScreen = lazy(() => import('./screens/SelfInvoiceScreen'));
+const CustomerDisplayScreen = lazy(() => import('./screens/CustomerDisplayScreen'));
 
 // Loading component for lazy-loaded screens
 const ScreenLoader: React.FC = () => (
@@ -25,10 +31,13 @@ const ScreenLoader: React.FC = () => (
   </div>
 );
 
-export type View = 'dashboard' | 'sales' | 'products' | 'history' | 'cash_report' | 'expenses' | 'coworking' | 'reports' | 'customers' | 'admin';
+export type View = 'dashboard' | 'sales' | 'products' | 'history' | 'cash_report' | 'expenses' | 'coworking' | 'tabs' | 'kitchen' | 'promotions' | 'reports' | 'customers' | 'admin';
 
 const MainLayout: React.FC = memo(() => {
-  const [currentView, setCurrentView] = useState<View>('sales');
+  // ?view=kitchen opens the kitchen display directly (a tablet at the barra)
+  const [currentView, setCurrentView] = useState<View>(() =>
+    new URLSearchParams(window.location.search).get('view') === 'kitchen' ? 'kitchen' : 'sales'
+  );
   const [orientation, setOrientation] = useState<'portrait' | 'landscape'>('portrait');
 
   // Detect orientation changes for better mobile UX
@@ -64,6 +73,10 @@ const MainLayout: React.FC = memo(() => {
           return <ExpensesScreen />;
         case 'coworking':
           return <CoworkingScreen />;
+        case 'tabs':
+          return <TabsScreen />;
+        case 'promotions':
+          return <PromotionsScreen />;
         case 'reports':
           return <ReportsScreen />;
         case 'customers':
@@ -82,6 +95,15 @@ const MainLayout: React.FC = memo(() => {
     );
   };
 
+  // The kitchen display takes the whole screen, without the navigation
+  if (currentView === 'kitchen') {
+    return (
+      <Suspense fallback={<ScreenLoader />}>
+        <KitchenScreen onExit={() => setCurrentView('sales')} />
+      </Suspense>
+    );
+  }
+
   return (
     <div className="flex flex-col h-screen bg-gray-100/80 font-sans">
       {/*
@@ -113,6 +135,7 @@ const MainLayout: React.FC = memo(() => {
         }}
       >
         <div className="max-w-7xl mx-auto w-full">
+          <OfflineQueueBanner />
           {renderView()}
         </div>
       </main>
@@ -155,6 +178,24 @@ const AppContent: React.FC = () => {
 
 
 const App: React.FC = () => {
+  // The customers' self-invoicing page is public: no login, no app data
+  if (window.location.pathname.startsWith('/facturar')) {
+    return (
+      <Suspense fallback={<ScreenLoader />}>
+        <SelfInvoiceScreen />
+      </Suspense>
+    );
+  }
+
+  // The customer-facing second screen, also public (see CustomerDisplayScreen)
+  if (window.location.pathname.startsWith('/pantalla')) {
+    return (
+      <Suspense fallback={<ScreenLoader />}>
+        <CustomerDisplayScreen />
+      </Suspense>
+    );
+  }
+
   return (
     <AppContextProvider>
       <AppContent />
@@ -0,0 +1,66 @@
+import React from 'react';
+import type { BundleItem, Product } from '../types';
+import { TrashIcon } from './Icons';
+import { isBundle } from '../utils/bundles';
+
+interface BundleItemsEditorProps {
+  items: BundleItem[];
+  products: Product[];
+  productId?: string; // The combo being edited, so it can't be picked as its own component
+  onChange: (items: BundleItem[]) => void;
+}
+
+const inputClass = 'border border-slate-300 rounded-lg py-2 px-3 text-sm focus:outline-none focus:ring-2 focus:ring-zinc-500 bg-white';
+
+const BundleItemsEditor: React.FC<BundleItemsEditorProps> = ({ items, products, productId, onChange }) => {
+  // Combos can't be nested
+  const candidates = products.filter(p => p.id !== productId && !isBundle(p));
+  const listPrice = items.reduce((sum, item) => sum + (products.find(p => p.id === item.productId)?.price || 0) * item.quantity, 0);
+
+  const updateItem = (index: number, changes: Partial<BundleItem>) => {
+    onChange(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  return (
+    <div className="space-y-2">
+      {items.map((item, index) => (
+        <div key={index} className="grid grid-cols-[1fr_5rem_auto] gap-2 items-center">
+          <select value={item.productId} onChange={(e) => updateItem(index, { productId: e.target.value })} className={inputClass} required>
+            <option value="">Elige un producto...</option>
+            {candidates.map(product => (
+              <option key={product.id} value={product.id}>{product.name} (${product.price.toFixed(2)})</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={item.quantity}
+            onChange={(e) => updateItem(index, { quantity: Math.max(1, parseInt(e.target.value) || 1) })}
+            className={inputClass}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(items.filter((_, i) => i !== index))}
+            className="p-2 text-slate-400 hover:text-red-500 rounded-lg"
+            title="Quitar del combo"
+          >
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+      <div className="flex justify-between items-center text-xs text-slate-500">
+        <button
+          type="button"
+          onClick={() => onChange([...items, { productId: '', quantity: 1 }])}
+          className="font-semibold text-zinc-700 hover:underline"
+        >
+          + Producto
+        </button>
+        {items.length > 0 && <span>Por separado: ${listPrice.toFixed(2)}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default BundleItemsEditor;
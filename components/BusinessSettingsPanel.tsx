@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import { TAX_REGIME_LABELS } from '../utils/cfdiCatalogs';
+import { TIP_POOL_MODE_LABELS } from '../utils/tips';
+import type { BusinessSettings, ReceiptWidth, TipPoolMode } from '../types';
+
+const TEXT_FIELDS: { key: keyof BusinessSettings; label: string; placeholder?: string }[] = [
+  { key: 'businessName', label: 'Nombre del negocio' },
+  { key: 'taxId', label: 'RFC', placeholder: 'XAXX010101000' },
+  { key: 'address', label: 'Dirección' },
+  { key: 'phone', label: 'Teléfono' },
+  { key: 'receiptFooter', label: 'Pie del ticket' },
+];
+
+// Issuer data for invoices; the RFC above is shared with the receipts
+const FISCAL_FIELDS: { key: keyof BusinessSettings; label: string; placeholder?: string }[] = [
+  { key: 'legalName', label: 'Razón social (como en la constancia fiscal)' },
+  { key: 'zipCode', label: 'C.P. de expedición', placeholder: '06700' },
+  { key: 'invoiceSeries', label: 'Serie de facturas', placeholder: 'A' },
+  { key: 'selfInvoiceUrl', label: 'Página de autofacturación (se imprime en el ticket)', placeholder: 'https://micafe.mx/facturar' },
+];
+
+// What every receipt prints, and the thermal printer they go to
+const BusinessSettingsPanel: React.FC = () => {
+  const { settings, updateSettings } = useAppContext();
+  const [form, setForm] = useState<BusinessSettings | null>(settings);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(settings);
+  }, [settings]);
+
+  if (!form) return null;
+
+  const setField = <K extends keyof BusinessSettings>(key: K, value: BusinessSettings[K]) =>
+    setForm(prev => (prev ? { ...prev, [key]: value } : prev));
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      // Blank lines in the images box are dropped
+      await updateSettings({ ...form, customerDisplayImages: (form.customerDisplayImages || []).map(url => url.trim()).filter(Boolean) });
+      alert('✅ Configuración guardada');
+    } catch {
+      // updateSettings already alerted
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white shadow-md rounded-3xl p-6 mt-6">
+      <h2 className="text-xl font-bold text-slate-800 mb-4">Datos del Negocio y Tickets</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {TEXT_FIELDS.map(({ key, label, placeholder }) => (
+          <label key={key} className="block text-sm font-medium text-slate-600">
+            {label}
+            <input
+              type="text"
+              value={String(form[key] ?? '')}
+              placeholder={placeholder}
+              onChange={e => setField(key, e.target.value as never)}
+              className="w-full mt-1 border border-slate-300 rounded-xl p-2"
+            />
+          </label>
+        ))}
+        <label className="block text-sm font-medium text-slate-600">
+          Ancho del papel
+          <select
+            value={form.receiptWidth}
+            onChange={e => setField('receiptWidth', Number(e.target.value) as ReceiptWidth)}
+            className="w-full mt-1 border border-slate-300 rounded-xl p-2"
+          >
+            <option value={58}>58 mm</option>
+            <option value={80}>80 mm</option>
+          </select>
+        </label>
+        <label className="block text-sm font-medium text-slate-600">
+          Impresora térmica de red (IP)
+          <input
+            type="text"
+            value={form.printerHost}
+            placeholder="192.168.1.50"
+            onChange={e => setField('printerHost', e.target.value)}
+            className="w-full mt-1 border border-slate-300 rounded-xl p-2"
+          />
+        </label>
+        <label className="block text-sm font-medium text-slate-600">
+          Puerto
+          <input
+            type="number"
+            value={form.printerPort}
+            onChange={e => setField('printerPort', Number(e.target.value))}
+            className="w-full mt-1 border border-slate-300 rounded-xl p-2"
+          />
+        </label>
+      </div>
+      <label className="block text-sm font-medium text-slate-600 mt-4">
+        Imágenes de la pantalla del cliente (una URL por línea; se rotan cuando la caja está libre)
+        <textarea
+          value={(form.customerDisplayImages || []).join('\n')}
+          placeholder="https://micafe.mx/promos/frappe.jpg"
+          rows={3}
+          onChange={e => setField('customerDisplayImages', e.target.value.split('\n'))}
+          className="w-full mt-1 border border-slate-300 rounded-xl p-2"
+        />
+      </label>
+      <h3 className="text-lg font-semibold text-slate-800 mt-6 mb-3">Reparto de propinas</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <label className="block text-sm font-medium text-slate-600">
+          Regla
+          <select
+            value={form.tipPoolMode}
+            onChange={e => setField('tipPoolMode', e.target.value as TipPoolMode)}
+            className="w-full mt-1 border border-slate-300 rounded-xl p-2"
+          >
+            {Object.entries(TIP_POOL_MODE_LABELS).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+          </select>
+        </label>
+        <label className="block text-sm font-medium text-slate-600">
+          % de las propinas de cada quien que va al fondo
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={form.tipPoolShare}
+            disabled={form.tipPoolMode === 'individual'}
+            onChange={e => setField('tipPoolShare', Number(e.target.value))}
+            className="w-full mt-1 border border-slate-300 rounded-xl p-2 disabled:bg-slate-100"
+          />
+        </label>
+      </div>
+      <h3 className="text-lg font-semibold text-slate-800 mt-6 mb-3">Facturación (CFDI)</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {FISCAL_FIELDS.map(({ key, label, placeholder }) => (
+          <label key={key} className="block text-sm font-medium text-slate-600">
+            {label}
+            <input
+              type="text"
+              value={String(form[key] ?? '')}
+              placeholder={placeholder}
+              onChange={e => setField(key, e.target.value as never)}
+              className="w-full mt-1 border border-slate-300 rounded-xl p-2"
+            />
+          </label>
+        ))}
+        <label className="block text-sm font-medium text-slate-600">
+          Régimen fiscal
+          <select
+            value={form.taxRegime}
+            onChange={e => setField('taxRegime', e.target.value)}
+            className="w-full mt-1 border border-slate-300 rounded-xl p-2"
+          >
+            <option value="">Sin configurar</option>
+            {Object.entries(TAX_REGIME_LABELS).map(([code, label]) => <option key={code} value={code}>{code} - {label}</option>)}
+          </select>
+        </label>
+      </div>
+      <p className="text-xs text-slate-500 mt-2">
+        El certificado de sello digital (CSD) se configura en el servidor (CFDI_CSD_CER_PATH, CFDI_CSD_KEY_PATH, CFDI_CSD_PASSWORD).
+      </p>
+      <div className="flex justify-end mt-4">
+        <button type="submit" disabled={isSaving} className="px-4 py-2 bg-zinc-900 text-white rounded-xl font-semibold hover:bg-zinc-800 disabled:opacity-50">
+          {isSaving ? 'Guardando...' : 'Guardar'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default BusinessSettingsPanel;
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import { formatModifiers } from '../utils/modifiers';
+import { formatTenders } from '../utils/payments';
+import type { Order, PaymentMethod } from '../types';
+import type { OrderEditInput } from '../hooks/useOrders';
+
+interface EditOrderModalProps {
+  order: Order;
+  onClose: () => void;
+}
+
+const PAYMENT_METHODS: PaymentMethod[] = ['Efectivo', 'Tarjeta', 'Crédito', 'Dólares'];
+// Keeps a mixed payment's tenders as they are
+const KEEP_TENDERS = 'Mixto';
+
+interface AddedLine {
+  id: string;
+  name: string;
+  quantity: number;
+}
+
+// Corrects a sale after the fact. Only what changed is sent; the server
+// re-prices it, moves stock and credit, and records who changed what and why.
+const EditOrderModal: React.FC<EditOrderModalProps> = ({ order, onClose }) => {
+  const { editOrder, customers, products } = useAppContext();
+  const [clientName, setClientName] = useState(order.clientName || '');
+  const [serviceType, setServiceType] = useState(order.serviceType);
+  const [customerId, setCustomerId] = useState(order.customerId || '');
+  const [paymentMethod, setPaymentMethod] = useState<string>(order.paymentMethod);
+  const [tip, setTip] = useState(String(order.tip || 0));
+  const [quantities, setQuantities] = useState(order.items.map(item => item.quantity));
+  const [added, setAdded] = useState<AddedLine[]>([]);
+  const [productToAdd, setProductToAdd] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // A split check's lines are shares of the ticket's lines
+  const canEditItems = !order.parentOrderId;
+  const itemsChanged = added.length > 0 || quantities.some((quantity, index) => quantity !== order.items[index].quantity);
+
+  const addProduct = () => {
+    const product = products.find(p => p.id === productToAdd);
+    if (!product) return;
+    setAdded(prev => {
+      const existing = prev.find(line => line.id === product.id);
+      if (existing) return prev.map(line => line === existing ? { ...line, quantity: line.quantity + 1 } : line);
+      return [...prev, { id: product.id, name: product.name, quantity: 1 }];
+    });
+    setProductToAdd('');
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!reason.trim()) {
+      alert('Por favor, indique el motivo de la edición.');
+      return;
+    }
+
+    const edit: OrderEditInput = { reason: reason.trim() };
+    if (clientName.trim() !== (order.clientName || '')) edit.clientName = clientName.trim();
+    if (serviceType !== order.serviceType) edit.serviceType = serviceType;
+    if (customerId !== (order.customerId || '')) edit.customerId = customerId || null;
+    if (paymentMethod !== order.paymentMethod && paymentMethod !== KEEP_TENDERS) edit.paymentMethod = paymentMethod as PaymentMethod;
+    if ((parseFloat(tip) || 0) !== (order.tip || 0)) edit.tip = parseFloat(tip) || 0;
+    if (itemsChanged) {
+      edit.items = [
+        ...quantities
+          .map((quantity, lineIndex) => ({ lineIndex, quantity }))
+          .filter(line => line.quantity > 0),
+        ...added.map(line => ({ id: line.id, quantity: line.quantity })),
+      ];
+      if (edit.items.length === 0) {
+        alert('La orden debe conservar al menos un producto.');
+        return;
+      }
+    }
+    if (Object.keys(edit).length === 1) {
+      alert('No hay cambios que guardar.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await editOrder(order.id, edit);
+      onClose();
+    } catch {
+      // editOrder already alerted
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = 'block w-full border border-slate-300 rounded-xl py-2 px-3 sm:text-sm focus:outline-none focus:ring-zinc-500 focus:border-zinc-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-3xl shadow-xl w-full max-w-lg p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-2xl font-bold text-slate-800 mb-1">Editar Orden</h2>
+        <p className="text-sm text-slate-500 mb-4 font-mono">{order.id} · Total actual ${order.total.toFixed(2)}</p>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+          <label className="text-sm font-medium text-slate-600">
+            Cliente
+            <input value={clientName} onChange={e => setClientName(e.target.value)} className={inputClass} />
+          </label>
+          <label className="text-sm font-medium text-slate-600">
+            Servicio
+            <select value={serviceType} onChange={e => setServiceType(e.target.value as Order['serviceType'])} className={inputClass}>
+              <option value="Mesa">Mesa</option>
+              <option value="Para llevar">Para llevar</option>
+            </select>
+          </label>
+          <label className="text-sm font-medium text-slate-600">
+            Cliente registrado
+            <select value={customerId} onChange={e => setCustomerId(e.target.value)} className={inputClass}>
+              <option value="">Sin cliente</option>
+              {customers.map(customer => <option key={customer.id} value={customer.id}>{customer.name}</option>)}
+            </select>
+          </label>
+          <label className="text-sm font-medium text-slate-600">
+            Pago
+            <select value={paymentMethod} onChange={e => setPaymentMethod(e.target.value)} className={inputClass}>
+              {order.paymentMethod === KEEP_TENDERS && <option value={KEEP_TENDERS}>Mixto ({formatTenders(order.payments)})</option>}
+              {PAYMENT_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+            </select>
+          </label>
+          <label className="text-sm font-medium text-slate-600">
+            Propina
+            <input type="number" min={0} step="0.01" value={tip} onChange={e => setTip(e.target.value)} className={inputClass} />
+          </label>
+        </div>
+
+        {canEditItems ? (
+          <div className="border-t border-b py-2 mb-4 space-y-2 max-h-60 overflow-y-auto">
+            {order.items.map((item, index) => (
+              <div key={`${item.id}-${index}`} className="flex justify-between items-center text-sm pr-2">
+                <div>
+                  <p className={`font-medium ${quantities[index] === 0 ? 'text-slate-400 line-through' : 'text-slate-800'}`}>{item.name}</p>
+                  {item.modifiers && item.modifiers.length > 0 && <p className="text-xs text-slate-500">{formatModifiers(item.modifiers)}</p>}
+                  <p className="text-slate-500">${item.price.toFixed(2)} c/u</p>
+                </div>
+                <input
+                  type="number"
+                  min={0}
+                  value={quantities[index]}
+                  onChange={e => {
+                    const value = Math.max(parseInt(e.target.value, 10) || 0, 0);
+                    setQuantities(prev => prev.map((q, i) => i === index ? value : q));
+                  }}
+                  className="w-20 border border-slate-300 rounded-xl py-1 px-2 text-right"
+                />
+              </div>
+            ))}
+            {added.map(line => (
+              <div key={line.id} className="flex justify-between items-center text-sm pr-2">
+                <p className="font-medium text-green-700">+ {line.name}</p>
+                <input
+                  type="number"
+                  min={0}
+                  value={line.quantity}
+                  onChange={e => {
+                    const value = Math.max(parseInt(e.target.value, 10) || 0, 0);
+                    setAdded(prev => value === 0 ? prev.filter(l => l.id !== line.id) : prev.map(l => l.id === line.id ? { ...l, quantity: value } : l));
+                  }}
+                  className="w-20 border border-slate-300 rounded-xl py-1 px-2 text-right"
+                />
+              </div>
+            ))}
+            <div className="flex gap-2 pt-2">
+              <select value={productToAdd} onChange={e => setProductToAdd(e.target.value)} className={inputClass}>
+                <option value="">Agregar producto…</option>
+                {products.map(product => <option key={product.id} value={product.id}>{product.name} · ${product.price.toFixed(2)}</option>)}
+              </select>
+              <button type="button" onClick={addProduct} disabled={!productToAdd} className="px-3 py-2 bg-slate-100 rounded-xl text-sm font-medium text-slate-800 disabled:opacity-40">Agregar</button>
+            </div>
+          </div>
+        ) : (
+          <p className="text-xs text-slate-500 mb-4">Los productos de una cuenta dividida no se pueden editar.</p>
+        )}
+
+        <label className="block text-sm font-medium text-slate-600 mb-1">Motivo</label>
+        <textarea
+          value={reason}
+          onChange={e => setReason(e.target.value)}
+          placeholder="Ej: Se cobró con tarjeta, no en efectivo"
+          className={inputClass}
+          rows={2}
+        />
+        <p className="text-xs text-slate-500 mt-2">
+          Los productos que ya estaban conservan su precio; el total, el inventario y el crédito del cliente se recalculan al guardar.
+        </p>
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm font-medium text-slate-700">Cancelar</button>
+          <button type="submit" disabled={isSubmitting} className="px-4 py-2 bg-zinc-900 rounded-xl text-sm font-medium text-white disabled:opacity-50">
+            {isSubmitting ? 'Guardando...' : 'Guardar cambios'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default EditOrderModal;
@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+
+// Today's dollar rate; checkout only offers 'Dólares' once one is set
+const ExchangeRatePanel: React.FC = () => {
+  const { exchangeRate, setExchangeRate } = useAppContext();
+  const [rate, setRate] = useState(exchangeRate ? String(exchangeRate.rate) : '');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (exchangeRate) setRate(String(exchangeRate.rate));
+  }, [exchangeRate]);
+
+  const today = new Date().toLocaleDateString('en-CA');
+  const isStale = !exchangeRate || exchangeRate.date !== today;
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await setExchangeRate(parseFloat(rate));
+      alert('✅ Tipo de cambio guardado');
+    } catch {
+      // setExchangeRate already alerted
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white shadow-md rounded-3xl p-6 mt-6">
+      <h2 className="text-xl font-bold text-slate-800 mb-4">Tipo de Cambio (USD)</h2>
+      <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+        <label className="block text-sm font-medium text-slate-600 flex-1">
+          Pesos por dólar
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={rate}
+            placeholder="Ej: 17.50"
+            onChange={e => setRate(e.target.value)}
+            className="w-full mt-1 border border-slate-300 rounded-xl p-2"
+          />
+        </label>
+        <button type="submit" disabled={isSaving || !rate} className="px-4 py-2 bg-zinc-900 text-white rounded-xl font-semibold hover:bg-zinc-800 disabled:opacity-50">
+          {isSaving ? 'Guardando...' : 'Guardar'}
+        </button>
+      </div>
+      <p className={`text-xs mt-2 ${isStale ? 'text-amber-600' : 'text-slate-500'}`}>
+        {exchangeRate
+          ? `Vigente desde ${exchangeRate.date}${isStale ? ' - actualízalo para hoy' : ''}. El cambio siempre se entrega en pesos.`
+          : 'Sin tipo de cambio: la caja no acepta dólares hasta que se configure.'}
+      </p>
+    </form>
+  );
+};
+
+export default ExchangeRatePanel;
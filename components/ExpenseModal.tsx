@@ -14,6 +14,7 @@ const ExpenseModal: React.FC<ExpenseModalProps> = ({ isOpen, onClose, onSave, ex
     date: new Date().toISOString().split('T')[0],
     description: '',
     amount: 0,
+    taxAmount: 0,
     category: 'Otro' as ExpenseCategory,
     type: 'Emergente' as ExpenseType,
     paymentSource: 'transferencia' as ExpensePaymentSource
@@ -27,7 +28,8 @@ const ExpenseModal: React.FC<ExpenseModalProps> = ({ isOpen, onClose, onSave, ex
             setExpense({
               ...expenseToEdit,
               date: expenseToEdit.date.split('T')[0],
-              paymentSource: expenseToEdit.paymentSource || 'transferencia'
+              paymentSource: expenseToEdit.paymentSource || 'transferencia',
+              taxAmount: expenseToEdit.taxAmount || 0
             });
         } else {
             setExpense(getInitialState());
@@ -37,7 +39,7 @@ const ExpenseModal: React.FC<ExpenseModalProps> = ({ isOpen, onClose, onSave, ex
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
-    setExpense(prev => ({ ...prev, [name]: name === 'amount' ? parseFloat(value) || 0 : value }));
+    setExpense(prev => ({ ...prev, [name]: name === 'amount' || name === 'taxAmount' ? parseFloat(value) || 0 : value }));
   };
 
   const handleSubmit = (e: React.FormEvent) => {
@@ -46,6 +48,10 @@ const ExpenseModal: React.FC<ExpenseModalProps> = ({ isOpen, onClose, onSave, ex
         alert("El monto debe ser mayor a cero.");
         return;
     }
+    if (expense.taxAmount < 0 || expense.taxAmount > expense.amount) {
+        alert("El IVA no puede ser negativo ni mayor al monto.");
+        return;
+    }
     onSave({
         ...expense,
         date: new Date(expense.date).toISOString() // Ensure date is stored consistently
@@ -76,6 +82,21 @@ const ExpenseModal: React.FC<ExpenseModalProps> = ({ isOpen, onClose, onSave, ex
                   <input type="date" name="date" id="date" value={expense.date} onChange={handleChange} className="mt-1 block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 focus:outline-none focus:ring-slate-500 focus:border-slate-500 sm:text-sm" required />
                 </div>
               </div>
+              {/* IVA the supplier charged (from their invoice); it counts as IVA paid in the monthly summary */}
+              <div>
+                <label htmlFor="taxAmount" className="block text-sm font-medium text-slate-600 mb-1">IVA incluido</label>
+                <div className="flex gap-2">
+                  <input type="number" name="taxAmount" id="taxAmount" value={expense.taxAmount} onChange={handleChange} min="0" step="0.01" className="block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 focus:outline-none focus:ring-slate-500 focus:border-slate-500 sm:text-sm" />
+                  <button
+                    type="button"
+                    onClick={() => setExpense(prev => ({ ...prev, taxAmount: Math.round((prev.amount - prev.amount / 1.16) * 100) / 100 }))}
+                    className="px-3 py-2 bg-slate-100 rounded-xl text-sm font-medium text-slate-700 hover:bg-slate-200 whitespace-nowrap"
+                  >
+                    16%
+                  </button>
+                </div>
+                <p className="mt-1 text-xs text-slate-500">Déjalo en 0 si el gasto no tiene factura con IVA</p>
+              </div>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
                     <label htmlFor="category" className="block text-sm font-medium text-slate-600 mb-1">Categoría</label>
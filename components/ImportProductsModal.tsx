@@ -29,8 +29,8 @@ const ImportProductsModal: React.FC<ImportProductsModalProps> = ({ isOpen, onClo
   };
 
   const handleDownloadTemplate = () => {
-    const headers = "name,price,cost,stock,description,category,imageUrl";
-    const exampleRow = `"Café de Olla",45,15,80,"Café endulzado con piloncillo y canela.","Cafetería","https://picsum.photos/seed/cafeolla/400"`;
+    const headers = "name,price,cost,stock,description,category,imageUrl,sku,barcode";
+    const exampleRow = `"Café de Olla",45,15,80,"Café endulzado con piloncillo y canela.","Cafetería","https://picsum.photos/seed/cafeolla/400","CAF-001","7501234567890"`;
     const csvContent = `${headers}\n${exampleRow}`;
     
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -87,6 +87,9 @@ const ImportProductsModal: React.FC<ImportProductsModalProps> = ({ isOpen, onClo
                 description: productData.description || '',
                 category: category as any,
                 imageUrl: productData.imageUrl || `https://picsum.photos/seed/${encodeURIComponent(productData.name)}/400`,
+                // Optional; left empty, the product keeps its current codes
+                sku: productData.sku || undefined,
+                barcode: productData.barcode || undefined,
             };
         }).filter(p => p.name); // Filter out any rows that might be empty
 
@@ -130,9 +133,10 @@ const ImportProductsModal: React.FC<ImportProductsModalProps> = ({ isOpen, onClo
             <p className="font-semibold text-slate-700">Instrucciones:</p>
             <ul className="list-disc list-inside text-slate-600 text-xs">
               <li>El archivo debe ser formato .csv.</li>
-              <li>La primera fila debe contener los encabezados: <code className="bg-slate-200 text-xs p-1 rounded">name,price,cost,stock,description,category,imageUrl</code>.</li>
+              <li>La primera fila debe contener los encabezados: <code className="bg-slate-200 text-xs p-1 rounded">name,price,cost,stock,description,category,imageUrl,sku,barcode</code>.</li>
               <li>Las columnas <code className="bg-slate-200 text-xs p-1 rounded">name</code>, <code className="bg-slate-200 text-xs p-1 rounded">price</code>, <code className="bg-slate-200 text-xs p-1 rounded">cost</code>, <code className="bg-slate-200 text-xs p-1 rounded">stock</code> y <code className="bg-slate-200 text-xs p-1 rounded">category</code> son obligatorias.</li>
               <li>Valores para <code className="bg-slate-200 text-xs p-1 rounded">category</code>: Cafetería, Refrigerador, Alimentos.</li>
+              <li><code className="bg-slate-200 text-xs p-1 rounded">sku</code> y <code className="bg-slate-200 text-xs p-1 rounded">barcode</code> son opcionales; el escáner de la caja busca productos por cualquiera de los dos.</li>
               <li><button onClick={handleDownloadTemplate} className="text-blue-600 hover:underline font-medium">Descargar plantilla de ejemplo</button></li>
             </ul>
           </div>
@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import type { IngredientReport } from '../types';
+
+interface IngredientUsagePanelProps {
+  startDate: string; // YYYY-MM-DD, local
+  endDate: string;   // inclusive
+}
+
+const formatQuantity = (quantity: number, unit: string) =>
+  `${quantity.toLocaleString('es-MX', { maximumFractionDigits: 3 })} ${unit}`;
+
+// What the period's sales should have used by their recipes, against what
+// was bought. Bought much more than used points at waste or recipes that
+// fall short; the other way, at purchases that weren't entered.
+const IngredientUsagePanel: React.FC<IngredientUsagePanelProps> = ({ startDate, endDate }) => {
+  const [report, setReport] = useState<IngredientReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const from = new Date(`${startDate}T00:00:00`);
+  const to = new Date(`${endDate}T00:00:00`);
+  to.setDate(to.getDate() + 1);
+  const query = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() }).toString();
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/reports/ingredients?${query}`)
+      .then(async response => {
+        const body = await response.json();
+        if (cancelled) return;
+        if (response.ok) {
+          setReport(body);
+          setError(null);
+        } else {
+          setReport(null);
+          setError(body.error || 'No se pudo calcular el consumo de insumos.');
+        }
+      })
+      .catch(err => console.error('Failed to fetch ingredient report:', err));
+    return () => { cancelled = true; };
+  }, [query]);
+
+  if (!error && (!report || report.ingredients.length === 0)) return null;
+
+  const usedCost = report ? report.ingredients.reduce((sum, line) => sum + line.usedCost, 0) : 0;
+  const purchasedCost = report ? report.ingredients.reduce((sum, line) => sum + line.purchasedCost, 0) : 0;
+
+  return (
+    <div className="bg-white rounded-3xl shadow-md mb-6 p-4">
+      <div className="flex justify-between items-center mb-3 flex-wrap gap-2">
+        <h2 className="text-lg font-bold text-slate-800">Consumo de Insumos</h2>
+        {report && (
+          <p className="text-sm text-slate-500">
+            Teórico ${usedCost.toFixed(2)} · Comprado ${purchasedCost.toFixed(2)}
+          </p>
+        )}
+      </div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {report && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-slate-500 text-left">
+                <th className="py-1">Insumo</th>
+                <th className="py-1 text-right">Consumo teórico</th>
+                <th className="py-1 text-right">Comprado</th>
+                <th className="py-1 text-right">Diferencia</th>
+                <th className="py-1 text-right">Ajustes</th>
+                <th className="py-1 text-right">Existencia</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {report.ingredients.map(line => (
+                <tr key={line.ingredientId}>
+                  <td className="py-1 text-slate-700">{line.name}</td>
+                  <td className="py-1 text-right">
+                    {formatQuantity(line.used, line.unit)}
+                    <span className="block text-xs text-slate-400">${line.usedCost.toFixed(2)}</span>
+                  </td>
+                  <td className="py-1 text-right">
+                    {formatQuantity(line.purchased, line.unit)}
+                    <span className="block text-xs text-slate-400">${line.purchasedCost.toFixed(2)}</span>
+                  </td>
+                  <td className={`py-1 text-right ${line.difference < 0 ? 'text-amber-700' : 'text-slate-700'}`}>{formatQuantity(line.difference, line.unit)}</td>
+                  <td className="py-1 text-right">{line.adjusted !== 0 ? formatQuantity(line.adjusted, line.unit) : '—'}</td>
+                  <td className={`py-1 text-right font-semibold ${line.low ? 'text-red-600' : 'text-slate-800'}`}>
+                    {formatQuantity(line.stock, line.unit)}
+                    {line.low && <span className="block text-xs font-normal">Reordenar</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IngredientUsagePanel;
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import { INGREDIENT_UNIT_LABELS, isLowStock } from '../utils/recipes';
+import { EditIcon, TrashIcon } from './Icons';
+import type { Ingredient, IngredientUnit } from '../types';
+
+const emptyForm = { name: '', unit: 'g' as IngredientUnit, unitCost: 0, stock: 0, reorderLevel: 0 };
+
+const inputClass = 'border border-slate-300 rounded-lg py-2 px-3 text-sm focus:outline-none focus:ring-2 focus:ring-zinc-500 bg-white';
+
+// Ingredients the recipes consume: what is on hand, what it costs and when
+// to buy more. Purchases move the average cost (and with it the cost of the
+// products that use it); a physical count corrects the theoretical stock.
+const IngredientsPanel: React.FC = () => {
+  const { ingredients, addIngredient, updateIngredient, deleteIngredient, purchaseIngredient, adjustIngredient } = useAppContext();
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState<string | null>(null);
+
+  const lowCount = ingredients.filter(isLowStock).length;
+
+  const handleField = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: name === 'name' || name === 'unit' ? value : parseFloat(value) || 0 }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        const { stock: _stock, ...changes } = form;
+        await updateIngredient(editingId, changes);
+      } else {
+        await addIngredient(form);
+      }
+      setForm(emptyForm);
+      setEditingId(null);
+    } catch {
+      // already alerted by the hook
+    }
+  };
+
+  const startEdit = (ingredient: Ingredient) => {
+    setEditingId(ingredient.id);
+    setForm({ name: ingredient.name, unit: ingredient.unit, unitCost: ingredient.unitCost, stock: ingredient.stock, reorderLevel: ingredient.reorderLevel });
+  };
+
+  const handlePurchase = async (ingredient: Ingredient) => {
+    const quantity = parseFloat(window.prompt(`¿Cuánto llegó de ${ingredient.name}? (${ingredient.unit})`) || '');
+    if (!Number.isFinite(quantity) || quantity <= 0) return;
+    const cost = parseFloat(window.prompt(`Total pagado por ${quantity} ${ingredient.unit} de ${ingredient.name}:`) || '');
+    if (!Number.isFinite(cost) || cost < 0) return;
+    const postAsExpense = cost > 0 && window.confirm('¿Registrar la compra también como gasto de Inventario?');
+    await purchaseIngredient(ingredient.id, { quantity, cost, postAsExpense }).catch(() => {});
+  };
+
+  const handleCount = async (ingredient: Ingredient) => {
+    const counted = parseFloat(window.prompt(`Conteo físico de ${ingredient.name} (${ingredient.unit}). El sistema calcula ${ingredient.stock}:`) || '');
+    if (!Number.isFinite(counted) || counted < 0) return;
+    await adjustIngredient(ingredient.id, { countedStock: counted, note: 'Conteo físico' }).catch(() => {});
+  };
+
+  const handleDelete = async (ingredient: Ingredient) => {
+    if (!window.confirm(`¿Eliminar el insumo ${ingredient.name}?`)) return;
+    await deleteIngredient(ingredient.id).catch(() => {});
+  };
+
+  return (
+    <div className="bg-white rounded-3xl shadow-md mb-6 p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-lg font-bold text-slate-800">Insumos</h2>
+        {lowCount > 0 && <span className="text-sm font-semibold text-red-600">{lowCount} por reordenar</span>}
+      </div>
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-[1fr_9rem_7rem_7rem_7rem_auto] gap-2 items-end mb-4">
+        <label className="col-span-2 md:col-span-1 text-xs text-slate-500">
+          Nombre
+          <input name="name" value={form.name} onChange={handleField} className={`${inputClass} w-full`} placeholder="Leche entera" required />
+        </label>
+        <label className="text-xs text-slate-500">
+          Unidad
+          <select name="unit" value={form.unit} onChange={handleField} className={`${inputClass} w-full`}>
+            {Object.entries(INGREDIENT_UNIT_LABELS).map(([unit, label]) => <option key={unit} value={unit}>{label}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-slate-500">
+          Costo por {form.unit}
+          <input name="unitCost" type="number" step="any" min="0" value={form.unitCost} onChange={handleField} className={`${inputClass} w-full`} />
+        </label>
+        <label className="text-xs text-slate-500">
+          {editingId ? 'Existencia' : 'Existencia inicial'}
+          <input name="stock" type="number" step="any" min="0" value={form.stock} onChange={handleField} disabled={Boolean(editingId)} className={`${inputClass} w-full disabled:bg-slate-100`} />
+        </label>
+        <label className="text-xs text-slate-500">
+          Reordenar en
+          <input name="reorderLevel" type="number" step="any" min="0" value={form.reorderLevel} onChange={handleField} className={`${inputClass} w-full`} />
+        </label>
+        <div className="flex gap-2">
+          <button type="submit" className="px-4 py-2 bg-zinc-900 text-white rounded-xl text-sm font-semibold">
+            {editingId ? 'Guardar' : 'Agregar'}
+          </button>
+          {editingId && (
+            <button type="button" onClick={() => { setEditingId(null); setForm(emptyForm); }} className="px-3 py-2 text-sm text-slate-600">
+              Cancelar
+            </button>
+          )}
+        </div>
+      </form>
+
+      {ingredients.length === 0 ? (
+        <p className="text-slate-500 text-sm">Aún no hay insumos. Agrégalos para armar las recetas de los productos.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-500 text-left">
+              <th className="py-1">Insumo</th>
+              <th className="py-1 text-right">Existencia</th>
+              <th className="py-1 text-right hidden md:table-cell">Costo</th>
+              <th className="py-1 text-right hidden md:table-cell">Reordenar en</th>
+              <th className="py-1"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {ingredients.map(ingredient => (
+              <tr key={ingredient.id} className={isLowStock(ingredient) ? 'bg-red-50' : ''}>
+                <td className="py-1.5 text-slate-700">{ingredient.name}</td>
+                <td className={`py-1.5 text-right font-semibold ${isLowStock(ingredient) ? 'text-red-600' : 'text-slate-800'}`}>
+                  {ingredient.stock} {ingredient.unit}
+                </td>
+                <td className="py-1.5 text-right hidden md:table-cell">${ingredient.unitCost.toFixed(4)}/{ingredient.unit}</td>
+                <td className="py-1.5 text-right hidden md:table-cell">{ingredient.reorderLevel} {ingredient.unit}</td>
+                <td className="py-1.5">
+                  <div className="flex justify-end items-center gap-1">
+                    <button onClick={() => handlePurchase(ingredient)} className="px-2 py-1 rounded-lg text-xs font-semibold text-zinc-700 hover:bg-slate-100">Compra</button>
+                    <button onClick={() => handleCount(ingredient)} className="px-2 py-1 rounded-lg text-xs font-semibold text-zinc-700 hover:bg-slate-100">Conteo</button>
+                    <button onClick={() => startEdit(ingredient)} className="p-1.5 text-slate-400 hover:text-zinc-700 rounded-lg" title="Editar">
+                      <EditIcon className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => handleDelete(ingredient)} className="p-1.5 text-slate-400 hover:text-red-500 rounded-lg" title="Eliminar">
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default IngredientsPanel;
@@ -0,0 +1,137 @@
+import React, { useState, useMemo } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import { TAX_REGIME_LABELS, CFDI_USE_LABELS, GENERIC_RFC } from '../utils/cfdiCatalogs';
+import type { Order, Invoice, InvoiceReceptor } from '../types';
+
+interface InvoiceModalProps {
+  order: Order;
+  onClose: () => void;
+}
+
+const EMPTY_RECEPTOR: InvoiceReceptor = { rfc: '', name: '', zipCode: '', taxRegime: '', cfdiUse: 'G03' };
+
+// Other orders of the same customer that can go on the same invoice
+const isInvoiceable = (order: Order) => !order.invoiceId && (order.status || 'completed') === 'completed';
+const sameCustomer = (a: Order, b: Order) => (a.customerId ? a.customerId === b.customerId : !b.customerId && a.clientName === b.clientName);
+
+const InvoiceModal: React.FC<InvoiceModalProps> = ({ order, onClose }) => {
+  const { orders, createInvoice } = useAppContext();
+  const [receptor, setReceptor] = useState<InvoiceReceptor>(EMPTY_RECEPTOR);
+  const [orderIds, setOrderIds] = useState<Set<string>>(new Set([order.id]));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [invoice, setInvoice] = useState<Invoice | null>(null);
+
+  const candidates = useMemo(
+    () => orders.filter(other => other.id !== order.id && isInvoiceable(other) && sameCustomer(order, other)).slice(0, 20),
+    [orders, order]
+  );
+  const selectedTotal = [order, ...candidates].filter(o => orderIds.has(o.id)).reduce((sum, o) => sum + o.total - (o.tip || 0), 0);
+
+  const setField = (key: keyof InvoiceReceptor, value: string) => setReceptor(prev => ({ ...prev, [key]: value }));
+  const toggleOrder = (orderId: string) => {
+    setOrderIds(prev => {
+      const next = new Set(prev);
+      if (next.has(orderId)) next.delete(orderId); else next.add(orderId);
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      setInvoice(await createInvoice([...orderIds], receptor));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = 'w-full mt-1 border border-slate-300 rounded-xl p-2';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+      <div className="bg-white rounded-3xl shadow-xl w-full max-w-lg max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2 className="text-xl font-bold text-slate-800">Facturar</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-800 p-2 rounded-full" aria-label="Cerrar">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
+          </button>
+        </div>
+
+        {invoice ? (
+          <div className="p-6 space-y-4">
+            <p className="text-green-700 font-semibold">✅ Factura {invoice.series}{invoice.folio} timbrada</p>
+            <p className="text-sm text-slate-600">Folio fiscal: <span className="font-mono">{invoice.uuid}</span></p>
+            <p className="text-sm text-slate-600">{invoice.receptorName} ({invoice.receptorRfc}) — ${invoice.total.toFixed(2)}</p>
+            <div className="grid grid-cols-2 gap-2">
+              <a href={`/api/invoices/${invoice.id}/xml`} className="py-2 rounded-xl bg-zinc-900 text-white font-semibold text-center hover:bg-zinc-800">XML</a>
+              <a href={`/api/invoices/${invoice.id}/pdf`} className="py-2 rounded-xl bg-slate-100 text-slate-800 font-semibold text-center hover:bg-slate-200">PDF</a>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="flex-1 overflow-y-auto p-4 space-y-3">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <label className="block text-sm font-medium text-slate-600">
+                RFC
+                <input type="text" required value={receptor.rfc} placeholder={GENERIC_RFC} onChange={e => setField('rfc', e.target.value.toUpperCase())} className={inputClass} />
+              </label>
+              <label className="block text-sm font-medium text-slate-600">
+                Código postal fiscal
+                <input type="text" required inputMode="numeric" maxLength={5} value={receptor.zipCode} onChange={e => setField('zipCode', e.target.value)} className={inputClass} />
+              </label>
+            </div>
+            <label className="block text-sm font-medium text-slate-600">
+              Nombre o razón social (como en su constancia)
+              <input type="text" required value={receptor.name} onChange={e => setField('name', e.target.value)} className={inputClass} />
+            </label>
+            <label className="block text-sm font-medium text-slate-600">
+              Régimen fiscal
+              <select required value={receptor.taxRegime} onChange={e => setField('taxRegime', e.target.value)} className={inputClass}>
+                <option value="">Selecciona...</option>
+                {Object.entries(TAX_REGIME_LABELS).map(([code, label]) => <option key={code} value={code}>{code} - {label}</option>)}
+              </select>
+            </label>
+            <label className="block text-sm font-medium text-slate-600">
+              Uso del CFDI
+              <select required value={receptor.cfdiUse} onChange={e => setField('cfdiUse', e.target.value)} className={inputClass}>
+                {Object.entries(CFDI_USE_LABELS).map(([code, label]) => <option key={code} value={code}>{code} - {label}</option>)}
+              </select>
+            </label>
+
+            {candidates.length > 0 && (
+              <div>
+                <p className="text-sm font-medium text-slate-600 mb-1">Incluir otras órdenes sin facturar de {order.clientName || 'este cliente'}</p>
+                <div className="max-h-40 overflow-y-auto border border-slate-200 rounded-xl divide-y">
+                  {candidates.map(other => (
+                    <label key={other.id} className="flex items-center justify-between gap-2 p-2 text-sm">
+                      <span className="flex items-center gap-2">
+                        <input type="checkbox" checked={orderIds.has(other.id)} onChange={() => toggleOrder(other.id)} />
+                        {new Date(other.date).toLocaleString('es-MX')}
+                      </span>
+                      <span className="font-semibold">${other.total.toFixed(2)}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {error && <p className="text-sm text-red-600 bg-red-50 rounded-xl p-2">{error}</p>}
+
+            <div className="flex justify-between items-center pt-2">
+              <span className="text-sm text-slate-600">{orderIds.size} orden(es) — ${selectedTotal.toFixed(2)} sin propina</span>
+              <button type="submit" disabled={isSubmitting} className="px-4 py-2 bg-zinc-900 text-white rounded-xl font-semibold hover:bg-zinc-800 disabled:opacity-50">
+                {isSubmitting ? 'Timbrando...' : 'Timbrar factura'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceModal;
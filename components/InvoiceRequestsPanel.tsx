@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import { TAX_REGIME_LABELS, CFDI_USE_LABELS } from '../utils/cfdiCatalogs';
+import type { InvoiceRequest } from '../types';
+
+// Self-invoicing requests that couldn't be stamped when the customer sent
+// them (business fiscal data, CSD or PAC not working at the time)
+const InvoiceRequestsPanel: React.FC = () => {
+  const { invoiceRequests, issueInvoiceRequest, rejectInvoiceRequest } = useAppContext();
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const handleIssue = async (request: InvoiceRequest) => {
+    setBusyId(request.id);
+    try {
+      const invoice = await issueInvoiceRequest(request.id);
+      alert(`✅ Factura ${invoice.series || ''}${invoice.folio} timbrada para ${invoice.receptorRfc}`);
+    } catch {
+      // issueInvoiceRequest already alerted
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = async (request: InvoiceRequest) => {
+    const reason = window.prompt('Motivo del rechazo (lo verá el cliente):');
+    if (!reason?.trim()) return;
+    setBusyId(request.id);
+    try {
+      await rejectInvoiceRequest(request.id, reason.trim());
+    } catch {
+      // rejectInvoiceRequest already alerted
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-md rounded-3xl p-6 mt-6">
+      <h2 className="text-xl font-bold text-slate-800 mb-4">Solicitudes de Factura</h2>
+      {invoiceRequests.length === 0 ? (
+        <p className="text-slate-500">No hay solicitudes pendientes.</p>
+      ) : (
+        <div className="divide-y">
+          {invoiceRequests.map(request => (
+            <div key={request.id} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+              <div className="text-sm">
+                <p className="font-semibold text-slate-800">{request.receptor.name} · {request.receptor.rfc}</p>
+                <p className="text-slate-600">
+                  Ticket {request.orderId}
+                  {request.orderTotal !== undefined && ` · $${request.orderTotal.toFixed(2)}`}
+                  {request.orderDate && ` · ${new Date(request.orderDate).toLocaleDateString('es-MX')}`}
+                </p>
+                <p className="text-slate-500">
+                  {request.receptor.taxRegime} {TAX_REGIME_LABELS[request.receptor.taxRegime]} · {request.receptor.cfdiUse} {CFDI_USE_LABELS[request.receptor.cfdiUse]} · C.P. {request.receptor.zipCode}
+                  {request.email && ` · ${request.email}`}
+                </p>
+                {request.reason && <p className="text-amber-700">No se timbró: {request.reason}</p>}
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                <button
+                  onClick={() => handleIssue(request)}
+                  disabled={busyId === request.id}
+                  className="px-3 py-1 bg-zinc-900 text-white text-sm font-semibold rounded-lg hover:bg-zinc-800 disabled:opacity-50"
+                >
+                  Facturar
+                </button>
+                <button
+                  onClick={() => handleReject(request)}
+                  disabled={busyId === request.id}
+                  className="px-3 py-1 bg-red-50 text-red-700 text-sm font-semibold rounded-lg hover:bg-red-100 disabled:opacity-50"
+                >
+                  Rechazar
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvoiceRequestsPanel;
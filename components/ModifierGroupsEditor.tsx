@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import type { Ingredient, ModifierGroup, ModifierOption } from '../types';
+import { TrashIcon } from './Icons';
+import RecipeEditor from './RecipeEditor';
+import { recipeCost } from '../utils/recipes';
+
+interface ModifierGroupsEditorProps {
+  groups: ModifierGroup[];
+  onChange: (groups: ModifierGroup[]) => void;
+  ingredients?: Ingredient[]; // For option recipes (an extra shot, a milk swap)
+}
+
+// New groups and options go out without an id; the server assigns one on save
+// (normalizeModifierGroups), so existing choices keep pointing at the same option.
+const emptyOption = (): ModifierOption => ({ id: '', name: '', priceDelta: 0, costDelta: 0 });
+const emptyGroup = (): ModifierGroup => ({ id: '', name: '', required: false, multiple: false, options: [emptyOption()] });
+
+const inputClass = 'border border-slate-300 rounded-lg py-2 px-3 text-sm focus:outline-none focus:ring-2 focus:ring-zinc-500';
+
+const ModifierGroupsEditor: React.FC<ModifierGroupsEditorProps> = ({ groups, onChange, ingredients = [] }) => {
+  const [recipeOpen, setRecipeOpen] = useState<string | null>(null);
+
+  const updateGroup = (index: number, changes: Partial<ModifierGroup>) => {
+    onChange(groups.map((group, i) => (i === index ? { ...group, ...changes } : group)));
+  };
+
+  const updateOption = (groupIndex: number, optionIndex: number, changes: Partial<ModifierOption>) => {
+    const options = groups[groupIndex].options.map((option, i) => (i === optionIndex ? { ...option, ...changes } : option));
+    updateGroup(groupIndex, { options });
+  };
+
+  return (
+    <div className="space-y-3">
+      {groups.map((group, groupIndex) => (
+        <div key={group.id || `new-${groupIndex}`} className="bg-slate-50 rounded-xl p-3 space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              value={group.name}
+              onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+              placeholder="Grupo (ej: Tamaño, Leche)"
+              className={`${inputClass} flex-1 min-w-[10rem]`}
+              required
+            />
+            <label className="flex items-center gap-1 text-sm text-slate-600">
+              <input type="checkbox" checked={group.required} onChange={(e) => updateGroup(groupIndex, { required: e.target.checked })} />
+              Obligatorio
+            </label>
+            <label className="flex items-center gap-1 text-sm text-slate-600">
+              <input type="checkbox" checked={group.multiple} onChange={(e) => updateGroup(groupIndex, { multiple: e.target.checked })} />
+              Varias opciones
+            </label>
+            <button
+              type="button"
+              onClick={() => onChange(groups.filter((_, i) => i !== groupIndex))}
+              className="p-2 text-slate-400 hover:text-red-500 rounded-lg"
+              title="Eliminar grupo"
+            >
+              <TrashIcon className="h-4 w-4" />
+            </button>
+          </div>
+
+          {group.options.map((option, optionIndex) => {
+            const recipeKey = `${groupIndex}-${optionIndex}`;
+            const hasRecipe = (option.recipe?.length || 0) > 0;
+            return (
+              <div key={option.id || `new-${optionIndex}`} className="space-y-2">
+                <div className="grid grid-cols-[1fr_6rem_6rem_auto_auto] gap-2 items-center">
+                  <input
+                    value={option.name}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { name: e.target.value })}
+                    placeholder="Opción (ej: Grande)"
+                    className={inputClass}
+                    required
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={option.priceDelta}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { priceDelta: parseFloat(e.target.value) || 0 })}
+                    title="Cambio en el precio"
+                    className={inputClass}
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={hasRecipe ? recipeCost(option.recipe, ingredients) : option.costDelta}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { costDelta: parseFloat(e.target.value) || 0 })}
+                    disabled={hasRecipe}
+                    title={hasRecipe ? 'Sale de la receta de la opción' : 'Cambio en el costo'}
+                    className={`${inputClass} disabled:bg-slate-100 disabled:text-slate-500`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setRecipeOpen(prev => (prev === recipeKey ? null : recipeKey))}
+                    className={`px-2 py-1 rounded-lg text-xs font-semibold ${hasRecipe ? 'bg-zinc-900 text-white' : 'text-slate-500 hover:bg-slate-100'}`}
+                    title="Insumos que agrega o quita la opción"
+                  >
+                    Receta
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => updateGroup(groupIndex, { options: group.options.filter((_, i) => i !== optionIndex) })}
+                    disabled={group.options.length === 1}
+                    className="p-2 text-slate-400 hover:text-red-500 rounded-lg disabled:opacity-30"
+                    title="Eliminar opción"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+                {recipeOpen === recipeKey && (
+                  <div className="ml-4 bg-white rounded-lg p-2">
+                    <RecipeEditor
+                      recipe={option.recipe || []}
+                      ingredients={ingredients}
+                      allowNegative
+                      onChange={(recipe) => updateOption(groupIndex, optionIndex, { recipe })}
+                    />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          <div className="flex justify-between text-xs text-slate-500">
+            <button type="button" onClick={() => updateGroup(groupIndex, { options: [...group.options, emptyOption()] })} className="font-semibold text-zinc-700 hover:underline">
+              + Opción
+            </button>
+            <span>Columnas: +precio / +costo</span>
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...groups, emptyGroup()])}
+        className="w-full py-2 border-2 border-dashed border-slate-300 rounded-xl text-sm font-medium text-slate-600 hover:bg-slate-50"
+      >
+        + Agregar grupo de modificadores
+      </button>
+    </div>
+  );
+};
+
+export default ModifierGroupsEditor;
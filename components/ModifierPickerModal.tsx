@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import type { Product, ModifierGroup, SelectedModifier } from '../types';
+import { priceWithModifiers } from '../utils/modifiers';
+
+interface ModifierPickerModalProps {
+  product: Product | null;
+  onClose: () => void;
+  onConfirm: (product: Product, modifiers: SelectedModifier[]) => void;
+}
+
+// Single-choice groups that are required start on their first option, so the
+// common case (default size) is one tap on "Agregar".
+const initialChoices = (groups: ModifierGroup[]) =>
+  Object.fromEntries(groups.map(group => [group.id, group.required && !group.multiple ? [group.options[0].id] : []]));
+
+const ModifierPickerModal: React.FC<ModifierPickerModalProps> = ({ product, onClose, onConfirm }) => {
+  const groups = product?.modifierGroups || [];
+  const [choices, setChoices] = useState<Record<string, string[]>>(() => initialChoices(groups));
+
+  if (!product) return null;
+
+  const toggle = (group: ModifierGroup, optionId: string) => {
+    setChoices(prev => {
+      const current = prev[group.id] || [];
+      if (!group.multiple) {
+        return { ...prev, [group.id]: current.includes(optionId) && !group.required ? [] : [optionId] };
+      }
+      return {
+        ...prev,
+        [group.id]: current.includes(optionId) ? current.filter(id => id !== optionId) : [...current, optionId],
+      };
+    });
+  };
+
+  const selected: SelectedModifier[] = groups.flatMap(group =>
+    group.options
+      .filter(option => (choices[group.id] || []).includes(option.id))
+      .map(option => ({
+        groupId: group.id,
+        group: group.name,
+        optionId: option.id,
+        name: option.name,
+        priceDelta: option.priceDelta,
+        costDelta: option.costDelta,
+      }))
+  );
+  const missing = groups.filter(group => group.required && (choices[group.id] || []).length === 0);
+  const { price } = priceWithModifiers(product, selected);
+
+  const handleConfirm = () => {
+    if (missing.length > 0) return;
+    onConfirm(product, selected);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-3xl shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto p-4 sm:p-6">
+        <h2 className="text-xl font-bold text-slate-800">{product.name}</h2>
+        <p className="text-sm text-slate-500 mb-4">Precio base ${product.price.toFixed(2)}</p>
+
+        <div className="space-y-4">
+          {groups.map(group => (
+            <div key={group.id}>
+              <p className="text-sm font-semibold text-slate-700 mb-2">
+                {group.name}
+                <span className="ml-2 text-xs font-normal text-slate-500">
+                  {group.required ? 'Obligatorio' : 'Opcional'}{group.multiple ? ' · varias' : ''}
+                </span>
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {group.options.map(option => {
+                  const isChosen = (choices[group.id] || []).includes(option.id);
+                  return (
+                    <button
+                      key={option.id}
+                      onClick={() => toggle(group, option.id)}
+                      className={`px-3 py-2 rounded-xl text-sm border transition-colors ${isChosen ? 'bg-zinc-900 text-white border-zinc-900' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-100'}`}
+                    >
+                      {option.name}
+                      {option.priceDelta !== 0 && (
+                        <span className="ml-1 text-xs opacity-75">
+                          {option.priceDelta > 0 ? '+' : '−'}${Math.abs(option.priceDelta).toFixed(2)}
+                        </span>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {missing.length > 0 && (
+          <p className="text-xs text-red-600 mt-4">Elige: {missing.map(group => group.name).join(', ')}</p>
+        )}
+
+        <div className="flex space-x-2 mt-6">
+          <button onClick={onClose} className="w-full py-3 px-4 bg-white border border-slate-300 rounded-xl text-sm font-semibold text-slate-700 hover:bg-slate-100">
+            Cancelar
+          </button>
+          <button onClick={handleConfirm} disabled={missing.length > 0} className="w-full py-3 px-4 bg-zinc-900 rounded-xl text-sm font-semibold text-white hover:bg-zinc-800 disabled:bg-zinc-400 disabled:cursor-not-allowed">
+            Agregar ${price.toFixed(2)}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModifierPickerModal;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+
+// What the register did without a connection and hasn't reached the server
+// yet. Pending operations go out on their own when the Wi-Fi comes back;
+// the ones the server refused stay here until they're retried or discarded.
+const OfflineQueueBanner: React.FC = () => {
+  const { isOnline, pendingSync, syncNow, retrySync, discardSync } = useAppContext();
+  const [expanded, setExpanded] = useState(false);
+
+  const pending = pendingSync.filter(item => item.status === 'pending');
+  const failed = pendingSync.filter(item => item.status === 'failed');
+  if (isOnline && pendingSync.length === 0) return null;
+
+  const handleDiscard = async (id: number, label: string) => {
+    if (!window.confirm(`¿Descartar "${label}"? No se registrará en el servidor.`)) return;
+    try {
+      await discardSync(id);
+    } catch (error) {
+      console.error('Error discarding queued operation:', error);
+      alert(`❌ Error al descartar la operación: ${error instanceof Error ? error.message : error}`);
+    }
+  };
+
+  const tone = failed.length > 0 ? 'bg-red-50 border-red-200 text-red-800' : 'bg-amber-50 border-amber-200 text-amber-800';
+
+  return (
+    <div className={`border rounded-2xl px-4 py-2 mb-3 text-sm ${tone}`}>
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <p className="font-semibold">
+          {!isOnline ? '📴 Sin conexión' : pending.length > 0 ? '🔄 Sincronizando' : '⚠️ Operaciones sin registrar'}
+          {pending.length > 0 && ` · ${pending.length} pendiente${pending.length === 1 ? '' : 's'}`}
+          {failed.length > 0 && ` · ${failed.length} con error`}
+        </p>
+        <div className="flex items-center gap-3">
+          {isOnline && pending.length > 0 && (
+            <button onClick={() => syncNow()} className="font-semibold hover:underline">Reintentar ahora</button>
+          )}
+          {pendingSync.length > 0 && (
+            <button onClick={() => setExpanded(prev => !prev)} className="font-semibold hover:underline">
+              {expanded ? 'Ocultar' : 'Ver'}
+            </button>
+          )}
+        </div>
+      </div>
+      {!isOnline && pendingSync.length === 0 && (
+        <p className="text-xs mt-1">Las ventas, gastos y retiros se guardan en este dispositivo y se envían al reconectar.</p>
+      )}
+      {expanded && (
+        <ul className="mt-2 divide-y divide-black/5">
+          {pendingSync.map(item => (
+            <li key={item.id} className="py-1.5 flex items-center justify-between gap-2">
+              <div className="min-w-0">
+                <p className="truncate">{item.label}</p>
+                <p className="text-xs opacity-75">
+                  {new Date(item.timestamp).toLocaleTimeString()}
+                  {item.status === 'failed' ? ` · ${item.error}` : ' · En cola'}
+                </p>
+              </div>
+              {item.status === 'failed' && item.id !== undefined && (
+                <div className="flex gap-2 flex-shrink-0">
+                  <button onClick={() => retrySync(item.id!)} className="px-2 py-1 bg-white rounded-lg text-xs font-semibold border border-current">Reintentar</button>
+                  <button onClick={() => handleDiscard(item.id!, item.label)} className="px-2 py-1 bg-white rounded-lg text-xs font-semibold border border-current">Descartar</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OfflineQueueBanner;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import { TrashIcon } from './Icons';
+import type { ParkedCart } from '../types';
+
+interface ParkedCartsModalProps {
+  onClose: () => void;
+  onResumed: (cart: ParkedCart) => void;
+}
+
+const minutesAgo = (iso: string) => {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 60000));
+  if (minutes < 60) return `hace ${minutes} min`;
+  return `hace ${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// Sales parked on any register; resuming one takes it off the list for everyone
+const ParkedCartsModal: React.FC<ParkedCartsModalProps> = ({ onClose, onResumed }) => {
+  const { parkedCarts, resumeParkedCart, discardParkedCart, cart, users } = useAppContext();
+  const registerBusy = cart.length > 0;
+
+  const handleResume = async (id: string) => {
+    try {
+      onResumed(await resumeParkedCart(id));
+    } catch {
+      // resumeParkedCart already alerted
+    }
+  };
+
+  const handleDiscard = async (parked: ParkedCart) => {
+    if (!window.confirm(`¿Descartar la venta de "${parked.name}"?`)) return;
+    try {
+      await discardParkedCart(parked.id);
+    } catch {
+      // discardParkedCart already alerted
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+      <div className="bg-white rounded-3xl shadow-xl w-full max-w-lg p-6 max-h-[80vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-slate-800">Ventas en Espera</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600 text-xl" aria-label="Cerrar">✕</button>
+        </div>
+        {registerBusy && (
+          <p className="text-sm text-amber-700 bg-amber-50 rounded-xl p-3 mb-3">
+            Cobra o estaciona la venta actual antes de retomar otra.
+          </p>
+        )}
+        <div className="overflow-y-auto flex-1 divide-y">
+          {parkedCarts.length === 0 ? (
+            <p className="text-center text-slate-500 py-8">No hay ventas en espera.</p>
+          ) : parkedCarts.map(parked => {
+            const total = parked.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+            const units = parked.items.reduce((sum, item) => sum + item.quantity, 0);
+            const parkedBy = users.find(u => u.id === parked.userId)?.username;
+            return (
+              <div key={parked.id} className="py-3 flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-semibold text-slate-800 truncate">
+                    {parked.name}
+                    {parked.stale && (
+                      <span className="ml-2 text-[10px] font-bold uppercase bg-red-100 text-red-700 px-2 py-0.5 rounded-full align-middle">
+                        Turno anterior
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-slate-500">
+                    {units} {units === 1 ? 'artículo' : 'artículos'} · ${total.toFixed(2)} · {minutesAgo(parked.createdAt)}
+                    {parkedBy ? ` · ${parkedBy}` : ''}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleResume(parked.id)}
+                    disabled={registerBusy}
+                    className="px-3 py-1.5 bg-zinc-900 text-white rounded-xl text-sm font-semibold disabled:opacity-40"
+                  >
+                    Retomar
+                  </button>
+                  <button onClick={() => handleDiscard(parked)} className="p-2 text-slate-500 hover:text-red-600 rounded-full hover:bg-slate-100" aria-label={`Descartar ${parked.name}`}>
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ParkedCartsModal;
@@ -1,7 +1,13 @@
 
 import React, { useState, useEffect } from 'react';
-import type { Product } from '../types';
+import type { Product, ModifierGroup, BundleItem, TaxRate, Ingredient, RecipeLine } from '../types';
+import { TAX_RATE_LABELS } from '../utils/cfdiCatalogs';
 import { SparklesIcon } from './Icons';
+import ModifierGroupsEditor from './ModifierGroupsEditor';
+import BundleItemsEditor from './BundleItemsEditor';
+import RecipeEditor from './RecipeEditor';
+import { bundleStock } from '../utils/bundles';
+import { recipeCost } from '../utils/recipes';
 import { generateDescription, generateImage } from '../services/aiService';
 
 interface ProductModalProps {
@@ -9,20 +15,30 @@ interface ProductModalProps {
   onClose: () => void;
   onSave: (product: Omit<Product, 'id'> | Product) => void;
   productToEdit?: Product | null;
+  products?: Product[]; // Catalog, to pick combo components from
+  ingredients?: Ingredient[]; // For the product's and its options' recipes
 }
 
-const ProductModal: React.FC<ProductModalProps> = ({ isOpen, onClose, onSave, productToEdit }) => {
+const ProductModal: React.FC<ProductModalProps> = ({ isOpen, onClose, onSave, productToEdit, products = [], ingredients = [] }) => {
   const [product, setProduct] = useState({
-    name: '', price: 0, cost: 0, stock: 0, description: '', imageUrl: '', category: 'Cafetería' as 'Cafetería' | 'Refrigerador' | 'Alimentos' | 'Membresías'
+    name: '', price: 0, cost: 0, stock: 0, description: '', imageUrl: '', category: 'Cafetería' as 'Cafetería' | 'Refrigerador' | 'Alimentos' | 'Membresías',
+    modifierGroups: [] as ModifierGroup[],
+    bundleItems: [] as BundleItem[],
+    recipe: [] as RecipeLine[],
+    satProductKey: '',
+    satUnitKey: '',
+    taxRate: 'iva_16' as TaxRate,
+    sku: '',
+    barcode: ''
   });
   const [isGeneratingDesc, setIsGeneratingDesc] = useState(false);
   const [isGeneratingImg, setIsGeneratingImg] = useState(false);
 
   useEffect(() => {
     if (productToEdit) {
-      setProduct(productToEdit);
+      setProduct({ ...productToEdit, modifierGroups: productToEdit.modifierGroups || [], bundleItems: productToEdit.bundleItems || [], recipe: productToEdit.recipe || [], satProductKey: productToEdit.satProductKey || '', satUnitKey: productToEdit.satUnitKey || '', taxRate: productToEdit.taxRate || 'iva_16', sku: productToEdit.sku || '', barcode: productToEdit.barcode || '' });
     } else {
-      setProduct({ name: '', price: 0, cost: 0, stock: 0, description: '', imageUrl: '', category: 'Cafetería' });
+      setProduct({ name: '', price: 0, cost: 0, stock: 0, description: '', imageUrl: '', category: 'Cafetería', modifierGroups: [], bundleItems: [], recipe: [], satProductKey: '', satUnitKey: '', taxRate: 'iva_16', sku: '', barcode: '' });
     }
   }, [productToEdit, isOpen]);
 
@@ -65,13 +81,25 @@ const ProductModal: React.FC<ProductModalProps> = ({ isOpen, onClose, onSave, pr
     }
   };
 
+  // A combo's cost is its components' and its stock is whatever they allow
+  const isCombo = product.bundleItems.length > 0;
+  const comboCost = product.bundleItems.reduce((sum, item) => sum + (products.find(p => p.id === item.productId)?.cost || 0) * item.quantity, 0);
+  // A product with a recipe costs what its ingredients do (the server keeps it in line)
+  const hasRecipe = !isCombo && product.recipe.length > 0;
+
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (!product.imageUrl) {
         alert("Por favor, genere una imagen para el producto.");
         return;
     }
-    onSave(product);
+    if (isCombo) {
+      onSave({ ...product, recipe: [], cost: Math.round(comboCost * 100) / 100, stock: bundleStock({ ...product, id: '' }, products) });
+    } else if (hasRecipe) {
+      onSave({ ...product, cost: recipeCost(product.recipe, ingredients) });
+    } else {
+      onSave(product);
+    }
     onClose();
   };
 
@@ -145,12 +173,13 @@ const ProductModal: React.FC<ProductModalProps> = ({ isOpen, onClose, onSave, pr
                     type="number"
                     name="cost"
                     id="cost"
-                    value={product.cost}
+                    value={isCombo ? Number(comboCost.toFixed(2)) : hasRecipe ? recipeCost(product.recipe, ingredients) : product.cost}
                     onChange={handleChange}
+                    disabled={isCombo || hasRecipe}
                     inputMode="decimal"
                     step="0.01"
                     min="0"
-                    className="block w-full border border-slate-300 rounded-xl shadow-sm py-3 pl-8 pr-4 text-base focus:outline-none focus:ring-2 focus:ring-zinc-500 focus:border-zinc-500 touch-manipulation"
+                    className="block w-full border border-slate-300 rounded-xl shadow-sm py-3 pl-8 pr-4 text-base focus:outline-none focus:ring-2 focus:ring-zinc-500 focus:border-zinc-500 touch-manipulation disabled:bg-slate-100 disabled:text-slate-500"
                     placeholder="0.00"
                     required
                   />
@@ -164,11 +193,12 @@ const ProductModal: React.FC<ProductModalProps> = ({ isOpen, onClose, onSave, pr
                   type="number"
                   name="stock"
                   id="stock"
-                  value={product.stock}
+                  value={isCombo ? bundleStock({ ...product, id: '' }, products) : product.stock}
                   onChange={handleChange}
+                  disabled={isCombo}
                   inputMode="numeric"
                   min="0"
-                  className="block w-full border border-slate-300 rounded-xl shadow-sm py-3 px-4 text-base focus:outline-none focus:ring-2 focus:ring-zinc-500 focus:border-zinc-500 touch-manipulation"
+                  className="block w-full border border-slate-300 rounded-xl shadow-sm py-3 px-4 text-base focus:outline-none focus:ring-2 focus:ring-zinc-500 focus:border-zinc-500 touch-manipulation disabled:bg-slate-100 disabled:text-slate-500"
                   placeholder="0"
                   required
                 />
@@ -191,6 +221,114 @@ const ProductModal: React.FC<ProductModalProps> = ({ isOpen, onClose, onSave, pr
                   <option value="Membresías">💼 Membresías de Coworking</option>
                 </select>
               </div>
+              {/* Codes the register's scanner looks products up by - optional */}
+              <div>
+                <label htmlFor="barcode" className="block text-base font-medium text-slate-700 mb-2">Código de barras</label>
+                <input
+                  type="text"
+                  name="barcode"
+                  id="barcode"
+                  value={product.barcode}
+                  onChange={handleChange}
+                  // Scanners finish with Enter, which would submit the form
+                  onKeyDown={e => { if (e.key === 'Enter') e.preventDefault(); }}
+                  maxLength={64}
+                  className="block w-full border border-slate-300 rounded-xl shadow-sm py-3 px-4 text-base focus:outline-none focus:ring-2 focus:ring-zinc-500 focus:border-zinc-500 touch-manipulation"
+                  placeholder="Escanea o escribe el código"
+                />
+              </div>
+              <div>
+                <label htmlFor="sku" className="block text-base font-medium text-slate-700 mb-2">SKU</label>
+                <input
+                  type="text"
+                  name="sku"
+                  id="sku"
+                  value={product.sku}
+                  onChange={handleChange}
+                  maxLength={64}
+                  className="block w-full border border-slate-300 rounded-xl shadow-sm py-3 px-4 text-base focus:outline-none focus:ring-2 focus:ring-zinc-500 focus:border-zinc-500 touch-manipulation"
+                  placeholder="CAF-001"
+                />
+              </div>
+              {/* IVA included in the price; stored on every line sold */}
+              <div>
+                <label htmlFor="taxRate" className="block text-base font-medium text-slate-700 mb-2">IVA</label>
+                <select
+                  name="taxRate"
+                  id="taxRate"
+                  value={product.taxRate}
+                  onChange={handleChange}
+                  className="block w-full border border-slate-300 rounded-xl shadow-sm py-3 px-4 text-base focus:outline-none focus:ring-2 focus:ring-zinc-500 focus:border-zinc-500 touch-manipulation"
+                >
+                  {Object.entries(TAX_RATE_LABELS).map(([rate, label]) => <option key={rate} value={rate}>{label}</option>)}
+                </select>
+                <p className="text-sm text-slate-500 mt-1">El precio ya incluye el IVA.</p>
+              </div>
+              {/* SAT keys for invoices (CFDI) - optional, generic keys are used when empty */}
+              <div>
+                <label htmlFor="satProductKey" className="block text-base font-medium text-slate-700 mb-2">Clave SAT producto</label>
+                <input
+                  type="text"
+                  name="satProductKey"
+                  id="satProductKey"
+                  value={product.satProductKey}
+                  onChange={handleChange}
+                  inputMode="numeric"
+                  maxLength={8}
+                  pattern="\d{8}"
+                  title="8 dígitos del catálogo c_ClaveProdServ"
+                  className="block w-full border border-slate-300 rounded-xl shadow-sm py-3 px-4 text-base focus:outline-none focus:ring-2 focus:ring-zinc-500 focus:border-zinc-500 touch-manipulation"
+                  placeholder="90101500"
+                />
+              </div>
+              <div>
+                <label htmlFor="satUnitKey" className="block text-base font-medium text-slate-700 mb-2">Clave SAT unidad</label>
+                <input
+                  type="text"
+                  name="satUnitKey"
+                  id="satUnitKey"
+                  value={product.satUnitKey}
+                  onChange={handleChange}
+                  maxLength={3}
+                  className="block w-full border border-slate-300 rounded-xl shadow-sm py-3 px-4 text-base uppercase focus:outline-none focus:ring-2 focus:ring-zinc-500 focus:border-zinc-500 touch-manipulation"
+                  placeholder="E48"
+                />
+              </div>
+              {/* Combo components - the combo moves their stock and shares its revenue with them */}
+              <div className="md:col-span-2">
+                <label className="block text-base font-medium text-slate-700 mb-2">Combo</label>
+                <p className="text-sm text-slate-500 mb-2">Agrega productos para venderlos juntos a un precio de paquete. El costo y el stock salen de sus componentes.</p>
+                <BundleItemsEditor
+                  items={product.bundleItems}
+                  products={products}
+                  productId={productToEdit?.id}
+                  onChange={(bundleItems) => setProduct(prev => ({ ...prev, bundleItems }))}
+                />
+              </div>
+
+              {/* Recipe - what one unit uses; every sale takes it out of the ingredients */}
+              {!isCombo && (
+                <div className="md:col-span-2">
+                  <label className="block text-base font-medium text-slate-700 mb-2">Receta</label>
+                  <p className="text-sm text-slate-500 mb-2">Insumos por unidad vendida. Con receta, el costo sale de lo que cuestan sus insumos.</p>
+                  <RecipeEditor
+                    recipe={product.recipe}
+                    ingredients={ingredients}
+                    onChange={(recipe) => setProduct(prev => ({ ...prev, recipe }))}
+                  />
+                </div>
+              )}
+
+              {/* Modifier groups (size, milk, extras) - deltas on top of price and cost */}
+              <div className="md:col-span-2">
+                <label className="block text-base font-medium text-slate-700 mb-2">Modificadores</label>
+                <ModifierGroupsEditor
+                  groups={product.modifierGroups}
+                  ingredients={ingredients}
+                  onChange={(modifierGroups) => setProduct(prev => ({ ...prev, modifierGroups }))}
+                />
+              </div>
+
               {/* Image Upload - Mobile Optimized with Camera Access */}
               <div className="md:col-span-2">
                 <label className="block text-base font-medium text-slate-700 mb-2">Imagen del Producto</label>
@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import type { Product, Promotion, PromotionType } from '../types';
+import type { PromotionInput } from '../hooks/usePromotions';
+import { PROMOTION_TYPE_LABELS, DAY_LABELS } from '../utils/promotions';
+
+interface PromotionModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onSave: (promotion: PromotionInput) => Promise<unknown>;
+  promotionToEdit?: Promotion | null;
+  products: Product[];
+}
+
+// How the discount is expressed; which ones apply depends on the type
+type DiscountMode = 'percent' | 'price' | 'amount';
+
+const emptyForm = {
+  name: '',
+  type: 'happy_hour' as PromotionType,
+  active: true,
+  productIds: [] as string[],
+  category: '',
+  mode: 'percent' as DiscountMode,
+  value: '',
+  buyQuantity: '1',
+  getQuantity: '1',
+  code: '',
+  maxUses: '',
+  days: [] as number[],
+  startTime: '',
+  endTime: '',
+  expiresAt: '',
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const PromotionModal: React.FC<PromotionModalProps> = ({ isOpen, onClose, onSave, promotionToEdit, products }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+  const categories = [...new Set(products.map(p => p.category))].sort();
+
+  useEffect(() => {
+    if (!promotionToEdit) {
+      setForm(emptyForm);
+      return;
+    }
+    const p = promotionToEdit;
+    const mode: DiscountMode = p.price !== null ? 'price' : p.amountOff !== null ? 'amount' : 'percent';
+    setForm({
+      name: p.name,
+      type: p.type,
+      active: p.active,
+      productIds: p.productIds,
+      category: p.category || '',
+      mode,
+      value: String(mode === 'price' ? p.price : mode === 'amount' ? p.amountOff : p.percentOff ?? ''),
+      buyQuantity: String(p.buyQuantity ?? 1),
+      getQuantity: String(p.getQuantity ?? 1),
+      code: p.code || '',
+      maxUses: p.maxUses === null ? '' : String(p.maxUses),
+      days: p.days,
+      startTime: p.startTime || '',
+      endTime: p.endTime || '',
+      expiresAt: p.expiresAt ? p.expiresAt.slice(0, 10) : '',
+    });
+  }, [promotionToEdit, isOpen]);
+
+  const update = (changes: Partial<typeof emptyForm>) => setForm(prev => ({ ...prev, ...changes }));
+
+  const toggleDay = (day: number) =>
+    update({ days: form.days.includes(day) ? form.days.filter(d => d !== day) : [...form.days, day].sort() });
+
+  const toggleProduct = (productId: string) =>
+    update({ productIds: form.productIds.includes(productId) ? form.productIds.filter(id => id !== productId) : [...form.productIds, productId] });
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const value = form.value === '' ? null : Number(form.value);
+    const payload: PromotionInput = {
+      name: form.name.trim(),
+      type: form.type,
+      active: form.active,
+      productIds: form.type === 'category_percent' ? [] : form.productIds,
+      category: form.category || null,
+      percentOff: form.mode === 'percent' ? value : null,
+      price: form.type === 'happy_hour' && form.mode === 'price' ? value : null,
+      amountOff: form.type === 'coupon' && form.mode === 'amount' ? value : null,
+      buyQuantity: form.type === 'buy_x_get_y' ? Number(form.buyQuantity) : null,
+      getQuantity: form.type === 'buy_x_get_y' ? Number(form.getQuantity) : null,
+      code: form.type === 'coupon' ? form.code.trim().toUpperCase() : null,
+      maxUses: form.type === 'coupon' && form.maxUses ? Number(form.maxUses) : null,
+      days: form.days,
+      startTime: form.startTime || null,
+      endTime: form.endTime || null,
+      startsAt: promotionToEdit?.startsAt || null,
+      // End of that day on this device's clock
+      expiresAt: form.expiresAt ? new Date(`${form.expiresAt}T23:59:59`).toISOString() : null,
+    };
+    setIsSaving(true);
+    try {
+      await onSave(payload);
+      onClose();
+    } catch {
+      // The hook already told the user what the server rejected
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const modes: { mode: DiscountMode; label: string }[] = [
+    { mode: 'percent', label: '% de descuento' },
+    ...(form.type === 'happy_hour' ? [{ mode: 'price' as DiscountMode, label: 'Precio fijo' }] : []),
+    ...(form.type === 'coupon' ? [{ mode: 'amount' as DiscountMode, label: 'Monto fijo' }] : []),
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">
+            {promotionToEdit ? 'Editar Promoción' : 'Nueva Promoción'}
+          </h2>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Nombre *</label>
+              <input type="text" value={form.name} onChange={e => update({ name: e.target.value })} className={inputClass} required />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tipo</label>
+              <select
+                value={form.type}
+                onChange={e => update({ type: e.target.value as PromotionType, mode: 'percent' })}
+                className={inputClass}
+              >
+                {(Object.keys(PROMOTION_TYPE_LABELS) as PromotionType[]).map(type => (
+                  <option key={type} value={type}>{PROMOTION_TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+
+            {form.type === 'coupon' && (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Código *</label>
+                  <input type="text" value={form.code} onChange={e => update({ code: e.target.value.toUpperCase() })} className={`${inputClass} uppercase`} required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Límite de usos</label>
+                  <input type="number" min="1" step="1" value={form.maxUses} onChange={e => update({ maxUses: e.target.value })} className={inputClass} placeholder="Sin límite" />
+                </div>
+              </div>
+            )}
+
+            {form.type === 'buy_x_get_y' ? (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Compra</label>
+                  <input type="number" min="1" step="1" value={form.buyQuantity} onChange={e => update({ buyQuantity: e.target.value })} className={inputClass} required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Lleva gratis</label>
+                  <input type="number" min="1" step="1" value={form.getQuantity} onChange={e => update({ getQuantity: e.target.value })} className={inputClass} required />
+                </div>
+              </div>
+            ) : (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Descuento</label>
+                  <select value={form.mode} onChange={e => update({ mode: e.target.value as DiscountMode })} className={inputClass}>
+                    {modes.map(({ mode, label }) => <option key={mode} value={mode}>{label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{form.mode === 'percent' ? 'Porcentaje' : 'Monto ($)'} *</label>
+                  <input type="number" min="0" step="0.01" value={form.value} onChange={e => update({ value: e.target.value })} className={inputClass} required />
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Categoría {form.type === 'category_percent' ? '*' : '(opcional)'}
+              </label>
+              <select value={form.category} onChange={e => update({ category: e.target.value })} className={inputClass} required={form.type === 'category_percent'}>
+                <option value="">Todas</option>
+                {categories.map(category => <option key={category} value={category}>{category}</option>)}
+              </select>
+            </div>
+
+            {form.type !== 'category_percent' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Productos (vacío = según la categoría)</label>
+                <div className="max-h-32 overflow-y-auto border border-gray-200 rounded-md p-2 grid grid-cols-2 gap-1">
+                  {products.map(product => (
+                    <label key={product.id} className="flex items-center gap-1 text-xs text-gray-700">
+                      <input type="checkbox" checked={form.productIds.includes(product.id)} onChange={() => toggleProduct(product.id)} />
+                      {product.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Días (ninguno = todos)</label>
+              <div className="flex flex-wrap gap-1">
+                {DAY_LABELS.map((label, day) => (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={() => toggleDay(day)}
+                    className={`px-2 py-1 text-xs rounded-md border ${form.days.includes(day) ? 'bg-zinc-900 text-white border-zinc-900' : 'bg-white text-gray-700 border-gray-300'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Desde {form.type === 'happy_hour' ? '*' : ''}</label>
+                <input type="time" value={form.startTime} onChange={e => update({ startTime: e.target.value })} className={inputClass} required={form.type === 'happy_hour'} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Hasta {form.type === 'happy_hour' ? '*' : ''}</label>
+                <input type="time" value={form.endTime} onChange={e => update({ endTime: e.target.value })} className={inputClass} required={form.type === 'happy_hour'} />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Vence (opcional)</label>
+              <input type="date" value={form.expiresAt} onChange={e => update({ expiresAt: e.target.value })} className={inputClass} />
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={form.active} onChange={e => update({ active: e.target.checked })} />
+              Activa
+            </label>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button type="button" onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 transition-colors">
+                Cancelar
+              </button>
+              <button type="submit" disabled={isSaving} className="px-4 py-2 bg-zinc-900 text-white rounded-md hover:bg-zinc-800 transition-colors disabled:opacity-50">
+                {isSaving ? 'Guardando...' : 'Guardar'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PromotionModal;
@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import { TrashIcon } from './Icons';
+import type { QuickKeyLayout, QuickKeyPage } from '../types';
+
+// Arranges the sales grid for this register or for a role: pages become tabs,
+// keys are dragged into order (or onto another tab to move them), starred
+// products are pinned above every page.
+
+const KEY_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#64748b'];
+
+type Draft = Pick<QuickKeyLayout, 'name' | 'favorites' | 'pages'>;
+type Target = { scope: QuickKeyLayout['scope']; scopeKey: string };
+
+const newPage = (index: number): QuickKeyPage => ({
+  id: `page-${Date.now().toString(36)}-${index}`,
+  name: `Página ${index + 1}`,
+  keys: [],
+});
+
+const emptyDraft = (): Draft => ({ name: 'Principal', favorites: [], pages: [newPage(0)] });
+
+const QuickKeyLayoutEditor: React.FC = () => {
+  const { products, deviceId, quickKeyLayouts, saveQuickKeyLayout, deleteQuickKeyLayout } = useAppContext();
+  const [target, setTarget] = useState<Target>({ scope: 'role', scopeKey: 'employee' });
+  const [draft, setDraft] = useState<Draft>(emptyDraft);
+  const [pageIndex, setPageIndex] = useState(0);
+  const [productToAdd, setProductToAdd] = useState('');
+  // Index (on the current page) of the key being dragged
+  const [dragging, setDragging] = useState<number | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const saved = quickKeyLayouts.find(l => l.scope === target.scope && l.scopeKey === target.scopeKey);
+
+  // Switching target (or someone else saving it) reloads the draft
+  useEffect(() => {
+    setDraft(saved ? { name: saved.name, favorites: saved.favorites, pages: saved.pages } : emptyDraft());
+    setPageIndex(0);
+  }, [saved]);
+
+  const page = draft.pages[pageIndex] || draft.pages[0];
+  const productName = (id: string) => products.find(p => p.id === id)?.name || '(eliminado)';
+
+  const updatePages = (update: (pages: QuickKeyPage[]) => QuickKeyPage[]) =>
+    setDraft(current => ({ ...current, pages: update(current.pages) }));
+
+  const updateKeys = (index: number, update: (keys: QuickKeyPage['keys']) => QuickKeyPage['keys']) =>
+    updatePages(pages => pages.map((p, i) => i === index ? { ...p, keys: update(p.keys) } : p));
+
+  const handleTargetChange = (value: string) => {
+    const [scope, scopeKey] = value.split(':') as [Target['scope'], string];
+    setTarget({ scope, scopeKey });
+  };
+
+  const addPage = () => {
+    updatePages(pages => [...pages, newPage(pages.length)]);
+    setPageIndex(draft.pages.length);
+  };
+
+  const removePage = () => {
+    if (draft.pages.length === 1) return;
+    if (!window.confirm(`¿Eliminar la página "${page.name}"?`)) return;
+    updatePages(pages => pages.filter((_, i) => i !== pageIndex));
+    setPageIndex(0);
+  };
+
+  const addKey = () => {
+    if (!productToAdd || page.keys.some(k => k.productId === productToAdd)) return;
+    updateKeys(pageIndex, keys => [...keys, { productId: productToAdd, color: null }]);
+    setProductToAdd('');
+  };
+
+  // Dropped on another key: takes its place on this page
+  const handleDropOnKey = (index: number) => {
+    if (dragging === null || dragging === index) return;
+    updateKeys(pageIndex, keys => {
+      const next = [...keys];
+      const [moved] = next.splice(dragging, 1);
+      next.splice(index, 0, moved);
+      return next;
+    });
+    setDragging(null);
+  };
+
+  // Dropped on a tab: moves to the end of that page
+  const handleDropOnTab = (targetIndex: number) => {
+    if (dragging === null || targetIndex === pageIndex) return;
+    const key = page.keys[dragging];
+    if (draft.pages[targetIndex].keys.some(k => k.productId === key.productId)) {
+      alert('Ese producto ya está en esa página.');
+    } else {
+      updatePages(pages => pages.map((p, i) => {
+        if (i === pageIndex) return { ...p, keys: p.keys.filter((_, k) => k !== dragging) };
+        if (i === targetIndex) return { ...p, keys: [...p.keys, key] };
+        return p;
+      }));
+    }
+    setDragging(null);
+  };
+
+  const toggleFavorite = (productId: string) =>
+    setDraft(current => ({
+      ...current,
+      favorites: current.favorites.includes(productId)
+        ? current.favorites.filter(id => id !== productId)
+        : [...current.favorites, productId],
+    }));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await saveQuickKeyLayout(target.scope, target.scopeKey, draft);
+      alert('✅ Diseño guardado');
+    } catch {
+      // saveQuickKeyLayout already alerted
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('¿Eliminar este diseño? La caja volverá a mostrar todos los productos.')) return;
+    try {
+      await deleteQuickKeyLayout(target.scope, target.scopeKey);
+    } catch {
+      // deleteQuickKeyLayout already alerted
+    }
+  };
+
+  const available = products.filter(p => !page.keys.some(k => k.productId === p.id));
+
+  return (
+    <div className="bg-white shadow-md rounded-3xl p-6 mt-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <h2 className="text-xl font-bold text-slate-800">Teclas Rápidas</h2>
+        <select
+          value={`${target.scope}:${target.scopeKey}`}
+          onChange={e => handleTargetChange(e.target.value)}
+          className="border border-slate-300 rounded-xl p-2 text-sm bg-white"
+        >
+          <option value="role:employee">Rol: Empleado</option>
+          <option value="role:admin">Rol: Administrador</option>
+          {deviceId && <option value={`device:${deviceId}`}>Este dispositivo</option>}
+          {quickKeyLayouts
+            .filter(l => l.scope === 'device' && l.scopeKey !== deviceId)
+            .map(l => <option key={l.scopeKey} value={`device:${l.scopeKey}`}>Dispositivo {l.scopeKey}</option>)}
+        </select>
+      </div>
+      <p className="text-xs text-slate-500 mb-4">
+        Un diseño de dispositivo tiene prioridad sobre el del rol. Arrastra las teclas para ordenarlas, o suéltalas en otra pestaña para moverlas.
+        {!saved && ' Este destino aún no tiene diseño.'}
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2 border-b mb-4">
+        {draft.pages.map((p, i) => (
+          <button
+            key={p.id}
+            onClick={() => setPageIndex(i)}
+            onDragOver={e => e.preventDefault()}
+            onDrop={() => handleDropOnTab(i)}
+            className={`px-4 py-2 text-sm font-semibold border-b-2 -mb-px ${i === pageIndex ? 'border-zinc-900 text-zinc-900' : 'border-transparent text-slate-500 hover:text-slate-700'}`}
+          >
+            {p.name} <span className="text-xs text-slate-400">({p.keys.length})</span>
+          </button>
+        ))}
+        <button onClick={addPage} className="px-3 py-1 text-sm text-zinc-700 hover:bg-slate-100 rounded-lg">+ Página</button>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3 mb-4">
+        <input
+          type="text"
+          value={page.name}
+          onChange={e => updatePages(pages => pages.map((p, i) => i === pageIndex ? { ...p, name: e.target.value } : p))}
+          className="flex-1 border border-slate-300 rounded-xl p-2 text-sm"
+          placeholder="Nombre de la página"
+        />
+        <select value={productToAdd} onChange={e => setProductToAdd(e.target.value)} className="flex-1 border border-slate-300 rounded-xl p-2 text-sm bg-white">
+          <option value="">Agregar producto...</option>
+          {available.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+        <button onClick={addKey} disabled={!productToAdd} className="px-4 py-2 bg-zinc-900 text-white rounded-xl text-sm font-semibold disabled:opacity-50">Agregar</button>
+        <button onClick={removePage} disabled={draft.pages.length === 1} className="p-2 text-slate-500 hover:text-red-600 rounded-full hover:bg-slate-100 disabled:opacity-30" aria-label="Eliminar página">
+          <TrashIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      {page.keys.length === 0 ? (
+        <p className="text-center text-slate-500 py-6 text-sm">Página vacía: agrega productos.</p>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 xl:grid-cols-4 gap-3">
+          {page.keys.map((key, index) => (
+            <div
+              key={key.productId}
+              draggable
+              onDragStart={() => setDragging(index)}
+              onDragEnd={() => setDragging(null)}
+              onDragOver={e => e.preventDefault()}
+              onDrop={() => handleDropOnKey(index)}
+              className={`border rounded-xl p-3 bg-white cursor-move ${dragging === index ? 'opacity-40' : ''}`}
+              style={key.color ? { borderTop: `6px solid ${key.color}` } : undefined}
+            >
+              <div className="flex justify-between items-start gap-2">
+                <p className="text-sm font-semibold text-slate-800 line-clamp-2">{productName(key.productId)}</p>
+                <button
+                  onClick={() => toggleFavorite(key.productId)}
+                  className={draft.favorites.includes(key.productId) ? 'text-amber-500' : 'text-slate-300 hover:text-amber-400'}
+                  title="Fijar en favoritos"
+                >
+                  ★
+                </button>
+              </div>
+              <div className="flex items-center gap-1 mt-2">
+                <button
+                  onClick={() => updateKeys(pageIndex, keys => keys.map((k, i) => i === index ? { ...k, color: null } : k))}
+                  className={`w-4 h-4 rounded-full border bg-white ${!key.color ? 'ring-2 ring-zinc-900' : ''}`}
+                  aria-label="Sin color"
+                />
+                {KEY_COLORS.map(color => (
+                  <button
+                    key={color}
+                    onClick={() => updateKeys(pageIndex, keys => keys.map((k, i) => i === index ? { ...k, color } : k))}
+                    className={`w-4 h-4 rounded-full ${key.color === color ? 'ring-2 ring-zinc-900' : ''}`}
+                    style={{ backgroundColor: color }}
+                    aria-label={`Color ${color}`}
+                  />
+                ))}
+                <button
+                  onClick={() => updateKeys(pageIndex, keys => keys.filter((_, i) => i !== index))}
+                  className="ml-auto text-slate-400 hover:text-red-600 text-sm"
+                  aria-label="Quitar tecla"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {draft.favorites.length > 0 && (
+        <p className="text-xs text-slate-500 mt-4">
+          Favoritos: {draft.favorites.map(productName).join(', ')}
+        </p>
+      )}
+
+      <div className="flex justify-end gap-3 mt-6">
+        {saved && (
+          <button onClick={handleDelete} className="px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm font-medium text-red-600 hover:bg-red-50">
+            Eliminar diseño
+          </button>
+        )}
+        <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-zinc-900 text-white rounded-xl font-semibold hover:bg-zinc-800 disabled:opacity-50">
+          {isSaving ? 'Guardando...' : 'Guardar diseño'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuickKeyLayoutEditor;
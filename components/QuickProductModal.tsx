@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import type { Product } from '../types';
+
+interface QuickProductModalProps {
+  code: string;
+  onClose: () => void;
+  onCreated: (product: Product) => void;
+}
+
+// A scanned code nobody has registered yet: create the product with just
+// what the sale needs (the rest can be filled in later in Productos)
+const QuickProductModal: React.FC<QuickProductModalProps> = ({ code, onClose, onCreated }) => {
+  const { addProduct } = useAppContext();
+  const [name, setName] = useState('');
+  const [price, setPrice] = useState('');
+  // Sales check stock, so the unit in hand has to be counted
+  const [stock, setStock] = useState('1');
+  const [category, setCategory] = useState<Product['category']>('Refrigerador');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const amount = parseFloat(price);
+    const units = parseInt(stock, 10);
+    if (!name.trim() || isNaN(amount) || amount < 0 || isNaN(units) || units < 1) {
+      alert('Por favor, ingrese un nombre, un precio y existencias válidos.');
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const product = await addProduct({
+        name: name.trim(), price: amount, cost: 0, stock: units, description: '', imageUrl: '', category, barcode: code,
+      });
+      if (product) onCreated(product);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-3xl shadow-xl w-full max-w-sm p-6">
+        <h2 className="text-2xl font-bold text-slate-800 mb-1">Código no encontrado</h2>
+        <p className="text-slate-600 mb-4 text-sm">
+          Ningún producto tiene el código <code className="bg-slate-100 px-1 rounded">{code}</code>. Créalo para venderlo ahora.
+        </p>
+        <label className="block text-sm font-medium text-slate-600 mb-3">
+          Nombre
+          <input
+            type="text"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            className="mt-1 block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 sm:text-sm"
+            autoFocus
+            required
+          />
+        </label>
+        <div className="grid grid-cols-3 gap-3 mb-4">
+          <label className="block text-sm font-medium text-slate-600">
+            Precio
+            <input
+              type="number"
+              value={price}
+              onChange={e => setPrice(e.target.value)}
+              min="0"
+              step="0.01"
+              className="mt-1 block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 sm:text-sm"
+              placeholder="0.00"
+              required
+            />
+          </label>
+          <label className="block text-sm font-medium text-slate-600">
+            Existencias
+            <input
+              type="number"
+              value={stock}
+              onChange={e => setStock(e.target.value)}
+              min="1"
+              step="1"
+              className="mt-1 block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 sm:text-sm"
+              required
+            />
+          </label>
+          <label className="block text-sm font-medium text-slate-600">
+            Categoría
+            <select
+              value={category}
+              onChange={e => setCategory(e.target.value as Product['category'])}
+              className="mt-1 block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 sm:text-sm bg-white"
+            >
+              <option value="Cafetería">Cafetería</option>
+              <option value="Refrigerador">Refrigerador</option>
+              <option value="Alimentos">Alimentos</option>
+            </select>
+          </label>
+        </div>
+        <div className="flex justify-end space-x-3">
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm font-medium text-slate-700">Cancelar</button>
+          <button type="submit" disabled={isSaving} className="px-4 py-2 bg-zinc-900 rounded-xl text-sm font-medium text-white disabled:opacity-50">
+            {isSaving ? 'Guardando...' : 'Crear y agregar'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default QuickProductModal;
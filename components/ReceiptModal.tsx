@@ -0,0 +1,97 @@
+import React, { useState, useRef } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import type { Order, ReceiptWidth } from '../types';
+
+interface ReceiptModalProps {
+  order: Order;
+  onClose: () => void;
+}
+
+// The receipt is rendered by the server from the stored order
+// (GET /api/orders/:id/receipt); this only picks the paper and the output.
+const receiptUrl = (orderId: string, format: 'html' | 'pdf' | 'escpos', width: ReceiptWidth) =>
+  `/api/orders/${encodeURIComponent(orderId)}/receipt?format=${format}&width=${width}`;
+
+const ReceiptModal: React.FC<ReceiptModalProps> = ({ order, onClose }) => {
+  const { settings, printReceipt } = useAppContext();
+  const [width, setWidth] = useState<ReceiptWidth>(settings?.receiptWidth || 80);
+  const [isPrinting, setIsPrinting] = useState(false);
+  const previewRef = useRef<HTMLIFrameElement>(null);
+
+  const handleBrowserPrint = () => {
+    previewRef.current?.contentWindow?.print();
+  };
+
+  const handleNetworkPrint = async () => {
+    setIsPrinting(true);
+    try {
+      await printReceipt(order.id);
+      onClose();
+    } catch {
+      // printReceipt already alerted
+    } finally {
+      setIsPrinting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+      <div className="bg-white rounded-3xl shadow-xl w-full max-w-md max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2 className="text-xl font-bold text-slate-800">Ticket</h2>
+          <div className="flex items-center gap-2">
+            {([58, 80] as ReceiptWidth[]).map(option => (
+              <button
+                key={option}
+                onClick={() => setWidth(option)}
+                className={`px-3 py-1 rounded-lg text-xs font-semibold ${width === option ? 'bg-zinc-900 text-white' : 'bg-slate-100 text-slate-700'}`}
+              >
+                {option}mm
+              </button>
+            ))}
+            <button onClick={onClose} className="text-slate-400 hover:text-slate-800 p-2 rounded-full" aria-label="Cerrar">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto bg-slate-100 p-4 flex justify-center min-h-0">
+          <iframe
+            ref={previewRef}
+            key={width}
+            src={receiptUrl(order.id, 'html', width)}
+            title={`Ticket ${order.id}`}
+            className="bg-white shadow"
+            style={{ width: `${width + 4}mm`, height: '60vh', border: 0 }}
+          />
+        </div>
+
+        <div className="p-4 border-t grid grid-cols-2 gap-2">
+          <button onClick={handleBrowserPrint} className="py-2 rounded-xl bg-zinc-900 text-white font-semibold hover:bg-zinc-800">
+            🖨️ Imprimir
+          </button>
+          <a href={receiptUrl(order.id, 'pdf', width)} className="py-2 rounded-xl bg-slate-100 text-slate-800 font-semibold text-center hover:bg-slate-200">
+            PDF
+          </a>
+          <a
+            href={receiptUrl(order.id, 'escpos', width)}
+            className="py-2 rounded-xl bg-slate-100 text-slate-800 font-semibold text-center hover:bg-slate-200"
+            title="Comandos ESC/POS para una impresora térmica USB"
+          >
+            ESC/POS
+          </a>
+          <button
+            onClick={handleNetworkPrint}
+            disabled={!settings?.printerHost || isPrinting}
+            className="py-2 rounded-xl bg-slate-100 text-slate-800 font-semibold hover:bg-slate-200 disabled:opacity-50"
+            title={settings?.printerHost ? `${settings.printerHost}:${settings.printerPort}` : 'Configura la impresora en Admin'}
+          >
+            {isPrinting ? 'Enviando...' : 'Impresora térmica'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReceiptModal;
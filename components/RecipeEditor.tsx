@@ -0,0 +1,72 @@
+import React from 'react';
+import type { Ingredient, RecipeLine } from '../types';
+import { TrashIcon } from './Icons';
+import { recipeCost } from '../utils/recipes';
+
+interface RecipeEditorProps {
+  recipe: RecipeLine[];
+  ingredients: Ingredient[];
+  onChange: (recipe: RecipeLine[]) => void;
+  allowNegative?: boolean; // Options can take out what the product's recipe puts in (oat instead of cow's milk)
+}
+
+const inputClass = 'border border-slate-300 rounded-lg py-2 px-3 text-sm focus:outline-none focus:ring-2 focus:ring-zinc-500 bg-white';
+
+const RecipeEditor: React.FC<RecipeEditorProps> = ({ recipe, ingredients, onChange, allowNegative = false }) => {
+  const updateLine = (index: number, changes: Partial<RecipeLine>) => {
+    onChange(recipe.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  };
+
+  if (ingredients.length === 0) {
+    return <p className="text-xs text-slate-500">Da de alta insumos en Productos → Insumos para armar recetas.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {recipe.map((line, index) => {
+        const unit = ingredients.find(i => i.id === line.ingredientId)?.unit;
+        return (
+          <div key={index} className="grid grid-cols-[1fr_6rem_2rem_auto] gap-2 items-center">
+            <select value={line.ingredientId} onChange={(e) => updateLine(index, { ingredientId: e.target.value })} className={inputClass} required>
+              <option value="">Elige un insumo...</option>
+              {ingredients.map(ingredient => (
+                <option key={ingredient.id} value={ingredient.id}>{ingredient.name}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              step="any"
+              min={allowNegative ? undefined : '0'}
+              value={line.quantity}
+              onChange={(e) => updateLine(index, { quantity: parseFloat(e.target.value) || 0 })}
+              title={allowNegative ? 'Negativo para quitar de la receta del producto' : 'Cantidad por unidad vendida'}
+              className={inputClass}
+              required
+            />
+            <span className="text-xs text-slate-500">{unit || ''}</span>
+            <button
+              type="button"
+              onClick={() => onChange(recipe.filter((_, i) => i !== index))}
+              className="p-2 text-slate-400 hover:text-red-500 rounded-lg"
+              title="Quitar de la receta"
+            >
+              <TrashIcon className="h-4 w-4" />
+            </button>
+          </div>
+        );
+      })}
+      <div className="flex justify-between items-center text-xs text-slate-500">
+        <button
+          type="button"
+          onClick={() => onChange([...recipe, { ingredientId: '', quantity: 0 }])}
+          className="font-semibold text-zinc-700 hover:underline"
+        >
+          + Insumo
+        </button>
+        {recipe.length > 0 && <span>Costo de receta: ${recipeCost(recipe, ingredients).toFixed(2)}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default RecipeEditor;
@@ -1,6 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
 import type { View } from '../App';
-import { DashboardIcon, SalesIcon, ProductsIcon, HistoryIcon, CashIcon, ExpenseIcon, CoworkingIcon, ReportIcon, UsersIcon, LogoutIcon } from './Icons';
+import { DashboardIcon, SalesIcon, ProductsIcon, HistoryIcon, CashIcon, ExpenseIcon, CoworkingIcon, TablesIcon, KitchenIcon, TagIcon, ReportIcon, UsersIcon, LogoutIcon } from './Icons';
 import { useAppContext } from '../contexts/AppContext';
 
 interface BottomNavProps {
@@ -60,14 +60,17 @@ const BottomNav: React.FC<BottomNavProps> = ({ currentView, setCurrentView }) =>
 
   const navItems = [
     { id: 'sales', label: 'Ventas', icon: <SalesIcon />, show: true, priority: 1 },
-    { id: 'products', label: 'Productos', icon: <ProductsIcon />, show: true, priority: 2 },
-    { id: 'cash_report', label: 'Caja', icon: <CashIcon />, show: true, priority: 3 },
-    { id: 'coworking', label: 'Cowork', icon: <CoworkingIcon />, show: true, priority: 4 },
-    { id: 'customers', label: 'Clientes', icon: <UsersIcon />, show: true, priority: 5 },
-    { id: 'history', label: 'Historial', icon: <HistoryIcon />, show: true, priority: 6 },
-    { id: 'expenses', label: 'Gastos', icon: <ExpenseIcon />, show: true, priority: 7 },
-    { id: 'reports', label: 'Reportes', icon: <ReportIcon />, show: true, priority: 8 },
-    { id: 'admin', label: 'Admin', icon: <UsersIcon />, show: currentUser?.role === 'admin', priority: 9 },
+    { id: 'tabs', label: 'Mesas', icon: <TablesIcon />, show: true, priority: 2 },
+    { id: 'kitchen', label: 'Cocina', icon: <KitchenIcon />, show: true, priority: 3 },
+    { id: 'products', label: 'Productos', icon: <ProductsIcon />, show: true, priority: 4 },
+    { id: 'cash_report', label: 'Caja', icon: <CashIcon />, show: true, priority: 5 },
+    { id: 'coworking', label: 'Cowork', icon: <CoworkingIcon />, show: true, priority: 6 },
+    { id: 'customers', label: 'Clientes', icon: <UsersIcon />, show: true, priority: 7 },
+    { id: 'history', label: 'Historial', icon: <HistoryIcon />, show: true, priority: 8 },
+    { id: 'expenses', label: 'Gastos', icon: <ExpenseIcon />, show: true, priority: 9 },
+    { id: 'promotions', label: 'Promos', icon: <TagIcon />, show: true, priority: 10 },
+    { id: 'reports', label: 'Reportes', icon: <ReportIcon />, show: true, priority: 11 },
+    { id: 'admin', label: 'Admin', icon: <UsersIcon />, show: currentUser?.role === 'admin', priority: 12 },
   ];
 
   const visibleItems = navItems.filter(item => item.show);
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import type { CartItem, PaymentMethod, SplitBillAssignment, SplitBillPayer } from '../types';
+
+interface SplitBillModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  cart: CartItem[];
+  onConfirm: (payers: SplitBillPayer[], assignments: SplitBillAssignment[]) => Promise<void>;
+}
+
+const MAX_PAYERS = 10;
+
+const newPayer = (index: number): SplitBillPayer => ({ label: `Pagador ${index + 1}`, paymentMethod: 'Efectivo', tip: 0 });
+
+// Every line starts with the first payer; the cashier moves units (or fractions) from there.
+const initialShares = (cart: CartItem[], payerCount: number) =>
+  cart.map(item => Array.from({ length: payerCount }, (_, payer) => (payer === 0 ? item.quantity : 0)));
+
+const SplitBillModal: React.FC<SplitBillModalProps> = ({ isOpen, onClose, cart, onConfirm }) => {
+  const [payers, setPayers] = useState<SplitBillPayer[]>([newPayer(0), newPayer(1)]);
+  const [shares, setShares] = useState<number[][]>(() => initialShares(cart, 2));
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!isOpen) return null;
+
+  const setPayerCount = (count: number) => {
+    const next = Math.min(Math.max(count, 2), MAX_PAYERS);
+    setPayers(prev => Array.from({ length: next }, (_, i) => prev[i] || newPayer(i)));
+    setShares(initialShares(cart, next));
+  };
+
+  const updatePayer = (index: number, changes: Partial<SplitBillPayer>) => {
+    setPayers(prev => prev.map((payer, i) => (i === index ? { ...payer, ...changes } : payer)));
+  };
+
+  const setShare = (lineIndex: number, payer: number, quantity: number) => {
+    setShares(prev => prev.map((line, i) => (i === lineIndex ? line.map((q, p) => (p === payer ? quantity : q)) : line)));
+  };
+
+  // Shared dish: every payer takes the same fraction of the line
+  const splitEvenly = (lineIndex: number) => {
+    const quantity = cart[lineIndex].quantity / payers.length;
+    setShares(prev => prev.map((line, i) => (i === lineIndex ? line.map(() => quantity) : line)));
+  };
+
+  const assignedOf = (lineIndex: number) => shares[lineIndex].reduce((sum, q) => sum + q, 0);
+  const unbalancedLines = cart.filter((item, i) => Math.abs(assignedOf(i) - item.quantity) > 0.001);
+  const payerSubtotal = (payer: number) => cart.reduce((sum, item, i) => sum + item.price * shares[i][payer], 0);
+  const emptyPayers = payers.filter((_, p) => payerSubtotal(p) <= 0);
+  const canConfirm = unbalancedLines.length === 0 && emptyPayers.length === 0 && !isSaving;
+
+  const handleConfirm = async () => {
+    if (!canConfirm) return;
+    const assignments: SplitBillAssignment[] = shares.flatMap((line, lineIndex) =>
+      line
+        .map((quantity, payer) => ({ lineIndex, payer, quantity }))
+        .filter(assignment => assignment.quantity > 0)
+    );
+    setIsSaving(true);
+    try {
+      await onConfirm(payers, assignments);
+      onClose();
+    } catch (error) {
+      console.error('Split bill failed:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-3xl shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto p-4 sm:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl sm:text-2xl font-bold text-slate-800">Dividir Cuenta</h2>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-slate-600">Pagadores:</span>
+            <button onClick={() => setPayerCount(payers.length - 1)} className="px-2 py-1 border border-slate-300 rounded-lg hover:bg-slate-100">−</button>
+            <span className="font-semibold w-6 text-center">{payers.length}</span>
+            <button onClick={() => setPayerCount(payers.length + 1)} className="px-2 py-1 border border-slate-300 rounded-lg hover:bg-slate-100">+</button>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="p-2 text-left font-semibold text-slate-600">Producto</th>
+                {payers.map((payer, p) => (
+                  <th key={p} className="p-2 font-semibold text-slate-600">
+                    <input
+                      value={payer.label}
+                      onChange={(e) => updatePayer(p, { label: e.target.value })}
+                      className="w-24 border border-slate-300 rounded-lg px-1.5 py-1 text-xs text-center"
+                    />
+                  </th>
+                ))}
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {cart.map((item, lineIndex) => {
+                const balanced = Math.abs(assignedOf(lineIndex) - item.quantity) <= 0.001;
+                return (
+                  <tr key={`${item.id}-${lineIndex}`} className="border-b">
+                    <td className="p-2">
+                      <p className="font-medium text-slate-800">{item.name}</p>
+                      <p className={`text-xs ${balanced ? 'text-slate-500' : 'text-red-600 font-semibold'}`}>
+                        {Number(assignedOf(lineIndex).toFixed(3))} de {item.quantity} · ${item.price.toFixed(2)} c/u
+                      </p>
+                    </td>
+                    {payers.map((_, p) => (
+                      <td key={p} className="p-2 text-center">
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={Number(shares[lineIndex][p].toFixed(4))}
+                          onChange={(e) => setShare(lineIndex, p, Math.max(parseFloat(e.target.value) || 0, 0))}
+                          className="w-16 border border-slate-300 rounded-lg px-1 py-1 text-center"
+                        />
+                      </td>
+                    ))}
+                    <td className="p-2">
+                      <button onClick={() => splitEvenly(lineIndex)} className="text-xs text-zinc-700 hover:underline whitespace-nowrap" title="Repartir en partes iguales">
+                        ÷ Iguales
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td className="p-2 text-xs font-medium text-slate-600">Pago y propina</td>
+                {payers.map((payer, p) => (
+                  <td key={p} className="p-2 align-top">
+                    <select
+                      value={payer.paymentMethod}
+                      onChange={(e) => updatePayer(p, { paymentMethod: e.target.value as PaymentMethod })}
+                      className="w-24 border border-slate-300 rounded-lg px-1 py-1 text-xs mb-1"
+                    >
+                      <option>Efectivo</option>
+                      <option>Tarjeta</option>
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={payer.tip || ''}
+                      placeholder="Propina"
+                      onChange={(e) => updatePayer(p, { tip: parseFloat(e.target.value) || 0 })}
+                      className="w-24 border border-slate-300 rounded-lg px-1 py-1 text-xs"
+                    />
+                    <p className="text-xs font-bold text-slate-800 mt-1 text-center">
+                      ${(payerSubtotal(p) + (payer.tip || 0)).toFixed(2)}
+                    </p>
+                  </td>
+                ))}
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+
+        {unbalancedLines.length > 0 && (
+          <p className="text-xs text-red-600 mt-3">Asigna por completo: {unbalancedLines.map(item => item.name).join(', ')}</p>
+        )}
+        {unbalancedLines.length === 0 && emptyPayers.length > 0 && (
+          <p className="text-xs text-red-600 mt-3">Cada pagador debe tener al menos un producto ({emptyPayers.map(p => p.label).join(', ')})</p>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button onClick={onClose} disabled={isSaving} className="px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm font-semibold text-slate-700 hover:bg-slate-100 disabled:opacity-50">
+            Cancelar
+          </button>
+          <button onClick={handleConfirm} disabled={!canConfirm} className="px-4 py-2 bg-zinc-900 rounded-xl text-sm font-semibold text-white hover:bg-zinc-800 disabled:bg-zinc-400 disabled:cursor-not-allowed">
+            {isSaving ? '⏳...' : `Cobrar ${payers.length} cuentas`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SplitBillModal;
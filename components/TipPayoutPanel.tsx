@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import { TIP_POOL_MODE_LABELS } from '../utils/tips';
+import type { TipPoolMode, TipReport, TipPayout, TipPayoutPosting } from '../types';
+
+interface TipPayoutPanelProps {
+  startDate: string; // YYYY-MM-DD, local
+  endDate: string;   // inclusive
+}
+
+const POSTING_LABELS: Record<TipPayoutPosting, string> = {
+  none: 'Solo registrar el pago',
+  withdrawal: 'Retiro de efectivo de la caja abierta',
+  expense: 'Gasto de Sueldos',
+};
+
+// The report's tips by employee and what the pooling rule pays each one.
+// Hours come from the cash sessions; whoever didn't run a register can be
+// given theirs here before paying the period out.
+const TipPayoutPanel: React.FC<TipPayoutPanelProps> = ({ startDate, endDate }) => {
+  const { settings, currentUser, users, refetchAll } = useAppContext();
+  const [mode, setMode] = useState<TipPoolMode | ''>('');
+  const [hours, setHours] = useState<Record<string, number>>({});
+  const [report, setReport] = useState<TipReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [payouts, setPayouts] = useState<TipPayout[]>([]);
+  const [postAs, setPostAs] = useState<TipPayoutPosting>('none');
+  const [isPaying, setIsPaying] = useState(false);
+
+  const from = new Date(`${startDate}T00:00:00`);
+  const to = new Date(`${endDate}T00:00:00`);
+  to.setDate(to.getDate() + 1);
+  const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+  if (mode) params.set('mode', mode);
+  const hoursParam = Object.entries(hours).map(([userId, value]) => `${userId}:${value}`).join(',');
+  if (hoursParam) params.set('hours', hoursParam);
+  const query = params.toString();
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/reports/tips?${query}`)
+      .then(async response => {
+        const body = await response.json();
+        if (cancelled) return;
+        if (response.ok) {
+          setReport(body);
+          setError(null);
+        } else {
+          setReport(null);
+          setError(body.error || 'No se pudo calcular el reparto de propinas.');
+        }
+      })
+      .catch(err => console.error('Failed to fetch tip report:', err));
+    return () => { cancelled = true; };
+  }, [query]);
+
+  const loadPayouts = () => {
+    fetch('/api/tip-payouts')
+      .then(response => (response.ok ? response.json() : []))
+      .then(setPayouts)
+      .catch(err => console.error('Failed to fetch tip payouts:', err));
+  };
+  useEffect(loadPayouts, []);
+
+  // Someone who worked without ringing a sale or opening the register
+  const addHours = (userId: string) => {
+    const username = users.find(user => user.id === userId)?.username || userId;
+    const value = parseFloat(window.prompt(`Horas trabajadas por ${username} en el periodo:`) || '');
+    if (Number.isFinite(value) && value >= 0) setHours(prev => ({ ...prev, [userId]: value }));
+  };
+  const absentUsers = report ? users.filter(user => !report.employees.some(line => line.userId === user.id)) : [];
+
+  const alreadyPaid = payouts.find(payout => new Date(payout.from) < to && new Date(payout.to) > from);
+
+  const handlePayout = async () => {
+    if (!report) return;
+    const total = report.employees.reduce((sum, line) => sum + line.payout, 0);
+    if (!window.confirm(`¿Pagar $${total.toFixed(2)} de propinas del ${startDate} al ${endDate}?\n${POSTING_LABELS[postAs]}`)) return;
+    setIsPaying(true);
+    try {
+      const response = await fetch('/api/tip-payouts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from: report.from, to: report.to, mode: report.mode, poolShare: report.poolShare, hours, postAs, userId: currentUser?.id }),
+      });
+      if (!response.ok) {
+        const { error: message } = await response.json().catch(() => ({ error: undefined }));
+        throw new Error(message || `Failed to pay out tips: ${response.status}`);
+      }
+      loadPayouts();
+      if (postAs !== 'none') await refetchAll();
+    } catch (err) {
+      console.error('Error paying out tips:', err);
+      alert(`❌ Error al pagar las propinas: ${err instanceof Error ? err.message : err}`);
+    } finally {
+      setIsPaying(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl shadow-md mb-6 p-4">
+      <div className="flex justify-between items-center mb-3 flex-wrap gap-2">
+        <h2 className="text-lg font-bold text-slate-800">Reparto de Propinas</h2>
+        <select value={mode} onChange={e => setMode(e.target.value as TipPoolMode | '')} className="border border-slate-300 rounded-xl py-1 px-3 text-sm">
+          <option value="">Regla configurada{settings ? ` (${TIP_POOL_MODE_LABELS[settings.tipPoolMode]})` : ''}</option>
+          {Object.entries(TIP_POOL_MODE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {report && (
+        <>
+          <p className="text-sm text-slate-500 mb-2">
+            Propinas ${report.totalTips.toFixed(2)}
+            {report.mode !== 'individual' && ` · Fondo ${report.poolShare}% = $${report.pool.toFixed(2)}`}
+            {report.unassigned > 0 && ` · Sin empleado: $${report.unassigned.toFixed(2)}`}
+          </p>
+          {report.employees.length === 0 ? (
+            <p className="text-slate-500 text-sm">No hay propinas en el periodo.</p>
+          ) : (
+            <table className="w-full text-sm mb-3">
+              <thead>
+                <tr className="text-slate-500 text-left">
+                  <th className="py-1">Empleado</th>
+                  <th className="py-1 text-right">Propinas</th>
+                  <th className="py-1 text-right">Horas</th>
+                  <th className="py-1 text-right">Del fondo</th>
+                  <th className="py-1 text-right">A pagar</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {report.employees.map(line => (
+                  <tr key={line.userId}>
+                    <td className="py-1 text-slate-700">{line.username}</td>
+                    <td className="py-1 text-right">${line.tips.toFixed(2)}</td>
+                    <td className="py-1 text-right">
+                      <input
+                        type="number"
+                        min={0}
+                        step="0.25"
+                        defaultValue={line.hours}
+                        key={`${line.userId}-${line.hours}`}
+                        onBlur={e => {
+                          const value = parseFloat(e.target.value);
+                          if (Number.isFinite(value) && value >= 0 && value !== line.hours) setHours(prev => ({ ...prev, [line.userId]: value }));
+                        }}
+                        className="w-20 border border-slate-300 rounded-lg py-0.5 px-1 text-right"
+                      />
+                    </td>
+                    <td className="py-1 text-right">${line.fromPool.toFixed(2)}</td>
+                    <td className="py-1 text-right font-semibold">${line.payout.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="flex justify-end items-center gap-2 flex-wrap">
+            {absentUsers.length > 0 && (
+              <select value="" onChange={e => e.target.value && addHours(e.target.value)} className="border border-slate-300 rounded-xl py-1 px-3 text-sm mr-auto">
+                <option value="">Agregar horas de…</option>
+                {absentUsers.map(user => <option key={user.id} value={user.id}>{user.username}</option>)}
+              </select>
+            )}
+            {alreadyPaid ? (
+              <p className="text-sm text-green-700">
+                Pagado el {new Date(alreadyPaid.date).toLocaleDateString()} (${alreadyPaid.total.toFixed(2)})
+              </p>
+            ) : (
+              <>
+                <select value={postAs} onChange={e => setPostAs(e.target.value as TipPayoutPosting)} className="border border-slate-300 rounded-xl py-1 px-3 text-sm">
+                  {Object.entries(POSTING_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <button
+                  onClick={handlePayout}
+                  disabled={isPaying || report.employees.every(line => line.payout <= 0)}
+                  className="px-4 py-2 bg-zinc-900 text-white rounded-xl text-sm font-semibold disabled:opacity-40"
+                >
+                  {isPaying ? 'Registrando...' : 'Pagar propinas'}
+                </button>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TipPayoutPanel;
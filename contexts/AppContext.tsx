@@ -1,7 +1,8 @@
 import React, { createContext, useContext, useState, ReactNode, useEffect, useRef } from 'react';
 import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
 import { dedupedFetch } from '../utils/apiCache';
-import offlineStorage, { STORES } from '../utils/offlineStorage';
+import { drawerCash, roundMoney } from '../utils/payments';
+import offlineStorage, { STORES, sendOrQueue } from '../utils/offlineStorage';
 import useCart from '../hooks/useCart';
 import useAuthUsers from '../hooks/useAuthUsers';
 import useProducts from '../hooks/useProducts';
@@ -11,7 +12,23 @@ import useExpenses from '../hooks/useExpenses';
 import useOrders from '../hooks/useOrders';
 import useCoworkingSessions from '../hooks/useCoworkingSessions';
 import useCashSessions from '../hooks/useCashSessions';
-import type { Product, CartItem, Order, Expense, CoworkingSession, CashSession, User, Customer, CustomerCredit, CashWithdrawal } from '../types';
+import useRefunds from '../hooks/useRefunds';
+import useTabs from '../hooks/useTabs';
+import usePromotions from '../hooks/usePromotions';
+import useIngredients from '../hooks/useIngredients';
+import useKitchen from '../hooks/useKitchen';
+import useSettings from '../hooks/useSettings';
+import useExchangeRates from '../hooks/useExchangeRates';
+import useQuickKeyLayouts from '../hooks/useQuickKeyLayouts';
+import useParkedCarts from '../hooks/useParkedCarts';
+import useInvoices from '../hooks/useInvoices';
+import useOfflineQueue from '../hooks/useOfflineQueue';
+import type { PromotionInput } from '../hooks/usePromotions';
+import type { IngredientInput } from '../hooks/useIngredients';
+import type { QuickKeyLayoutInput } from '../hooks/useQuickKeyLayouts';
+import type { OrderEditInput } from '../hooks/useOrders';
+import type { PendingSyncItem } from '../utils/offlineStorage';
+import type { Product, CartItem, Order, Expense, CoworkingSession, CashSession, User, Customer, CustomerCredit, CashWithdrawal, OrderRefund, OrderEdit, PaymentMethod, PaymentTender, SplitBillPayer, SplitBillAssignment, Tab, TabItem, FloorTable, SelectedModifier, Promotion, AppliedPromotion, Ingredient, KitchenTicket, BusinessSettings, Invoice, InvoiceReceptor, InvoiceRequest, ExchangeRate, QuickKeyLayout, ParkedCart } from '../types';
 
 interface AppContextType {
     // Initialization state
@@ -26,24 +43,75 @@ interface AppContextType {
     deleteUser: (userId: string) => void;
     // Products
     products: Product[];
-    addProduct: (product: Omit<Product, 'id'>) => Promise<void>;
+    addProduct: (product: Omit<Product, 'id'>) => Promise<Product | undefined>;
     updateProduct: (product: Product) => Promise<void>;
     deleteProduct: (productId: string) => Promise<void>;
     importProducts: (importedProducts: Omit<Product, 'id'>[]) => Promise<void>;
     // Cart
     cart: CartItem[];
-    addToCart: (product: Product) => void;
-    removeFromCart: (productId: string) => void;
-    updateCartQuantity: (productId: string, quantity: number) => void;
+    addToCart: (product: Product, modifiers?: SelectedModifier[]) => void;
+    removeFromCart: (lineKey: string) => void;
+    updateCartQuantity: (lineKey: string, quantity: number) => void;
     clearCart: () => void;
+    // Held sales: park the current cart under a name, resume it on any register
+    parkedCarts: ParkedCart[];
+    parkCart: (name: string) => Promise<ParkedCart>;
+    resumeParkedCart: (id: string) => Promise<ParkedCart>;
+    discardParkedCart: (id: string) => Promise<void>;
     cartSubtotal: number;
-    cartTotal: number;
+    cartTotal: number; // after promotions, before the customer's discount
+    couponCode: string;
+    setCouponCode: (code: string) => void;
+    appliedPromotions: AppliedPromotion[];
+    promotionDiscount: number;
+    couponError: string | null;
+    // Promotions
+    promotions: Promotion[];
+    addPromotion: (promotion: PromotionInput) => Promise<Promotion>;
+    updatePromotion: (promotionId: string, updates: Partial<PromotionInput>) => Promise<Promotion>;
+    deletePromotion: (promotionId: string) => Promise<void>;
+    // Ingredients and recipes
+    ingredients: Ingredient[];
+    addIngredient: (ingredient: IngredientInput) => Promise<Ingredient>;
+    updateIngredient: (ingredientId: string, ingredient: Omit<IngredientInput, 'stock'>) => Promise<Ingredient>;
+    deleteIngredient: (ingredientId: string) => Promise<void>;
+    purchaseIngredient: (ingredientId: string, purchase: { quantity: number; cost: number; postAsExpense?: boolean }) => Promise<Ingredient>;
+    adjustIngredient: (ingredientId: string, adjustment: { countedStock?: number; quantity?: number; note?: string }) => Promise<Ingredient>;
+    // Kitchen display
+    kitchenTickets: KitchenTicket[];
+    refreshKitchenTickets: () => Promise<void>;
+    bumpKitchenItem: (ticketId: string, index: number) => Promise<KitchenTicket>;
+    bumpKitchenTicket: (ticketId: string) => Promise<KitchenTicket>;
+    // Business settings and receipts
+    settings: BusinessSettings | null;
+    updateSettings: (updates: Partial<BusinessSettings>) => Promise<BusinessSettings>;
+    printReceipt: (orderId: string) => Promise<void>;
+    // Dollars at the register
+    exchangeRate: ExchangeRate | null;
+    setExchangeRate: (rate: number) => Promise<ExchangeRate>;
+    // Sales grid layout (this register's, or its role's) and the editor's list
+    deviceId: string;
+    quickKeyLayout: QuickKeyLayout | null;
+    quickKeyLayouts: QuickKeyLayout[];
+    saveQuickKeyLayout: (scope: QuickKeyLayout['scope'], scopeKey: string, layout: QuickKeyLayoutInput) => Promise<QuickKeyLayout>;
+    deleteQuickKeyLayout: (scope: QuickKeyLayout['scope'], scopeKey: string) => Promise<void>;
+    // CFDI invoices
+    createInvoice: (orderIds: string[], receptor: InvoiceReceptor) => Promise<Invoice>;
+    invoicesForOrder: (orderId: string) => Promise<Invoice[]>;
+    invoiceRequests: InvoiceRequest[];
+    issueInvoiceRequest: (requestId: string) => Promise<Invoice>;
+    rejectInvoiceRequest: (requestId: string, reason: string) => Promise<void>;
     // Orders
     orders: Order[];
-    createOrder: (orderDetails: { clientName: string; serviceType: 'Mesa' | 'Para llevar'; paymentMethod: 'Efectivo' | 'Tarjeta'; customerId?: string; tip?: number; }) => Promise<void>;
-    deleteOrder: (orderId: string) => Promise<void>;
+    createOrder: (orderDetails: { clientName: string; serviceType: 'Mesa' | 'Para llevar'; paymentMethod: PaymentMethod; payments?: PaymentTender[]; customerId?: string; tip?: number; cashTendered?: number; usdTendered?: number; }) => Promise<Order | undefined>;
+    createSplitOrder: (details: { clientName: string; serviceType: 'Mesa' | 'Para llevar'; payers: SplitBillPayer[]; assignments: SplitBillAssignment[]; }) => Promise<Order[]>;
+    refundOrder: (orderId: string, reason: string, lines?: { lineIndex: number; quantity: number }[]) => Promise<void>;
+    editOrder: (orderId: string, edit: OrderEditInput) => Promise<Order>;
+    fetchOrderEdits: (orderId: string) => Promise<OrderEdit[]>;
     refetchOrders: () => Promise<void>;
     refetchAll: () => Promise<void>;
+    // Refunds
+    refunds: OrderRefund[];
     // Expenses
     expenses: Expense[];
     addExpense: (expense: Omit<Expense, 'id'>) => Promise<void>;
@@ -56,11 +124,23 @@ interface AppContextType {
     finishCoworkingSession: (sessionId: string, paymentMethod: 'Efectivo' | 'Tarjeta') => Promise<void>;
     cancelCoworkingSession: (sessionId: string) => Promise<void>;
     deleteCoworkingSession: (sessionId: string) => Promise<void>;
+    // Tabs (dine-in)
+    tabs: Tab[];
+    floorTables: FloorTable[];
+    refreshTabs: () => Promise<void>;
+    openTab: (details: { name: string; tableId?: string | null; customerId?: string | null }) => Promise<Tab>;
+    addTabItems: (tabId: string, items: Pick<TabItem, 'id' | 'name' | 'price' | 'quantity' | 'modifiers'>[]) => Promise<Tab>;
+    updateTab: (tabId: string, updates: Partial<Pick<Tab, 'name' | 'tableId' | 'items' | 'customerId'>>) => Promise<Tab>;
+    deleteTab: (tabId: string) => Promise<void>;
+    closeTab: (tabId: string, payment: { paymentMethod: PaymentMethod; payments?: PaymentTender[]; customerId?: string; tip?: number; }) => Promise<Order>;
+    createFloorTable: (table: Omit<FloorTable, 'id'>) => Promise<FloorTable>;
+    updateFloorTable: (tableId: string, updates: Partial<Omit<FloorTable, 'id'>>) => Promise<FloorTable>;
+    deleteFloorTable: (tableId: string) => Promise<void>;
     // Cash
     cashSessions: CashSession[];
     cashWithdrawals: CashWithdrawal[];
-    startCashSession: (startAmount: number) => void;
-    closeCashSession: (endAmount: number) => void;
+    startCashSession: (startAmount: number, startAmountUsd?: number) => void;
+    closeCashSession: (endAmount: number, endAmountUsd?: number) => void;
     addCashWithdrawal: (cashSessionId: string, amount: number, description: string) => Promise<void>;
     deleteCashWithdrawal: (withdrawalId: string) => Promise<void>;
     // Customers
@@ -69,6 +149,12 @@ interface AppContextType {
     updateCustomer: (customer: Customer) => Promise<void>;
     deleteCustomer: (customerId: string) => Promise<void>;
     addCustomerCredit: (customerId: string, amount: number, type: 'charge' | 'payment', description: string) => Promise<void>;
+    // Offline queue: sales, expenses, withdrawals and coworking changes made without a connection
+    isOnline: boolean;
+    pendingSync: PendingSyncItem[];
+    syncNow: () => Promise<void>;
+    retrySync: (id: number) => Promise<void>;
+    discardSync: (id: number) => Promise<void>;
 }
 
 const AppContext = createContext<AppContextType | undefined>(undefined);
@@ -79,11 +165,15 @@ const AppContext = createContext<AppContextType | undefined>(undefined);
 // What's left here is exactly the part that doesn't decompose cleanly: app
 // startup (cache-then-network loading for every resource at once) and the
 // handful of functions that genuinely span multiple resources - createOrder
-// (cart + customer discount + product stock), addExpense (cash session +
-// withdrawal), finishCoworkingSession (products + orders + its own session
-// update), and closeCashSession (orders + expenses + coworking + withdrawals).
+// and createSplitOrder (cart + customer discount + product stock), addExpense (cash session +
+// withdrawal), finishCoworkingSession and closeTab (products + orders + their
+// own session/tab update), refundOrder (refunds + orders + stock + customer credit),
+// createInvoice and issueInvoiceRequest (invoices + the orders they mark as invoiced), and
+// closeCashSession (orders + refunds + expenses + coworking + withdrawals).
 export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
-    const cartHook = useCart();
+    const promotionsHook = usePromotions();
+    const ingredientsHook = useIngredients();
+    const cartHook = useCart(promotionsHook.promotions);
     const authHook = useAuthUsers();
     const productsHook = useProducts();
     const customersHook = useCustomers();
@@ -92,6 +182,16 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
     const ordersHook = useOrders();
     const coworkingHook = useCoworkingSessions();
     const cashSessionsHook = useCashSessions();
+    const refundsHook = useRefunds();
+    const tabsHook = useTabs();
+    const kitchenHook = useKitchen();
+    const settingsHook = useSettings();
+    const exchangeRatesHook = useExchangeRates();
+    const quickKeyLayoutsHook = useQuickKeyLayouts(authHook.currentUser?.role);
+    const parkedCartsHook = useParkedCarts();
+    const invoicesHook = useInvoices();
+    // Once the queue gets something through, the server's records replace the stand-ins
+    const offlineQueueHook = useOfflineQueue(() => { refetchAll(); });
 
     // PWA initialization state - prevents showing stale/empty data
     const [isInitializing, setIsInitializing] = useState(true);
@@ -108,13 +208,14 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
         if (isBackground) {
             console.log(`${logPrefix} Background refresh - fetching all data including customers`);
             try {
-                const [productsData, ordersData, expensesData, coworkingData, cashData, customersData] = await Promise.all([
+                const [productsData, ordersData, expensesData, coworkingData, cashData, customersData, refundsData] = await Promise.all([
                     dedupedFetch<Product[]>('/api/products').catch(() => null),
                     dedupedFetch<Order[]>('/api/orders').catch(() => null),
                     dedupedFetch<Expense[]>('/api/expenses').catch(() => null),
                     dedupedFetch<CoworkingSession[]>('/api/coworking-sessions').catch(() => null),
                     dedupedFetch<any[]>('/api/cash-sessions?limit=100').catch(() => null),
-                    dedupedFetch<Customer[]>('/api/customers').catch(() => null)
+                    dedupedFetch<Customer[]>('/api/customers').catch(() => null),
+                    dedupedFetch<OrderRefund[]>('/api/refunds').catch(() => null)
                 ]);
 
                 if (productsData) {
@@ -148,7 +249,11 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                         totalSales: session.totalSales,
                         totalExpenses: session.totalExpenses,
                         expectedCash: session.expectedCash,
-                        difference: session.difference
+                        difference: session.difference,
+                        startAmountUsd: session.startAmountUsd || 0,
+                        endAmountUsd: session.endAmountUsd ?? null,
+                        expectedCashUsd: session.expectedCashUsd || 0,
+                        differenceUsd: session.differenceUsd || 0
                     }));
                     cashSessionsHook.hydrateCashSessions(mappedSessions);
                     sessionCache.set(CACHE_KEYS.CASH_SESSIONS, mappedSessions);
@@ -161,6 +266,10 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                     offlineStorage.saveAll(STORES.CUSTOMERS, customersData).catch(() => {});
                     console.log(`${logPrefix} 👥 Customers refreshed: ${customersData.length} customers`);
                 }
+                if (refundsData) {
+                    refundsHook.hydrateRefunds(refundsData);
+                    sessionCache.set(CACHE_KEYS.REFUNDS, refundsData);
+                }
                 console.log(`${logPrefix} ✅ Background refresh complete`);
             } catch (error) {
                 console.error(`${logPrefix} Background refresh failed:`, error);
@@ -169,7 +278,7 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
         }
 
         // INITIAL LOAD: Fetch everything
-        console.log(`${logPrefix} Starting initial data fetch (8 calls)...`);
+        console.log(`${logPrefix} Starting initial data fetch (9 calls)...`);
 
         try {
             // OPTIMIZED: Parallel fetch with deduplication
@@ -181,7 +290,8 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                 cashData,
                 usersData,
                 customersData,
-                withdrawalsData
+                withdrawalsData,
+                refundsData
             ] = await Promise.all([
                 dedupedFetch<Product[]>('/api/products').catch(() => null),
                 dedupedFetch<Order[]>('/api/orders').catch(() => null),
@@ -190,7 +300,8 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                 dedupedFetch<any[]>('/api/cash-sessions?limit=100').catch(() => null),
                 dedupedFetch<User[]>('/api/users').catch(() => []),
                 dedupedFetch<Customer[]>('/api/customers').catch(() => null),
-                dedupedFetch<CashWithdrawal[]>('/api/cash-withdrawals').catch(() => null)
+                dedupedFetch<CashWithdrawal[]>('/api/cash-withdrawals').catch(() => null),
+                dedupedFetch<OrderRefund[]>('/api/refunds').catch(() => null)
             ]);
 
             // Update state and caches in parallel
@@ -232,7 +343,11 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                     totalSales: session.totalSales,
                     totalExpenses: session.totalExpenses,
                     expectedCash: session.expectedCash,
-                    difference: session.difference
+                    difference: session.difference,
+                    startAmountUsd: session.startAmountUsd || 0,
+                    endAmountUsd: session.endAmountUsd ?? null,
+                    expectedCashUsd: session.expectedCashUsd || 0,
+                    differenceUsd: session.differenceUsd || 0
                 }));
                 cashSessionsHook.hydrateCashSessions(mappedSessions);
                 sessionCache.set(CACHE_KEYS.CASH_SESSIONS, mappedSessions);
@@ -257,6 +372,11 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                 sessionCache.set(CACHE_KEYS.CASH_WITHDRAWALS, withdrawalsData);
             }
 
+            if (refundsData) {
+                refundsHook.hydrateRefunds(refundsData);
+                sessionCache.set(CACHE_KEYS.REFUNDS, refundsData);
+            }
+
             console.log(`${logPrefix} ✅ Data fetch complete (parallel)`);
         } catch (error) {
             console.error("Failed to fetch data:", error);
@@ -294,6 +414,7 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                 // FIX: Customers now loaded from IndexedDB for instant PWA load
                 const cachedCustomers = idbCustomers.length > 0 ? idbCustomers : sessionCache.get<Customer[]>(CACHE_KEYS.CUSTOMERS);
                 const cachedWithdrawals = sessionCache.get<CashWithdrawal[]>(CACHE_KEYS.CASH_WITHDRAWALS);
+                const cachedRefunds = sessionCache.get<OrderRefund[]>(CACHE_KEYS.REFUNDS);
 
                 const hasCache = (cachedProducts && cachedProducts.length > 0) || (cachedOrders && cachedOrders.length > 0) || (cachedCashSessions && cachedCashSessions.length > 0);
 
@@ -318,6 +439,7 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                     if (cachedUsers && cachedUsers.length > 0) authHook.hydrateUsers(cachedUsers);
                     if (cachedCustomers && cachedCustomers.length > 0) customersHook.hydrateCustomers(cachedCustomers);
                     if (cachedWithdrawals && cachedWithdrawals.length > 0) cashWithdrawalsHook.hydrateCashWithdrawals(cachedWithdrawals);
+                    if (cachedRefunds && cachedRefunds.length > 0) refundsHook.hydrateRefunds(cachedRefunds);
 
                     initialLoadDone.current = true;
                     // PWA FIX: Only mark as initialized if we have valid data
@@ -355,25 +477,28 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
     }, []);
 
     // Order Function (updated for API)
-    const createOrder = async (orderDetails: { clientName: string; serviceType: 'Mesa' | 'Para llevar'; paymentMethod: 'Efectivo' | 'Tarjeta' | 'Crédito'; customerId?: string; tip?: number; }) => {
+    const createOrder = async (orderDetails: { clientName: string; serviceType: 'Mesa' | 'Para llevar'; paymentMethod: PaymentMethod; payments?: PaymentTender[]; customerId?: string; tip?: number; cashTendered?: number; usdTendered?: number; }) => {
         if (cartHook.cart.length === 0) return;
 
         // FIX BUG 3: Clear cart IMMEDIATELY to prevent duplicate orders during async operations
         const orderCart = [...cartHook.cart];
-        const orderSubtotal = cartHook.cartSubtotal;
+        // Rounded to cents like the server's pricing, or a half-cent discount gets the sale rejected (409)
+        const orderSubtotal = roundMoney(cartHook.cartSubtotal);
+        const couponCode = cartHook.couponCode.trim() || undefined;
 
-        // FIX BUG 1: Calculate discount from customer
-        let discount = 0;
+        // Promotions first; the customer's discount applies to what's left (same order as the server)
+        let discount = cartHook.promotionDiscount;
         if (orderDetails.customerId) {
             const customer = customersHook.customers.find(c => c.id === orderDetails.customerId);
             if (customer && customer.discountPercentage > 0) {
-                discount = orderSubtotal * (customer.discountPercentage / 100);
-                console.log(`💰 Applying ${customer.discountPercentage}% discount for ${customer.name}: -$${discount.toFixed(2)}`);
+                const customerDiscount = roundMoney(roundMoney(orderSubtotal - cartHook.promotionDiscount) * (customer.discountPercentage / 100));
+                discount = roundMoney(discount + customerDiscount);
+                console.log(`💰 Applying ${customer.discountPercentage}% discount for ${customer.name}: -$${customerDiscount.toFixed(2)}`);
             }
         }
 
         const tipAmount = orderDetails.tip || 0;
-        const orderTotal = orderSubtotal - discount + tipAmount;
+        const orderTotal = roundMoney(orderSubtotal - discount + tipAmount);
 
         cartHook.clearCart();
 
@@ -396,6 +521,7 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                 items: orderCart,
                 subtotal: orderSubtotal,
                 discount, // FIX BUG 1: Include discount in order data
+                couponCode,
                 total: orderTotal,
                 userId: authHook.currentUser?.id || 'guest',
                 customerId: orderDetails.customerId || null,
@@ -405,45 +531,87 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
 
             console.log('📡 Sending order to API...', orderData);
 
-            // Create order in database
-            const response = await fetch('/api/orders', {
+            // Create order in database, or queue it while the Wi-Fi is down
+            // (the key, also sent as X-Idempotency-Key, makes the replay safe)
+            const response = await sendOrQueue({
+                type: 'CREATE',
+                store: STORES.ORDERS,
+                endpoint: '/api/orders',
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Idempotency-Key': idempotencyKey // Send in header too
-                },
-                body: JSON.stringify(orderData),
+                body: orderData,
+                idempotencyKey,
+                label: `Venta: ${orderDetails.clientName} $${orderTotal.toFixed(2)}`,
             });
 
+            if (!response) {
+                // The sale stands at the register's prices; the server checks
+                // them (and the stock) when the queue replays it
+                const pendingOrder: Order = {
+                    id: idempotencyKey,
+                    date: new Date().toISOString(),
+                    items: orderCart,
+                    subtotal: orderSubtotal,
+                    discount,
+                    tip: tipAmount,
+                    total: orderTotal,
+                    totalCost: orderCart.reduce((sum, item) => sum + (item.cost || 0) * item.quantity, 0),
+                    clientName: orderDetails.clientName,
+                    serviceType: orderDetails.serviceType,
+                    paymentMethod: orderDetails.payments && orderDetails.payments.length > 1 ? 'Mixto' : orderDetails.paymentMethod,
+                    payments: orderDetails.payments,
+                    customerId: orderDetails.customerId,
+                    promotions: cartHook.appliedPromotions,
+                    pendingSync: true,
+                };
+                ordersHook.pushOrder(pendingOrder);
+                productsHook.applySaleToLocalStock(orderCart.map(item => ({
+                    id: item.id,
+                    quantity: item.quantity
+                })));
+                console.log(`📴 Venta en cola sin conexión: ${orderDetails.clientName} - $${orderTotal.toFixed(2)}`);
+                return pendingOrder;
+            }
+
             console.log('📡 Server response status:', response.status);
 
             if (!response.ok) {
                 const errorText = await response.text();
                 console.error('❌ Server error:', response.status, errorText);
                 // Restore cart if order failed
-                orderCart.forEach(item => cartHook.addToCart(item));
+                cartHook.restoreCart(orderCart, couponCode);
+                // 409 with `mismatched`: the server re-priced the cart and our totals
+                // disagree (stale product/customer/promotion cache). Refresh so the
+                // next attempt uses current prices. Other 409s (coupon used up, no
+                // stock) carry their own message.
+                if (response.status === 409 && errorText.includes('"mismatched"')) {
+                    refetchAll();
+                    promotionsHook.refreshPromotions();
+                    alert('⚠️ Los precios cambiaron desde la última actualización. Revisa el total y vuelve a cobrar.');
+                    throw new Error(`Order totals rejected by server: ${errorText}`);
+                }
                 alert(`❌ Error al guardar la orden: ${response.status} - ${errorText}`);
                 throw new Error(`Failed to create order: ${response.status} - ${errorText}`);
             }
 
+            // Totals in the response are the server's, not the ones computed above
             const newOrder = await response.json();
-            console.log('✅ Order saved successfully:', newOrder.id);
+            console.log('✅ Order saved successfully:', newOrder.id, { total: newOrder.total });
 
             // Update local state and cache (no refetch needed - we have the new order)
             ordersHook.pushOrder(newOrder);
 
-            // 🚀 PERF FIX: Update stock in background (non-blocking)
-            // This was causing ~100-500ms delay after order creation
-            const stockUpdates = orderCart.map(item => ({
-                id: item.id,
-                quantity: item.quantity
-            }));
-            productsHook.updateStockForSale(stockUpdates).catch(err =>
-                console.error('Background stock update failed:', err)
-            );
+            // Stock was decremented server-side in the same transaction as the
+            // order; just mirror it locally (a duplicate retry changed nothing).
+            if (!newOrder.isDuplicate) {
+                productsHook.applySaleToLocalStock(orderCart.map(item => ({
+                    id: item.id,
+                    quantity: item.quantity
+                })));
+            }
 
             // Return success info instead of blocking alert
-            console.log(`✅ Venta guardada: ${orderDetails.clientName} - $${orderTotal.toFixed(2)}`);
+            console.log(`✅ Venta guardada: ${orderDetails.clientName} - $${newOrder.total.toFixed(2)}`);
+            return newOrder as Order;
         } catch (error) {
             console.error("❌ Error creating order:", error);
             alert(`❌ ERROR: La venta NO se guardó. ${error.message || error}`);
@@ -451,12 +619,152 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
         }
     };
 
+    // Split bill: the server prices the cart once and creates one child order
+    // per payer (all or none). Cart lines are referenced by index, so the cart
+    // is sent as-is and only cleared once the server accepted it.
+    const createSplitOrder = async (details: { clientName: string; serviceType: 'Mesa' | 'Para llevar'; payers: SplitBillPayer[]; assignments: SplitBillAssignment[]; }) => {
+        if (cartHook.cart.length === 0) return [];
+        const orderCart = [...cartHook.cart];
+        const idempotencyKey = `split-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+        console.log('🧾 Creating split order...', { clientName: details.clientName, payers: details.payers.length, items: orderCart.length });
+
+        const response = await fetch('/api/orders/split', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Idempotency-Key': idempotencyKey
+            },
+            body: JSON.stringify({
+                ...details,
+                items: orderCart,
+                userId: authHook.currentUser?.id || 'guest',
+                idempotencyKey,
+            }),
+        });
+
+        if (!response.ok) {
+            const { error } = await response.json().catch(() => ({ error: undefined }));
+            console.error('❌ Split order rejected:', response.status, error);
+            if (response.status === 409) refetchAll();
+            alert(`❌ La cuenta dividida NO se guardó. ${error || response.status}`);
+            throw new Error(error || `Failed to create split order: ${response.status}`);
+        }
+
+        const { orders: childOrders, isDuplicate }: { orders: Order[]; isDuplicate?: boolean } = await response.json();
+        console.log('✅ Split order saved:', childOrders.map(o => o.id));
+
+        cartHook.clearCart();
+        [...childOrders].reverse().forEach(order => ordersHook.pushOrder(order));
+        if (!isDuplicate) {
+            productsHook.applySaleToLocalStock(orderCart.map(item => ({
+                id: item.id,
+                quantity: item.quantity
+            })));
+        }
+        return childOrders;
+    };
+
+    // closeTab pays a tab as one regular order and then marks the tab closed
+    // with that order's id. The idempotency key is derived from the tab, so if
+    // the close step fails, paying again returns the same order instead of
+    // charging the table twice.
+    const closeTab = async (tabId: string, payment: { paymentMethod: PaymentMethod; payments?: PaymentTender[]; customerId?: string; tip?: number; }) => {
+        const tab = tabsHook.tabs.find(t => t.id === tabId);
+        if (!tab || tab.status !== 'open') {
+            throw new Error('Tab not found or already closed');
+        }
+        const idempotencyKey = `tab-${tab.id}`;
+
+        console.log('🍽️ Closing tab...', { tabId, name: tab.name, items: tab.items.length });
+
+        try {
+            // No client totals: the server prices the lines and the tenders must match its total
+            const response = await fetch('/api/orders', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Idempotency-Key': idempotencyKey
+                },
+                body: JSON.stringify({
+                    ...payment,
+                    clientName: tab.name,
+                    serviceType: 'Mesa',
+                    items: tab.items,
+                    customerId: payment.customerId || tab.customerId || null,
+                    userId: authHook.currentUser?.id || 'guest',
+                    idempotencyKey,
+                    sendToKitchen: false, // each round went to the kitchen when it was added
+                }),
+            });
+
+            if (!response.ok) {
+                const { error } = await response.json().catch(() => ({ error: undefined }));
+                throw new Error(error || `Failed to create order: ${response.status}`);
+            }
+
+            const newOrder: Order & { isDuplicate?: boolean } = await response.json();
+            ordersHook.pushOrder(newOrder);
+            if (!newOrder.isDuplicate) {
+                productsHook.applySaleToLocalStock(tab.items.map(item => ({ id: item.id, quantity: item.quantity })));
+            }
+
+            await tabsHook.markTabClosed(tab.id, newOrder.id);
+            console.log(`✅ Cuenta cerrada: ${tab.name} - $${newOrder.total.toFixed(2)}`);
+            return newOrder;
+        } catch (error) {
+            console.error('❌ Error closing tab:', error);
+            alert(`❌ La cuenta NO se cerró. ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    // refundOrder spans refunds + orders (status) + products (returned stock) +
+    // customers (reversed credit). The server does all of it in one
+    // transaction; here we record it and then pull the affected resources.
+    const refundOrder = async (orderId: string, reason: string, lines?: { lineIndex: number; quantity: number }[]) => {
+        const { order } = await refundsHook.refundOrder(orderId, {
+            reason,
+            lines,
+            userId: authHook.currentUser?.id
+        });
+        ordersHook.replaceOrder(order);
+        await refetchAll();
+    };
+
+    // editOrder spans orders + products (stock of the changed lines) +
+    // customers (credit moved with the new total or customer).
+    const editOrder = async (orderId: string, edit: OrderEditInput) => {
+        const order = await ordersHook.editOrder(orderId, { ...edit, userId: authHook.currentUser?.id });
+        await refetchAll();
+        return order;
+    };
+
+    // createInvoice stamps the CFDI and marks its orders; pull them so the
+    // history shows them as invoiced.
+    const createInvoice = async (orderIds: string[], receptor: InvoiceReceptor) => {
+        const invoice = await invoicesHook.createInvoice(orderIds, receptor);
+        await ordersHook.refetchOrders();
+        return invoice;
+    };
+
+    const issueInvoiceRequest = async (requestId: string) => {
+        const invoice = await invoicesHook.issueInvoiceRequest(requestId);
+        await ordersHook.refetchOrders();
+        return invoice;
+    };
+
     // 🔄 Refetch All Data - complete refresh of all app data
     const refetchAll = async () => {
+        // Offline, keep what the register has, sales waiting in the queue included
+        if (!navigator.onLine) {
+            console.log('📴 Offline - keeping local data until the connection is back');
+            return;
+        }
         try {
             console.log('🔄 Refetching all data...');
 
-            const [productsData, ordersData, expensesData, coworkingData, cashData, usersData, customersData, withdrawalsData] = await Promise.all([
+            const [productsData, ordersData, expensesData, coworkingData, cashData, usersData, customersData, withdrawalsData, refundsData] = await Promise.all([
                 fetch('/api/products').then(r => r.ok ? r.json() : null),
                 fetch('/api/orders').then(r => r.ok ? r.json() : null),
                 fetch('/api/expenses').then(r => r.ok ? r.json() : null),
@@ -464,7 +772,8 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                 fetch('/api/cash-sessions?limit=100').then(r => r.ok ? r.json() : null),
                 fetch('/api/users').then(r => r.ok ? r.json() : null),
                 fetch('/api/customers').then(r => r.ok ? r.json() : null),
-                fetch('/api/cash-withdrawals').then(r => r.ok ? r.json() : null)
+                fetch('/api/cash-withdrawals').then(r => r.ok ? r.json() : null),
+                fetch('/api/refunds').then(r => r.ok ? r.json() : null)
             ]);
 
             if (productsData) {
@@ -498,7 +807,11 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                     totalSales: session.totalSales,
                     totalExpenses: session.totalExpenses,
                     expectedCash: session.expectedCash,
-                    difference: session.difference
+                    difference: session.difference,
+                    startAmountUsd: session.startAmountUsd || 0,
+                    endAmountUsd: session.endAmountUsd ?? null,
+                    expectedCashUsd: session.expectedCashUsd || 0,
+                    differenceUsd: session.differenceUsd || 0
                 }));
                 cashSessionsHook.hydrateCashSessions(mappedSessions);
                 sessionCache.set(CACHE_KEYS.CASH_SESSIONS, mappedSessions);
@@ -517,6 +830,10 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                 cashWithdrawalsHook.hydrateCashWithdrawals(withdrawalsData);
                 sessionCache.set(CACHE_KEYS.CASH_WITHDRAWALS, withdrawalsData);
             }
+            if (refundsData) {
+                refundsHook.hydrateRefunds(refundsData);
+                sessionCache.set(CACHE_KEYS.REFUNDS, refundsData);
+            }
 
             console.log('✅ All data refetched successfully');
         } catch (error) {
@@ -561,10 +878,6 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                 throw new Error('Session not found or already finished');
             }
 
-            // Decrease stock for extras via API
-            const stockUpdates = session.consumedExtras.map(item => ({ id: item.id, quantity: item.quantity }));
-            await productsHook.updateStockForSale(stockUpdates);
-
             // Create Order logic with correct coworking billing
             const endTime = new Date();
             const startTime = new Date(session.startTime);
@@ -609,10 +922,13 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                 imageUrl: '', category: 'Cafetería',
             };
 
-            // Convert cafe items to $0 price (complimentary) but keep cost for tracking
+            // Convert cafe items to $0 price (complimentary) but keep cost for tracking.
+            // The server re-prices every line and keeps $0 only for what the
+            // session consumed.
             const cafeItemsWithZeroPrice = cafeItems.map(item => ({
                 ...item,
-                price: 0 // Complimentary for customers, but cost still tracked
+                price: 0, // Complimentary for customers, but cost still tracked
+                complimentary: true
             }));
 
             // Include ALL items: service + cafe items (at $0) + chargeable items
@@ -637,25 +953,43 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
             });
 
             try {
-                const response = await fetch('/api/orders', {
+                // The server prices the time from the session's stored end, so
+                // it's recorded first (in the same queue order while offline)
+                await coworkingHook.updateCoworkingSession(sessionId, { endTime: endTime.toISOString() });
+
+                // Keyed by the session, so finishing it twice charges it once;
+                // queued like any sale while offline
+                const idempotencyKey = `coworking-${sessionId}`;
+                const response = await sendOrQueue({
+                    type: 'CREATE',
+                    store: STORES.ORDERS,
+                    endpoint: '/api/orders',
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
+                    body: {
                         clientName: session.clientName,
                         serviceType: 'Mesa',
                         paymentMethod,
                         items: allOrderItems,
                         subtotal,
                         total,
-                        userId: authHook.currentUser?.id || 'coworking-system'
-                    })
+                        coworkingSessionId: sessionId,
+                        userId: authHook.currentUser?.id || 'coworking-system',
+                        sendToKitchen: false, // extras were served during the session
+                        idempotencyKey
+                    },
+                    idempotencyKey,
+                    label: `Coworking: cobro de ${session.clientName} $${total.toFixed(2)}`,
                 });
 
-                console.log('📡 Server response status:', response.status);
-
-                if (response.ok) {
+                if (!response) {
+                    ordersHook.pushOrder({ ...newOrder, id: idempotencyKey, pendingSync: true });
+                    productsHook.applySaleToLocalStock(session.consumedExtras.map(item => ({ id: item.id, quantity: item.quantity })));
+                    alert(`📴 Sin conexión: el cobro de coworking de ${session.clientName} ($${total.toFixed(2)}) se enviará al reconectar`);
+                } else if (response.ok) {
                     const createdOrder = await response.json();
                     ordersHook.pushOrder(createdOrder);
+                    // Extras' stock was decremented by the server along with the order
+                    productsHook.applySaleToLocalStock(session.consumedExtras.map(item => ({ id: item.id, quantity: item.quantity })));
                     console.log('✅ Coworking order successfully saved to database:', createdOrder.id);
                     alert(`✅ Sesión de coworking guardada: ${session.clientName} - $${total.toFixed(2)}`);
                 } else {
@@ -694,7 +1028,7 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
     // closeCashSession spans cash-sessions + orders + expenses + coworking-sessions
     // + cash-withdrawals to compute the closing summary - see
     // hooks/useCashSessions.ts for why that calculation isn't in the hook itself.
-    const closeCashSession = async (endAmount: number) => {
+    const closeCashSession = async (endAmount: number, endAmountUsd = 0) => {
         const currentSession = cashSessionsHook.cashSessions.find(s => s.status === 'open');
         if (!currentSession) {
             alert("No hay una sesión de caja abierta para cerrar.");
@@ -710,18 +1044,25 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
             );
             const sessionWithdrawals = cashWithdrawalsHook.cashWithdrawals.filter(w => w.cash_session_id === currentSession.id);
 
+            // Refunds count against the session they were made in, not the order's
+            const sessionRefunds = refundsHook.refunds.filter(r => new Date(r.date) >= new Date(currentSession.startDate));
+
             const ordersSales = sessionOrders.reduce((sum, order) => sum + order.total, 0);
             const coworkingSales = sessionCoworking.reduce((sum, session) => sum + ((session as any).total || 0), 0);
-            const totalSales = ordersSales + coworkingSales;
+            const totalRefunds = sessionRefunds.reduce((sum, r) => sum + r.amount, 0);
+            const totalSales = ordersSales + coworkingSales - totalRefunds;
             const totalExpenses = sessionExpenses.reduce((sum, expense) => sum + expense.amount, 0);
             const totalWithdrawals = sessionWithdrawals.reduce((sum, w) => sum + w.amount, 0);
 
-            const ordersCashSales = sessionOrders.filter(o => o.paymentMethod === 'Efectivo').reduce((sum, o) => sum + o.total, 0);
+            // Split payments: only the cash tenders went into the drawer, pesos and dollars apart
+            const drawer = drawerCash(sessionOrders, sessionRefunds);
             const coworkingCashSales = sessionCoworking.filter(s => (s as any).paymentMethod === 'Efectivo').reduce((sum, s) => sum + ((s as any).total || 0), 0);
-            const cashSales = ordersCashSales + coworkingCashSales;
+            const cashSales = drawer.mxn + coworkingCashSales;
 
             const expectedCash = currentSession.startAmount + cashSales - totalExpenses - totalWithdrawals;
             const difference = endAmount - expectedCash;
+            const expectedCashUsd = (currentSession.startAmountUsd || 0) + drawer.usd;
+            const differenceUsd = endAmountUsd - expectedCashUsd;
 
             const updateData = {
                 endAmount,
@@ -730,6 +1071,9 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
                 totalExpenses,
                 expectedCash,
                 difference,
+                endAmountUsd,
+                expectedCashUsd,
+                differenceUsd,
                 status: 'closed'
             };
 
@@ -746,8 +1090,41 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
     const addCashWithdrawal = (cashSessionId: string, amount: number, description: string) =>
         cashWithdrawalsHook.addCashWithdrawal(cashSessionId, amount, description, authHook.currentUser?.id);
 
-    const startCashSession = (startAmount: number) =>
-        cashSessionsHook.startCashSession(startAmount, authHook.currentUser?.id);
+    const startCashSession = (startAmount: number, startAmountUsd?: number) =>
+        cashSessionsHook.startCashSession(startAmount, authHook.currentUser?.id, startAmountUsd);
+
+    const setExchangeRate = (rate: number) =>
+        exchangeRatesHook.setExchangeRate(rate, authHook.currentUser?.id);
+
+    // Parking empties the register for the next customer; resuming puts the
+    // lines and coupon back (the register's cart must be empty first)
+    const parkCart = async (name: string) => {
+        const parked = await parkedCartsHook.parkCart({
+            name, items: cartHook.cart, couponCode: cartHook.couponCode,
+            userId: authHook.currentUser?.id, deviceId: quickKeyLayoutsHook.deviceId || undefined,
+        });
+        cartHook.clearCart();
+        return parked;
+    };
+
+    const resumeParkedCart = async (id: string) => {
+        if (cartHook.cart.length > 0) {
+            throw new Error('Cobra o estaciona la venta actual antes de retomar otra');
+        }
+        const parked = await parkedCartsHook.resumeParkedCart(id);
+        cartHook.restoreCart(parked.items, parked.couponCode);
+        return parked;
+    };
+
+    const addIngredient = (ingredient: IngredientInput) =>
+        ingredientsHook.addIngredient(ingredient, authHook.currentUser?.id);
+    const purchaseIngredient = (ingredientId: string, purchase: { quantity: number; cost: number; postAsExpense?: boolean }) =>
+        ingredientsHook.purchaseIngredient(ingredientId, purchase, authHook.currentUser?.id);
+    const adjustIngredient = (ingredientId: string, adjustment: { countedStock?: number; quantity?: number; note?: string }) =>
+        ingredientsHook.adjustIngredient(ingredientId, adjustment, authHook.currentUser?.id);
+
+    const saveQuickKeyLayout = (scope: QuickKeyLayout['scope'], scopeKey: string, layout: QuickKeyLayoutInput) =>
+        quickKeyLayoutsHook.saveQuickKeyLayout(scope, scopeKey, layout, authHook.currentUser?.id);
 
     return (
         <AppContext.Provider value={{
@@ -760,8 +1137,29 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
             deleteProduct: productsHook.deleteProduct, importProducts: productsHook.importProducts,
             cart: cartHook.cart, addToCart: cartHook.addToCart, removeFromCart: cartHook.removeFromCart,
             updateCartQuantity: cartHook.updateCartQuantity, clearCart: cartHook.clearCart,
+            parkedCarts: parkedCartsHook.parkedCarts, parkCart, resumeParkedCart,
+            discardParkedCart: parkedCartsHook.discardParkedCart,
             cartSubtotal: cartHook.cartSubtotal, cartTotal: cartHook.cartTotal,
-            orders: ordersHook.orders, createOrder, deleteOrder: ordersHook.deleteOrder,
+            couponCode: cartHook.couponCode, setCouponCode: cartHook.setCouponCode,
+            appliedPromotions: cartHook.appliedPromotions, promotionDiscount: cartHook.promotionDiscount,
+            couponError: cartHook.couponError,
+            promotions: promotionsHook.promotions, addPromotion: promotionsHook.addPromotion,
+            updatePromotion: promotionsHook.updatePromotion, deletePromotion: promotionsHook.deletePromotion,
+            ingredients: ingredientsHook.ingredients, addIngredient, updateIngredient: ingredientsHook.updateIngredient,
+            deleteIngredient: ingredientsHook.deleteIngredient, purchaseIngredient, adjustIngredient,
+            kitchenTickets: kitchenHook.kitchenTickets, refreshKitchenTickets: kitchenHook.refreshKitchenTickets,
+            bumpKitchenItem: kitchenHook.bumpKitchenItem, bumpKitchenTicket: kitchenHook.bumpKitchenTicket,
+            settings: settingsHook.settings, updateSettings: settingsHook.updateSettings,
+            printReceipt: settingsHook.printReceipt,
+            exchangeRate: exchangeRatesHook.exchangeRate, setExchangeRate,
+            deviceId: quickKeyLayoutsHook.deviceId, quickKeyLayout: quickKeyLayoutsHook.activeLayout,
+            quickKeyLayouts: quickKeyLayoutsHook.layouts, saveQuickKeyLayout,
+            deleteQuickKeyLayout: quickKeyLayoutsHook.deleteQuickKeyLayout,
+            createInvoice, invoicesForOrder: invoicesHook.invoicesForOrder,
+            invoiceRequests: invoicesHook.invoiceRequests, issueInvoiceRequest,
+            rejectInvoiceRequest: invoicesHook.rejectInvoiceRequest,
+            orders: ordersHook.orders, createOrder, createSplitOrder, refundOrder, editOrder, fetchOrderEdits: ordersHook.fetchOrderEdits,
+            refunds: refundsHook.refunds,
             refetchOrders: ordersHook.refetchOrders, refetchAll,
             expenses: expensesHook.expenses, addExpense,
             updateExpense: expensesHook.updateExpense, deleteExpense: expensesHook.deleteExpense,
@@ -771,12 +1169,20 @@ export const AppContextProvider: React.FC<{ children: ReactNode }> = ({ children
             finishCoworkingSession,
             cancelCoworkingSession: coworkingHook.cancelCoworkingSession,
             deleteCoworkingSession: coworkingHook.deleteCoworkingSession,
+            tabs: tabsHook.tabs, floorTables: tabsHook.floorTables, refreshTabs: tabsHook.refreshTabs,
+            openTab: (details) => tabsHook.openTab({ ...details, userId: authHook.currentUser?.id }),
+            addTabItems: tabsHook.addTabItems, updateTab: tabsHook.updateTab, deleteTab: tabsHook.deleteTab,
+            closeTab,
+            createFloorTable: tabsHook.createFloorTable, updateFloorTable: tabsHook.updateFloorTable,
+            deleteFloorTable: tabsHook.deleteFloorTable,
             cashSessions: cashSessionsHook.cashSessions, cashWithdrawals: cashWithdrawalsHook.cashWithdrawals,
             startCashSession, closeCashSession,
             addCashWithdrawal, deleteCashWithdrawal: cashWithdrawalsHook.deleteCashWithdrawal,
             customers: customersHook.customers, addCustomer: customersHook.addCustomer,
             updateCustomer: customersHook.updateCustomer, deleteCustomer: customersHook.deleteCustomer,
             addCustomerCredit: customersHook.addCustomerCredit,
+            isOnline: offlineQueueHook.isOnline, pendingSync: offlineQueueHook.pendingSync,
+            syncNow: offlineQueueHook.syncNow, retrySync: offlineQueueHook.retrySync, discardSync: offlineQueueHook.discardSync,
         }}>
             {children}
         </AppContext.Provider>
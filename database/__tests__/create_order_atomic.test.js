@@ -0,0 +1,202 @@
+// create_order_atomic as the migrations leave it (008 onwards), driven through
+// POST /api/orders on a throwaway PostgreSQL (tests/support/postgres.js):
+// server.js builds the schema and runs the migrations the way it does in
+// production, so these cover the SQL that the in-memory tests can't reach.
+
+const { startServer, request } = require('../../tests/characterization/helpers');
+const { startPostgres } = require('../../tests/support/postgres');
+
+const PORT = 3962;
+const PG_PORT = 54362;
+
+let db;
+let server;
+const get = (urlPath) => request(server.baseUrl, 'GET', urlPath);
+const post = (urlPath, body) => request(server.baseUrl, 'POST', urlPath, body);
+
+beforeAll(async () => {
+  db = await startPostgres(PG_PORT);
+  server = await startServer(PORT, { DATABASE_URL: db.url });
+}, 120000);
+
+afterAll(async () => {
+  server?.stop();
+  await db?.stop();
+});
+
+const createProduct = async (product) => {
+  const { status, body } = await post('/api/products', { category: 'Pruebas', cost: 10, ...product });
+  expect({ status, error: body.error }).toEqual({ status: 201 });
+  return body;
+};
+const stockOf = async (id) => (await get('/api/products')).body.find(p => p.id === id).stock;
+
+describe('idempotency keys (008)', () => {
+  let bagel;
+  const sell = (idempotencyKey, quantity = 1) => post('/api/orders', {
+    clientName: 'Tableta', serviceType: 'Para llevar', paymentMethod: 'Efectivo', sendToKitchen: false,
+    items: [{ id: bagel.id, name: bagel.name, quantity }], idempotencyKey,
+  });
+
+  beforeAll(async () => {
+    bagel = await createProduct({ name: 'Bagel idempotente', price: 30, stock: 10 });
+  });
+
+  test('a retry with the same key returns the first order and takes the stock once', async () => {
+    const first = await sell('retry-1');
+    expect(first.status).toBe(201);
+    const retry = await sell('retry-1');
+    expect(retry.status).toBe(200);
+    expect(retry.body).toMatchObject({ id: first.body.id, isDuplicate: true });
+
+    expect(await stockOf(bagel.id)).toBe(9);
+    const { rows } = await db.query('SELECT order_id FROM idempotency_keys WHERE key = $1', ['retry-1']);
+    expect(rows).toEqual([{ order_id: first.body.id }]);
+  });
+
+  test('concurrent requests with one key create one order', async () => {
+    const responses = await Promise.all([sell('race-1'), sell('race-1'), sell('race-1')]);
+
+    expect(responses.map(r => r.status).sort()).toEqual([200, 200, 201]);
+    expect(new Set(responses.map(r => r.body.id)).size).toBe(1);
+    expect(await stockOf(bagel.id)).toBe(8);
+    const { rows } = await db.query('SELECT COUNT(*)::int AS count FROM orders WHERE id = $1', [responses[0].body.id]);
+    expect(rows[0].count).toBe(1);
+  });
+
+  test('an order the procedure rejects leaves no key behind, so the retry can succeed', async () => {
+    const tooMany = await sell('short-1', 50);
+    expect(tooMany.status).toBe(409);
+    expect(tooMany.body.error).toBe('Stock insuficiente para el producto');
+    expect(await stockOf(bagel.id)).toBe(8);
+    expect((await db.query('SELECT key FROM idempotency_keys WHERE key = $1', ['short-1'])).rows).toEqual([]);
+
+    expect((await sell('short-1', 2)).status).toBe(201);
+    expect(await stockOf(bagel.id)).toBe(6);
+  });
+});
+
+describe('split payments (009)', () => {
+  let muffin;
+
+  beforeAll(async () => {
+    muffin = await createProduct({ name: 'Muffin a crédito', price: 40, stock: 10 });
+    await db.query(
+      'INSERT INTO customers (id, name, "creditLimit", "currentCredit") VALUES ($1, $2, $3, 0)',
+      ['cust-split', 'Cliente a crédito', 100]
+    );
+  });
+
+  const customer = async () => (await db.query('SELECT "currentCredit" FROM customers WHERE id = $1', ['cust-split'])).rows[0];
+
+  test('stores the tenders and charges the customer only the credit share', async () => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Cliente a crédito', serviceType: 'Mesa', customerId: 'cust-split', sendToKitchen: false,
+      items: [{ id: muffin.id, name: muffin.name, quantity: 2 }],
+      payments: [{ method: 'Efectivo', amount: 50 }, { method: 'Crédito', amount: 30 }],
+    });
+    expect(status).toBe(201);
+    expect(body.paymentMethod).toBe('Mixto');
+
+    const { rows: [order] } = await db.query('SELECT payments FROM orders WHERE id = $1', [body.id]);
+    expect(order.payments).toEqual([{ method: 'Efectivo', amount: 50 }, { method: 'Crédito', amount: 30 }]);
+    expect(parseFloat((await customer()).currentCredit)).toBe(30);
+    const { rows: credits } = await db.query('SELECT amount FROM customer_credits WHERE "orderId" = $1', [body.id]);
+    expect(credits.map(credit => parseFloat(credit.amount))).toEqual([30]);
+  });
+
+  test('refuses a credit share over the customer\'s limit (409) and takes no stock', async () => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Cliente a crédito', serviceType: 'Mesa', customerId: 'cust-split', sendToKitchen: false,
+      items: [{ id: muffin.id, name: muffin.name, quantity: 2 }],
+      payments: [{ method: 'Efectivo', amount: 5 }, { method: 'Crédito', amount: 75 }],
+    });
+    expect(status).toBe(409);
+    expect(body.error).toBe('El cliente excede su límite de crédito');
+    expect(parseFloat((await customer()).currentCredit)).toBe(30);
+    expect(await stockOf(muffin.id)).toBe(8);
+  });
+});
+
+describe('split-bill stock (010)', () => {
+  test('payers sharing a line take its stock in whole units, once', async () => {
+    const pie = await createProduct({ name: 'Pay para compartir', price: 90, stock: 5 });
+    const tea = await createProduct({ name: 'Té dividido', price: 30, stock: 5 });
+
+    const { status, body } = await post('/api/orders/split', {
+      clientName: 'Mesa 7', serviceType: 'Mesa',
+      items: [{ id: pie.id, name: pie.name, quantity: 1 }, { id: tea.id, name: tea.name, quantity: 2 }],
+      payers: [{ paymentMethod: 'Efectivo' }, { paymentMethod: 'Tarjeta' }, { paymentMethod: 'Tarjeta' }],
+      assignments: [
+        { lineIndex: 0, payer: 0, quantity: 1 / 3 },
+        { lineIndex: 0, payer: 1, quantity: 1 / 3 },
+        { lineIndex: 0, payer: 2, quantity: 1 / 3 },
+        { lineIndex: 1, payer: 1, quantity: 1 },
+        { lineIndex: 1, payer: 2, quantity: 1 },
+      ],
+    });
+    expect({ status, error: body.error }).toEqual({ status: 201 });
+    expect(body.orders.map(o => o.total)).toEqual([30, 60, 60]);
+    expect(await stockOf(pie.id)).toBe(4);
+    expect(await stockOf(tea.id)).toBe(3);
+
+    const { rows } = await db.query('SELECT id FROM orders WHERE "parentOrderId" = $1', [body.parentOrderId]);
+    expect(rows).toHaveLength(3);
+  });
+
+  test('a payer short of stock fails the whole split', async () => {
+    const scone = await createProduct({ name: 'Scone escaso', price: 20, stock: 1 });
+
+    const { status } = await post('/api/orders/split', {
+      clientName: 'Mesa 8', serviceType: 'Mesa',
+      items: [{ id: scone.id, name: scone.name, quantity: 2 }],
+      payers: [{ paymentMethod: 'Efectivo' }, { paymentMethod: 'Efectivo' }],
+      assignments: [{ lineIndex: 0, payer: 0, quantity: 1 }, { lineIndex: 0, payer: 1, quantity: 1 }],
+    });
+    expect(status).toBe(409);
+    expect(await stockOf(scone.id)).toBe(1);
+    const { rows } = await db.query('SELECT id FROM orders WHERE "clientName" = $1', ['Mesa 8']);
+    expect(rows).toEqual([]);
+  });
+});
+
+describe('combo stock (011)', () => {
+  test('a combo takes its components\' stock, and its refund puts it back', async () => {
+    const coffee = await createProduct({ name: 'Café de combo', price: 35, stock: 10 });
+    const cookie = await createProduct({ name: 'Galleta de combo', price: 25, stock: 10 });
+    const combo = await createProduct({
+      name: 'Combo café + 2 galletas', price: 70, stock: 0,
+      bundleItems: [{ productId: coffee.id, quantity: 1 }, { productId: cookie.id, quantity: 2 }],
+    });
+
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Combo', serviceType: 'Para llevar', paymentMethod: 'Efectivo', sendToKitchen: false,
+      items: [{ id: combo.id, name: combo.name, quantity: 2 }],
+    });
+    expect({ status, error: body.error }).toEqual({ status: 201 });
+    expect(await stockOf(coffee.id)).toBe(8);
+    expect(await stockOf(cookie.id)).toBe(6);
+
+    const refund = await post(`/api/orders/${body.id}/refunds`, { reason: 'Pedido equivocado', lines: [{ lineIndex: 0, quantity: 1 }] });
+    expect(refund.status).toBe(201);
+    expect(await stockOf(coffee.id)).toBe(9);
+    expect(await stockOf(cookie.id)).toBe(8);
+  });
+
+  test('a combo short of one component is refused and takes nothing', async () => {
+    const bread = await createProduct({ name: 'Pan de combo', price: 20, stock: 5 });
+    const jam = await createProduct({ name: 'Mermelada de combo', price: 15, stock: 1 });
+    const combo = await createProduct({
+      name: 'Combo pan + mermelada', price: 30, stock: 0,
+      bundleItems: [{ productId: bread.id, quantity: 1 }, { productId: jam.id, quantity: 1 }],
+    });
+
+    const { status } = await post('/api/orders', {
+      clientName: 'Combo', serviceType: 'Para llevar', paymentMethod: 'Efectivo', sendToKitchen: false,
+      items: [{ id: combo.id, name: combo.name, quantity: 2 }],
+    });
+    expect(status).toBe(409);
+    expect(await stockOf(bread.id)).toBe(5);
+    expect(await stockOf(jam.id)).toBe(1);
+  });
+});
@@ -0,0 +1,215 @@
+-- Migration 011: Combos move their components' stock in create_order_atomic
+-- Date: 2026-10-19
+-- Issue: a combo (coffee + pastry at one price) is a product with no stock of
+--        its own; selling it has to take its components out of inventory.
+-- Solution: combo lines carry "components" ([{ id, quantity, ... }] per combo,
+--           worked out by src/services/productBundles.js). Their stock moves
+--           are component quantity x the line's whole units; other lines are
+--           unchanged. Same signature as 010, so a plain replace.
+
+CREATE OR REPLACE FUNCTION create_order_atomic(
+  p_id VARCHAR(255),
+  p_client_name VARCHAR(255),
+  p_service_type VARCHAR(50),
+  p_payment_method VARCHAR(50),
+  p_items JSONB,
+  p_subtotal NUMERIC(10, 2),
+  p_discount NUMERIC(10, 2),
+  p_tip NUMERIC(10, 2),
+  p_total NUMERIC(10, 2),
+  p_user_id VARCHAR(255),
+  p_customer_id VARCHAR(255),
+  p_idempotency_key VARCHAR(255),
+  p_payments JSONB DEFAULT NULL
+)
+RETURNS TABLE(
+  order_id VARCHAR(255),
+  is_duplicate BOOLEAN,
+  error_message TEXT
+) AS $$
+DECLARE
+  v_existing_order_id VARCHAR(255);
+  v_customer_credit NUMERIC(10, 2);
+  v_credit_limit NUMERIC(10, 2);
+  v_item RECORD;
+  v_credit_id VARCHAR(255);
+  v_credit_amount NUMERIC(10, 2);
+  v_is_credit BOOLEAN;
+  v_component RECORD;
+  v_units INTEGER;
+BEGIN
+  -- Only the credit tenders of a split payment go on the customer's account;
+  -- without tenders the whole order is paid with p_payment_method
+  IF p_payments IS NOT NULL AND jsonb_array_length(p_payments) > 0 THEN
+    SELECT COALESCE(SUM(t.amount), 0) INTO v_credit_amount
+    FROM jsonb_to_recordset(p_payments) AS t(method VARCHAR, amount NUMERIC)
+    WHERE t.method IN ('Crédito', 'Fiado');
+  ELSIF p_payment_method IN ('Crédito', 'Fiado') THEN
+    v_credit_amount := p_total;
+  ELSE
+    v_credit_amount := 0;
+  END IF;
+  v_is_credit := p_customer_id IS NOT NULL AND v_credit_amount > 0;
+
+  -- Drop expired keys so they can neither match nor block re-use of the key
+  DELETE FROM idempotency_keys ik WHERE ik.expires_at <= NOW();
+
+  -- Check idempotency: Has this request been processed in the last 24 hours?
+  -- (Columns are qualified: a bare order_id is ambiguous with the OUT column.)
+  SELECT ik.order_id INTO v_existing_order_id
+  FROM idempotency_keys ik
+  WHERE ik.key = p_idempotency_key;
+
+  IF v_existing_order_id IS NOT NULL THEN
+    -- Return existing order (duplicate request detected)
+    RETURN QUERY SELECT v_existing_order_id, TRUE, NULL::TEXT;
+    RETURN;
+  END IF;
+
+  -- Validate customer credit if applicable
+  IF v_is_credit THEN
+    SELECT c."currentCredit", c."creditLimit" INTO v_customer_credit, v_credit_limit
+    FROM customers c WHERE c.id = p_customer_id;
+
+    IF v_customer_credit + v_credit_amount > v_credit_limit THEN
+      RETURN QUERY SELECT NULL::VARCHAR, FALSE, 'Credit limit exceeded';
+      RETURN;
+    END IF;
+  END IF;
+
+  -- Insert order
+  INSERT INTO orders (
+    id,
+    "clientName",
+    "serviceType",
+    "paymentMethod",
+    items,
+    subtotal,
+    discount,
+    tip,
+    total,
+    "userId",
+    "customerId",
+    payments,
+    created_at
+  )
+  VALUES (
+    p_id,
+    p_client_name,
+    p_service_type,
+    p_payment_method,
+    p_items,
+    p_subtotal,
+    p_discount,
+    p_tip,
+    p_total,
+    p_user_id,
+    p_customer_id,
+    p_payments,
+    NOW()
+  );
+
+  -- Store idempotency key for this order
+  INSERT INTO idempotency_keys (
+    key,
+    order_id,
+    resource_type,
+    created_at,
+    expires_at
+  )
+  VALUES (
+    p_idempotency_key,
+    p_id,
+    'order',
+    NOW(),
+    NOW() + INTERVAL '24 hours'
+  );
+
+  -- Update stock for each item in the order
+  -- Skip service items (IDs starting with special prefixes) that don't exist in products table
+  -- Split checks send fractional quantities plus the whole units to move ("stockQuantity")
+  -- Combos move each of their components instead of themselves
+  FOR v_item IN SELECT * FROM jsonb_to_recordset(p_items) AS x(id VARCHAR, quantity NUMERIC, "stockQuantity" INTEGER, components JSONB)
+  LOOP
+    -- Skip service items (e.g., 'COWORK_SERVICE', 'TIP_', etc.)
+    -- Only update stock for actual products in the products table
+    IF v_item.id NOT LIKE 'COWORK_%' AND v_item.id NOT LIKE 'TIP_%' AND v_item.id NOT LIKE 'SERVICE_%' THEN
+      v_units := COALESCE(v_item."stockQuantity", v_item.quantity::INTEGER);
+
+      IF v_item.components IS NOT NULL AND jsonb_array_length(v_item.components) > 0 THEN
+        FOR v_component IN SELECT * FROM jsonb_to_recordset(v_item.components) AS c(id VARCHAR, quantity INTEGER)
+        LOOP
+          UPDATE products
+          SET stock = stock - v_component.quantity * v_units
+          WHERE id = v_component.id;
+
+          IF (SELECT stock FROM products WHERE id = v_component.id) < 0 THEN
+            RAISE EXCEPTION 'Insufficient stock for product %', v_component.id;
+          END IF;
+        END LOOP;
+      ELSE
+        UPDATE products
+        SET stock = stock - v_units
+        WHERE id = v_item.id;
+
+        -- Check if stock went negative (overselling protection)
+        IF (SELECT stock FROM products WHERE id = v_item.id) < 0 THEN
+          RAISE EXCEPTION 'Insufficient stock for product %', v_item.id;
+        END IF;
+      END IF;
+    END IF;
+  END LOOP;
+
+  -- Update customer credit if applicable
+  IF v_is_credit THEN
+    -- Generate credit ID
+    v_credit_id := 'credit-' || EXTRACT(EPOCH FROM NOW())::BIGINT || '-' || floor(random() * 1000000)::INT;
+
+    -- Insert credit record
+    INSERT INTO customer_credits (
+      id,
+      "customerId",
+      "orderId",
+      amount,
+      type,
+      status,
+      description,
+      created_at
+    )
+    VALUES (
+      v_credit_id,
+      p_customer_id,
+      p_id,
+      v_credit_amount,
+      'charge',
+      'pending',
+      'Orden #' || p_id,
+      NOW()
+    );
+
+    -- Update customer's current credit balance
+    UPDATE customers
+    SET "currentCredit" = "currentCredit" + v_credit_amount
+    WHERE id = p_customer_id;
+  END IF;
+
+  -- Return success
+  RETURN QUERY SELECT p_id, FALSE, NULL::TEXT;
+
+EXCEPTION
+  WHEN unique_violation THEN
+    -- A concurrent retry with the same key committed first: hand back its order
+    SELECT ik.order_id INTO v_existing_order_id
+    FROM idempotency_keys ik
+    WHERE ik.key = p_idempotency_key;
+
+    IF v_existing_order_id IS NOT NULL THEN
+      RETURN QUERY SELECT v_existing_order_id, TRUE, NULL::TEXT;
+    ELSE
+      RETURN QUERY SELECT NULL::VARCHAR, FALSE, SQLERRM;
+    END IF;
+  WHEN OTHERS THEN
+    -- Transaction will automatically rollback on exception
+    RETURN QUERY SELECT NULL::VARCHAR, FALSE, SQLERRM;
+END;
+$$ LANGUAGE plpgsql;
@@ -2,6 +2,7 @@
 -- Atomically creates an order with stock updates and credit management
 -- Handles idempotency to prevent duplicate orders
 -- All operations succeed or fail together (transaction safety)
+-- Applied by migration 011_bundle_stock.sql (keep both in sync)
 
 CREATE OR REPLACE FUNCTION create_order_atomic(
   p_id VARCHAR(255),
@@ -15,7 +16,8 @@ CREATE OR REPLACE FUNCTION create_order_atomic(
   p_total NUMERIC(10, 2),
   p_user_id VARCHAR(255),
   p_customer_id VARCHAR(255),
-  p_idempotency_key VARCHAR(255)
+  p_idempotency_key VARCHAR(255),
+  p_payments JSONB DEFAULT NULL
 )
 RETURNS TABLE(
   order_id VARCHAR(255),
@@ -28,12 +30,32 @@ DECLARE
   v_credit_limit NUMERIC(10, 2);
   v_item RECORD;
   v_credit_id VARCHAR(255);
+  v_credit_amount NUMERIC(10, 2);
+  v_is_credit BOOLEAN;
+  v_component RECORD;
+  v_units INTEGER;
 BEGIN
-  -- Check idempotency: Has this request been processed recently?
-  SELECT order_id INTO v_existing_order_id
-  FROM idempotency_keys
-  WHERE key = p_idempotency_key
-    AND created_at > NOW() - INTERVAL '10 minutes';
+  -- Only the credit tenders of a split payment go on the customer's account;
+  -- without tenders the whole order is paid with p_payment_method
+  IF p_payments IS NOT NULL AND jsonb_array_length(p_payments) > 0 THEN
+    SELECT COALESCE(SUM(t.amount), 0) INTO v_credit_amount
+    FROM jsonb_to_recordset(p_payments) AS t(method VARCHAR, amount NUMERIC)
+    WHERE t.method IN ('Crédito', 'Fiado');
+  ELSIF p_payment_method IN ('Crédito', 'Fiado') THEN
+    v_credit_amount := p_total;
+  ELSE
+    v_credit_amount := 0;
+  END IF;
+  v_is_credit := p_customer_id IS NOT NULL AND v_credit_amount > 0;
+
+  -- Drop expired keys so they can neither match nor block re-use of the key
+  DELETE FROM idempotency_keys ik WHERE ik.expires_at <= NOW();
+
+  -- Check idempotency: Has this request been processed in the last 24 hours?
+  -- (Columns are qualified: a bare order_id is ambiguous with the OUT column.)
+  SELECT ik.order_id INTO v_existing_order_id
+  FROM idempotency_keys ik
+  WHERE ik.key = p_idempotency_key;
 
   IF v_existing_order_id IS NOT NULL THEN
     -- Return existing order (duplicate request detected)
@@ -42,11 +64,11 @@ BEGIN
   END IF;
 
   -- Validate customer credit if applicable
-  IF p_customer_id IS NOT NULL AND p_payment_method = 'Crédito' THEN
-    SELECT "currentCredit", "creditLimit" INTO v_customer_credit, v_credit_limit
-    FROM customers WHERE id = p_customer_id;
+  IF v_is_credit THEN
+    SELECT c."currentCredit", c."creditLimit" INTO v_customer_credit, v_credit_limit
+    FROM customers c WHERE c.id = p_customer_id;
 
-    IF v_customer_credit + p_total > v_credit_limit THEN
+    IF v_customer_credit + v_credit_amount > v_credit_limit THEN
       RETURN QUERY SELECT NULL::VARCHAR, FALSE, 'Credit limit exceeded';
       RETURN;
     END IF;
@@ -65,6 +87,7 @@ BEGIN
     total,
     "userId",
     "customerId",
+    payments,
     created_at
   )
   VALUES (
@@ -79,6 +102,7 @@ BEGIN
     p_total,
     p_user_id,
     p_customer_id,
+    p_payments,
     NOW()
   );
 
@@ -100,24 +124,41 @@ BEGIN
 
   -- Update stock for each item in the order
   -- Skip service items (IDs starting with special prefixes) that don't exist in products table
-  FOR v_item IN SELECT * FROM jsonb_to_recordset(p_items) AS x(id VARCHAR, quantity INTEGER)
+  -- Split checks send fractional quantities plus the whole units to move ("stockQuantity")
+  -- Combos move each of their components instead of themselves
+  FOR v_item IN SELECT * FROM jsonb_to_recordset(p_items) AS x(id VARCHAR, quantity NUMERIC, "stockQuantity" INTEGER, components JSONB)
   LOOP
     -- Skip service items (e.g., 'COWORK_SERVICE', 'TIP_', etc.)
     -- Only update stock for actual products in the products table
     IF v_item.id NOT LIKE 'COWORK_%' AND v_item.id NOT LIKE 'TIP_%' AND v_item.id NOT LIKE 'SERVICE_%' THEN
-      UPDATE products
-      SET stock = stock - v_item.quantity
-      WHERE id = v_item.id;
+      v_units := COALESCE(v_item."stockQuantity", v_item.quantity::INTEGER);
+
+      IF v_item.components IS NOT NULL AND jsonb_array_length(v_item.components) > 0 THEN
+        FOR v_component IN SELECT * FROM jsonb_to_recordset(v_item.components) AS c(id VARCHAR, quantity INTEGER)
+        LOOP
+          UPDATE products
+          SET stock = stock - v_component.quantity * v_units
+          WHERE id = v_component.id;
 
-      -- Check if stock went negative (overselling protection)
-      IF (SELECT stock FROM products WHERE id = v_item.id) < 0 THEN
-        RAISE EXCEPTION 'Insufficient stock for product %', v_item.id;
+          IF (SELECT stock FROM products WHERE id = v_component.id) < 0 THEN
+            RAISE EXCEPTION 'Insufficient stock for product %', v_component.id;
+          END IF;
+        END LOOP;
+      ELSE
+        UPDATE products
+        SET stock = stock - v_units
+        WHERE id = v_item.id;
+
+        -- Check if stock went negative (overselling protection)
+        IF (SELECT stock FROM products WHERE id = v_item.id) < 0 THEN
+          RAISE EXCEPTION 'Insufficient stock for product %', v_item.id;
+        END IF;
       END IF;
     END IF;
   END LOOP;
 
   -- Update customer credit if applicable
-  IF p_customer_id IS NOT NULL AND p_payment_method = 'Crédito' THEN
+  IF v_is_credit THEN
     -- Generate credit ID
     v_credit_id := 'credit-' || EXTRACT(EPOCH FROM NOW())::BIGINT || '-' || floor(random() * 1000000)::INT;
 
@@ -136,7 +177,7 @@ BEGIN
       v_credit_id,
       p_customer_id,
       p_id,
-      p_total,
+      v_credit_amount,
       'charge',
       'pending',
       'Orden #' || p_id,
@@ -145,7 +186,7 @@ BEGIN
 
     -- Update customer's current credit balance
     UPDATE customers
-    SET "currentCredit" = "currentCredit" + p_total
+    SET "currentCredit" = "currentCredit" + v_credit_amount
     WHERE id = p_customer_id;
   END IF;
 
@@ -153,6 +194,17 @@ BEGIN
   RETURN QUERY SELECT p_id, FALSE, NULL::TEXT;
 
 EXCEPTION
+  WHEN unique_violation THEN
+    -- A concurrent retry with the same key committed first: hand back its order
+    SELECT ik.order_id INTO v_existing_order_id
+    FROM idempotency_keys ik
+    WHERE ik.key = p_idempotency_key;
+
+    IF v_existing_order_id IS NOT NULL THEN
+      RETURN QUERY SELECT v_existing_order_id, TRUE, NULL::TEXT;
+    ELSE
+      RETURN QUERY SELECT NULL::VARCHAR, FALSE, SQLERRM;
+    END IF;
   WHEN OTHERS THEN
     -- Transaction will automatically rollback on exception
     RETURN QUERY SELECT NULL::VARCHAR, FALSE, SQLERRM;
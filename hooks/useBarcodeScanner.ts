@@ -0,0 +1,46 @@
+import { useEffect, useRef } from 'react';
+
+// Keyboard-wedge scanners "type" the code and press Enter, far faster than a
+// person. Keystrokes that arrive within MAX_KEY_GAP_MS of each other and end
+// in Enter are taken as a scan, wherever the focus is - except inside form
+// fields, which receive the scan as typed text (the sales search box handles
+// its own Enter).
+
+const MAX_KEY_GAP_MS = 50;
+const MIN_CODE_LENGTH = 4;
+
+const isEditable = (target: EventTarget | null) =>
+    target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+export default function useBarcodeScanner(onScan: (code: string) => void, enabled = true) {
+    const buffer = useRef('');
+    const lastKeyAt = useRef(0);
+    // Latest callback without re-subscribing the listener on every render
+    const onScanRef = useRef(onScan);
+    onScanRef.current = onScan;
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        const handleKeyDown = (event: KeyboardEvent) => {
+            if (isEditable(event.target) || event.ctrlKey || event.altKey || event.metaKey) return;
+            const now = Date.now();
+            if (now - lastKeyAt.current > MAX_KEY_GAP_MS) buffer.current = '';
+            lastKeyAt.current = now;
+
+            if (event.key === 'Enter') {
+                const code = buffer.current;
+                buffer.current = '';
+                if (code.length >= MIN_CODE_LENGTH) {
+                    event.preventDefault();
+                    onScanRef.current(code);
+                }
+            } else if (event.key.length === 1) {
+                buffer.current += event.key;
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [enabled]);
+}
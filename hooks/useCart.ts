@@ -1,41 +1,71 @@
 import { useState } from 'react';
-import type { Product, CartItem } from '../types';
+import type { Product, CartItem, SelectedModifier, Promotion } from '../types';
+import { lineKey, priceWithModifiers } from '../utils/modifiers';
+import { evaluatePromotions } from '../utils/promotions';
 
 // Extracted from AppContext.tsx (Phase 5 of the architecture cleanup).
-// Pure local state - no API calls, no dependency on any other resource.
-export default function useCart() {
+// Pure local state - no API calls. The promotions come in from
+// usePromotions (composed in AppContext) and are re-evaluated on every
+// render, so a happy hour starts or ends on its own.
+//
+// Lines are addressed by lineKey(): the product id, plus the chosen options
+// when it has modifiers, so a large latte and a small one are separate lines.
+export default function useCart(promotions: Promotion[] = []) {
     const [cart, setCart] = useState<CartItem[]>([]);
+    const [couponCode, setCouponCode] = useState('');
 
-    const addToCart = (product: Product) => {
+    const addToCart = (product: Product, modifiers: SelectedModifier[] = []) => {
+        const line: CartItem = modifiers.length > 0
+            ? { ...product, ...priceWithModifiers(product, modifiers), modifiers, quantity: 1 }
+            : { ...product, quantity: 1 };
+        const key = lineKey(line);
         setCart(prev => {
-            const existingItem = prev.find(item => item.id === product.id);
+            const existingItem = prev.find(item => lineKey(item) === key);
             if (existingItem) {
                 return prev.map(item =>
-                    item.id === product.id ? { ...item, quantity: item.quantity + 1 } : item
+                    lineKey(item) === key ? { ...item, quantity: item.quantity + 1 } : item
                 );
             }
-            return [...prev, { ...product, quantity: 1 }];
+            return [...prev, line];
         });
     };
 
-    const removeFromCart = (productId: string) => {
-        setCart(prev => prev.filter(item => item.id !== productId));
+    const removeFromCart = (key: string) => {
+        setCart(prev => prev.filter(item => lineKey(item) !== key));
     };
 
-    const updateCartQuantity = (productId: string, quantity: number) => {
+    const updateCartQuantity = (key: string, quantity: number) => {
         if (quantity <= 0) {
-            removeFromCart(productId);
+            removeFromCart(key);
             return;
         }
-        setCart(prev => prev.map(item => item.id === productId ? { ...item, quantity } : item));
+        setCart(prev => prev.map(item => lineKey(item) === key ? { ...item, quantity } : item));
+    };
+
+    // Puts back lines (and the coupon) exactly as they were (after a rejected checkout)
+    const restoreCart = (items: CartItem[], coupon = '') => {
+        setCart(items);
+        setCouponCode(coupon);
     };
 
     const clearCart = () => {
         setCart([]);
+        setCouponCode('');
     };
 
     const cartSubtotal = cart.reduce((acc, item) => acc + item.price * item.quantity, 0);
-    const cartTotal = cartSubtotal;
+    // Service lines (coworking time) are never promoted, same as on the server
+    const { applied: appliedPromotions, discount: promotionDiscount, couponError } = evaluatePromotions(
+        cart.filter(item => !/^(COWORK_|TIP_|SERVICE_)/.test(item.id)),
+        promotions,
+        couponCode,
+    );
+    // What's left after promotions; the customer's own discount applies to this
+    const cartTotal = cartSubtotal - promotionDiscount;
 
-    return { cart, addToCart, removeFromCart, updateCartQuantity, clearCart, cartSubtotal, cartTotal };
+    return {
+        cart, addToCart, removeFromCart, updateCartQuantity, restoreCart, clearCart,
+        couponCode, setCouponCode, appliedPromotions, promotionDiscount, couponError,
+        cartSubtotal, cartTotal,
+    };
 }
@@ -17,7 +17,7 @@ export default function useCashSessions() {
         setCashSessions(data);
     };
 
-    const startCashSession = async (startAmount: number, userId?: string) => {
+    const startCashSession = async (startAmount: number, userId?: string, startAmountUsd = 0) => {
         const existingOpenSession = cashSessions.find(s => s.status === 'open');
         if (existingOpenSession) {
             alert("Ya hay una sesión de caja abierta.");
@@ -27,6 +27,7 @@ export default function useCashSessions() {
         try {
             const sessionData = {
                 startAmount,
+                startAmountUsd,
                 startTime: new Date().toISOString(),
                 userId: userId || 'guest'
             };
@@ -51,7 +52,11 @@ export default function useCashSessions() {
                 totalSales: newSession.totalSales || 0,
                 totalExpenses: newSession.totalExpenses || 0,
                 expectedCash: newSession.expectedCash || newSession.startAmount,
-                difference: newSession.difference || 0
+                difference: newSession.difference || 0,
+                startAmountUsd: newSession.startAmountUsd || 0,
+                endAmountUsd: newSession.endAmountUsd ?? null,
+                expectedCashUsd: newSession.expectedCashUsd || newSession.startAmountUsd || 0,
+                differenceUsd: newSession.differenceUsd || 0
             };
 
             setCashSessions(prev => {
@@ -68,6 +73,7 @@ export default function useCashSessions() {
     const closeCashSessionRequest = async (sessionId: string, updateData: {
         endAmount: number; endTime: string; totalSales: number; totalExpenses: number;
         expectedCash: number; difference: number; status: string;
+        endAmountUsd: number; expectedCashUsd: number; differenceUsd: number;
     }) => {
         try {
             const response = await fetch(`/api/cash-sessions/${sessionId}`, {
@@ -90,7 +96,11 @@ export default function useCashSessions() {
                 totalSales: updatedSession.totalSales,
                 totalExpenses: updatedSession.totalExpenses,
                 expectedCash: updatedSession.expectedCash,
-                difference: updatedSession.difference
+                difference: updatedSession.difference,
+                startAmountUsd: updatedSession.startAmountUsd || 0,
+                endAmountUsd: updatedSession.endAmountUsd ?? null,
+                expectedCashUsd: updatedSession.expectedCashUsd || 0,
+                differenceUsd: updatedSession.differenceUsd || 0
             };
 
             setCashSessions(prev => {
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { sendOrQueue, STORES } from '../utils/offlineStorage';
 import type { CashWithdrawal } from '../types';
 
 // Extracted from AppContext.tsx (Phase 5 of the architecture cleanup).
@@ -12,23 +13,35 @@ export default function useCashWithdrawals() {
 
     const addCashWithdrawal = async (cashSessionId: string, amount: number, description: string, userId?: string) => {
         try {
-            const response = await fetch('/api/cash-withdrawals', {
+            // Queued without a connection, like expenses (see useExpenses)
+            const idempotencyKey = `withdrawal-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const response = await sendOrQueue({
+                type: 'CREATE',
+                store: STORES.CASH_WITHDRAWALS,
+                endpoint: '/api/cash-withdrawals',
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
+                body: {
                     cashSessionId,
                     amount,
                     description,
-                    userId
-                }),
+                    userId,
+                    idempotencyKey
+                },
+                idempotencyKey,
+                label: `Retiro: ${description} $${amount.toFixed(2)}`,
             });
 
-            if (!response.ok) throw new Error('Failed to create cash withdrawal');
+            if (response && !response.ok) throw new Error('Failed to create cash withdrawal');
 
-            const newWithdrawal = await response.json();
+            const now = new Date().toISOString();
+            const newWithdrawal: CashWithdrawal = response
+                ? await response.json()
+                : { id: idempotencyKey, cash_session_id: cashSessionId, amount, description, withdrawn_by: userId, withdrawn_at: now, created_at: now, pendingSync: true };
             setCashWithdrawals(prev => [newWithdrawal, ...prev]);
 
-            alert(`✅ Retiro registrado: $${amount.toFixed(2)}`);
+            alert(response
+                ? `✅ Retiro registrado: $${amount.toFixed(2)}`
+                : `📴 Sin conexión: el retiro de $${amount.toFixed(2)} se enviará al reconectar`);
         } catch (error) {
             console.error("Error adding cash withdrawal:", error);
             alert("Error al registrar el retiro de efectivo");
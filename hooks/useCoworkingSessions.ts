@@ -1,11 +1,12 @@
 import { useState, useEffect, useMemo } from 'react';
 import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
 import { dedupedFetch } from '../utils/apiCache';
+import { sendOrQueue, STORES } from '../utils/offlineStorage';
 import type { CoworkingSession } from '../types';
 
 // Extracted from AppContext.tsx (Phase 5 of the architecture cleanup).
 //
-// finishCoworkingSession is NOT here - it needs products.updateStockForSale
+// finishCoworkingSession is NOT here - it needs products.applySaleToLocalStock
 // and orders state to create the closing order, so it's composed in
 // AppContext.tsx out of this hook's updateCoworkingSession plus the
 // products/orders hooks. Everything that only ever touches
@@ -52,22 +53,32 @@ export default function useCoworkingSessions() {
         return () => clearInterval(interval);
     }, [activeSessionCount]); // Stable memoized value - no infinite loop
 
+    // Started offline, a session goes by its idempotency key until the queue
+    // replays it; updates queued after it are rewritten with the real id
     const startCoworkingSession = async (clientName: string) => {
         try {
+            const idempotencyKey = `coworking-local-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
             const sessionData = {
                 clientName: clientName || 'Cliente',
                 startTime: new Date().toISOString(),
                 hourlyRate: 62,
             };
 
-            const response = await fetch('/api/coworking-sessions', {
+            const response = await sendOrQueue({
+                type: 'CREATE',
+                store: STORES.COWORKING_SESSIONS,
+                endpoint: '/api/coworking-sessions',
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(sessionData),
+                body: { ...sessionData, idempotencyKey },
+                idempotencyKey,
+                localId: idempotencyKey,
+                label: `Coworking: entrada de ${sessionData.clientName}`,
             });
 
-            if (!response.ok) throw new Error('Failed to create coworking session');
-            const newSession = await response.json();
+            if (response && !response.ok) throw new Error('Failed to create coworking session');
+            const newSession: CoworkingSession = response
+                ? await response.json()
+                : { ...sessionData, id: idempotencyKey, endTime: null, status: 'active', consumedExtras: [], pendingSync: true };
 
             // Invalidate Service Worker cache for coworking-sessions API
             if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
@@ -89,14 +100,17 @@ export default function useCoworkingSessions() {
 
     const updateCoworkingSession = async (sessionId: string, updates: Partial<CoworkingSession>) => {
         try {
-            const response = await fetch(`/api/coworking-sessions/${sessionId}`, {
+            const response = await sendOrQueue({
+                type: 'UPDATE',
+                store: STORES.COWORKING_SESSIONS,
+                endpoint: `/api/coworking-sessions/${sessionId}`,
                 method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(updates),
+                body: updates,
+                label: `Coworking: ${updates.status === 'finished' ? 'cierre' : 'cambios'} de ${coworkingSessions.find(s => s.id === sessionId)?.clientName || sessionId}`,
             });
 
-            if (!response.ok) throw new Error('Failed to update coworking session');
-            const updatedSession = await response.json();
+            if (response && !response.ok) throw new Error('Failed to update coworking session');
+            const updatedSession: CoworkingSession | null = response ? await response.json() : null;
 
             // Invalidate Service Worker cache for coworking-sessions API
             if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
@@ -107,7 +121,7 @@ export default function useCoworkingSessions() {
             }
 
             setCoworkingSessions(prev => {
-                const updated = prev.map(s => s.id === sessionId ? updatedSession : s);
+                const updated = prev.map(s => s.id === sessionId ? (updatedSession || { ...s, ...updates, pendingSync: true }) : s);
                 sessionCache.set(CACHE_KEYS.COWORKING_SESSIONS, updated);
                 return updated;
             });
@@ -0,0 +1,93 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { formatModifiers } from '../utils/modifiers';
+import type { CartItem, Order, CustomerDisplayState } from '../types';
+
+// Register side of the customer display (screens/CustomerDisplayScreen.tsx):
+// pushes this register's cart to its display channel whenever it changes.
+// After a sale the display keeps the thank-you/QR screen until the next item
+// goes into the cart, or PAID_SECONDS pass.
+//
+// Only registers with a display turned on publish anything, and failures are
+// just logged: a missing second screen must never get in the way of a sale.
+
+const PUBLISH_DELAY_MS = 150;
+const PAID_SECONDS = 60;
+
+interface DisplayTotals {
+    subtotal: number;
+    discount: number;
+    tip: number;
+    total: number;
+}
+
+async function publish(registerId: string, state: Record<string, unknown>) {
+    try {
+        const response = await fetch(`/api/customer-display/${encodeURIComponent(registerId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(state),
+        });
+        if (!response.ok) throw new Error(`Request failed: ${response.status}`);
+        return (await response.json()) as CustomerDisplayState;
+    } catch (error) {
+        console.error('Failed to update customer display:', error);
+        return null;
+    }
+}
+
+export default function useCustomerDisplay(registerId: string, enabled: boolean, cart: CartItem[], totals: DisplayTotals) {
+    // Until when the thank-you screen stays up (0 = not showing it)
+    const paidUntil = useRef(0);
+    const paidTimer = useRef<number>();
+    const wasEnabled = useRef(enabled);
+    const active = enabled && Boolean(registerId);
+
+    const lines = cart.map(item => ({
+        name: item.name,
+        quantity: item.quantity,
+        price: item.price,
+        details: item.modifiers && item.modifiers.length > 0 ? formatModifiers(item.modifiers) : undefined,
+    }));
+    const snapshot = JSON.stringify({ lines, totals });
+
+    useEffect(() => {
+        if (!active) return;
+        if (cart.length > 0) {
+            paidUntil.current = 0;
+            window.clearTimeout(paidTimer.current);
+        }
+        const timer = window.setTimeout(() => {
+            if (cart.length > 0) {
+                publish(registerId, { mode: 'cart', items: lines, ...totals });
+            } else if (paidUntil.current <= Date.now()) {
+                // An emptied cart, unless a sale was just paid (its own timer goes back to idle)
+                publish(registerId, { mode: 'idle' });
+            }
+        }, PUBLISH_DELAY_MS);
+        return () => window.clearTimeout(timer);
+        // snapshot stands in for the cart and totals
+    }, [active, registerId, snapshot]);
+
+    // Turning the display off leaves it on the welcome screen
+    useEffect(() => {
+        if (wasEnabled.current && !enabled && registerId) publish(registerId, { mode: 'idle' });
+        wasEnabled.current = enabled;
+    }, [enabled, registerId]);
+
+    useEffect(() => () => window.clearTimeout(paidTimer.current), []);
+
+    const showPaid = useCallback((order: Order) => {
+        if (!active) return;
+        paidUntil.current = Date.now() + PAID_SECONDS * 1000;
+        publish(registerId, { mode: 'paid', orderId: order.id, total: order.total, changeDue: order.changeDue ?? null });
+        window.clearTimeout(paidTimer.current);
+        // Back to idle once the customer had time to scan the QR
+        paidTimer.current = window.setTimeout(() => {
+            if (paidUntil.current === 0) return;
+            paidUntil.current = 0;
+            publish(registerId, { mode: 'idle' });
+        }, PAID_SECONDS * 1000);
+    }, [active, registerId]);
+
+    return { showPaid };
+}
@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
+import { dedupedFetch } from '../utils/apiCache';
+import useRealtimeSync from './useRealtimeSync';
+import type { ExchangeRate } from '../types';
+
+// The day's dollar rate (pesos per USD) checkout takes dollar bills at.
+// Loads itself and refetches on every 'exchange-rates' broadcast, like
+// useSettings, so every register charges the rate the admin just set.
+
+const SYNCED_TYPES: 'exchange-rates'[] = ['exchange-rates'];
+
+async function exchangeRateRequest<T>(url: string, method: string, body?: unknown): Promise<T> {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({ error: undefined }));
+        throw new Error(error || `Request failed: ${response.status}`);
+    }
+    return response.json();
+}
+
+export default function useExchangeRates() {
+    const [exchangeRate, setExchangeRateState] = useState<ExchangeRate | null>(() => sessionCache.get<ExchangeRate>(CACHE_KEYS.EXCHANGE_RATE));
+
+    const storeExchangeRate = (data: ExchangeRate | null) => {
+        if (data) sessionCache.set(CACHE_KEYS.EXCHANGE_RATE, data);
+        setExchangeRateState(data);
+    };
+
+    const refreshExchangeRate = useCallback(async () => {
+        try {
+            storeExchangeRate(await dedupedFetch<ExchangeRate | null>('/api/exchange-rates/current?currency=USD', {}, true));
+        } catch (error) {
+            console.error('Failed to fetch exchange rate:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshExchangeRate();
+    }, [refreshExchangeRate]);
+
+    useRealtimeSync({ dataTypes: SYNCED_TYPES, onDataChange: refreshExchangeRate });
+
+    // Sets today's rate (replaces it if one was already set today)
+    const setExchangeRate = async (rate: number, userId?: string) => {
+        try {
+            const updated = await exchangeRateRequest<ExchangeRate>('/api/exchange-rates/USD', 'PUT', { rate, userId });
+            storeExchangeRate(updated);
+            return updated;
+        } catch (error) {
+            console.error('Error setting exchange rate:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    return { exchangeRate, refreshExchangeRate, setExchangeRate };
+}
@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
+import { sendOrQueue, STORES } from '../utils/offlineStorage';
 import type { Expense } from '../types';
 
 // Extracted from AppContext.tsx (Phase 5 of the architecture cleanup).
@@ -18,15 +19,24 @@ export default function useExpenses() {
         setExpenses(data);
     };
 
+    // Without a connection the expense is queued (see utils/offlineStorage.ts)
+    // and shown as pending until the queue replays it
     const createExpense = async (expense: Omit<Expense, 'id'>, userId?: string) => {
         try {
-            const response = await fetch('/api/expenses', {
+            const idempotencyKey = `expense-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const response = await sendOrQueue({
+                type: 'CREATE',
+                store: STORES.EXPENSES,
+                endpoint: '/api/expenses',
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ ...expense, userId }),
+                body: { ...expense, userId, idempotencyKey },
+                idempotencyKey,
+                label: `Gasto: ${expense.description} $${expense.amount.toFixed(2)}`,
             });
-            if (!response.ok) throw new Error('Failed to create expense');
-            const newExpense = await response.json();
+            if (response && !response.ok) throw new Error('Failed to create expense');
+            const newExpense: Expense = response
+                ? await response.json()
+                : { ...expense, id: idempotencyKey, pendingSync: true };
             setExpenses(prev => {
                 const updated = [newExpense, ...prev];
                 sessionCache.set(CACHE_KEYS.EXPENSES, updated);
@@ -34,7 +44,9 @@ export default function useExpenses() {
             });
 
             const sourceLabel = expense.paymentSource === 'efectivo_caja' ? 'Efectivo de Caja' : 'Transferencia';
-            alert(`Gasto registrado: $${expense.amount.toFixed(2)} (${sourceLabel})`);
+            alert(response
+                ? `Gasto registrado: $${expense.amount.toFixed(2)} (${sourceLabel})`
+                : `📴 Sin conexión: el gasto de $${expense.amount.toFixed(2)} (${sourceLabel}) se enviará al reconectar`);
         } catch (error) {
             console.error("Error adding expense:", error);
             throw error;
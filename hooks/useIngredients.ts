@@ -0,0 +1,102 @@
+import { useState, useEffect, useCallback } from 'react';
+import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
+import { dedupedFetch } from '../utils/apiCache';
+import useRealtimeSync from './useRealtimeSync';
+import type { Ingredient } from '../types';
+
+// Ingredients the recipes consume. Loads itself and refetches on every
+// 'ingredients' broadcast, like usePromotions: every sale moves their stock,
+// and a purchase can change what the products with a recipe cost.
+
+const SYNCED_TYPES: 'ingredients'[] = ['ingredients'];
+
+export type IngredientInput = Omit<Ingredient, 'id' | 'createdAt'>;
+
+async function ingredientsRequest<T>(url: string, method: string, body?: unknown): Promise<T> {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({ error: undefined }));
+        throw new Error(error || `Request failed: ${response.status}`);
+    }
+    return response.status === 204 ? (undefined as T) : response.json();
+}
+
+export default function useIngredients() {
+    const [ingredients, setIngredients] = useState<Ingredient[]>(() => sessionCache.get<Ingredient[]>(CACHE_KEYS.INGREDIENTS) || []);
+
+    const storeIngredients = (update: (prev: Ingredient[]) => Ingredient[]) => {
+        setIngredients(prev => {
+            const updated = update(prev);
+            sessionCache.set(CACHE_KEYS.INGREDIENTS, updated);
+            return updated;
+        });
+    };
+
+    const refreshIngredients = useCallback(async () => {
+        try {
+            const data = await dedupedFetch<Ingredient[]>('/api/ingredients', {}, true);
+            storeIngredients(() => data);
+        } catch (error) {
+            console.error('Failed to fetch ingredients:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshIngredients();
+    }, [refreshIngredients]);
+
+    useRealtimeSync({ dataTypes: SYNCED_TYPES, onDataChange: refreshIngredients });
+
+    const withAlert = async <T,>(action: string, run: () => Promise<T>): Promise<T> => {
+        try {
+            return await run();
+        } catch (error) {
+            console.error(`Error ${action}:`, error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    const replace = (updated: Ingredient) => storeIngredients(prev => prev.map(i => (i.id === updated.id ? updated : i)));
+
+    const addIngredient = (ingredient: IngredientInput, userId?: string) =>
+        withAlert('creating ingredient', async () => {
+            const created = await ingredientsRequest<Ingredient>('/api/ingredients', 'POST', { ...ingredient, userId });
+            storeIngredients(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name, 'es')));
+            return created;
+        });
+
+    const updateIngredient = (ingredientId: string, ingredient: Omit<IngredientInput, 'stock'>) =>
+        withAlert('updating ingredient', async () => {
+            const updated = await ingredientsRequest<Ingredient>(`/api/ingredients/${ingredientId}`, 'PUT', ingredient);
+            replace(updated);
+            return updated;
+        });
+
+    const deleteIngredient = (ingredientId: string) =>
+        withAlert('deleting ingredient', async () => {
+            await ingredientsRequest<void>(`/api/ingredients/${ingredientId}`, 'DELETE');
+            storeIngredients(prev => prev.filter(i => i.id !== ingredientId));
+        });
+
+    // `cost` is the total paid; postAsExpense also records it as an Inventario expense
+    const purchaseIngredient = (ingredientId: string, purchase: { quantity: number; cost: number; postAsExpense?: boolean }, userId?: string) =>
+        withAlert('recording ingredient purchase', async () => {
+            const updated = await ingredientsRequest<Ingredient>(`/api/ingredients/${ingredientId}/purchases`, 'POST', { ...purchase, userId });
+            replace(updated);
+            return updated;
+        });
+
+    const adjustIngredient = (ingredientId: string, adjustment: { countedStock?: number; quantity?: number; note?: string }, userId?: string) =>
+        withAlert('adjusting ingredient', async () => {
+            const updated = await ingredientsRequest<Ingredient>(`/api/ingredients/${ingredientId}/adjustments`, 'POST', { ...adjustment, userId });
+            replace(updated);
+            return updated;
+        });
+
+    return { ingredients, refreshIngredients, addIngredient, updateIngredient, deleteIngredient, purchaseIngredient, adjustIngredient };
+}
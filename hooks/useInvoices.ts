@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback } from 'react';
+import { dedupedFetch } from '../utils/apiCache';
+import useRealtimeSync from './useRealtimeSync';
+import type { Invoice, InvoiceReceptor, InvoiceRequest } from '../types';
+
+// CFDI invoices (see routes/invoices.js) and the queue of self-invoicing
+// requests (routes/invoiceRequests.js). Invoices themselves aren't kept here:
+// they show up as the orders' invoiceId, so the composition layer
+// (AppContext) refreshes orders after stamping one. The pending requests load
+// themselves and refetch on every 'invoices' broadcast, like useSettings.
+//
+// createInvoice throws instead of alerting: the invoice form shows the error
+// next to the fiscal data the customer has to correct.
+
+const SYNCED_TYPES: 'invoices'[] = ['invoices'];
+
+async function invoiceRequest<T>(url: string, method: string, body?: unknown): Promise<T> {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({ error: undefined }));
+        throw new Error(error || `Request failed: ${response.status}`);
+    }
+    return response.json();
+}
+
+export default function useInvoices() {
+    const [invoiceRequests, setInvoiceRequests] = useState<InvoiceRequest[]>([]);
+
+    const refreshInvoiceRequests = useCallback(async () => {
+        try {
+            setInvoiceRequests(await dedupedFetch<InvoiceRequest[]>('/api/invoice-requests', {}, true));
+        } catch (error) {
+            console.error('Failed to fetch invoice requests:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshInvoiceRequests();
+    }, [refreshInvoiceRequests]);
+
+    useRealtimeSync({ dataTypes: SYNCED_TYPES, onDataChange: refreshInvoiceRequests });
+
+    const createInvoice = async (orderIds: string[], receptor: InvoiceReceptor): Promise<Invoice> => {
+        try {
+            const invoice = await invoiceRequest<Invoice>('/api/invoices', 'POST', { orderIds, receptor });
+            console.log('✅ Invoice stamped:', invoice.uuid, { orderIds, total: invoice.total });
+            return invoice;
+        } catch (error) {
+            console.error('Error issuing invoice:', error);
+            throw error;
+        }
+    };
+
+    const invoicesForOrder = (orderId: string) =>
+        invoiceRequest<Invoice[]>(`/api/invoices?orderId=${encodeURIComponent(orderId)}`, 'GET');
+
+    // Stamps a queued request now that the business can
+    const issueInvoiceRequest = async (requestId: string): Promise<Invoice> => {
+        try {
+            const { invoice } = await invoiceRequest<{ request: InvoiceRequest; invoice: Invoice }>(`/api/invoice-requests/${requestId}/issue`, 'POST');
+            setInvoiceRequests(prev => prev.filter(request => request.id !== requestId));
+            return invoice;
+        } catch (error) {
+            console.error('Error issuing invoice request:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    const rejectInvoiceRequest = async (requestId: string, reason: string) => {
+        try {
+            await invoiceRequest<InvoiceRequest>(`/api/invoice-requests/${requestId}/reject`, 'POST', { reason });
+            setInvoiceRequests(prev => prev.filter(request => request.id !== requestId));
+        } catch (error) {
+            console.error('Error rejecting invoice request:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    return {
+        invoiceRequests, refreshInvoiceRequests,
+        createInvoice, invoicesForOrder,
+        issueInvoiceRequest, rejectInvoiceRequest,
+    };
+}
@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback } from 'react';
+import { dedupedFetch } from '../utils/apiCache';
+import useRealtimeSync from './useRealtimeSync';
+import type { KitchenTicket } from '../types';
+
+// The kitchen/barra queue: tickets still on the display (new, in progress,
+// ready). Loads itself and refetches on every 'kitchen' broadcast, like
+// useTabs, since tickets arrive and move from every register and station.
+// Not session-cached: a stale queue is worse than a blank one for a second.
+
+const SYNCED_TYPES: 'kitchen'[] = ['kitchen'];
+
+async function kitchenRequest<T>(url: string, method: string): Promise<T> {
+    const response = await fetch(url, { method, headers: { 'Content-Type': 'application/json' } });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({ error: undefined }));
+        throw new Error(error || `Request failed: ${response.status}`);
+    }
+    return response.json();
+}
+
+export default function useKitchen() {
+    const [kitchenTickets, setKitchenTickets] = useState<KitchenTicket[]>([]);
+
+    const refreshKitchenTickets = useCallback(async () => {
+        try {
+            setKitchenTickets(await dedupedFetch<KitchenTicket[]>('/api/kitchen/tickets', {}, true));
+        } catch (error) {
+            console.error('Failed to fetch kitchen tickets:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshKitchenTickets();
+    }, [refreshKitchenTickets]);
+
+    useRealtimeSync({ dataTypes: SYNCED_TYPES, onDataChange: refreshKitchenTickets });
+
+    // Delivered tickets leave the display
+    const applyTicket = (ticket: KitchenTicket) => {
+        setKitchenTickets(prev => ticket.status === 'delivered'
+            ? prev.filter(t => t.id !== ticket.id)
+            : prev.map(t => (t.id === ticket.id ? ticket : t)));
+        return ticket;
+    };
+
+    const bump = async (url: string) => {
+        try {
+            return applyTicket(await kitchenRequest<KitchenTicket>(url, 'POST'));
+        } catch (error) {
+            console.error('Error bumping kitchen ticket:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            // Someone else probably moved it first; show what the server has
+            refreshKitchenTickets();
+            throw error;
+        }
+    };
+
+    const bumpKitchenItem = (ticketId: string, index: number) =>
+        bump(`/api/kitchen/tickets/${ticketId}/items/${index}/bump`);
+
+    const bumpKitchenTicket = (ticketId: string) =>
+        bump(`/api/kitchen/tickets/${ticketId}/bump`);
+
+    return { kitchenTickets, refreshKitchenTickets, bumpKitchenItem, bumpKitchenTicket };
+}
@@ -0,0 +1,65 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import offlineStorage from '../utils/offlineStorage';
+import type { PendingSyncItem } from '../utils/offlineStorage';
+
+// The offline mutation queue as the register sees it (see the pending sync
+// section of utils/offlineStorage.ts): what is still waiting, what the
+// server refused and whether there is a connection. Replays the queue when
+// the connection comes back, when the service worker's background sync fires
+// and on load (for whatever a reload left behind). `onSynced` runs after a
+// replay got something through, so the app swaps its stand-in records for
+// the server's.
+export default function useOfflineQueue(onSynced: () => void) {
+    const [pendingSync, setPendingSync] = useState<PendingSyncItem[]>([]);
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    const onSyncedRef = useRef(onSynced);
+    onSyncedRef.current = onSynced;
+
+    const syncNow = useCallback(async () => {
+        try {
+            await offlineStorage.processPendingSync();
+        } catch (error) {
+            console.error('Failed to replay the offline queue:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        const load = () => offlineStorage.getPendingSync().then(setPendingSync).catch(() => {});
+        load();
+        return offlineStorage.onPendingSyncChange(synced => {
+            load();
+            if (synced) onSyncedRef.current();
+        });
+    }, []);
+
+    useEffect(() => {
+        const handleOnline = () => {
+            setIsOnline(true);
+            syncNow();
+        };
+        const handleOffline = () => setIsOnline(false);
+        const handleMessage = (event: MessageEvent) => {
+            if (event.data?.type === 'SYNC_STARTED') syncNow();
+        };
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        navigator.serviceWorker?.addEventListener('message', handleMessage);
+        if (navigator.onLine) syncNow();
+
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            navigator.serviceWorker?.removeEventListener('message', handleMessage);
+        };
+    }, [syncNow]);
+
+    const retrySync = async (id: number) => {
+        await offlineStorage.retrySyncItem(id);
+        if (navigator.onLine) await syncNow();
+    };
+
+    const discardSync = (id: number) => offlineStorage.removeSyncedItem(id);
+
+    return { pendingSync, isOnline, syncNow, retrySync, discardSync };
+}
@@ -0,0 +1,71 @@
+import { useState, useEffect, useRef } from 'react';
+import type { Order } from '../types';
+
+// The filters GET /api/orders takes (routes/orders.js). Empty strings mean "any".
+export interface OrderFilters {
+    from?: string; // ISO datetime, inclusive
+    to?: string; // ISO datetime, exclusive
+    paymentMethod?: string;
+    serviceType?: string;
+    customerId?: string;
+    userId?: string;
+    productId?: string;
+    minTotal?: string;
+    maxTotal?: string;
+    q?: string; // Client name
+}
+
+const PAGE_SIZE = 50;
+
+// Order history straight from the server, filtered and paged with the cursor
+// it returns in X-Next-Cursor. Unlike useOrders (the latest orders the app
+// keeps in memory) this reaches every sale ever made.
+export default function useOrderSearch(filters: OrderFilters) {
+    const [orders, setOrders] = useState<Order[]>([]);
+    const [nextCursor, setNextCursor] = useState<string | null>(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    // Responses to an older set of filters are dropped
+    const requestId = useRef(0);
+
+    const fetchPage = async (cursor: string | null) => {
+        const id = ++requestId.current;
+        const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        if (cursor) params.set('cursor', cursor);
+
+        setIsLoading(true);
+        setError(null);
+        try {
+            const response = await fetch(`/api/orders?${params}`);
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || `Error ${response.status}`);
+            if (id !== requestId.current) return;
+            setOrders(prev => (cursor ? [...prev, ...body] : body));
+            setNextCursor(response.headers.get('X-Next-Cursor'));
+        } catch (err) {
+            if (id !== requestId.current) return;
+            console.error('❌ Error searching orders:', err);
+            setError(err instanceof Error ? err.message : String(err));
+        } finally {
+            if (id === requestId.current) setIsLoading(false);
+        }
+    };
+
+    const reload = () => fetchPage(null);
+
+    const loadMore = () => {
+        if (nextCursor && !isLoading) fetchPage(nextCursor);
+    };
+
+    // Typing in the search box shouldn't fire a request per key
+    const filtersKey = JSON.stringify(filters);
+    useEffect(() => {
+        const timer = setTimeout(reload, 300);
+        return () => clearTimeout(timer);
+    }, [filtersKey]);
+
+    return { orders, hasMore: nextCursor !== null, isLoading, error, loadMore, reload };
+}
@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
-import type { Order } from '../types';
+import type { Order, OrderEdit, PaymentTender } from '../types';
 
 // Extracted from AppContext.tsx (Phase 5 of the architecture cleanup).
 //
@@ -10,6 +10,19 @@ import type { Order } from '../types';
 // server-confirmed order to state + cache) for the composition layer to
 // call after it does that orchestration and the actual POST - the same
 // helper both createOrder and finishCoworkingSession use.
+// Fields PUT /api/orders/:id can change; lines already on the order are
+// { lineIndex, quantity }, new ones are catalog product lines
+export interface OrderEditInput {
+    reason: string;
+    clientName?: string;
+    serviceType?: Order['serviceType'];
+    customerId?: string | null;
+    paymentMethod?: Order['paymentMethod'];
+    payments?: PaymentTender[];
+    tip?: number;
+    items?: ({ lineIndex: number; quantity: number } | { id: string; quantity: number })[];
+}
+
 export default function useOrders() {
     const [orders, setOrders] = useState<Order[]>([]);
 
@@ -26,29 +39,55 @@ export default function useOrders() {
         });
     };
 
-    const deleteOrder = async (orderId: string) => {
+    // Orders are never deleted; a refund changes their status instead
+    // (see useRefunds / AppContext.refundOrder).
+    const replaceOrder = (order: Order) => {
+        setOrders(prev => {
+            const updated = prev.map(o => o.id === order.id ? { ...o, ...order } : o);
+            sessionCache.set(CACHE_KEYS.ORDERS, updated);
+            return updated;
+        });
+    };
+
+    // Corrects an order after the sale; the server moves stock and customer
+    // credit and keeps the change trail (see fetchOrderEdits)
+    const editOrder = async (orderId: string, edit: OrderEditInput & { userId?: string }): Promise<Order> => {
         try {
-            const response = await fetch(`/api/orders/${orderId}`, {
-                method: 'DELETE',
+            const send = (adminKey?: string) => fetch(`/api/orders/${orderId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', ...(adminKey ? { 'X-Admin-Key': adminKey } : {}) },
+                body: JSON.stringify(edit),
             });
 
-            if (!response.ok) throw new Error('Failed to delete order');
+            // Sales of a closed cash session need the admin key
+            let response = await send();
+            if (response.status === 403) {
+                const adminKey = window.prompt('La venta es de un corte de caja cerrado. Clave de administrador:');
+                if (adminKey) response = await send(adminKey);
+            }
 
-            // Update local state and cache
-            setOrders(prev => {
-                const updated = prev.filter(o => o.id !== orderId);
-                sessionCache.set(CACHE_KEYS.ORDERS, updated);
-                return updated;
-            });
+            if (!response.ok) {
+                const { error } = await response.json().catch(() => ({ error: undefined }));
+                throw new Error(error || `Failed to edit order: ${response.status}`);
+            }
 
-            console.log('✅ Order deleted successfully:', orderId);
+            const { order }: { order: Order; edit: OrderEdit } = await response.json();
+            replaceOrder(order);
+            console.log('✅ Order edited:', orderId);
+            return order;
         } catch (error) {
-            console.error("Error deleting order:", error);
-            alert("Error al eliminar la orden");
+            console.error("Error editing order:", error);
+            alert(`❌ Error al editar la orden: ${error instanceof Error ? error.message : error}`);
             throw error;
         }
     };
 
+    const fetchOrderEdits = async (orderId: string): Promise<OrderEdit[]> => {
+        const response = await fetch(`/api/orders/${orderId}/edits`);
+        if (!response.ok) throw new Error(`Failed to fetch order edits: ${response.status}`);
+        return response.json();
+    };
+
     // 🔄 OPTION A: Refetch Orders Function - allows manual refresh
     const refetchOrders = async () => {
         try {
@@ -69,6 +108,7 @@ export default function useOrders() {
 
     return {
         orders, hydrateOrders, pushOrder,
-        deleteOrder, refetchOrders,
+        replaceOrder, refetchOrders,
+        editOrder, fetchOrderEdits,
     };
 }
@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback } from 'react';
+import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
+import { dedupedFetch } from '../utils/apiCache';
+import useRealtimeSync from './useRealtimeSync';
+import type { ParkedCart, CartItem } from '../types';
+
+// Sales set aside under a name while the customer steps away. Loads itself
+// and refetches on every 'parked-carts' broadcast, like useTabs, so a cart
+// parked at one register can be resumed at another. 'cash-sessions' is
+// synced too: opening a session changes which carts are flagged stale.
+//
+// Putting a resumed cart back into the register is composed in AppContext
+// (resumeParkedCart) out of resume plus useCart's restoreCart.
+
+const SYNCED_TYPES: ('parked-carts' | 'cash-sessions')[] = ['parked-carts', 'cash-sessions'];
+
+async function parkedCartsRequest<T>(url: string, method: string, body?: unknown): Promise<T> {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({ error: undefined }));
+        throw new Error(error || `Request failed: ${response.status}`);
+    }
+    return response.status === 204 ? (undefined as T) : response.json();
+}
+
+export default function useParkedCarts() {
+    const [parkedCarts, setParkedCartsState] = useState<ParkedCart[]>(() => sessionCache.get<ParkedCart[]>(CACHE_KEYS.PARKED_CARTS) || []);
+
+    const storeParkedCarts = (update: (prev: ParkedCart[]) => ParkedCart[]) => {
+        setParkedCartsState(prev => {
+            const updated = update(prev);
+            sessionCache.set(CACHE_KEYS.PARKED_CARTS, updated);
+            return updated;
+        });
+    };
+
+    const refreshParkedCarts = useCallback(async () => {
+        try {
+            const data = await dedupedFetch<ParkedCart[]>('/api/parked-carts', {}, true);
+            storeParkedCarts(() => data);
+        } catch (error) {
+            console.error('Failed to fetch parked carts:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshParkedCarts();
+    }, [refreshParkedCarts]);
+
+    useRealtimeSync({ dataTypes: SYNCED_TYPES, onDataChange: refreshParkedCarts });
+
+    const parkCart = async (details: { name: string; items: CartItem[]; couponCode?: string; userId?: string; deviceId?: string }) => {
+        try {
+            const parked = await parkedCartsRequest<ParkedCart>('/api/parked-carts', 'POST', details);
+            storeParkedCarts(prev => [...prev.filter(cart => cart.id !== parked.id), parked]);
+            return parked;
+        } catch (error) {
+            console.error('Error parking cart:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    // Takes the cart off the list; fails if another register resumed it first
+    const resumeParkedCart = async (id: string) => {
+        try {
+            const parked = await parkedCartsRequest<ParkedCart>(`/api/parked-carts/${id}/resume`, 'POST');
+            storeParkedCarts(prev => prev.filter(cart => cart.id !== id));
+            return parked;
+        } catch (error) {
+            console.error('Error resuming parked cart:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            refreshParkedCarts();
+            throw error;
+        }
+    };
+
+    const discardParkedCart = async (id: string) => {
+        try {
+            await parkedCartsRequest<void>(`/api/parked-carts/${id}`, 'DELETE');
+            storeParkedCarts(prev => prev.filter(cart => cart.id !== id));
+        } catch (error) {
+            console.error('Error discarding parked cart:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            refreshParkedCarts();
+            throw error;
+        }
+    };
+
+    return { parkedCarts, refreshParkedCarts, parkCart, resumeParkedCart, discardParkedCart };
+}
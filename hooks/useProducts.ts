@@ -1,10 +1,17 @@
 import { useState } from 'react';
 import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
 import type { Product } from '../types';
+import { isBundle, bundleStock, expandStockMoves } from '../utils/bundles';
+
+// Validation errors (bad modifier groups, combo components...) come back as { error }
+async function errorMessage(response: Response, fallback: string): Promise<string> {
+    const { error } = await response.json().catch(() => ({ error: undefined }));
+    return error || fallback;
+}
 
 // Extracted from AppContext.tsx (Phase 5 of the architecture cleanup).
-// `updateStockForSale` is exposed because orders and coworking-session
-// checkout both need to decrement stock after a sale - that's the one
+// `applySaleToLocalStock` is exposed because orders and coworking-session
+// checkout both need to reflect a sale's stock decrement - that's the one
 // piece of this hook other hooks legitimately depend on.
 export default function useProducts() {
     const [products, setProducts] = useState<Product[]>([]);
@@ -21,15 +28,17 @@ export default function useProducts() {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(product),
             });
-            if (!response.ok) throw new Error('Failed to create product');
+            if (!response.ok) throw new Error(await errorMessage(response, 'Failed to create product'));
             const newProduct = await response.json();
             setProducts(prev => {
                 const updated = [...prev, newProduct];
                 sessionCache.set(CACHE_KEYS.PRODUCTS, updated);
                 return updated;
             });
+            return newProduct as Product;
         } catch (error) {
             console.error("Error adding product:", error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
         }
     };
 
@@ -40,7 +49,7 @@ export default function useProducts() {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(updatedProduct),
             });
-            if (!response.ok) throw new Error('Failed to update product');
+            if (!response.ok) throw new Error(await errorMessage(response, 'Failed to update product'));
             const returnedProduct = await response.json();
             setProducts(prev => {
                 const updated = prev.map(p => p.id === returnedProduct.id ? returnedProduct : p);
@@ -49,6 +58,7 @@ export default function useProducts() {
             });
         } catch (error) {
             console.error("Error updating product:", error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
         }
     };
 
@@ -57,7 +67,7 @@ export default function useProducts() {
             const response = await fetch(`/api/products/${productId}`, {
                 method: 'DELETE',
             });
-            if (!response.ok) throw new Error('Failed to delete product');
+            if (!response.ok) throw new Error(await errorMessage(response, 'Failed to delete product'));
             setProducts(prev => {
                 const updated = prev.filter(p => p.id !== productId);
                 sessionCache.set(CACHE_KEYS.PRODUCTS, updated);
@@ -65,6 +75,7 @@ export default function useProducts() {
             });
         } catch (error) {
             console.error("Error deleting product:", error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
         }
     };
 
@@ -75,44 +86,41 @@ export default function useProducts() {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(importedProducts),
             });
-            if (!response.ok) throw new Error('Failed to import products');
+            if (!response.ok) throw new Error(await errorMessage(response, 'Failed to import products'));
             const fullProductList = await response.json();
             setProducts(fullProductList);
             sessionCache.set(CACHE_KEYS.PRODUCTS, fullProductList);
         } catch (error) {
             console.error("Error importing products:", error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
         }
     };
 
-    // Decrements local stock after a sale. Used by createOrder and
-    // finishCoworkingSession (both live in AppContext.tsx's composition layer).
-    const updateStockForSale = async (items: { id: string, quantity: number }[]) => {
+    // Mirrors a sale's stock decrement in local state. The server already did
+    // the real decrement inside create_order_atomic (same transaction as the
+    // order), so this only keeps the product grid in step until the next fetch.
+    // Used by createOrder and finishCoworkingSession (AppContext.tsx).
+    // A combo moves its components, and every combo's stock is re-derived.
+    const applySaleToLocalStock = (items: { id: string, quantity: number }[]) => {
         if (items.length === 0) return;
-        try {
-            await fetch('/api/products/update-stock', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ items }),
+        setProducts(prevProducts => {
+            const updatedProducts = prevProducts.map(p => ({ ...p }));
+            expandStockMoves(items, prevProducts).forEach(itemToUpdate => {
+                const product = updatedProducts.find(p => p.id === itemToUpdate.id);
+                if (product) {
+                    product.stock -= itemToUpdate.quantity;
+                }
             });
-            // Optimistically update frontend state
-            setProducts(prevProducts => {
-                const updatedProducts = [...prevProducts];
-                items.forEach(itemToUpdate => {
-                    const productIndex = updatedProducts.findIndex(p => p.id === itemToUpdate.id);
-                    if (productIndex > -1) {
-                        updatedProducts[productIndex].stock -= itemToUpdate.quantity;
-                    }
-                });
-                return updatedProducts;
+            updatedProducts.filter(isBundle).forEach(bundle => {
+                bundle.stock = bundleStock(bundle, updatedProducts);
             });
-        } catch (error) {
-            console.error("Failed to update stock:", error);
-            // Here you might want to refetch products to ensure consistency
-        }
+            sessionCache.set(CACHE_KEYS.PRODUCTS, updatedProducts);
+            return updatedProducts;
+        });
     };
 
     return {
         products, hydrateProducts,
-        addProduct, updateProduct, deleteProduct, importProducts, updateStockForSale,
+        addProduct, updateProduct, deleteProduct, importProducts, applySaleToLocalStock,
     };
 }
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
+import { dedupedFetch } from '../utils/apiCache';
+import useRealtimeSync from './useRealtimeSync';
+import type { Promotion } from '../types';
+
+// Promotions and coupons. Loads itself and refetches on every 'promotions'
+// broadcast, like useTabs: a happy hour switched on at one register (or a
+// coupon used up at another) has to reach every cart, since the server
+// rejects checkouts whose discount doesn't match its own.
+
+const SYNCED_TYPES: 'promotions'[] = ['promotions'];
+
+export type PromotionInput = Omit<Promotion, 'id' | 'uses' | 'createdAt'>;
+
+async function promotionsRequest<T>(url: string, method: string, body?: unknown): Promise<T> {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({ error: undefined }));
+        throw new Error(error || `Request failed: ${response.status}`);
+    }
+    return response.status === 204 ? (undefined as T) : response.json();
+}
+
+export default function usePromotions() {
+    const [promotions, setPromotions] = useState<Promotion[]>(() => sessionCache.get<Promotion[]>(CACHE_KEYS.PROMOTIONS) || []);
+
+    const storePromotions = (update: (prev: Promotion[]) => Promotion[]) => {
+        setPromotions(prev => {
+            const updated = update(prev);
+            sessionCache.set(CACHE_KEYS.PROMOTIONS, updated);
+            return updated;
+        });
+    };
+
+    const refreshPromotions = useCallback(async () => {
+        try {
+            const data = await dedupedFetch<Promotion[]>('/api/promotions', {}, true);
+            storePromotions(() => data);
+        } catch (error) {
+            console.error('Failed to fetch promotions:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshPromotions();
+    }, [refreshPromotions]);
+
+    useRealtimeSync({ dataTypes: SYNCED_TYPES, onDataChange: refreshPromotions });
+
+    const withAlert = async <T,>(action: string, run: () => Promise<T>): Promise<T> => {
+        try {
+            return await run();
+        } catch (error) {
+            console.error(`Error ${action}:`, error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    const addPromotion = (promotion: PromotionInput) =>
+        withAlert('creating promotion', async () => {
+            const created = await promotionsRequest<Promotion>('/api/promotions', 'POST', promotion);
+            storePromotions(prev => [created, ...prev]);
+            return created;
+        });
+
+    const updatePromotion = (promotionId: string, updates: Partial<PromotionInput>) =>
+        withAlert('updating promotion', async () => {
+            const updated = await promotionsRequest<Promotion>(`/api/promotions/${promotionId}`, 'PUT', updates);
+            storePromotions(prev => prev.map(p => (p.id === promotionId ? updated : p)));
+            return updated;
+        });
+
+    const deletePromotion = (promotionId: string) =>
+        withAlert('deleting promotion', async () => {
+            await promotionsRequest<void>(`/api/promotions/${promotionId}`, 'DELETE');
+            storePromotions(prev => prev.filter(p => p.id !== promotionId));
+        });
+
+    return { promotions, refreshPromotions, addPromotion, updatePromotion, deletePromotion };
+}
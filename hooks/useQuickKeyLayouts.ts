@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback } from 'react';
+import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
+import { dedupedFetch } from '../utils/apiCache';
+import { getDeviceId } from '../utils/deviceId';
+import useRealtimeSync from './useRealtimeSync';
+import type { QuickKeyLayout } from '../types';
+
+// The sales grid layout for this register (its device layout, else its
+// user's role layout) plus every saved layout for the admin editor. Loads
+// itself and refetches on every 'quick-key-layouts' broadcast, like
+// useSettings, so a rearranged grid shows up on the registers right away.
+
+const SYNCED_TYPES: 'quick-key-layouts'[] = ['quick-key-layouts'];
+
+type LayoutScope = QuickKeyLayout['scope'];
+export type QuickKeyLayoutInput = Pick<QuickKeyLayout, 'name' | 'favorites' | 'pages'>;
+
+async function layoutRequest<T>(url: string, method: string, body?: unknown): Promise<T | null> {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({ error: undefined }));
+        throw new Error(error || `Request failed: ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+export default function useQuickKeyLayouts(role?: string) {
+    const [deviceId] = useState(getDeviceId);
+    const [activeLayout, setActiveLayout] = useState<QuickKeyLayout | null>(() => sessionCache.get<QuickKeyLayout>(CACHE_KEYS.QUICK_KEY_LAYOUT));
+    const [layouts, setLayouts] = useState<QuickKeyLayout[]>([]);
+
+    const refreshQuickKeyLayouts = useCallback(async () => {
+        try {
+            const params = new URLSearchParams();
+            if (deviceId) params.set('deviceId', deviceId);
+            if (role) params.set('role', role);
+            const [active, all] = await Promise.all([
+                dedupedFetch<QuickKeyLayout | null>(`/api/quick-key-layouts/resolve?${params}`, {}, true),
+                dedupedFetch<QuickKeyLayout[]>('/api/quick-key-layouts', {}, true),
+            ]);
+            if (active) sessionCache.set(CACHE_KEYS.QUICK_KEY_LAYOUT, active);
+            else sessionCache.remove(CACHE_KEYS.QUICK_KEY_LAYOUT);
+            setActiveLayout(active);
+            setLayouts(all);
+        } catch (error) {
+            console.error('Failed to fetch quick-key layouts:', error);
+        }
+    }, [deviceId, role]);
+
+    useEffect(() => {
+        refreshQuickKeyLayouts();
+    }, [refreshQuickKeyLayouts]);
+
+    useRealtimeSync({ dataTypes: SYNCED_TYPES, onDataChange: refreshQuickKeyLayouts });
+
+    // Saves (or replaces) the layout for a device or a role
+    const saveQuickKeyLayout = async (scope: LayoutScope, scopeKey: string, layout: QuickKeyLayoutInput, userId?: string) => {
+        try {
+            const saved = await layoutRequest<QuickKeyLayout>(
+                `/api/quick-key-layouts/${scope}/${encodeURIComponent(scopeKey)}`, 'PUT', { ...layout, userId }
+            );
+            await refreshQuickKeyLayouts();
+            return saved as QuickKeyLayout;
+        } catch (error) {
+            console.error('Error saving quick-key layout:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    const deleteQuickKeyLayout = async (scope: LayoutScope, scopeKey: string) => {
+        try {
+            await layoutRequest(`/api/quick-key-layouts/${scope}/${encodeURIComponent(scopeKey)}`, 'DELETE');
+            await refreshQuickKeyLayouts();
+        } catch (error) {
+            console.error('Error deleting quick-key layout:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    return { deviceId, activeLayout, layouts, refreshQuickKeyLayouts, saveQuickKeyLayout, deleteQuickKeyLayout };
+}
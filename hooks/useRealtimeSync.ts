@@ -8,7 +8,7 @@
 import { useEffect, useCallback, useRef } from 'react';
 import realtimeSync from '../services/realtimeSync';
 
-type DataType = 'products' | 'orders' | 'expenses' | 'coworking-sessions' | 'cash-sessions' | 'customers' | 'cash-withdrawals';
+type DataType = 'products' | 'orders' | 'expenses' | 'coworking-sessions' | 'cash-sessions' | 'customers' | 'cash-withdrawals' | 'tabs' | 'floor-tables' | 'promotions' | 'kitchen' | 'settings' | 'invoices' | 'exchange-rates' | 'quick-key-layouts' | 'parked-carts' | 'ingredients';
 
 interface UseRealtimeSyncOptions {
   /**
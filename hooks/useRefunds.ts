@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
+import type { Order, OrderRefund } from '../types';
+
+// Refund documents for the void/refund workflow (orders are never deleted).
+//
+// refundOrder only records the refund and keeps this list current; the
+// order's new status and the returned stock belong to other resources, so the
+// composition layer (AppContext.refundOrder) refreshes those afterwards.
+export default function useRefunds() {
+    const [refunds, setRefunds] = useState<OrderRefund[]>([]);
+
+    // Called by the app-level initial-load effect once refunds are fetched/cached.
+    const hydrateRefunds = (data: OrderRefund[]) => {
+        setRefunds(data);
+    };
+
+    const refundOrder = async (
+        orderId: string,
+        refund: { reason: string; lines?: { lineIndex: number; quantity: number }[]; userId?: string }
+    ): Promise<{ refund: OrderRefund; order: Order }> => {
+        try {
+            const response = await fetch(`/api/orders/${orderId}/refunds`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(refund),
+            });
+
+            if (!response.ok) {
+                const { error } = await response.json().catch(() => ({ error: undefined }));
+                throw new Error(error || `Failed to refund order: ${response.status}`);
+            }
+
+            const result: { refund: OrderRefund; order: Order } = await response.json();
+            setRefunds(prev => {
+                const updated = [result.refund, ...prev];
+                sessionCache.set(CACHE_KEYS.REFUNDS, updated);
+                return updated;
+            });
+
+            console.log('✅ Refund recorded:', result.refund.id, { orderId, amount: result.refund.amount });
+            return result;
+        } catch (error) {
+            console.error("Error refunding order:", error);
+            alert(`Error al registrar el reembolso: ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    return {
+        refunds, hydrateRefunds,
+        refundOrder,
+    };
+}
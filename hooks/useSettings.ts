@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback } from 'react';
+import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
+import { dedupedFetch } from '../utils/apiCache';
+import useRealtimeSync from './useRealtimeSync';
+import type { BusinessSettings } from '../types';
+
+// Business settings (receipt header/footer, paper width, ticket printer).
+// Loads itself and refetches on every 'settings' broadcast, like usePromotions,
+// so a new footer reaches every register's next ticket.
+
+const SYNCED_TYPES: 'settings'[] = ['settings'];
+
+async function settingsRequest<T>(url: string, method: string, body?: unknown): Promise<T> {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({ error: undefined }));
+        throw new Error(error || `Request failed: ${response.status}`);
+    }
+    return response.json();
+}
+
+export default function useSettings() {
+    const [settings, setSettings] = useState<BusinessSettings | null>(() => sessionCache.get<BusinessSettings>(CACHE_KEYS.SETTINGS));
+
+    const storeSettings = (data: BusinessSettings) => {
+        sessionCache.set(CACHE_KEYS.SETTINGS, data);
+        setSettings(data);
+    };
+
+    const refreshSettings = useCallback(async () => {
+        try {
+            storeSettings(await dedupedFetch<BusinessSettings>('/api/settings', {}, true));
+        } catch (error) {
+            console.error('Failed to fetch settings:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshSettings();
+    }, [refreshSettings]);
+
+    useRealtimeSync({ dataTypes: SYNCED_TYPES, onDataChange: refreshSettings });
+
+    const updateSettings = async (updates: Partial<BusinessSettings>) => {
+        try {
+            const updated = await settingsRequest<BusinessSettings>('/api/settings', 'PUT', updates);
+            storeSettings(updated);
+            return updated;
+        } catch (error) {
+            console.error('Error updating settings:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    // Sends the order's ticket to the network printer in the settings
+    const printReceipt = async (orderId: string) => {
+        try {
+            await settingsRequest<{ printed: boolean }>(`/api/orders/${orderId}/receipt/print`, 'POST');
+        } catch (error) {
+            console.error('Error printing receipt:', error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    return { settings, refreshSettings, updateSettings, printReceipt };
+}
@@ -0,0 +1,147 @@
+import { useState, useEffect, useCallback } from 'react';
+import { sessionCache, CACHE_KEYS } from '../utils/sessionCache';
+import { dedupedFetch } from '../utils/apiCache';
+import useRealtimeSync from './useRealtimeSync';
+import type { Tab, TabItem, FloorTable } from '../types';
+
+// Open tabs and the floor map for dine-in service.
+//
+// Unlike the other resource hooks this one loads itself instead of waiting for
+// the app-level initial load: tabs change on other devices all through a
+// visit, so it refetches whenever the server broadcasts a 'tabs' or
+// 'floor-tables' change over SSE. The session cache only covers the first
+// paint after a reload; the server is the source of truth.
+//
+// Paying a tab is NOT here - it creates an order and moves stock, so it's
+// composed in AppContext.tsx (closeTab) out of markTabClosed plus the
+// orders/products hooks.
+
+const SYNCED_TYPES: ('tabs' | 'floor-tables')[] = ['tabs', 'floor-tables'];
+
+async function tabsRequest<T>(url: string, method: string, body?: unknown): Promise<T> {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({ error: undefined }));
+        throw new Error(error || `Request failed: ${response.status}`);
+    }
+    return response.status === 204 ? (undefined as T) : response.json();
+}
+
+export default function useTabs() {
+    const [tabs, setTabs] = useState<Tab[]>(() => sessionCache.get<Tab[]>(CACHE_KEYS.TABS) || []);
+    const [floorTables, setFloorTables] = useState<FloorTable[]>(() => sessionCache.get<FloorTable[]>(CACHE_KEYS.FLOOR_TABLES) || []);
+
+    const storeTabs = (update: (prev: Tab[]) => Tab[]) => {
+        setTabs(prev => {
+            const updated = update(prev);
+            sessionCache.set(CACHE_KEYS.TABS, updated);
+            return updated;
+        });
+    };
+
+    const storeFloorTables = (update: (prev: FloorTable[]) => FloorTable[]) => {
+        setFloorTables(prev => {
+            const updated = update(prev);
+            sessionCache.set(CACHE_KEYS.FLOOR_TABLES, updated);
+            return updated;
+        });
+    };
+
+    const refreshTabs = useCallback(async () => {
+        try {
+            const data = await dedupedFetch<Tab[]>('/api/tabs', {}, true);
+            storeTabs(() => data);
+        } catch (error) {
+            console.error('Failed to fetch tabs:', error);
+        }
+    }, []);
+
+    const refreshFloorTables = useCallback(async () => {
+        try {
+            const data = await dedupedFetch<FloorTable[]>('/api/floor-tables', {}, true);
+            storeFloorTables(() => data);
+        } catch (error) {
+            console.error('Failed to fetch floor tables:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshTabs();
+        refreshFloorTables();
+    }, [refreshTabs, refreshFloorTables]);
+
+    const handleDataChange = useCallback((dataType: string) => {
+        if (dataType === 'tabs') refreshTabs();
+        else refreshFloorTables();
+    }, [refreshTabs, refreshFloorTables]);
+
+    useRealtimeSync({ dataTypes: SYNCED_TYPES, onDataChange: handleDataChange });
+
+    // Replaces one tab in the list; closed tabs drop out (the list is open tabs only)
+    const applyTab = (tab: Tab) => {
+        storeTabs(prev => {
+            const others = prev.filter(t => t.id !== tab.id);
+            return tab.status === 'open' ? [tab, ...others] : others;
+        });
+        return tab;
+    };
+
+    const withAlert = async <T,>(action: string, run: () => Promise<T>): Promise<T> => {
+        try {
+            return await run();
+        } catch (error) {
+            console.error(`Error ${action}:`, error);
+            alert(`❌ ${error instanceof Error ? error.message : error}`);
+            throw error;
+        }
+    };
+
+    const openTab = (details: { name: string; tableId?: string | null; customerId?: string | null; userId?: string }) =>
+        withAlert('opening tab', async () => applyTab(await tabsRequest<Tab>('/api/tabs', 'POST', details)));
+
+    const addTabItems = (tabId: string, items: Pick<TabItem, 'id' | 'name' | 'price' | 'quantity' | 'modifiers'>[]) =>
+        withAlert('adding items to tab', async () => applyTab(await tabsRequest<Tab>(`/api/tabs/${tabId}/items`, 'POST', { items })));
+
+    const updateTab = (tabId: string, updates: Partial<Pick<Tab, 'name' | 'tableId' | 'items' | 'customerId'>>) =>
+        withAlert('updating tab', async () => applyTab(await tabsRequest<Tab>(`/api/tabs/${tabId}`, 'PUT', updates)));
+
+    // Records the order that paid the tab; called by AppContext.closeTab
+    const markTabClosed = async (tabId: string, orderId: string) =>
+        applyTab(await tabsRequest<Tab>(`/api/tabs/${tabId}/close`, 'POST', { orderId }));
+
+    const deleteTab = (tabId: string) =>
+        withAlert('deleting tab', async () => {
+            await tabsRequest<void>(`/api/tabs/${tabId}`, 'DELETE');
+            storeTabs(prev => prev.filter(t => t.id !== tabId));
+        });
+
+    const createFloorTable = (table: Omit<FloorTable, 'id'>) =>
+        withAlert('creating floor table', async () => {
+            const created = await tabsRequest<FloorTable>('/api/floor-tables', 'POST', table);
+            storeFloorTables(prev => [...prev, created]);
+            return created;
+        });
+
+    const updateFloorTable = (tableId: string, updates: Partial<Omit<FloorTable, 'id'>>) =>
+        withAlert('updating floor table', async () => {
+            const updated = await tabsRequest<FloorTable>(`/api/floor-tables/${tableId}`, 'PUT', updates);
+            storeFloorTables(prev => prev.map(t => (t.id === tableId ? updated : t)));
+            return updated;
+        });
+
+    const deleteFloorTable = (tableId: string) =>
+        withAlert('deleting floor table', async () => {
+            await tabsRequest<void>(`/api/floor-tables/${tableId}`, 'DELETE');
+            storeFloorTables(prev => prev.filter(t => t.id !== tableId));
+        });
+
+    return {
+        tabs, floorTables, refreshTabs,
+        openTab, addTabItems, updateTab, markTabClosed, deleteTab,
+        createFloorTable, updateFloorTable, deleteFloorTable,
+    };
+}
@@ -33,9 +33,19 @@ export function requireAdminKey(req, res, next) {
         console.warn('⚠️  ADMIN_SECRET_KEY not configured — admin endpoint blocked for safety. Set it in .env to enable.');
         return res.status(503).json({ error: 'Admin endpoints disabled: configure ADMIN_SECRET_KEY in environment.' });
     }
-    const provided = req.headers['x-admin-key'] || req.query.adminKey;
-    if (!provided || provided !== adminKey) {
+    if (!hasAdminKey(req)) {
         return res.status(403).json({ error: 'Forbidden: valid X-Admin-Key header required.' });
     }
     next();
 }
+
+/**
+ * Same check as requireAdminKey, for routes where only some requests need an
+ * admin (e.g. editing a sale of a closed cash session). Never true while
+ * ADMIN_SECRET_KEY is unset.
+ */
+export function hasAdminKey(req) {
+    const adminKey = process.env.ADMIN_SECRET_KEY;
+    const provided = req.headers['x-admin-key'] || req.query.adminKey;
+    return Boolean(adminKey) && provided === adminKey;
+}
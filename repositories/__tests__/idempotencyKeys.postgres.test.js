@@ -0,0 +1,82 @@
+// Offline-queue replays of expenses, cash withdrawals and coworking sessions
+// on a throwaway PostgreSQL (tests/support/postgres.js): the key is claimed
+// in the insert's transaction, so replays that arrive together create one row.
+
+const { startServer, request } = require('../../tests/characterization/helpers');
+const { startPostgres } = require('../../tests/support/postgres');
+
+const PORT = 3963;
+const PG_PORT = 54363;
+
+let db;
+let server;
+const post = (urlPath, body) => request(server.baseUrl, 'POST', urlPath, body);
+
+beforeAll(async () => {
+  db = await startPostgres(PG_PORT);
+  server = await startServer(PORT, { DATABASE_URL: db.url });
+  await db.query(
+    'INSERT INTO cash_sessions (id, "startAmount", "startTime") VALUES ($1, $2, NOW())',
+    ['cs-replay', 500]
+  );
+}, 120000);
+
+afterAll(async () => {
+  server?.stop();
+  await db?.stop();
+});
+
+// Three copies of one queued request, sent at once
+const replayTogether = (urlPath, body) => Promise.all([post(urlPath, body), post(urlPath, body), post(urlPath, body)]);
+
+const expectOneCreated = (responses) => {
+  expect(responses.map(r => r.status).sort()).toEqual([200, 200, 201]);
+  expect(new Set(responses.map(r => r.body.id)).size).toBe(1);
+  expect(responses.filter(r => r.body.isDuplicate)).toHaveLength(2);
+};
+
+describe('concurrent replays with one key', () => {
+  test('POST /api/expenses creates one expense', async () => {
+    expectOneCreated(await replayTogether('/api/expenses', {
+      description: 'Hielo en paralelo', amount: 50, category: 'Insumos', idempotencyKey: 'expense-race',
+    }));
+    const { rows } = await db.query('SELECT id FROM expenses WHERE description = $1', ['Hielo en paralelo']);
+    expect(rows).toHaveLength(1);
+  });
+
+  test('POST /api/cash-withdrawals takes the cash out once', async () => {
+    expectOneCreated(await replayTogether('/api/cash-withdrawals', {
+      cashSessionId: 'cs-replay', amount: 20, description: 'Cambio en paralelo', idempotencyKey: 'withdrawal-race',
+    }));
+    const { rows } = await db.query('SELECT id FROM cash_withdrawals WHERE description = $1', ['Cambio en paralelo']);
+    expect(rows).toHaveLength(1);
+  });
+
+  test('POST /api/coworking-sessions starts one session', async () => {
+    expectOneCreated(await replayTogether('/api/coworking-sessions', {
+      clientName: 'Sin Wi-Fi en paralelo', startTime: new Date().toISOString(), hourlyRate: 62, idempotencyKey: 'coworking-race',
+    }));
+    const { rows } = await db.query('SELECT id FROM coworking_sessions WHERE "clientName" = $1', ['Sin Wi-Fi en paralelo']);
+    expect(rows).toHaveLength(1);
+  });
+});
+
+describe('claimed keys', () => {
+  test('a key already used for another resource is refused (409)', async () => {
+    const { status, body } = await post('/api/cash-withdrawals', {
+      cashSessionId: 'cs-replay', amount: 20, description: 'Otra clave', idempotencyKey: 'expense-race',
+    });
+    expect(status).toBe(409);
+    expect(body).toEqual({ error: 'La clave de idempotencia ya se usó para otra operación' });
+  });
+
+  test('a create that fails leaves its key free for the next replay', async () => {
+    const request = { cashSessionId: 'cs-nope', amount: 20, description: 'Corte fallido', idempotencyKey: 'withdrawal-failed' };
+    expect((await post('/api/cash-withdrawals', request)).status).toBe(500);
+    expect((await db.query('SELECT key FROM idempotency_keys WHERE key = $1', ['withdrawal-failed'])).rows).toEqual([]);
+
+    const retry = await post('/api/cash-withdrawals', { ...request, cashSessionId: 'cs-replay' });
+    expect(retry.status).toBe(201);
+    expect(retry.body).toMatchObject({ cash_session_id: 'cs-replay', amount: 20 });
+  });
+});
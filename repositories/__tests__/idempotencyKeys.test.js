@@ -0,0 +1,59 @@
+// Offline-queue replays through server.js in in-memory mode (no DATABASE_URL):
+// coworking sessions go to the file store, expenses and cash withdrawals still
+// need the database. The PostgreSQL side is in idempotencyKeys.postgres.test.js.
+
+const { startServer, request } = require('../../tests/characterization/helpers');
+
+const PORT = 3967;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const del = (p) => request(server.baseUrl, 'DELETE', p);
+
+describe('offline queue replays', () => {
+  // Sessions land in the tracked data/coworking_sessions.json in this mode, so
+  // the ones created here are deleted again (one at a time: the file store
+  // rewrites the whole file on each delete)
+  const createdSessionIds = [];
+  afterEach(async () => {
+    for (const id of createdSessionIds.splice(0)) await del(`/api/coworking-sessions/${id}`);
+  });
+
+  test('POST /api/coworking-sessions replayed with the same idempotency key returns the first session', async () => {
+    const request = { clientName: 'Sin Wi-Fi', startTime: new Date().toISOString(), hourlyRate: 62, idempotencyKey: 'coworking-local-replay' };
+    const first = await post('/api/coworking-sessions', request);
+    expect(first.status).toBe(201);
+    createdSessionIds.push(first.body.id);
+
+    const replay = await post('/api/coworking-sessions', request);
+    expect(replay.status).toBe(200);
+    expect(replay.body).toMatchObject({ id: first.body.id, clientName: 'Sin Wi-Fi', isDuplicate: true });
+
+    const other = await post('/api/coworking-sessions', { ...request, idempotencyKey: 'coworking-local-other' });
+    expect(other.status).toBe(201);
+    createdSessionIds.push(other.body.id);
+    expect(other.body.id).not.toBe(first.body.id);
+
+    const { body } = await get('/api/coworking-sessions');
+    const created = body.filter((session) => createdSessionIds.includes(session.id));
+    expect(created.map((session) => session.id).sort()).toEqual([...createdSessionIds].sort());
+  });
+
+  test('POST /api/expenses and /api/cash-withdrawals with a key still validate, then need the database', async () => {
+    const expense = { description: 'Hielo', amount: 50, category: 'Insumos', idempotencyKey: 'expense-offline-1' };
+    expect((await post('/api/expenses', { ...expense, taxAmount: 80 })).body).toEqual({ error: 'IVA inválido: 80' });
+    expect((await post('/api/expenses', expense)).status).toBe(503);
+    const { status, body } = await post('/api/cash-withdrawals', { cashSessionId: 'cs-1', amount: 20, description: 'Cambio', idempotencyKey: 'withdrawal-offline-1' });
+    expect(status).toBe(503);
+    expect(body).toEqual({ error: 'Database not available' });
+  });
+});
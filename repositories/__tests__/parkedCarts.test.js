@@ -0,0 +1,44 @@
+// Parked carts on the in-memory repository (server.js without a database).
+
+const { startServer, request } = require('../../tests/characterization/helpers');
+
+const PORT = 3987;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+
+describe('parked carts', () => {
+  test('a parked cart needs a name and at least one line (400)', async () => {
+    expect((await post('/api/parked-carts', { name: ' ', items: [{ id: '1', quantity: 1 }] })).body)
+      .toEqual({ error: 'La venta en espera necesita un nombre' });
+    expect((await post('/api/parked-carts', { name: 'Ana', items: [] })).body).toEqual({ error: 'El carrito está vacío' });
+    const bad = await post('/api/parked-carts', { name: 'Ana', items: [{ id: '1', name: 'Latte', quantity: 0 }] });
+    expect(bad).toMatchObject({ status: 400, body: { error: 'Línea inválida: Latte' } });
+  });
+
+  test('a parked cart is resumed exactly once, from any register', async () => {
+    const items = [{ id: '1', name: 'Latte', price: 45, quantity: 2, modifiers: [{ groupId: 'g', optionId: 'o' }] }];
+    const parked = await post('/api/parked-carts', { name: ' Ana ', items, couponCode: 'CAFE10', deviceId: 'caja-1' });
+    expect(parked.status).toBe(201);
+    expect(parked.body).toMatchObject({ name: 'Ana', couponCode: 'CAFE10', deviceId: 'caja-1', stale: false });
+
+    // Without a database there is no cash session, so nothing is stale
+    expect((await get('/api/parked-carts')).body).toEqual([expect.objectContaining({ id: parked.body.id, stale: false })]);
+
+    const resumed = await post(`/api/parked-carts/${parked.body.id}/resume`);
+    expect(resumed.status).toBe(200);
+    expect(resumed.body.items).toEqual(items);
+    const again = await post(`/api/parked-carts/${parked.body.id}/resume`);
+    expect(again).toMatchObject({ status: 404, body: { error: 'Esta venta ya se retomó o se descartó' } });
+    expect((await get('/api/parked-carts')).body).toEqual([]);
+  });
+});
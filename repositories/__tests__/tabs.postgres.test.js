@@ -0,0 +1,83 @@
+// Closing a tab on a throwaway PostgreSQL (tests/support/postgres.js): the
+// order it's closed with is looked up and has to be for the tab's lines.
+
+const { startServer, request } = require('../../tests/characterization/helpers');
+const { startPostgres } = require('../../tests/support/postgres');
+
+const PORT = 3965;
+const PG_PORT = 54365;
+
+let db;
+let server;
+const post = (urlPath, body) => request(server.baseUrl, 'POST', urlPath, body);
+
+beforeAll(async () => {
+  db = await startPostgres(PG_PORT);
+  server = await startServer(PORT, { DATABASE_URL: db.url });
+}, 120000);
+
+afterAll(async () => {
+  server?.stop();
+  await db?.stop();
+});
+
+describe('POST /api/tabs/:id/close', () => {
+  let toast;
+  let juice;
+
+  const openTab = async (name, items) => {
+    const { body: tab } = await post('/api/tabs', { name });
+    const added = await post(`/api/tabs/${tab.id}/items`, { items });
+    expect(added.status).toBe(200);
+    return tab;
+  };
+  const pay = async (items) => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Cuenta', serviceType: 'Mesa', paymentMethod: 'Efectivo', sendToKitchen: false, items,
+    });
+    expect({ status, error: body.error }).toEqual({ status: 201 });
+    return body;
+  };
+
+  beforeAll(async () => {
+    toast = (await post('/api/products', { name: 'Pan tostado de cuenta', price: 45, cost: 10, stock: 20, category: 'Alimentos' })).body;
+    juice = (await post('/api/products', { name: 'Jugo de cuenta', price: 35, cost: 8, stock: 20, category: 'Bebidas' })).body;
+  });
+
+  test('closes with the order that paid the tab\'s lines', async () => {
+    const tab = await openTab('Mesa 2', [{ id: toast.id, quantity: 2 }, { id: juice.id, quantity: 1 }]);
+    const order = await pay([{ id: juice.id, quantity: 1 }, { id: toast.id, quantity: 2 }]);
+
+    const { status, body } = await post(`/api/tabs/${tab.id}/close`, { orderId: order.id });
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ status: 'closed', orderId: order.id });
+  });
+
+  test('refuses an order for other lines (409) or one that closed another tab (409)', async () => {
+    const tab = await openTab('Mesa 3', [{ id: toast.id, quantity: 1 }]);
+    const short = await pay([{ id: juice.id, quantity: 1 }]);
+    const wrong = await post(`/api/tabs/${tab.id}/close`, { orderId: short.id });
+    expect(wrong.status).toBe(409);
+    expect(wrong.body.error).toBe(`La orden ${short.id} no corresponde a los productos de la cuenta "Mesa 3"`);
+
+    const fewer = await pay([{ id: toast.id, quantity: 2 }]);
+    expect((await post(`/api/tabs/${tab.id}/close`, { orderId: fewer.id })).status).toBe(409);
+
+    const paid = await pay([{ id: toast.id, quantity: 1 }]);
+    expect((await post(`/api/tabs/${tab.id}/close`, { orderId: paid.id })).status).toBe(200);
+    const twin = await openTab('Mesa 4', [{ id: toast.id, quantity: 1 }]);
+    const reused = await post(`/api/tabs/${twin.id}/close`, { orderId: paid.id });
+    expect(reused.status).toBe(409);
+    expect(reused.body.error).toBe(`La orden ${paid.id} ya cerró la cuenta "Mesa 3"`);
+
+    const { rows } = await db.query('SELECT status FROM tabs WHERE id = $1', [twin.id]);
+    expect(rows).toEqual([{ status: 'open' }]);
+  });
+
+  test('refuses an order that does not exist (400)', async () => {
+    const tab = await openTab('Mesa 5', [{ id: juice.id, quantity: 1 }]);
+    const { status, body } = await post(`/api/tabs/${tab.id}/close`, { orderId: 'order-nope' });
+    expect(status).toBe(400);
+    expect(body).toEqual({ error: 'Orden no encontrada: order-nope' });
+  });
+});
@@ -0,0 +1,83 @@
+// Tabs and the floor map on the in-memory repositories (server.js without a
+// database). Closing a tab against stored orders is in tabs.postgres.test.js.
+
+const { startServer, request } = require('../../tests/characterization/helpers');
+
+const PORT = 3964;
+
+let server;
+const get = (urlPath) => request(server.baseUrl, 'GET', urlPath);
+const post = (urlPath, body) => request(server.baseUrl, 'POST', urlPath, body);
+const put = (urlPath, body) => request(server.baseUrl, 'PUT', urlPath, body);
+const del = (urlPath) => request(server.baseUrl, 'DELETE', urlPath);
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+});
+
+afterAll(() => {
+  server?.stop();
+});
+
+describe('tabs and floor map', () => {
+  let tableId;
+  let tabId;
+
+  test('POST /api/floor-tables adds a table to the map', async () => {
+    const { status, body } = await post('/api/floor-tables', { name: 'Mesa 1', x: 2, y: 1, seats: 4 });
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ name: 'Mesa 1', x: 2, y: 1, seats: 4, shape: 'square' });
+    tableId = body.id;
+  });
+
+  test('POST /api/tabs opens a tab on the table, and only one at a time (409)', async () => {
+    const { status, body } = await post('/api/tabs', { name: 'Mesa 1', tableId });
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ status: 'open', tableId, items: [] });
+    tabId = body.id;
+
+    const second = await post('/api/tabs', { name: 'Otra', tableId });
+    expect(second.status).toBe(409);
+    expect(second.body).toEqual({ error: 'La mesa ya tiene una cuenta abierta' });
+  });
+
+  test('POST /api/tabs/:id/items prices from the catalog and merges repeated products', async () => {
+    const { body: products } = await get('/api/products');
+    const product = products[0];
+    await post(`/api/tabs/${tabId}/items`, { items: [{ id: product.id, quantity: 2, price: 0.01 }] });
+    const { status, body } = await post(`/api/tabs/${tabId}/items`, { items: [{ id: product.id, quantity: 1 }] });
+    expect(status).toBe(200);
+    expect(body.items).toEqual([expect.objectContaining({ id: product.id, price: product.price, quantity: 3 })]);
+  });
+
+  test('a table with an open tab cannot be removed, nor can a tab with items (409)', async () => {
+    expect((await del(`/api/floor-tables/${tableId}`)).status).toBe(409);
+    expect((await del(`/api/tabs/${tabId}`)).status).toBe(409);
+  });
+
+  test('POST /api/tabs/:id/close records the paying order and drops it from the open list', async () => {
+    const { status, body } = await post(`/api/tabs/${tabId}/close`, { orderId: 'order-test' });
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ status: 'closed', orderId: 'order-test' });
+
+    const { body: open } = await get('/api/tabs');
+    expect(open.some((t) => t.id === tabId)).toBe(false);
+
+    const again = await post(`/api/tabs/${tabId}/items`, { items: [{ id: '1', quantity: 1 }] });
+    expect(again.status).toBe(409);
+  });
+});
+
+describe('tab lines', () => {
+  test('service lines are refused (400): they have no catalog price to charge', async () => {
+    const { body: tab } = await post('/api/tabs', { name: 'Barra' });
+
+    for (const id of ['COWORK_1', 'TIP_1', 'SERVICE_1']) {
+      const added = await post(`/api/tabs/${tab.id}/items`, { items: [{ id, name: 'Servicio', price: 0.01, quantity: 1 }] });
+      expect(added.status).toBe(400);
+      expect(added.body).toEqual({ error: 'Línea de servicio no permitida en una cuenta: Servicio' });
+    }
+    const replaced = await put(`/api/tabs/${tab.id}`, { items: [{ id: 'COWORK_1', name: 'Servicio', price: 0.01, quantity: 1 }] });
+    expect(replaced.status).toBe(400);
+  });
+});
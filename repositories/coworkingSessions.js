@@ -14,7 +14,7 @@
 // already had full create/update/delete support for coworking sessions via
 // utils/fileDatabase.cjs, it just was never wired up to these routes.
 
-/** @returns {{list: Function, create: Function, update: Function, remove: Function}} */
+/** @returns {{list: Function, get: Function, create: Function, update: Function, remove: Function}} */
 export function createCoworkingSessionsRepository({ useDb, pool, dbManager }) {
     return useDb ? createPostgresImpl(pool) : createFileImpl(dbManager);
 }
@@ -38,9 +38,15 @@ function createPostgresImpl(pool) {
             return result.rows.map(normalizePg);
         },
 
-        async create({ clientName, startTime, hourlyRate }) {
+        async get(id) {
+            const result = await pool.query('SELECT * FROM coworking_sessions WHERE id = $1', [id]);
+            return result.rows[0] ? normalizePg(result.rows[0]) : null;
+        },
+
+        // `client` lets the caller insert inside its own transaction
+        async create({ clientName, startTime, hourlyRate }, { client = pool } = {}) {
             const id = `coworking-${Date.now()}`;
-            const result = await pool.query(
+            const result = await client.query(
                 'INSERT INTO coworking_sessions (id, "clientName", "startTime", "hourlyRate", "consumedExtras") VALUES ($1, $2, $3, $4, $5) RETURNING *',
                 [id, clientName, startTime, hourlyRate || 50, JSON.stringify([])]
             );
@@ -108,6 +114,11 @@ function createFileImpl(dbManager) {
             return sessions.map(normalizeFile);
         },
 
+        async get(id) {
+            const session = await dbManager.getCoworkingSessionById(id);
+            return session ? normalizeFile(session) : null;
+        },
+
         async create({ clientName, startTime, hourlyRate }) {
             const newSession = await dbManager.createCoworkingSession({
                 client: clientName,
@@ -0,0 +1,79 @@
+// Daily exchange rates (pesos per unit of foreign currency) set by an admin.
+// Same shape as repositories/floorTables.js - one interface, implementation
+// resolved ONCE at startup based on useDb.
+//
+// One rate per currency and day: setting it again the same day replaces it.
+// The latest rate stays in use until a newer one is set, so the register can
+// still take dollars on a morning nobody has updated it yet.
+
+import { businessDate } from '../src/services/currency.js';
+
+/** @returns {{current: Function, history: Function, set: Function}} */
+export function createExchangeRatesRepository({ useDb, pool }) {
+    return useDb ? createPostgresImpl(pool) : createMemoryImpl();
+}
+
+function normalize(row) {
+    return {
+        currency: row.currency,
+        rate: Number(row.rate),
+        date: String(row.date).slice(0, 10),
+        userId: row.userId || null,
+        updatedAt: row.updated_at instanceof Date ? row.updated_at.toISOString() : row.updated_at,
+    };
+}
+
+// DATE read as text: pg would turn it into a Date at the server's local midnight
+const COLUMNS = 'currency, date::text AS date, rate, "userId", updated_at';
+
+function createPostgresImpl(pool) {
+    return {
+        async current(currency) {
+            const result = await pool.query(
+                `SELECT ${COLUMNS} FROM exchange_rates WHERE currency = $1 ORDER BY date DESC LIMIT 1`,
+                [currency]
+            );
+            return result.rows[0] ? normalize(result.rows[0]) : null;
+        },
+
+        async history(currency, limit = 30) {
+            const result = await pool.query(
+                `SELECT ${COLUMNS} FROM exchange_rates WHERE currency = $1 ORDER BY date DESC LIMIT $2`,
+                [currency, limit]
+            );
+            return result.rows.map(normalize);
+        },
+
+        async set({ currency, rate, userId }) {
+            const result = await pool.query(
+                `INSERT INTO exchange_rates (currency, date, rate, "userId", updated_at) VALUES ($1, $2, $3, $4, NOW())
+                 ON CONFLICT (currency, date) DO UPDATE SET rate = EXCLUDED.rate, "userId" = EXCLUDED."userId", updated_at = NOW()
+                 RETURNING ${COLUMNS}`,
+                [currency, businessDate(), rate, userId || null]
+            );
+            return normalize(result.rows[0]);
+        },
+    };
+}
+
+function createMemoryImpl() {
+    // Newest first
+    const rates = [];
+
+    return {
+        async current(currency) {
+            return rates.find(rate => rate.currency === currency) || null;
+        },
+
+        async history(currency, limit = 30) {
+            return rates.filter(rate => rate.currency === currency).slice(0, limit);
+        },
+
+        async set({ currency, rate, userId }) {
+            const entry = { currency, rate: Number(rate), date: businessDate(), userId: userId || null, updatedAt: new Date().toISOString() };
+            const index = rates.findIndex(existing => existing.currency === currency && existing.date === entry.date);
+            if (index === -1) rates.unshift(entry); else rates[index] = entry;
+            return entry;
+        },
+    };
+}
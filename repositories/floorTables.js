@@ -0,0 +1,108 @@
+// Floor map for dine-in service: the tables a tab can be assigned to, laid
+// out on a grid (x/y are cell coordinates, not pixels). Same shape as
+// repositories/coworkingSessions.js - one interface, implementation resolved
+// ONCE at startup based on useDb.
+//
+// The file-backed database has no floor map, so without Postgres the layout
+// lives in memory for as long as the server runs.
+
+export const TABLE_SHAPES = ['square', 'round'];
+
+/** @returns {{list: Function, get: Function, create: Function, update: Function, remove: Function}} */
+export function createFloorTablesRepository({ useDb, pool }) {
+    return useDb ? createPostgresImpl(pool) : createMemoryImpl();
+}
+
+function normalize(table) {
+    return {
+        id: table.id,
+        name: table.name,
+        zone: table.zone || null,
+        x: Number(table.x) || 0,
+        y: Number(table.y) || 0,
+        seats: Number(table.seats) || 0,
+        shape: table.shape || 'square',
+    };
+}
+
+const EDITABLE_FIELDS = ['name', 'zone', 'x', 'y', 'seats', 'shape'];
+
+function createPostgresImpl(pool) {
+    return {
+        async list() {
+            const result = await pool.query('SELECT * FROM floor_tables ORDER BY zone NULLS FIRST, y, x, name');
+            return result.rows.map(normalize);
+        },
+
+        async get(id) {
+            const result = await pool.query('SELECT * FROM floor_tables WHERE id = $1', [id]);
+            return result.rows[0] ? normalize(result.rows[0]) : null;
+        },
+
+        async create({ name, zone, x = 0, y = 0, seats = 4, shape = 'square' }) {
+            const id = `table-${Date.now()}`;
+            const result = await pool.query(
+                'INSERT INTO floor_tables (id, name, zone, x, y, seats, shape) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+                [id, name, zone || null, x, y, seats, shape]
+            );
+            return normalize(result.rows[0]);
+        },
+
+        // Returns: the updated table, `undefined` if there were no recognized
+        // fields to update, or `null` if the id doesn't exist.
+        async update(id, updates) {
+            const fields = EDITABLE_FIELDS.filter(field => updates[field] !== undefined);
+            if (fields.length === 0) return undefined;
+
+            const result = await pool.query(
+                `UPDATE floor_tables SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}
+                 WHERE id = $${fields.length + 1} RETURNING *`,
+                [...fields.map(field => updates[field]), id]
+            );
+            return result.rows[0] ? normalize(result.rows[0]) : null;
+        },
+
+        // Returns true if a row was deleted, false if the id didn't exist.
+        async remove(id) {
+            const result = await pool.query('DELETE FROM floor_tables WHERE id = $1 RETURNING id', [id]);
+            return result.rows.length > 0;
+        },
+    };
+}
+
+function createMemoryImpl() {
+    const tables = new Map();
+
+    return {
+        async list() {
+            return [...tables.values()]
+                .map(normalize)
+                .sort((a, b) => (a.zone || '').localeCompare(b.zone || '') || a.y - b.y || a.x - b.x);
+        },
+
+        async get(id) {
+            return tables.has(id) ? normalize(tables.get(id)) : null;
+        },
+
+        async create({ name, zone, x = 0, y = 0, seats = 4, shape = 'square' }) {
+            const table = normalize({ id: `table-${Date.now()}-${tables.size}`, name, zone, x, y, seats, shape });
+            tables.set(table.id, table);
+            return table;
+        },
+
+        // Same return contract as the Postgres impl: table | undefined | null.
+        async update(id, updates) {
+            const fields = EDITABLE_FIELDS.filter(field => updates[field] !== undefined);
+            if (fields.length === 0) return undefined;
+            if (!tables.has(id)) return null;
+
+            const updated = normalize({ ...tables.get(id), ...Object.fromEntries(fields.map(field => [field, updates[field]])) });
+            tables.set(id, updated);
+            return updated;
+        },
+
+        async remove(id) {
+            return tables.delete(id);
+        },
+    };
+}
@@ -0,0 +1,111 @@
+// Idempotency keys for creates other than orders (expenses, cash withdrawals,
+// coworking sessions). A register that lost the Wi-Fi queues the request with
+// its key and replays it on reconnect; if the first attempt did reach the
+// server, the replay gets the original response back instead of a second row.
+//
+// Orders keep theirs through create_order_atomic. These share the same
+// idempotency_keys table (migration 008) with their own resource_type, and
+// the response they answered with in response_data; order_id holds whatever
+// id the resource got. Keys expire after 24h, same as the orders'.
+//
+// The key is claimed before the create runs, in the same transaction as its
+// insert: two replays that arrive together can't both miss the key and both
+// insert, the second waits on the first's claim and gets its response.
+// One interface, implementation resolved ONCE at startup based on useDb.
+import { httpError } from '../src/services/httpError.js';
+
+const TTL_MS = 24 * 60 * 60 * 1000;
+const KEY_REUSED = 'La clave de idempotencia ya se usó para otra operación';
+
+/** @returns {{runOnce: Function}} */
+export function createIdempotencyKeysRepository({ useDb, pool }) {
+    return useDb ? createPostgresImpl(pool) : createMemoryImpl();
+}
+
+/** The key a request was sent with: body first, then the X-Idempotency-Key header. */
+export function idempotencyKeyOf(req) {
+    const key = req.body?.idempotencyKey || req.get('X-Idempotency-Key');
+    return key ? String(key).slice(0, 255) : null;
+}
+
+// runOnce(key, resourceType, create): `create({ client })` does the insert on
+// `client` and resolves with { id, response }. Resolves with { response,
+// isDuplicate } - the response the key was first answered with when it was
+// already used. Without a key, create just runs (on the pool).
+
+function createPostgresImpl(pool) {
+    const storedResponse = async (key, resourceType) => {
+        const result = await pool.query(
+            'SELECT resource_type, response_data FROM idempotency_keys WHERE key = $1',
+            [key]
+        );
+        const stored = result.rows[0];
+        // An order's key, or a create that never stored its response
+        if (!stored || stored.resource_type !== resourceType || !stored.response_data) {
+            throw httpError(409, KEY_REUSED);
+        }
+        return stored.response_data;
+    };
+
+    return {
+        async runOnce(key, resourceType, create) {
+            if (!key) return { response: (await create({ client: pool })).response, isDuplicate: false };
+
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                await client.query('DELETE FROM idempotency_keys WHERE key = $1 AND expires_at <= NOW()', [key]);
+                // Blocks while another request holds the claim, then finds it taken
+                const claimed = await client.query(
+                    `INSERT INTO idempotency_keys (key, order_id, resource_type)
+                     VALUES ($1, '', $2) ON CONFLICT (key) DO NOTHING`,
+                    [key, resourceType]
+                );
+                if (claimed.rowCount === 0) {
+                    await client.query('ROLLBACK');
+                    return { response: await storedResponse(key, resourceType), isDuplicate: true };
+                }
+
+                const { id, response } = await create({ client });
+                await client.query(
+                    'UPDATE idempotency_keys SET order_id = $2, response_data = $3::jsonb WHERE key = $1',
+                    [key, id, JSON.stringify(response)]
+                );
+                await client.query('COMMIT');
+                return { response, isDuplicate: false };
+            } catch (error) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+    };
+}
+
+function createMemoryImpl() {
+    // key -> { resourceType, pending (the create's response), expiresAt }
+    const keys = new Map();
+
+    return {
+        async runOnce(key, resourceType, create) {
+            if (!key) return { response: (await create({})).response, isDuplicate: false };
+
+            const entry = keys.get(key);
+            if (entry && entry.expiresAt > Date.now()) {
+                if (entry.resourceType !== resourceType) throw httpError(409, KEY_REUSED);
+                return { response: await entry.pending, isDuplicate: true };
+            }
+
+            // Claimed before the create starts, so a replay that arrives meanwhile waits on it
+            const pending = create({}).then(created => created.response);
+            keys.set(key, { resourceType, pending, expiresAt: Date.now() + TTL_MS });
+            try {
+                return { response: await pending, isDuplicate: false };
+            } catch (error) {
+                keys.delete(key);
+                throw error;
+            }
+        },
+    };
+}
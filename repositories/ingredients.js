@@ -0,0 +1,226 @@
+// Ingredients and their stock movements (the recipes that use them live on
+// products; see src/services/recipes.js). Same shape as
+// repositories/promotions.js - one interface, implementation resolved ONCE at
+// startup based on useDb.
+//
+// Every change to an ingredient's stock is an ingredient_movements row:
+// 'sale' (negative, what an order's recipes used; positive when a refund or
+// an edit gives it back), 'purchase' (positive, with what was paid) or
+// 'adjustment' (a physical count, breakage, waste), so usage over a period
+// can be summed against purchases. A purchase moves the unit cost to the
+// weighted average of what was in stock and what came in.
+//
+// The file-backed database has no ingredients, so without Postgres they live
+// in memory for as long as the server runs.
+
+import { httpError } from '../src/services/httpError.js';
+
+/** @returns {{list: Function, get: Function, create: Function, update: Function, remove: Function, recordMovements: Function, totals: Function}} */
+export function createIngredientsRepository({ useDb, pool }) {
+    return useDb ? createPostgresImpl(pool) : createMemoryImpl();
+}
+
+const nameTaken = (name) => httpError(409, `Ya existe un insumo llamado ${name}`);
+
+const newMovementId = () => `ingmov-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+// Average cost after buying `quantity` for `cost`; stock below zero (sales
+// counted before the purchase was entered) doesn't weigh in
+function averageCost(stock, unitCost, quantity, cost) {
+    const onHand = Math.max(stock, 0);
+    return onHand + quantity > 0 ? (onHand * unitCost + cost) / (onHand + quantity) : unitCost;
+}
+
+// --- Postgres ---
+
+function normalizePg(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        unit: row.unit,
+        stock: parseFloat(row.stock),
+        unitCost: parseFloat(row.unitCost),
+        reorderLevel: parseFloat(row.reorderLevel),
+        createdAt: row.created_at,
+    };
+}
+
+function createPostgresImpl(pool) {
+    return {
+        async list() {
+            const result = await pool.query('SELECT * FROM ingredients ORDER BY name ASC');
+            return result.rows.map(normalizePg);
+        },
+
+        async get(id) {
+            const result = await pool.query('SELECT * FROM ingredients WHERE id = $1', [id]);
+            return result.rows[0] ? normalizePg(result.rows[0]) : null;
+        },
+
+        // `ingredient` has already been through normalizeIngredient()
+        async create(ingredient) {
+            try {
+                const result = await pool.query(
+                    `INSERT INTO ingredients (id, name, unit, stock, "unitCost", "reorderLevel")
+                     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+                    [`ing-${Date.now()}`, ingredient.name, ingredient.unit, ingredient.stock, ingredient.unitCost, ingredient.reorderLevel]
+                );
+                return normalizePg(result.rows[0]);
+            } catch (error) {
+                if (error.code === '23505') throw nameTaken(ingredient.name);
+                throw error;
+            }
+        },
+
+        // Stock is left alone; it only moves through recordMovements().
+        // Returns null if the id doesn't exist.
+        async update(id, ingredient) {
+            try {
+                const result = await pool.query(
+                    `UPDATE ingredients SET name = $1, unit = $2, "unitCost" = $3, "reorderLevel" = $4
+                     WHERE id = $5 RETURNING *`,
+                    [ingredient.name, ingredient.unit, ingredient.unitCost, ingredient.reorderLevel, id]
+                );
+                return result.rows[0] ? normalizePg(result.rows[0]) : null;
+            } catch (error) {
+                if (error.code === '23505') throw nameTaken(ingredient.name);
+                throw error;
+            }
+        },
+
+        // Returns true if a row was deleted, false if the id didn't exist.
+        async remove(id) {
+            const result = await pool.query('DELETE FROM ingredients WHERE id = $1 RETURNING id', [id]);
+            return result.rows.length > 0;
+        },
+
+        // moves: [{ ingredientId, quantity, cost? }], quantity signed as the
+        // stock change; `cost` is what a purchase paid (other movements are
+        // valued at the unit cost). Run on the order's transaction client so a
+        // rejected order records nothing. Ingredients deleted since the recipe
+        // was saved are skipped.
+        async recordMovements(moves, { client = pool, type, orderId = null, expenseId = null, note = null, userId = null }) {
+            for (const move of moves) {
+                const current = await client.query('SELECT stock, "unitCost" FROM ingredients WHERE id = $1 FOR UPDATE', [move.ingredientId]);
+                if (current.rows.length === 0) continue;
+                const stock = parseFloat(current.rows[0].stock);
+                const unitCost = parseFloat(current.rows[0].unitCost);
+                const cost = type === 'purchase' ? move.cost : move.quantity * unitCost;
+                const nextCost = type === 'purchase' ? averageCost(stock, unitCost, move.quantity, move.cost) : unitCost;
+                await client.query(
+                    'UPDATE ingredients SET stock = stock + $1, "unitCost" = $2 WHERE id = $3',
+                    [move.quantity, nextCost, move.ingredientId]
+                );
+                await client.query(
+                    `INSERT INTO ingredient_movements (id, "ingredientId", type, quantity, cost, "orderId", "expenseId", note, "userId")
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                    [newMovementId(), move.ingredientId, type, move.quantity, Math.round(cost * 100) / 100, orderId, expenseId, note, userId]
+                );
+            }
+        },
+
+        // Movements in [from, to) summed by ingredient and type
+        async totals({ from, to }) {
+            const result = await pool.query(
+                `SELECT "ingredientId", type, SUM(quantity) AS quantity, SUM(cost) AS cost
+                 FROM ingredient_movements WHERE created_at >= $1 AND created_at < $2
+                 GROUP BY "ingredientId", type`,
+                [from, to]
+            );
+            return result.rows.map(row => ({
+                ingredientId: row.ingredientId,
+                type: row.type,
+                quantity: parseFloat(row.quantity),
+                cost: parseFloat(row.cost),
+            }));
+        },
+    };
+}
+
+// --- In memory ---
+
+function createMemoryImpl() {
+    const ingredients = new Map();
+    const movements = [];
+    let sequence = 0;
+
+    const assertNameFree = (name, exceptId) => {
+        const taken = [...ingredients.values()].some(i => i.name.toLowerCase() === name.toLowerCase() && i.id !== exceptId);
+        if (taken) throw nameTaken(name);
+    };
+
+    return {
+        async list() {
+            return [...ingredients.values()].sort((a, b) => a.name.localeCompare(b.name, 'es'));
+        },
+
+        async get(id) {
+            return ingredients.get(id) || null;
+        },
+
+        async create(ingredient) {
+            assertNameFree(ingredient.name);
+            const created = {
+                id: `ing-${Date.now()}-${++sequence}`,
+                ...ingredient,
+                createdAt: new Date().toISOString(),
+            };
+            ingredients.set(created.id, created);
+            return created;
+        },
+
+        // Same return contract as the Postgres impl: ingredient | null.
+        async update(id, ingredient) {
+            const current = ingredients.get(id);
+            if (!current) return null;
+            assertNameFree(ingredient.name, id);
+            const { stock: _stock, ...fields } = ingredient;
+            const updated = { ...current, ...fields };
+            ingredients.set(id, updated);
+            return updated;
+        },
+
+        async remove(id) {
+            return ingredients.delete(id);
+        },
+
+        // No transactions in memory; the client option is accepted and ignored.
+        async recordMovements(moves, { type, orderId = null, expenseId = null, note = null, userId = null }) {
+            moves.forEach(move => {
+                const ingredient = ingredients.get(move.ingredientId);
+                if (!ingredient) return;
+                const cost = type === 'purchase' ? move.cost : move.quantity * ingredient.unitCost;
+                if (type === 'purchase') {
+                    ingredient.unitCost = averageCost(ingredient.stock, ingredient.unitCost, move.quantity, move.cost);
+                }
+                ingredient.stock = Math.round((ingredient.stock + move.quantity) * 1000) / 1000;
+                movements.push({
+                    id: newMovementId(),
+                    ingredientId: move.ingredientId,
+                    type,
+                    quantity: move.quantity,
+                    cost: Math.round(cost * 100) / 100,
+                    orderId,
+                    expenseId,
+                    note,
+                    userId,
+                    createdAt: new Date().toISOString(),
+                });
+            });
+        },
+
+        async totals({ from, to }) {
+            const sums = new Map();
+            movements
+                .filter(movement => new Date(movement.createdAt) >= from && new Date(movement.createdAt) < to)
+                .forEach(movement => {
+                    const key = `${movement.ingredientId}|${movement.type}`;
+                    const total = sums.get(key) || { ingredientId: movement.ingredientId, type: movement.type, quantity: 0, cost: 0 };
+                    total.quantity += movement.quantity;
+                    total.cost += movement.cost;
+                    sums.set(key, total);
+                });
+            return [...sums.values()];
+        },
+    };
+}
@@ -0,0 +1,186 @@
+// Kitchen/barra display queue: one ticket per sale or tab round with
+// something to prepare (see src/services/kitchenTickets.js for the lines and
+// the new -> in_progress -> ready -> delivered lifecycle).
+//
+// Same shape as repositories/tabs.js - one interface, implementation resolved
+// ONCE at startup based on useDb, with the lifecycle rules shared by both.
+//
+// The file-backed database has no tickets, so without Postgres they live in
+// memory for as long as the server runs.
+
+import { advanceItem, advanceTicket } from '../src/services/kitchenTickets.js';
+
+/** @returns {{list: Function, get: Function, create: Function, bumpItem: Function, bump: Function}} */
+export function createKitchenTicketsRepository({ useDb, pool }) {
+    return useDb ? createPostgresImpl(pool) : createMemoryImpl();
+}
+
+// Tickets still on the display
+const ACTIVE_STATUSES = ['new', 'in_progress', 'ready'];
+
+// --- Postgres ---
+
+function normalizePg(ticket) {
+    return {
+        id: ticket.id,
+        orderId: ticket.orderId || null,
+        tabId: ticket.tabId || null,
+        label: ticket.label,
+        serviceType: ticket.serviceType || null,
+        status: ticket.status,
+        items: ticket.items || [],
+        createdAt: ticket.created_at,
+        startedAt: ticket.started_at || null,
+        readyAt: ticket.ready_at || null,
+        deliveredAt: ticket.delivered_at || null,
+    };
+}
+
+function createPostgresImpl(pool) {
+    // Read-modify-write under a row lock, so two stations bumping lines of the
+    // same ticket at once both land. Returns null if the id doesn't exist.
+    async function mutate(id, change) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const current = await client.query('SELECT * FROM kitchen_tickets WHERE id = $1 FOR UPDATE', [id]);
+            if (current.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const changes = change(normalizePg(current.rows[0]));
+            const result = await client.query(
+                `UPDATE kitchen_tickets SET
+                    status = $1,
+                    items = COALESCE($2::jsonb, items),
+                    started_at = COALESCE($3, started_at),
+                    ready_at = $4,
+                    delivered_at = $5
+                 WHERE id = $6 RETURNING *`,
+                [
+                    changes.status,
+                    changes.items ? JSON.stringify(changes.items) : null,
+                    changes.startedAt || null,
+                    changes.readyAt !== undefined ? changes.readyAt : current.rows[0].ready_at,
+                    changes.deliveredAt || null,
+                    id,
+                ]
+            );
+            await client.query('COMMIT');
+            return normalizePg(result.rows[0]);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    return {
+        async list({ status = 'active', from, to, limit = 200 } = {}) {
+            const conditions = [];
+            const values = [];
+            if (status === 'active') {
+                values.push(ACTIVE_STATUSES);
+                conditions.push(`status = ANY($${values.length})`);
+            } else if (status !== 'all') {
+                values.push(status);
+                conditions.push(`status = $${values.length}`);
+            }
+            if (from) {
+                values.push(from);
+                conditions.push(`created_at >= $${values.length}`);
+            }
+            if (to) {
+                values.push(to);
+                conditions.push(`created_at < $${values.length}`);
+            }
+            values.push(limit);
+            // The display reads oldest first; reports don't care
+            const result = await pool.query(
+                `SELECT * FROM kitchen_tickets ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+                 ORDER BY created_at ASC LIMIT $${values.length}`,
+                values
+            );
+            return result.rows.map(normalizePg);
+        },
+
+        async get(id) {
+            const result = await pool.query('SELECT * FROM kitchen_tickets WHERE id = $1', [id]);
+            return result.rows[0] ? normalizePg(result.rows[0]) : null;
+        },
+
+        async create({ orderId, tabId, label, serviceType, items }) {
+            const id = `kt-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+            const result = await pool.query(
+                `INSERT INTO kitchen_tickets (id, "orderId", "tabId", label, "serviceType", status, items)
+                 VALUES ($1, $2, $3, $4, $5, 'new', $6::jsonb) RETURNING *`,
+                [id, orderId || null, tabId || null, label, serviceType || null, JSON.stringify(items)]
+            );
+            return normalizePg(result.rows[0]);
+        },
+
+        async bumpItem(id, index) {
+            return mutate(id, ticket => advanceItem(ticket, index));
+        },
+
+        async bump(id) {
+            return mutate(id, ticket => advanceTicket(ticket));
+        },
+    };
+}
+
+// --- In memory ---
+
+function createMemoryImpl() {
+    const tickets = new Map();
+    let sequence = 0;
+
+    const save = (ticket, changes) => {
+        const updated = { ...ticket, ...changes };
+        tickets.set(ticket.id, updated);
+        return updated;
+    };
+
+    return {
+        async list({ status = 'active', from, to, limit = 200 } = {}) {
+            return [...tickets.values()]
+                .filter(ticket => status === 'all' || (status === 'active' ? ACTIVE_STATUSES.includes(ticket.status) : ticket.status === status))
+                .filter(ticket => (!from || ticket.createdAt >= new Date(from).toISOString()) && (!to || ticket.createdAt < new Date(to).toISOString()))
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+                .slice(0, limit);
+        },
+
+        async get(id) {
+            return tickets.get(id) || null;
+        },
+
+        async create({ orderId, tabId, label, serviceType, items }) {
+            const ticket = {
+                id: `kt-${Date.now()}-${++sequence}`,
+                orderId: orderId || null,
+                tabId: tabId || null,
+                label,
+                serviceType: serviceType || null,
+                status: 'new',
+                items,
+                createdAt: new Date().toISOString(),
+                startedAt: null,
+                readyAt: null,
+                deliveredAt: null,
+            };
+            tickets.set(ticket.id, ticket);
+            return ticket;
+        },
+
+        async bumpItem(id, index) {
+            const ticket = tickets.get(id);
+            return ticket ? save(ticket, advanceItem(ticket, index)) : null;
+        },
+
+        async bump(id) {
+            const ticket = tickets.get(id);
+            return ticket ? save(ticket, advanceTicket(ticket)) : null;
+        },
+    };
+}
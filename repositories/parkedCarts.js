@@ -0,0 +1,72 @@
+// Parked (held) sales: a cart set aside under a name while the customer steps
+// away, to be resumed later from any register. Same shape as
+// repositories/floorTables.js - one interface, implementation resolved ONCE
+// at startup based on useDb.
+//
+// Lines are kept exactly as they were in the cart (CartItem snapshots);
+// checkout re-prices them, so a price change in between is still honored.
+// Resuming removes the cart, so two registers can't both pick it up.
+
+/** @returns {{list: Function, park: Function, remove: Function}} */
+export function createParkedCartsRepository({ useDb, pool }) {
+    return useDb ? createPostgresImpl(pool) : createMemoryImpl();
+}
+
+function normalize(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        items: row.items || [],
+        couponCode: row.couponCode || '',
+        userId: row.userId || null,
+        deviceId: row.deviceId || null,
+        createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
+    };
+}
+
+const newId = () => `parked-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+
+function createPostgresImpl(pool) {
+    return {
+        async list() {
+            const result = await pool.query('SELECT * FROM parked_carts ORDER BY created_at');
+            return result.rows.map(normalize);
+        },
+
+        async park({ name, items, couponCode, userId, deviceId }) {
+            const result = await pool.query(
+                `INSERT INTO parked_carts (id, name, items, "couponCode", "userId", "deviceId")
+                 VALUES ($1, $2, $3::jsonb, $4, $5, $6) RETURNING *`,
+                [newId(), name, JSON.stringify(items), couponCode || null, userId || null, deviceId || null]
+            );
+            return normalize(result.rows[0]);
+        },
+
+        // Returns the removed cart, or null if it was already resumed or discarded
+        async remove(id) {
+            const result = await pool.query('DELETE FROM parked_carts WHERE id = $1 RETURNING *', [id]);
+            return result.rows[0] ? normalize(result.rows[0]) : null;
+        },
+    };
+}
+
+function createMemoryImpl() {
+    const carts = [];
+
+    return {
+        async list() {
+            return [...carts];
+        },
+
+        async park({ name, items, couponCode, userId, deviceId }) {
+            const cart = normalize({ id: newId(), name, items, couponCode, userId, deviceId, created_at: new Date() });
+            carts.push(cart);
+            return cart;
+        },
+
+        async remove(id) {
+            const index = carts.findIndex(cart => cart.id === id);
+            return index === -1 ? null : carts.splice(index, 1)[0];
+        },
+    };
+}
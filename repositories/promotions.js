@@ -0,0 +1,177 @@
+// Promotions and coupons evaluated when an order is priced (the rules live in
+// src/services/promotions.js). Same shape as repositories/coworkingSessions.js
+// - one interface, implementation resolved ONCE at startup based on useDb.
+//
+// Postgres keeps what the rules need in a `rules` JSONB column; only the
+// fields queried or updated on their own (type, active, code, usage) are
+// real columns, so a coupon's usage can be counted atomically at checkout.
+//
+// The file-backed database has no promotions, so without Postgres they live
+// in memory for as long as the server runs.
+
+import { httpError } from '../src/services/httpError.js';
+
+/** @returns {{list: Function, get: Function, create: Function, update: Function, remove: Function, redeem: Function}} */
+export function createPromotionsRepository({ useDb, pool }) {
+    return useDb ? createPostgresImpl(pool) : createMemoryImpl();
+}
+
+const RULE_FIELDS = [
+    'productIds', 'category', 'percentOff', 'price', 'amountOff',
+    'buyQuantity', 'getQuantity', 'days', 'startTime', 'endTime', 'startsAt', 'expiresAt',
+];
+
+const exhausted = (code) => httpError(409, `El cupón ${code} ya se usó el máximo de veces`);
+
+// --- Postgres ---
+
+function normalizePg(row) {
+    const rules = row.rules || {};
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        active: row.active,
+        ...Object.fromEntries(RULE_FIELDS.map(field => [field, rules[field] ?? null])),
+        productIds: rules.productIds || [],
+        days: rules.days || [],
+        code: row.code || null,
+        maxUses: row.maxUses === null ? null : Number(row.maxUses),
+        uses: Number(row.uses) || 0,
+        createdAt: row.created_at,
+    };
+}
+
+const rulesOf = (promotion) => JSON.stringify(Object.fromEntries(RULE_FIELDS.map(field => [field, promotion[field]])));
+
+// 23505 is the unique index on coupon codes
+function translatePgError(error, promotion) {
+    if (error.code === '23505') return httpError(409, `Ya existe un cupón con el código ${promotion.code}`);
+    return error;
+}
+
+function createPostgresImpl(pool) {
+    return {
+        async list() {
+            const result = await pool.query('SELECT * FROM promotions ORDER BY active DESC, created_at DESC');
+            return result.rows.map(normalizePg);
+        },
+
+        async get(id) {
+            const result = await pool.query('SELECT * FROM promotions WHERE id = $1', [id]);
+            return result.rows[0] ? normalizePg(result.rows[0]) : null;
+        },
+
+        // `promotion` has already been through normalizePromotion()
+        async create(promotion) {
+            const id = `promo-${Date.now()}`;
+            try {
+                const result = await pool.query(
+                    `INSERT INTO promotions (id, name, type, active, code, "maxUses", rules)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb) RETURNING *`,
+                    [id, promotion.name, promotion.type, promotion.active, promotion.code, promotion.maxUses, rulesOf(promotion)]
+                );
+                return normalizePg(result.rows[0]);
+            } catch (error) {
+                throw translatePgError(error, promotion);
+            }
+        },
+
+        // Replaces the definition (the router merges partial edits first);
+        // the usage count is kept. Returns null if the id doesn't exist.
+        async update(id, promotion) {
+            try {
+                const result = await pool.query(
+                    `UPDATE promotions SET name = $1, type = $2, active = $3, code = $4, "maxUses" = $5, rules = $6::jsonb
+                     WHERE id = $7 RETURNING *`,
+                    [promotion.name, promotion.type, promotion.active, promotion.code, promotion.maxUses, rulesOf(promotion), id]
+                );
+                return result.rows[0] ? normalizePg(result.rows[0]) : null;
+            } catch (error) {
+                throw translatePgError(error, promotion);
+            }
+        },
+
+        // Returns true if a row was deleted, false if the id didn't exist.
+        async remove(id) {
+            const result = await pool.query('DELETE FROM promotions WHERE id = $1 RETURNING id', [id]);
+            return result.rows.length > 0;
+        },
+
+        // Counts one use of each coupon applied to an order. Run on the order's
+        // transaction client so a failed order gives the use back; the limit is
+        // checked in the UPDATE itself, so two registers can't both take the
+        // last use.
+        async redeem(applied, { client = pool } = {}) {
+            for (const promotion of applied.filter(p => p.type === 'coupon')) {
+                const result = await client.query(
+                    `UPDATE promotions SET uses = uses + 1
+                     WHERE id = $1 AND ("maxUses" IS NULL OR uses < "maxUses") RETURNING id`,
+                    [promotion.promotionId]
+                );
+                if (result.rows.length === 0) throw exhausted(promotion.code);
+            }
+        },
+    };
+}
+
+// --- In memory ---
+
+function createMemoryImpl() {
+    const promotions = new Map();
+    let sequence = 0;
+
+    const assertCodeFree = (code, exceptId) => {
+        if (!code) return;
+        const taken = [...promotions.values()].some(p => p.code === code && p.id !== exceptId);
+        if (taken) throw httpError(409, `Ya existe un cupón con el código ${code}`);
+    };
+
+    return {
+        async list() {
+            return [...promotions.values()]
+                .sort((a, b) => Number(b.active) - Number(a.active) || b.createdAt.localeCompare(a.createdAt));
+        },
+
+        async get(id) {
+            return promotions.get(id) || null;
+        },
+
+        async create(promotion) {
+            assertCodeFree(promotion.code);
+            const created = {
+                id: `promo-${Date.now()}-${++sequence}`,
+                ...promotion,
+                uses: 0,
+                createdAt: new Date().toISOString(),
+            };
+            promotions.set(created.id, created);
+            return created;
+        },
+
+        // Same return contract as the Postgres impl: promotion | null.
+        async update(id, promotion) {
+            const current = promotions.get(id);
+            if (!current) return null;
+            assertCodeFree(promotion.code, id);
+            const updated = { ...current, ...promotion };
+            promotions.set(id, updated);
+            return updated;
+        },
+
+        async remove(id) {
+            return promotions.delete(id);
+        },
+
+        // No transactions in memory; the client option is accepted and ignored.
+        async redeem(applied) {
+            const coupons = applied
+                .filter(p => p.type === 'coupon')
+                .map(p => ({ applied: p, promotion: promotions.get(p.promotionId) }));
+            coupons.forEach(({ applied: p, promotion }) => {
+                if (!promotion || (promotion.maxUses !== null && promotion.uses >= promotion.maxUses)) throw exhausted(p.code);
+            });
+            coupons.forEach(({ promotion }) => { promotion.uses += 1; });
+        },
+    };
+}
@@ -0,0 +1,87 @@
+// Quick-key layouts for the sales grid (see src/services/quickKeyLayouts.js).
+// Same shape as repositories/floorTables.js - one interface, implementation
+// resolved ONCE at startup based on useDb.
+//
+// One layout per scope and key: saving a device's or a role's layout again
+// replaces it.
+
+/** @returns {{list: Function, get: Function, save: Function, remove: Function}} */
+export function createQuickKeyLayoutsRepository({ useDb, pool }) {
+    return useDb ? createPostgresImpl(pool) : createMemoryImpl();
+}
+
+function normalize(row) {
+    return {
+        scope: row.scope,
+        scopeKey: row.scopeKey,
+        name: row.name,
+        favorites: row.favorites || [],
+        pages: row.pages || [],
+        userId: row.userId || null,
+        updatedAt: row.updated_at instanceof Date ? row.updated_at.toISOString() : row.updated_at,
+    };
+}
+
+function createPostgresImpl(pool) {
+    return {
+        async list() {
+            const result = await pool.query('SELECT * FROM quick_key_layouts ORDER BY scope, "scopeKey"');
+            return result.rows.map(normalize);
+        },
+
+        async get(scope, scopeKey) {
+            const result = await pool.query(
+                'SELECT * FROM quick_key_layouts WHERE scope = $1 AND "scopeKey" = $2',
+                [scope, scopeKey]
+            );
+            return result.rows[0] ? normalize(result.rows[0]) : null;
+        },
+
+        async save({ scope, scopeKey, name, favorites, pages, userId }) {
+            const result = await pool.query(
+                `INSERT INTO quick_key_layouts (scope, "scopeKey", name, favorites, pages, "userId", updated_at)
+                 VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6, NOW())
+                 ON CONFLICT (scope, "scopeKey") DO UPDATE SET
+                    name = EXCLUDED.name, favorites = EXCLUDED.favorites, pages = EXCLUDED.pages,
+                    "userId" = EXCLUDED."userId", updated_at = NOW()
+                 RETURNING *`,
+                [scope, scopeKey, name, JSON.stringify(favorites), JSON.stringify(pages), userId || null]
+            );
+            return normalize(result.rows[0]);
+        },
+
+        // Returns whether there was a layout to delete
+        async remove(scope, scopeKey) {
+            const result = await pool.query(
+                'DELETE FROM quick_key_layouts WHERE scope = $1 AND "scopeKey" = $2',
+                [scope, scopeKey]
+            );
+            return result.rowCount > 0;
+        },
+    };
+}
+
+function createMemoryImpl() {
+    const layouts = new Map();
+    const keyOf = (scope, scopeKey) => `${scope}:${scopeKey}`;
+
+    return {
+        async list() {
+            return [...layouts.values()];
+        },
+
+        async get(scope, scopeKey) {
+            return layouts.get(keyOf(scope, scopeKey)) || null;
+        },
+
+        async save({ scope, scopeKey, name, favorites, pages, userId }) {
+            const layout = { scope, scopeKey, name, favorites, pages, userId: userId || null, updatedAt: new Date().toISOString() };
+            layouts.set(keyOf(scope, scopeKey), layout);
+            return layout;
+        },
+
+        async remove(scope, scopeKey) {
+            return layouts.delete(keyOf(scope, scopeKey));
+        },
+    };
+}
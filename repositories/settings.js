@@ -0,0 +1,78 @@
+// Business settings: what the receipts print (name, RFC, footer...), the
+// receipt printer and the issuer's fiscal data for invoices. Same shape as
+// repositories/floorTables.js - one interface, implementation resolved ONCE
+// at startup based on useDb.
+//
+// Stored as one row per key, so adding a setting never needs a migration;
+// keys that were never saved fall back to DEFAULT_SETTINGS. The file-backed
+// database has no settings, so without Postgres they live in memory.
+
+export const DEFAULT_SETTINGS = {
+    businessName: process.env.BUSINESS_NAME || 'Conejo Negro Café',
+    taxId: process.env.BUSINESS_TAX_ID || '',
+    // Fiscal data for invoices (CFDI): razón social, c_RegimenFiscal, C.P. of issue
+    legalName: '',
+    taxRegime: '',
+    zipCode: '',
+    invoiceSeries: 'A',
+    // Public self-invoicing page printed on the tickets, e.g. https://micafe.mx/facturar
+    selfInvoiceUrl: '',
+    address: '',
+    phone: '',
+    receiptFooter: '¡Gracias por su visita!',
+    receiptWidth: 80,
+    printerHost: '',
+    printerPort: 9100,
+    // Promotional images the customer display rotates while the register is idle
+    customerDisplayImages: [],
+    // How tips are paid out (see src/services/tipPooling.js): 'individual',
+    // 'equal' or 'hours', and the % of each employee's tips that is pooled
+    tipPoolMode: 'individual',
+    tipPoolShare: 100,
+};
+
+export const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS);
+
+/** @returns {{get: Function, update: Function}} */
+export function createSettingsRepository({ useDb, pool }) {
+    return useDb ? createPostgresImpl(pool) : createMemoryImpl();
+}
+
+function createPostgresImpl(pool) {
+    const get = async () => {
+        const result = await pool.query('SELECT key, value FROM settings WHERE key = ANY($1)', [SETTING_KEYS]);
+        return result.rows.reduce((settings, row) => ({ ...settings, [row.key]: row.value }), { ...DEFAULT_SETTINGS });
+    };
+
+    return {
+        get,
+
+        // Only known keys are written; returns the full settings afterwards
+        async update(changes) {
+            const keys = SETTING_KEYS.filter(key => changes[key] !== undefined);
+            for (const key of keys) {
+                await pool.query(
+                    `INSERT INTO settings (key, value, updated_at) VALUES ($1, $2::jsonb, NOW())
+                     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+                    [key, JSON.stringify(changes[key])]
+                );
+            }
+            return get();
+        },
+    };
+}
+
+function createMemoryImpl() {
+    const settings = { ...DEFAULT_SETTINGS };
+
+    return {
+        async get() {
+            return { ...settings };
+        },
+
+        async update(changes) {
+            SETTING_KEYS.filter(key => changes[key] !== undefined).forEach(key => { settings[key] = changes[key]; });
+            return { ...settings };
+        },
+    };
+}
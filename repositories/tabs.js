@@ -0,0 +1,335 @@
+// Open tabs for dine-in service: a table (or a named tab at the bar) is
+// opened, collects items over the whole visit from any device, and is closed
+// once it has been paid. Paying is a normal POST /api/orders; closing the tab
+// records which order settled it, once that order is checked against the
+// tab's lines (Postgres only - orders aren't kept in memory).
+//
+// Same shape as repositories/coworkingSessions.js - one interface,
+// implementation resolved ONCE at startup based on useDb. The rules for what
+// a change may do (merging items, refusing to touch a closed tab, one open
+// tab per table) are plain functions below, shared by both implementations,
+// so the two backends can't drift apart.
+//
+// The file-backed database has no tabs, so without Postgres they live in
+// memory for as long as the server runs (a browser reload keeps them).
+
+import { modifiersKey } from '../src/services/productModifiers.js';
+import { httpError } from '../src/services/httpError.js';
+
+/** @returns {{list: Function, get: Function, open: Function, addItems: Function, update: Function, close: Function, remove: Function}} */
+export function createTabsRepository({ useDb, pool }) {
+    return useDb ? createPostgresImpl(pool) : createMemoryImpl();
+}
+
+// --- Rules shared by both implementations ---
+
+function assertOpen(tab) {
+    if (tab.status !== 'open') {
+        throw httpError(409, `La cuenta "${tab.name}" ya está cerrada`);
+    }
+}
+
+/**
+ * Adds lines to a tab; the same product with the same options ordered again
+ * just raises its quantity.
+ */
+function mergeItems(current, incoming) {
+    const merged = current.map(item => ({ ...item }));
+    incoming.forEach(item => {
+        const existing = merged.find(line =>
+            line.id === item.id && modifiersKey(line.modifiers) === modifiersKey(item.modifiers)
+        );
+        if (existing) {
+            existing.quantity += item.quantity;
+        } else {
+            merged.push({ ...item });
+        }
+    });
+    return merged;
+}
+
+function applyUpdate(tab, { name, tableId, items, customerId }) {
+    assertOpen(tab);
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    if (tableId !== undefined) changes.tableId = tableId || null;
+    if (items !== undefined) changes.items = items;
+    if (customerId !== undefined) changes.customerId = customerId || null;
+    return Object.keys(changes).length === 0 ? undefined : changes;
+}
+
+function applyClose(tab, orderId) {
+    // Retrying a close that already went through (same order) is not an error
+    if (tab.status === 'closed' && tab.orderId === orderId) return null;
+    assertOpen(tab);
+    if (tab.items.length === 0) {
+        throw httpError(409, 'La cuenta no tiene productos; elimínala en lugar de cerrarla');
+    }
+    return { status: 'closed', orderId, closedAt: new Date().toISOString() };
+}
+
+/**
+ * The order a tab is closed with has to be for the tab's lines: same products,
+ * options and quantities. Prices may differ (the order is priced again when
+ * it's paid), so totals aren't compared.
+ */
+function assertPaysFor(tab, order) {
+    const quantities = items => items.reduce((byLine, item) => {
+        const line = `${item.id}|${modifiersKey(item.modifiers)}`;
+        return byLine.set(line, (byLine.get(line) || 0) + Number(item.quantity));
+    }, new Map());
+    const owed = quantities(tab.items);
+    const paid = quantities(order.items || []);
+    const matches = owed.size === paid.size && [...owed].every(([line, quantity]) => paid.get(line) === quantity);
+    if (!matches) {
+        throw httpError(409, `La orden ${order.id} no corresponde a los productos de la cuenta "${tab.name}"`);
+    }
+}
+
+function assertRemovable(tab) {
+    assertOpen(tab);
+    if (tab.items.length > 0) {
+        throw httpError(409, 'La cuenta tiene productos; cóbrala o vacíala antes de eliminarla');
+    }
+}
+
+const tableTaken = () => httpError(409, 'La mesa ya tiene una cuenta abierta');
+
+// --- Postgres ---
+
+function normalizePg(tab) {
+    return {
+        id: tab.id,
+        name: tab.name,
+        tableId: tab.tableId || null,
+        status: tab.status,
+        items: (tab.items || []).map(item => ({ ...item, price: Number(item.price), quantity: Number(item.quantity) })),
+        customerId: tab.customerId || null,
+        openedBy: tab.openedBy || null,
+        orderId: tab.orderId || null,
+        createdAt: tab.created_at,
+        updatedAt: tab.updated_at,
+        closedAt: tab.closed_at || null,
+    };
+}
+
+// 23505 is the partial unique index on open tabs per table (idx_tabs_open_table)
+function translatePgError(error) {
+    if (error.code === '23505') return tableTaken();
+    if (error.code === '23503') return httpError(404, 'Mesa no encontrada');
+    return error;
+}
+
+function createPostgresImpl(pool) {
+    // Read-modify-write under a row lock, so two devices adding items to the
+    // same tab at the same time both land.
+    async function mutate(id, change) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const current = await client.query('SELECT * FROM tabs WHERE id = $1 FOR UPDATE', [id]);
+            if (current.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const tab = normalizePg(current.rows[0]);
+            // change() returns the fields to write, undefined for "nothing to
+            // update", or null when it already did its own work (or none was needed)
+            const changes = await change(tab, client);
+            if (changes === undefined) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+            if (changes === null) {
+                await client.query('COMMIT');
+                return tab;
+            }
+
+            const columnByField = {
+                name: 'name',
+                tableId: '"tableId"',
+                status: 'status',
+                customerId: '"customerId"',
+                orderId: '"orderId"',
+                closedAt: 'closed_at',
+            };
+            const setClauses = ['updated_at = CURRENT_TIMESTAMP'];
+            const values = [];
+            for (const [field, column] of Object.entries(columnByField)) {
+                if (changes[field] !== undefined) {
+                    values.push(changes[field]);
+                    setClauses.push(`${column} = $${values.length}`);
+                }
+            }
+            if (changes.items !== undefined) {
+                values.push(JSON.stringify(changes.items));
+                setClauses.push(`items = $${values.length}`);
+            }
+            values.push(id);
+            const result = await client.query(
+                `UPDATE tabs SET ${setClauses.join(', ')} WHERE id = $${values.length} RETURNING *`,
+                values
+            );
+            await client.query('COMMIT');
+            return normalizePg(result.rows[0]);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw translatePgError(error);
+        } finally {
+            client.release();
+        }
+    }
+
+    return {
+        async list({ status = 'open', limit = 100 } = {}) {
+            const result = status === 'all'
+                ? await pool.query('SELECT * FROM tabs ORDER BY created_at DESC LIMIT $1', [limit])
+                : await pool.query('SELECT * FROM tabs WHERE status = $1 ORDER BY created_at DESC LIMIT $2', [status, limit]);
+            return result.rows.map(normalizePg);
+        },
+
+        async get(id) {
+            const result = await pool.query('SELECT * FROM tabs WHERE id = $1', [id]);
+            return result.rows[0] ? normalizePg(result.rows[0]) : null;
+        },
+
+        async open({ name, tableId, customerId, openedBy }) {
+            const id = `tab-${Date.now()}`;
+            try {
+                const result = await pool.query(
+                    `INSERT INTO tabs (id, name, "tableId", status, items, "customerId", "openedBy")
+                     VALUES ($1, $2, $3, 'open', '[]'::jsonb, $4, $5) RETURNING *`,
+                    [id, name, tableId || null, customerId || null, openedBy || null]
+                );
+                return normalizePg(result.rows[0]);
+            } catch (error) {
+                throw translatePgError(error);
+            }
+        },
+
+        // Returns the updated tab, or null if the id doesn't exist.
+        async addItems(id, items) {
+            return mutate(id, tab => {
+                assertOpen(tab);
+                return { items: mergeItems(tab.items, items) };
+            });
+        },
+
+        // Returns: the updated tab, `undefined` if there were no recognized
+        // fields to update, or `null` if the id doesn't exist.
+        async update(id, updates) {
+            return mutate(id, tab => applyUpdate(tab, updates));
+        },
+
+        async close(id, { orderId }) {
+            return mutate(id, async (tab, client) => {
+                const changes = applyClose(tab, orderId);
+                if (!changes) return null;
+                const order = await client.query('SELECT id, items FROM orders WHERE id = $1', [orderId]);
+                if (order.rows.length === 0) {
+                    throw httpError(400, `Orden no encontrada: ${orderId}`);
+                }
+                assertPaysFor(tab, order.rows[0]);
+                const other = await client.query('SELECT name FROM tabs WHERE "orderId" = $1 AND id <> $2', [orderId, id]);
+                if (other.rows.length > 0) {
+                    throw httpError(409, `La orden ${orderId} ya cerró la cuenta "${other.rows[0].name}"`);
+                }
+                return changes;
+            });
+        },
+
+        // Returns true if a row was deleted, false if the id didn't exist.
+        async remove(id) {
+            const deleted = await mutate(id, async (tab, client) => {
+                assertRemovable(tab);
+                await client.query('DELETE FROM tabs WHERE id = $1', [id]);
+                return null;
+            });
+            return Boolean(deleted);
+        },
+    };
+}
+
+// --- In memory ---
+
+function createMemoryImpl() {
+    const tabs = new Map();
+    let sequence = 0;
+
+    const assertTableFree = (tableId, exceptId) => {
+        if (!tableId) return;
+        const taken = [...tabs.values()].some(tab => tab.status === 'open' && tab.tableId === tableId && tab.id !== exceptId);
+        if (taken) throw tableTaken();
+    };
+
+    const save = (tab, changes) => {
+        const updated = { ...tab, ...changes, updatedAt: new Date().toISOString() };
+        tabs.set(tab.id, updated);
+        return updated;
+    };
+
+    return {
+        async list({ status = 'open', limit = 100 } = {}) {
+            return [...tabs.values()]
+                .filter(tab => status === 'all' || tab.status === status)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, limit);
+        },
+
+        async get(id) {
+            return tabs.get(id) || null;
+        },
+
+        async open({ name, tableId, customerId, openedBy }) {
+            assertTableFree(tableId);
+            const now = new Date().toISOString();
+            const tab = {
+                id: `tab-${Date.now()}-${++sequence}`,
+                name,
+                tableId: tableId || null,
+                status: 'open',
+                items: [],
+                customerId: customerId || null,
+                openedBy: openedBy || null,
+                orderId: null,
+                createdAt: now,
+                updatedAt: now,
+                closedAt: null,
+            };
+            tabs.set(tab.id, tab);
+            return tab;
+        },
+
+        async addItems(id, items) {
+            const tab = tabs.get(id);
+            if (!tab) return null;
+            assertOpen(tab);
+            return save(tab, { items: mergeItems(tab.items, items) });
+        },
+
+        // Same return contract as the Postgres impl: tab | undefined | null.
+        async update(id, updates) {
+            const tab = tabs.get(id);
+            if (!tab) return null;
+            const changes = applyUpdate(tab, updates);
+            if (!changes) return undefined;
+            if (changes.tableId !== undefined) assertTableFree(changes.tableId, id);
+            return save(tab, changes);
+        },
+
+        // Orders aren't kept in memory, so the orderId can't be checked here.
+        async close(id, { orderId }) {
+            const tab = tabs.get(id);
+            if (!tab) return null;
+            const changes = applyClose(tab, orderId);
+            return changes ? save(tab, changes) : tab;
+        },
+
+        async remove(id) {
+            const tab = tabs.get(id);
+            if (!tab) return false;
+            assertRemovable(tab);
+            return tabs.delete(id);
+        },
+    };
+}
@@ -0,0 +1,51 @@
+// The customer-facing display of each register (routes/customerDisplay.js),
+// through server.js in in-memory mode (no DATABASE_URL).
+
+const { startServer, request } = require('../../tests/characterization/helpers');
+
+const PORT = 3988;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+
+describe('customer display', () => {
+  test("a register's cart is mirrored on its display channel and validated (400)", async () => {
+    expect((await put('/api/customer-display/caja-9', { mode: 'banner' })).body).toEqual({ error: 'Modo inválido: banner' });
+    expect((await put('/api/customer-display/caja-9', { mode: 'cart', items: [{ name: 'Latte', quantity: 0, price: 45 }] })).body)
+      .toEqual({ error: 'Línea inválida' });
+    expect((await get('/api/customer-display/caja-9')).body).toEqual({ mode: 'idle' });
+
+    const cart = { mode: 'cart', items: [{ name: 'Latte', quantity: 2, price: 45, details: 'Grande' }], subtotal: 90, discount: 9, tip: 0, total: 81 };
+    expect((await put('/api/customer-display/caja-9', cart)).status).toBe(200);
+    expect((await get('/api/customer-display/caja-9')).body).toEqual(cart);
+    // Each register has its own channel
+    expect((await get('/api/customer-display/caja-8')).body).toEqual({ mode: 'idle' });
+  });
+
+  test('after checkout the QR links to self-invoicing with the folio, or is the folio itself', async () => {
+    const paid = { mode: 'paid', orderId: 'order-123', total: 81, changeDue: 19 };
+    expect((await put('/api/customer-display/caja-9', paid)).body).toMatchObject({ qrData: 'order-123', qrKind: 'reference' });
+
+    await put('/api/settings', { selfInvoiceUrl: 'https://micafe.mx/facturar' });
+    expect((await put('/api/customer-display/caja-9', paid)).body).toMatchObject({
+      qrData: 'https://micafe.mx/facturar?folio=order-123&total=81.00', qrKind: 'invoice', changeDue: 19,
+    });
+    await put('/api/settings', { selfInvoiceUrl: '' });
+
+    const qr = await get('/api/qr.svg?data=order-123');
+    expect(qr.status).toBe(200);
+    expect(qr.contentType).toContain('image/svg+xml');
+    // Version 1 (21 modules) plus the 4-module quiet zone on each side
+    expect(qr.body).toContain('viewBox="0 0 29 29"');
+    expect((await get(`/api/qr.svg?data=${'x'.repeat(300)}`)).body).toEqual({ error: 'Texto demasiado largo para el código QR (300 bytes)' });
+  });
+});
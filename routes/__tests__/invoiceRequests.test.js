@@ -0,0 +1,45 @@
+// The public self-invoicing page and its admin queue (routes/invoiceRequests.js),
+// through server.js in in-memory mode (no DATABASE_URL).
+
+const { startServer, request } = require('../../tests/characterization/helpers');
+
+const PORT = 3982;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+
+describe('self-invoicing', () => {
+  const receptor = { rfc: 'XAXX010101000', name: 'Público en general', zipCode: '06700', taxRegime: '616', cfdiUse: 'S01' };
+
+  test('the public page validates the ticket and fiscal data before looking anything up', async () => {
+    const noFolio = await post('/api/self-invoice', { total: 100, receptor });
+    expect(noFolio.status).toBe(400);
+    expect(noFolio.body).toEqual({ error: 'Escribe el folio de tu ticket' });
+    expect((await post('/api/self-invoice', { folio: 'order-1', total: 0, receptor })).body).toEqual({ error: 'Escribe el total de tu ticket' });
+    expect((await post('/api/self-invoice', { folio: 'order-1', total: 100, receptor: { ...receptor, taxRegime: '' } })).status).toBe(400);
+    expect((await post('/api/self-invoice', { folio: 'order-1', total: 100, email: 'nope', receptor })).body).toEqual({ error: 'Correo inválido: nope' });
+
+    const valid = await post('/api/self-invoice', { folio: 'order-1', total: 100, receptor });
+    expect(valid.status).toBe(503);
+    expect((await get('/api/self-invoice/invreq-1')).status).toBe(503);
+  });
+
+  test('the admin queue is empty without a database and rejections need a reason', async () => {
+    expect(await get('/api/invoice-requests')).toMatchObject({ status: 200, body: [] });
+    expect((await post('/api/invoice-requests/invreq-1/reject', { reason: ' ' })).body).toEqual({ error: 'El motivo del rechazo es obligatorio' });
+    expect((await post('/api/invoice-requests/invreq-1/reject', { reason: 'RFC no coincide' })).status).toBe(503);
+    expect((await post('/api/invoice-requests/invreq-1/issue')).status).toBe(503);
+
+    expect((await put('/api/settings', { selfInvoiceUrl: 'micafe.mx' })).body).toEqual({ error: 'URL de facturación inválida: micafe.mx' });
+  });
+});
@@ -0,0 +1,55 @@
+// The orders routes on server.js in in-memory mode (no DATABASE_URL). The
+// database side of order creation is in database/__tests__/create_order_atomic.test.js.
+
+const { startServer, request } = require('../../tests/characterization/helpers');
+
+const PORT = 3972;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+
+describe('POST /api/orders', () => {
+  test('POST /api/orders decrements product stock itself (no separate update-stock call)', async () => {
+    const stockOf = async (id) => (await get('/api/products')).body.find(p => p.id === id).stock;
+    const before = await stockOf('3');
+    const { status } = await post('/api/orders', {
+      clientName: 'Stock Client',
+      serviceType: 'Para llevar',
+      paymentMethod: 'Efectivo',
+      items: [{ id: '3', name: 'Croissant', quantity: 2 }],
+      userId: 'user-1',
+      idempotencyKey: 'order-stock-test',
+    });
+    expect(status).toBe(201);
+    expect(await stockOf('3')).toBe(before - 2);
+  });
+});
+
+describe('order search', () => {
+  test('GET /api/orders accepts the history filters', async () => {
+    const query = new URLSearchParams({
+      from: '2026-10-01T06:00:00.000Z', to: '2026-11-01T06:00:00.000Z', paymentMethod: 'Tarjeta', serviceType: 'Mesa',
+      customerId: 'cust-1', userId: 'user-1', productId: '2', minTotal: '10', maxTotal: '500', q: 'Ana',
+    });
+    const { status, body } = await get(`/api/orders?${query}`);
+    expect(status).toBe(200);
+    expect(body).toEqual([]);
+  });
+
+  test('bad dates, totals and cursors are rejected (400)', async () => {
+    expect((await get('/api/orders?from=ayer')).body).toEqual({ error: 'Fecha inválida: ayer' });
+    expect((await get('/api/orders?minTotal=-5')).body).toEqual({ error: 'Total inválido: -5' });
+    const { status, body } = await get('/api/orders?cursor=not-a-cursor');
+    expect(status).toBe(400);
+    expect(body).toEqual({ error: 'Cursor inválido' });
+  });
+});
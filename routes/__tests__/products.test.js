@@ -0,0 +1,49 @@
+// Product SKUs and barcodes on the products routes, through server.js in
+// in-memory mode (no DATABASE_URL).
+
+const { startServer, request } = require('../../tests/characterization/helpers');
+
+const PORT = 3985;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+const del = (p) => request(server.baseUrl, 'DELETE', p);
+
+describe('product codes', () => {
+  const product = (extra) => ({ price: 18, cost: 6, stock: 5, description: '', imageUrl: '', category: 'Refrigerador', ...extra });
+
+  test('a SKU or barcode belongs to one product; malformed codes are rejected (400)', async () => {
+    expect((await post('/api/products', product({ name: 'Agua 600', sku: 'AG 600' }))).body).toEqual({ error: 'SKU inválido: AG 600' });
+
+    const water = await post('/api/products', product({ name: 'Agua 600', sku: ' AG-600 ', barcode: '7501055300075' }));
+    expect(water.status).toBe(201);
+    expect(water.body).toMatchObject({ sku: 'AG-600', barcode: '7501055300075' });
+
+    // Scanners read either code, so a SKU can't reuse another product's barcode either
+    const clash = await post('/api/products', product({ name: 'Agua 1L', sku: '7501055300075' }));
+    expect(clash).toMatchObject({ status: 409, body: { error: 'El código 7501055300075 ya está asignado a Agua 600' } });
+    expect((await put(`/api/products/${water.body.id}`, { sku: 'ag-600' })).status).toBe(200);
+
+    await del(`/api/products/${water.body.id}`);
+  });
+
+  test('imported codes are checked against the catalog and the rest of the file', async () => {
+    const { status, body } = await post('/api/products/import', [
+      product({ name: 'Jugo Naranja', barcode: '7500000000011' }),
+      product({ name: 'Jugo Mango', barcode: '7500000000011' }),
+    ]);
+    expect(status).toBe(409);
+    expect(body).toEqual({ error: 'El código 7500000000011 ya está asignado a Jugo Naranja' });
+    expect((await get('/api/products')).body.some(p => p.name === 'Jugo Naranja')).toBe(false);
+  });
+});
@@ -1,6 +1,21 @@
 // Moved out of server.js verbatim (Phase 2 of the architecture cleanup).
 import express from 'express';
 
+// Dollars held in the drawer are counted apart from pesos (see src/services/currency.js)
+const normalizeSession = (session) => ({
+    ...session,
+    startAmount: parseFloat(session.startAmount),
+    endAmount: session.endAmount ? parseFloat(session.endAmount) : null,
+    totalSales: parseFloat(session.totalSales),
+    totalExpenses: parseFloat(session.totalExpenses),
+    expectedCash: parseFloat(session.expectedCash),
+    difference: parseFloat(session.difference),
+    startAmountUsd: parseFloat(session.startAmountUsd || 0),
+    endAmountUsd: session.endAmountUsd !== null && session.endAmountUsd !== undefined ? parseFloat(session.endAmountUsd) : null,
+    expectedCashUsd: parseFloat(session.expectedCashUsd || 0),
+    differenceUsd: parseFloat(session.differenceUsd || 0)
+});
+
 export function createCashSessionsRouter({ pool, useDb, broadcastDataChange }) {
     const router = express.Router();
 
@@ -31,15 +46,7 @@ export function createCashSessionsRouter({ pool, useDb, broadcastDataChange }) {
             const result = await pool.query(query, params);
             console.log(`✅ Retrieved ${result.rows.length} cash sessions`);
 
-            res.json(result.rows.map(session => ({
-                ...session,
-                startAmount: parseFloat(session.startAmount),
-                endAmount: session.endAmount ? parseFloat(session.endAmount) : null,
-                totalSales: parseFloat(session.totalSales),
-                totalExpenses: parseFloat(session.totalExpenses),
-                expectedCash: parseFloat(session.expectedCash),
-                difference: parseFloat(session.difference)
-            })));
+            res.json(result.rows.map(normalizeSession));
         } catch (error) {
             console.error("Error fetching cash sessions:", error);
             res.status(500).json({ error: 'Failed to fetch cash sessions' });
@@ -49,23 +56,15 @@ export function createCashSessionsRouter({ pool, useDb, broadcastDataChange }) {
     router.post('/api/cash-sessions', async (req, res) => {
         try {
             if (!useDb) return res.status(503).json({ error: 'Database not available' });
-            const { startAmount, startTime, userId } = req.body;
+            const { startAmount, startAmountUsd, startTime, userId } = req.body;
             const id = `cash-${Date.now()}`;
             const result = await pool.query(
-                'INSERT INTO cash_sessions (id, "startAmount", "startTime", "userId") VALUES ($1, $2, $3, $4) RETURNING *',
-                [id, startAmount, startTime, userId]
+                'INSERT INTO cash_sessions (id, "startAmount", "startAmountUsd", "startTime", "userId") VALUES ($1, $2, $3, $4, $5) RETURNING *',
+                [id, startAmount, startAmountUsd || 0, startTime, userId]
             );
             const newSession = result.rows[0];
             broadcastDataChange('cash-sessions', { action: 'create', id: newSession.id });
-            res.status(201).json({
-                ...newSession,
-                startAmount: parseFloat(newSession.startAmount),
-                endAmount: newSession.endAmount ? parseFloat(newSession.endAmount) : null,
-                totalSales: parseFloat(newSession.totalSales),
-                totalExpenses: parseFloat(newSession.totalExpenses),
-                expectedCash: parseFloat(newSession.expectedCash),
-                difference: parseFloat(newSession.difference)
-            });
+            res.status(201).json(normalizeSession(newSession));
         } catch (error) {
             console.error("Error creating cash session:", error);
             res.status(500).json({ error: 'Failed to create cash session' });
@@ -76,24 +75,18 @@ export function createCashSessionsRouter({ pool, useDb, broadcastDataChange }) {
         try {
             if (!useDb) return res.status(503).json({ error: 'Database not available' });
             const { endAmount, endTime, totalSales, totalExpenses, expectedCash, difference, status } = req.body;
+            const { endAmountUsd, expectedCashUsd, differenceUsd } = req.body;
             const result = await pool.query(
-                'UPDATE cash_sessions SET "endAmount" = $1, "endTime" = $2, "totalSales" = $3, "totalExpenses" = $4, "expectedCash" = $5, difference = $6, status = $7 WHERE id = $8 RETURNING *',
-                [endAmount, endTime, totalSales, totalExpenses, expectedCash, difference, status, req.params.id]
+                `UPDATE cash_sessions SET "endAmount" = $1, "endTime" = $2, "totalSales" = $3, "totalExpenses" = $4, "expectedCash" = $5, difference = $6, status = $7,
+                    "endAmountUsd" = $8, "expectedCashUsd" = $9, "differenceUsd" = $10 WHERE id = $11 RETURNING *`,
+                [endAmount, endTime, totalSales, totalExpenses, expectedCash, difference, status, endAmountUsd ?? null, expectedCashUsd || 0, differenceUsd || 0, req.params.id]
             );
             if (result.rows.length === 0) {
                 return res.status(404).json({ error: 'Cash session not found' });
             }
             const updatedSession = result.rows[0];
             broadcastDataChange('cash-sessions', { action: 'update', id: req.params.id });
-            res.json({
-                ...updatedSession,
-                startAmount: parseFloat(updatedSession.startAmount),
-                endAmount: updatedSession.endAmount ? parseFloat(updatedSession.endAmount) : null,
-                totalSales: parseFloat(updatedSession.totalSales),
-                totalExpenses: parseFloat(updatedSession.totalExpenses),
-                expectedCash: parseFloat(updatedSession.expectedCash),
-                difference: parseFloat(updatedSession.difference)
-            });
+            res.json(normalizeSession(updatedSession));
         } catch (error) {
             console.error("Error updating cash session:", error);
             res.status(500).json({ error: 'Failed to update cash session' });
@@ -1,7 +1,8 @@
 // Moved out of server.js verbatim (Phase 2 of the architecture cleanup).
 import express from 'express';
+import { idempotencyKeyOf } from '../repositories/idempotencyKeys.js';
 
-export function createCashWithdrawalsRouter({ pool, useDb, broadcastDataChange }) {
+export function createCashWithdrawalsRouter({ pool, useDb, idempotencyKeys, broadcastDataChange }) {
     const router = express.Router();
 
     router.get('/api/cash-withdrawals', async (req, res) => {
@@ -47,18 +48,22 @@ export function createCashWithdrawalsRouter({ pool, useDb, broadcastDataChange }
         try {
             if (!useDb) return res.status(503).json({ error: 'Database not available' });
             const { cashSessionId, amount, description, userId } = req.body;
-            const id = `withdrawal-${Date.now()}`;
-            const result = await pool.query(
-                'INSERT INTO cash_withdrawals (id, cash_session_id, amount, description, withdrawn_by) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-                [id, cashSessionId, amount, description, userId]
-            );
-            const newWithdrawal = result.rows[0];
-            broadcastDataChange('cash-withdrawals', { action: 'create', id: newWithdrawal.id });
-            res.status(201).json({
-                ...newWithdrawal,
-                amount: parseFloat(newWithdrawal.amount)
+
+            // A replay from the offline queue gets the withdrawal it already made
+            const { response: newWithdrawal, isDuplicate } = await idempotencyKeys.runOnce(idempotencyKeyOf(req), 'cash-withdrawal', async ({ client }) => {
+                const id = `withdrawal-${Date.now()}`;
+                const result = await client.query(
+                    'INSERT INTO cash_withdrawals (id, cash_session_id, amount, description, withdrawn_by) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+                    [id, cashSessionId, amount, description, userId]
+                );
+                return { id, response: { ...result.rows[0], amount: parseFloat(result.rows[0].amount) } };
             });
+            if (isDuplicate) return res.status(200).json({ ...newWithdrawal, isDuplicate: true });
+
+            broadcastDataChange('cash-withdrawals', { action: 'create', id: newWithdrawal.id });
+            res.status(201).json(newWithdrawal);
         } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
             console.error("Error creating cash withdrawal:", error);
             res.status(500).json({ error: 'Failed to create cash withdrawal' });
         }
@@ -2,8 +2,9 @@
 // already resolved which storage backend to use. No `useDb` branching here -
 // see repositories/coworkingSessions.js for why that's the point.
 import express from 'express';
+import { idempotencyKeyOf } from '../repositories/idempotencyKeys.js';
 
-export function createCoworkingSessionsRouter({ coworkingSessions, broadcastDataChange }) {
+export function createCoworkingSessionsRouter({ coworkingSessions, idempotencyKeys, broadcastDataChange }) {
     const router = express.Router();
 
     router.get('/api/coworking-sessions', async (req, res) => {
@@ -20,10 +21,17 @@ export function createCoworkingSessionsRouter({ coworkingSessions, broadcastData
 
     router.post('/api/coworking-sessions', async (req, res) => {
         try {
-            const newSession = await coworkingSessions.create(req.body);
+            // A replay from the offline queue gets the session it already started
+            const { response: newSession, isDuplicate } = await idempotencyKeys.runOnce(idempotencyKeyOf(req), 'coworking-session', async ({ client }) => {
+                const session = await coworkingSessions.create(req.body, { client });
+                return { id: session.id, response: session };
+            });
+            if (isDuplicate) return res.status(200).json({ ...newSession, isDuplicate: true });
+
             broadcastDataChange('coworking-sessions', { action: 'create', id: newSession.id });
             res.status(201).json(newSession);
         } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
             console.error("Error creating coworking session:", error);
             res.status(500).json({ error: 'Failed to create coworking session' });
         }
@@ -0,0 +1,116 @@
+// Customer-facing display: a second screen that mirrors one register's cart.
+// The register PUTs what its cart looks like; the display listens on that
+// register's SSE channel (see src/services/sseService.js). The last state of
+// each register is kept in memory, so a display that connects or reconnects
+// mid-sale shows the current cart right away - it is never persisted.
+import express from 'express';
+import { registerClient, broadcastToChannel } from '../src/services/sseService.js';
+import { qrSvg } from '../src/services/qrCode.js';
+
+const DISPLAY_MODES = ['idle', 'cart', 'paid'];
+const REGISTER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_LINES = 200;
+
+const channelOf = (registerId) => `display:${registerId}`;
+const isAmount = (value) => value === undefined || Number.isFinite(Number(value));
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/** Returns an error message for an invalid display state, or null. */
+function validateDisplayState({ mode, items, orderId, ...amounts }) {
+    if (!DISPLAY_MODES.includes(mode)) return `Modo inválido: ${mode}`;
+    if (mode === 'cart') {
+        if (!Array.isArray(items) || items.length > MAX_LINES) return 'Las líneas deben ser una lista';
+        if (items.some(item => !String(item?.name || '').trim() || !(Number(item.quantity) > 0) || !isAmount(item.price))) {
+            return 'Línea inválida';
+        }
+    }
+    if (mode === 'paid' && !String(orderId || '').trim()) return 'Falta el folio de la venta';
+    const invalid = ['subtotal', 'discount', 'tip', 'total', 'changeDue'].find(field => !isAmount(amounts[field]));
+    return invalid ? `Importe inválido (${invalid})` : null;
+}
+
+export function createCustomerDisplayRouter({ settings }) {
+    const router = express.Router();
+    const states = new Map();
+    const stateOf = (registerId) => states.get(registerId) || { mode: 'idle' };
+
+    // After a sale: the self-invoicing page with the folio filled in, or just
+    // the folio as the payment reference when there is no invoicing page
+    const paidState = async ({ orderId, total, changeDue }) => {
+        const { selfInvoiceUrl } = await settings.get();
+        const folio = String(orderId).trim();
+        const qrData = selfInvoiceUrl
+            ? `${selfInvoiceUrl}${selfInvoiceUrl.includes('?') ? '&' : '?'}folio=${encodeURIComponent(folio)}&total=${money(total).toFixed(2)}`
+            : folio;
+        return {
+            mode: 'paid', orderId: folio, total: money(total),
+            changeDue: changeDue === undefined || changeDue === null ? null : money(changeDue),
+            qrData, qrKind: selfInvoiceUrl ? 'invoice' : 'reference',
+        };
+    };
+
+    const cartState = ({ items, subtotal, discount, tip, total }) => ({
+        mode: 'cart',
+        items: items.map(item => ({
+            name: String(item.name).trim(),
+            quantity: Number(item.quantity),
+            price: money(item.price),
+            details: item.details ? String(item.details) : undefined,
+        })),
+        subtotal: money(subtotal), discount: money(discount), tip: money(tip), total: money(total),
+    });
+
+    // QR codes as SVG, for the display's "after checkout" screen
+    router.get('/api/qr.svg', (req, res) => {
+        try {
+            const data = String(req.query.data || '');
+            if (!data) return res.status(400).json({ error: 'Falta el texto del código QR' });
+            const svg = qrSvg(data);
+            res.type('image/svg+xml').set('Cache-Control', 'public, max-age=86400').send(svg);
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error rendering QR code:', error);
+            res.status(500).json({ error: 'Failed to render QR code' });
+        }
+    });
+
+    router.get('/api/customer-display/:registerId/events', async (req, res) => {
+        const { registerId } = req.params;
+        if (!REGISTER_ID_PATTERN.test(registerId)) return res.status(400).json({ error: `Caja inválida: ${registerId}` });
+        let images = [];
+        try {
+            images = (await settings.get()).customerDisplayImages || [];
+        } catch (error) {
+            console.error('Error loading display images:', error);
+        }
+        registerClient(res, `display-${registerId}`, channelOf(registerId));
+        res.write(`data: ${JSON.stringify({ type: 'display', state: stateOf(registerId), images })}\n\n`);
+    });
+
+    router.get('/api/customer-display/:registerId', (req, res) => {
+        const { registerId } = req.params;
+        if (!REGISTER_ID_PATTERN.test(registerId)) return res.status(400).json({ error: `Caja inválida: ${registerId}` });
+        res.json(stateOf(registerId));
+    });
+
+    // The register's cart changed (or a sale was just paid, or it went idle)
+    router.put('/api/customer-display/:registerId', async (req, res) => {
+        try {
+            const { registerId } = req.params;
+            if (!REGISTER_ID_PATTERN.test(registerId)) return res.status(400).json({ error: `Caja inválida: ${registerId}` });
+            const invalid = validateDisplayState(req.body);
+            if (invalid) return res.status(400).json({ error: invalid });
+
+            const { mode } = req.body;
+            const state = mode === 'cart' ? cartState(req.body) : mode === 'paid' ? await paidState(req.body) : { mode: 'idle' };
+            states.set(registerId, state);
+            broadcastToChannel(channelOf(registerId), 'display', { state });
+            res.json(state);
+        } catch (error) {
+            console.error('Error updating customer display:', error);
+            res.status(500).json({ error: 'Failed to update customer display' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,54 @@
+// Daily exchange rates for foreign cash at the register (see
+// src/services/currency.js). Changes are broadcast as 'exchange-rates' so
+// every register charges dollars at the same rate.
+import express from 'express';
+import { validateExchangeRate, isForeignCurrency } from '../src/services/currency.js';
+
+export function createExchangeRatesRouter({ exchangeRates, broadcastDataChange }) {
+    const router = express.Router();
+
+    const currencyOf = (value) => String(value || 'USD').toUpperCase();
+
+    // The rate checkout uses: the latest one set (null when there is none)
+    router.get('/api/exchange-rates/current', async (req, res) => {
+        try {
+            const currency = currencyOf(req.query.currency);
+            if (!isForeignCurrency(currency)) return res.status(400).json({ error: `Moneda no soportada: ${currency}` });
+            res.json(await exchangeRates.current(currency));
+        } catch (error) {
+            console.error('Error fetching exchange rate:', error);
+            res.status(500).json({ error: 'Failed to fetch exchange rate' });
+        }
+    });
+
+    router.get('/api/exchange-rates', async (req, res) => {
+        try {
+            const currency = currencyOf(req.query.currency);
+            if (!isForeignCurrency(currency)) return res.status(400).json({ error: `Moneda no soportada: ${currency}` });
+            const limit = Math.min(parseInt(req.query.limit) || 30, 365);
+            res.json(await exchangeRates.history(currency, limit));
+        } catch (error) {
+            console.error('Error fetching exchange rates:', error);
+            res.status(500).json({ error: 'Failed to fetch exchange rates' });
+        }
+    });
+
+    // Sets today's rate; setting it again the same day replaces it
+    router.put('/api/exchange-rates/:currency', async (req, res) => {
+        try {
+            const currency = currencyOf(req.params.currency);
+            if (!isForeignCurrency(currency)) return res.status(400).json({ error: `Moneda no soportada: ${currency}` });
+            const rate = validateExchangeRate(req.body.rate);
+            const saved = await exchangeRates.set({ currency, rate, userId: req.body.userId });
+            console.log(`💱 Exchange rate set: 1 ${currency} = $${rate} MXN`);
+            broadcastDataChange('exchange-rates', { action: 'update', id: currency });
+            res.json(saved);
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error setting exchange rate:', error);
+            res.status(500).json({ error: 'Failed to set exchange rate' });
+        }
+    });
+
+    return router;
+}
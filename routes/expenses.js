@@ -1,7 +1,16 @@
 // Moved out of server.js verbatim (Phase 2 of the architecture cleanup).
 import express from 'express';
+import { idempotencyKeyOf } from '../repositories/idempotencyKeys.js';
 
-export function createExpensesRouter({ pool, useDb, broadcastDataChange }) {
+// The IVA on a supplier's invoice is part of the amount paid; without one it's 0
+function invalidTaxAmount(amount, taxAmount) {
+    if (taxAmount === undefined || taxAmount === null || taxAmount === '') return null;
+    const value = Number(taxAmount);
+    if (!Number.isFinite(value) || value < 0 || value > Number(amount)) return `IVA inválido: ${taxAmount}`;
+    return null;
+}
+
+export function createExpensesRouter({ pool, useDb, idempotencyKeys, broadcastDataChange }) {
     const router = express.Router();
 
     router.get('/api/expenses', async (req, res) => {
@@ -19,6 +28,7 @@ export function createExpensesRouter({ pool, useDb, broadcastDataChange }) {
             res.json(result.rows.map(expense => ({
                 ...expense,
                 amount: parseFloat(expense.amount),
+                taxAmount: parseFloat(expense.taxAmount || 0),
                 date: expense.created_at,  // Map created_at to date for frontend compatibility
                 paymentSource: expense.paymentSource || 'transferencia',
                 type: expense.type || 'Emergente'
@@ -31,22 +41,35 @@ export function createExpensesRouter({ pool, useDb, broadcastDataChange }) {
 
     router.post('/api/expenses', async (req, res) => {
         try {
+            const { description, amount, category, userId, paymentSource, type, taxAmount } = req.body;
+            const invalid = invalidTaxAmount(amount, taxAmount);
+            if (invalid) return res.status(400).json({ error: invalid });
             if (!useDb) return res.status(503).json({ error: 'Database not available' });
-            const { description, amount, category, userId, paymentSource, type } = req.body;
-            const id = `expense-${Date.now()}`;
-            const result = await pool.query(
-                'INSERT INTO expenses (id, description, amount, category, "userId", "paymentSource", type) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
-                [id, description, amount, category, userId, paymentSource || 'transferencia', type || 'Emergente']
-            );
-            const newExpense = result.rows[0];
-            res.status(201).json({
-                ...newExpense,
-                amount: parseFloat(newExpense.amount),
-                date: newExpense.created_at,  // Map created_at to date for frontend compatibility
-                paymentSource: newExpense.paymentSource,
-                type: newExpense.type
+
+            // A replay from the offline queue gets the expense it already created
+            const { response, isDuplicate } = await idempotencyKeys.runOnce(idempotencyKeyOf(req), 'expense', async ({ client }) => {
+                const id = `expense-${Date.now()}`;
+                const result = await client.query(
+                    'INSERT INTO expenses (id, description, amount, category, "userId", "paymentSource", type, "taxAmount") VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+                    [id, description, amount, category, userId, paymentSource || 'transferencia', type || 'Emergente', Number(taxAmount) || 0]
+                );
+                const newExpense = result.rows[0];
+                return {
+                    id,
+                    response: {
+                        ...newExpense,
+                        amount: parseFloat(newExpense.amount),
+                        taxAmount: parseFloat(newExpense.taxAmount || 0),
+                        date: newExpense.created_at,  // Map created_at to date for frontend compatibility
+                        paymentSource: newExpense.paymentSource,
+                        type: newExpense.type
+                    }
+                };
             });
+            if (isDuplicate) return res.status(200).json({ ...response, isDuplicate: true });
+            res.status(201).json(response);
         } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
             console.error("Error creating expense:", error);
             res.status(500).json({ error: 'Failed to create expense' });
         }
@@ -55,12 +78,14 @@ export function createExpensesRouter({ pool, useDb, broadcastDataChange }) {
     router.put('/api/expenses/:id', async (req, res) => {
         try {
             if (!useDb) return res.status(503).json({ error: 'Database not available' });
-            const { description, amount, category, date, paymentSource, type } = req.body;
+            const { description, amount, category, date, paymentSource, type, taxAmount } = req.body;
+            const invalid = invalidTaxAmount(amount, taxAmount);
+            if (invalid) return res.status(400).json({ error: invalid });
 
             // Update with all fields including paymentSource and type
             const result = await pool.query(
-                'UPDATE expenses SET description = $1, amount = $2, category = $3, created_at = COALESCE($4, created_at), "paymentSource" = COALESCE($5, "paymentSource"), type = COALESCE($6, type) WHERE id = $7 RETURNING *',
-                [description, amount, category, date || null, paymentSource, type, req.params.id]
+                'UPDATE expenses SET description = $1, amount = $2, category = $3, created_at = COALESCE($4, created_at), "paymentSource" = COALESCE($5, "paymentSource"), type = COALESCE($6, type), "taxAmount" = COALESCE($7, "taxAmount") WHERE id = $8 RETURNING *',
+                [description, amount, category, date || null, paymentSource, type, taxAmount === undefined || taxAmount === '' ? null : Number(taxAmount), req.params.id]
             );
 
             if (result.rows.length === 0) {
@@ -71,6 +96,7 @@ export function createExpensesRouter({ pool, useDb, broadcastDataChange }) {
             res.json({
                 ...updatedExpense,
                 amount: parseFloat(updatedExpense.amount),
+                taxAmount: parseFloat(updatedExpense.taxAmount || 0),
                 date: updatedExpense.created_at,  // Map created_at to date for frontend compatibility
                 paymentSource: updatedExpense.paymentSource,
                 type: updatedExpense.type
@@ -0,0 +1,81 @@
+// Floor map editor: the tables tabs can be assigned to. Routes call the
+// repository (see repositories/floorTables.js) and broadcast 'floor-tables'
+// so every device redraws the map.
+import express from 'express';
+import { TABLE_SHAPES } from '../repositories/floorTables.js';
+
+/** Returns an error message for invalid layout fields, or null. */
+function validateTable({ name, x, y, seats, shape }, { partial }) {
+    if ((!partial || name !== undefined) && !String(name || '').trim()) return 'La mesa necesita un nombre';
+    for (const [field, value] of Object.entries({ x, y })) {
+        if (value !== undefined && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+            return `Posición inválida (${field})`;
+        }
+    }
+    if (seats !== undefined && (!Number.isInteger(Number(seats)) || Number(seats) < 1)) return 'Número de lugares inválido';
+    if (shape !== undefined && !TABLE_SHAPES.includes(shape)) return `Forma inválida: ${shape}`;
+    return null;
+}
+
+export function createFloorTablesRouter({ floorTables, tabs, broadcastDataChange }) {
+    const router = express.Router();
+
+    router.get('/api/floor-tables', async (req, res) => {
+        try {
+            res.json(await floorTables.list());
+        } catch (error) {
+            console.error('Error fetching floor tables:', error);
+            res.status(500).json({ error: 'Failed to fetch floor tables' });
+        }
+    });
+
+    router.post('/api/floor-tables', async (req, res) => {
+        try {
+            const invalid = validateTable(req.body, { partial: false });
+            if (invalid) return res.status(400).json({ error: invalid });
+            const table = await floorTables.create({ ...req.body, name: String(req.body.name).trim() });
+            broadcastDataChange('floor-tables', { action: 'create', id: table.id });
+            res.status(201).json(table);
+        } catch (error) {
+            console.error('Error creating floor table:', error);
+            res.status(500).json({ error: 'Failed to create floor table' });
+        }
+    });
+
+    router.put('/api/floor-tables/:id', async (req, res) => {
+        try {
+            const invalid = validateTable(req.body, { partial: true });
+            if (invalid) return res.status(400).json({ error: invalid });
+            const result = await floorTables.update(req.params.id, req.body);
+            if (result === undefined) {
+                return res.status(400).json({ error: 'No fields to update' });
+            }
+            if (result === null) {
+                return res.status(404).json({ error: 'Floor table not found' });
+            }
+            broadcastDataChange('floor-tables', { action: 'update', id: result.id });
+            res.json(result);
+        } catch (error) {
+            console.error('Error updating floor table:', error);
+            res.status(500).json({ error: 'Failed to update floor table' });
+        }
+    });
+
+    router.delete('/api/floor-tables/:id', async (req, res) => {
+        try {
+            const openTabs = await tabs.list({ status: 'open' });
+            if (openTabs.some(tab => tab.tableId === req.params.id)) {
+                return res.status(409).json({ error: 'La mesa tiene una cuenta abierta' });
+            }
+            const deleted = await floorTables.remove(req.params.id);
+            if (!deleted) return res.status(404).json({ error: 'Floor table not found' });
+            broadcastDataChange('floor-tables', { action: 'delete', id: req.params.id });
+            res.status(204).send();
+        } catch (error) {
+            console.error('Error deleting floor table:', error);
+            res.status(500).json({ error: 'Failed to delete floor table' });
+        }
+    });
+
+    return router;
+}
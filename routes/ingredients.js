@@ -0,0 +1,180 @@
+// Ingredients: what the kitchen stocks, what it buys and how it's counted,
+// plus theoretical usage (what sold products' recipes used) against purchases
+// (see src/services/recipes.js). Sales record their usage from routes/orders.js;
+// purchases here can be posted as an Inventario expense as well.
+import express from 'express';
+import { normalizeIngredient, withRecipeCosts, usesIngredients, usageReport } from '../src/services/recipes.js';
+import { validatePeriod } from '../src/services/tipPooling.js';
+import { httpError } from '../src/services/httpError.js';
+
+function positiveAmount(value, message) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw httpError(400, message);
+    }
+    return number;
+}
+
+export function createIngredientsRouter({ pool, useDb, ingredients, productStore, broadcastDataChange }) {
+    const router = express.Router();
+
+    // Products whose recipe (or an option's) uses the ingredients get their
+    // cost from the new unit costs
+    const syncRecipeCosts = async (ingredientIds) => {
+        const ingredientsById = new Map((await ingredients.list()).map(ingredient => [ingredient.id, ingredient]));
+        const affected = (await productStore.getAll()).filter(product => usesIngredients(product, ingredientIds));
+        for (const product of affected) {
+            await productStore.update(product.id, withRecipeCosts(product, ingredientsById));
+        }
+        if (affected.length > 0) {
+            console.log(`💲 Recipe cost updated for ${affected.length} products`);
+            broadcastDataChange('products', { action: 'update' });
+        }
+    };
+
+    const sendError = (res, error, label, fallback) => {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error(`Error ${label}:`, error);
+        res.status(500).json({ error: fallback });
+    };
+
+    router.get('/api/ingredients', async (req, res) => {
+        try {
+            res.json(await ingredients.list());
+        } catch (error) {
+            sendError(res, error, 'fetching ingredients', 'Failed to fetch ingredients');
+        }
+    });
+
+    // What is on hand when the ingredient is created goes in as an adjustment,
+    // so the movements add up to the stock
+    router.post('/api/ingredients', async (req, res) => {
+        try {
+            const { stock, ...ingredient } = normalizeIngredient(req.body);
+            const created = await ingredients.create({ ...ingredient, stock: 0 });
+            if (stock > 0) {
+                await ingredients.recordMovements([{ ingredientId: created.id, quantity: stock }], {
+                    type: 'adjustment', note: 'Existencia inicial', userId: req.body.userId || null,
+                });
+            }
+            broadcastDataChange('ingredients', { action: 'create', id: created.id });
+            res.status(201).json(await ingredients.get(created.id));
+        } catch (error) {
+            sendError(res, error, 'creating ingredient', 'Failed to create ingredient');
+        }
+    });
+
+    router.put('/api/ingredients/:id', async (req, res) => {
+        try {
+            const ingredient = normalizeIngredient(req.body);
+            const current = await ingredients.get(req.params.id);
+            if (!current) return res.status(404).json({ error: 'Ingredient not found' });
+            const updated = await ingredients.update(req.params.id, ingredient);
+            if (updated.unitCost !== current.unitCost) await syncRecipeCosts([updated.id]);
+            broadcastDataChange('ingredients', { action: 'update', id: updated.id });
+            res.json(updated);
+        } catch (error) {
+            sendError(res, error, 'updating ingredient', 'Failed to update ingredient');
+        }
+    });
+
+    router.delete('/api/ingredients/:id', async (req, res) => {
+        try {
+            // Removing it would quietly drop it from the recipes and their cost
+            const user = (await productStore.getAll()).find(product => usesIngredients(product, [req.params.id]));
+            if (user) return res.status(409).json({ error: `El insumo se usa en la receta de ${user.name}` });
+            const removed = await ingredients.remove(req.params.id);
+            if (!removed) return res.status(404).json({ error: 'Ingredient not found' });
+            broadcastDataChange('ingredients', { action: 'delete', id: req.params.id });
+            res.status(204).send();
+        } catch (error) {
+            sendError(res, error, 'deleting ingredient', 'Failed to delete ingredient');
+        }
+    });
+
+    // { quantity, cost (total paid), postAsExpense?, paymentSource?, userId }
+    router.post('/api/ingredients/:id/purchases', async (req, res) => {
+        let client;
+        try {
+            const quantity = positiveAmount(req.body.quantity, 'Cantidad comprada inválida');
+            const cost = Number(req.body.cost ?? 0);
+            if (!Number.isFinite(cost) || cost < 0) return res.status(400).json({ error: `Costo inválido: ${req.body.cost}` });
+            const ingredient = await ingredients.get(req.params.id);
+            if (!ingredient) return res.status(404).json({ error: 'Ingredient not found' });
+            const previousCost = ingredient.unitCost;
+            const userId = req.body.userId || null;
+            const move = { ingredientId: ingredient.id, quantity, cost };
+
+            if (!req.body.postAsExpense) {
+                await ingredients.recordMovements([move], { type: 'purchase', userId });
+            } else {
+                if (!useDb) return res.status(503).json({ error: 'Database not available' });
+                // The expense and the stock go in together or not at all
+                client = await pool.connect();
+                await client.query('BEGIN');
+                const expenseId = `expense-${Date.now()}`;
+                await client.query(
+                    'INSERT INTO expenses (id, description, amount, category, "userId", "paymentSource", type, "taxAmount") VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+                    [expenseId, `Compra de ${ingredient.name} (${quantity} ${ingredient.unit})`, cost, 'Inventario', userId, req.body.paymentSource || 'transferencia', 'Frecuente', 0]
+                );
+                await ingredients.recordMovements([move], { client, type: 'purchase', expenseId, userId });
+                await client.query('COMMIT');
+                broadcastDataChange('expenses', { action: 'create', id: expenseId });
+            }
+
+            console.log('🛒 Ingredient purchase:', ingredient.name, quantity, ingredient.unit, cost);
+            const updated = await ingredients.get(ingredient.id);
+            if (updated.unitCost !== previousCost) await syncRecipeCosts([ingredient.id]);
+            broadcastDataChange('ingredients', { action: 'update', id: ingredient.id });
+            res.status(201).json(updated);
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            sendError(res, error, 'recording ingredient purchase', 'Failed to record purchase');
+        } finally {
+            client?.release();
+        }
+    });
+
+    // A physical count ({ countedStock }) or a loose correction ({ quantity },
+    // negative for waste or breakage), with a note saying why
+    router.post('/api/ingredients/:id/adjustments', async (req, res) => {
+        try {
+            const ingredient = await ingredients.get(req.params.id);
+            if (!ingredient) return res.status(404).json({ error: 'Ingredient not found' });
+            const counted = req.body.countedStock;
+            const quantity = counted !== undefined && counted !== null && counted !== ''
+                ? Number(counted) - ingredient.stock
+                : Number(req.body.quantity);
+            if (!Number.isFinite(quantity) || (counted !== undefined && Number(counted) < 0)) {
+                return res.status(400).json({ error: 'Cantidad inválida' });
+            }
+            if (quantity === 0) return res.json(ingredient);
+            const note = String(req.body.note || '').trim() || (counted !== undefined ? 'Conteo físico' : null);
+            await ingredients.recordMovements([{ ingredientId: ingredient.id, quantity: Math.round(quantity * 1000) / 1000 }], {
+                type: 'adjustment', note, userId: req.body.userId || null,
+            });
+            broadcastDataChange('ingredients', { action: 'update', id: ingredient.id });
+            res.json(await ingredients.get(ingredient.id));
+        } catch (error) {
+            sendError(res, error, 'adjusting ingredient', 'Failed to adjust ingredient');
+        }
+    });
+
+    // ?from&to (ISO, [from, to)): what the recipes of the period's sales used
+    // against what was bought and adjusted
+    router.get('/api/reports/ingredients', async (req, res) => {
+        try {
+            const period = validatePeriod(req.query);
+            const [list, totals] = await Promise.all([ingredients.list(), ingredients.totals(period)]);
+            res.json({
+                from: period.from.toISOString(),
+                to: period.to.toISOString(),
+                ingredients: usageReport(list, totals),
+            });
+        } catch (error) {
+            sendError(res, error, 'computing ingredient report', 'Failed to compute ingredient report');
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,207 @@
+// Self-invoicing. The public page (/facturar) sends the folio and total
+// printed on the customer's ticket plus their fiscal data; the invoice is
+// stamped right away when the business can (fiscal data, CSD and PAC all
+// working), and otherwise kept as a request in the admin queue.
+//
+// An order is invoiced at most once: issueInvoice locks the orders and
+// refuses invoiced ones, and each order has at most one pending request
+// (idx_invoice_requests_pending_order).
+import express from 'express';
+import { validateReceptor, issuerFrom, loadCsd, isInPurchaseMonth } from '../src/services/cfdi.js';
+import { createInvoiceIssuer } from './invoices.js';
+import { httpError } from '../src/services/httpError.js';
+
+export function normalizeInvoiceRequest(request) {
+    return {
+        id: request.id,
+        orderId: request.orderId,
+        receptor: request.receptor,
+        email: request.email || null,
+        status: request.status,
+        reason: request.reason || null,
+        invoiceId: request.invoiceId || null,
+        orderTotal: request.orderTotal !== undefined ? parseFloat(request.orderTotal) : undefined,
+        orderDate: request.orderDate || undefined,
+        createdAt: request.created_at,
+        resolvedAt: request.resolved_at || null,
+    };
+}
+
+/** 409 unless the order can still get its own invoice. */
+function assertInvoiceable(order) {
+    if (order.invoiceId) throw httpError(409, 'Este ticket ya fue facturado');
+    if (order.status && order.status !== 'completed') throw httpError(409, 'Este ticket tiene devoluciones y no se puede facturar en línea');
+    if (!isInPurchaseMonth(order.created_at)) throw httpError(409, 'Solo se puede facturar dentro del mes de la compra');
+}
+
+export function createInvoiceRequestsRouter({ pool, useDb, productStore, settings, pac, selfInvoiceRateLimiter, broadcastDataChange }) {
+    const router = express.Router();
+    const issueInvoice = createInvoiceIssuer({ pool, productStore, settings, pac });
+
+    const findOrder = async (orderId) => {
+        const result = await pool.query('SELECT id, total, status, "invoiceId", created_at FROM orders WHERE id = $1', [orderId]);
+        return result.rows[0];
+    };
+
+    // Why the business can't stamp right now, or null when it can
+    const whyNotStampable = async () => {
+        if (pac.unavailable) return pac.unavailable;
+        try {
+            issuerFrom(await settings.get());
+            loadCsd();
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    };
+
+    const queueRequest = async ({ orderId, receptor, email, reason }) => {
+        const id = `invreq-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        try {
+            const result = await pool.query(
+                'INSERT INTO invoice_requests (id, "orderId", receptor, email, reason) VALUES ($1, $2, $3::jsonb, $4, $5) RETURNING *',
+                [id, orderId, JSON.stringify(receptor), email || null, reason]
+            );
+            return normalizeInvoiceRequest(result.rows[0]);
+        } catch (error) {
+            // 23505 is the unique index on pending requests per order
+            if (error.code === '23505') throw httpError(409, 'Ya recibimos una solicitud de factura para este ticket');
+            throw error;
+        }
+    };
+
+    const sendError = (res, error, fallback) => {
+        if (error.status) {
+            console.warn('⚠️ Invoice request rejected:', error.message);
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`❌ ${fallback}:`, error);
+        res.status(500).json({ error: fallback });
+    };
+
+    // --- Public (the customer's self-invoicing page) ---
+
+    // { folio, total, receptor: { rfc, name, zipCode, taxRegime, cfdiUse }, email? }
+    // 201 { status: 'invoiced', invoice } or 202 { status: 'pending', request }
+    router.post('/api/self-invoice', selfInvoiceRateLimiter, async (req, res) => {
+        try {
+            const receptor = validateReceptor(req.body.receptor);
+            const folio = String(req.body.folio || '').trim();
+            const total = Number(req.body.total);
+            if (!folio) return res.status(400).json({ error: 'Escribe el folio de tu ticket' });
+            if (!Number.isFinite(total) || total <= 0) return res.status(400).json({ error: 'Escribe el total de tu ticket' });
+            const email = req.body.email ? String(req.body.email).trim() : '';
+            if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ error: `Correo inválido: ${email}` });
+            if (!useDb) return res.status(503).json({ error: 'Database not available' });
+
+            // Folio and total together act as the ticket's password
+            const order = await findOrder(folio);
+            if (!order || Math.abs(parseFloat(order.total) - total) >= 0.01) {
+                return res.status(404).json({ error: 'No encontramos un ticket con ese folio y total' });
+            }
+            assertInvoiceable(order);
+            const pending = await pool.query(`SELECT id FROM invoice_requests WHERE "orderId" = $1 AND status = 'pending'`, [order.id]);
+            if (pending.rows.length > 0) throw httpError(409, 'Ya recibimos una solicitud de factura para este ticket');
+
+            let reason = await whyNotStampable();
+            if (!reason) {
+                try {
+                    const invoice = await issueInvoice({ orderIds: [order.id], receptor });
+                    console.log('🧾 Self-invoice stamped:', invoice.id, 'for order', order.id);
+                    broadcastDataChange('orders', { action: 'update' });
+                    return res.status(201).json({ status: 'invoiced', invoice });
+                } catch (error) {
+                    // The PAC being down is the business's problem, not the customer's
+                    if (error.status !== 502) throw error;
+                    reason = error.message;
+                }
+            }
+            const request = await queueRequest({ orderId: order.id, receptor, email, reason });
+            console.log('📥 Invoice request queued:', request.id, 'for order', order.id, `(${reason})`);
+            broadcastDataChange('invoices', { action: 'create' });
+            res.status(202).json({ status: 'pending', request: { id: request.id, status: request.status, createdAt: request.createdAt } });
+        } catch (error) {
+            sendError(res, error, 'Failed to process invoice request');
+        }
+    });
+
+    // What happened to a queued request (the page keeps its id)
+    router.get('/api/self-invoice/:id', async (req, res) => {
+        try {
+            if (!useDb) return res.status(503).json({ error: 'Database not available' });
+            const result = await pool.query('SELECT * FROM invoice_requests WHERE id = $1', [req.params.id]);
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Solicitud no encontrada' });
+            const { id, status, invoiceId, reason, createdAt } = normalizeInvoiceRequest(result.rows[0]);
+            // The internal reason it was queued stays internal; a rejection's is for the customer
+            res.json({ id, status, invoiceId, reason: status === 'rejected' ? reason : null, createdAt });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch invoice request');
+        }
+    });
+
+    // --- Admin queue ---
+
+    // ?status=pending (default) | invoiced | rejected | all
+    router.get('/api/invoice-requests', async (req, res) => {
+        try {
+            if (!useDb) return res.json([]);
+            const status = req.query.status || 'pending';
+            const result = await pool.query(
+                `SELECT r.*, o.total AS "orderTotal", o.created_at AS "orderDate"
+                 FROM invoice_requests r LEFT JOIN orders o ON o.id = r."orderId"
+                 WHERE $1 = 'all' OR r.status = $1
+                 ORDER BY r.created_at ASC LIMIT 200`,
+                [status]
+            );
+            res.json(result.rows.map(normalizeInvoiceRequest));
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch invoice requests');
+        }
+    });
+
+    // Stamps a pending request now that the business can
+    router.post('/api/invoice-requests/:id/issue', async (req, res) => {
+        try {
+            if (!useDb) return res.status(503).json({ error: 'Database not available' });
+            const result = await pool.query('SELECT * FROM invoice_requests WHERE id = $1', [req.params.id]);
+            const request = result.rows[0];
+            if (!request) return res.status(404).json({ error: 'Invoice request not found' });
+            if (request.status !== 'pending') return res.status(409).json({ error: 'La solicitud ya fue atendida' });
+            const order = await findOrder(request.orderId);
+            if (!order) return res.status(404).json({ error: 'Order not found' });
+            assertInvoiceable(order);
+
+            // The issuer marks the request invoiced in the invoice's own transaction
+            const invoice = await issueInvoice({ orderIds: [order.id], receptor: request.receptor, requestId: request.id });
+            const updated = await pool.query('SELECT * FROM invoice_requests WHERE id = $1', [request.id]);
+            console.log('✅ Invoice request issued:', request.id, invoice.id);
+            broadcastDataChange('invoices', { action: 'update' });
+            broadcastDataChange('orders', { action: 'update' });
+            res.json({ request: normalizeInvoiceRequest(updated.rows[0]), invoice });
+        } catch (error) {
+            sendError(res, error, 'Failed to issue invoice request');
+        }
+    });
+
+    // { reason } - shown to the customer when they check the request
+    router.post('/api/invoice-requests/:id/reject', async (req, res) => {
+        try {
+            const reason = String(req.body.reason || '').trim();
+            if (!reason) return res.status(400).json({ error: 'El motivo del rechazo es obligatorio' });
+            if (!useDb) return res.status(503).json({ error: 'Database not available' });
+            const result = await pool.query(
+                `UPDATE invoice_requests SET status = 'rejected', reason = $1, resolved_at = NOW()
+                 WHERE id = $2 AND status = 'pending' RETURNING *`,
+                [reason, req.params.id]
+            );
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Pending invoice request not found' });
+            console.log('🚫 Invoice request rejected:', req.params.id, reason);
+            broadcastDataChange('invoices', { action: 'update' });
+            res.json(normalizeInvoiceRequest(result.rows[0]));
+        } catch (error) {
+            sendError(res, error, 'Failed to reject invoice request');
+        }
+    });
+
+    return router;
+}
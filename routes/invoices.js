@@ -0,0 +1,197 @@
+// CFDI 4.0 invoices for paid orders. One invoice can cover several orders
+// (a customer's week of coffees); each order can be invoiced once. The CFDI
+// is built and signed by src/services/cfdi.js, stamped by the PAC adapter
+// (src/services/pacAdapters.js), and the stamped XML and its PDF are stored
+// in `invoices`, with orders."invoiceId" pointing at it.
+import express from 'express';
+import { validateReceptor, issuerFrom, buildCfdi, loadCsd, signCfdi, renderCfdiXml, renderInvoiceHtml } from '../src/services/cfdi.js';
+import { htmlToPdf } from '../src/services/pdf.js';
+import { normalizeOrder } from './orders.js';
+import { httpError } from '../src/services/httpError.js';
+
+const MAX_ORDERS_PER_INVOICE = 50;
+
+export function normalizeInvoice(invoice) {
+    return {
+        id: invoice.id,
+        uuid: invoice.uuid,
+        series: invoice.series || null,
+        folio: invoice.folio,
+        orderIds: invoice.orderIds || [],
+        receptorRfc: invoice.receptorRfc,
+        receptorName: invoice.receptorName,
+        total: parseFloat(invoice.total),
+        status: invoice.status,
+        pac: invoice.pac || null,
+        stampedAt: invoice.stamp?.stampedAt || null,
+        hasPdf: invoice.hasPdf !== undefined ? Boolean(invoice.hasPdf) : Boolean(invoice.pdf),
+        createdAt: invoice.created_at,
+    };
+}
+
+// Everything but the documents themselves
+const INVOICE_COLUMNS = `id, uuid, series, folio, "orderIds", "receptorRfc", "receptorName", total, status, pac, stamp, created_at, (pdf IS NOT NULL) AS "hasPdf"`;
+
+const renderPdf = (invoice) => htmlToPdf(renderInvoiceHtml(invoice.cfdi, invoice.stamp), {
+    format: 'Letter',
+    margin: { top: '12mm', bottom: '12mm', left: '12mm', right: '12mm' },
+});
+
+/**
+ * Returns issueInvoice({ orderIds, receptor, requestId }), which invoices the
+ * orders and resolves with the stored invoice. With a requestId the queued
+ * self-invoice request is marked invoiced in the same transaction, so a
+ * stamped invoice never leaves its request pending. Rejects with .status for
+ * the cashier's (or customer's) mistakes: 400 bad fiscal data, 404 unknown
+ * order or request, 409 order already invoiced/refunded, request already
+ * resolved or business fiscal data incomplete, 502 PAC error, 503 no CSD.
+ */
+export function createInvoiceIssuer({ pool, productStore, settings, pac }) {
+    return async function issueInvoice({ orderIds, receptor: receptorInput, requestId = null }) {
+        const receptor = validateReceptor(receptorInput);
+        const ids = [...new Set((Array.isArray(orderIds) ? orderIds : []).map(String))];
+        if (ids.length === 0) throw httpError(400, 'Selecciona al menos una orden');
+        if (ids.length > MAX_ORDERS_PER_INVOICE) throw httpError(400, `Máximo ${MAX_ORDERS_PER_INVOICE} órdenes por factura`);
+
+        const issuer = issuerFrom(await settings.get());
+        const csd = loadCsd();
+
+        const client = await pool.connect();
+        let invoice;
+        try {
+            await client.query('BEGIN');
+            if (requestId) {
+                // Locked too, so a rejection can't land between the stamp and the commit
+                const requestResult = await client.query('SELECT status FROM invoice_requests WHERE id = $1 FOR UPDATE', [requestId]);
+                if (requestResult.rows.length === 0) throw httpError(404, 'Invoice request not found');
+                if (requestResult.rows[0].status !== 'pending') throw httpError(409, 'La solicitud ya fue atendida');
+            }
+            // Lock the orders so two registers can't invoice the same one twice
+            const orderResult = await client.query('SELECT * FROM orders WHERE id = ANY($1) ORDER BY created_at ASC FOR UPDATE', [ids]);
+            const missing = ids.find(id => !orderResult.rows.some(order => order.id === id));
+            if (missing) throw httpError(404, `Orden no encontrada: ${missing}`);
+            const orders = orderResult.rows.map(normalizeOrder);
+            const invoiced = orders.find(order => order.invoiceId);
+            if (invoiced) throw httpError(409, `La orden ${invoiced.id} ya está facturada`);
+            // Refunds after the sale would need a credit note (CFDI de egreso), which we don't issue
+            const refunded = orders.find(order => order.status !== 'completed');
+            if (refunded) throw httpError(409, `La orden ${refunded.id} tiene reembolsos y no se puede facturar`);
+
+            const folioResult = await client.query(`SELECT nextval('invoice_folio_seq') AS folio`);
+            const cfdi = signCfdi(buildCfdi({
+                orders,
+                products: await productStore.getAll(),
+                issuer,
+                receptor,
+                folio: Number(folioResult.rows[0].folio),
+            }), csd);
+            const { xml, ...stamp } = await pac.stamp(renderCfdiXml(cfdi), cfdi);
+
+            const id = `inv-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const inserted = await client.query(
+                `INSERT INTO invoices (id, uuid, series, folio, "orderIds", "receptorRfc", "receptorName", total, pac, cfdi, stamp, xml)
+                 VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8, $9, $10::jsonb, $11::jsonb, $12) RETURNING *`,
+                [id, stamp.uuid, cfdi.series, Number(cfdi.folio), JSON.stringify(ids), receptor.rfc, receptor.name, cfdi.total, pac.name, JSON.stringify(cfdi), JSON.stringify(stamp), xml]
+            );
+            await client.query('UPDATE orders SET "invoiceId" = $1 WHERE id = ANY($2)', [id, ids]);
+            if (requestId) {
+                await client.query(
+                    `UPDATE invoice_requests SET status = 'invoiced', "invoiceId" = $1, resolved_at = NOW() WHERE id = $2`,
+                    [id, requestId]
+                );
+            }
+            await client.query('COMMIT');
+            invoice = inserted.rows[0];
+            console.log('🧾 Invoice stamped:', id, stamp.uuid, `${receptor.rfc} $${cfdi.total}`, `(${ids.length} orders)`);
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // The stamped XML is the invoice; the PDF is only its printed copy and
+        // can be rendered again on download if this fails
+        try {
+            const pdf = await renderPdf(invoice);
+            await pool.query('UPDATE invoices SET pdf = $1 WHERE id = $2', [pdf, invoice.id]);
+            invoice = { ...invoice, pdf };
+        } catch (error) {
+            console.warn('⚠️ Invoice PDF not rendered:', invoice.id, error.message);
+        }
+        return normalizeInvoice(invoice);
+    };
+}
+
+export function createInvoicesRouter({ pool, useDb, productStore, settings, pac, broadcastDataChange }) {
+    const router = express.Router();
+    const issueInvoice = createInvoiceIssuer({ pool, productStore, settings, pac });
+
+    // ?orderId= the invoice covering one order
+    router.get('/api/invoices', async (req, res) => {
+        try {
+            if (!useDb) return res.json([]);
+            const result = req.query.orderId
+                ? await pool.query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE "orderIds" ? $1 ORDER BY created_at DESC`, [String(req.query.orderId)])
+                : await pool.query(`SELECT ${INVOICE_COLUMNS} FROM invoices ORDER BY created_at DESC LIMIT 200`);
+            res.json(result.rows.map(normalizeInvoice));
+        } catch (error) {
+            console.error('Error fetching invoices:', error);
+            res.status(500).json({ error: 'Failed to fetch invoices' });
+        }
+    });
+
+    // { orderIds: [...], receptor: { rfc, name, zipCode, taxRegime, cfdiUse } }
+    router.post('/api/invoices', async (req, res) => {
+        try {
+            // Validate what the cashier typed first, so mistakes show up in any mode
+            validateReceptor(req.body.receptor);
+            if (!useDb) return res.status(503).json({ error: 'Database not available' });
+            const invoice = await issueInvoice(req.body);
+            broadcastDataChange('orders', { action: 'update' });
+            res.status(201).json(invoice);
+        } catch (error) {
+            if (error.status) {
+                console.warn('⚠️ Invoice rejected:', error.message);
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('❌ Error issuing invoice:', error);
+            res.status(500).json({ error: 'Failed to issue invoice' });
+        }
+    });
+
+    router.get('/api/invoices/:id/xml', async (req, res) => {
+        try {
+            if (!useDb) return res.status(503).json({ error: 'Database not available' });
+            const result = await pool.query('SELECT uuid, xml FROM invoices WHERE id = $1', [req.params.id]);
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Invoice not found' });
+            res.set('Content-Disposition', `attachment; filename="${result.rows[0].uuid}.xml"`);
+            res.type('application/xml').send(result.rows[0].xml);
+        } catch (error) {
+            console.error('Error fetching invoice XML:', error);
+            res.status(500).json({ error: 'Failed to fetch invoice XML' });
+        }
+    });
+
+    // Rendered (and kept) on first download if it couldn't be at stamping time
+    router.get('/api/invoices/:id/pdf', async (req, res) => {
+        try {
+            if (!useDb) return res.status(503).json({ error: 'Database not available' });
+            const result = await pool.query('SELECT id, uuid, cfdi, stamp, pdf FROM invoices WHERE id = $1', [req.params.id]);
+            if (result.rows.length === 0) return res.status(404).json({ error: 'Invoice not found' });
+            const invoice = result.rows[0];
+            let pdf = invoice.pdf;
+            if (!pdf) {
+                pdf = await renderPdf(invoice);
+                await pool.query('UPDATE invoices SET pdf = $1 WHERE id = $2', [pdf, invoice.id]);
+            }
+            res.set('Content-Disposition', `attachment; filename="${invoice.uuid}.pdf"`);
+            res.type('application/pdf').send(pdf);
+        } catch (error) {
+            console.error('Error rendering invoice PDF:', error);
+            res.status(500).json({ error: 'Failed to render invoice PDF' });
+        }
+    });
+
+    return router;
+}
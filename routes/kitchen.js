@@ -0,0 +1,78 @@
+// Kitchen/barra display. Tickets are created by the orders and tabs routers
+// through sendToKitchen() below; these routes read the queue, bump lines and
+// tickets along (see repositories/kitchenTickets.js), and report prep times.
+// Every change is broadcast as 'kitchen' so all displays stay in step.
+import express from 'express';
+import { ticketItems, prepTimeStats } from '../src/services/kitchenTickets.js';
+
+/**
+ * Returns sendToKitchen({ orderId?, tabId?, label, serviceType, items }),
+ * which queues the lines that need preparing. It never throws: the sale is
+ * already recorded, and a display hiccup must not turn it into an error.
+ */
+export function createKitchenDispatcher({ kitchenTickets, broadcastDataChange }) {
+    return async function sendToKitchen({ items, ...details }) {
+        try {
+            const lines = ticketItems(items || []);
+            if (lines.length === 0) return null;
+            const ticket = await kitchenTickets.create({ ...details, items: lines });
+            console.log('👨‍🍳 Kitchen ticket created:', ticket.id, details.label, `(${lines.length} items)`);
+            broadcastDataChange('kitchen', { action: 'create', id: ticket.id });
+            return ticket;
+        } catch (error) {
+            console.error('⚠️ Kitchen ticket not created:', error.message);
+            return null;
+        }
+    };
+}
+
+export function createKitchenRouter({ kitchenTickets, broadcastDataChange }) {
+    const router = express.Router();
+
+    // ?status=active (default: new, in progress and ready) | all | <one status>
+    router.get('/api/kitchen/tickets', async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 500);
+            res.json(await kitchenTickets.list({ status: req.query.status || 'active', limit }));
+        } catch (error) {
+            console.error('Error fetching kitchen tickets:', error);
+            res.status(500).json({ error: 'Failed to fetch kitchen tickets' });
+        }
+    });
+
+    // Average wait/prep/pickup minutes for tickets created in [from, to)
+    router.get('/api/kitchen/stats', async (req, res) => {
+        try {
+            const { from, to } = req.query;
+            if ([from, to].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+                return res.status(400).json({ error: 'Fecha inválida' });
+            }
+            const tickets = await kitchenTickets.list({ status: 'all', from, to, limit: 10000 });
+            res.json(prepTimeStats(tickets));
+        } catch (error) {
+            console.error('Error computing kitchen stats:', error);
+            res.status(500).json({ error: 'Failed to compute kitchen stats' });
+        }
+    });
+
+    const bumpRoute = (bump) => async (req, res) => {
+        try {
+            const ticket = await bump(req.params);
+            if (!ticket) return res.status(404).json({ error: 'Kitchen ticket not found' });
+            broadcastDataChange('kitchen', { action: 'update', id: ticket.id });
+            res.json(ticket);
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error bumping kitchen ticket:', error);
+            res.status(500).json({ error: 'Failed to update kitchen ticket' });
+        }
+    };
+
+    // One line: new -> in progress -> ready
+    router.post('/api/kitchen/tickets/:id/items/:index/bump', bumpRoute(({ id, index }) => kitchenTickets.bumpItem(id, index)));
+
+    // The whole ticket: everything ready, then delivered
+    router.post('/api/kitchen/tickets/:id/bump', bumpRoute(({ id }) => kitchenTickets.bump(id)));
+
+    return router;
+}
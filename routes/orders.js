@@ -1,233 +1,690 @@
 // Moved out of server.js verbatim (Phase 2 of the architecture cleanup).
 import express from 'express';
+import { priceOrder, assertClientTotalsMatch, isServiceItem } from '../src/services/orderPricing.js';
+import { resolvePayments, resolveCashTendered } from '../src/services/orderPayments.js';
+import { USD_CASH_METHOD } from '../src/services/currency.js';
+import { splitOrder, priceSplitChild } from '../src/services/orderSplit.js';
+import { stockMovesFor } from '../src/services/productBundles.js';
+import { withLineTaxes } from '../src/services/taxes.js';
+import { validateOrderEdit, assertEditable, applyOrderEdit, orderSnapshot, changedFields, stockDeltas, creditMoves } from '../src/services/orderEdits.js';
+import { consumptionFor, consumptionDeltas } from '../src/services/recipes.js';
+import { httpError } from '../src/services/httpError.js';
+
+export function normalizeOrder(order) {
+    return {
+        ...order,
+        subtotal: parseFloat(order.subtotal),
+        discount: parseFloat(order.discount || 0),
+        tip: parseFloat(order.tip || 0),
+        total: parseFloat(order.total),
+        payments: Array.isArray(order.payments)
+            ? order.payments.map(tender => ({ method: tender.method, amount: parseFloat(tender.amount) }))
+            : undefined,
+        promotions: Array.isArray(order.promotions) ? order.promotions : undefined,
+        prepStatus: order.prepStatus || undefined,
+        status: order.status || 'completed',
+        refundedAmount: parseFloat(order.refundedAmount || 0),
+        cashTendered: order.cashTendered === null || order.cashTendered === undefined ? undefined : parseFloat(order.cashTendered),
+        changeDue: order.changeDue === null || order.changeDue === undefined ? undefined : parseFloat(order.changeDue),
+        usdTendered: order.usdTendered === null || order.usdTendered === undefined ? undefined : parseFloat(order.usdTendered),
+        exchangeRate: order.exchangeRate === null || order.exchangeRate === undefined ? undefined : parseFloat(order.exchangeRate),
+        date: order.created_at,  // Map created_at to date for frontend compatibility
+        totalCost: order.items ? order.items.reduce((acc, item) => acc + (item.cost * item.quantity), 0) : 0
+    };
+}
+
+export function normalizeOrderEdit(edit) {
+    return {
+        ...edit,
+        date: edit.created_at
+    };
+}
+
+// Keyset pagination: the cursor is the last row's (created_at, id), with
+// created_at as Postgres prints it so no microseconds are lost
+const encodeCursor = (createdAt, id) => Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+
+function decodeCursor(cursor) {
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof createdAt === 'string' && typeof id === 'string' && !Number.isNaN(Date.parse(createdAt))) return { createdAt, id };
+    } catch {
+        // falls through to the 400 below
+    }
+    throw httpError(400, 'Cursor inválido');
+}
 
-export function createOrdersRouter({ pool, useDb, broadcastDataChange }) {
+/** SQL conditions (on orders `o`) and their params for GET /api/orders' query filters. */
+export function orderFilters(query) {
+    const conditions = [];
+    const params = [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    ['from', 'to'].forEach(key => {
+        if (!query[key]) return;
+        if (Number.isNaN(Date.parse(query[key]))) throw httpError(400, `Fecha inválida: ${query[key]}`);
+        conditions.push(`o.created_at ${key === 'from' ? '>=' : '<'} ${param(new Date(query[key]).toISOString())}`);
+    });
+    if (query.paymentMethod) {
+        const method = param(String(query.paymentMethod));
+        conditions.push(`(o."paymentMethod" = ${method} OR COALESCE(o.payments, '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('method', ${method}::text)))`);
+    }
+    if (query.serviceType) conditions.push(`o."serviceType" = ${param(String(query.serviceType))}`);
+    if (query.customerId) conditions.push(`o."customerId" = ${param(String(query.customerId))}`);
+    if (query.userId) conditions.push(`o."userId" = ${param(String(query.userId))}`);
+    if (query.productId) {
+        // Sold on its own or inside a combo
+        const id = param(String(query.productId));
+        conditions.push(`EXISTS (SELECT 1 FROM jsonb_array_elements(o.items) item
+            WHERE item->>'id' = ${id} OR COALESCE(item->'components', '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('id', ${id}::text)))`);
+    }
+    [['minTotal', '>='], ['maxTotal', '<=']].forEach(([key, operator]) => {
+        if (query[key] === undefined || query[key] === '') return;
+        const value = Number(query[key]);
+        if (!Number.isFinite(value) || value < 0) throw httpError(400, `Total inválido: ${query[key]}`);
+        conditions.push(`o.total ${operator} ${param(value)}`);
+    });
+    if (query.q && String(query.q).trim()) {
+        const text = String(query.q).trim().replace(/[\\%_]/g, (char) => `\\${char}`);
+        conditions.push(`o."clientName" ILIKE ${param(`%${text}%`)}`);
+    }
+    if (query.cursor) {
+        const { createdAt, id } = decodeCursor(query.cursor);
+        conditions.push(`(o.created_at, o.id) < (${param(createdAt)}::timestamptz, ${param(id)})`);
+    }
+    return { conditions, params };
+}
+
+export function createOrdersRouter({ pool, useDb, productStore, ingredients, promotions, exchangeRates, coworkingSessions, hasAdminKey, sendToKitchen, broadcastDataChange }) {
     const router = express.Router();
 
+    // Customer discounts only exist in the database; in-memory mode has no customers.
+    const getDiscountPercentage = async (customerId) => {
+        if (!useDb || !customerId) return 0;
+        const result = await pool.query('SELECT "discountPercentage" FROM customers WHERE id = $1', [customerId]);
+        if (result.rows.length === 0) throw httpError(400, 'Cliente no encontrado');
+        return parseFloat(result.rows[0].discountPercentage || 0);
+    };
+
+    // The session a coworking checkout charges; one that was already charged
+    // can't make another cart's café free
+    const getCoworkingSession = async (sessionId) => {
+        if (!sessionId) return null;
+        const session = await coworkingSessions.get(String(sessionId));
+        if (session && session.status === 'active') return session;
+        throw session ? httpError(409, 'La sesión de coworking ya fue cobrada') : httpError(400, 'Sesión de coworking no encontrada');
+    };
+
+    // Server-authoritative totals: re-price the cart from the products table,
+    // apply the promotions live right now, and reject it (409) if the numbers
+    // the client sent disagree.
+    const priceRequest = async ({ items, customerId, tip, couponCode, coworkingSessionId, subtotal, discount, total }) => {
+        const [products, discountPercentage, promotionList, coworkingSession] = await Promise.all([
+            productStore.getAll(),
+            getDiscountPercentage(customerId),
+            promotions.list(),
+            getCoworkingSession(coworkingSessionId),
+        ]);
+        const priced = priceOrder({ items, products, discountPercentage, tip, promotions: promotionList, couponCode, coworkingSession });
+        assertClientTotalsMatch(priced, { subtotal, discount, total });
+        return priced;
+    };
+
+    // What the lines' recipes used comes out of the ingredients (see recipes.js),
+    // on the order's transaction when there is one. Ingredient stock is
+    // theoretical, so it never blocks a sale. `moves` are quantities used;
+    // negative ones (an edit that took lines out) go back.
+    const recordConsumption = async (moves, { client, orderId, userId, note }) => {
+        if (moves.length === 0) return false;
+        await ingredients.recordMovements(
+            moves.map(move => ({ ingredientId: move.ingredientId, quantity: -move.quantity })),
+            { client, type: 'sale', orderId, userId: userId || null, note }
+        );
+        return true;
+    };
+    const catalogById = async () => new Map((await productStore.getAll()).map(product => [String(product.id), product]));
+
+    // Filters: from/to (ISO dates), paymentMethod (also matches one tender of
+    // a mixed payment), serviceType, customerId, userId, productId, minTotal/
+    // maxTotal and q (client name). Newest first; when there are more, the
+    // X-Next-Cursor header holds the `cursor` for the next page. The body stays
+    // a plain array so callers that only want the latest orders are unchanged.
     router.get('/api/orders', async (req, res) => {
         try {
+            const { conditions, params } = orderFilters(req.query);
             if (!useDb) return res.json([]);
 
             // 🚀 PAGINATION: Add pagination to prevent fetching all orders
             const limit  = Math.min(Math.max(parseInt(req.query.limit,  10) || 100, 1), 500); // cap 1–500
             const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            params.push(limit + 1, offset);
 
+            // Split checks share their ticket's kitchen ticket
             const result = await pool.query(
-                'SELECT * FROM orders ORDER BY created_at DESC LIMIT $1 OFFSET $2',
-                [limit, offset]
+                `SELECT o.*,
+                        (SELECT COALESCE(SUM(r.amount), 0) FROM order_refunds r WHERE r."orderId" = o.id) AS "refundedAmount",
+                        (SELECT k.status FROM kitchen_tickets k WHERE k."orderId" = COALESCE(o."parentOrderId", o.id) LIMIT 1) AS "prepStatus",
+                        o.created_at::text AS "cursorAt"
+                 FROM orders o
+                 ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                 ORDER BY o.created_at DESC, o.id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+                params
             );
 
-            res.json(result.rows.map(order => ({
-                ...order,
-                subtotal: parseFloat(order.subtotal),
-                discount: parseFloat(order.discount || 0),
-                tip: parseFloat(order.tip || 0),
-                total: parseFloat(order.total),
-                date: order.created_at,  // Map created_at to date for frontend compatibility
-                totalCost: order.items ? order.items.reduce((acc, item) => acc + (item.cost * item.quantity), 0) : 0
-            })));
+            // One extra row tells whether there is a next page
+            const rows = result.rows.slice(0, limit);
+            if (result.rows.length > limit) {
+                const last = rows[rows.length - 1];
+                res.set('X-Next-Cursor', encodeCursor(last.cursorAt, last.id));
+            }
+            res.json(rows.map(({ cursorAt, ...order }) => normalizeOrder(order)));
         } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
             console.error("Error fetching orders:", error);
             res.status(500).json({ error: 'Failed to fetch orders' });
         }
     });
 
-    // FIX BUG 3: Store for idempotency checking (in-memory cache for recent orders)
-    const recentOrderKeys = new Map(); // Map<idempotencyKey, orderId>
-    const ORDER_KEY_TTL = 60000; // 1 minute TTL for idempotency keys
+    // Known create_order_atomic failures are the cashier's problem, not a server fault.
+    const PROCEDURE_ERRORS = [
+        { pattern: /^Credit limit exceeded/, status: 409, message: 'El cliente excede su límite de crédito' },
+        { pattern: /^Insufficient stock for product/, status: 409, message: 'Stock insuficiente para el producto' },
+    ];
+
+    // Dollars are taken at the latest rate an admin set; without one they can't be taken at all
+    const resolveCash = async (body, payments) => {
+        let exchangeRate;
+        if (payments.some(tender => tender.method === USD_CASH_METHOD)) {
+            const current = await exchangeRates.current('USD');
+            if (!current) {
+                throw httpError(409, 'No hay tipo de cambio para USD');
+            }
+            exchangeRate = current.rate;
+        }
+        return resolveCashTendered({ cashTendered: body.cashTendered, usdTendered: body.usdTendered, exchangeRate, payments });
+    };
+
+    const fetchOrder = async (orderId) => {
+        const result = await pool.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+        return result.rows[0] ? normalizeOrder(result.rows[0]) : null;
+    };
 
     router.post('/api/orders', async (req, res) => {
+        let client;
         try {
-            const { clientName, serviceType, paymentMethod, items, subtotal, discount, tip, total, userId, customerId, idempotencyKey } = req.body;
+            const { clientName, serviceType, paymentMethod, items, subtotal, discount, tip, total, userId, customerId, couponCode, coworkingSessionId } = req.body;
+            // Tabs and coworking send their items to the kitchen as they're ordered, not when paid
+            const kitchen = req.body.sendToKitchen !== false;
+            const idempotencyKey = req.body.idempotencyKey || req.get('X-Idempotency-Key');
+
+            console.log('📦 Creating order:', { clientName, serviceType, paymentMethod, subtotal, discount: discount || 0, tip: tip || 0, total, userId, customerId, couponCode, itemsCount: items?.length, idempotencyKey });
 
-            console.log('📦 Creating order:', { clientName, serviceType, paymentMethod, subtotal, discount: discount || 0, tip: tip || 0, total, userId, customerId, itemsCount: items?.length, idempotencyKey });
+            // Ensure customerId is properly null if not provided
+            const cleanCustomerId = customerId && customerId !== '' ? customerId : null;
 
             // 🧪 IN-MEMORY MODE: Store orders in memory
             if (!useDb) {
+                const priced = await priceRequest({ items, customerId: cleanCustomerId, tip, couponCode, coworkingSessionId, subtotal, discount, total });
+                const tenders = resolvePayments({ paymentMethod, payments: req.body.payments, total: priced.total, customerId: cleanCustomerId });
+                const cash = await resolveCash(req.body, tenders.payments);
+                await promotions.redeem(priced.promotions);
+                // Same stock path create_order_atomic takes in the database (combos move their components)
+                await productStore.updateStockBatch(priced.items
+                    .filter(item => !isServiceItem(item.id))
+                    .flatMap(item => stockMovesFor(item, item.quantity)));
                 const id = `order-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+                if (await recordConsumption(consumptionFor(priced.items, await catalogById()), { orderId: id, userId })) {
+                    broadcastDataChange('ingredients', { action: 'update' });
+                }
                 const newOrder = {
                     id,
                     clientName,
                     serviceType,
-                    paymentMethod,
-                    items,
-                    subtotal,
-                    discount: discount || 0,
-                    tip: tip || 0,
-                    total,
+                    paymentMethod: tenders.paymentMethod,
+                    payments: tenders.payments,
+                    items: priced.items,
+                    subtotal: priced.subtotal,
+                    discount: priced.discount,
+                    tip: priced.tip,
+                    total: priced.total,
+                    promotions: priced.promotions,
+                    ...cash,
                     userId,
-                    customerId: customerId || null,
+                    customerId: cleanCustomerId,
                     created_at: new Date().toISOString(),
                     date: new Date().toISOString(),
-                    totalCost: items ? items.reduce((acc, item) => acc + (item.cost * item.quantity), 0) : 0
+                    totalCost: priced.totalCost
                 };
                 console.log('✅ Order created in memory:', id);
-                return res.status(201).json(newOrder);
+                const ticket = kitchen && await sendToKitchen({ orderId: id, label: clientName, serviceType, items: priced.items });
+                return res.status(201).json({ ...newOrder, ...(ticket ? { prepStatus: ticket.status } : {}) });
             }
 
-            // FIX BUG 3: Check idempotency key to prevent duplicate submissions
-            if (idempotencyKey && recentOrderKeys.has(idempotencyKey)) {
-                const existingOrderId = recentOrderKeys.get(idempotencyKey);
-                console.log('⚠️ Duplicate order attempt detected via idempotency key:', idempotencyKey);
-
-                // Return existing order
-                const client = await pool.connect();
-                try {
-                    const result = await client.query('SELECT * FROM orders WHERE id = $1', [existingOrderId]);
-                    if (result.rows.length > 0) {
-                        const existingOrder = result.rows[0];
-                        return res.status(200).json({
-                            ...existingOrder,
-                            subtotal: parseFloat(existingOrder.subtotal),
-                            total: parseFloat(existingOrder.total),
-                            date: existingOrder.created_at,
-                            customerId: existingOrder.customerId,
-                            totalCost: items ? items.reduce((acc, item) => acc + (item.cost * item.quantity), 0) : 0,
-                            isDuplicate: true
-                        });
+            // Idempotency is persisted in idempotency_keys (24h), so a retry from a
+            // flaky tablet returns the original order even after a restart or on
+            // another instance. Checked before pricing so the retry still succeeds
+            // if a price changed in between.
+            if (idempotencyKey) {
+                const existing = await pool.query(
+                    'SELECT order_id FROM idempotency_keys WHERE key = $1 AND expires_at > NOW()',
+                    [idempotencyKey]
+                );
+                if (existing.rows.length > 0) {
+                    console.log('⚠️ Duplicate order attempt detected via idempotency key:', idempotencyKey);
+                    const existingOrder = await fetchOrder(existing.rows[0].order_id);
+                    if (existingOrder) {
+                        return res.status(200).json({ ...existingOrder, isDuplicate: true });
                     }
-                } finally {
-                    client.release();
                 }
             }
 
-            const id = `order-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-            const client = await pool.connect();
-
-            try {
-                await client.query('BEGIN');
+            const priced = await priceRequest({ items, customerId: cleanCustomerId, tip, couponCode, coworkingSessionId, subtotal, discount, total });
+            const tenders = resolvePayments({ paymentMethod, payments: req.body.payments, total: priced.total, customerId: cleanCustomerId });
+            const cash = await resolveCash(req.body, tenders.payments);
 
-                // Ensure customerId is properly null if not provided
-                const cleanCustomerId = customerId && customerId !== '' ? customerId : null;
+            const id = `order-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-                console.log('💾 Inserting order into database...', { id, cleanCustomerId });
+            // Order insert, idempotency key, stock decrement and credit charge all
+            // happen inside the procedure; the coupon use and the promotions
+            // record share its transaction, so a rejected order uses no coupon.
+            console.log('💾 Creating order via create_order_atomic...', { id, cleanCustomerId });
+            const consumption = consumptionFor(priced.items, await catalogById());
+            client = await pool.connect();
+            await client.query('BEGIN');
+            await promotions.redeem(priced.promotions, { client });
+            const result = await client.query(
+                'SELECT * FROM create_order_atomic($1, $2, $3, $4, $5::jsonb, $6, $7, $8, $9, $10, $11, $12, $13::jsonb)',
+                [id, clientName, serviceType, tenders.paymentMethod, JSON.stringify(priced.items), priced.subtotal, priced.discount, priced.tip, priced.total, userId, cleanCustomerId, idempotencyKey || id, JSON.stringify(tenders.payments)]
+            );
+            const { order_id: orderId, is_duplicate: isDuplicate, error_message: errorMessage } = result.rows[0];
 
-                // Insert order with discount and tip
-                const result = await client.query(
-                    'INSERT INTO orders (id, "clientName", "serviceType", "paymentMethod", items, subtotal, discount, tip, total, "userId", "customerId") VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
-                    [id, clientName, serviceType, paymentMethod, JSON.stringify(items), subtotal, discount || 0, tip || 0, total, userId, cleanCustomerId]
-                );
-                const newOrder = result.rows[0];
-                console.log('✅ Order inserted successfully:', newOrder.id, { discount: discount || 0, tip: tip || 0 });
-
-                // FIX BUG 3: Store idempotency key
-                if (idempotencyKey) {
-                    // Guard against unbounded growth under heavy traffic
-                    if (recentOrderKeys.size >= 2000) {
-                        // Evict all expired entries before adding a new one
-                        const nowMs = Date.now();
-                        for (const [k] of recentOrderKeys) {
-                            // TTL eviction is handled by setTimeout; do a full clear as a safety net
-                            if (recentOrderKeys.size >= 2000) recentOrderKeys.delete(k);
-                            else break;
-                        }
-                    }
-                    recentOrderKeys.set(idempotencyKey, id);
-                    setTimeout(() => recentOrderKeys.delete(idempotencyKey), ORDER_KEY_TTL);
+            if (errorMessage || isDuplicate) {
+                await client.query('ROLLBACK');
+            } else {
+                if (priced.promotions.length > 0) {
+                    await client.query('UPDATE orders SET promotions = $1::jsonb WHERE id = $2', [JSON.stringify(priced.promotions), orderId]);
                 }
-
-                // If it's a credit payment and customer exists, create credit record
-                if (cleanCustomerId && (paymentMethod === 'Crédito' || paymentMethod === 'Fiado')) {
-                    console.log('💳 Creating customer credit record...');
+                if (cash) {
                     await client.query(
-                        'INSERT INTO customer_credits (id, "customerId", "orderId", amount, type, status, description) VALUES ($1, $2, $3, $4, $5, $6, $7)',
-                        [`credit-${Date.now()}`, cleanCustomerId, id, total, 'charge', 'pending', `Orden #${id}`]
+                        'UPDATE orders SET "cashTendered" = $1, "changeDue" = $2, "usdTendered" = $3, "exchangeRate" = $4 WHERE id = $5',
+                        [cash.cashTendered ?? null, cash.changeDue, cash.usdTendered ?? null, cash.exchangeRate ?? null, orderId]
                     );
-                    // Update customer's current credit
-                    await client.query(
-                        'UPDATE customers SET "currentCredit" = "currentCredit" + $1 WHERE id = $2',
-                        [total, cleanCustomerId]
-                    );
-                    console.log('✅ Customer credit updated');
                 }
-
+                await recordConsumption(consumption, { client, orderId, userId });
                 await client.query('COMMIT');
-                console.log('✅ Transaction committed successfully');
-
-                res.status(201).json({
-                    ...newOrder,
-                    subtotal: parseFloat(newOrder.subtotal),
-                    discount: parseFloat(newOrder.discount || 0),
-                    tip: parseFloat(newOrder.tip || 0),
-                    total: parseFloat(newOrder.total),
-                    date: newOrder.created_at,
-                    customerId: newOrder.customerId,
-                    totalCost: items ? items.reduce((acc, item) => acc + (item.cost * item.quantity), 0) : 0
-                });
-            } catch (error) {
-                await client.query('ROLLBACK');
-                console.error('❌ Database transaction error:', error.message, error.stack);
-                throw error;
-            } finally {
-                client.release();
             }
+
+            if (errorMessage) {
+                const known = PROCEDURE_ERRORS.find(e => e.pattern.test(errorMessage));
+                if (known) {
+                    console.warn('⚠️ Order rejected by create_order_atomic:', errorMessage);
+                    return res.status(known.status).json({ error: known.message, details: errorMessage });
+                }
+                throw new Error(errorMessage);
+            }
+
+            const newOrder = await fetchOrder(orderId);
+            if (isDuplicate) {
+                // A concurrent retry with the same key won the race
+                console.log('⚠️ Duplicate order resolved by create_order_atomic:', idempotencyKey);
+                return res.status(200).json({ ...newOrder, isDuplicate: true });
+            }
+
+            console.log('✅ Order created successfully:', orderId, { discount: priced.discount, tip: priced.tip });
+            const ticket = kitchen && await sendToKitchen({ orderId, label: clientName, serviceType, items: priced.items });
+            if (ticket) newOrder.prepStatus = ticket.status;
+            broadcastDataChange('orders', { action: 'create', id: orderId });
+            broadcastDataChange('products', { action: 'update' });
+            if (consumption.length > 0) broadcastDataChange('ingredients', { action: 'update' });
+            if (priced.promotions.some(promotion => promotion.type === 'coupon')) {
+                broadcastDataChange('promotions', { action: 'update' });
+            }
+            res.status(201).json(newOrder);
         } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            // Pricing/validation failures carry their own status (400 bad cart,
+            // tenders or coupon, 409 totals disagree or coupon used up)
+            if (error.status) {
+                console.warn('⚠️ Order rejected:', error.message);
+                return res.status(error.status).json({
+                    error: error.message,
+                    ...(error.expected ? { expected: error.expected, mismatched: error.mismatched } : {})
+                });
+            }
             console.error("❌ Error creating order:", error.message);
             console.error("Stack trace:", error.stack);
             res.status(500).json({
                 error: 'Failed to create order',
                 details: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
+        } finally {
+            client?.release();
         }
     });
 
-    router.delete('/api/orders/:id', async (req, res) => {
+    // 🧾 Split bill: one child order per payer, linked by parentOrderId. The cart
+    // is priced once; each payer gets their lines (or shares of a line), their
+    // own customer discount, tip and payment. All children or none are created.
+    router.post('/api/orders/split', async (req, res) => {
+        let client;
         try {
-            if (!useDb) return res.status(503).json({ error: 'Database not available' });
+            const { clientName, serviceType, items, payers, assignments, userId } = req.body;
+            const idempotencyKey = req.body.idempotencyKey || req.get('X-Idempotency-Key');
 
-            console.log('🗑️  Deleting order:', req.params.id);
+            if (!Array.isArray(payers)) {
+                return res.status(400).json({ error: 'Faltan los pagadores de la cuenta dividida' });
+            }
+            console.log('🧾 Splitting order:', { clientName, serviceType, payers: payers.length, itemsCount: items?.length, idempotencyKey });
+
+            const parentOrderId = `ticket-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            // Promotions are not applied to split bills: a 2x1 or coupon can't be
+            // attributed to one payer's share
+            const priced = priceOrder({ items, products: await productStore.getAll() });
+            const shares = splitOrder({ items: priced.items, payerCount: payers.length, assignments });
+
+            const children = [];
+            for (const [index, share] of shares.entries()) {
+                const payer = payers[index] || {};
+                const customerId = payer.customerId || null;
+                const totals = priceSplitChild({
+                    subtotal: share.subtotal,
+                    discountPercentage: await getDiscountPercentage(customerId),
+                    tip: payer.tip,
+                });
+                const tenders = resolvePayments({ paymentMethod: payer.paymentMethod, payments: payer.payments, total: totals.total, customerId });
+                children.push({
+                    id: `order-${Date.now()}-${index}-${Math.random().toString(36).substr(2, 9)}`,
+                    clientName,
+                    serviceType,
+                    paymentMethod: tenders.paymentMethod,
+                    payments: tenders.payments,
+                    // Each payer's discount is their own, and so is the IVA it leaves
+                    items: withLineTaxes(share.items, totals.discount),
+                    ...totals,
+                    userId,
+                    customerId,
+                    parentOrderId,
+                    payerLabel: payer.label || `Pagador ${index + 1}`,
+                });
+            }
 
-            const client = await pool.connect();
+            const stockMoves = children
+                .flatMap(child => child.items)
+                .filter(item => !isServiceItem(item.id) && item.stockQuantity > 0)
+                .flatMap(item => stockMovesFor(item, item.stockQuantity));
+
+            const catalog = await catalogById();
+            const consumption = children.map(child => consumptionFor(child.items, catalog));
 
-            try {
-                await client.query('BEGIN');
+            // 🧪 IN-MEMORY MODE
+            if (!useDb) {
+                await productStore.updateStockBatch(stockMoves);
+                for (const [index, child] of children.entries()) {
+                    await recordConsumption(consumption[index], { orderId: child.id, userId });
+                }
+                const now = new Date().toISOString();
+                const orders = children.map(child => ({
+                    ...child,
+                    created_at: now,
+                    date: now,
+                    totalCost: child.items.reduce((acc, item) => acc + item.cost * item.quantity, 0),
+                }));
+                console.log('✅ Split order created in memory:', parentOrderId, orders.map(o => o.id));
+                await sendToKitchen({ orderId: parentOrderId, label: clientName, serviceType, items: priced.items });
+                return res.status(201).json({ parentOrderId, orders });
+            }
 
-                // First, check if order has associated customer credit and remove it
-                const creditCheck = await client.query(
-                    'SELECT * FROM customer_credits WHERE "orderId" = $1',
-                    [req.params.id]
+            const fetchTicket = async (orderId) => {
+                const result = await pool.query(
+                    'SELECT * FROM orders WHERE "parentOrderId" = (SELECT "parentOrderId" FROM orders WHERE id = $1)',
+                    [orderId]
+                );
+                return result.rows
+                    .map(normalizeOrder)
+                    .sort((a, b) => String(a.payerLabel).localeCompare(String(b.payerLabel), 'es', { numeric: true }));
+            };
+
+            // Each child gets its own idempotency key derived from the ticket's
+            const childKey = (index) => `${idempotencyKey || parentOrderId}:${index}`;
+            if (idempotencyKey) {
+                const existing = await pool.query(
+                    'SELECT order_id FROM idempotency_keys WHERE key = $1 AND expires_at > NOW()',
+                    [childKey(0)]
                 );
+                if (existing.rows.length > 0) {
+                    console.log('⚠️ Duplicate split attempt detected via idempotency key:', idempotencyKey);
+                    const orders = await fetchTicket(existing.rows[0].order_id);
+                    return res.status(200).json({ parentOrderId: orders[0]?.parentOrderId, orders, isDuplicate: true });
+                }
+            }
 
-                if (creditCheck.rows.length > 0) {
-                    const credit = creditCheck.rows[0];
-                    console.log('💳 Reversing customer credit for order...');
+            client = await pool.connect();
+            await client.query('BEGIN');
 
-                    // Reverse the credit from customer's balance
-                    await client.query(
-                        'UPDATE customers SET "currentCredit" = "currentCredit" - $1 WHERE id = $2',
-                        [credit.amount, credit.customerId]
-                    );
+            for (const [index, child] of children.entries()) {
+                const result = await client.query(
+                    'SELECT * FROM create_order_atomic($1, $2, $3, $4, $5::jsonb, $6, $7, $8, $9, $10, $11, $12, $13::jsonb)',
+                    [child.id, child.clientName, child.serviceType, child.paymentMethod, JSON.stringify(child.items), child.subtotal, child.discount, child.tip, child.total, userId, child.customerId, childKey(index), JSON.stringify(child.payments)]
+                );
+                const { order_id: orderId, is_duplicate: isDuplicate, error_message: errorMessage } = result.rows[0];
 
-                    // Delete the credit record
-                    await client.query('DELETE FROM customer_credits WHERE "orderId" = $1', [req.params.id]);
+                if (errorMessage || isDuplicate) {
+                    await client.query('ROLLBACK');
+                    if (isDuplicate) {
+                        // A concurrent retry with the same key won the race
+                        const orders = await fetchTicket(orderId);
+                        return res.status(200).json({ parentOrderId: orders[0]?.parentOrderId, orders, isDuplicate: true });
+                    }
+                    const known = PROCEDURE_ERRORS.find(e => e.pattern.test(errorMessage));
+                    if (known) {
+                        console.warn('⚠️ Split order rejected by create_order_atomic:', errorMessage);
+                        return res.status(known.status).json({ error: `${child.payerLabel}: ${known.message}`, details: errorMessage });
+                    }
+                    throw new Error(errorMessage);
                 }
 
-                // Delete the order
-                const result = await client.query('DELETE FROM orders WHERE id = $1 RETURNING *', [req.params.id]);
+                await client.query(
+                    'UPDATE orders SET "parentOrderId" = $1, "payerLabel" = $2 WHERE id = $3',
+                    [parentOrderId, child.payerLabel, orderId]
+                );
+                await recordConsumption(consumption[index], { client, orderId, userId });
+            }
 
-                if (result.rows.length === 0) {
-                    await client.query('ROLLBACK');
-                    return res.status(404).json({ error: 'Order not found' });
-                }
+            await client.query('COMMIT');
+            const orders = await fetchTicket(children[0].id);
+            console.log('✅ Split order created:', parentOrderId, orders.map(o => o.id));
+            // One kitchen ticket for the whole table, under the shared ticket id
+            await sendToKitchen({ orderId: parentOrderId, label: clientName, serviceType, items: priced.items });
+            broadcastDataChange('orders', { action: 'create', id: parentOrderId });
+            broadcastDataChange('products', { action: 'update' });
+            if (consumption.some(moves => moves.length > 0)) broadcastDataChange('ingredients', { action: 'update' });
+            res.status(201).json({ parentOrderId, orders });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            if (error.status) {
+                console.warn('⚠️ Split order rejected:', error.message);
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error("❌ Error creating split order:", error.message);
+            res.status(500).json({ error: 'Failed to create split order' });
+        } finally {
+            client?.release();
+        }
+    });
 
-                await client.query('COMMIT');
-                console.log('✅ Order deleted successfully:', req.params.id);
+    // ✏️ Correct a sale after the fact: client, service type, customer, tenders,
+    // tip and lines. Stock and customer credit follow the change, and an
+    // order_edits row keeps the order before and after, with who and why.
+    // Sales of a cash session that was already closed need the admin key
+    // (X-Admin-Key): the userId in the body is whatever the client says.
+    router.put('/api/orders/:id', async (req, res) => {
+        let client;
+        try {
+            const edit = validateOrderEdit(req.body);
+            if (!useDb) return res.status(503).json({ error: 'Database not available' });
 
-                broadcastDataChange('orders', { action: 'delete', id: req.params.id });
-                res.status(204).send();
-            } catch (error) {
+            client = await pool.connect();
+            await client.query('BEGIN');
+
+            // Lock the order so an edit can't race a refund or an invoice
+            const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (orderResult.rows.length === 0) {
                 await client.query('ROLLBACK');
-                console.error('❌ Database transaction error:', error.message);
-                throw error;
-            } finally {
-                client.release();
+                return res.status(404).json({ error: 'Order not found' });
+            }
+            const order = normalizeOrder(orderResult.rows[0]);
+            assertEditable(order, edit);
+
+            const closedSession = await client.query(
+                `SELECT 1 FROM cash_sessions WHERE status = 'closed' AND "startTime" <= $1 AND "endTime" >= $1 LIMIT 1`,
+                [order.created_at]
+            );
+            const adminAuthorized = hasAdminKey(req);
+            if (closedSession.rows.length > 0 && !adminAuthorized) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: 'Solo un administrador puede editar ventas de un corte de caja cerrado' });
+            }
+
+            const customerId = edit.customerId !== undefined ? edit.customerId : (order.customerId || null);
+            const reprice = Boolean(edit.items) || customerId !== (order.customerId || null);
+            const [products, discountPercentage, promotionList] = reprice
+                ? await Promise.all([productStore.getAll(), getDiscountPercentage(customerId), promotions.list()])
+                : [[], 0, []];
+            const after = applyOrderEdit({ order, edit, products, discountPercentage, promotions: promotionList });
+
+            const before = orderSnapshot(order);
+            const snapshot = orderSnapshot(after);
+            const changes = changedFields(before, snapshot);
+            if (changes.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'La edición no cambia nada' });
+            }
+
+            // The cash handed over only means something for the tenders it was recorded with
+            let cash = {
+                cashTendered: order.cashTendered ?? null,
+                changeDue: order.changeDue ?? null,
+                usdTendered: order.usdTendered ?? null,
+                exchangeRate: order.exchangeRate ?? null,
+            };
+            if (changes.includes('payments')) {
+                const resolved = await resolveCash(req.body, after.payments);
+                cash = {
+                    cashTendered: resolved?.cashTendered ?? null,
+                    changeDue: resolved?.changeDue ?? null,
+                    usdTendered: resolved?.usdTendered ?? null,
+                    exchangeRate: resolved?.exchangeRate ?? null,
+                };
             }
+
+            console.log('✏️ Editing order:', order.id, { changes, reason: edit.reason, userId: edit.userId, adminAuthorized });
+
+            const stockMoves = stockDeltas(order.items, after.items);
+            for (const move of stockMoves) {
+                const updated = await client.query(
+                    'UPDATE products SET stock = stock - $1 WHERE id = $2 RETURNING stock',
+                    [move.quantity, move.id]
+                );
+                if (move.quantity > 0 && updated.rows[0] && Number(updated.rows[0].stock) < 0) {
+                    throw httpError(409, 'Stock insuficiente para el producto');
+                }
+            }
+
+            const consumption = consumptionDeltas(order.items, after.items, new Map(products.map(product => [String(product.id), product])));
+            await recordConsumption(consumption, { client, orderId: order.id, userId: edit.userId, note: `Edición de orden: ${edit.reason}` });
+
+            // Credit is charged and reversed with new movements, so the
+            // customer's statement shows the correction
+            const credits = creditMoves(order, after);
+            for (const move of credits) {
+                if (move.amount > 0) {
+                    const customer = await client.query(
+                        'SELECT "currentCredit", "creditLimit" FROM customers WHERE id = $1 FOR UPDATE',
+                        [move.customerId]
+                    );
+                    const { currentCredit, creditLimit } = customer.rows[0] || {};
+                    if (customer.rows.length === 0 || parseFloat(currentCredit) + move.amount > parseFloat(creditLimit)) {
+                        throw httpError(409, 'El cliente excede su límite de crédito');
+                    }
+                }
+                await client.query(
+                    'INSERT INTO customer_credits (id, "customerId", "orderId", amount, type, status, description) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                    [
+                        `credit-${Date.now()}-${Math.floor(Math.random() * 1000000)}`, move.customerId, order.id, Math.abs(move.amount),
+                        move.amount > 0 ? 'charge' : 'payment', move.amount > 0 ? 'pending' : 'paid',
+                        `Edición de orden ${order.id}: ${edit.reason}`,
+                    ]
+                );
+                await client.query(
+                    'UPDATE customers SET "currentCredit" = "currentCredit" + $1 WHERE id = $2',
+                    [move.amount, move.customerId]
+                );
+            }
+
+            const updated = await client.query(
+                `UPDATE orders SET "clientName" = $1, "serviceType" = $2, "customerId" = $3, "paymentMethod" = $4, payments = $5::jsonb,
+                        items = $6::jsonb, subtotal = $7, discount = $8, tip = $9, total = $10, promotions = $11::jsonb,
+                        "cashTendered" = $12, "changeDue" = $13, "usdTendered" = $14, "exchangeRate" = $15, "lastEditedAt" = NOW()
+                 WHERE id = $16 RETURNING *`,
+                [
+                    after.clientName, after.serviceType, after.customerId, after.paymentMethod, JSON.stringify(after.payments),
+                    JSON.stringify(after.items), after.subtotal, after.discount, after.tip, after.total,
+                    after.promotions.length > 0 ? JSON.stringify(after.promotions) : null,
+                    cash.cashTendered, cash.changeDue, cash.usdTendered, cash.exchangeRate, order.id,
+                ]
+            );
+
+            const editId = `edit-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const inserted = await client.query(
+                `INSERT INTO order_edits (id, "orderId", "userId", "adminAuthorized", reason, changes, before, after)
+                 VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb, $8::jsonb) RETURNING *`,
+                [editId, order.id, edit.userId, adminAuthorized, edit.reason, JSON.stringify(changes), JSON.stringify(before), JSON.stringify(snapshot)]
+            );
+
+            await client.query('COMMIT');
+            console.log('✅ Order edited:', order.id, editId);
+
+            broadcastDataChange('orders', { action: 'update', id: order.id });
+            if (stockMoves.length > 0) broadcastDataChange('products', { action: 'update' });
+            if (consumption.length > 0) broadcastDataChange('ingredients', { action: 'update' });
+            if (credits.length > 0) broadcastDataChange('customers', { action: 'update' });
+            res.json({ order: normalizeOrder(updated.rows[0]), edit: normalizeOrderEdit(inserted.rows[0]) });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            if (error.status) {
+                console.warn('⚠️ Order edit rejected:', error.message);
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('❌ Error editing order:', error.message);
+            res.status(500).json({ error: 'Failed to edit order' });
+        } finally {
+            client?.release();
+        }
+    });
+
+    router.get('/api/orders/:id/edits', async (req, res) => {
+        try {
+            if (!useDb) return res.json([]);
+            const result = await pool.query(
+                'SELECT * FROM order_edits WHERE "orderId" = $1 ORDER BY created_at DESC',
+                [req.params.id]
+            );
+            res.json(result.rows.map(normalizeOrderEdit));
         } catch (error) {
-            console.error("❌ Error deleting order:", error.message);
-            res.status(500).json({ error: 'Failed to delete order' });
+            console.error('Error fetching order edits:', error);
+            res.status(500).json({ error: 'Failed to fetch order edits' });
         }
     });
 
+    // Orders are never hard-deleted: the sale would vanish from history and its
+    // stock would never come back. Voids and refunds go through routes/refunds.js.
+    router.delete('/api/orders/:id', (req, res) => {
+        res.status(405).json({ error: 'Las órdenes no se eliminan. Registra una cancelación o reembolso en POST /api/orders/:id/refunds' });
+    });
+
     // 🧹 Cleanup duplicate orders from database
     router.post('/api/orders/cleanup-duplicates', async (req, res) => {
         if (!useDb) {
@@ -280,6 +737,8 @@ export function createOrdersRouter({ pool, useDb, broadcastDataChange }) {
                 WHERE id IN (
                     SELECT id FROM duplicates WHERE row_num > 1
                 )
+                AND id NOT IN (SELECT "orderId" FROM order_refunds) -- refunded orders are kept
+                AND "parentOrderId" IS NULL -- split checks legitimately share name and total
                 RETURNING id, client_name, total, created_at;
             `;
 
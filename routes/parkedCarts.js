@@ -0,0 +1,86 @@
+// Parked sales (see repositories/parkedCarts.js). Changes are broadcast as
+// 'parked-carts' so every register sees the same list of held carts.
+import express from 'express';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_LINES = 200;
+
+/** Returns an error message for an invalid cart, or null. */
+function validateParkedCart({ name, items }) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return 'La venta en espera necesita un nombre';
+    if (trimmed.length > MAX_NAME_LENGTH) return `Nombre demasiado largo (máximo ${MAX_NAME_LENGTH})`;
+    if (!Array.isArray(items) || items.length === 0) return 'El carrito está vacío';
+    if (items.length > MAX_LINES) return `Máximo ${MAX_LINES} líneas`;
+    const invalid = items.find(item => !item?.id || !(Number(item.quantity) > 0));
+    if (invalid) return `Línea inválida: ${invalid?.name || invalid?.id || '?'}`;
+    return null;
+}
+
+export function createParkedCartsRouter({ parkedCarts, pool, useDb, broadcastDataChange }) {
+    const router = express.Router();
+
+    // When the open cash session started (null without one, or without a database)
+    const shiftStart = async () => {
+        if (!useDb) return null;
+        const result = await pool.query(
+            `SELECT "startTime" FROM cash_sessions WHERE status = 'active' ORDER BY "startTime" DESC LIMIT 1`
+        );
+        return result.rows[0] ? new Date(result.rows[0].startTime) : null;
+    };
+
+    // Carts parked before the open session started are flagged `stale`: they
+    // belong to an earlier shift and may no longer have a customer waiting
+    router.get('/api/parked-carts', async (req, res) => {
+        try {
+            const [carts, startedAt] = await Promise.all([parkedCarts.list(), shiftStart()]);
+            res.json(carts.map(cart => ({ ...cart, stale: Boolean(startedAt && new Date(cart.createdAt) < startedAt) })));
+        } catch (error) {
+            console.error('Error fetching parked carts:', error);
+            res.status(500).json({ error: 'Failed to fetch parked carts' });
+        }
+    });
+
+    router.post('/api/parked-carts', async (req, res) => {
+        try {
+            const invalid = validateParkedCart(req.body);
+            if (invalid) return res.status(400).json({ error: invalid });
+            const { items, couponCode, userId, deviceId } = req.body;
+            const cart = await parkedCarts.park({ name: String(req.body.name).trim(), items, couponCode, userId, deviceId });
+            console.log(`⏸️ Sale parked: ${cart.name} (${items.length} lines)`);
+            broadcastDataChange('parked-carts', { action: 'create', id: cart.id });
+            res.status(201).json({ ...cart, stale: false });
+        } catch (error) {
+            console.error('Error parking cart:', error);
+            res.status(500).json({ error: 'Failed to park cart' });
+        }
+    });
+
+    // Hands the cart to the register resuming it and takes it off the list
+    router.post('/api/parked-carts/:id/resume', async (req, res) => {
+        try {
+            const cart = await parkedCarts.remove(req.params.id);
+            if (!cart) return res.status(404).json({ error: 'Esta venta ya se retomó o se descartó' });
+            console.log(`▶️ Parked sale resumed: ${cart.name}`);
+            broadcastDataChange('parked-carts', { action: 'delete', id: cart.id });
+            res.json(cart);
+        } catch (error) {
+            console.error('Error resuming parked cart:', error);
+            res.status(500).json({ error: 'Failed to resume parked cart' });
+        }
+    });
+
+    router.delete('/api/parked-carts/:id', async (req, res) => {
+        try {
+            const cart = await parkedCarts.remove(req.params.id);
+            if (!cart) return res.status(404).json({ error: 'Parked cart not found' });
+            broadcastDataChange('parked-carts', { action: 'delete', id: cart.id });
+            res.status(204).send();
+        } catch (error) {
+            console.error('Error discarding parked cart:', error);
+            res.status(500).json({ error: 'Failed to discard parked cart' });
+        }
+    });
+
+    return router;
+}
@@ -1,9 +1,120 @@
 // Moved out of server.js verbatim (Phase 2 of the architecture cleanup).
 import express from 'express';
+import { normalizeModifierGroups } from '../src/services/productModifiers.js';
+import { normalizeBundleItems, isBundle } from '../src/services/productBundles.js';
+import { TAX_RATES, isValidTaxRate } from '../src/services/taxes.js';
+import { normalizeRecipe, withRecipeCosts } from '../src/services/recipes.js';
+import { httpError } from '../src/services/httpError.js';
 
-export function createProductsRouter({ productStore, pool, useDb }) {
+// Validates modifierGroups when the request carries them (400 via .status)
+function withModifierGroups(productData) {
+    if (productData.modifierGroups === undefined) return productData;
+    return { ...productData, modifierGroups: normalizeModifierGroups(productData.modifierGroups) };
+}
+
+// Validates the IVA rate when the request carries one
+function withTaxRate(productData) {
+    if (productData.taxRate === undefined || isValidTaxRate(productData.taxRate)) return productData;
+    throw httpError(400, `Tasa de IVA inválida: ${productData.taxRate} (${Object.keys(TAX_RATES).join(', ')})`);
+}
+
+// Validates the SAT keys used on invoices when the request carries them ('' clears one)
+function withSatKeys(productData) {
+    const { satProductKey, satUnitKey } = productData;
+    if (satProductKey && !/^\d{8}$/.test(String(satProductKey).trim())) {
+        throw httpError(400, `Clave de producto SAT inválida: ${satProductKey} (8 dígitos)`);
+    }
+    if (satUnitKey && !/^[A-Z0-9]{2,3}$/.test(String(satUnitKey).trim().toUpperCase())) {
+        throw httpError(400, `Clave de unidad SAT inválida: ${satUnitKey}`);
+    }
+    return {
+        ...productData,
+        ...(satProductKey !== undefined ? { satProductKey: String(satProductKey || '').trim() } : {}),
+        ...(satUnitKey !== undefined ? { satUnitKey: String(satUnitKey || '').trim().toUpperCase() } : {}),
+    };
+}
+
+// Validates the SKU and barcode when the request carries them ('' clears one)
+const CODE_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+function withCodes(productData) {
+    const codes = {};
+    [['sku', 'SKU inválido'], ['barcode', 'Código de barras inválido']].forEach(([field, message]) => {
+        if (productData[field] === undefined || productData[field] === null) return;
+        const code = String(productData[field]).trim();
+        if (code && !CODE_PATTERN.test(code)) {
+            throw httpError(400, `${message}: ${productData[field]}`);
+        }
+        codes[field] = code;
+    });
+    return { ...productData, ...codes };
+}
+
+const productCodes = (product) => [product.sku, product.barcode].filter(Boolean).map(code => String(code).toLowerCase());
+
+// The scanner reads either code, so a code can't belong to two products, as SKU or as barcode
+function assertCodesAvailable(productData, products, productId) {
+    [productData.sku, productData.barcode].filter(Boolean).forEach(code => {
+        const owner = products.find(p => String(p.id) !== String(productId) && productCodes(p).includes(String(code).toLowerCase()));
+        if (owner) {
+            throw httpError(409, `El código ${code} ya está asignado a ${owner.name}`);
+        }
+    });
+}
+
+// Unique index race between two registers (idx_products_sku / idx_products_barcode)
+const isCodeConflict = (error) => error.code === '23505' && /idx_products_(sku|barcode)/.test(error.constraint || '');
+
+export function createProductsRouter({ productStore, ingredients, pool, useDb }) {
     const router = express.Router();
 
+    const withAvailableCodes = async (productData, productId) => {
+        if (productCodes(productData).length === 0) return productData;
+        assertCodesAvailable(productData, await productStore.getAll(), productId);
+        return productData;
+    };
+
+    // Validates bundleItems when the request carries them (400 via .status).
+    // A product that is already inside a combo can't become a combo itself.
+    const withBundleItems = async (productData, productId) => {
+        if (productData.bundleItems === undefined) return productData;
+        const products = await productStore.getAll();
+        const bundleItems = normalizeBundleItems(productData.bundleItems, { products, productId });
+        const parent = bundleItems.length > 0 && productId
+            && products.find(p => isBundle(p) && p.bundleItems.some(c => String(c.productId) === String(productId)));
+        if (parent) {
+            throw httpError(400, `Este producto forma parte del combo ${parent.name}; no puede ser un combo`);
+        }
+        return { ...productData, bundleItems };
+    };
+
+    // Validates the recipe and the options' recipes against the ingredients
+    // and takes cost/costDelta from them. An edit without `recipe` keeps the
+    // product's, and its cost still comes from it. A combo costs what its
+    // components do, so it has no recipe of its own.
+    const withRecipes = async (productData, productId) => {
+        const current = productId && productData.recipe === undefined
+            ? (await productStore.getAll()).find(p => String(p.id) === String(productId))
+            : null;
+        const recipe = productData.recipe ?? current?.recipe ?? [];
+        const optionRecipes = (productData.modifierGroups || []).some(group => group.options.some(option => option.recipe));
+        if (productData.recipe === undefined && recipe.length === 0 && !optionRecipes) return productData;
+
+        const ingredientsById = new Map((await ingredients.list()).map(ingredient => [ingredient.id, ingredient]));
+        const label = productData.name || current?.name || 'Receta';
+        const normalized = normalizeRecipe(recipe, ingredientsById, { label });
+        if (normalized.length > 0 && (productData.bundleItems ?? current?.bundleItems ?? []).length > 0) {
+            throw httpError(400, `${label}: un combo no lleva receta, usa la de cada producto`);
+        }
+        const modifierGroups = productData.modifierGroups?.map(group => ({
+            ...group,
+            options: group.options.map(option => (option.recipe
+                ? { ...option, recipe: normalizeRecipe(option.recipe, ingredientsById, { label: `${group.name} ${option.name}`, allowNegative: true }) }
+                : option)),
+        }));
+        return withRecipeCosts({ ...productData, recipe: normalized, ...(modifierGroups ? { modifierGroups } : {}) }, ingredientsById);
+    };
+
     router.get('/api/products', async (req, res) => {
         try {
             const products = await productStore.getAll();
@@ -16,9 +127,16 @@ export function createProductsRouter({ productStore, pool, useDb }) {
 
     router.post('/api/products', async (req, res) => {
         try {
-            const newProduct = await productStore.create(req.body);
+            const productData = await withAvailableCodes(withCodes(req.body));
+            const newProduct = await productStore.create(await withRecipes(await withBundleItems(withTaxRate(withSatKeys(withModifierGroups(productData))))));
             res.status(201).json(newProduct);
         } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            if (isCodeConflict(error)) {
+                return res.status(409).json({ error: 'El código ya está asignado a otro producto' });
+            }
             console.error("Error creating product:", error);
             res.status(500).json({ error: 'Failed to create product' });
         }
@@ -26,13 +144,21 @@ export function createProductsRouter({ productStore, pool, useDb }) {
 
     router.put('/api/products/:id', async (req, res) => {
         try {
-            const updatedProduct = await productStore.update(req.params.id, req.body);
+            const productData = await withAvailableCodes(withCodes(req.body), req.params.id);
+            const checked = await withBundleItems(withTaxRate(withSatKeys(withModifierGroups(productData))), req.params.id);
+            const updatedProduct = await productStore.update(req.params.id, await withRecipes(checked, req.params.id));
             if (updatedProduct) {
                 res.json(updatedProduct);
             } else {
                 res.status(404).json({ error: 'Product not found' });
             }
         } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            if (isCodeConflict(error)) {
+                return res.status(409).json({ error: 'El código ya está asignado a otro producto' });
+            }
             console.error(`Error updating product ${req.params.id}:`, error);
             res.status(500).json({ error: 'Failed to update product' });
         }
@@ -40,6 +166,12 @@ export function createProductsRouter({ productStore, pool, useDb }) {
 
     router.delete('/api/products/:id', async (req, res) => {
         try {
+            // Deleting a combo's component would leave the combo unsellable
+            const parent = (await productStore.getAll())
+                .find(p => isBundle(p) && p.bundleItems.some(c => String(c.productId) === req.params.id));
+            if (parent) {
+                return res.status(409).json({ error: `El producto forma parte del combo ${parent.name}` });
+            }
             await productStore.delete(req.params.id);
             res.status(204).send();
         } catch (error) {
@@ -50,9 +182,27 @@ export function createProductsRouter({ productStore, pool, useDb }) {
 
     router.post('/api/products/import', async (req, res) => {
         try {
-            const fullProductList = await productStore.importBatch(req.body);
+            if (!Array.isArray(req.body)) return res.status(400).json({ error: 'Se esperaba una lista de productos' });
+            // Rows update the product with the same name; an empty code column keeps its current code
+            const products = await productStore.getAll();
+            const checked = [];
+            const rows = req.body.map(row => {
+                const product = withCodes(row);
+                ['sku', 'barcode'].forEach(field => { if (product[field] === '') delete product[field]; });
+                const existing = products.find(p => p.name === product.name);
+                assertCodesAvailable(product, [...products.filter(p => p !== existing), ...checked], existing?.id);
+                checked.push({ ...product, id: `row-${checked.length}` });
+                return product;
+            });
+            const fullProductList = await productStore.importBatch(rows);
             res.status(200).json(fullProductList);
         } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            if (isCodeConflict(error)) {
+                return res.status(409).json({ error: 'El código ya está asignado a otro producto' });
+            }
             console.error("Error importing products:", error);
             res.status(500).json({ error: 'Failed to import products' });
         }
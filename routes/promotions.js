@@ -0,0 +1,65 @@
+// Promotions screen: happy hours, 2x1 deals, category discounts and coupons.
+// Routes call the repository (see repositories/promotions.js) and broadcast
+// 'promotions' so every register re-evaluates its cart with the new rules.
+// Orders apply them in src/services/orderPricing.js.
+import express from 'express';
+import { normalizePromotion } from '../src/services/promotions.js';
+
+export function createPromotionsRouter({ promotions, broadcastDataChange }) {
+    const router = express.Router();
+
+    router.get('/api/promotions', async (req, res) => {
+        try {
+            res.json(await promotions.list());
+        } catch (error) {
+            console.error('Error fetching promotions:', error);
+            res.status(500).json({ error: 'Failed to fetch promotions' });
+        }
+    });
+
+    router.post('/api/promotions', async (req, res) => {
+        try {
+            const promotion = await promotions.create(normalizePromotion(req.body));
+            console.log('🏷️ Promotion created:', promotion.id, promotion.name);
+            broadcastDataChange('promotions', { action: 'create', id: promotion.id });
+            res.status(201).json(promotion);
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error creating promotion:', error);
+            res.status(500).json({ error: 'Failed to create promotion' });
+        }
+    });
+
+    // Partial edits (e.g. just { active: false }) are merged onto the stored
+    // promotion and the result is validated as a whole.
+    router.put('/api/promotions/:id', async (req, res) => {
+        try {
+            const current = await promotions.get(req.params.id);
+            if (!current) return res.status(404).json({ error: 'Promotion not found' });
+            const promotion = await promotions.update(req.params.id, normalizePromotion({ ...current, ...req.body }));
+            if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
+            broadcastDataChange('promotions', { action: 'update', id: promotion.id });
+            res.json(promotion);
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error updating promotion:', error);
+            res.status(500).json({ error: 'Failed to update promotion' });
+        }
+    });
+
+    // Orders keep their own copy of what each promotion took off, so deleting
+    // one doesn't change past sales or the discounts report.
+    router.delete('/api/promotions/:id', async (req, res) => {
+        try {
+            const deleted = await promotions.remove(req.params.id);
+            if (!deleted) return res.status(404).json({ error: 'Promotion not found' });
+            broadcastDataChange('promotions', { action: 'delete', id: req.params.id });
+            res.status(204).send();
+        } catch (error) {
+            console.error('Error deleting promotion:', error);
+            res.status(500).json({ error: 'Failed to delete promotion' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,65 @@
+// Quick-key layouts for the sales grid, per device or per role (see
+// src/services/quickKeyLayouts.js). Changes are broadcast as
+// 'quick-key-layouts' so registers pick up a new arrangement right away.
+import express from 'express';
+import { validateScope, normalizeLayout, resolveLayout } from '../src/services/quickKeyLayouts.js';
+
+export function createQuickKeyLayoutsRouter({ quickKeyLayouts, productStore, broadcastDataChange }) {
+    const router = express.Router();
+
+    router.get('/api/quick-key-layouts', async (req, res) => {
+        try {
+            res.json(await quickKeyLayouts.list());
+        } catch (error) {
+            console.error('Error fetching quick-key layouts:', error);
+            res.status(500).json({ error: 'Failed to fetch quick-key layouts' });
+        }
+    });
+
+    // The layout a register shows: its device's, else its role's (null for the plain grid)
+    router.get('/api/quick-key-layouts/resolve', async (req, res) => {
+        try {
+            const deviceId = req.query.deviceId ? String(req.query.deviceId) : undefined;
+            const role = req.query.role ? String(req.query.role) : undefined;
+            res.json(resolveLayout(await quickKeyLayouts.list(), { deviceId, role }));
+        } catch (error) {
+            console.error('Error resolving quick-key layout:', error);
+            res.status(500).json({ error: 'Failed to resolve quick-key layout' });
+        }
+    });
+
+    router.put('/api/quick-key-layouts/:scope/:scopeKey', async (req, res) => {
+        try {
+            const { scope, scopeKey } = req.params;
+            validateScope(scope, scopeKey);
+            const products = await productStore.getAll();
+            const layout = normalizeLayout(req.body, new Set(products.map(product => String(product.id))));
+            const saved = await quickKeyLayouts.save({ scope, scopeKey, ...layout, userId: req.body.userId });
+            console.log(`🎛️ Quick-key layout saved for ${scope} ${scopeKey} (${layout.pages.length} pages)`);
+            broadcastDataChange('quick-key-layouts', { action: 'update', id: `${scope}:${scopeKey}` });
+            res.json(saved);
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error saving quick-key layout:', error);
+            res.status(500).json({ error: 'Failed to save quick-key layout' });
+        }
+    });
+
+    router.delete('/api/quick-key-layouts/:scope/:scopeKey', async (req, res) => {
+        try {
+            const { scope, scopeKey } = req.params;
+            validateScope(scope, scopeKey);
+            const deleted = await quickKeyLayouts.remove(scope, scopeKey);
+            if (!deleted) return res.status(404).json({ error: 'Quick-key layout not found' });
+            console.log(`🗑️ Quick-key layout deleted for ${scope} ${scopeKey}`);
+            broadcastDataChange('quick-key-layouts', { action: 'delete', id: `${scope}:${scopeKey}` });
+            res.status(204).send();
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error deleting quick-key layout:', error);
+            res.status(500).json({ error: 'Failed to delete quick-key layout' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,85 @@
+// Customer receipts for recorded orders, right after checkout or reprinted
+// from the history. The order is read from the database (never from the
+// client), and rendered by src/services/receipts.js with the business
+// settings: ?format=html|pdf|escpos, ?width=58|80 (the settings' by default).
+import express from 'express';
+import { buildReceipt, renderReceiptHtml, renderReceiptPdf, renderEscPos, sendToPrinter } from '../src/services/receipts.js';
+import { normalizeOrder } from './orders.js';
+
+const FORMATS = ['html', 'pdf', 'escpos'];
+
+export function createReceiptsRouter({ pool, useDb, settings }) {
+    const router = express.Router();
+
+    const fetchOrder = async (orderId) => {
+        const result = await pool.query(
+            `SELECT o.*, (SELECT COALESCE(SUM(r.amount), 0) FROM order_refunds r WHERE r."orderId" = o.id) AS "refundedAmount"
+             FROM orders o WHERE o.id = $1`,
+            [orderId]
+        );
+        return result.rows[0] ? normalizeOrder(result.rows[0]) : null;
+    };
+
+    // Resolves the order and settings, or answers the request itself and returns null
+    const loadReceipt = async (req, res) => {
+        if (!useDb) {
+            res.status(503).json({ error: 'Database not available' });
+            return null;
+        }
+        const [order, current] = await Promise.all([fetchOrder(req.params.id), settings.get()]);
+        if (!order) {
+            res.status(404).json({ error: 'Order not found' });
+            return null;
+        }
+        return { receipt: buildReceipt(order, current), settings: current };
+    };
+
+    router.get('/api/orders/:id/receipt', async (req, res) => {
+        const format = req.query.format || 'html';
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Formato inválido: ${format} (html, pdf o escpos)` });
+        }
+        try {
+            const loaded = await loadReceipt(req, res);
+            if (!loaded) return;
+            const width = req.query.width || loaded.settings.receiptWidth;
+            const filename = `ticket-${req.params.id}`;
+
+            if (format === 'html') {
+                return res.type('html').send(renderReceiptHtml(loaded.receipt, { width }));
+            }
+            if (format === 'pdf') {
+                const pdf = await renderReceiptPdf(loaded.receipt, { width });
+                res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+                return res.type('application/pdf').send(pdf);
+            }
+            res.set('Content-Disposition', `attachment; filename="${filename}.bin"`);
+            res.type('application/octet-stream').send(renderEscPos(loaded.receipt, { width }));
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error rendering receipt:', error);
+            res.status(500).json({ error: 'Failed to render receipt' });
+        }
+    });
+
+    // Sends the ESC/POS ticket to the network printer in the settings
+    router.post('/api/orders/:id/receipt/print', async (req, res) => {
+        try {
+            const loaded = await loadReceipt(req, res);
+            if (!loaded) return;
+            const { printerHost, printerPort, receiptWidth } = loaded.settings;
+            if (!printerHost) {
+                return res.status(409).json({ error: 'No hay impresora de tickets configurada' });
+            }
+            await sendToPrinter(renderEscPos(loaded.receipt, { width: receiptWidth }), { host: printerHost, port: printerPort });
+            console.log('🧾 Receipt printed:', req.params.id, `${printerHost}:${printerPort}`);
+            res.json({ printed: true });
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error printing receipt:', error);
+            res.status(500).json({ error: 'Failed to print receipt' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,148 @@
+// Void/refund workflow. Orders are never deleted; a refund document records
+// what was returned, why and by whom, returns the stock and the ingredients
+// the sale's recipes used and reverses any customer credit, all in one
+// transaction.
+import express from 'express';
+import { buildRefund } from '../src/services/orderRefunds.js';
+import { allocateRefund, CREDIT_METHODS } from '../src/services/orderPayments.js';
+import { consumptionFor } from '../src/services/recipes.js';
+import { normalizeOrder } from './orders.js';
+
+export function normalizeRefund(refund) {
+    return {
+        ...refund,
+        amount: parseFloat(refund.amount),
+        payments: Array.isArray(refund.payments)
+            ? refund.payments.map(tender => ({ method: tender.method, amount: parseFloat(tender.amount) }))
+            : undefined,
+        date: refund.created_at
+    };
+}
+
+export function createRefundsRouter({ pool, useDb, productStore, ingredients, broadcastDataChange }) {
+    const router = express.Router();
+
+    router.get('/api/refunds', async (req, res) => {
+        try {
+            if (!useDb) return res.json([]);
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+            const params = [limit];
+            let where = '';
+            if (req.query.orderId) {
+                params.push(req.query.orderId);
+                where = 'WHERE "orderId" = $2';
+            }
+
+            const result = await pool.query(
+                `SELECT * FROM order_refunds ${where} ORDER BY created_at DESC LIMIT $1`,
+                params
+            );
+            res.json(result.rows.map(normalizeRefund));
+        } catch (error) {
+            console.error("Error fetching refunds:", error);
+            res.status(500).json({ error: 'Failed to fetch refunds' });
+        }
+    });
+
+    router.post('/api/orders/:id/refunds', async (req, res) => {
+        if (!useDb) return res.status(503).json({ error: 'Database not available' });
+
+        const { reason, userId, lines } = req.body;
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ error: 'El motivo del reembolso es obligatorio' });
+        }
+
+        let client;
+        try {
+            client = await pool.connect();
+            await client.query('BEGIN');
+
+            // Lock the order so two cashiers can't refund the same line twice
+            const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (orderResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Order not found' });
+            }
+            const order = normalizeOrder(orderResult.rows[0]);
+
+            const previousResult = await client.query(
+                'SELECT * FROM order_refunds WHERE "orderId" = $1 ORDER BY created_at ASC',
+                [order.id]
+            );
+            const refund = buildRefund({ order, previousRefunds: previousResult.rows, lines });
+            // Money goes back through the tenders it came in on
+            const payments = allocateRefund(order, refund.amount);
+            const creditAmount = payments
+                .filter(tender => CREDIT_METHODS.includes(tender.method))
+                .reduce((sum, tender) => sum + tender.amount, 0);
+
+            const id = `refund-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            console.log('↩️  Refunding order:', order.id, { type: refund.type, amount: refund.amount, reason });
+
+            const inserted = await client.query(
+                `INSERT INTO order_refunds (id, "orderId", type, items, amount, "paymentMethod", payments, "customerId", reason, "userId")
+                 VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7::jsonb, $8, $9, $10) RETURNING *`,
+                [id, order.id, refund.type, JSON.stringify(refund.items), refund.amount, order.paymentMethod, JSON.stringify(payments), order.customerId || null, String(reason).trim(), userId || null]
+            );
+
+            for (const item of refund.restock) {
+                await client.query('UPDATE products SET stock = stock + $1 WHERE id = $2', [item.quantity, item.id]);
+            }
+
+            // The sale took the recipes' ingredients out as usage; the refund puts
+            // them back the same way an edit that removes the lines does
+            const catalog = new Map((await productStore.getAll()).map(product => [String(product.id), product]));
+            const consumption = consumptionFor(refund.returned, catalog);
+            if (consumption.length > 0) {
+                await ingredients.recordMovements(consumption, {
+                    client, type: 'sale', orderId: order.id, userId: userId || null, note: `Reembolso: ${String(reason).trim()}`,
+                });
+            }
+
+            // Reverse the credit charge instead of deleting it, so the customer's
+            // statement shows both movements. Only the credit share of a split payment is reversed.
+            if (order.customerId && creditAmount > 0) {
+                console.log('💳 Reversing customer credit for refunded order...');
+                await client.query(
+                    'INSERT INTO customer_credits (id, "customerId", "orderId", amount, type, status, description) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                    [`credit-${Date.now()}-${Math.floor(Math.random() * 1000000)}`, order.customerId, order.id, creditAmount, 'payment', 'paid', `Reembolso de orden ${order.id}: ${String(reason).trim()}`]
+                );
+                await client.query(
+                    'UPDATE customers SET "currentCredit" = "currentCredit" - $1 WHERE id = $2',
+                    [creditAmount, order.customerId]
+                );
+            }
+
+            const updatedOrder = await client.query(
+                'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *',
+                [refund.orderStatus, order.id]
+            );
+
+            await client.query('COMMIT');
+            console.log('✅ Refund recorded:', id);
+
+            broadcastDataChange('orders', { action: 'update', id: order.id });
+            broadcastDataChange('refunds', { action: 'create', id });
+            if (refund.restock.length > 0) broadcastDataChange('products', { action: 'update' });
+            if (consumption.length > 0) broadcastDataChange('ingredients', { action: 'update' });
+
+            res.status(201).json({
+                refund: normalizeRefund(inserted.rows[0]),
+                order: normalizeOrder({ ...updatedOrder.rows[0], refundedAmount: previousResult.rows.reduce((sum, r) => sum + parseFloat(r.amount), refund.amount) })
+            });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            if (error.status) {
+                console.warn('⚠️ Refund rejected:', error.message);
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error("❌ Error refunding order:", error.message);
+            res.status(500).json({ error: 'Failed to refund order' });
+        } finally {
+            client?.release();
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,53 @@
+// Fiscal reports. The monthly IVA summary adds up the tax breakdown each order
+// line stored at sale time (see src/services/taxes.js), takes refunds back out
+// and sets it against the IVA paid on the month's expenses.
+import express from 'express';
+import { monthlyTaxSummary, monthOf, BUSINESS_TIMEZONE } from '../src/services/taxes.js';
+import { normalizeOrder } from './orders.js';
+
+// [start, end) of a YYYY-MM month in business time
+const IN_MONTH = (column) => `${column} >= ($1 || '-01')::timestamp AT TIME ZONE $2
+    AND ${column} < (($1 || '-01')::timestamp + INTERVAL '1 month') AT TIME ZONE $2`;
+
+export function createReportsRouter({ pool, useDb }) {
+    const router = express.Router();
+
+    // ?month=YYYY-MM (the current month by default)
+    router.get('/api/reports/taxes', async (req, res) => {
+        try {
+            const month = req.query.month || monthOf();
+            if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+                return res.status(400).json({ error: `Mes inválido: ${month} (AAAA-MM)` });
+            }
+            // In-memory mode keeps no orders or expenses, so its month is empty
+            if (!useDb) return res.json(monthlyTaxSummary({ orders: [], month }));
+
+            const params = [month, BUSINESS_TIMEZONE];
+            const [orders, refunds, expenses] = await Promise.all([
+                pool.query(`SELECT * FROM orders WHERE ${IN_MONTH('created_at')}`, params),
+                pool.query(
+                    `SELECT r.amount, o.total, o.tip, o.discount, o.items
+                     FROM order_refunds r JOIN orders o ON o.id = r."orderId"
+                     WHERE ${IN_MONTH('r.created_at')}`,
+                    params
+                ),
+                pool.query(`SELECT amount, "taxAmount" FROM expenses WHERE ${IN_MONTH('created_at')}`, params),
+            ]);
+
+            res.json(monthlyTaxSummary({
+                month,
+                orders: orders.rows.map(normalizeOrder),
+                refunds: refunds.rows.map(row => ({
+                    amount: parseFloat(row.amount),
+                    order: { total: parseFloat(row.total), tip: parseFloat(row.tip || 0), discount: parseFloat(row.discount || 0), items: row.items },
+                })),
+                expenses: expenses.rows,
+            }));
+        } catch (error) {
+            console.error('Error computing tax summary:', error);
+            res.status(500).json({ error: 'Failed to compute tax summary' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,75 @@
+// Business settings (see repositories/settings.js). Changes are broadcast as
+// 'settings' so every register prints the same header and footer.
+import express from 'express';
+import { RECEIPT_WIDTHS } from '../src/services/receipts.js';
+import { TAX_REGIMES, isValidRfc } from '../src/services/cfdi.js';
+import { TIP_POOL_MODES } from '../src/services/tipPooling.js';
+
+const TEXT_FIELDS = ['businessName', 'taxId', 'address', 'phone', 'receiptFooter', 'printerHost', 'legalName', 'taxRegime', 'zipCode', 'invoiceSeries', 'selfInvoiceUrl'];
+
+const MAX_DISPLAY_IMAGES = 10;
+
+/** Returns an error message for invalid settings, or null. */
+function validateSettings({ businessName, receiptWidth, printerPort, customerDisplayImages, tipPoolMode, tipPoolShare, ...rest }) {
+    if (businessName !== undefined && !String(businessName).trim()) return 'El nombre del negocio es obligatorio';
+    // Fiscal fields may be left empty until the business starts invoicing
+    const { taxId, taxRegime, zipCode, invoiceSeries, selfInvoiceUrl } = rest;
+    if (taxId && !isValidRfc(String(taxId).trim().toUpperCase())) return `RFC inválido: ${taxId}`;
+    if (taxRegime && !TAX_REGIMES.includes(taxRegime)) return `Régimen fiscal inválido: ${taxRegime}`;
+    if (zipCode && !/^\d{5}$/.test(String(zipCode).trim())) return 'El código postal debe tener 5 dígitos';
+    if (invoiceSeries && !/^[A-Za-z0-9]{1,25}$/.test(String(invoiceSeries).trim())) return `Serie inválida: ${invoiceSeries}`;
+    if (selfInvoiceUrl && !/^https?:\/\/\S+$/.test(String(selfInvoiceUrl).trim())) return `URL de facturación inválida: ${selfInvoiceUrl}`;
+    if (receiptWidth !== undefined && !RECEIPT_WIDTHS[Number(receiptWidth)]) return `Ancho de papel inválido: ${receiptWidth} (58 u 80)`;
+    if (printerPort !== undefined && (!Number.isInteger(Number(printerPort)) || Number(printerPort) < 1 || Number(printerPort) > 65535)) {
+        return `Puerto de impresora inválido: ${printerPort}`;
+    }
+    if (customerDisplayImages !== undefined) {
+        if (!Array.isArray(customerDisplayImages) || customerDisplayImages.length > MAX_DISPLAY_IMAGES) {
+            return `Máximo ${MAX_DISPLAY_IMAGES} imágenes para la pantalla del cliente`;
+        }
+        const badImage = customerDisplayImages.find(url => !/^(https?:\/\/|\/)\S+$/.test(String(url).trim()));
+        if (badImage !== undefined) return `URL de imagen inválida: ${badImage}`;
+    }
+    if (tipPoolMode !== undefined && !TIP_POOL_MODES.includes(tipPoolMode)) return `Regla de reparto de propinas inválida: ${tipPoolMode}`;
+    if (tipPoolShare !== undefined && (!Number.isFinite(Number(tipPoolShare)) || Number(tipPoolShare) < 0 || Number(tipPoolShare) > 100)) {
+        return `Porcentaje de propinas al fondo inválido: ${tipPoolShare}`;
+    }
+    const notText = TEXT_FIELDS.find(field => rest[field] !== undefined && typeof rest[field] !== 'string');
+    return notText ? `Valor inválido (${notText})` : null;
+}
+
+export function createSettingsRouter({ settings, broadcastDataChange }) {
+    const router = express.Router();
+
+    router.get('/api/settings', async (req, res) => {
+        try {
+            res.json(await settings.get());
+        } catch (error) {
+            console.error('Error fetching settings:', error);
+            res.status(500).json({ error: 'Failed to fetch settings' });
+        }
+    });
+
+    router.put('/api/settings', async (req, res) => {
+        try {
+            const invalid = validateSettings(req.body);
+            if (invalid) return res.status(400).json({ error: invalid });
+            const changes = { ...req.body };
+            TEXT_FIELDS.forEach(field => { if (typeof changes[field] === 'string') changes[field] = changes[field].trim(); });
+            if (changes.taxId) changes.taxId = changes.taxId.toUpperCase();
+            if (changes.receiptWidth !== undefined) changes.receiptWidth = Number(changes.receiptWidth);
+            if (changes.printerPort !== undefined) changes.printerPort = Number(changes.printerPort);
+            if (changes.tipPoolShare !== undefined) changes.tipPoolShare = Number(changes.tipPoolShare);
+            if (changes.customerDisplayImages) changes.customerDisplayImages = changes.customerDisplayImages.map(url => String(url).trim());
+            const updated = await settings.update(changes);
+            console.log('⚙️ Settings updated:', Object.keys(changes).join(', '));
+            broadcastDataChange('settings', { action: 'update' });
+            res.json(updated);
+        } catch (error) {
+            console.error('Error updating settings:', error);
+            res.status(500).json({ error: 'Failed to update settings' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,174 @@
+// Open tabs for dine-in service. Routes call the repository (see
+// repositories/tabs.js); every change is broadcast over SSE as 'tabs' so the
+// other devices on the floor pick it up without polling.
+//
+// Paying a tab is a normal POST /api/orders from the client (idempotency key
+// `tab-<id>`); POST /api/tabs/:id/close then records which order settled it,
+// refusing one that isn't for the tab's lines.
+// Each round of items goes to the kitchen display when it's added, so the
+// paying order is sent with sendToKitchen: false.
+import express from 'express';
+import { roundMoney, isServiceItem } from '../src/services/orderPricing.js';
+import { resolveModifiers } from '../src/services/productModifiers.js';
+import { httpError } from '../src/services/httpError.js';
+
+/**
+ * Turns requested lines into tab lines priced from the catalog. The order
+ * created at close is priced again anyway; this keeps the running total on
+ * every device honest in the meantime.
+ */
+function catalogLines(items, products) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw httpError(400, 'Agrega al menos un producto');
+    }
+    const productsById = new Map(products.map(p => [String(p.id), p]));
+    return items.map(item => {
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw httpError(400, `Cantidad inválida para ${item.name || item.id}`);
+        }
+        // Coworking time and tips have no catalog price; they're charged at checkout, not on a tab
+        if (isServiceItem(item.id)) {
+            throw httpError(400, `Línea de servicio no permitida en una cuenta: ${item.name || item.id}`);
+        }
+        const product = productsById.get(String(item.id));
+        if (!product) {
+            throw httpError(400, `Producto no encontrado: ${item.name || item.id}`);
+        }
+        const modifiers = resolveModifiers(product, item.modifiers);
+        return {
+            id: String(product.id),
+            name: product.name,
+            category: product.category,
+            price: roundMoney(product.price + modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, 0)),
+            quantity,
+            ...(modifiers.length > 0 ? { modifiers } : {}),
+        };
+    });
+}
+
+export function createTabsRouter({ tabs, floorTables, productStore, sendToKitchen, broadcastDataChange }) {
+    const router = express.Router();
+
+    const assertTableExists = async (tableId) => {
+        if (tableId && !(await floorTables.get(tableId))) throw httpError(404, 'Mesa no encontrada');
+    };
+
+    const sendError = (res, error, fallback) => {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`❌ ${fallback}:`, error);
+        res.status(500).json({ error: fallback });
+    };
+
+    router.get('/api/tabs', async (req, res) => {
+        try {
+            const status = ['open', 'closed', 'all'].includes(req.query.status) ? req.query.status : 'open';
+            const limit = parseInt(req.query.limit) || 100;
+            res.json(await tabs.list({ status, limit }));
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch tabs');
+        }
+    });
+
+    router.get('/api/tabs/:id', async (req, res) => {
+        try {
+            const tab = await tabs.get(req.params.id);
+            if (!tab) return res.status(404).json({ error: 'Tab not found' });
+            res.json(tab);
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch tab');
+        }
+    });
+
+    router.post('/api/tabs', async (req, res) => {
+        try {
+            const { name, tableId, customerId, userId } = req.body;
+            if (!String(name || '').trim()) {
+                return res.status(400).json({ error: 'La cuenta necesita un nombre o una mesa' });
+            }
+            await assertTableExists(tableId);
+            const tab = await tabs.open({ name: String(name).trim(), tableId, customerId, openedBy: userId });
+            console.log('🍽️ Tab opened:', tab.id, { name: tab.name, tableId: tab.tableId });
+            broadcastDataChange('tabs', { action: 'create', id: tab.id });
+            res.status(201).json(tab);
+        } catch (error) {
+            sendError(res, error, 'Failed to open tab');
+        }
+    });
+
+    router.post('/api/tabs/:id/items', async (req, res) => {
+        try {
+            const lines = catalogLines(req.body.items, await productStore.getAll());
+            const tab = await tabs.addItems(req.params.id, lines);
+            if (!tab) return res.status(404).json({ error: 'Tab not found' });
+            broadcastDataChange('tabs', { action: 'update', id: tab.id });
+            await sendToKitchen({ tabId: tab.id, label: tab.name, serviceType: 'Mesa', items: lines });
+            res.json(tab);
+        } catch (error) {
+            sendError(res, error, 'Failed to add items to tab');
+        }
+    });
+
+    // Rename, move to another table, or replace the item list (removing lines)
+    router.put('/api/tabs/:id', async (req, res) => {
+        try {
+            const { name, tableId, items, customerId } = req.body;
+            const updates = { tableId, customerId };
+            if (name !== undefined) {
+                if (!String(name).trim()) {
+                    return res.status(400).json({ error: 'La cuenta necesita un nombre o una mesa' });
+                }
+                updates.name = String(name).trim();
+            }
+            if (items !== undefined) {
+                updates.items = Array.isArray(items) && items.length === 0
+                    ? []
+                    : catalogLines(items, await productStore.getAll());
+            }
+            await assertTableExists(tableId);
+            const result = await tabs.update(req.params.id, updates);
+            if (result === undefined) {
+                return res.status(400).json({ error: 'No fields to update' });
+            }
+            if (result === null) {
+                return res.status(404).json({ error: 'Tab not found' });
+            }
+            broadcastDataChange('tabs', { action: 'update', id: result.id });
+            res.json(result);
+        } catch (error) {
+            sendError(res, error, 'Failed to update tab');
+        }
+    });
+
+    router.post('/api/tabs/:id/close', async (req, res) => {
+        try {
+            const { orderId } = req.body;
+            if (!orderId) {
+                return res.status(400).json({ error: 'orderId is required' });
+            }
+            const tab = await tabs.close(req.params.id, { orderId });
+            if (!tab) return res.status(404).json({ error: 'Tab not found' });
+            console.log('✅ Tab closed:', tab.id, { orderId });
+            broadcastDataChange('tabs', { action: 'update', id: tab.id });
+            res.json(tab);
+        } catch (error) {
+            sendError(res, error, 'Failed to close tab');
+        }
+    });
+
+    // Only for tabs opened by mistake: a tab with items is paid, not deleted
+    router.delete('/api/tabs/:id', async (req, res) => {
+        try {
+            const deleted = await tabs.remove(req.params.id);
+            if (!deleted) return res.status(404).json({ error: 'Tab not found' });
+            broadcastDataChange('tabs', { action: 'delete', id: req.params.id });
+            res.status(204).send();
+        } catch (error) {
+            sendError(res, error, 'Failed to delete tab');
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,173 @@
+// Tip payouts: the period's tips attributed to whoever rang each sale and
+// distributed by the business's pooling rule (see src/services/tipPooling.js).
+// Paying a period out records it once, optionally as a cash withdrawal from
+// the open register or as a Sueldos expense.
+import express from 'express';
+import { validatePeriod, validatePoolRule, parseHours, sessionHours, distributeTips } from '../src/services/tipPooling.js';
+
+const POSTINGS = ['none', 'withdrawal', 'expense'];
+
+const dateOnly = (date) => date.toISOString().slice(0, 10);
+
+export function normalizeTipPayout(payout) {
+    return {
+        ...payout,
+        poolShare: parseFloat(payout.poolShare),
+        total: parseFloat(payout.total),
+        date: payout.created_at
+    };
+}
+
+export function createTipsRouter({ pool, useDb, settings, broadcastDataChange }) {
+    const router = express.Router();
+
+    // The rule comes from the settings unless the request previews another one
+    const poolRule = async ({ mode, poolShare }) => {
+        const current = await settings.get();
+        return validatePoolRule({
+            mode: mode || current.tipPoolMode,
+            poolShare: poolShare === undefined || poolShare === '' ? current.tipPoolShare : poolShare,
+        });
+    };
+
+    // Tips of the period by employee, with hours from their cash sessions
+    // (`hours` overrides them) and the payout the rule gives each one.
+    // Only the refund that closes an order gives its tip back, and that one
+    // leaves it 'refunded'; partial refunds never touch the tip, so a
+    // partially refunded order still pays out its whole tip (see orderRefunds.js).
+    const buildReport = async (db, period, rule, hoursOverride) => {
+        let tips = [];
+        let sessions = [];
+        let users = [];
+        if (useDb) {
+            [tips, sessions, users] = await Promise.all([
+                db.query(
+                    `SELECT "userId", tip AS amount FROM orders
+                     WHERE created_at >= $1 AND created_at < $2 AND tip > 0 AND COALESCE(status, 'completed') <> 'refunded'`,
+                    [period.from, period.to]
+                ).then(result => result.rows),
+                db.query(
+                    'SELECT "userId", "startTime", "endTime" FROM cash_sessions WHERE "startTime" < $2 AND ("endTime" IS NULL OR "endTime" > $1)',
+                    [period.from, period.to]
+                ).then(result => result.rows),
+                db.query('SELECT id, username FROM users').then(result => result.rows),
+            ]);
+        }
+        const hours = { ...sessionHours(sessions, period), ...hoursOverride };
+        const report = distributeTips({ tips, hours, ...rule });
+        const usernames = new Map(users.map(user => [user.id, user.username]));
+        return {
+            from: period.from.toISOString(),
+            to: period.to.toISOString(),
+            ...report,
+            employees: report.employees.map(line => ({ ...line, username: usernames.get(line.userId) || line.userId })),
+        };
+    };
+
+    // ?from&to (ISO, [from, to)), optional mode/poolShare to preview another
+    // rule and hours=userId:hours,... for who didn't run a register
+    router.get('/api/reports/tips', async (req, res) => {
+        try {
+            const period = validatePeriod(req.query);
+            const hours = parseHours(req.query.hours);
+            const rule = await poolRule(req.query);
+            res.json(await buildReport(pool, period, rule, hours));
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error computing tip report:', error);
+            res.status(500).json({ error: 'Failed to compute tip report' });
+        }
+    });
+
+    router.get('/api/tip-payouts', async (req, res) => {
+        try {
+            if (!useDb) return res.json([]);
+            const result = await pool.query('SELECT * FROM tip_payouts ORDER BY "to" DESC LIMIT 100');
+            res.json(result.rows.map(normalizeTipPayout));
+        } catch (error) {
+            console.error('Error fetching tip payouts:', error);
+            res.status(500).json({ error: 'Failed to fetch tip payouts' });
+        }
+    });
+
+    // { from, to, mode?, poolShare?, hours?, postAs: 'none' | 'withdrawal' | 'expense', userId }
+    router.post('/api/tip-payouts', async (req, res) => {
+        let client;
+        try {
+            const period = validatePeriod(req.body);
+            const hours = parseHours(req.body.hours);
+            const postAs = req.body.postAs || 'none';
+            if (!POSTINGS.includes(postAs)) return res.status(400).json({ error: `Forma de registro inválida: ${postAs}` });
+            const rule = await poolRule(req.body);
+            if (!useDb) return res.status(503).json({ error: 'Database not available' });
+
+            client = await pool.connect();
+            await client.query('BEGIN');
+            // One payout at a time, so two admins can't pay the same days twice
+            await client.query('LOCK TABLE tip_payouts IN SHARE ROW EXCLUSIVE MODE');
+            const overlapping = await client.query(
+                'SELECT id FROM tip_payouts WHERE "from" < $2 AND "to" > $1 LIMIT 1',
+                [period.from, period.to]
+            );
+            if (overlapping.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'Las propinas de ese periodo ya se pagaron' });
+            }
+
+            const report = await buildReport(client, period, rule, hours);
+            const lines = report.employees.filter(line => line.payout > 0);
+            const total = Math.round(lines.reduce((sum, line) => sum + line.payout, 0) * 100) / 100;
+            if (total <= 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'No hay propinas que pagar en el periodo' });
+            }
+
+            const description = `Propinas del ${dateOnly(period.from)} al ${dateOnly(new Date(period.to.getTime() - 1))}`;
+            let withdrawalId = null;
+            let expenseId = null;
+            if (postAs === 'withdrawal') {
+                // Cash comes out of the register that is open right now
+                const session = await client.query(
+                    `SELECT id FROM cash_sessions WHERE status = 'active' ORDER BY "startTime" DESC LIMIT 1`
+                );
+                if (session.rows.length === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({ error: 'Abre la caja para retirar las propinas en efectivo' });
+                }
+                withdrawalId = `withdrawal-${Date.now()}`;
+                await client.query(
+                    'INSERT INTO cash_withdrawals (id, cash_session_id, amount, description, withdrawn_by) VALUES ($1, $2, $3, $4, $5)',
+                    [withdrawalId, session.rows[0].id, total, description, req.body.userId || null]
+                );
+            } else if (postAs === 'expense') {
+                expenseId = `expense-${Date.now()}`;
+                await client.query(
+                    'INSERT INTO expenses (id, description, amount, category, "userId", "paymentSource", type, "taxAmount") VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+                    [expenseId, description, total, 'Sueldos', req.body.userId || null, 'transferencia', 'Frecuente', 0]
+                );
+            }
+
+            const id = `tips-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const inserted = await client.query(
+                `INSERT INTO tip_payouts (id, "from", "to", mode, "poolShare", lines, total, "postedAs", "withdrawalId", "expenseId", "userId")
+                 VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8, $9, $10, $11) RETURNING *`,
+                [id, period.from, period.to, report.mode, report.poolShare, JSON.stringify(lines), total, postAs, withdrawalId, expenseId, req.body.userId || null]
+            );
+            await client.query('COMMIT');
+            console.log('💸 Tips paid out:', id, { total, mode: report.mode, postAs });
+
+            if (withdrawalId) broadcastDataChange('cash-withdrawals', { action: 'create', id: withdrawalId });
+            if (expenseId) broadcastDataChange('expenses', { action: 'create', id: expenseId });
+            res.status(201).json(normalizeTipPayout(inserted.rows[0]));
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('❌ Error paying out tips:', error);
+            res.status(500).json({ error: 'Failed to pay out tips' });
+        } finally {
+            client?.release();
+        }
+    });
+
+    return router;
+}
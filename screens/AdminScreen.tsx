@@ -2,6 +2,10 @@ import React from 'react';
 import { useAppContext } from '../contexts/AppContext';
 import RefreshButton from '../components/RefreshButton';
 import { TrashIcon } from '../components/Icons';
+import BusinessSettingsPanel from '../components/BusinessSettingsPanel';
+import InvoiceRequestsPanel from '../components/InvoiceRequestsPanel';
+import ExchangeRatePanel from '../components/ExchangeRatePanel';
+import QuickKeyLayoutEditor from '../components/QuickKeyLayoutEditor';
 
 const AdminScreen: React.FC = () => {
   const { users, approveUser, deleteUser, currentUser, refetchAll } = useAppContext();
@@ -123,6 +127,10 @@ const AdminScreen: React.FC = () => {
             <p className="text-center text-slate-500 py-8">No hay otros usuarios registrados.</p>
         )}
       </div>
+      <InvoiceRequestsPanel />
+      <ExchangeRatePanel />
+      <QuickKeyLayoutEditor />
+      <BusinessSettingsPanel />
     </div>
   );
 };
@@ -4,19 +4,23 @@ import StatCard from '../components/StatCard';
 import RefreshButton from '../components/RefreshButton';
 import { CashIcon, SalesIcon, HistoryIcon, DashboardIcon, ExpenseIcon, PlusIcon } from '../components/Icons';
 import { deduplicateOrders } from '../utils/deduplication';
+import { orderAmountPaidWith, refundAmountPaidWith, formatTenders, drawerCash, CASH_METHODS, CREDIT_METHODS, USD_CASH_METHOD } from '../utils/payments';
+import type { OrderRefund } from '../types';
 
 // Start Day Modal Component
 const StartDayModal: React.FC<{
   isOpen: boolean;
   onClose: () => void;
-  onStart: (amount: number) => void;
+  onStart: (amount: number, amountUsd?: number) => void;
 }> = ({ isOpen, onClose, onStart }) => {
   const [amount, setAmount] = useState('');
+  const [amountUsd, setAmountUsd] = useState('');
 
   const handleStart = () => {
     const startAmount = parseFloat(amount);
-    if (!isNaN(startAmount) && startAmount >= 0) {
-      onStart(startAmount);
+    const startAmountUsd = amountUsd === '' ? 0 : parseFloat(amountUsd);
+    if (!isNaN(startAmount) && startAmount >= 0 && !isNaN(startAmountUsd) && startAmountUsd >= 0) {
+      onStart(startAmount, startAmountUsd);
       onClose();
     } else {
       alert('Por favor, ingrese un monto válido.');
@@ -38,6 +42,14 @@ const StartDayModal: React.FC<{
           className="mt-1 block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 focus:outline-none focus:ring-zinc-500 focus:border-zinc-500 sm:text-sm mb-4"
           autoFocus
         />
+        <label className="block text-sm font-medium text-slate-600 mb-1">Dólares en caja (opcional)</label>
+        <input
+          type="number"
+          value={amountUsd}
+          onChange={(e) => setAmountUsd(e.target.value)}
+          placeholder="US$ 0.00"
+          className="mt-1 block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 focus:outline-none focus:ring-zinc-500 focus:border-zinc-500 sm:text-sm mb-4"
+        />
         <div className="flex justify-end space-x-3">
           <button onClick={onClose} className="px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm font-medium text-slate-700">Cancelar</button>
           <button onClick={handleStart} className="px-4 py-2 bg-zinc-900 rounded-xl text-sm font-medium text-white">Iniciar</button>
@@ -105,26 +117,69 @@ const CashWithdrawalModal: React.FC<{
   );
 };
 
+// Refunds are listed as negative lines next to the sales they reverse
+const RefundsTable: React.FC<{ refunds: OrderRefund[] }> = ({ refunds }) => (
+  <div className="bg-white p-6 rounded-xl shadow-md mb-8">
+    <h2 className="text-xl font-bold text-slate-800 mb-4">Reembolsos</h2>
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-slate-200">
+        <thead className="bg-slate-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Hora</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Productos</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Motivo</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Pago</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-slate-500 uppercase">Monto</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-slate-200">
+          {refunds.map((refund) => (
+            <tr key={refund.id} className="hover:bg-slate-50">
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-slate-700">
+                {new Date(refund.date).toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' })}
+              </td>
+              <td className="px-4 py-3 text-sm text-slate-700">{refund.items.map(item => `${item.name} (${item.quantity})`).join(', ')}</td>
+              <td className="px-4 py-3 text-sm text-slate-700">{refund.reason}</td>
+              <td className="px-4 py-3 text-sm text-slate-700">{formatTenders(refund.payments) || refund.paymentMethod}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-right font-medium text-red-600">
+                -${refund.amount.toFixed(2)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
 // Close Day Modal Component
 const CloseDayModal: React.FC<{
   isOpen: boolean;
   onClose: () => void;
-  onConfirm: (amount: number) => void;
+  onConfirm: (amount: number, amountUsd?: number) => void;
   sessionData: {
     startAmount: number;
     cashSales: number;
     cashExpenses: number;
     cashWithdrawals: number;
+    startAmountUsd: number;
+    usdSales: number;
   };
 }> = ({ isOpen, onClose, onConfirm, sessionData }) => {
   const [countedAmount, setCountedAmount] = useState('');
+  const [countedUsd, setCountedUsd] = useState('');
   const expectedAmount = sessionData.startAmount + sessionData.cashSales - sessionData.cashExpenses - sessionData.cashWithdrawals;
   const difference = parseFloat(countedAmount) - expectedAmount;
+  // Dollars are counted on their own; the section only shows when the drawer held any
+  const expectedUsd = sessionData.startAmountUsd + sessionData.usdSales;
+  const hasUsd = expectedUsd > 0;
+  const differenceUsd = (countedUsd === '' ? 0 : parseFloat(countedUsd)) - expectedUsd;
 
   const handleConfirm = () => {
     const finalAmount = parseFloat(countedAmount);
-    if (!isNaN(finalAmount) && finalAmount >= 0) {
-      onConfirm(finalAmount);
+    const finalUsd = countedUsd === '' ? 0 : parseFloat(countedUsd);
+    if (!isNaN(finalAmount) && finalAmount >= 0 && !isNaN(finalUsd) && finalUsd >= 0) {
+      onConfirm(finalAmount, finalUsd);
       onClose();
     } else {
       alert('Por favor, ingrese un monto contado válido.');
@@ -139,7 +194,7 @@ const CloseDayModal: React.FC<{
         <h2 className="text-2xl font-bold text-slate-800 mb-4">Cierre de Caja</h2>
         <div className="space-y-2 text-sm border-t border-b py-3 my-4">
           <div className="flex justify-between"><span className="text-slate-500">Efectivo Inicial:</span> <span className="font-medium">${sessionData.startAmount.toFixed(2)}</span></div>
-          <div className="flex justify-between"><span className="text-slate-500">(+) Ventas en Efectivo:</span> <span className="font-medium text-green-600">${sessionData.cashSales.toFixed(2)}</span></div>
+          <div className="flex justify-between"><span className="text-slate-500">(+) Efectivo de Ventas:</span> <span className="font-medium text-green-600">${sessionData.cashSales.toFixed(2)}</span></div>
           <div className="flex justify-between"><span className="text-slate-500">(-) Gastos:</span> <span className="font-medium text-red-600">${sessionData.cashExpenses.toFixed(2)}</span></div>
           <div className="flex justify-between"><span className="text-slate-500">(-) Retiros de Efectivo:</span> <span className="font-medium text-orange-600">${sessionData.cashWithdrawals.toFixed(2)}</span></div>
           <div className="flex justify-between font-bold mt-2 pt-2 border-t"><span className="text-slate-800">Efectivo Esperado:</span> <span>${expectedAmount.toFixed(2)}</span></div>
@@ -160,6 +215,29 @@ const CloseDayModal: React.FC<{
              <span>${difference.toFixed(2)} {difference > 0 ? '(Sobrante)' : difference < 0 ? '(Faltante)' : ''}</span>
            </div>
         )}
+        {hasUsd && (
+          <div className="mt-4 pt-3 border-t">
+            <div className="space-y-1 text-sm mb-2">
+              <div className="flex justify-between"><span className="text-slate-500">Dólares Iniciales:</span> <span className="font-medium">US${sessionData.startAmountUsd.toFixed(2)}</span></div>
+              <div className="flex justify-between"><span className="text-slate-500">(+) Cobrado en Dólares:</span> <span className="font-medium text-green-600">US${sessionData.usdSales.toFixed(2)}</span></div>
+              <div className="flex justify-between font-bold"><span className="text-slate-800">Dólares Esperados:</span> <span>US${expectedUsd.toFixed(2)}</span></div>
+            </div>
+            <label className="block text-sm font-medium text-slate-600 mb-1">Dólares Contados</label>
+            <input
+              type="number"
+              value={countedUsd}
+              onChange={(e) => setCountedUsd(e.target.value)}
+              placeholder="Dólares en caja"
+              className="mt-1 block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 focus:outline-none focus:ring-zinc-500 focus:border-zinc-500 sm:text-sm"
+            />
+            {countedUsd !== '' && !isNaN(differenceUsd) && (
+              <div className={`mt-2 text-sm font-bold flex justify-between p-2 rounded-lg ${Math.abs(differenceUsd) < 0.005 ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                <span>Diferencia USD:</span>
+                <span>US${differenceUsd.toFixed(2)} {differenceUsd > 0 ? '(Sobrante)' : differenceUsd < 0 ? '(Faltante)' : ''}</span>
+              </div>
+            )}
+          </div>
+        )}
         <div className="flex justify-end space-x-3 mt-6">
           <button onClick={onClose} className="px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm font-medium text-slate-700">Cancelar</button>
           <button onClick={handleConfirm} className="px-4 py-2 bg-zinc-900 rounded-xl text-sm font-medium text-white">Confirmar y Cerrar</button>
@@ -171,7 +249,7 @@ const CloseDayModal: React.FC<{
 
 
 const CashReportScreen: React.FC = () => {
-  const { orders, expenses, cashSessions, cashWithdrawals, coworkingSessions, startCashSession, closeCashSession, addCashWithdrawal, refetchAll } = useAppContext();
+  const { orders, refunds, expenses, cashSessions, cashWithdrawals, coworkingSessions, startCashSession, closeCashSession, addCashWithdrawal, refetchAll } = useAppContext();
   const [isStartModalOpen, setIsStartModalOpen] = useState(false);
   const [isCloseModalOpen, setIsCloseModalOpen] = useState(false);
   const [isWithdrawModalOpen, setIsWithdrawModalOpen] = useState(false);
@@ -195,20 +273,31 @@ const CashReportScreen: React.FC = () => {
     s.status === 'closed' && s.endTime && new Date(s.endTime) >= new Date(currentSession.startDate)
   ) : [];
 
+  // Refunds are negative lines in the session they were made in (the order may be older)
+  const sessionRefunds = currentSession ? refunds.filter(r => new Date(r.date) >= new Date(currentSession.startDate)) : [];
+  const totalRefunds = sessionRefunds.reduce((sum, r) => sum + r.amount, 0);
+
   const ordersSales = sessionOrders.reduce((sum, order) => sum + order.total, 0);
   // ⚠️ CRITICAL FIX: Coworking sessions already included in orders - do NOT add separately
   // const coworkingSales = sessionCoworking.reduce((sum, session) => sum + (session.total || 0), 0);
-  const totalSales = ordersSales; // Already includes coworking sessions
+  const totalSales = ordersSales - totalRefunds; // Already includes coworking sessions
 
   const totalExpenses = sessionExpenses.reduce((sum, expense) => sum + expense.amount, 0);
 
   // ⚠️ CRITICAL FIX: Coworking sessions already included in sessionOrders - do NOT add separately
-  const cashSales = sessionOrders.filter(o => o.paymentMethod === 'Efectivo').reduce((sum, o) => sum + o.total, 0);
+  // Split payments: only the cash tenders of an order went into the drawer
+  const cashSales = sessionOrders.reduce((sum, o) => sum + orderAmountPaidWith(o, CASH_METHODS), 0)
+    - sessionRefunds.reduce((sum, r) => sum + refundAmountPaidWith(r, CASH_METHODS), 0);
+  // Dollar tenders, valued in pesos; the drawer holds the dollars and gives change in pesos
+  const usdSales = sessionOrders.reduce((sum, o) => sum + orderAmountPaidWith(o, [USD_CASH_METHOD]), 0)
+    - sessionRefunds.reduce((sum, r) => sum + refundAmountPaidWith(r, [USD_CASH_METHOD]), 0);
+  const drawer = drawerCash(sessionOrders, sessionRefunds);
   // const coworkingCashSales = sessionCoworking.filter(s => s.paymentMethod === 'Efectivo').reduce((sum, s) => sum + (s.total || 0), 0);
   // const cashSales = ordersCashSales + coworkingCashSales;
 
   // Calculate credit sales (Crédito or Fiado)
-  const creditSales = sessionOrders.filter(o => o.paymentMethod === 'Crédito' || o.paymentMethod === 'Fiado').reduce((sum, o) => sum + o.total, 0);
+  const creditSales = sessionOrders.reduce((sum, o) => sum + orderAmountPaidWith(o, CREDIT_METHODS), 0)
+    - sessionRefunds.reduce((sum, r) => sum + refundAmountPaidWith(r, CREDIT_METHODS), 0);
   // const coworkingCreditSales = sessionCoworking.filter(s => s.paymentMethod === 'Crédito' || s.paymentMethod === 'Fiado').reduce((sum, s) => sum + (s.total || 0), 0);
   // const creditSales = ordersCreditSales + coworkingCreditSales;
 
@@ -216,10 +305,12 @@ const CashReportScreen: React.FC = () => {
   const sessionWithdrawals = currentSession ? cashWithdrawals.filter(w => w.cash_session_id === currentSession.id) : [];
   const totalWithdrawals = sessionWithdrawals.reduce((sum, w) => sum + w.amount, 0);
 
-  // Card sales = Total - Cash - Credit
-  const cardSales = totalSales - cashSales - creditSales;
+  // Card sales = Total - Cash - Dollars - Credit
+  const cardSales = totalSales - cashSales - usdSales - creditSales;
   const totalOrders = sessionOrders.length + sessionCoworking.length;
-  const expectedCash = currentSession ? currentSession.startAmount + cashSales - totalExpenses - totalWithdrawals : 0;
+  const expectedCash = currentSession ? currentSession.startAmount + drawer.mxn - totalExpenses - totalWithdrawals : 0;
+  const startAmountUsd = currentSession?.startAmountUsd || 0;
+  const expectedCashUsd = startAmountUsd + drawer.usd;
 
   const handleWithdraw = async (amount: number, description: string) => {
     if (currentSession) {
@@ -262,8 +353,12 @@ const CashReportScreen: React.FC = () => {
           <StatCard title="Ventas a Crédito" value={`$${creditSales.toFixed(2)}`} icon={<SalesIcon className="h-6 w-6 text-amber-600" />} />
           <StatCard title="Gastos" value={`$${totalExpenses.toFixed(2)}`} icon={<ExpenseIcon className="h-6 w-6 text-red-600" />} />
           <StatCard title="Retiros de Efectivo" value={`$${totalWithdrawals.toFixed(2)}`} icon={<CashIcon className="h-6 w-6 text-orange-600" />} />
+          <StatCard title="Reembolsos" value={`-$${totalRefunds.toFixed(2)}`} icon={<SalesIcon className="h-6 w-6 text-red-600" />} />
           <StatCard title="Total de Órdenes" value={totalOrders.toString()} icon={<HistoryIcon className="h-6 w-6 text-yellow-600" />} />
           <StatCard title="Efectivo Esperado" value={`$${expectedCash.toFixed(2)}`} icon={<CashIcon className="h-6 w-6 text-blue-600" />} />
+          {(expectedCashUsd > 0 || usdSales !== 0) && (
+            <StatCard title="Dólares en Caja" value={`US$${expectedCashUsd.toFixed(2)}`} icon={<CashIcon className="h-6 w-6 text-emerald-600" />} />
+          )}
         </div>
 
         {/* Withdrawals List */}
@@ -297,6 +392,9 @@ const CashReportScreen: React.FC = () => {
           </div>
         )}
         
+        {/* Refunds List */}
+        {sessionRefunds.length > 0 && <RefundsTable refunds={sessionRefunds} />}
+
         <CashWithdrawalModal
           isOpen={isWithdrawModalOpen}
           onClose={() => setIsWithdrawModalOpen(false)}
@@ -309,9 +407,11 @@ const CashReportScreen: React.FC = () => {
           onConfirm={closeCashSession}
           sessionData={{
             startAmount: currentSession.startAmount,
-            cashSales: cashSales,
+            cashSales: drawer.mxn,
             cashExpenses: totalExpenses,
-            cashWithdrawals: totalWithdrawals
+            cashWithdrawals: totalWithdrawals,
+            startAmountUsd,
+            usdSales: drawer.usd
           }}
         />
       </div>
@@ -325,6 +425,8 @@ const CashReportScreen: React.FC = () => {
   
   const filteredOrders = deduplicatedOrders.filter(order => order.date && order.date.startsWith(selectedDate));
   const filteredExpenses = expenses.filter(expense => expense.date && expense.date.startsWith(selectedDate));
+  const filteredRefundsHist = refunds.filter(r => r.date && r.date.startsWith(selectedDate));
+  const refundsHist = filteredRefundsHist.reduce((sum, r) => sum + r.amount, 0);
   const filteredCoworkingHist = coworkingSessions.filter(s =>
     s.status === 'closed' && s.endTime && s.endTime.startsWith(selectedDate)
   );
@@ -332,23 +434,28 @@ const CashReportScreen: React.FC = () => {
   const ordersRevenueHist = filteredOrders.reduce((sum, order) => sum + order.total, 0);
   // ⚠️ CRITICAL FIX: Coworking sessions already included in orders - do NOT add separately
   // const coworkingRevenueHist = filteredCoworkingHist.reduce((sum, session) => sum + (session.total || 0), 0);
-  const totalSalesHist = ordersRevenueHist; // Already includes coworking sessions
+  const totalSalesHist = ordersRevenueHist - refundsHist; // Already includes coworking sessions
 
   const totalExpensesHist = filteredExpenses.reduce((sum, expense) => sum + expense.amount, 0);
   // Expenses already include costs, so final balance is just sales minus expenses
   const finalBalanceHist = totalSalesHist - totalExpensesHist;
 
   // ⚠️ CRITICAL FIX: Coworking sessions already included in filteredOrders - do NOT add separately
-  const cashSalesHist = filteredOrders.filter(o => o.paymentMethod === 'Efectivo').reduce((sum, o) => sum + o.total, 0);
+  const cashSalesHist = filteredOrders.reduce((sum, o) => sum + orderAmountPaidWith(o, CASH_METHODS), 0)
+    - filteredRefundsHist.reduce((sum, r) => sum + refundAmountPaidWith(r, CASH_METHODS), 0);
   // const coworkingCashHist = filteredCoworkingHist.filter(s => s.paymentMethod === 'Efectivo').reduce((sum, s) => sum + (s.total || 0), 0);
   // const cashSalesHist = ordersCashHist + coworkingCashHist;
 
   // Calculate credit sales (Crédito or Fiado) for historical view
-  const creditSalesHist = filteredOrders.filter(o => o.paymentMethod === 'Crédito' || o.paymentMethod === 'Fiado').reduce((sum, o) => sum + o.total, 0);
+  const creditSalesHist = filteredOrders.reduce((sum, o) => sum + orderAmountPaidWith(o, CREDIT_METHODS), 0)
+    - filteredRefundsHist.reduce((sum, r) => sum + refundAmountPaidWith(r, CREDIT_METHODS), 0);
   // const coworkingCreditHist = filteredCoworkingHist.filter(s => s.paymentMethod === 'Crédito' || s.paymentMethod === 'Fiado').reduce((sum, s) => sum + (s.total || 0), 0);
   // const creditSalesHist = ordersCreditHist + coworkingCreditHist;
 
-  const cardSalesHist = totalSalesHist - cashSalesHist - creditSalesHist;
+  const usdSalesHist = filteredOrders.reduce((sum, o) => sum + orderAmountPaidWith(o, [USD_CASH_METHOD]), 0)
+    - filteredRefundsHist.reduce((sum, r) => sum + refundAmountPaidWith(r, [USD_CASH_METHOD]), 0);
+
+  const cardSalesHist = totalSalesHist - cashSalesHist - usdSalesHist - creditSalesHist;
   const totalOrdersHist = filteredOrders.length + filteredCoworkingHist.length;
 
   // Get all closed sessions for history (sorted by most recent first)
@@ -382,7 +489,7 @@ const CashReportScreen: React.FC = () => {
         </div>
 
         {/* Only show metrics if there's data for the selected date */}
-        {(totalOrdersHist > 0 || totalExpensesHist > 0) ? (
+        {(totalOrdersHist > 0 || totalExpensesHist > 0 || filteredRefundsHist.length > 0) ? (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
                 <StatCard title="Ventas Totales" value={`$${totalSalesHist.toFixed(2)}`} icon={<DashboardIcon className="h-6 w-6 text-green-600" />} />
                 <StatCard title="Gastos del Día" value={`$${totalExpensesHist.toFixed(2)}`} icon={<ExpenseIcon className="h-6 w-6 text-red-600" />} />
@@ -390,6 +497,7 @@ const CashReportScreen: React.FC = () => {
                 <StatCard title="Ventas en Efectivo" value={`$${cashSalesHist.toFixed(2)}`} icon={<CashIcon className="h-6 w-6 text-cyan-600" />} />
                 <StatCard title="Ventas con Tarjeta" value={`$${cardSalesHist.toFixed(2)}`} icon={<SalesIcon className="h-6 w-6 text-purple-600" />} />
                 <StatCard title="Ventas a Crédito" value={`$${creditSalesHist.toFixed(2)}`} icon={<SalesIcon className="h-6 w-6 text-amber-600" />} />
+                <StatCard title="Reembolsos" value={`-$${refundsHist.toFixed(2)}`} icon={<SalesIcon className="h-6 w-6 text-red-600" />} />
                 <StatCard title="Total de Órdenes" value={totalOrdersHist.toString()} icon={<HistoryIcon className="h-6 w-6 text-yellow-600" />} />
             </div>
         ) : (
@@ -411,6 +519,8 @@ const CashReportScreen: React.FC = () => {
             </div>
         )}
 
+        {filteredRefundsHist.length > 0 && <RefundsTable refunds={filteredRefundsHist} />}
+
         {/* Cash Sessions History */}
         <div className="bg-white p-6 rounded-xl shadow-md mt-8">
             <h2 className="text-xl font-bold text-slate-800 mb-4">
@@ -469,6 +579,9 @@ const CashReportScreen: React.FC = () => {
                                             ${difference.toFixed(2)}
                                             {difference > 0 && <span className="text-xs ml-1">(Sobra)</span>}
                                             {difference < 0 && <span className="text-xs ml-1">(Falta)</span>}
+                                            {(session.expectedCashUsd > 0 || session.endAmountUsd > 0) && (
+                                                <div className="text-xs font-medium">US${(session.differenceUsd || 0).toFixed(2)}</div>
+                                            )}
                                         </td>
                                     </tr>
                                 );
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import type { CustomerDisplayState } from '../types';
+
+// The screen facing the customer: a second tablet or monitor opened at
+// /pantalla?caja=<register id> (the link is in Punto de Venta). It mirrors
+// that register's cart over its SSE channel, shows a QR after checkout and
+// rotates the promotional images while the register is idle. Public like
+// /facturar: no login, no app data.
+
+const IMAGE_SECONDS = 8;
+const RECONNECT_MS = 3000;
+
+const formatMoney = (value: number) => `$${value.toFixed(2)}`;
+
+const CustomerDisplayScreen: React.FC = () => {
+  const registerId = new URLSearchParams(window.location.search).get('caja') || '';
+  const [state, setState] = useState<CustomerDisplayState>({ mode: 'idle' });
+  const [images, setImages] = useState<string[]>([]);
+  const [imageIndex, setImageIndex] = useState(0);
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    if (!registerId) return;
+    let source: EventSource | null = null;
+    let retry: number | undefined;
+
+    const connect = () => {
+      source = new EventSource(`/api/customer-display/${encodeURIComponent(registerId)}/events`);
+      source.onopen = () => setConnected(true);
+      source.onmessage = (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          if (data.type !== 'display') return;
+          setState(data.state);
+          if (data.images) setImages(data.images);
+        } catch (error) {
+          console.error('[CustomerDisplay] Bad event:', error);
+        }
+      };
+      source.onerror = () => {
+        setConnected(false);
+        source?.close();
+        retry = window.setTimeout(connect, RECONNECT_MS);
+      };
+    };
+
+    connect();
+    return () => {
+      source?.close();
+      window.clearTimeout(retry);
+    };
+  }, [registerId]);
+
+  useEffect(() => {
+    if (state.mode !== 'idle' || images.length < 2) return;
+    const timer = window.setInterval(() => setImageIndex(i => (i + 1) % images.length), IMAGE_SECONDS * 1000);
+    return () => window.clearInterval(timer);
+  }, [state.mode, images.length]);
+
+  if (!registerId) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-900 text-white p-8 text-center">
+        <p className="text-xl">Abre esta pantalla desde el enlace de la caja (Punto de Venta → 🖥️ Pantalla).</p>
+      </div>
+    );
+  }
+
+  if (state.mode === 'cart') {
+    return (
+      <div className="min-h-screen bg-slate-50 flex flex-col p-6 sm:p-10">
+        <h1 className="text-3xl font-bold text-slate-800 mb-6">Tu orden</h1>
+        <div className="flex-1 overflow-y-auto divide-y bg-white rounded-3xl shadow-md px-6">
+          {state.items.map((item, i) => (
+            <div key={i} className="flex justify-between items-start py-4 text-xl">
+              <div>
+                <p className="font-semibold text-slate-800">{item.quantity} × {item.name}</p>
+                {item.details && <p className="text-base text-slate-500">{item.details}</p>}
+              </div>
+              <p className="font-semibold text-slate-900">{formatMoney(item.price * item.quantity)}</p>
+            </div>
+          ))}
+        </div>
+        <div className="mt-6 bg-white rounded-3xl shadow-md p-6 text-xl space-y-2">
+          <div className="flex justify-between text-slate-600"><span>Subtotal</span><span>{formatMoney(state.subtotal)}</span></div>
+          {state.discount > 0 && (
+            <div className="flex justify-between text-green-700"><span>Descuentos</span><span>-{formatMoney(state.discount)}</span></div>
+          )}
+          {state.tip > 0 && (
+            <div className="flex justify-between text-slate-600"><span>Propina</span><span>{formatMoney(state.tip)}</span></div>
+          )}
+          <div className="flex justify-between text-4xl font-bold text-slate-900 pt-2 border-t"><span>Total</span><span>{formatMoney(state.total)}</span></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (state.mode === 'paid') {
+    return (
+      <div className="min-h-screen bg-slate-50 flex flex-col items-center justify-center p-8 text-center">
+        <p className="text-4xl font-bold text-slate-800">¡Gracias por tu compra!</p>
+        <p className="text-2xl text-slate-600 mt-2">Total {formatMoney(state.total)}</p>
+        {state.changeDue !== null && state.changeDue > 0 && (
+          <p className="text-3xl font-semibold text-green-700 mt-2">Tu cambio: {formatMoney(state.changeDue)}</p>
+        )}
+        <img
+          src={`/api/qr.svg?data=${encodeURIComponent(state.qrData)}`}
+          alt="Código QR"
+          className="w-64 h-64 mt-8 bg-white rounded-2xl shadow-md p-2"
+        />
+        <p className="text-lg text-slate-600 mt-4">
+          {state.qrKind === 'invoice' ? 'Escanea para facturar tu compra' : `Referencia de pago: ${state.orderId}`}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-900 flex items-center justify-center relative overflow-hidden">
+      {images.length > 0 ? (
+        <img src={images[imageIndex % images.length]} alt="" className="w-full h-screen object-cover" />
+      ) : (
+        <p className="text-4xl font-bold text-white">¡Bienvenido!</p>
+      )}
+      {!connected && <span className="absolute bottom-3 right-3 text-xs text-slate-400">Reconectando…</span>}
+    </div>
+  );
+};
+
+export default CustomerDisplayScreen;
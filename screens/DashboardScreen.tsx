@@ -4,6 +4,7 @@ import RefreshButton from '../components/RefreshButton';
 import { useAppContext } from '../contexts/AppContext';
 import { SalesIcon, ProductsIcon, HistoryIcon, DashboardIcon, ExpenseIcon, CashIcon } from '../components/Icons';
 import { deduplicateOrders } from '../utils/deduplication';
+import { productLines } from '../utils/bundles';
 
 const DashboardScreen: React.FC = () => {
     const { orders, expenses, coworkingSessions, refetchAll } = useAppContext();
@@ -93,10 +94,11 @@ const DashboardScreen: React.FC = () => {
     const netProfit = grossProfit - totalExpenses;
     const totalOrders = filteredOrders.length;
     
+    // Combos count as the products they're made of
     const getTopSellingProducts = () => {
         const productCounts = new Map<string, { name: string, count: number }>();
         filteredOrders.forEach(order => {
-            order.items.forEach(item => {
+            order.items.flatMap(productLines).forEach(item => {
                 const existing = productCounts.get(item.id);
                 productCounts.set(item.id, {
                     name: item.name,
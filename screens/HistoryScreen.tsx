@@ -1,10 +1,155 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useAppContext } from '../contexts/AppContext';
 import RefreshButton from '../components/RefreshButton';
-import { TrashIcon } from '../components/Icons';
-import type { Order } from '../types';
+import ReceiptModal from '../components/ReceiptModal';
+import InvoiceModal from '../components/InvoiceModal';
+import EditOrderModal from '../components/EditOrderModal';
+import { orderAmountPaidWith, formatTenders, CREDIT_METHODS } from '../utils/payments';
+import type { Order, OrderRefund, OrderEdit, OrderSnapshot } from '../types';
+import { deduplicateOrders } from '../utils/deduplication';
+import { formatModifiers } from '../utils/modifiers';
+import useOrderSearch from '../hooks/useOrderSearch';
+import type { OrderFilters } from '../hooks/useOrderSearch';
 
-const OrderDetailsModal: React.FC<{ order: Order, onClose: () => void }> = ({ order, onClose }) => (
+// Split-bill lines can hold a fraction of a dish (e.g. 0.3333)
+const formatQuantity = (quantity: number) => Number(quantity.toFixed(2));
+
+const REFUND_STATUS_LABELS: Record<string, { label: string, className: string }> = {
+    refunded: { label: 'Reembolsada', className: 'bg-red-100 text-red-800' },
+    partially_refunded: { label: 'Reembolso parcial', className: 'bg-orange-100 text-orange-800' },
+};
+
+const RefundStatusBadge: React.FC<{ order: Order }> = ({ order }) => {
+    const status = order.status && REFUND_STATUS_LABELS[order.status];
+    if (!status) return null;
+    return (
+        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+            {status.label}
+        </span>
+    );
+};
+
+const PREP_STATUS_LABELS: Record<string, { label: string, className: string }> = {
+    new: { label: 'En cola', className: 'bg-slate-100 text-slate-700' },
+    in_progress: { label: 'Preparando', className: 'bg-amber-100 text-amber-800' },
+    ready: { label: 'Lista', className: 'bg-green-100 text-green-800' },
+    delivered: { label: 'Entregada', className: 'bg-slate-100 text-slate-500' },
+};
+
+// Where the order is on the kitchen display (nothing when it had nothing to prepare)
+const PrepStatusBadge: React.FC<{ order: Order }> = ({ order }) => {
+    const status = order.prepStatus && PREP_STATUS_LABELS[order.prepStatus];
+    if (!status) return null;
+    return (
+        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+            {status.label}
+        </span>
+    );
+};
+
+// Links to the invoice's PDF once the order has been invoiced
+const InvoiceBadge: React.FC<{ order: Order }> = ({ order }) => {
+    if (!order.invoiceId) return null;
+    return (
+        <a href={`/api/invoices/${order.invoiceId}/pdf`} title="Descargar factura" className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 hover:bg-blue-200">
+            Facturada
+        </a>
+    );
+};
+
+// Corrected after the sale; the details show what changed
+const PendingSyncBadge: React.FC<{ order: Order }> = ({ order }) => {
+    if (!order.pendingSync) return null;
+    return (
+        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800" title="Se registró sin conexión; se enviará al reconectar">
+            Sin sincronizar
+        </span>
+    );
+};
+
+const EditedBadge: React.FC<{ order: Order }> = ({ order }) => {
+    if (!order.lastEditedAt) return null;
+    return (
+        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800" title={`Editada ${new Date(order.lastEditedAt).toLocaleString()}`}>
+            Editada
+        </span>
+    );
+};
+
+// Refunded orders would need a credit note, which isn't issued
+// A sale still in the offline queue doesn't exist on the server yet
+const canInvoice = (order: Order) => !order.pendingSync && !order.invoiceId && (order.status || 'completed') === 'completed';
+// Same rule on the server: refunds and invoices fix the order as it was
+const canEdit = canInvoice;
+// An invoiced order's refund would need a credit note too
+const canRefund = (order: Order) => !order.pendingSync && !order.invoiceId && order.status !== 'refunded';
+
+const EDIT_FIELD_LABELS: Record<keyof OrderSnapshot, string> = {
+    clientName: 'Cliente',
+    serviceType: 'Servicio',
+    customerId: 'Cliente registrado',
+    paymentMethod: 'Pago',
+    payments: 'Pagos',
+    items: 'Productos',
+    subtotal: 'Subtotal',
+    discount: 'Descuento',
+    tip: 'Propina',
+    total: 'Total',
+    promotions: 'Promociones',
+};
+
+const formatSnapshotField = (snapshot: OrderSnapshot, field: keyof OrderSnapshot, customerName: (id: string) => string) => {
+    const value = snapshot[field];
+    if (value === null || value === undefined) return '—';
+    if (field === 'customerId') return customerName(String(value));
+    if (field === 'payments') return formatTenders(snapshot.payments) || snapshot.paymentMethod;
+    if (field === 'items') return snapshot.items.map(item => `${item.name} (${formatQuantity(item.quantity)})`).join(', ');
+    if (field === 'promotions') return snapshot.promotions.map(promotion => promotion.name).join(', ') || '—';
+    if (typeof value === 'number') return `$${value.toFixed(2)}`;
+    return String(value);
+};
+
+// The order's change trail, newest first (loaded when the details open)
+const OrderEditHistory: React.FC<{ order: Order }> = ({ order }) => {
+    const { fetchOrderEdits, users, customers } = useAppContext();
+    const [edits, setEdits] = useState<OrderEdit[]>([]);
+
+    useEffect(() => {
+        if (!order.lastEditedAt) return;
+        fetchOrderEdits(order.id)
+            .then(setEdits)
+            .catch(error => console.error('Error fetching order edits:', error));
+    }, [order.id, order.lastEditedAt]);
+
+    if (edits.length === 0) return null;
+    const customerName = (id: string) => customers.find(customer => customer.id === id)?.name || id;
+    return (
+        <div className="mt-4 space-y-2">
+            <h3 className="text-sm font-semibold text-slate-700">Ediciones</h3>
+            {edits.map(edit => (
+                <div key={edit.id} className="bg-yellow-50 rounded-2xl p-3 text-sm">
+                    <div className="flex justify-between">
+                        <span className="text-slate-600">{new Date(edit.date).toLocaleString()}</span>
+                        <span className="text-slate-600">
+                            {users.find(user => user.id === edit.userId)?.username || 'Usuario desconocido'}
+                            {edit.adminAuthorized && ' · con clave de administrador'}
+                        </span>
+                    </div>
+                    {edit.changes.map(field => (
+                        <p key={field} className="text-slate-700">
+                            <span className="font-medium">{EDIT_FIELD_LABELS[field] || field}:</span>{' '}
+                            <span className="line-through text-slate-400">{formatSnapshotField(edit.before, field, customerName)}</span>{' → '}
+                            {formatSnapshotField(edit.after, field, customerName)}
+                        </p>
+                    ))}
+                    <p className="text-slate-500 italic">Motivo: {edit.reason}</p>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const OrderDetailsModal: React.FC<{ order: Order, refunds: OrderRefund[], onClose: () => void }> = ({ order, refunds, onClose }) => (
     <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
         <div className="bg-white rounded-3xl shadow-xl w-full max-w-lg">
             <div className="p-6">
@@ -22,14 +167,25 @@ const OrderDetailsModal: React.FC<{ order: Order, onClose: () => void }> = ({ or
                 <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 text-sm text-slate-500 mb-4 bg-slate-50 p-3 rounded-2xl">
                     <div>Cliente: <span className="font-medium text-slate-700 block">{order.clientName || 'N/A'}</span></div>
                     <div>Servicio: <span className="font-medium text-slate-700 block">{order.serviceType}</span></div>
-                    <div>Pago: <span className="font-medium text-slate-700 block">{order.paymentMethod}</span></div>
+                    <div>Pago: <span className="font-medium text-slate-700 block">{order.paymentMethod}</span>
+                        {formatTenders(order.payments) && <span className="text-xs text-slate-500 block">{formatTenders(order.payments)}</span>}
+                        {(order.cashTendered !== undefined || order.usdTendered !== undefined) && (
+                            <span className="text-xs text-slate-500 block">
+                                Recibido {[
+                                    order.cashTendered !== undefined ? `$${order.cashTendered.toFixed(2)}` : '',
+                                    order.usdTendered !== undefined ? `US$${order.usdTendered.toFixed(2)} @ ${order.exchangeRate}` : '',
+                                ].filter(Boolean).join(' + ')} · Cambio ${(order.changeDue || 0).toFixed(2)}
+                            </span>
+                        )}
+                    </div>
                 </div>
 
                 <div className="border-t border-b py-2 my-4 space-y-2 max-h-48 overflow-y-auto">
-                    {order.items.map(item => (
-                        <div key={item.id} className="flex justify-between items-center text-sm pr-2">
+                    {order.items.map((item, index) => (
+                        <div key={`${item.id}-${index}`} className="flex justify-between items-center text-sm pr-2">
                             <div>
                                 <p className="font-medium text-slate-800">{item.name}</p>
+                                {item.modifiers && item.modifiers.length > 0 && <p className="text-xs text-slate-500">{formatModifiers(item.modifiers)}</p>}
                                 <p className="text-slate-500">{item.quantity} x ${item.price.toFixed(2)}</p>
                             </div>
                             <p className="text-slate-700 font-medium">${(item.quantity * item.price).toFixed(2)}</p>
@@ -47,6 +203,24 @@ const OrderDetailsModal: React.FC<{ order: Order, onClose: () => void }> = ({ or
                     )}
                     <div className="flex justify-between text-base font-bold pt-2 border-t mt-2"><span className="text-slate-800">Total:</span> <span>${order.total.toFixed(2)}</span></div>
                 </div>
+
+                <OrderEditHistory order={order} />
+
+                {refunds.length > 0 && (
+                    <div className="mt-4 space-y-2">
+                        <h3 className="text-sm font-semibold text-slate-700">Reembolsos</h3>
+                        {refunds.map(refund => (
+                            <div key={refund.id} className="bg-red-50 rounded-2xl p-3 text-sm">
+                                <div className="flex justify-between">
+                                    <span className="text-slate-600">{new Date(refund.date).toLocaleString()}</span>
+                                    <span className="font-bold text-red-700">-${refund.amount.toFixed(2)}</span>
+                                </div>
+                                <p className="text-slate-700">{refund.items.map(item => `${item.name} (${item.quantity})`).join(', ')}</p>
+                                <p className="text-slate-500 italic">Motivo: {refund.reason}</p>
+                            </div>
+                        ))}
+                    </div>
+                )}
             </div>
             <div className="bg-slate-50 px-6 py-4 flex justify-end rounded-b-3xl">
                 <button type="button" onClick={onClose} className="px-4 py-2 bg-zinc-900 border border-transparent rounded-xl text-sm font-medium text-white hover:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-zinc-500">Cerrar</button>
@@ -55,30 +229,418 @@ const OrderDetailsModal: React.FC<{ order: Order, onClose: () => void }> = ({ or
     </div>
 );
 
+// Full void or per-line partial refund. Quantities already refunded are
+// subtracted so a line can't be returned twice.
+const RefundOrderModal: React.FC<{
+    order: Order,
+    refunds: OrderRefund[],
+    onClose: () => void,
+    onConfirm: (reason: string, lines?: { lineIndex: number, quantity: number }[]) => Promise<void>,
+}> = ({ order, refunds, onClose, onConfirm }) => {
+    const remaining = order.items.map((item, index) => item.quantity - refunds.reduce((sum, refund) =>
+        sum + refund.items.filter(line => line.lineIndex === index).reduce((acc, line) => acc + line.quantity, 0), 0));
+    const [quantities, setQuantities] = useState<number[]>(remaining);
+    const [reason, setReason] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const isFullRefund = quantities.every((quantity, index) => quantity === remaining[index]);
+    const selectedLines = quantities
+        .map((quantity, lineIndex) => ({ lineIndex, quantity }))
+        .filter(line => line.quantity > 0);
+    const discountRatio = order.subtotal > 0 ? (order.discount || 0) / order.subtotal : 0;
+    const estimatedAmount = isFullRefund
+        ? order.total - (order.refundedAmount || 0)
+        : selectedLines.reduce((sum, line) => sum + order.items[line.lineIndex].price * line.quantity * (1 - discountRatio), 0);
+
+    const handleConfirm = async () => {
+        if (!reason.trim()) {
+            alert('Por favor, indique el motivo del reembolso.');
+            return;
+        }
+        if (selectedLines.length === 0) {
+            alert('Seleccione al menos un producto para reembolsar.');
+            return;
+        }
+        setIsSubmitting(true);
+        try {
+            await onConfirm(reason.trim(), isFullRefund ? undefined : selectedLines);
+            onClose();
+        } catch (error) {
+            console.error('Error refunding order:', error);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-3xl shadow-xl w-full max-w-lg p-6">
+                <h2 className="text-2xl font-bold text-slate-800 mb-1">Reembolsar Orden</h2>
+                <p className="text-sm text-slate-500 mb-4">{order.clientName || 'Cliente general'} · Pago: {order.paymentMethod}</p>
+
+                <div className="border-t border-b py-2 mb-4 space-y-2 max-h-60 overflow-y-auto">
+                    {order.items.map((item, index) => (
+                        <div key={`${item.id}-${index}`} className="flex justify-between items-center text-sm pr-2">
+                            <div>
+                                <p className="font-medium text-slate-800">{item.name}</p>
+                                {item.modifiers && item.modifiers.length > 0 && <p className="text-xs text-slate-500">{formatModifiers(item.modifiers)}</p>}
+                                <p className="text-slate-500">{formatQuantity(remaining[index])} de {formatQuantity(item.quantity)} disponibles · ${item.price.toFixed(2)}</p>
+                            </div>
+                            <input
+                                type="number"
+                                min={0}
+                                max={remaining[index]}
+                                value={quantities[index]}
+                                disabled={remaining[index] <= 0}
+                                onChange={e => {
+                                    // A fractional share of a split bill is refunded whole or not at all
+                                    const value = Number.isInteger(remaining[index])
+                                        ? Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), remaining[index])
+                                        : (parseFloat(e.target.value) > 0 ? remaining[index] : 0);
+                                    setQuantities(prev => prev.map((q, i) => i === index ? value : q));
+                                }}
+                                className="w-20 border border-slate-300 rounded-xl py-1 px-2 text-right disabled:bg-slate-100"
+                            />
+                        </div>
+                    ))}
+                </div>
+
+                <label className="block text-sm font-medium text-slate-600 mb-1">Motivo</label>
+                <textarea
+                    value={reason}
+                    onChange={e => setReason(e.target.value)}
+                    placeholder="Ej: Producto en mal estado, cobro equivocado, etc."
+                    className="block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 focus:outline-none focus:ring-zinc-500 focus:border-zinc-500 sm:text-sm"
+                    rows={2}
+                    autoFocus
+                />
+
+                <div className="flex justify-between items-center mt-4 text-base font-bold">
+                    <span className="text-slate-800">{isFullRefund ? 'Reembolso total' : 'Reembolso parcial'}:</span>
+                    <span className="text-red-600">-${estimatedAmount.toFixed(2)}</span>
+                </div>
+                <p className="text-xs text-slate-500 mt-1">El inventario de los productos se repone automáticamente{orderAmountPaidWith(order, CREDIT_METHODS) > 0 ? ' y se descuenta del crédito del cliente' : ''}.</p>
+
+                <div className="flex justify-end space-x-3 mt-6">
+                    <button onClick={onClose} className="px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm font-medium text-slate-700">Cancelar</button>
+                    <button onClick={handleConfirm} disabled={isSubmitting} className="px-4 py-2 bg-red-600 rounded-xl text-sm font-medium text-white disabled:opacity-50">
+                        {isSubmitting ? 'Procesando...' : 'Confirmar Reembolso'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+type OrderRowProps = {
+    order: Order;
+    onView: (order: Order) => void;
+    onRefund: (order: Order) => void;
+    onReceipt: (order: Order) => void;
+    onInvoice: (order: Order) => void;
+    onEdit: (order: Order) => void;
+    isChild?: boolean; // One payer's check inside a split ticket
+};
+
+const OrderTableRow: React.FC<OrderRowProps> = ({ order, onView, onRefund, onReceipt, onInvoice, onEdit, isChild }) => {
+    const orderDate = new Date(order.date);
+    const dateString = orderDate.toLocaleDateString('es-MX', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    const timeString = orderDate.toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' });
+    const dateTimeString = `${dateString} ${timeString}`;
+    const isCoworking = order.items.some(item => item.id === 'COWORK_SERVICE' || item.name.includes('Coworking'));
+    const serviceType = isCoworking ? 'Coworking' : 'Cafetería';
+    const serviceColor = isCoworking ? 'bg-purple-100 text-purple-800' : 'bg-orange-100 text-orange-800';
+    const productsList = order.items
+        .filter(item => item.id !== 'COWORK_SERVICE')
+        .map(item => `${item.name} (${formatQuantity(item.quantity)})`)
+        .join(', ') || 'Servicio';
+
+    return (
+        <tr className={`border-b hover:bg-slate-50 ${isChild ? 'bg-slate-50/60' : ''}`}>
+            <td className="p-4 text-sm text-slate-800 font-medium">{dateTimeString}</td>
+            <td className="p-4 text-sm text-slate-800">{isChild ? <span className="pl-4 text-slate-600">↳ {order.payerLabel}</span> : (order.clientName || 'Cliente general')}</td>
+            <td className="p-4 text-sm">
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${serviceColor}`}>
+                    {serviceType}
+                </span>
+            </td>
+            <td className="p-4 text-sm text-slate-600 max-w-xs truncate" title={productsList}>
+                {productsList}
+            </td>
+            <td className="p-4 text-sm text-slate-800 font-bold text-right">
+                ${order.total.toFixed(2)}
+                {(order.refundedAmount || 0) > 0 && (
+                    <span className="block text-xs font-medium text-red-600">-${(order.refundedAmount || 0).toFixed(2)}</span>
+                )}
+            </td>
+            <td className="p-4 text-sm">
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                    order.paymentMethod === 'Efectivo'
+                        ? 'bg-emerald-100 text-emerald-800'
+                        : order.paymentMethod === 'Tarjeta'
+                        ? 'bg-purple-100 text-purple-800'
+                        : order.paymentMethod === 'Mixto'
+                        ? 'bg-sky-100 text-sky-800'
+                        : 'bg-amber-100 text-amber-800'
+                }`} title={formatTenders(order.payments) || undefined}>
+                    {order.paymentMethod}
+                </span>
+                <span className="ml-1"><RefundStatusBadge order={order} /></span>
+                <span className="ml-1"><PrepStatusBadge order={order} /></span>
+                <span className="ml-1"><InvoiceBadge order={order} /></span>
+                <span className="ml-1"><EditedBadge order={order} /></span>
+                <span className="ml-1"><PendingSyncBadge order={order} /></span>
+            </td>
+            <td className="p-4 text-sm text-center">
+                <div className="flex justify-center items-center space-x-2">
+                    <button onClick={() => onView(order)} className="text-zinc-700 hover:underline font-medium">Ver</button>
+                    {!order.pendingSync && (
+                        <button onClick={() => onReceipt(order)} className="text-zinc-700 hover:underline font-medium" title="Reimprimir ticket">Ticket</button>
+                    )}
+                    {canInvoice(order) && (
+                        <button onClick={() => onInvoice(order)} className="text-blue-700 hover:underline font-medium" title="Emitir factura (CFDI)">Facturar</button>
+                    )}
+                    {canEdit(order) && (
+                        <button onClick={() => onEdit(order)} className="text-zinc-700 hover:underline font-medium" title="Corregir la orden">Editar</button>
+                    )}
+                    {canRefund(order) && (
+                        <button onClick={() => onRefund(order)} className="text-red-600 hover:underline font-medium" title="Reembolsar orden">
+                            Reembolsar
+                        </button>
+                    )}
+                </div>
+            </td>
+        </tr>
+    );
+};
+
+const OrderCard: React.FC<OrderRowProps> = ({ order, onView, onRefund, onReceipt, onInvoice, onEdit, isChild }) => {
+    const orderDate = new Date(order.date);
+    const dateString = orderDate.toLocaleDateString('es-MX', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    const timeString = orderDate.toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' });
+    const dateTimeString = `${dateString} ${timeString}`;
+    const isCoworking = order.items.some(item => item.id === 'COWORK_SERVICE' || item.name.includes('Coworking'));
+    const serviceType = isCoworking ? 'Coworking' : 'Cafetería';
+    const serviceColor = isCoworking ? 'bg-purple-100 text-purple-800' : 'bg-orange-100 text-orange-800';
+    const productsList = order.items
+        .filter(item => item.id !== 'COWORK_SERVICE')
+        .map(item => `${item.name} (${formatQuantity(item.quantity)})`)
+        .join(', ') || 'Servicio';
+
+    return (
+        <div className={`border-b p-4 ${isChild ? 'pl-8 bg-slate-50/60' : ''}`}>
+            <div className="flex justify-between items-start mb-2">
+                <div className="flex-1">
+                    <p className="text-sm text-slate-800 font-semibold">{isChild ? `↳ ${order.payerLabel}` : (order.clientName || 'Cliente general')}</p>
+                    <p className="text-xs text-slate-500 mt-0.5">{dateTimeString}</p>
+                </div>
+                <p className="text-lg font-bold text-slate-800">${order.total.toFixed(2)}</p>
+            </div>
+            <div className="mb-2">
+                <p className="text-xs text-slate-500 mb-1">Consumo:</p>
+                <p className="text-sm text-slate-700 line-clamp-2">{productsList}</p>
+            </div>
+            <div className="flex items-center gap-2 mb-2">
+                <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${serviceColor}`}>
+                    {serviceType}
+                </span>
+                <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+                    order.paymentMethod === 'Efectivo'
+                        ? 'bg-emerald-100 text-emerald-800'
+                        : order.paymentMethod === 'Tarjeta'
+                        ? 'bg-purple-100 text-purple-800'
+                        : order.paymentMethod === 'Mixto'
+                        ? 'bg-sky-100 text-sky-800'
+                        : 'bg-amber-100 text-amber-800'
+                }`} title={formatTenders(order.payments) || undefined}>
+                    {order.paymentMethod}
+                </span>
+                <RefundStatusBadge order={order} />
+                <PrepStatusBadge order={order} />
+                <InvoiceBadge order={order} />
+                <EditedBadge order={order} />
+                <PendingSyncBadge order={order} />
+            </div>
+            <div className="flex justify-end items-center space-x-2">
+                <button onClick={() => onView(order)} className="px-3 py-1 bg-slate-100 text-slate-800 text-xs font-semibold rounded-lg hover:bg-slate-200">Ver Detalles</button>
+                {!order.pendingSync && (
+                    <button onClick={() => onReceipt(order)} className="px-3 py-1 bg-slate-100 text-slate-800 text-xs font-semibold rounded-lg hover:bg-slate-200">Ticket</button>
+                )}
+                {canInvoice(order) && (
+                    <button onClick={() => onInvoice(order)} className="px-3 py-1 bg-blue-50 text-blue-700 text-xs font-semibold rounded-lg hover:bg-blue-100">Facturar</button>
+                )}
+                {canEdit(order) && (
+                    <button onClick={() => onEdit(order)} className="px-3 py-1 bg-slate-100 text-slate-800 text-xs font-semibold rounded-lg hover:bg-slate-200">Editar</button>
+                )}
+                {canRefund(order) && (
+                    <button onClick={() => onRefund(order)} className="px-3 py-1 bg-red-50 text-red-700 text-xs font-semibold rounded-lg hover:bg-red-100">
+                        Reembolsar
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Split bills come back as one order per payer; HistoryScreen shows them
+// under a single ticket row that adds them up.
+type HistoryEntry = { order: Order } | { ticketId: string; orders: Order[] };
+
+const groupByTicket = (orders: Order[]): HistoryEntry[] => {
+    const entries: HistoryEntry[] = [];
+    const tickets = new Map<string, Order[]>();
+    orders.forEach(order => {
+        if (!order.parentOrderId) {
+            entries.push({ order });
+            return;
+        }
+        const ticket = tickets.get(order.parentOrderId);
+        if (ticket) {
+            ticket.push(order);
+        } else {
+            const children = [order];
+            tickets.set(order.parentOrderId, children);
+            entries.push({ ticketId: order.parentOrderId, orders: children });
+        }
+    });
+    tickets.forEach(children => children.sort((a, b) => (a.payerLabel || '').localeCompare(b.payerLabel || '', 'es', { numeric: true })));
+    return entries;
+};
+
+const ticketSummary = (orders: Order[]) => {
+    const first = orders[0];
+    const date = new Date(first.date);
+    return {
+        clientName: first.clientName || 'Cliente general',
+        dateTimeString: `${date.toLocaleDateString('es-MX', { day: '2-digit', month: '2-digit', year: 'numeric' })} ${date.toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' })}`,
+        total: orders.reduce((sum, o) => sum + o.total, 0),
+        refunded: orders.reduce((sum, o) => sum + (o.refundedAmount || 0), 0),
+        methods: [...new Set(orders.map(o => o.paymentMethod))].join(' / '),
+    };
+};
+
+const SplitTicketBadge: React.FC<{ count: number }> = ({ count }) => (
+    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+        ✂️ Cuenta dividida ({count})
+    </span>
+);
+
+const filterInputClass = 'border border-slate-300 rounded-xl py-2 px-3 text-sm w-full';
+
+// Dates are picked as local days and sent as [start of `from`, start of the day after `to`)
+const dayStart = (date: string, addDays = 0) => {
+    const day = new Date(`${date}T00:00:00`);
+    day.setDate(day.getDate() + addDays);
+    return day.toISOString();
+};
+
+const EMPTY_FILTERS = { fromDate: '', toDate: '', paymentMethod: '', serviceType: '', customerId: '', userId: '', productId: '', minTotal: '', maxTotal: '', q: '' };
+type FilterForm = typeof EMPTY_FILTERS;
+
+const OrderFilterBar: React.FC<{ value: FilterForm; onChange: (value: FilterForm) => void }> = ({ value, onChange }) => {
+    const { customers, users, products } = useAppContext();
+    const set = (key: keyof FilterForm) => (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => onChange({ ...value, [key]: e.target.value });
+    const isFiltered = Object.values(value).some(Boolean);
+
+    return (
+        <div className="bg-white shadow-md rounded-3xl p-4 mb-4 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3">
+            <input type="search" value={value.q} onChange={set('q')} placeholder="Buscar cliente..." className={`${filterInputClass} col-span-2`} />
+            <label className="text-xs text-slate-500">Desde<input type="date" value={value.fromDate} onChange={set('fromDate')} className={filterInputClass} /></label>
+            <label className="text-xs text-slate-500">Hasta<input type="date" value={value.toDate} onChange={set('toDate')} className={filterInputClass} /></label>
+            <label className="text-xs text-slate-500">Total mín.<input type="number" min="0" step="0.01" value={value.minTotal} onChange={set('minTotal')} className={filterInputClass} /></label>
+            <label className="text-xs text-slate-500">Total máx.<input type="number" min="0" step="0.01" value={value.maxTotal} onChange={set('maxTotal')} className={filterInputClass} /></label>
+            <select value={value.paymentMethod} onChange={set('paymentMethod')} className={filterInputClass}>
+                <option value="">Todos los pagos</option>
+                <option value="Efectivo">Efectivo</option>
+                <option value="Tarjeta">Tarjeta</option>
+                <option value="Crédito">Crédito</option>
+                <option value="Mixto">Mixto</option>
+            </select>
+            <select value={value.serviceType} onChange={set('serviceType')} className={filterInputClass}>
+                <option value="">Todos los servicios</option>
+                <option value="Mesa">Mesa</option>
+                <option value="Para llevar">Para llevar</option>
+            </select>
+            <select value={value.productId} onChange={set('productId')} className={filterInputClass}>
+                <option value="">Todos los productos</option>
+                {products.map(product => <option key={product.id} value={product.id}>{product.name}</option>)}
+            </select>
+            <select value={value.customerId} onChange={set('customerId')} className={filterInputClass}>
+                <option value="">Todos los clientes</option>
+                {customers.map(customer => <option key={customer.id} value={customer.id}>{customer.name}</option>)}
+            </select>
+            <select value={value.userId} onChange={set('userId')} className={filterInputClass}>
+                <option value="">Todos los usuarios</option>
+                {users.map(user => <option key={user.id} value={user.id}>{user.username}</option>)}
+            </select>
+            {isFiltered && (
+                <button onClick={() => onChange(EMPTY_FILTERS)} className="text-sm font-medium text-zinc-700 hover:underline">Limpiar filtros</button>
+            )}
+        </div>
+    );
+};
+
 const HistoryScreen: React.FC = () => {
-    const { orders, deleteOrder, refetchAll } = useAppContext();
+    const { orders: latestOrders, refunds, refundOrder, refetchAll } = useAppContext();
     const [selectedOrder, setSelectedOrder] = useState<Order | null>(null);
+    const [refundingOrder, setRefundingOrder] = useState<Order | null>(null);
+    const [receiptOrder, setReceiptOrder] = useState<Order | null>(null);
+    const [invoicingOrder, setInvoicingOrder] = useState<Order | null>(null);
+    const [editingOrder, setEditingOrder] = useState<Order | null>(null);
+    const [expandedTickets, setExpandedTickets] = useState<Set<string>>(new Set());
 
     // ✅ OPTIMIZED: No redundant polling - AppContext handles data fetching
     // Service Worker caches API responses with TTL-based invalidation
 
-    const handleDelete = async (orderId: string) => {
-        if (confirm('¿Estás seguro de que deseas eliminar esta orden? Esta acción no se puede deshacer.')) {
-            try {
-                await deleteOrder(orderId);
-                alert('Orden eliminada exitosamente');
-            } catch (error) {
-                console.error('Error deleting order:', error);
-            }
-        }
+    const refundsFor = (orderId: string) => refunds.filter(r => r.orderId === orderId);
+
+    // Older sales come from the server, filtered and a page at a time
+    const [filterForm, setFilterForm] = useState<FilterForm>(EMPTY_FILTERS);
+    const filters = useMemo<OrderFilters>(() => {
+        const { fromDate, toDate, ...rest } = filterForm;
+        return { ...rest, from: fromDate ? dayStart(fromDate) : '', to: toDate ? dayStart(toDate, 1) : '' };
+    }, [filterForm]);
+    const search = useOrderSearch(filters);
+    const isFiltered = Object.values(filterForm).some(Boolean);
+
+    // The app's own orders are the freshest copy (refunds, invoices, realtime
+    // sales); unfiltered, they also bring in sales newer than the first page
+    const orders = useMemo(() => {
+        const latestById = new Map(latestOrders.map(order => [order.id, order]));
+        const results = search.orders.map(order => latestById.get(order.id) || order);
+        if (isFiltered) return results;
+        return deduplicateOrders([...latestOrders, ...results])
+            .sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+    }, [latestOrders, search.orders, isFiltered]);
+
+    // Infinite scroll: the next page loads when the end of the list comes into view
+    const sentinelRef = useRef<HTMLDivElement>(null);
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!sentinel || !search.hasMore) return;
+        const observer = new IntersectionObserver(entries => {
+            if (entries[0].isIntersecting) search.loadMore();
+        }, { rootMargin: '200px' });
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [search.hasMore, search.isLoading, search.orders]);
+
+    const entries = useMemo(() => groupByTicket(orders), [orders]);
+    const toggleTicket = (ticketId: string) => {
+        setExpandedTickets(prev => {
+            const next = new Set(prev);
+            if (next.has(ticketId)) next.delete(ticketId); else next.add(ticketId);
+            return next;
+        });
     };
 
     return (
         <div>
             <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
                 <h1 className="text-2xl sm:text-3xl font-bold text-slate-800">Historial de Órdenes</h1>
-                <RefreshButton onRefresh={refetchAll} size="md" />
+                <RefreshButton onRefresh={async () => { await Promise.all([refetchAll(), search.reload()]); }} size="md" />
             </div>
+            <OrderFilterBar value={filterForm} onChange={setFilterForm} />
             <div className="bg-white shadow-md rounded-3xl overflow-hidden">
                 {/* Desktop Table View */}
                 <div className="overflow-x-auto hidden md:block">
@@ -95,56 +657,34 @@ const HistoryScreen: React.FC = () => {
                             </tr>
                         </thead>
                         <tbody>
-                            {orders.map(order => {
-                                const orderDate = new Date(order.date);
-                                const dateString = orderDate.toLocaleDateString('es-MX', { day: '2-digit', month: '2-digit', year: 'numeric' });
-                                const timeString = orderDate.toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' });
-                                const dateTimeString = `${dateString} ${timeString}`;
-                                const isCoworking = order.items.some(item => item.id === 'COWORK_SERVICE' || item.name.includes('Coworking'));
-                                const serviceType = isCoworking ? 'Coworking' : 'Cafetería';
-                                const serviceColor = isCoworking ? 'bg-purple-100 text-purple-800' : 'bg-orange-100 text-orange-800';
-                                const productsList = order.items
-                                    .filter(item => item.id !== 'COWORK_SERVICE')
-                                    .map(item => `${item.name} (${item.quantity})`)
-                                    .join(', ') || 'Servicio';
-
+                            {entries.map(entry => {
+                                if ('order' in entry) {
+                                    return <OrderTableRow key={entry.order.id} order={entry.order} onView={setSelectedOrder} onRefund={setRefundingOrder} onReceipt={setReceiptOrder} onInvoice={setInvoicingOrder} onEdit={setEditingOrder} />;
+                                }
+                                const summary = ticketSummary(entry.orders);
+                                const isExpanded = expandedTickets.has(entry.ticketId);
                                 return (
-                                    <tr key={order.id} className="border-b hover:bg-slate-50">
-                                        <td className="p-4 text-sm text-slate-800 font-medium">{dateTimeString}</td>
-                                        <td className="p-4 text-sm text-slate-800">{order.clientName || 'Cliente general'}</td>
-                                        <td className="p-4 text-sm">
-                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${serviceColor}`}>
-                                                {serviceType}
-                                            </span>
-                                        </td>
-                                        <td className="p-4 text-sm text-slate-600 max-w-xs truncate" title={productsList}>
-                                            {productsList}
-                                        </td>
-                                        <td className="p-4 text-sm text-slate-800 font-bold text-right">${order.total.toFixed(2)}</td>
-                                        <td className="p-4 text-sm">
-                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                                                order.paymentMethod === 'Efectivo'
-                                                    ? 'bg-emerald-100 text-emerald-800'
-                                                    : order.paymentMethod === 'Tarjeta'
-                                                    ? 'bg-purple-100 text-purple-800'
-                                                    : 'bg-amber-100 text-amber-800'
-                                            }`}>
-                                                {order.paymentMethod}
-                                            </span>
-                                        </td>
-                                        <td className="p-4 text-sm text-center">
-                                            <div className="flex justify-center items-center space-x-2">
-                                                <button onClick={() => setSelectedOrder(order)} className="text-zinc-700 hover:underline font-medium">Ver</button>
-                                                <button
-                                                    onClick={() => handleDelete(order.id)}
-                                                    className="p-2 text-slate-500 hover:text-red-600 rounded-full hover:bg-slate-100 transition-colors"
-                                                    title="Eliminar orden"
-                                                >
-                                                    <TrashIcon className="h-5 w-5" />
-                                                </button>
-                                            </div>
-                                        </td>
-                                    </tr>
+                                    <React.Fragment key={entry.ticketId}>
+                                        <tr className="border-b hover:bg-slate-50 cursor-pointer" onClick={() => toggleTicket(entry.ticketId)}>
+                                            <td className="p-4 text-sm text-slate-800 font-medium">{summary.dateTimeString}</td>
+                                            <td className="p-4 text-sm text-slate-800">{summary.clientName}</td>
+                                            <td className="p-4 text-sm"><SplitTicketBadge count={entry.orders.length} /></td>
+                                            <td className="p-4 text-sm text-slate-600 max-w-xs truncate">{entry.orders.map(o => o.payerLabel).join(', ')}</td>
+                                            <td className="p-4 text-sm text-slate-800 font-bold text-right">
+                                                ${summary.total.toFixed(2)}
+                                                {summary.refunded > 0 && (
+                                                    <span className="block text-xs font-medium text-red-600">-${summary.refunded.toFixed(2)}</span>
+                                                )}
+                                            </td>
+                                            <td className="p-4 text-sm text-slate-600">{summary.methods}</td>
+                                            <td className="p-4 text-sm text-center">
+                                                <button className="text-zinc-700 hover:underline font-medium">{isExpanded ? 'Ocultar' : 'Ver cuentas'}</button>
+                                            </td>
+                                        </tr>
+                                        {isExpanded && entry.orders.map(order => (
+                                            <OrderTableRow key={order.id} order={order} onView={setSelectedOrder} onRefund={setRefundingOrder} onReceipt={setReceiptOrder} onInvoice={setInvoicingOrder} onEdit={setEditingOrder} isChild />
+                                        ))}
+                                    </React.Fragment>
                                 );
                             })}
                         </tbody>
@@ -153,66 +693,59 @@ const HistoryScreen: React.FC = () => {
 
                 {/* Mobile Card View */}
                 <div className="md:hidden">
-                    {orders.map(order => {
-                        const orderDate = new Date(order.date);
-                        const dateString = orderDate.toLocaleDateString('es-MX', { day: '2-digit', month: '2-digit', year: 'numeric' });
-                        const timeString = orderDate.toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' });
-                        const dateTimeString = `${dateString} ${timeString}`;
-                        const isCoworking = order.items.some(item => item.id === 'COWORK_SERVICE' || item.name.includes('Coworking'));
-                        const serviceType = isCoworking ? 'Coworking' : 'Cafetería';
-                        const serviceColor = isCoworking ? 'bg-purple-100 text-purple-800' : 'bg-orange-100 text-orange-800';
-                        const productsList = order.items
-                            .filter(item => item.id !== 'COWORK_SERVICE')
-                            .map(item => `${item.name} (${item.quantity})`)
-                            .join(', ') || 'Servicio';
-
+                    {entries.map(entry => {
+                        if ('order' in entry) {
+                            return <OrderCard key={entry.order.id} order={entry.order} onView={setSelectedOrder} onRefund={setRefundingOrder} onReceipt={setReceiptOrder} onInvoice={setInvoicingOrder} onEdit={setEditingOrder} />;
+                        }
+                        const summary = ticketSummary(entry.orders);
+                        const isExpanded = expandedTickets.has(entry.ticketId);
                         return (
-                            <div key={order.id} className="border-b p-4">
-                                <div className="flex justify-between items-start mb-2">
-                                    <div className="flex-1">
-                                        <p className="text-sm text-slate-800 font-semibold">{order.clientName || 'Cliente general'}</p>
-                                        <p className="text-xs text-slate-500 mt-0.5">{dateTimeString}</p>
+                            <React.Fragment key={entry.ticketId}>
+                                <div className="border-b p-4" onClick={() => toggleTicket(entry.ticketId)}>
+                                    <div className="flex justify-between items-start mb-2">
+                                        <div className="flex-1">
+                                            <p className="text-sm text-slate-800 font-semibold">{summary.clientName}</p>
+                                            <p className="text-xs text-slate-500 mt-0.5">{summary.dateTimeString}</p>
+                                        </div>
+                                        <p className="text-lg font-bold text-slate-800">${summary.total.toFixed(2)}</p>
+                                    </div>
+                                    <div className="flex items-center justify-between gap-2">
+                                        <SplitTicketBadge count={entry.orders.length} />
+                                        <span className="text-xs font-semibold text-zinc-700">{isExpanded ? 'Ocultar' : 'Ver cuentas'}</span>
                                     </div>
-                                    <p className="text-lg font-bold text-slate-800">${order.total.toFixed(2)}</p>
-                                </div>
-                                <div className="mb-2">
-                                    <p className="text-xs text-slate-500 mb-1">Consumo:</p>
-                                    <p className="text-sm text-slate-700 line-clamp-2">{productsList}</p>
-                                </div>
-                                <div className="flex items-center gap-2 mb-2">
-                                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${serviceColor}`}>
-                                        {serviceType}
-                                    </span>
-                                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
-                                        order.paymentMethod === 'Efectivo'
-                                            ? 'bg-emerald-100 text-emerald-800'
-                                            : order.paymentMethod === 'Tarjeta'
-                                            ? 'bg-purple-100 text-purple-800'
-                                            : 'bg-amber-100 text-amber-800'
-                                    }`}>
-                                        {order.paymentMethod}
-                                    </span>
-                                </div>
-                                <div className="flex justify-end items-center space-x-2">
-                                    <button onClick={() => setSelectedOrder(order)} className="px-3 py-1 bg-slate-100 text-slate-800 text-xs font-semibold rounded-lg hover:bg-slate-200">Ver Detalles</button>
-                                    <button
-                                        onClick={() => handleDelete(order.id)}
-                                        className="p-2 text-slate-500 hover:text-red-600 rounded-full hover:bg-slate-100 transition-colors"
-                                        title="Eliminar orden"
-                                    >
-                                        <TrashIcon className="h-5 w-5" />
-                                    </button>
                                 </div>
-                            </div>
+                                {isExpanded && entry.orders.map(order => (
+                                    <OrderCard key={order.id} order={order} onView={setSelectedOrder} onRefund={setRefundingOrder} onReceipt={setReceiptOrder} onInvoice={setInvoicingOrder} onEdit={setEditingOrder} isChild />
+                                ))}
+                            </React.Fragment>
                         );
                     })}
                 </div>
 
-                 {orders.length === 0 && (
-                    <p className="text-center text-slate-500 py-8">No hay órdenes registradas.</p>
+                 {orders.length === 0 && !search.isLoading && (
+                    <p className="text-center text-slate-500 py-8">{isFiltered ? 'Ninguna orden coincide con los filtros.' : 'No hay órdenes registradas.'}</p>
+                )}
+                {search.error && <p className="text-center text-red-600 py-4">{search.error}</p>}
+                <div ref={sentinelRef} />
+                {search.isLoading && <p className="text-center text-slate-500 py-4">Cargando órdenes...</p>}
+                {search.hasMore && !search.isLoading && (
+                    <div className="text-center py-4">
+                        <button onClick={search.loadMore} className="text-sm font-medium text-zinc-700 hover:underline">Cargar más</button>
+                    </div>
                 )}
             </div>
-            {selectedOrder && <OrderDetailsModal order={selectedOrder} onClose={() => setSelectedOrder(null)} />}
+            {receiptOrder && <ReceiptModal order={receiptOrder} onClose={() => setReceiptOrder(null)} />}
+            {invoicingOrder && <InvoiceModal order={invoicingOrder} onClose={() => setInvoicingOrder(null)} />}
+            {editingOrder && <EditOrderModal order={editingOrder} onClose={() => setEditingOrder(null)} />}
+            {selectedOrder && <OrderDetailsModal order={selectedOrder} refunds={refundsFor(selectedOrder.id)} onClose={() => setSelectedOrder(null)} />}
+            {refundingOrder && (
+                <RefundOrderModal
+                    order={refundingOrder}
+                    refunds={refundsFor(refundingOrder.id)}
+                    onClose={() => setRefundingOrder(null)}
+                    onConfirm={(reason, lines) => refundOrder(refundingOrder.id, reason, lines)}
+                />
+            )}
         </div>
     );
 };
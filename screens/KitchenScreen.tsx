@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import type { KitchenTicket, KitchenTicketItem } from '../types';
+
+// Full-screen display for the barra and the cocina. Tap a line to move it
+// along (nuevo -> preparando -> listo); in "Todas" the counter can mark a
+// whole order ready and then delivered. Open it straight on a tablet with
+// ?view=kitchen.
+
+const ITEM_STYLES: Record<KitchenTicketItem['status'], string> = {
+    new: 'bg-zinc-800 text-white',
+    in_progress: 'bg-amber-500 text-zinc-900',
+    ready: 'bg-green-700 text-green-100 line-through',
+};
+
+const STATUS_LABELS: Record<KitchenTicket['status'], string> = {
+    new: 'Nuevo',
+    in_progress: 'Preparando',
+    ready: 'Listo',
+    delivered: 'Entregado',
+};
+
+const minutesSince = (date: string, now: number) => Math.max(0, Math.floor((now - new Date(date).getTime()) / 60000));
+
+const KitchenScreen: React.FC<{ onExit: () => void }> = ({ onExit }) => {
+    const { kitchenTickets, refreshKitchenTickets, bumpKitchenItem, bumpKitchenTicket } = useAppContext();
+    const [station, setStation] = useState<string | null>(null);
+    const [now, setNow] = useState(Date.now());
+
+    // Ticket ages tick on their own
+    useEffect(() => {
+        const timer = window.setInterval(() => setNow(Date.now()), 30000);
+        return () => window.clearInterval(timer);
+    }, []);
+
+    const stations = [...new Set(kitchenTickets.flatMap(ticket => ticket.items.map(item => item.station)))].sort();
+    const visible = kitchenTickets
+        .map(ticket => ({ ticket, items: ticket.items.filter(item => !station || item.station === station) }))
+        .filter(({ items }) => items.length > 0);
+
+    const bumpItem = (ticket: KitchenTicket, item: KitchenTicketItem) => {
+        if (item.status !== 'ready') bumpKitchenItem(ticket.id, item.index).catch(() => {});
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 bg-zinc-950 text-white flex flex-col">
+            <header className="flex items-center gap-2 p-3 border-b border-zinc-800 flex-wrap">
+                <h1 className="text-xl font-bold mr-4">👨‍🍳 Comandas</h1>
+                {[null, ...stations].map(name => (
+                    <button
+                        key={name || 'all'}
+                        onClick={() => setStation(name)}
+                        className={`px-3 py-1.5 rounded-lg text-sm font-semibold capitalize ${station === name ? 'bg-white text-zinc-900' : 'bg-zinc-800 text-zinc-300'}`}
+                    >
+                        {name || 'Todas'}
+                    </button>
+                ))}
+                <div className="ml-auto flex gap-2">
+                    <button onClick={() => refreshKitchenTickets()} className="px-3 py-1.5 rounded-lg text-sm bg-zinc-800 text-zinc-300">
+                        Actualizar
+                    </button>
+                    <button onClick={onExit} className="px-3 py-1.5 rounded-lg text-sm bg-zinc-800 text-zinc-300">
+                        Salir
+                    </button>
+                </div>
+            </header>
+
+            <main className="flex-1 overflow-y-auto p-3">
+                {visible.length === 0 ? (
+                    <p className="text-center text-zinc-500 mt-20 text-lg">Sin comandas pendientes</p>
+                ) : (
+                    <div className="grid gap-3 grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
+                        {visible.map(({ ticket, items }) => {
+                            const age = minutesSince(ticket.createdAt, now);
+                            const ageColor = ticket.status === 'ready' ? 'bg-green-600' : age >= 15 ? 'bg-red-600' : age >= 10 ? 'bg-amber-600' : 'bg-zinc-700';
+                            return (
+                                <div key={ticket.id} className="bg-zinc-900 rounded-xl overflow-hidden flex flex-col">
+                                    <div className={`${ageColor} px-3 py-2 flex justify-between items-center`}>
+                                        <div className="min-w-0">
+                                            <p className="font-bold truncate">{ticket.label}</p>
+                                            <p className="text-xs opacity-80">{ticket.serviceType || ''} · {STATUS_LABELS[ticket.status]}</p>
+                                        </div>
+                                        <span className="text-lg font-mono font-bold">{age}′</span>
+                                    </div>
+                                    <ul className="p-2 space-y-1.5 flex-1">
+                                        {items.map(item => (
+                                            <li key={item.index}>
+                                                <button
+                                                    onClick={() => bumpItem(ticket, item)}
+                                                    className={`w-full text-left rounded-lg px-3 py-2 ${ITEM_STYLES[item.status]}`}
+                                                >
+                                                    <span className="font-bold mr-2">{item.quantity}×</span>
+                                                    <span className="font-semibold">{item.name}</span>
+                                                    {!station && <span className="ml-2 text-xs opacity-70 capitalize">({item.station})</span>}
+                                                    {item.modifiers.length > 0 && <p className="text-xs opacity-80">{item.modifiers.join(', ')}</p>}
+                                                    {item.combo && <p className="text-xs opacity-60">{item.combo}</p>}
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    {!station && (
+                                        <button
+                                            onClick={() => bumpKitchenTicket(ticket.id).catch(() => {})}
+                                            className={`m-2 mt-0 py-2 rounded-lg font-semibold ${ticket.status === 'ready' ? 'bg-green-600 hover:bg-green-500' : 'bg-zinc-700 hover:bg-zinc-600'}`}
+                                        >
+                                            {ticket.status === 'ready' ? '✅ Entregar' : 'Todo listo'}
+                                        </button>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+};
+
+export default KitchenScreen;
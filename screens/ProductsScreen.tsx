@@ -2,14 +2,18 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useAppContext } from '../contexts/AppContext';
 import ProductModal from '../components/ProductModal';
 import ImportProductsModal from '../components/ImportProductsModal';
+import IngredientsPanel from '../components/IngredientsPanel';
 import { PlusIcon, EditIcon, TrashIcon, UploadIcon } from '../components/Icons';
 import RefreshButton from '../components/RefreshButton';
 import type { Product } from '../types';
+import { isBundle } from '../utils/bundles';
+import { isLowStock } from '../utils/recipes';
 
 const ProductsScreen: React.FC = () => {
-  const { products, addProduct, updateProduct, deleteProduct, refetchAll } = useAppContext();
+  const { products, ingredients, addProduct, updateProduct, deleteProduct, refetchAll } = useAppContext();
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+  const [showIngredients, setShowIngredients] = useState(false);
   const [productToEdit, setProductToEdit] = useState<Product | null>(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedCategory, setSelectedCategory] = useState<string>('all');
@@ -128,6 +132,13 @@ const ProductsScreen: React.FC = () => {
             Buscar
           </button>
 
+          <button
+            onClick={() => setShowIngredients(prev => !prev)}
+            className={`flex items-center justify-center px-4 py-3 md:py-2 border rounded-xl shadow-sm transition-colors touch-manipulation ${showIngredients ? 'bg-zinc-100 border-zinc-400 text-zinc-900' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-50'}`}
+          >
+            🧂 Insumos
+            {ingredients.some(isLowStock) && <span className="ml-2 w-2 h-2 rounded-full bg-red-500" title="Hay insumos por reordenar" />}
+          </button>
           <button
             onClick={() => setIsImportModalOpen(true)}
             className="flex items-center justify-center px-4 py-3 md:py-2 bg-white border border-slate-300 text-slate-700 rounded-xl shadow-sm hover:bg-slate-50 transition-colors touch-manipulation"
@@ -145,6 +156,8 @@ const ProductsScreen: React.FC = () => {
         </div>
       </div>
 
+      {showIngredients && <IngredientsPanel />}
+
       {/* Search Bar - Collapsible on Mobile, Always Visible on Desktop */}
       <div className={`${isSearchVisible ? 'block' : 'hidden'} md:block mb-4 transition-all duration-300`}>
         <div className="relative">
@@ -254,7 +267,10 @@ const ProductsScreen: React.FC = () => {
                               <div className="flex items-center">
                                 <img src={product.imageUrl} alt={product.name} className="h-12 w-12 rounded-xl object-cover mr-4" />
                                 <div>
-                                  <p className="font-medium text-slate-800">{product.name}</p>
+                                  <p className="font-medium text-slate-800">
+                                    {product.name}
+                                    {isBundle(product) && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">Combo</span>}
+                                  </p>
                                   <p className="text-xs text-slate-500 max-w-xs truncate">{product.description}</p>
                                 </div>
                               </div>
@@ -311,7 +327,10 @@ const ProductsScreen: React.FC = () => {
 
                             {/* Product Info */}
                             <div className="p-4">
-                              <h3 className="font-bold text-lg text-slate-800 mb-1">{product.name}</h3>
+                              <h3 className="font-bold text-lg text-slate-800 mb-1">
+                                {product.name}
+                                {isBundle(product) && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 align-middle">Combo</span>}
+                              </h3>
                               {product.description && (
                                 <p className="text-sm text-slate-600 mb-3 line-clamp-2">{product.description}</p>
                               )}
@@ -375,6 +394,8 @@ const ProductsScreen: React.FC = () => {
         onClose={closeModal}
         onSave={handleSave}
         productToEdit={productToEdit}
+        products={products}
+        ingredients={ingredients}
       />
       <ImportProductsModal
         isOpen={isImportModalOpen}
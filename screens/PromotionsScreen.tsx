@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import PromotionModal from '../components/PromotionModal';
+import { PlusIcon, EditIcon, TrashIcon } from '../components/Icons';
+import { PROMOTION_TYPE_LABELS, describePromotion, isLive } from '../utils/promotions';
+import type { Promotion } from '../types';
+
+const PromotionsScreen: React.FC = () => {
+  const { promotions, products, addPromotion, updatePromotion, deletePromotion } = useAppContext();
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [promotionToEdit, setPromotionToEdit] = useState<Promotion | null>(null);
+
+  const openModal = (promotion: Promotion | null = null) => {
+    setPromotionToEdit(promotion);
+    setIsModalOpen(true);
+  };
+
+  const closeModal = () => {
+    setPromotionToEdit(null);
+    setIsModalOpen(false);
+  };
+
+  const handleDelete = (promotion: Promotion) => {
+    if (window.confirm(`¿Eliminar la promoción "${promotion.name}"? Las ventas pasadas conservan su descuento.`)) {
+      deletePromotion(promotion.id).catch(() => {});
+    }
+  };
+
+  const now = new Date();
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-slate-800">Promociones</h1>
+          <p className="text-sm text-slate-500">Se aplican solas en la venta; los cupones se capturan al cobrar.</p>
+        </div>
+        <button
+          onClick={() => openModal()}
+          className="flex items-center px-4 py-2 bg-zinc-900 text-white rounded-xl shadow-sm hover:bg-zinc-800 transition-colors"
+        >
+          <PlusIcon className="h-5 w-5 mr-2" />
+          Nueva Promoción
+        </button>
+      </div>
+
+      {promotions.length === 0 ? (
+        <div className="bg-white shadow-md rounded-3xl p-8 text-center text-slate-500">
+          No hay promociones. Crea una hora feliz, un 2x1 o un cupón.
+        </div>
+      ) : (
+        <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+          {promotions.map(promotion => {
+            const live = isLive(promotion, now);
+            return (
+              <div key={promotion.id} className={`bg-white shadow-md rounded-2xl p-4 ${promotion.active ? '' : 'opacity-60'}`}>
+                <div className="flex justify-between items-start gap-2">
+                  <div className="min-w-0">
+                    <p className="font-semibold text-slate-800 truncate">{promotion.name}</p>
+                    <p className="text-xs text-slate-500">{PROMOTION_TYPE_LABELS[promotion.type]}</p>
+                  </div>
+                  <span className={`text-xs font-semibold px-2 py-0.5 rounded-full whitespace-nowrap ${
+                    live ? 'bg-green-100 text-green-700' : promotion.active ? 'bg-amber-100 text-amber-700' : 'bg-slate-100 text-slate-500'
+                  }`}>
+                    {live ? 'Vigente' : promotion.active ? 'Fuera de horario' : 'Inactiva'}
+                  </span>
+                </div>
+                <p className="text-sm text-slate-600 mt-2">{describePromotion(promotion)}</p>
+                {(promotion.productIds.length > 0 || promotion.category) && (
+                  <p className="text-xs text-slate-400 mt-1 truncate">
+                    {promotion.productIds.length > 0
+                      ? promotion.productIds.map(id => products.find(p => p.id === id)?.name || id).join(', ')
+                      : promotion.category}
+                  </p>
+                )}
+                <div className="flex justify-end items-center gap-2 mt-3">
+                  <button
+                    onClick={() => updatePromotion(promotion.id, { active: !promotion.active }).catch(() => {})}
+                    className="px-3 py-1 text-xs border border-slate-300 rounded-md text-slate-700 hover:bg-slate-100"
+                  >
+                    {promotion.active ? 'Desactivar' : 'Activar'}
+                  </button>
+                  <button onClick={() => openModal(promotion)} className="p-2 text-slate-500 hover:text-zinc-700 rounded-full hover:bg-slate-100">
+                    <EditIcon className="h-5 w-5" />
+                  </button>
+                  <button onClick={() => handleDelete(promotion)} className="p-2 text-slate-500 hover:text-red-600 rounded-full hover:bg-slate-100">
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <PromotionModal
+        isOpen={isModalOpen}
+        onClose={closeModal}
+        onSave={(promotion) => promotionToEdit ? updatePromotion(promotionToEdit.id, promotion) : addPromotion(promotion)}
+        promotionToEdit={promotionToEdit}
+        products={products}
+      />
+    </div>
+  );
+};
+
+export default PromotionsScreen;
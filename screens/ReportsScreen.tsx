@@ -1,9 +1,16 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { useAppContext } from '../contexts/AppContext';
 import StatCard from '../components/StatCard';
+import TipPayoutPanel from '../components/TipPayoutPanel';
+import IngredientUsagePanel from '../components/IngredientUsagePanel';
 import RefreshButton from '../components/RefreshButton';
 import { SalesIcon, ProductsIcon, DashboardIcon, ExpenseIcon, CashIcon, HistoryIcon } from '../components/Icons';
 import { deduplicateOrders } from '../utils/deduplication';
+import { formatTenders } from '../utils/payments';
+import { formatModifiers } from '../utils/modifiers';
+import { productLines } from '../utils/bundles';
+import { PROMOTION_TYPE_LABELS } from '../utils/promotions';
+import type { KitchenStats, TaxSummary } from '../types';
 
 // Helper to format date to YYYY-MM-DD in LOCAL timezone (not UTC)
 // This prevents timezone bugs where "today" in Mexico becomes "tomorrow" in UTC
@@ -15,9 +22,11 @@ const toISODateString = (date: Date) => {
 };
 
 const ReportsScreen: React.FC = () => {
-    const { orders, expenses, coworkingSessions, refetchAll } = useAppContext();
+    const { orders, refunds, expenses, coworkingSessions, refetchAll } = useAppContext();
     const [showSalesDetail, setShowSalesDetail] = useState(false);
     const [showExpensesDetail, setShowExpensesDetail] = useState(false);
+    const [showModifiersDetail, setShowModifiersDetail] = useState(false);
+    const [showDiscountsDetail, setShowDiscountsDetail] = useState(false);
 
     // 🚀 PERF FIX: Removed redundant refetchOrders() on mount
     // AppContext already manages data freshness with multi-tier caching
@@ -74,6 +83,33 @@ const ReportsScreen: React.FC = () => {
     const [startDate, setStartDate] = useState(startOfMonth);
     const [endDate, setEndDate] = useState(endOfToday);
 
+    // Prep times come from the kitchen tickets, computed on the server for the range
+    const [kitchenStats, setKitchenStats] = useState<KitchenStats | null>(null);
+    useEffect(() => {
+        const from = new Date(`${startDate}T00:00:00`);
+        const to = new Date(`${endDate}T00:00:00`);
+        to.setDate(to.getDate() + 1);
+        const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+        let cancelled = false;
+        fetch(`/api/kitchen/stats?${params}`)
+            .then(response => (response.ok ? response.json() : null))
+            .then(stats => { if (!cancelled) setKitchenStats(stats); })
+            .catch(error => console.error('Failed to fetch kitchen stats:', error));
+        return () => { cancelled = true; };
+    }, [startDate, endDate]);
+
+    // IVA is declared by calendar month, so the summary has its own month picker
+    const [taxMonth, setTaxMonth] = useState(startOfMonth.slice(0, 7));
+    const [taxSummary, setTaxSummary] = useState<TaxSummary | null>(null);
+    useEffect(() => {
+        let cancelled = false;
+        fetch(`/api/reports/taxes?month=${taxMonth}`)
+            .then(response => (response.ok ? response.json() : null))
+            .then(summary => { if (!cancelled) setTaxSummary(summary); })
+            .catch(error => console.error('Failed to fetch tax summary:', error));
+        return () => { cancelled = true; };
+    }, [taxMonth]);
+
     const setDateRange = (start: Date, end: Date) => {
         setStartDate(toISODateString(start));
         setEndDate(toISODateString(end));
@@ -133,6 +169,8 @@ const ReportsScreen: React.FC = () => {
 
     const {
         filteredOrders,
+        filteredRefunds,
+        refundsAmount,
         filteredExpenses,
         filteredCoworkingSessions,
         totalRevenue,
@@ -229,16 +267,23 @@ const ReportsScreen: React.FC = () => {
             return sessionLocalDate >= startDate && sessionLocalDate <= endDate;
         });
 
+        // Refunds fall on the day they were made, as negative revenue
+        const currentFilteredRefunds = refunds.filter(r => {
+            const refundLocalDate = getLocalDateString(r.date);
+            return refundLocalDate >= startDate && refundLocalDate <= endDate;
+        });
+
         // Calculate revenue from orders
         const ordersRevenue = currentFilteredOrders.reduce((acc, order) => acc + order.total, 0);
+        const refundsAmount = currentFilteredRefunds.reduce((acc, refund) => acc + refund.amount, 0);
 
         // ⚠️ CRITICAL FIX: Do NOT add coworkingRevenue separately!
         // Coworking sessions are automatically saved as orders via finishCoworkingSession()
         // in AppContext.tsx (lines 886-927). Adding them twice DUPLICATES revenue by $7,019.70+
         // const coworkingRevenue = currentFilteredCoworkingSessions.reduce((acc, session) => acc + (session.total || 0), 0);
 
-        // Total revenue = orders only (already includes coworking sessions as orders)
-        const totalRevenue = ordersRevenue;
+        // Total revenue = orders (already includes coworking sessions as orders) minus refunds
+        const totalRevenue = ordersRevenue - refundsAmount;
 
         // Operating Expenses (includes COGS + rent, utilities, salaries, etc.)
         // Los gastos operativos ya incluyen el costo de mercancía, por lo tanto NO se deben sumar los costos por separado
@@ -260,6 +305,8 @@ const ReportsScreen: React.FC = () => {
 
         return {
             filteredOrders: currentFilteredOrders,
+            filteredRefunds: currentFilteredRefunds,
+            refundsAmount,
             filteredExpenses: currentFilteredExpenses,
             filteredCoworkingSessions: currentFilteredCoworkingSessions,
             totalRevenue,
@@ -268,7 +315,52 @@ const ReportsScreen: React.FC = () => {
             averageTicket,
             totalOrdersCount
         };
-    }, [startDate, endDate, deduplicatedOrders, expenses, coworkingSessions]);
+    }, [startDate, endDate, deduplicatedOrders, refunds, expenses, coworkingSessions]);
+
+    // Options sold in the period (Tamaño: Grande, Leche: Avena...) with what
+    // they added to revenue and cost. Refunds are not netted out here.
+    const modifierSales = useMemo(() => {
+        const byOption = new Map<string, { group: string; name: string; quantity: number; revenue: number; cost: number }>();
+        filteredOrders.forEach(order => order.items.forEach(item => {
+            (item.modifiers || []).forEach(modifier => {
+                const key = `${modifier.group}::${modifier.name}`;
+                const row = byOption.get(key) || { group: modifier.group, name: modifier.name, quantity: 0, revenue: 0, cost: 0 };
+                row.quantity += item.quantity;
+                if (!item.complimentary) row.revenue += modifier.priceDelta * item.quantity;
+                row.cost += modifier.costDelta * item.quantity;
+                byOption.set(key, row);
+            });
+        }));
+        return [...byOption.values()].sort((a, b) => a.group.localeCompare(b.group) || b.quantity - a.quantity);
+    }, [filteredOrders]);
+
+    // What each promotion gave away, plus customers' own discounts (the part
+    // of order.discount no promotion accounts for)
+    const discountSales = useMemo(() => {
+        const byPromotion = new Map<string, { name: string; type: string; orders: number; amount: number }>();
+        let customerDiscount = 0;
+        let customerOrders = 0;
+        filteredOrders.forEach(order => {
+            const promotions = order.promotions || [];
+            promotions.forEach(promotion => {
+                const name = promotion.code ? `${promotion.name} (${promotion.code})` : promotion.name;
+                const row = byPromotion.get(promotion.promotionId) || { name, type: PROMOTION_TYPE_LABELS[promotion.type] || promotion.type, orders: 0, amount: 0 };
+                row.orders += 1;
+                row.amount += promotion.amount;
+                byPromotion.set(promotion.promotionId, row);
+            });
+            const own = (order.discount || 0) - promotions.reduce((sum, promotion) => sum + promotion.amount, 0);
+            if (own > 0.005) {
+                customerDiscount += own;
+                customerOrders += 1;
+            }
+        });
+        const rows = [...byPromotion.values()].sort((a, b) => b.amount - a.amount);
+        if (customerOrders > 0) {
+            rows.push({ name: 'Descuento de cliente frecuente', type: 'Cliente', orders: customerOrders, amount: customerDiscount });
+        }
+        return rows;
+    }, [filteredOrders]);
 
     const downloadCSV = (data: any[], filename: string) => {
         if (data.length === 0) {
@@ -287,22 +379,43 @@ const ReportsScreen: React.FC = () => {
         document.body.removeChild(link);
     };
 
+    // One row per product sold: combos are broken into their components with
+    // the share of the combo price and cost the server allocated to each
     const handleDownloadSales = () => {
-        const salesData = filteredOrders.flatMap(order => 
-            order.items.map(item => ({
+        const salesData = filteredOrders.flatMap(order =>
+            order.items.flatMap(item => productLines(item).map(line => ({
                 order_id: order.id,
                 order_date: order.date,
                 client_name: order.clientName,
-                payment_method: order.paymentMethod,
+                payment_method: formatTenders(order.payments) || order.paymentMethod,
+                product_id: line.id,
+                product_name: line.name,
+                combo: line.bundleName || '',
+                modifiers: formatModifiers(item.modifiers),
+                quantity: line.quantity,
+                price: line.quantity > 0 ? line.amount / line.quantity : 0,
+                cost: line.quantity > 0 ? line.cost / line.quantity : 0,
+                item_total: line.amount,
+            })))
+        );
+        // Refunded lines go in as negative rows so the CSV adds up to the report
+        const refundData = filteredRefunds.flatMap(refund =>
+            refund.items.map(item => ({
+                order_id: refund.orderId,
+                order_date: refund.date,
+                client_name: `Reembolso: ${refund.reason}`,
+                payment_method: formatTenders(refund.payments) || refund.paymentMethod,
                 product_id: item.id,
                 product_name: item.name,
-                quantity: item.quantity,
+                combo: '',
+                modifiers: '',
+                quantity: -item.quantity,
                 price: item.price,
                 cost: item.cost,
-                item_total: item.price * item.quantity,
+                item_total: -item.amount,
             }))
         );
-        downloadCSV(salesData, `ventas_${startDate}_a_${endDate}.csv`);
+        downloadCSV([...salesData, ...refundData], `ventas_${startDate}_a_${endDate}.csv`);
     };
 
     const handleDownloadExpenses = () => {
@@ -365,6 +478,9 @@ const ReportsScreen: React.FC = () => {
                 <StatCard title="Gastos Totales" value={`$${totalExpensesAmount.toFixed(2)}`} icon={<ExpenseIcon className="h-6 w-6 text-red-600" />} />
                 <StatCard title="Ganancia Neta" value={`$${netProfit.toFixed(2)}`} icon={<CashIcon className="h-6 w-6 text-indigo-600" />} />
                 <StatCard title="Ticket Promedio" value={`$${averageTicket.toFixed(2)}`} icon={<HistoryIcon className="h-6 w-6 text-yellow-600" />} />
+                {refundsAmount > 0 && (
+                    <StatCard title="Reembolsos" value={`-$${refundsAmount.toFixed(2)}`} icon={<SalesIcon className="h-6 w-6 text-red-600" />} />
+                )}
             </div>
 
             {/* Clarification Note */}
@@ -425,7 +541,15 @@ const ReportsScreen: React.FC = () => {
                                         <tr key={`${order.id}-${idx}`} className="border-b hover:bg-slate-50">
                                             <td className="p-3 text-slate-600">{new Date(order.date).toLocaleDateString('es-MX')}</td>
                                             <td className="p-3 text-slate-800">{order.clientName || 'General'}</td>
-                                            <td className="p-3 text-slate-800">{item.name}</td>
+                                            <td className="p-3 text-slate-800">
+                                                {item.name}
+                                                {item.modifiers && item.modifiers.length > 0 && <span className="block text-xs text-slate-500">{formatModifiers(item.modifiers)}</span>}
+                                                {item.components && item.components.length > 0 && (
+                                                    <span className="block text-xs text-slate-500">
+                                                        {item.components.map(c => `${c.name} x${c.quantity} ($${c.revenue.toFixed(2)})`).join(' + ')}
+                                                    </span>
+                                                )}
+                                            </td>
                                             <td className="p-3 text-center text-slate-600">{item.quantity}</td>
                                             <td className="p-3 text-right text-slate-600">${item.price.toFixed(2)}</td>
                                             <td className="p-3 text-right font-semibold text-slate-800">${(item.price * item.quantity).toFixed(2)}</td>
@@ -435,14 +559,29 @@ const ReportsScreen: React.FC = () => {
                                                         ? 'bg-emerald-100 text-emerald-800'
                                                         : order.paymentMethod === 'Tarjeta'
                                                         ? 'bg-purple-100 text-purple-800'
+                                                        : order.paymentMethod === 'Mixto'
+                                                        ? 'bg-sky-100 text-sky-800'
                                                         : 'bg-amber-100 text-amber-800'
-                                                }`}>
+                                                }`} title={formatTenders(order.payments) || undefined}>
                                                     {order.paymentMethod}
                                                 </span>
                                             </td>
                                         </tr>
                                     ))
                                 )}
+                                {filteredRefunds.flatMap(refund =>
+                                    refund.items.map(item => (
+                                        <tr key={`${refund.id}-${item.lineIndex}`} className="border-b bg-red-50 hover:bg-red-100" title={refund.reason}>
+                                            <td className="p-3 text-slate-600">{new Date(refund.date).toLocaleDateString('es-MX')}</td>
+                                            <td className="p-3 text-red-700">Reembolso</td>
+                                            <td className="p-3 text-slate-800">{item.name}</td>
+                                            <td className="p-3 text-center text-red-700">-{item.quantity}</td>
+                                            <td className="p-3 text-right text-slate-600">${item.price.toFixed(2)}</td>
+                                            <td className="p-3 text-right font-semibold text-red-700">-${item.amount.toFixed(2)}</td>
+                                            <td className="p-3 text-sm text-slate-600">{refund.paymentMethod}</td>
+                                        </tr>
+                                    ))
+                                )}
                             </tbody>
                             <tfoot className="bg-slate-50 font-bold">
                                 <tr>
@@ -456,6 +595,169 @@ const ReportsScreen: React.FC = () => {
                 )}
             </div>
 
+            {/* Modifiers Report */}
+            {modifierSales.length > 0 && (
+                <div className="bg-white rounded-3xl shadow-md mb-6 overflow-hidden">
+                    <button
+                        onClick={() => setShowModifiersDetail(!showModifiersDetail)}
+                        className="w-full p-4 flex justify-between items-center hover:bg-slate-50 transition-colors"
+                    >
+                        <h2 className="text-lg font-bold text-slate-800">Modificadores Vendidos ({modifierSales.length} opciones)</h2>
+                        <svg className={`h-5 w-5 text-slate-600 transition-transform ${showModifiersDetail ? 'rotate-180' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                        </svg>
+                    </button>
+                    {showModifiersDetail && (
+                        <div className="border-t overflow-x-auto">
+                            <table className="w-full text-left text-sm">
+                                <thead className="bg-slate-50">
+                                    <tr>
+                                        <th className="p-3 font-semibold text-slate-600">Grupo</th>
+                                        <th className="p-3 font-semibold text-slate-600">Opción</th>
+                                        <th className="p-3 font-semibold text-slate-600 text-center">Cantidad</th>
+                                        <th className="p-3 font-semibold text-slate-600 text-right">Ingreso Extra</th>
+                                        <th className="p-3 font-semibold text-slate-600 text-right">Costo Extra</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {modifierSales.map(row => (
+                                        <tr key={`${row.group}-${row.name}`} className="border-b hover:bg-slate-50">
+                                            <td className="p-3 text-slate-600">{row.group}</td>
+                                            <td className="p-3 text-slate-800">{row.name}</td>
+                                            <td className="p-3 text-center text-slate-600">{Number(row.quantity.toFixed(2))}</td>
+                                            <td className="p-3 text-right font-semibold text-slate-800">${row.revenue.toFixed(2)}</td>
+                                            <td className="p-3 text-right text-slate-600">${row.cost.toFixed(2)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {kitchenStats && kitchenStats.tickets > 0 && (
+                <div className="bg-white rounded-3xl shadow-md mb-6 p-4">
+                    <h2 className="text-lg font-bold text-slate-800 mb-3">Tiempos de Preparación ({kitchenStats.tickets} comandas)</h2>
+                    <div className="grid grid-cols-3 gap-3 mb-3 text-center">
+                        {[
+                            { label: 'Espera', value: kitchenStats.averageWaitMinutes },
+                            { label: 'Preparación', value: kitchenStats.averagePrepMinutes },
+                            { label: 'Entrega', value: kitchenStats.averagePickupMinutes },
+                        ].map(({ label, value }) => (
+                            <div key={label} className="bg-slate-50 rounded-xl p-3">
+                                <p className="text-xs text-slate-500">{label}</p>
+                                <p className="text-xl font-bold text-slate-800">{value === null ? '—' : `${value} min`}</p>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex flex-wrap gap-2 text-sm">
+                        {kitchenStats.byStation.map(row => (
+                            <span key={row.station} className="px-3 py-1 bg-slate-100 rounded-full text-slate-700 capitalize">
+                                {row.station}: {row.averageMinutes} min ({row.items} productos)
+                            </span>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <div className="bg-white rounded-3xl shadow-md mb-6 p-4">
+                <div className="flex justify-between items-center mb-3">
+                    <h2 className="text-lg font-bold text-slate-800">Resumen de IVA</h2>
+                    <input
+                        type="month"
+                        value={taxMonth}
+                        onChange={e => e.target.value && setTaxMonth(e.target.value)}
+                        className="border border-slate-300 rounded-xl py-1 px-3 text-sm"
+                    />
+                </div>
+                {taxSummary ? (
+                    <>
+                        <table className="w-full text-sm mb-3">
+                            <thead>
+                                <tr className="text-slate-500 text-left">
+                                    <th className="py-1">Ventas</th>
+                                    <th className="py-1 text-right">Base</th>
+                                    <th className="py-1 text-right">IVA</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y">
+                                {taxSummary.sales.map(row => (
+                                    <tr key={row.rate}>
+                                        <td className="py-1 text-slate-700">{row.label}</td>
+                                        <td className="py-1 text-right">${row.base.toFixed(2)}</td>
+                                        <td className="py-1 text-right">${row.amount.toFixed(2)}</td>
+                                    </tr>
+                                ))}
+                                <tr>
+                                    <td className="py-1 text-slate-700">Gastos (IVA acreditable)</td>
+                                    <td className="py-1 text-right">${taxSummary.expenses.base.toFixed(2)}</td>
+                                    <td className="py-1 text-right">${taxSummary.ivaPaid.toFixed(2)}</td>
+                                </tr>
+                            </tbody>
+                        </table>
+                        <div className="grid grid-cols-3 gap-3 text-center">
+                            {[
+                                { label: 'IVA cobrado', value: taxSummary.ivaCollected },
+                                { label: 'IVA pagado', value: taxSummary.ivaPaid },
+                                { label: taxSummary.ivaPayable >= 0 ? 'IVA por pagar' : 'IVA a favor', value: Math.abs(taxSummary.ivaPayable) },
+                            ].map(({ label, value }) => (
+                                <div key={label} className="bg-slate-50 rounded-xl p-3">
+                                    <p className="text-xs text-slate-500">{label}</p>
+                                    <p className="text-xl font-bold text-slate-800">${value.toFixed(2)}</p>
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                ) : (
+                    <p className="text-slate-500 text-sm">No se pudo cargar el resumen de IVA.</p>
+                )}
+            </div>
+
+            <TipPayoutPanel startDate={startDate} endDate={endDate} />
+
+            <IngredientUsagePanel startDate={startDate} endDate={endDate} />
+
+            {discountSales.length > 0 && (
+                <div className="bg-white rounded-3xl shadow-md mb-6 overflow-hidden">
+                    <button
+                        onClick={() => setShowDiscountsDetail(!showDiscountsDetail)}
+                        className="w-full p-4 flex justify-between items-center hover:bg-slate-50 transition-colors"
+                    >
+                        <h2 className="text-lg font-bold text-slate-800">
+                            Descuentos y Promociones (-${discountSales.reduce((sum, row) => sum + row.amount, 0).toFixed(2)})
+                        </h2>
+                        <svg className={`h-5 w-5 text-slate-600 transition-transform ${showDiscountsDetail ? 'rotate-180' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                        </svg>
+                    </button>
+                    {showDiscountsDetail && (
+                        <div className="border-t overflow-x-auto">
+                            <table className="w-full text-left text-sm">
+                                <thead className="bg-slate-50">
+                                    <tr>
+                                        <th className="p-3 font-semibold text-slate-600">Promoción</th>
+                                        <th className="p-3 font-semibold text-slate-600">Tipo</th>
+                                        <th className="p-3 font-semibold text-slate-600 text-center">Órdenes</th>
+                                        <th className="p-3 font-semibold text-slate-600 text-right">Descuento</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {discountSales.map(row => (
+                                        <tr key={row.name} className="border-b hover:bg-slate-50">
+                                            <td className="p-3 text-slate-800">{row.name}</td>
+                                            <td className="p-3 text-slate-600">{row.type}</td>
+                                            <td className="p-3 text-center text-slate-600">{row.orders}</td>
+                                            <td className="p-3 text-right font-semibold text-green-700">-${row.amount.toFixed(2)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Detailed Expenses Report */}
             <div className="bg-white rounded-3xl shadow-md mb-6 overflow-hidden">
                 <button
@@ -2,13 +2,31 @@ import React, { useState } from 'react';
 import { useAppContext } from '../contexts/AppContext';
 import { TrashIcon } from '../components/Icons';
 import Toast from '../components/Toast';
+import ReceiptModal from '../components/ReceiptModal';
+import SplitBillModal from '../components/SplitBillModal';
+import ModifierPickerModal from '../components/ModifierPickerModal';
 import RefreshButton from '../components/RefreshButton';
-import type { Product, CartItem } from '../types';
+import QuickProductModal from '../components/QuickProductModal';
+import ParkedCartsModal from '../components/ParkedCartsModal';
+import useBarcodeScanner from '../hooks/useBarcodeScanner';
+import useLocalStorage from '../hooks/useLocalStorage';
+import useCustomerDisplay from '../hooks/useCustomerDisplay';
+import type { Product, CartItem, PaymentMethod, PaymentTender, SplitBillPayer, SplitBillAssignment, SelectedModifier, Order, QuickKeyLayout, ParkedCart } from '../types';
+import { lineKey, formatModifiers } from '../utils/modifiers';
+import { USD_CASH_METHOD } from '../utils/payments';
+import { findProductByCode, looksLikeProductCode } from '../utils/productCodes';
 
-const ProductCard: React.FC<{ product: Product; onClick: () => void; }> = ({ product, onClick }) => (
+const roundMoney = (value: number) => Math.round(value * 100) / 100;
+
+// Quick buttons for the bills customers usually pay with
+const CASH_DENOMINATIONS = [50, 100, 200, 500];
+const USD_DENOMINATIONS = [10, 20, 50, 100];
+
+const ProductCard: React.FC<{ product: Product; onClick: () => void; color?: string | null; }> = ({ product, onClick, color }) => (
     <div
         onClick={onClick}
         className="bg-white rounded-xl sm:rounded-2xl shadow-md overflow-hidden cursor-pointer hover:shadow-lg transition-shadow duration-200 group flex flex-col h-full"
+        style={color ? { borderTop: `6px solid ${color}` } : undefined}
     >
         <img src={product.imageUrl} alt={product.name} className="h-24 sm:h-32 md:h-40 w-full object-cover" />
         <div className="p-2 sm:p-3 flex-1 flex flex-col justify-between">
@@ -18,55 +36,182 @@ const ProductCard: React.FC<{ product: Product; onClick: () => void; }> = ({ pro
     </div>
 );
 
+const ALL_PRODUCTS_TAB = 'all';
+
+// The admin-arranged grid (see components/QuickKeyLayoutEditor.tsx): pinned
+// favorites above page tabs, keys in the order they were dragged into.
+// 'Todos' keeps the full catalog one tap away.
+const QuickKeyGrid: React.FC<{
+    layout: QuickKeyLayout;
+    products: Product[];
+    onSelect: (product: Product) => void;
+    allProducts: React.ReactNode;
+}> = ({ layout, products, onSelect, allProducts }) => {
+    const [activeTab, setActiveTab] = useState<string>(layout.pages[0]?.id || ALL_PRODUCTS_TAB);
+    const byId = new Map(products.map(product => [product.id, product]));
+    // Keys of deleted products just drop out
+    const favorites = layout.favorites.map(id => byId.get(id)).filter((product): product is Product => Boolean(product));
+    const page = layout.pages.find(p => p.id === activeTab);
+    const tabs = [...layout.pages.map(p => ({ id: p.id, name: p.name })), { id: ALL_PRODUCTS_TAB, name: 'Todos' }];
+
+    return (
+        <div>
+            {favorites.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-4">
+                    {favorites.map(product => (
+                        <button
+                            key={product.id}
+                            onClick={() => onSelect(product)}
+                            className="px-3 py-2 bg-amber-50 border border-amber-300 rounded-xl text-sm font-semibold text-slate-800 hover:bg-amber-100"
+                        >
+                            ★ {product.name}
+                        </button>
+                    ))}
+                </div>
+            )}
+            <div className="flex gap-2 overflow-x-auto mb-4 border-b">
+                {tabs.map(tab => (
+                    <button
+                        key={tab.id}
+                        onClick={() => setActiveTab(tab.id)}
+                        className={`px-4 py-2 text-sm font-semibold whitespace-nowrap border-b-2 -mb-px ${(page?.id ?? ALL_PRODUCTS_TAB) === tab.id ? 'border-zinc-900 text-zinc-900' : 'border-transparent text-slate-500 hover:text-slate-700'}`}
+                    >
+                        {tab.name}
+                    </button>
+                ))}
+            </div>
+            {page ? (
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-3 xl:grid-cols-4 gap-2 sm:gap-4">
+                    {page.keys.map(key => {
+                        const product = byId.get(key.productId);
+                        return product && (
+                            <ProductCard key={key.productId} product={product} color={key.color} onClick={() => onSelect(product)} />
+                        );
+                    })}
+                </div>
+            ) : allProducts}
+        </div>
+    );
+};
+
 const CartItemRow: React.FC<{ item: CartItem }> = ({ item }) => {
     const { updateCartQuantity, removeFromCart } = useAppContext();
     return (
         <div className="flex items-center justify-between py-3">
             <div className="flex-1">
                 <p className="font-medium text-sm text-slate-800">{item.name}</p>
+                {item.modifiers && item.modifiers.length > 0 && (
+                    <p className="text-xs text-slate-500">{formatModifiers(item.modifiers)}</p>
+                )}
                 <p className="text-xs text-slate-500">${item.price.toFixed(2)}</p>
             </div>
             <div className="flex items-center">
                 <input 
                     type="number" 
                     value={item.quantity} 
-                    onChange={(e) => updateCartQuantity(item.id, parseInt(e.target.value))}
+                    onChange={(e) => updateCartQuantity(lineKey(item), parseInt(e.target.value))}
                     className="w-14 text-center border-slate-300 rounded-lg shadow-sm py-1 text-sm mx-2"
                     min="1"
                 />
             </div>
             <p className="w-16 text-right font-medium text-sm text-slate-900">${(item.price * item.quantity).toFixed(2)}</p>
-            <button onClick={() => removeFromCart(item.id)} className="ml-2 p-1 text-slate-500 hover:text-red-600 rounded-full">
+            <button onClick={() => removeFromCart(lineKey(item))} className="ml-2 p-1 text-slate-500 hover:text-red-600 rounded-full">
                 <TrashIcon className="h-4 w-4" />
             </button>
         </div>
     );
 };
 
-const Cart: React.FC = () => {
-    const { cart, cartTotal, createOrder, clearCart, customers, refetchAll } = useAppContext();
+const Cart: React.FC<{ customerDisplay: boolean }> = ({ customerDisplay }) => {
+    const {
+        cart, cartSubtotal, cartTotal, createOrder, createSplitOrder, clearCart, customers, refetchAll,
+        couponCode, setCouponCode, appliedPromotions, promotionDiscount, couponError, exchangeRate,
+        parkedCarts, parkCart, deviceId,
+    } = useAppContext();
     const [selectedCustomerId, setSelectedCustomerId] = useState<string>('');
     const [customClientName, setCustomClientName] = useState('');
     const [serviceType, setServiceType] = useState<'Mesa' | 'Para llevar'>('Mesa');
-    const [paymentMethod, setPaymentMethod] = useState<'Efectivo' | 'Tarjeta' | 'Crédito'>('Efectivo');
+    const [paymentMethod, setPaymentMethod] = useState<PaymentMethod>('Efectivo');
+    // Split payment: tenders added so far. Empty means the whole total goes on paymentMethod.
+    const [payments, setPayments] = useState<PaymentTender[]>([]);
+    const [tenderAmount, setTenderAmount] = useState('');
+    // Cash handed over by the customer, to work out the change (kept on the order)
+    const [cashTendered, setCashTendered] = useState('');
+    // Dollar bills handed over for the 'Dólares' tender
+    const [usdReceived, setUsdReceived] = useState('');
     const [tip, setTip] = useState<number>(0);
     const [isCheckingOut, setIsCheckingOut] = useState(false);
     const [isProcessing, setIsProcessing] = useState(false);
+    const [isSplitting, setIsSplitting] = useState(false);
     const [checkoutToast, setCheckoutToast] = useState<{ message: string; productName: string } | null>(null);
+    // The last sale, so the cashier can hand over its ticket
+    const [lastOrder, setLastOrder] = useState<Order | null>(null);
+    const [showReceipt, setShowReceipt] = useState(false);
+    const [showParked, setShowParked] = useState(false);
 
     // Get selected customer
     const selectedCustomer = customers.find(c => c.id === selectedCustomerId);
 
-    // Calculate discount
+    // Customer discount, on what's left after promotions (cartTotal)
     const discount = selectedCustomer ? (cartTotal * selectedCustomer.discountPercentage / 100) : 0;
     const finalTotal = cartTotal - discount + tip;
 
+    const paidSoFar = roundMoney(payments.reduce((sum, p) => sum + p.amount, 0));
+    const remaining = roundMoney(finalTotal - paidSoFar);
+    const isSplit = payments.length > 0;
+    const creditAmount = isSplit
+        ? payments.filter(p => p.method === 'Crédito').reduce((sum, p) => sum + p.amount, 0)
+        : (paymentMethod === 'Crédito' ? finalTotal : 0);
+
+    const cashDue = roundMoney(isSplit
+        ? payments.filter(p => p.method === 'Efectivo').reduce((sum, p) => sum + p.amount, 0)
+        : (paymentMethod === 'Efectivo' ? finalTotal : 0));
+    const tendered = cashTendered === '' ? null : roundMoney(parseFloat(cashTendered) || 0);
+
+    // Dollars are taken at today's rate (the tender's amount is in pesos); change is always in pesos
+    const usdRate = exchangeRate?.rate ?? null;
+    const usdDue = roundMoney(isSplit
+        ? payments.filter(p => p.method === USD_CASH_METHOD).reduce((sum, p) => sum + p.amount, 0)
+        : (paymentMethod === USD_CASH_METHOD ? finalTotal : 0));
+    const usdDueDollars = usdRate ? Math.ceil((usdDue / usdRate) * 100) / 100 : 0;
+    const usdTendered = usdReceived === '' ? null : roundMoney(parseFloat(usdReceived) || 0);
+    const usdValue = usdTendered === null || !usdRate ? null : roundMoney(usdTendered * usdRate);
+
+    const cashShort = tendered === null ? 0 : Math.max(0, roundMoney(cashDue - tendered));
+    // The server needs the dollars received whenever there is a dollar tender
+    const usdShort = usdDue <= 0 ? 0 : (usdValue === null ? usdDue : Math.max(0, roundMoney(usdDue - usdValue)));
+    const changeDue = tendered === null && usdValue === null ? null
+        : roundMoney((tendered === null ? 0 : tendered - cashDue) + (usdValue === null ? 0 : usdValue - usdDue));
+    const isCashShort = (cashDue > 0 && cashShort > 0) || usdShort > 0;
+
+    // Mirror the cart on this register's customer display, when it has one
+    const { showPaid } = useCustomerDisplay(deviceId, customerDisplay, cart, {
+        subtotal: cartSubtotal, discount: promotionDiscount + discount, tip, total: finalTotal,
+    });
+
+    const handleAddTender = () => {
+        const amount = roundMoney(parseFloat(tenderAmount) || remaining);
+        if (amount <= 0 || amount > remaining) return;
+        setPayments(prev => [...prev, { method: paymentMethod, amount }]);
+        setTenderAmount('');
+    };
+
+    const resetPayments = () => {
+        setPaymentMethod('Efectivo');
+        setPayments([]);
+        setTenderAmount('');
+        setCashTendered('');
+        setUsdReceived('');
+    };
+
     const handleCheckout = async () => {
         if (cart.length === 0) return;
         if (!isCheckingOut) {
             setIsCheckingOut(true);
             return;
         }
+        if (isSplit && Math.abs(remaining) > 0.005) return;
+        if (isCashShort) return;
 
         // Determine client name and customer ID
         const clientName = selectedCustomerId === 'other' ? customClientName : (selectedCustomer?.name || 'Cliente');
@@ -74,20 +219,28 @@ const Cart: React.FC = () => {
 
         setIsProcessing(true);
         try {
-            await createOrder({ clientName, serviceType, paymentMethod, customerId, tip });
+            const order = await createOrder({
+                clientName, serviceType, paymentMethod, payments: isSplit ? payments : undefined, customerId, tip,
+                cashTendered: cashDue > 0 && tendered !== null ? tendered : undefined,
+                usdTendered: usdDue > 0 && usdTendered !== null ? usdTendered : undefined,
+            });
+            if (order) {
+                setLastOrder(order);
+                showPaid(order);
+            }
             // Cart is already cleared by createOrder on success
 
             // 🚀 PERF FIX: Show non-blocking toast instead of alert
             setCheckoutToast({
                 message: `✅ Venta guardada`,
-                productName: `${clientName} - $${finalTotal.toFixed(2)}`
+                productName: `${clientName} - $${finalTotal.toFixed(2)}${order?.changeDue ? ` · Cambio $${order.changeDue.toFixed(2)}` : ''}`
             });
 
             setIsCheckingOut(false);
             setSelectedCustomerId('');
             setCustomClientName('');
             setServiceType('Mesa');
-            setPaymentMethod('Efectivo');
+            resetPayments();
             setTip(0);
         } catch (error) {
             // Show error toast instead of alert
@@ -102,8 +255,49 @@ const Cart: React.FC = () => {
         }
     };
 
+    // Separate checks: one order per payer, linked to one ticket
+    const handleSplitCheckout = async (payers: SplitBillPayer[], assignments: SplitBillAssignment[]) => {
+        const clientName = selectedCustomerId === 'other' ? customClientName : (selectedCustomer?.name || 'Cliente');
+        const orders = await createSplitOrder({ clientName, serviceType, payers, assignments });
+        const total = orders.reduce((sum, order) => sum + order.total, 0);
+        setCheckoutToast({
+            message: `✅ Cuenta dividida en ${orders.length}`,
+            productName: `${clientName} - $${total.toFixed(2)}`
+        });
+        setIsCheckingOut(false);
+        setSelectedCustomerId('');
+        setCustomClientName('');
+        setServiceType('Mesa');
+        resetPayments();
+        setTip(0);
+    };
+
+    // Sets the cart aside so the register is free for the next customer
+    const handlePark = async () => {
+        const suggested = selectedCustomerId === 'other' ? customClientName : (selectedCustomer?.name || '');
+        const name = window.prompt('¿A nombre de quién se estaciona la venta?', suggested);
+        if (!name?.trim()) return;
+        try {
+            await parkCart(name.trim());
+            setCheckoutToast({ message: '⏸️ Venta en espera', productName: name.trim() });
+            setIsCheckingOut(false);
+            setSelectedCustomerId('');
+            setCustomClientName('');
+            resetPayments();
+            setTip(0);
+        } catch {
+            // parkCart already alerted
+        }
+    };
+
+    const handleResumed = (parked: ParkedCart) => {
+        setShowParked(false);
+        setCheckoutToast({ message: '▶️ Venta retomada', productName: parked.name });
+    };
+
     const handleCancelCheckout = () => {
         setIsCheckingOut(false);
+        resetPayments();
     }
 
     return (
@@ -115,12 +309,47 @@ const Cart: React.FC = () => {
                     onClose={() => setCheckoutToast(null)}
                 />
             )}
-            <div className="p-2 sm:p-4 border-b flex-shrink-0">
+            {isSplitting && (
+                <SplitBillModal
+                    isOpen={isSplitting}
+                    cart={cart}
+                    onClose={() => setIsSplitting(false)}
+                    onConfirm={handleSplitCheckout}
+                />
+            )}
+            {showReceipt && lastOrder && (
+                <ReceiptModal order={lastOrder} onClose={() => setShowReceipt(false)} />
+            )}
+            {showParked && (
+                <ParkedCartsModal onClose={() => setShowParked(false)} onResumed={handleResumed} />
+            )}
+            <div className="p-2 sm:p-4 border-b flex-shrink-0 flex justify-between items-center gap-2">
                 <h2 className="text-base sm:text-xl font-bold text-slate-800">Orden Actual</h2>
+                <div className="flex items-center gap-3">
+                    {lastOrder && !lastOrder.pendingSync && cart.length === 0 && (
+                        <button onClick={() => setShowReceipt(true)} className="text-xs sm:text-sm font-semibold text-zinc-700 hover:underline">
+                            🧾 Ticket de la última venta
+                        </button>
+                    )}
+                    {cart.length > 0 && (
+                        <button onClick={handlePark} className="text-xs sm:text-sm font-semibold text-zinc-700 hover:underline">
+                            ⏸️ Estacionar
+                        </button>
+                    )}
+                    {parkedCarts.length > 0 && (
+                        <button
+                            onClick={() => setShowParked(true)}
+                            className={`text-xs sm:text-sm font-semibold px-2 py-1 rounded-lg ${parkedCarts.some(p => p.stale) ? 'bg-red-100 text-red-700' : 'bg-slate-100 text-slate-700'}`}
+                            title={parkedCarts.some(p => p.stale) ? 'Hay ventas en espera de un turno anterior' : 'Ventas en espera'}
+                        >
+                            En espera ({parkedCarts.length})
+                        </button>
+                    )}
+                </div>
             </div>
             <div className="flex-1 overflow-y-auto p-2 sm:p-4 min-h-0">
                 {cart.length > 0 ? (
-                    cart.map(item => <CartItemRow key={item.id} item={item} />)
+                    cart.map(item => <CartItemRow key={lineKey(item)} item={item} />)
                 ) : (
                     <p className="text-center text-slate-500 mt-8 text-sm">El carrito está vacío.</p>
                 )}
@@ -141,6 +370,8 @@ const Cart: React.FC = () => {
                                     if (e.target.value !== 'other') {
                                         setCustomClientName('');
                                     }
+                                    // Discount and credit depend on the customer, so tenders start over
+                                    resetPayments();
                                 }}
                                 className="mt-0.5 block w-full border border-slate-300 rounded-lg sm:rounded-xl shadow-sm py-1 sm:py-1.5 px-1.5 sm:px-2 text-xs sm:text-sm"
                             >
@@ -177,6 +408,26 @@ const Cart: React.FC = () => {
                             </div>
                         )}
 
+                        <div>
+                            <label htmlFor="couponCode" className="block text-[10px] sm:text-xs font-medium text-slate-600 mb-0.5">Cupón (opcional)</label>
+                            <input
+                                type="text"
+                                name="couponCode"
+                                id="couponCode"
+                                value={couponCode}
+                                onChange={(e) => {
+                                    setCouponCode(e.target.value.toUpperCase());
+                                    // The coupon changes the total, so tenders start over
+                                    resetPayments();
+                                }}
+                                className={`mt-0.5 block w-full border rounded-lg sm:rounded-xl shadow-sm py-1 sm:py-1.5 px-1.5 sm:px-2 text-xs sm:text-sm uppercase ${couponError ? 'border-red-400' : 'border-slate-300'}`}
+                                placeholder="Código"
+                            />
+                            {couponError && (
+                                <p className="text-[10px] sm:text-xs text-red-600 mt-0.5">{couponError}</p>
+                            )}
+                        </div>
+
                         <div>
                             <label htmlFor="serviceType" className="block text-[10px] sm:text-xs font-medium text-slate-600 mb-0.5">Tipo de Servicio</label>
                             <select name="serviceType" id="serviceType" value={serviceType} onChange={(e) => setServiceType(e.target.value as any)} className="mt-0.5 block w-full border border-slate-300 rounded-lg sm:rounded-xl shadow-sm py-1 sm:py-1.5 px-1.5 sm:px-2 text-xs sm:text-sm">
@@ -186,13 +437,133 @@ const Cart: React.FC = () => {
                         </div>
                         <div>
                             <label htmlFor="paymentMethod" className="block text-[10px] sm:text-xs font-medium text-slate-600 mb-0.5">Método de Pago</label>
-                             <select name="paymentMethod" id="paymentMethod" value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value as any)} className="mt-0.5 block w-full border border-slate-300 rounded-lg sm:rounded-xl shadow-sm py-1 sm:py-1.5 px-1.5 sm:px-2 text-xs sm:text-sm">
-                                <option>Efectivo</option>
-                                <option>Tarjeta</option>
-                                {selectedCustomer && <option>Crédito</option>}
-                            </select>
+                            <div className="flex gap-1.5">
+                                <select name="paymentMethod" id="paymentMethod" value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value as any)} className="mt-0.5 block w-full border border-slate-300 rounded-lg sm:rounded-xl shadow-sm py-1 sm:py-1.5 px-1.5 sm:px-2 text-xs sm:text-sm">
+                                    <option>Efectivo</option>
+                                    <option>Tarjeta</option>
+                                    {usdRate && <option value={USD_CASH_METHOD}>Dólares (US$1 = ${usdRate})</option>}
+                                    {selectedCustomer && <option>Crédito</option>}
+                                </select>
+                                <input
+                                    type="number"
+                                    aria-label="Monto del pago"
+                                    value={tenderAmount}
+                                    onChange={(e) => setTenderAmount(e.target.value)}
+                                    className="mt-0.5 block w-24 border border-slate-300 rounded-lg sm:rounded-xl shadow-sm py-1 sm:py-1.5 px-1.5 sm:px-2 text-xs sm:text-sm"
+                                    placeholder={remaining.toFixed(2)}
+                                    min="0"
+                                    step="0.01"
+                                />
+                                <button
+                                    type="button"
+                                    onClick={handleAddTender}
+                                    disabled={remaining <= 0}
+                                    className="mt-0.5 px-2 border border-slate-300 rounded-lg sm:rounded-xl text-xs font-semibold text-slate-700 hover:bg-slate-100 whitespace-nowrap disabled:opacity-50"
+                                >
+                                    + Pago
+                                </button>
+                            </div>
+                            {isSplit && (
+                                <div className="mt-1.5 space-y-1">
+                                    {payments.map((payment, index) => (
+                                        <div key={index} className="flex justify-between items-center text-[10px] sm:text-xs bg-slate-50 rounded-lg px-2 py-1">
+                                            <span>{payment.method}</span>
+                                            <span className="flex items-center gap-1">
+                                                ${payment.amount.toFixed(2)}
+                                                <button onClick={() => setPayments(prev => prev.filter((_, i) => i !== index))} className="p-0.5 text-slate-500 hover:text-red-600 rounded-full">
+                                                    <TrashIcon className="h-3 w-3" />
+                                                </button>
+                                            </span>
+                                        </div>
+                                    ))}
+                                    <p className={`text-[10px] sm:text-xs font-semibold ${remaining > 0 ? 'text-amber-600' : 'text-green-600'}`}>
+                                        {remaining > 0 ? `Restante: $${remaining.toFixed(2)}` : remaining < 0 ? `Excede por $${(-remaining).toFixed(2)}` : '✅ Total cubierto'}
+                                    </p>
+                                </div>
+                            )}
                         </div>
 
+                        {cashDue > 0 && (
+                            <div>
+                                <label htmlFor="cashTendered" className="block text-[10px] sm:text-xs font-medium text-slate-600 mb-0.5">Efectivo recibido</label>
+                                <input
+                                    type="number"
+                                    name="cashTendered"
+                                    id="cashTendered"
+                                    value={cashTendered}
+                                    onChange={(e) => setCashTendered(e.target.value)}
+                                    className="mt-0.5 block w-full border border-slate-300 rounded-lg sm:rounded-xl shadow-sm py-1 sm:py-1.5 px-1.5 sm:px-2 text-xs sm:text-sm"
+                                    placeholder={cashDue.toFixed(2)}
+                                    min="0"
+                                    step="0.01"
+                                />
+                                <div className="grid grid-cols-5 gap-1 mt-1">
+                                    {CASH_DENOMINATIONS.map(amount => (
+                                        <button
+                                            key={amount}
+                                            type="button"
+                                            onClick={() => setCashTendered(String(amount))}
+                                            className="py-1 sm:py-1.5 border border-slate-300 rounded-lg text-xs font-semibold text-slate-700 hover:bg-slate-100"
+                                        >
+                                            ${amount}
+                                        </button>
+                                    ))}
+                                    <button
+                                        type="button"
+                                        onClick={() => setCashTendered(cashDue.toFixed(2))}
+                                        className="py-1 sm:py-1.5 border border-slate-300 rounded-lg text-xs font-semibold text-slate-700 hover:bg-slate-100"
+                                    >
+                                        Exacto
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {usdDue > 0 && (
+                            <div>
+                                <label htmlFor="usdReceived" className="block text-[10px] sm:text-xs font-medium text-slate-600 mb-0.5">
+                                    Dólares recibidos (${usdDue.toFixed(2)} = US${usdDueDollars.toFixed(2)})
+                                </label>
+                                <input
+                                    type="number"
+                                    name="usdReceived"
+                                    id="usdReceived"
+                                    value={usdReceived}
+                                    onChange={(e) => setUsdReceived(e.target.value)}
+                                    className="mt-0.5 block w-full border border-slate-300 rounded-lg sm:rounded-xl shadow-sm py-1 sm:py-1.5 px-1.5 sm:px-2 text-xs sm:text-sm"
+                                    placeholder={`US$ ${usdDueDollars.toFixed(2)}`}
+                                    min="0"
+                                    step="0.01"
+                                />
+                                <div className="grid grid-cols-5 gap-1 mt-1">
+                                    {USD_DENOMINATIONS.map(amount => (
+                                        <button
+                                            key={amount}
+                                            type="button"
+                                            onClick={() => setUsdReceived(String(amount))}
+                                            className="py-1 sm:py-1.5 border border-slate-300 rounded-lg text-xs font-semibold text-slate-700 hover:bg-slate-100"
+                                        >
+                                            US${amount}
+                                        </button>
+                                    ))}
+                                    <button
+                                        type="button"
+                                        onClick={() => setUsdReceived(usdDueDollars.toFixed(2))}
+                                        className="py-1 sm:py-1.5 border border-slate-300 rounded-lg text-xs font-semibold text-slate-700 hover:bg-slate-100"
+                                    >
+                                        Exacto
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {changeDue !== null && (
+                            <div className={`rounded-lg sm:rounded-xl p-2 text-center ${isCashShort ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-800'}`}>
+                                <p className="text-[10px] sm:text-xs font-medium">{isCashShort ? 'Falta' : 'Cambio (en pesos)'}</p>
+                                <p className="text-2xl sm:text-3xl font-bold">${(isCashShort ? cashShort + usdShort : changeDue).toFixed(2)}</p>
+                            </div>
+                        )}
+
                         <div>
                             <label htmlFor="tipAmount" className="block text-[10px] sm:text-xs font-medium text-slate-600 mb-0.5">Propina (opcional)</label>
                             <input
@@ -208,18 +579,31 @@ const Cart: React.FC = () => {
                             />
                         </div>
 
-                        {paymentMethod === 'Crédito' && selectedCustomer && (
-                            <div className={`border rounded-lg p-1.5 sm:p-2 ${selectedCustomer.currentCredit + finalTotal > selectedCustomer.creditLimit ? 'bg-red-50 border-red-200' : 'bg-blue-50 border-blue-200'}`}>
+                        {serviceType === 'Mesa' && (
+                            <button
+                                type="button"
+                                onClick={() => setIsSplitting(true)}
+                                className="w-full py-1 sm:py-1.5 border border-dashed border-slate-400 rounded-lg sm:rounded-xl text-xs sm:text-sm font-semibold text-slate-700 hover:bg-slate-100"
+                            >
+                                ✂️ Dividir cuenta entre varios pagadores
+                            </button>
+                        )}
+                        {serviceType === 'Mesa' && appliedPromotions.length > 0 && (
+                            <p className="text-[10px] sm:text-xs text-slate-500">Las promociones no aplican al dividir la cuenta.</p>
+                        )}
+
+                        {creditAmount > 0 && selectedCustomer && (
+                            <div className={`border rounded-lg p-1.5 sm:p-2 ${selectedCustomer.currentCredit + creditAmount > selectedCustomer.creditLimit ? 'bg-red-50 border-red-200' : 'bg-blue-50 border-blue-200'}`}>
                                 <p className="text-[10px] sm:text-xs">
                                     <span className="font-semibold">Crédito actual:</span> ${selectedCustomer.currentCredit.toFixed(2)}
                                 </p>
                                 <p className="text-[10px] sm:text-xs">
-                                    <span className="font-semibold">Nuevo crédito:</span> ${(selectedCustomer.currentCredit + finalTotal).toFixed(2)}
+                                    <span className="font-semibold">Nuevo crédito:</span> ${(selectedCustomer.currentCredit + creditAmount).toFixed(2)}
                                 </p>
                                 <p className="text-[10px] sm:text-xs">
                                     <span className="font-semibold">Límite:</span> ${selectedCustomer.creditLimit.toFixed(2)}
                                 </p>
-                                {selectedCustomer.currentCredit + finalTotal > selectedCustomer.creditLimit && (
+                                {selectedCustomer.currentCredit + creditAmount > selectedCustomer.creditLimit && (
                                     <p className="text-[10px] sm:text-xs text-red-600 font-semibold mt-0.5 sm:mt-1">⚠️ Excede límite</p>
                                 )}
                             </div>
@@ -230,17 +614,23 @@ const Cart: React.FC = () => {
 
             <div className="p-2 sm:p-4 pb-4 sm:pb-6 lg:pb-4 border-t bg-slate-50 rounded-b-3xl flex-shrink-0">
                  <div className="space-y-1 sm:space-y-2 text-xs sm:text-sm mb-2 sm:mb-4">
+                     {(discount > 0 || promotionDiscount > 0) && (
+                         <div className="flex justify-between text-xs sm:text-sm text-slate-600">
+                            <span>Subtotal:</span>
+                            <span>${cartSubtotal.toFixed(2)}</span>
+                        </div>
+                     )}
+                     {appliedPromotions.map(promotion => (
+                         <div key={promotion.promotionId} className="flex justify-between text-xs sm:text-sm text-green-600">
+                            <span>🏷️ {promotion.code ? `Cupón ${promotion.code}` : promotion.name}:</span>
+                            <span>-${promotion.amount.toFixed(2)}</span>
+                        </div>
+                     ))}
                      {discount > 0 && (
-                         <>
-                             <div className="flex justify-between text-xs sm:text-sm text-slate-600">
-                                <span>Subtotal:</span>
-                                <span>${cartTotal.toFixed(2)}</span>
-                            </div>
-                            <div className="flex justify-between text-xs sm:text-sm text-green-600">
-                                <span>Desc. ({selectedCustomer?.discountPercentage}%):</span>
-                                <span>-${discount.toFixed(2)}</span>
-                            </div>
-                         </>
+                         <div className="flex justify-between text-xs sm:text-sm text-green-600">
+                            <span>Desc. ({selectedCustomer?.discountPercentage}%):</span>
+                            <span>-${discount.toFixed(2)}</span>
+                        </div>
                      )}
                      {tip > 0 && (
                          <div className="flex justify-between text-xs sm:text-sm text-slate-600">
@@ -257,7 +647,7 @@ const Cart: React.FC = () => {
                      <button onClick={isCheckingOut ? handleCancelCheckout : clearCart} disabled={isProcessing} className="w-full py-2 sm:py-3 px-2 sm:px-4 bg-white border border-slate-300 rounded-lg sm:rounded-xl text-xs sm:text-sm font-semibold text-slate-700 hover:bg-slate-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
                         {isCheckingOut ? 'Cancelar' : 'Limpiar'}
                     </button>
-                    <button onClick={handleCheckout} disabled={cart.length === 0 || isProcessing} className="w-full py-2 sm:py-3 px-2 sm:px-4 bg-zinc-900 rounded-lg sm:rounded-xl text-xs sm:text-sm font-semibold text-white hover:bg-zinc-800 transition-colors disabled:bg-zinc-400 disabled:cursor-not-allowed">
+                    <button onClick={handleCheckout} disabled={cart.length === 0 || isProcessing || (isCheckingOut && (Boolean(couponError) || isCashShort || (isSplit && Math.abs(remaining) > 0.005)))} className="w-full py-2 sm:py-3 px-2 sm:px-4 bg-zinc-900 rounded-lg sm:rounded-xl text-xs sm:text-sm font-semibold text-white hover:bg-zinc-800 transition-colors disabled:bg-zinc-400 disabled:cursor-not-allowed">
                         {isProcessing ? '⏳...' : (isCheckingOut ? `Pagar $${finalTotal.toFixed(2)}` : 'Cobrar')}
                     </button>
                 </div>
@@ -267,11 +657,22 @@ const Cart: React.FC = () => {
 }
 
 const SalesScreen: React.FC = () => {
-    const { products, addToCart, refetchAll } = useAppContext();
+    const { products, addToCart, refetchAll, quickKeyLayout, deviceId } = useAppContext();
     const [toastMessage, setToastMessage] = useState<{ message: string; productName: string } | null>(null);
     const [searchQuery, setSearchQuery] = useState('');
+    // Product whose options are being chosen before it goes into the cart
+    const [pickingProduct, setPickingProduct] = useState<Product | null>(null);
+    // Scanner mode: a scanned code goes straight into the cart, unknown codes offer to create the product
+    const [scannerMode, setScannerMode] = useLocalStorage('pos_scanner_mode', false);
+    // A second screen facing the customer, opened at /pantalla?caja=<this register's id>
+    const [customerDisplay, setCustomerDisplay] = useLocalStorage('pos_customer_display', false);
+    const [unknownCode, setUnknownCode] = useState<string | null>(null);
 
     const handleAddToCart = (product: Product) => {
+        if (product.modifierGroups && product.modifierGroups.length > 0) {
+            setPickingProduct(product);
+            return;
+        }
         addToCart(product);
         setToastMessage({
             message: 'Agregado al carrito',
@@ -279,11 +680,51 @@ const SalesScreen: React.FC = () => {
         });
     };
 
+    const handleAddWithModifiers = (product: Product, modifiers: SelectedModifier[]) => {
+        addToCart(product, modifiers);
+        setToastMessage({
+            message: 'Agregado al carrito',
+            productName: product.name
+        });
+    };
+
+    const handleScan = (code: string) => {
+        const product = findProductByCode(products, code);
+        if (product) {
+            handleAddToCart(product);
+        } else {
+            setUnknownCode(code);
+        }
+    };
+
+    useBarcodeScanner(handleScan, scannerMode && !unknownCode && !pickingProduct);
+
+    // A scanner typing into the search box ends with Enter; so does a cashier keying in a code
+    const handleSearchKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+        const code = searchQuery.trim();
+        if (e.key !== 'Enter' || !code) return;
+        const product = findProductByCode(products, code);
+        if (product) {
+            handleAddToCart(product);
+            setSearchQuery('');
+        } else if (scannerMode && looksLikeProductCode(code) && filteredProducts.length === 0) {
+            setUnknownCode(code);
+            setSearchQuery('');
+        }
+    };
+
+    const handleQuickCreated = (product: Product) => {
+        setUnknownCode(null);
+        handleAddToCart(product);
+    };
+
     // Filter products based on search query
     const filteredProducts = products.filter(product =>
         product.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
         product.description?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        product.category?.toLowerCase().includes(searchQuery.toLowerCase())
+        product.category?.toLowerCase().includes(searchQuery.toLowerCase()) ||
+        product.sku?.toLowerCase() === searchQuery.trim().toLowerCase() ||
+        product.barcode?.toLowerCase() === searchQuery.trim().toLowerCase()
     );
 
     const groupedProducts = filteredProducts.reduce((acc, product) => {
@@ -294,6 +735,17 @@ const SalesScreen: React.FC = () => {
         acc[category].push(product);
         return acc;
     }, {} as Record<string, Product[]>);
+
+    const productsByCategory = Object.entries(groupedProducts).map(([category, productsInCategory]) => (
+        <div key={category} className="mb-8">
+            <h2 className="text-xl font-semibold text-slate-700 mb-4 border-b pb-2">{category}</h2>
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-3 xl:grid-cols-4 gap-2 sm:gap-4">
+                {productsInCategory.map(product => (
+                    <ProductCard key={product.id} product={product} onClick={() => handleAddToCart(product)} />
+                ))}
+            </div>
+        </div>
+    ));
   
     return (
         <div className="flex flex-col lg:grid lg:grid-cols-3 lg:gap-6 h-full">
@@ -304,11 +756,47 @@ const SalesScreen: React.FC = () => {
                     onClose={() => setToastMessage(null)}
                 />
             )}
+            {pickingProduct && (
+                <ModifierPickerModal
+                    key={pickingProduct.id}
+                    product={pickingProduct}
+                    onClose={() => setPickingProduct(null)}
+                    onConfirm={handleAddWithModifiers}
+                />
+            )}
+            {unknownCode && (
+                <QuickProductModal
+                    code={unknownCode}
+                    onClose={() => setUnknownCode(null)}
+                    onCreated={handleQuickCreated}
+                />
+            )}
             <div className="flex-1 lg:col-span-2 lg:overflow-y-auto lg:pr-2 min-h-0">
                 <div className="mb-4 sm:mb-6">
                     <div className="flex justify-between items-center mb-3 sm:mb-4">
                         <h1 className="text-2xl sm:text-3xl font-bold text-slate-800">Punto de Venta</h1>
-                        <RefreshButton onRefresh={refetchAll} size="md" />
+                        <div className="flex items-center gap-2">
+                            <button
+                                onClick={() => setScannerMode(!scannerMode)}
+                                className={`px-3 py-2 rounded-xl text-xs sm:text-sm font-semibold border transition-colors ${scannerMode ? 'bg-zinc-900 text-white border-zinc-900' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-100'}`}
+                                title="Agrega al carrito lo que lea el lector de códigos de barras"
+                            >
+                                {scannerMode ? '📷 Escáner activo' : '📷 Escáner'}
+                            </button>
+                            {deviceId && (
+                                <button
+                                    onClick={() => {
+                                        if (!customerDisplay) window.open(`/pantalla?caja=${encodeURIComponent(deviceId)}`, 'pantalla-cliente');
+                                        setCustomerDisplay(!customerDisplay);
+                                    }}
+                                    className={`px-3 py-2 rounded-xl text-xs sm:text-sm font-semibold border transition-colors ${customerDisplay ? 'bg-zinc-900 text-white border-zinc-900' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-100'}`}
+                                    title={`Pantalla del cliente: abre /pantalla?caja=${deviceId} en la segunda pantalla`}
+                                >
+                                    {customerDisplay ? '🖥️ Pantalla activa' : '🖥️ Pantalla'}
+                                </button>
+                            )}
+                            <RefreshButton onRefresh={refetchAll} size="md" />
+                        </div>
                     </div>
 
                     {/* Search Bar */}
@@ -320,9 +808,10 @@ const SalesScreen: React.FC = () => {
                         </div>
                         <input
                             type="text"
-                            placeholder="Buscar productos por nombre, categoría o descripción..."
+                            placeholder={scannerMode ? 'Escanea un código o busca por nombre...' : 'Buscar productos por nombre, categoría o descripción...'}
                             value={searchQuery}
                             onChange={(e) => setSearchQuery(e.target.value)}
+                            onKeyDown={handleSearchKeyDown}
                             className="w-full pl-10 sm:pl-12 pr-4 py-2.5 sm:py-3 border border-slate-300 rounded-xl sm:rounded-2xl shadow-sm focus:ring-2 focus:ring-zinc-500 focus:border-zinc-500 text-sm sm:text-base transition-all"
                             autoFocus
                         />
@@ -346,7 +835,15 @@ const SalesScreen: React.FC = () => {
                     )}
                 </div>
 
-                {filteredProducts.length === 0 ? (
+                {quickKeyLayout && !searchQuery ? (
+                    <QuickKeyGrid
+                        key={`${quickKeyLayout.scope}:${quickKeyLayout.scopeKey}`}
+                        layout={quickKeyLayout}
+                        products={products}
+                        onSelect={handleAddToCart}
+                        allProducts={productsByCategory}
+                    />
+                ) : filteredProducts.length === 0 ? (
                     <div className="text-center py-12">
                         <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 mx-auto text-slate-300 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -355,20 +852,11 @@ const SalesScreen: React.FC = () => {
                         <p className="text-slate-400 text-sm mt-2">Intenta con otro término de búsqueda</p>
                     </div>
                 ) : (
-                    Object.entries(groupedProducts).map(([category, productsInCategory]) => (
-                        <div key={category} className="mb-8">
-                            <h2 className="text-xl font-semibold text-slate-700 mb-4 border-b pb-2">{category}</h2>
-                            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-3 xl:grid-cols-4 gap-2 sm:gap-4">
-                                {productsInCategory.map(product => (
-                                    <ProductCard key={product.id} product={product} onClick={() => handleAddToCart(product)} />
-                                ))}
-                            </div>
-                        </div>
-                    ))
+                    productsByCategory
                 )}
             </div>
             <div className="flex-shrink-0 mt-4 lg:mt-0 lg:col-span-1 lg:h-full">
-                <Cart />
+                <Cart customerDisplay={customerDisplay} />
             </div>
         </div>
     );
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { TAX_REGIME_LABELS, CFDI_USE_LABELS } from '../utils/cfdiCatalogs';
+import type { Invoice, InvoiceReceptor, InvoiceRequest } from '../types';
+
+// Public self-invoicing page (/facturar): no login and no app data, only the
+// ticket the customer has in hand. The server stamps the invoice right away
+// or queues it for the business (routes/invoiceRequests.js).
+
+type Result =
+  | { status: 'invoiced'; invoice: Invoice }
+  | { status: 'pending'; request: Pick<InvoiceRequest, 'id' | 'status' | 'createdAt'> };
+
+type RequestStatus = Pick<InvoiceRequest, 'id' | 'status' | 'invoiceId' | 'reason' | 'createdAt'>;
+
+const EMPTY_RECEPTOR: InvoiceReceptor = { rfc: '', name: '', zipCode: '', taxRegime: '', cfdiUse: 'G03' };
+
+const inputClass = 'w-full mt-1 border border-slate-300 rounded-xl p-3 text-base';
+
+const InvoiceLinks: React.FC<{ invoiceId: string }> = ({ invoiceId }) => (
+  <div className="grid grid-cols-2 gap-2 mt-4">
+    <a href={`/api/invoices/${invoiceId}/pdf`} className="py-3 rounded-xl bg-zinc-900 text-white font-semibold text-center hover:bg-zinc-800">Descargar PDF</a>
+    <a href={`/api/invoices/${invoiceId}/xml`} className="py-3 rounded-xl bg-slate-100 text-slate-800 font-semibold text-center hover:bg-slate-200">Descargar XML</a>
+  </div>
+);
+
+// A queued request, looked up again with the id the page showed (?solicitud=...)
+const RequestStatusView: React.FC<{ requestId: string }> = ({ requestId }) => {
+  const [request, setRequest] = useState<RequestStatus | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const check = async () => {
+    setError(null);
+    try {
+      const response = await fetch(`/api/self-invoice/${encodeURIComponent(requestId)}`);
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || `Error ${response.status}`);
+      setRequest(body);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    }
+  };
+
+  useEffect(() => {
+    check();
+  }, [requestId]);
+
+  if (error) return <p className="text-red-600">{error}</p>;
+  if (!request) return <p className="text-slate-500">Consultando...</p>;
+  if (request.status === 'invoiced' && request.invoiceId) {
+    return (
+      <div>
+        <p className="text-green-700 font-semibold">✅ Tu factura está lista</p>
+        <InvoiceLinks invoiceId={request.invoiceId} />
+      </div>
+    );
+  }
+  if (request.status === 'rejected') {
+    return <p className="text-red-700">Tu solicitud fue rechazada: {request.reason}</p>;
+  }
+  return (
+    <div>
+      <p className="text-slate-700">Tu solicitud está en proceso. Vuelve a consultar más tarde con este enlace.</p>
+      <button onClick={check} className="mt-3 px-4 py-2 rounded-xl bg-slate-100 text-slate-800 font-semibold hover:bg-slate-200">Consultar de nuevo</button>
+    </div>
+  );
+};
+
+const SelfInvoiceScreen: React.FC = () => {
+  const params = new URLSearchParams(window.location.search);
+  const requestId = params.get('solicitud');
+  const [businessName, setBusinessName] = useState('');
+  // The customer display's QR links here with the ticket's folio and total
+  const [folio, setFolio] = useState(params.get('folio') || '');
+  const [total, setTotal] = useState(params.get('total') || '');
+  const [email, setEmail] = useState('');
+  const [receptor, setReceptor] = useState<InvoiceReceptor>(EMPTY_RECEPTOR);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [result, setResult] = useState<Result | null>(null);
+
+  useEffect(() => {
+    fetch('/api/settings')
+      .then(response => (response.ok ? response.json() : null))
+      .then(settings => setBusinessName(settings?.businessName || ''))
+      .catch(() => {});
+  }, []);
+
+  const setField = (key: keyof InvoiceReceptor, value: string) => setReceptor(prev => ({ ...prev, [key]: value }));
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/self-invoice', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ folio, total: Number(total), email, receptor }),
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(body.error || `Error ${response.status}`);
+      setResult(body);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (requestId) return <RequestStatusView requestId={requestId} />;
+    if (result?.status === 'invoiced') {
+      return (
+        <div>
+          <p className="text-green-700 font-semibold">✅ Factura {result.invoice.series || ''}{result.invoice.folio} emitida</p>
+          <p className="text-sm text-slate-600 mt-1">Folio fiscal: <span className="font-mono break-all">{result.invoice.uuid}</span></p>
+          <InvoiceLinks invoiceId={result.invoice.id} />
+        </div>
+      );
+    }
+    if (result?.status === 'pending') {
+      const statusUrl = `${window.location.origin}/facturar?solicitud=${encodeURIComponent(result.request.id)}`;
+      return (
+        <div>
+          <p className="text-slate-800 font-semibold">📥 Recibimos tu solicitud</p>
+          <p className="text-sm text-slate-600 mt-1">Emitiremos tu factura en breve. Guarda este enlace para descargarla:</p>
+          <a href={statusUrl} className="block mt-2 text-sm text-blue-700 underline break-all">{statusUrl}</a>
+        </div>
+      );
+    }
+    return (
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <p className="text-sm text-slate-600">Escribe los datos de tu ticket y tus datos fiscales como aparecen en tu Constancia de Situación Fiscal. Solo puedes facturar dentro del mes de tu compra.</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <label className="block text-sm font-medium text-slate-600">
+            Folio del ticket
+            <input type="text" required value={folio} onChange={e => setFolio(e.target.value.trim())} className={inputClass} placeholder="order-..." />
+          </label>
+          <label className="block text-sm font-medium text-slate-600">
+            Total del ticket
+            <input type="number" required min="0.01" step="0.01" inputMode="decimal" value={total} onChange={e => setTotal(e.target.value)} className={inputClass} placeholder="0.00" />
+          </label>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <label className="block text-sm font-medium text-slate-600">
+            RFC
+            <input type="text" required value={receptor.rfc} onChange={e => setField('rfc', e.target.value.toUpperCase())} className={inputClass} />
+          </label>
+          <label className="block text-sm font-medium text-slate-600">
+            Código postal fiscal
+            <input type="text" required inputMode="numeric" maxLength={5} value={receptor.zipCode} onChange={e => setField('zipCode', e.target.value)} className={inputClass} />
+          </label>
+        </div>
+        <label className="block text-sm font-medium text-slate-600">
+          Nombre o razón social
+          <input type="text" required value={receptor.name} onChange={e => setField('name', e.target.value)} className={inputClass} />
+        </label>
+        <label className="block text-sm font-medium text-slate-600">
+          Régimen fiscal
+          <select required value={receptor.taxRegime} onChange={e => setField('taxRegime', e.target.value)} className={inputClass}>
+            <option value="">Selecciona...</option>
+            {Object.entries(TAX_REGIME_LABELS).map(([code, label]) => <option key={code} value={code}>{code} - {label}</option>)}
+          </select>
+        </label>
+        <label className="block text-sm font-medium text-slate-600">
+          Uso del CFDI
+          <select required value={receptor.cfdiUse} onChange={e => setField('cfdiUse', e.target.value)} className={inputClass}>
+            {Object.entries(CFDI_USE_LABELS).map(([code, label]) => <option key={code} value={code}>{code} - {label}</option>)}
+          </select>
+        </label>
+        <label className="block text-sm font-medium text-slate-600">
+          Correo electrónico (opcional)
+          <input type="email" value={email} onChange={e => setEmail(e.target.value)} className={inputClass} />
+        </label>
+        {error && <p className="text-sm text-red-600 bg-red-50 rounded-xl p-3">{error}</p>}
+        <button type="submit" disabled={isSubmitting} className="w-full py-3 bg-zinc-900 text-white rounded-xl font-semibold hover:bg-zinc-800 disabled:opacity-50">
+          {isSubmitting ? 'Enviando...' : 'Facturar'}
+        </button>
+      </form>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex justify-center items-start p-4">
+      <div className="bg-white rounded-3xl shadow-md w-full max-w-xl p-6 mt-4">
+        <h1 className="text-2xl font-bold text-slate-800">Facturación</h1>
+        {businessName && <p className="text-slate-500 mb-4">{businessName}</p>}
+        {renderContent()}
+      </div>
+    </div>
+  );
+};
+
+export default SelfInvoiceScreen;
@@ -0,0 +1,547 @@
+import React, { useState, useMemo } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import RefreshButton from '../components/RefreshButton';
+import { PlusIcon, TrashIcon } from '../components/Icons';
+import ModifierPickerModal from '../components/ModifierPickerModal';
+import type { Customer, FloorTable, PaymentMethod, Product, SelectedModifier, Tab } from '../types';
+import { lineKey, formatModifiers, priceWithModifiers } from '../utils/modifiers';
+
+const GRID_COLUMNS = 8;
+const MIN_GRID_ROWS = 4;
+
+const tabTotal = (tab: Tab) => tab.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+const elapsed = (since: string, now: Date) => {
+    const minutes = Math.max(0, Math.floor((now.getTime() - new Date(since).getTime()) / 60000));
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const TabsScreen: React.FC = () => {
+    const {
+        tabs, floorTables, products, customers, refreshTabs,
+        openTab, addTabItems, updateTab, deleteTab, closeTab,
+        createFloorTable, updateFloorTable, deleteFloorTable,
+    } = useAppContext();
+    const [isEditingMap, setIsEditingMap] = useState(false);
+    const [selectedTabId, setSelectedTabId] = useState<string | null>(null);
+    const [tableToEdit, setTableToEdit] = useState<FloorTable | null>(null);
+    const [isNewTabOpen, setIsNewTabOpen] = useState(false);
+    const [newTabName, setNewTabName] = useState('');
+    const [tabToClose, setTabToClose] = useState<Tab | null>(null);
+    const [draggedTableId, setDraggedTableId] = useState<string | null>(null);
+    const now = new Date();
+
+    // Always read the selected tab from the synced list so other devices' changes show up
+    const selectedTab = tabs.find(t => t.id === selectedTabId) || null;
+    const tabByTable = useMemo(() => new Map(tabs.filter(t => t.tableId).map(t => [t.tableId as string, t])), [tabs]);
+    const tableById = useMemo(() => new Map(floorTables.map(t => [t.id, t])), [floorTables]);
+
+    const gridRows = Math.max(MIN_GRID_ROWS, ...floorTables.map(t => t.y + 2));
+    const tableAt = (x: number, y: number) => floorTables.find(t => t.x === x && t.y === y);
+
+    const handleTableClick = async (table: FloorTable) => {
+        if (isEditingMap) {
+            setTableToEdit(table);
+            return;
+        }
+        const tab = tabByTable.get(table.id);
+        if (tab) {
+            setSelectedTabId(tab.id);
+            return;
+        }
+        try {
+            const opened = await openTab({ name: table.name, tableId: table.id });
+            setSelectedTabId(opened.id);
+        } catch {
+            // openTab already told the user
+        }
+    };
+
+    const handleEmptyCellClick = async (x: number, y: number) => {
+        if (!isEditingMap) return;
+        const name = prompt('Nombre de la mesa', `Mesa ${floorTables.length + 1}`);
+        if (!name?.trim()) return;
+        await createFloorTable({ name: name.trim(), zone: null, x, y, seats: 4, shape: 'square' }).catch(() => {});
+    };
+
+    const handleDrop = async (x: number, y: number) => {
+        const tableId = draggedTableId;
+        setDraggedTableId(null);
+        if (!tableId || tableAt(x, y)) return;
+        await updateFloorTable(tableId, { x, y }).catch(() => {});
+    };
+
+    const handleOpenNamedTab = async () => {
+        if (!newTabName.trim()) return;
+        try {
+            const opened = await openTab({ name: newTabName.trim() });
+            setSelectedTabId(opened.id);
+            setIsNewTabOpen(false);
+            setNewTabName('');
+        } catch {
+            // openTab already told the user
+        }
+    };
+
+    const openTabs = [...tabs].sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6 flex-wrap gap-4">
+                <h1 className="text-2xl sm:text-3xl font-bold text-slate-800">Mesas</h1>
+                <div className="flex gap-2 flex-wrap">
+                    <RefreshButton onRefresh={refreshTabs} size="md" />
+                    <button
+                        onClick={() => setIsEditingMap(prev => !prev)}
+                        className={`px-4 py-2 rounded-xl text-sm font-semibold border transition-colors ${isEditingMap ? 'bg-amber-100 border-amber-300 text-amber-800' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-100'}`}
+                    >
+                        {isEditingMap ? '✅ Terminar edición' : '✏️ Editar plano'}
+                    </button>
+                    <button
+                        onClick={() => setIsNewTabOpen(true)}
+                        className="flex items-center px-4 py-2 bg-zinc-900 text-white rounded-xl shadow-sm hover:bg-zinc-800 transition-colors"
+                    >
+                        <PlusIcon className="h-5 w-5 mr-2" />
+                        Cuenta sin mesa
+                    </button>
+                </div>
+            </div>
+
+            <div className="bg-white p-4 rounded-3xl shadow-md mb-8">
+                {isEditingMap && (
+                    <p className="text-xs text-amber-700 mb-3">Toca un espacio vacío para agregar una mesa, arrástrala para moverla o tócala para editarla.</p>
+                )}
+                {!isEditingMap && floorTables.length === 0 && (
+                    <p className="text-sm text-slate-500 mb-3">Aún no hay mesas. Usa "Editar plano" para dibujar el salón.</p>
+                )}
+                <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${GRID_COLUMNS}, minmax(0, 1fr))` }}>
+                    {Array.from({ length: gridRows * GRID_COLUMNS }, (_, cell) => {
+                        const x = cell % GRID_COLUMNS;
+                        const y = Math.floor(cell / GRID_COLUMNS);
+                        const table = tableAt(x, y);
+                        if (!table) {
+                            return (
+                                <div
+                                    key={cell}
+                                    onClick={() => handleEmptyCellClick(x, y)}
+                                    onDragOver={(e) => isEditingMap && e.preventDefault()}
+                                    onDrop={() => handleDrop(x, y)}
+                                    className={`aspect-square rounded-xl ${isEditingMap ? 'border border-dashed border-slate-300 hover:bg-slate-50 cursor-pointer' : ''}`}
+                                />
+                            );
+                        }
+                        const tab = tabByTable.get(table.id);
+                        return (
+                            <button
+                                key={cell}
+                                draggable={isEditingMap}
+                                onDragStart={() => setDraggedTableId(table.id)}
+                                onClick={() => handleTableClick(table)}
+                                className={`aspect-square ${table.shape === 'round' ? 'rounded-full' : 'rounded-xl'} flex flex-col items-center justify-center p-1 text-center shadow-sm border-2 transition-colors ${
+                                    tab ? 'bg-amber-100 border-amber-400 text-amber-900' : 'bg-green-50 border-green-300 text-green-900 hover:bg-green-100'
+                                } ${selectedTabId && tab?.id === selectedTabId ? 'ring-2 ring-zinc-900' : ''}`}
+                                title={table.zone ? `${table.name} · ${table.zone}` : table.name}
+                            >
+                                <span className="text-xs sm:text-sm font-bold truncate max-w-full">{table.name}</span>
+                                {tab ? (
+                                    <span className="text-[10px] sm:text-xs font-semibold">${tabTotal(tab).toFixed(2)}</span>
+                                ) : (
+                                    <span className="text-[10px] sm:text-xs">{table.seats} lugares</span>
+                                )}
+                            </button>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <div className="space-y-4">
+                <h2 className="text-xl font-semibold text-slate-700">Cuentas Abiertas</h2>
+                {openTabs.length > 0 ? (
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                        {openTabs.map(tab => (
+                            <button
+                                key={tab.id}
+                                onClick={() => setSelectedTabId(tab.id)}
+                                className={`bg-white p-4 rounded-2xl shadow-sm text-left hover:shadow-md transition-shadow ${tab.id === selectedTabId ? 'ring-2 ring-zinc-900' : ''}`}
+                            >
+                                <div className="flex justify-between items-start">
+                                    <div>
+                                        <h3 className="font-bold text-slate-800">{tab.name}</h3>
+                                        <p className="text-xs text-slate-500">
+                                            {tab.tableId ? tableById.get(tab.tableId)?.name || 'Mesa' : 'Sin mesa'} · abierta hace {elapsed(tab.createdAt, now)}
+                                        </p>
+                                    </div>
+                                    <p className="text-lg font-bold text-slate-800">${tabTotal(tab).toFixed(2)}</p>
+                                </div>
+                                <p className="text-xs text-slate-400 mt-1">
+                                    {tab.items.length > 0 ? tab.items.map(item => `${item.name}${item.modifiers?.length ? ` (${formatModifiers(item.modifiers)})` : ''} x${item.quantity}`).join(', ') : 'Sin productos'}
+                                </p>
+                            </button>
+                        ))}
+                    </div>
+                ) : (
+                    <p className="text-center text-slate-500 py-4">No hay cuentas abiertas.</p>
+                )}
+            </div>
+
+            {selectedTab && (
+                <TabDetailModal
+                    tab={selectedTab}
+                    tables={floorTables}
+                    busyTableIds={new Set(tabByTable.keys())}
+                    products={products}
+                    onClose={() => setSelectedTabId(null)}
+                    onAddItem={(product, modifiers) => addTabItems(selectedTab.id, [{ id: product.id, name: product.name, price: priceWithModifiers(product, modifiers).price, quantity: 1, modifiers }]).then(() => {})}
+                    onUpdate={(updates) => updateTab(selectedTab.id, updates).then(() => {})}
+                    onDelete={async () => {
+                        if (!confirm(`¿Eliminar la cuenta "${selectedTab.name}"?`)) return;
+                        await deleteTab(selectedTab.id);
+                        setSelectedTabId(null);
+                    }}
+                    onPay={() => setTabToClose(selectedTab)}
+                />
+            )}
+
+            {tabToClose && (
+                <CloseTabModal
+                    tab={tabToClose}
+                    customers={customers}
+                    onClose={() => setTabToClose(null)}
+                    onConfirm={async (payment) => {
+                        const order = await closeTab(tabToClose.id, payment);
+                        alert(`✅ Cuenta cobrada: ${tabToClose.name} - $${order.total.toFixed(2)}`);
+                        setTabToClose(null);
+                        setSelectedTabId(null);
+                    }}
+                />
+            )}
+
+            {isNewTabOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+                    <div className="bg-white rounded-3xl shadow-xl w-full max-w-sm p-6">
+                        <h2 className="text-2xl font-bold text-slate-800 mb-4">Nueva Cuenta</h2>
+                        <input
+                            type="text"
+                            value={newTabName}
+                            onChange={e => setNewTabName(e.target.value)}
+                            placeholder="Nombre (ej. Barra - Ana)"
+                            className="mt-1 block w-full border border-slate-300 rounded-xl shadow-sm py-2 px-3 focus:outline-none focus:ring-zinc-500 focus:border-zinc-500 sm:text-sm mb-4"
+                        />
+                        <div className="flex justify-end space-x-3">
+                            <button onClick={() => setIsNewTabOpen(false)} className="px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm font-medium text-slate-700">Cancelar</button>
+                            <button onClick={handleOpenNamedTab} disabled={!newTabName.trim()} className="px-4 py-2 bg-zinc-900 rounded-xl text-sm font-medium text-white disabled:bg-zinc-400">Abrir</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {tableToEdit && (
+                <FloorTableModal
+                    table={tableToEdit}
+                    onClose={() => setTableToEdit(null)}
+                    onSave={async (updates) => {
+                        await updateFloorTable(tableToEdit.id, updates);
+                        setTableToEdit(null);
+                    }}
+                    onDelete={async () => {
+                        if (!confirm(`¿Eliminar ${tableToEdit.name} del plano?`)) return;
+                        await deleteFloorTable(tableToEdit.id);
+                        setTableToEdit(null);
+                    }}
+                />
+            )}
+        </div>
+    );
+};
+
+const TabDetailModal: React.FC<{
+    tab: Tab;
+    tables: FloorTable[];
+    busyTableIds: Set<string>;
+    products: Product[];
+    onClose: () => void;
+    onAddItem: (product: Product, modifiers: SelectedModifier[]) => Promise<void>;
+    onUpdate: (updates: Partial<Pick<Tab, 'tableId' | 'items'>>) => Promise<void>;
+    onDelete: () => Promise<void>;
+    onPay: () => void;
+}> = ({ tab, tables, busyTableIds, products, onClose, onAddItem, onUpdate, onDelete, onPay }) => {
+    const [search, setSearch] = useState('');
+    const [category, setCategory] = useState('Todas');
+    const [pickingProduct, setPickingProduct] = useState<Product | null>(null);
+
+    const categories = ['Todas', ...Array.from(new Set(products.map(p => p.category)))];
+    const visibleProducts = products.filter(p =>
+        (category === 'Todas' || p.category === category) &&
+        p.name.toLowerCase().includes(search.toLowerCase())
+    );
+
+    const handlePick = (product: Product) => {
+        if (product.modifierGroups && product.modifierGroups.length > 0) {
+            setPickingProduct(product);
+        } else {
+            onAddItem(product, []).catch(() => {});
+        }
+    };
+
+    const changeQuantity = (key: string, delta: number) => {
+        const items = tab.items
+            .map(item => (lineKey(item) === key ? { ...item, quantity: item.quantity + delta } : item))
+            .filter(item => item.quantity > 0);
+        onUpdate({ items }).catch(() => {});
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-3xl shadow-xl w-full max-w-4xl p-4 sm:p-6 flex flex-col max-h-[90vh]">
+                <div className="flex justify-between items-start mb-4 gap-4 flex-wrap">
+                    <div>
+                        <h2 className="text-2xl font-bold text-slate-800">{tab.name}</h2>
+                        <select
+                            value={tab.tableId || ''}
+                            onChange={(e) => onUpdate({ tableId: e.target.value || null }).catch(() => {})}
+                            className="mt-1 border border-slate-300 rounded-lg py-1 px-2 text-sm"
+                        >
+                            <option value="">Sin mesa</option>
+                            {tables.map(table => (
+                                <option key={table.id} value={table.id} disabled={busyTableIds.has(table.id) && table.id !== tab.tableId}>
+                                    {table.name}{busyTableIds.has(table.id) && table.id !== tab.tableId ? ' (ocupada)' : ''}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <button onClick={onClose} className="px-3 py-1 text-slate-500 hover:text-slate-800 text-xl" aria-label="Cerrar">✕</button>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6 overflow-y-auto">
+                    <div>
+                        <h3 className="text-sm font-semibold text-slate-600 mb-2">Consumo</h3>
+                        {tab.items.length > 0 ? (
+                            <ul className="space-y-2">
+                                {tab.items.map(item => (
+                                    <li key={lineKey(item)} className="flex items-center justify-between text-sm bg-slate-50 rounded-xl px-3 py-2">
+                                        <div>
+                                            <p className="font-medium text-slate-800">{item.name}</p>
+                                            {item.modifiers && item.modifiers.length > 0 && (
+                                                <p className="text-xs text-slate-500">{formatModifiers(item.modifiers)}</p>
+                                            )}
+                                            <p className="text-xs text-slate-500">${item.price.toFixed(2)} c/u</p>
+                                        </div>
+                                        <div className="flex items-center gap-2">
+                                            <button onClick={() => changeQuantity(lineKey(item), -1)} className="px-2 py-0.5 border border-slate-300 rounded-lg hover:bg-slate-100">−</button>
+                                            <span className="w-6 text-center font-semibold">{item.quantity}</span>
+                                            <button onClick={() => changeQuantity(lineKey(item), 1)} className="px-2 py-0.5 border border-slate-300 rounded-lg hover:bg-slate-100">+</button>
+                                            <span className="w-20 text-right font-semibold">${(item.price * item.quantity).toFixed(2)}</span>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <p className="text-sm text-slate-500 py-4 text-center">Sin productos todavía.</p>
+                        )}
+                        <div className="flex justify-between text-xl font-bold mt-4 pt-3 border-t">
+                            <span>Total:</span>
+                            <span>${tabTotal(tab).toFixed(2)}</span>
+                        </div>
+                    </div>
+
+                    <div className="flex flex-col min-h-0">
+                        <h3 className="text-sm font-semibold text-slate-600 mb-2">Agregar productos</h3>
+                        <div className="flex gap-2 mb-2">
+                            <input
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                placeholder="Buscar..."
+                                className="flex-1 border border-slate-300 rounded-lg py-1 px-2 text-sm"
+                            />
+                            <select value={category} onChange={(e) => setCategory(e.target.value)} className="border border-slate-300 rounded-lg py-1 px-2 text-sm">
+                                {categories.map(c => <option key={c}>{c}</option>)}
+                            </select>
+                        </div>
+                        <div className="grid grid-cols-2 gap-2 overflow-y-auto max-h-80">
+                            {visibleProducts.map(product => (
+                                <button
+                                    key={product.id}
+                                    onClick={() => handlePick(product)}
+                                    disabled={product.stock <= 0}
+                                    className="text-left bg-slate-50 hover:bg-slate-100 rounded-xl px-3 py-2 text-xs disabled:opacity-40"
+                                >
+                                    <p className="font-semibold text-slate-800 truncate">{product.name}</p>
+                                    <p className="text-slate-500">${product.price.toFixed(2)}</p>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="flex justify-between items-center mt-6 gap-3">
+                    <button
+                        onClick={onDelete}
+                        disabled={tab.items.length > 0}
+                        title={tab.items.length > 0 ? 'Solo se pueden eliminar cuentas vacías' : 'Eliminar cuenta'}
+                        className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-30 disabled:hover:bg-transparent"
+                    >
+                        <TrashIcon className="h-5 w-5" />
+                    </button>
+                    <button
+                        onClick={onPay}
+                        disabled={tab.items.length === 0}
+                        className="px-6 py-2 bg-green-500 rounded-xl text-sm font-semibold text-white hover:bg-green-600 disabled:bg-green-300"
+                    >
+                        Cobrar ${tabTotal(tab).toFixed(2)}
+                    </button>
+                </div>
+            </div>
+            {pickingProduct && (
+                <ModifierPickerModal
+                    key={pickingProduct.id}
+                    product={pickingProduct}
+                    onClose={() => setPickingProduct(null)}
+                    onConfirm={(product, modifiers) => { onAddItem(product, modifiers).catch(() => {}); }}
+                />
+            )}
+        </div>
+    );
+};
+
+const CloseTabModal: React.FC<{
+    tab: Tab;
+    customers: Customer[];
+    onClose: () => void;
+    onConfirm: (payment: { paymentMethod: PaymentMethod; customerId?: string; tip?: number }) => Promise<void>;
+}> = ({ tab, customers, onClose, onConfirm }) => {
+    const [paymentMethod, setPaymentMethod] = useState<PaymentMethod>('Efectivo');
+    const [customerId, setCustomerId] = useState(tab.customerId || '');
+    const [tip, setTip] = useState(0);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const subtotal = tabTotal(tab);
+    const customer = customers.find(c => c.id === customerId);
+    // Display only: the server applies the same discount when it creates the order
+    const discount = customer ? subtotal * (customer.discountPercentage / 100) : 0;
+    const total = subtotal - discount + tip;
+    const needsCustomer = paymentMethod === 'Crédito' && !customerId;
+
+    const handleConfirm = async () => {
+        if (needsCustomer) return;
+        setIsSaving(true);
+        try {
+            await onConfirm({ paymentMethod, customerId: customerId || undefined, tip });
+        } catch {
+            // closeTab already told the user; keep the modal open to retry
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-3xl shadow-xl w-full max-w-sm p-6">
+                <h2 className="text-2xl font-bold text-slate-800 mb-2">Cobrar Cuenta</h2>
+                <h3 className="text-lg font-semibold text-slate-600 mb-4">{tab.name}</h3>
+                <div className="space-y-1 text-sm border-t border-b py-3">
+                    <div className="flex justify-between"><span className="text-slate-500">Subtotal:</span> <span className="font-medium">${subtotal.toFixed(2)}</span></div>
+                    {discount > 0 && <div className="flex justify-between text-green-700"><span>Descuento ({customer?.discountPercentage}%):</span> <span>-${discount.toFixed(2)}</span></div>}
+                    {tip > 0 && <div className="flex justify-between"><span className="text-slate-500">Propina:</span> <span className="font-medium">${tip.toFixed(2)}</span></div>}
+                </div>
+                <div className="flex justify-between text-2xl font-bold pt-2 my-2"><span className="text-slate-800">Total:</span> <span>${total.toFixed(2)}</span></div>
+                <div className="space-y-3">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-600 mb-1">Cliente</label>
+                        <select value={customerId} onChange={(e) => setCustomerId(e.target.value)} className="block w-full border border-slate-300 rounded-xl shadow-sm py-1.5 px-2 sm:text-sm">
+                            <option value="">Sin cliente</option>
+                            {customers.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-slate-600 mb-1">Método de Pago</label>
+                        <select value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value as PaymentMethod)} className="block w-full border border-slate-300 rounded-xl shadow-sm py-1.5 px-2 sm:text-sm">
+                            <option>Efectivo</option>
+                            <option>Tarjeta</option>
+                            <option>Crédito</option>
+                        </select>
+                        {needsCustomer && <p className="text-xs text-red-600 mt-1">Las ventas a crédito requieren un cliente</p>}
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-slate-600 mb-1">Propina</label>
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={tip || ''}
+                            onChange={(e) => setTip(Math.max(parseFloat(e.target.value) || 0, 0))}
+                            className="block w-full border border-slate-300 rounded-xl shadow-sm py-1.5 px-2 sm:text-sm"
+                        />
+                    </div>
+                </div>
+                <div className="flex justify-end space-x-3 mt-6">
+                    <button onClick={onClose} disabled={isSaving} className="px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm font-medium text-slate-700">Cancelar</button>
+                    <button onClick={handleConfirm} disabled={isSaving || needsCustomer} className="px-4 py-2 bg-green-500 rounded-xl text-sm font-medium text-white disabled:bg-green-300">
+                        {isSaving ? '⏳...' : 'Confirmar Pago'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const FloorTableModal: React.FC<{
+    table: FloorTable;
+    onClose: () => void;
+    onSave: (updates: Partial<Omit<FloorTable, 'id'>>) => Promise<void>;
+    onDelete: () => Promise<void>;
+}> = ({ table, onClose, onSave, onDelete }) => {
+    const [name, setName] = useState(table.name);
+    const [zone, setZone] = useState(table.zone || '');
+    const [seats, setSeats] = useState(table.seats);
+    const [shape, setShape] = useState(table.shape);
+
+    const inputClass = 'block w-full border border-slate-300 rounded-xl shadow-sm py-1.5 px-2 sm:text-sm';
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-3xl shadow-xl w-full max-w-sm p-6">
+                <h2 className="text-2xl font-bold text-slate-800 mb-4">Editar Mesa</h2>
+                <div className="space-y-3">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-600 mb-1">Nombre</label>
+                        <input value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-slate-600 mb-1">Zona (opcional)</label>
+                        <input value={zone} onChange={(e) => setZone(e.target.value)} placeholder="Terraza, Salón..." className={inputClass} />
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-600 mb-1">Lugares</label>
+                            <input type="number" min="1" value={seats} onChange={(e) => setSeats(Math.max(parseInt(e.target.value) || 1, 1))} className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-600 mb-1">Forma</label>
+                            <select value={shape} onChange={(e) => setShape(e.target.value as FloorTable['shape'])} className={inputClass}>
+                                <option value="square">Cuadrada</option>
+                                <option value="round">Redonda</option>
+                            </select>
+                        </div>
+                    </div>
+                </div>
+                <div className="flex justify-between items-center mt-6">
+                    <button onClick={() => onDelete().catch(() => {})} className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors" title="Eliminar mesa">
+                        <TrashIcon className="h-5 w-5" />
+                    </button>
+                    <div className="flex space-x-3">
+                        <button onClick={onClose} className="px-4 py-2 bg-white border border-slate-300 rounded-xl text-sm font-medium text-slate-700">Cancelar</button>
+                        <button
+                            onClick={() => onSave({ name: name.trim(), zone: zone.trim() || null, seats, shape }).catch(() => {})}
+                            disabled={!name.trim()}
+                            className="px-4 py-2 bg-zinc-900 rounded-xl text-sm font-medium text-white disabled:bg-zinc-400"
+                        >
+                            Guardar
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TabsScreen;
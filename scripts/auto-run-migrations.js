@@ -83,6 +83,9 @@ export async function runPendingMigrations() {
         ranCount++;
       } catch (migrationError) {
         console.error(`❌ Error running migration ${migrationName}:`, migrationError.message);
+        // A file that failed after its own BEGIN leaves the transaction open and
+        // aborted, which would fail every migration after it on this connection
+        await client.query('ROLLBACK').catch(() => {});
         // Continue with other migrations
       }
     }
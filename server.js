@@ -5,14 +5,42 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import pg from 'pg';
 import { registerClient, broadcastDataChange } from './src/services/sseService.js';
+import { withBundleStock } from './src/services/productBundles.js';
 import { runPendingMigrations } from './scripts/auto-run-migrations.js';
-import { createSimpleRateLimiter, requireAdminKey } from './middleware/security.js';
+import { createSimpleRateLimiter, requireAdminKey, hasAdminKey } from './middleware/security.js';
 import { createHealthRouter } from './routes/health.js';
 import { createProductsRouter } from './routes/products.js';
 import { createOrdersRouter } from './routes/orders.js';
+import { createRefundsRouter } from './routes/refunds.js';
 import { createExpensesRouter } from './routes/expenses.js';
 import { createCoworkingSessionsRouter } from './routes/coworkingSessions.js';
 import { createCoworkingSessionsRepository } from './repositories/coworkingSessions.js';
+import { createTabsRouter } from './routes/tabs.js';
+import { createTabsRepository } from './repositories/tabs.js';
+import { createFloorTablesRouter } from './routes/floorTables.js';
+import { createFloorTablesRepository } from './repositories/floorTables.js';
+import { createPromotionsRouter } from './routes/promotions.js';
+import { createKitchenRouter, createKitchenDispatcher } from './routes/kitchen.js';
+import { createKitchenTicketsRepository } from './repositories/kitchenTickets.js';
+import { createPromotionsRepository } from './repositories/promotions.js';
+import { createSettingsRouter } from './routes/settings.js';
+import { createSettingsRepository } from './repositories/settings.js';
+import { createReceiptsRouter } from './routes/receipts.js';
+import { createInvoicesRouter } from './routes/invoices.js';
+import { createInvoiceRequestsRouter } from './routes/invoiceRequests.js';
+import { createReportsRouter } from './routes/reports.js';
+import { createTipsRouter } from './routes/tips.js';
+import { createExchangeRatesRouter } from './routes/exchangeRates.js';
+import { createExchangeRatesRepository } from './repositories/exchangeRates.js';
+import { createQuickKeyLayoutsRouter } from './routes/quickKeyLayouts.js';
+import { createQuickKeyLayoutsRepository } from './repositories/quickKeyLayouts.js';
+import { createParkedCartsRouter } from './routes/parkedCarts.js';
+import { createParkedCartsRepository } from './repositories/parkedCarts.js';
+import { createIngredientsRouter } from './routes/ingredients.js';
+import { createIngredientsRepository } from './repositories/ingredients.js';
+import { createIdempotencyKeysRepository } from './repositories/idempotencyKeys.js';
+import { createCustomerDisplayRouter } from './routes/customerDisplay.js';
+import { createPacAdapter } from './src/services/pacAdapters.js';
 import { createCashSessionsRouter } from './routes/cashSessions.js';
 import { createCashWithdrawalsRouter } from './routes/cashWithdrawals.js';
 import { createUsersRouter } from './routes/users.js';
@@ -218,6 +246,239 @@ async function setupAndGetDataStore() {
               );
             `);
 
+            // Refund documents: orders are never deleted, refunds point back at them
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS order_refunds (
+                id VARCHAR(255) PRIMARY KEY,
+                "orderId" VARCHAR(255) NOT NULL REFERENCES orders(id),
+                type VARCHAR(20) NOT NULL,
+                items JSONB NOT NULL,
+                amount NUMERIC(10, 2) NOT NULL,
+                "paymentMethod" VARCHAR(50) NOT NULL,
+                payments JSONB,
+                "customerId" VARCHAR(255),
+                reason TEXT NOT NULL,
+                "userId" VARCHAR(255),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT check_refund_type CHECK (type IN ('full', 'partial')),
+                CONSTRAINT check_refund_amount CHECK (amount >= 0)
+              );
+            `);
+
+            // Corrections to orders after the sale: the order before and after, who and why
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS order_edits (
+                id VARCHAR(255) PRIMARY KEY,
+                "orderId" VARCHAR(255) NOT NULL REFERENCES orders(id),
+                "userId" VARCHAR(255),
+                "adminAuthorized" BOOLEAN NOT NULL DEFAULT false,
+                reason TEXT NOT NULL,
+                changes JSONB NOT NULL,
+                before JSONB NOT NULL,
+                after JSONB NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+              );
+            `);
+
+            // Tips paid out per period (see routes/tips.js); periods never overlap
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS tip_payouts (
+                id VARCHAR(255) PRIMARY KEY,
+                "from" TIMESTAMP WITH TIME ZONE NOT NULL,
+                "to" TIMESTAMP WITH TIME ZONE NOT NULL,
+                mode VARCHAR(20) NOT NULL,
+                "poolShare" NUMERIC(5, 2) NOT NULL,
+                lines JSONB NOT NULL,
+                total NUMERIC(10, 2) NOT NULL,
+                "postedAs" VARCHAR(20) NOT NULL DEFAULT 'none',
+                "withdrawalId" VARCHAR(255),
+                "expenseId" VARCHAR(255),
+                "userId" VARCHAR(255),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT check_tip_payout_period CHECK ("to" > "from")
+              );
+            `);
+
+            // Ingredients and every movement of their stock (see repositories/ingredients.js)
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS ingredients (
+                id VARCHAR(255) PRIMARY KEY,
+                name VARCHAR(255) NOT NULL UNIQUE,
+                unit VARCHAR(10) NOT NULL,
+                stock NUMERIC(12, 3) NOT NULL DEFAULT 0,
+                "unitCost" NUMERIC(12, 4) NOT NULL DEFAULT 0,
+                "reorderLevel" NUMERIC(12, 3) NOT NULL DEFAULT 0,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT check_ingredient_unit CHECK (unit IN ('g', 'ml', 'pz'))
+              );
+            `);
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS ingredient_movements (
+                id VARCHAR(255) PRIMARY KEY,
+                "ingredientId" VARCHAR(255) NOT NULL REFERENCES ingredients(id) ON DELETE CASCADE,
+                type VARCHAR(20) NOT NULL,
+                quantity NUMERIC(12, 3) NOT NULL,
+                cost NUMERIC(10, 2) NOT NULL DEFAULT 0,
+                "orderId" VARCHAR(255),
+                "expenseId" VARCHAR(255),
+                note TEXT,
+                "userId" VARCHAR(255),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT check_ingredient_movement_type CHECK (type IN ('sale', 'purchase', 'adjustment'))
+              );
+            `);
+
+            // Floor map and open tabs for dine-in service (see repositories/tabs.js)
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS floor_tables (
+                id VARCHAR(255) PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                zone VARCHAR(100),
+                x INTEGER NOT NULL DEFAULT 0,
+                y INTEGER NOT NULL DEFAULT 0,
+                seats INTEGER NOT NULL DEFAULT 4,
+                shape VARCHAR(20) NOT NULL DEFAULT 'square',
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+              );
+            `);
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS tabs (
+                id VARCHAR(255) PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                "tableId" VARCHAR(255) REFERENCES floor_tables(id) ON DELETE SET NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'open',
+                items JSONB NOT NULL DEFAULT '[]'::jsonb,
+                "customerId" VARCHAR(255),
+                "openedBy" VARCHAR(255),
+                "orderId" VARCHAR(255),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                closed_at TIMESTAMP WITH TIME ZONE,
+                CONSTRAINT check_tab_status CHECK (status IN ('open', 'closed'))
+              );
+            `);
+
+            // Kitchen/barra display queue (see repositories/kitchenTickets.js)
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS kitchen_tickets (
+                id VARCHAR(255) PRIMARY KEY,
+                "orderId" VARCHAR(255),
+                "tabId" VARCHAR(255),
+                label VARCHAR(255) NOT NULL,
+                "serviceType" VARCHAR(50),
+                status VARCHAR(20) NOT NULL DEFAULT 'new',
+                items JSONB NOT NULL DEFAULT '[]'::jsonb,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                started_at TIMESTAMP WITH TIME ZONE,
+                ready_at TIMESTAMP WITH TIME ZONE,
+                delivered_at TIMESTAMP WITH TIME ZONE,
+                CONSTRAINT check_kitchen_ticket_status CHECK (status IN ('new', 'in_progress', 'ready', 'delivered'))
+              );
+            `);
+
+            // Happy hours, 2x1, category discounts and coupons (see repositories/promotions.js)
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS promotions (
+                id VARCHAR(255) PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                type VARCHAR(30) NOT NULL,
+                active BOOLEAN NOT NULL DEFAULT true,
+                code VARCHAR(30),
+                "maxUses" INTEGER,
+                uses INTEGER NOT NULL DEFAULT 0,
+                rules JSONB NOT NULL DEFAULT '{}'::jsonb,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT check_promotion_type CHECK (type IN ('happy_hour', 'buy_x_get_y', 'category_percent', 'coupon'))
+              );
+            `);
+
+            // CFDI 4.0 invoices, one per group of orders (see routes/invoices.js)
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS invoices (
+                id VARCHAR(255) PRIMARY KEY,
+                uuid VARCHAR(36) NOT NULL UNIQUE,
+                series VARCHAR(25),
+                folio INTEGER NOT NULL,
+                "orderIds" JSONB NOT NULL,
+                "receptorRfc" VARCHAR(13) NOT NULL,
+                "receptorName" VARCHAR(255) NOT NULL,
+                total DECIMAL(10, 2) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'stamped',
+                pac VARCHAR(50),
+                cfdi JSONB NOT NULL,
+                stamp JSONB NOT NULL,
+                xml TEXT NOT NULL,
+                pdf BYTEA,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+              );
+              CREATE SEQUENCE IF NOT EXISTS invoice_folio_seq;
+            `);
+
+            // Invoices customers asked for from the self-invoicing page that
+            // weren't stamped on the spot (see routes/invoiceRequests.js)
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS invoice_requests (
+                id VARCHAR(255) PRIMARY KEY,
+                "orderId" VARCHAR(255) NOT NULL,
+                receptor JSONB NOT NULL,
+                email VARCHAR(255),
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                reason TEXT,
+                "invoiceId" VARCHAR(255),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                resolved_at TIMESTAMP WITH TIME ZONE,
+                CONSTRAINT check_invoice_request_status CHECK (status IN ('pending', 'invoiced', 'rejected'))
+              );
+            `);
+
+            // Business settings, one row per key (see repositories/settings.js)
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS settings (
+                key VARCHAR(100) PRIMARY KEY,
+                value JSONB NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+              );
+            `);
+
+            // Pesos per unit of foreign cash, one rate per currency and day (see repositories/exchangeRates.js)
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS exchange_rates (
+                currency VARCHAR(3) NOT NULL,
+                date DATE NOT NULL,
+                rate NUMERIC(10, 4) NOT NULL CHECK (rate > 0),
+                "userId" VARCHAR(255),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (currency, date)
+              );
+            `);
+
+            // Sales grid layouts per device or role (see repositories/quickKeyLayouts.js)
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS quick_key_layouts (
+                scope VARCHAR(10) NOT NULL CHECK (scope IN ('device', 'role')),
+                "scopeKey" VARCHAR(64) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                favorites JSONB NOT NULL DEFAULT '[]',
+                pages JSONB NOT NULL DEFAULT '[]',
+                "userId" VARCHAR(255),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (scope, "scopeKey")
+              );
+            `);
+
+            // Held sales waiting to be resumed at any register (see repositories/parkedCarts.js)
+            await schemaClient.query(`
+              CREATE TABLE IF NOT EXISTS parked_carts (
+                id VARCHAR(255) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                items JSONB NOT NULL,
+                "couponCode" VARCHAR(50),
+                "userId" VARCHAR(255),
+                "deviceId" VARCHAR(64),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+              );
+            `);
+
             // AUTO-MIGRATION: Add discount and tip columns if they don't exist
             console.log('🔄 Running auto-migrations...');
             try {
@@ -235,6 +496,138 @@ async function setupAndGetDataStore() {
                             ALTER TABLE orders ADD COLUMN tip NUMERIC(10, 2) DEFAULT 0;
                             RAISE NOTICE 'Added tip column to orders table';
                         END IF;
+
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'orders' AND column_name = 'status') THEN
+                            ALTER TABLE orders ADD COLUMN status VARCHAR(50) DEFAULT 'completed';
+                            RAISE NOTICE 'Added status column to orders table';
+                        END IF;
+
+                        -- Split payments: [{ method, amount }], NULL on orders from before tenders existed
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'orders' AND column_name = 'payments') THEN
+                            ALTER TABLE orders ADD COLUMN payments JSONB;
+                            RAISE NOTICE 'Added payments column to orders table';
+                        END IF;
+
+                        -- Split bill: child orders point at their shared ticket
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'orders' AND column_name = 'parentOrderId') THEN
+                            ALTER TABLE orders ADD COLUMN "parentOrderId" VARCHAR(255);
+                            ALTER TABLE orders ADD COLUMN "payerLabel" VARCHAR(255);
+                            RAISE NOTICE 'Added parentOrderId/payerLabel columns to orders table';
+                        END IF;
+
+                        -- Promotions applied to the order: [{ promotionId, name, type, code, amount }]
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'orders' AND column_name = 'promotions') THEN
+                            ALTER TABLE orders ADD COLUMN promotions JSONB;
+                            RAISE NOTICE 'Added promotions column to orders table';
+                        END IF;
+
+                        -- Cash handed over and change given back (see resolveCashTendered)
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'orders' AND column_name = 'cashTendered') THEN
+                            ALTER TABLE orders ADD COLUMN "cashTendered" NUMERIC(10, 2);
+                            ALTER TABLE orders ADD COLUMN "changeDue" NUMERIC(10, 2);
+                            RAISE NOTICE 'Added cashTendered/changeDue columns to orders table';
+                        END IF;
+
+                        -- Dollars handed over and the rate they were taken at (see src/services/currency.js)
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'orders' AND column_name = 'usdTendered') THEN
+                            ALTER TABLE orders ADD COLUMN "usdTendered" NUMERIC(10, 2);
+                            ALTER TABLE orders ADD COLUMN "exchangeRate" NUMERIC(10, 4);
+                            RAISE NOTICE 'Added usdTendered/exchangeRate columns to orders table';
+                        END IF;
+
+                        -- Dollars in the drawer are counted apart from pesos
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'cash_sessions' AND column_name = 'startAmountUsd') THEN
+                            ALTER TABLE cash_sessions ADD COLUMN "startAmountUsd" NUMERIC(10, 2) DEFAULT 0;
+                            ALTER TABLE cash_sessions ADD COLUMN "endAmountUsd" NUMERIC(10, 2);
+                            ALTER TABLE cash_sessions ADD COLUMN "expectedCashUsd" NUMERIC(10, 2) DEFAULT 0;
+                            ALTER TABLE cash_sessions ADD COLUMN "differenceUsd" NUMERIC(10, 2) DEFAULT 0;
+                            RAISE NOTICE 'Added USD columns to cash_sessions table';
+                        END IF;
+
+                        -- Modifier groups (size, milk, extras) - see src/services/productModifiers.js
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'products' AND column_name = 'modifierGroups') THEN
+                            ALTER TABLE products ADD COLUMN "modifierGroups" JSONB NOT NULL DEFAULT '[]'::jsonb;
+                            RAISE NOTICE 'Added modifierGroups column to products table';
+                        END IF;
+
+                        -- Combos: [{ productId, quantity }] - see src/services/productBundles.js
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'products' AND column_name = 'bundleItems') THEN
+                            ALTER TABLE products ADD COLUMN "bundleItems" JSONB NOT NULL DEFAULT '[]'::jsonb;
+                            RAISE NOTICE 'Added bundleItems column to products table';
+                        END IF;
+
+                        -- Recipes: [{ ingredientId, quantity }] - see src/services/recipes.js
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'products' AND column_name = 'recipe') THEN
+                            ALTER TABLE products ADD COLUMN recipe JSONB NOT NULL DEFAULT '[]'::jsonb;
+                            RAISE NOTICE 'Added recipe column to products table';
+                        END IF;
+
+                        -- The CFDI covering the order (see routes/invoices.js)
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'orders' AND column_name = 'invoiceId') THEN
+                            ALTER TABLE orders ADD COLUMN "invoiceId" VARCHAR(255);
+                            RAISE NOTICE 'Added invoiceId column to orders table';
+                        END IF;
+
+                        -- SAT keys for invoice lines (c_ClaveProdServ, c_ClaveUnidad) - see src/services/cfdi.js
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'products' AND column_name = 'satProductKey') THEN
+                            ALTER TABLE products ADD COLUMN "satProductKey" VARCHAR(8);
+                            ALTER TABLE products ADD COLUMN "satUnitKey" VARCHAR(3);
+                            RAISE NOTICE 'Added SAT key columns to products table';
+                        END IF;
+
+                        -- IVA rate of the product (iva_16, iva_0, exempt) - see src/services/taxes.js
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'products' AND column_name = 'taxRate') THEN
+                            ALTER TABLE products ADD COLUMN "taxRate" VARCHAR(10) NOT NULL DEFAULT 'iva_16';
+                            RAISE NOTICE 'Added taxRate column to products table';
+                        END IF;
+
+                        -- SKU and barcode read by the register's scanner
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'products' AND column_name = 'sku') THEN
+                            ALTER TABLE products ADD COLUMN sku VARCHAR(64);
+                            ALTER TABLE products ADD COLUMN barcode VARCHAR(64);
+                            RAISE NOTICE 'Added sku/barcode columns to products table';
+                        END IF;
+
+                        -- IVA the supplier charged, included in the expense amount
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'expenses' AND column_name = 'taxAmount') THEN
+                            ALTER TABLE expenses ADD COLUMN "taxAmount" NUMERIC(10, 2) NOT NULL DEFAULT 0;
+                            RAISE NOTICE 'Added taxAmount column to expenses table';
+                        END IF;
+
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'order_refunds' AND column_name = 'payments') THEN
+                            ALTER TABLE order_refunds ADD COLUMN payments JSONB;
+                            RAISE NOTICE 'Added payments column to order_refunds table';
+                        END IF;
+
+                        -- When the order was last corrected (see order_edits)
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'orders' AND column_name = 'lastEditedAt') THEN
+                            ALTER TABLE orders ADD COLUMN "lastEditedAt" TIMESTAMP WITH TIME ZONE;
+                            RAISE NOTICE 'Added lastEditedAt column to orders table';
+                        END IF;
+
+                        -- Edits the admin key authorized (sales of a closed cash session)
+                        IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                                      WHERE table_name = 'order_edits' AND column_name = 'adminAuthorized') THEN
+                            ALTER TABLE order_edits ADD COLUMN "adminAuthorized" BOOLEAN NOT NULL DEFAULT false;
+                            RAISE NOTICE 'Added adminAuthorized column to order_edits table';
+                        END IF;
                     END $$;
                 `);
                 console.log('✅ Auto-migrations completed successfully');
@@ -272,6 +665,71 @@ async function setupAndGetDataStore() {
                     CREATE INDEX IF NOT EXISTS idx_orders_created_at
                     ON orders(created_at DESC);
                 `);
+                await schemaClient.query(`
+                    CREATE INDEX IF NOT EXISTS idx_orders_parent_order_id
+                    ON orders("parentOrderId") WHERE "parentOrderId" IS NOT NULL;
+                `);
+                // History filters page by (created_at, id) and look orders up by customer
+                await schemaClient.query(`
+                    CREATE INDEX IF NOT EXISTS idx_orders_created_at_id
+                    ON orders(created_at DESC, id DESC);
+                `);
+                await schemaClient.query(`
+                    CREATE INDEX IF NOT EXISTS idx_orders_customer_id
+                    ON orders("customerId", created_at DESC) WHERE "customerId" IS NOT NULL;
+                `);
+                await schemaClient.query(`
+                    CREATE INDEX IF NOT EXISTS idx_order_refunds_order_id
+                    ON order_refunds("orderId");
+                `);
+                await schemaClient.query(`
+                    CREATE INDEX IF NOT EXISTS idx_order_refunds_created_at
+                    ON order_refunds(created_at DESC);
+                `);
+                await schemaClient.query(`
+                    CREATE INDEX IF NOT EXISTS idx_order_edits_order_id
+                    ON order_edits("orderId", created_at DESC);
+                `);
+                await schemaClient.query(`
+                    CREATE INDEX IF NOT EXISTS idx_ingredient_movements_created_at
+                    ON ingredient_movements(created_at DESC, "ingredientId");
+                `);
+                // One open tab per table; the tabs repository maps the violation to a 409
+                await schemaClient.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_tabs_open_table
+                    ON tabs("tableId") WHERE status = 'open' AND "tableId" IS NOT NULL;
+                `);
+                await schemaClient.query(`
+                    CREATE INDEX IF NOT EXISTS idx_tabs_status
+                    ON tabs(status, created_at DESC);
+                `);
+                await schemaClient.query(`
+                    CREATE INDEX IF NOT EXISTS idx_kitchen_tickets_status
+                    ON kitchen_tickets(status, created_at);
+                `);
+                await schemaClient.query(`
+                    CREATE INDEX IF NOT EXISTS idx_kitchen_tickets_order_id
+                    ON kitchen_tickets("orderId") WHERE "orderId" IS NOT NULL;
+                `);
+                // Coupon codes are unique; the promotions repository maps the violation to a 409
+                await schemaClient.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_promotions_code
+                    ON promotions(code) WHERE code IS NOT NULL;
+                `);
+                // A scanned code must find one product; the products router maps the violation to a 409
+                await schemaClient.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku
+                    ON products(LOWER(sku)) WHERE sku IS NOT NULL;
+                `);
+                await schemaClient.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_products_barcode
+                    ON products(LOWER(barcode)) WHERE barcode IS NOT NULL;
+                `);
+                // One pending request per order; the router maps the violation to a 409
+                await schemaClient.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_invoice_requests_pending_order
+                    ON invoice_requests("orderId") WHERE status = 'pending';
+                `);
                 console.log('✅ Performance indexes created successfully');
             } catch (indexError) {
                 console.error('⚠️ Index creation warning:', indexError.message);
@@ -361,15 +819,19 @@ async function setupAndGetDataStore() {
     }
 
     const productStore = {
+        // Combos report the stock their components allow (withBundleStock)
         async getAll() {
-            if (!useDb) return initialProducts;
+            if (!useDb) return withBundleStock(initialProducts);
             const result = await pool.query('SELECT * FROM products ORDER BY name ASC');
-            return result.rows.map(product => ({
+            return withBundleStock(result.rows.map(product => ({
                 ...product,
                 price: parseFloat(product.price),
                 cost: parseFloat(product.cost),
-                stock: parseInt(product.stock)
-            }));
+                stock: parseInt(product.stock),
+                modifierGroups: product.modifierGroups || [],
+                bundleItems: product.bundleItems || [],
+                recipe: product.recipe || []
+            })));
         },
         async create(productData) {
             if (!useDb) {
@@ -377,18 +839,21 @@ async function setupAndGetDataStore() {
                 initialProducts.push(newProduct);
                 return newProduct;
             }
-            const { name, price, cost, stock, description, imageUrl, category } = productData;
+            const { name, price, cost, stock, description, imageUrl, category, modifierGroups = [], bundleItems = [], recipe = [], satProductKey, satUnitKey, taxRate, sku, barcode } = productData;
             const id = `prod-${Date.now()}`;
             const result = await pool.query(
-                'INSERT INTO products (id, name, price, cost, stock, description, "imageUrl", category) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
-                [id, name, price, cost, stock, description, imageUrl, category]
+                'INSERT INTO products (id, name, price, cost, stock, description, "imageUrl", category, "modifierGroups", "bundleItems", recipe, "satProductKey", "satUnitKey", "taxRate", sku, barcode) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16) RETURNING *',
+                [id, name, price, cost, stock, description, imageUrl, category, JSON.stringify(modifierGroups), JSON.stringify(bundleItems), JSON.stringify(recipe), satProductKey || null, satUnitKey || null, taxRate || 'iva_16', sku || null, barcode || null]
             );
             const newProduct = result.rows[0];
             return {
                 ...newProduct,
                 price: parseFloat(newProduct.price),
                 cost: parseFloat(newProduct.cost),
-                stock: parseInt(newProduct.stock)
+                stock: parseInt(newProduct.stock),
+                modifierGroups: newProduct.modifierGroups || [],
+                bundleItems: newProduct.bundleItems || [],
+                recipe: newProduct.recipe || []
             };
         },
         async update(id, productData) {
@@ -400,17 +865,24 @@ async function setupAndGetDataStore() {
                 }
                 return null;
             }
-            const { name, price, cost, stock, description, imageUrl, category } = productData;
+            const { name, price, cost, stock, description, imageUrl, category, modifierGroups, bundleItems, recipe, satProductKey, satUnitKey, taxRate, sku, barcode } = productData;
+            // modifierGroups/bundleItems/recipe/SAT keys/taxRate/codes left out of the request keep the product's current ones
+            // ('' clears a SAT key back to the invoicing default, and clears a SKU or barcode)
             const result = await pool.query(
-                'UPDATE products SET name = $1, price = $2, cost = $3, stock = $4, description = $5, "imageUrl" = $6, category = $7 WHERE id = $8 RETURNING *',
-                [name, price, cost, stock, description, imageUrl, category, id]
+                `UPDATE products SET name = $1, price = $2, cost = $3, stock = $4, description = $5, "imageUrl" = $6, category = $7, "modifierGroups" = COALESCE($8::jsonb, "modifierGroups"), "bundleItems" = COALESCE($9::jsonb, "bundleItems"), "satProductKey" = CASE WHEN $10::text IS NULL THEN "satProductKey" ELSE NULLIF($10, '') END, "satUnitKey" = CASE WHEN $11::text IS NULL THEN "satUnitKey" ELSE NULLIF($11, '') END, "taxRate" = COALESCE($12, "taxRate"),
+                    sku = CASE WHEN $13::text IS NULL THEN sku ELSE NULLIF($13, '') END, barcode = CASE WHEN $14::text IS NULL THEN barcode ELSE NULLIF($14, '') END, recipe = COALESCE($16::jsonb, recipe) WHERE id = $15 RETURNING *`,
+                [name, price, cost, stock, description, imageUrl, category, modifierGroups === undefined ? null : JSON.stringify(modifierGroups), bundleItems === undefined ? null : JSON.stringify(bundleItems), satProductKey === undefined ? null : satProductKey, satUnitKey === undefined ? null : satUnitKey, taxRate || null, sku === undefined ? null : sku, barcode === undefined ? null : barcode, id, recipe === undefined ? null : JSON.stringify(recipe)]
             );
             const updatedProduct = result.rows[0];
+            if (!updatedProduct) return null;
             return {
                 ...updatedProduct,
                 price: parseFloat(updatedProduct.price),
                 cost: parseFloat(updatedProduct.cost),
-                stock: parseInt(updatedProduct.stock)
+                stock: parseInt(updatedProduct.stock),
+                modifierGroups: updatedProduct.modifierGroups || [],
+                bundleItems: updatedProduct.bundleItems || [],
+                recipe: updatedProduct.recipe || []
             };
         },
         async delete(id) {
@@ -439,18 +911,21 @@ async function setupAndGetDataStore() {
             try {
                 await client.query('BEGIN');
                 for (const product of productsToImport) {
+                    // An empty SKU/barcode column keeps the product's current code
                     const query = `
-                        INSERT INTO products (id, name, price, cost, stock, description, "imageUrl", category)
-                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                        INSERT INTO products (id, name, price, cost, stock, description, "imageUrl", category, sku, barcode)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
                         ON CONFLICT (name) DO UPDATE SET
                             price = EXCLUDED.price,
                             cost = EXCLUDED.cost,
                             stock = EXCLUDED.stock,
                             description = EXCLUDED.description,
                             "imageUrl" = EXCLUDED."imageUrl",
-                            category = EXCLUDED.category;
+                            category = EXCLUDED.category,
+                            sku = COALESCE(EXCLUDED.sku, products.sku),
+                            barcode = COALESCE(EXCLUDED.barcode, products.barcode);
                     `;
-                    await client.query(query, [`prod-${Date.now()}-${Math.random()}`, product.name, product.price, product.cost, product.stock, product.description, product.imageUrl, product.category]);
+                    await client.query(query, [`prod-${Date.now()}-${Math.random()}`, product.name, product.price, product.cost, product.stock, product.description, product.imageUrl, product.category, product.sku || null, product.barcode || null]);
                 }
                 await client.query('COMMIT');
                 const allProducts = await client.query('SELECT * FROM products ORDER BY name ASC');
@@ -527,16 +1002,50 @@ async function startServer() {
     // --- SECURITY HELPERS --- (moved to middleware/security.js)
     const loginRateLimiter = createSimpleRateLimiter(5,  15 * 60 * 1000); // 5 attempts per 15 min
     const aiRateLimiter    = createSimpleRateLimiter(10, 60 * 60 * 1000); // 10 per hour
+    const selfInvoiceRateLimiter = createSimpleRateLimiter(20, 60 * 60 * 1000); // 20 per hour, public page
+
+    // --- REAL-TIME SYNC --- (services/realtimeSync.ts connects here)
+    app.get('/api/events', (req, res) => {
+        registerClient(res, req.query.userId);
+    });
 
     // --- MOUNT ROUTERS --- (moved out of server.js verbatim; see routes/ and middleware/)
     app.use(createHealthRouter({ pool, useDb }));
-    app.use(createProductsRouter({ productStore, pool, useDb }));
-    app.use(createOrdersRouter({ pool, useDb, broadcastDataChange }));
-    app.use(createExpensesRouter({ pool, useDb, broadcastDataChange }));
+    const ingredients = createIngredientsRepository({ useDb, pool });
+    app.use(createProductsRouter({ productStore, ingredients, pool, useDb }));
+    app.use(createIngredientsRouter({ pool, useDb, ingredients, productStore, broadcastDataChange }));
+    const promotions = createPromotionsRepository({ useDb, pool });
+    const kitchenTickets = createKitchenTicketsRepository({ useDb, pool });
+    const sendToKitchen = createKitchenDispatcher({ kitchenTickets, broadcastDataChange });
+    const exchangeRates = createExchangeRatesRepository({ useDb, pool });
     const coworkingSessions = createCoworkingSessionsRepository({ useDb, pool, dbManager });
-    app.use(createCoworkingSessionsRouter({ coworkingSessions, broadcastDataChange }));
+    app.use(createOrdersRouter({ pool, useDb, productStore, ingredients, promotions, exchangeRates, coworkingSessions, hasAdminKey, sendToKitchen, broadcastDataChange }));
+    app.use(createPromotionsRouter({ promotions, broadcastDataChange }));
+    app.use(createKitchenRouter({ kitchenTickets, broadcastDataChange }));
+    app.use(createRefundsRouter({ pool, useDb, productStore, ingredients, broadcastDataChange }));
+    const settings = createSettingsRepository({ useDb, pool });
+    app.use(createSettingsRouter({ settings, broadcastDataChange }));
+    app.use(createReceiptsRouter({ pool, useDb, settings }));
+    app.use(createCustomerDisplayRouter({ settings }));
+    const pac = createPacAdapter();
+    app.use(createInvoicesRouter({ pool, useDb, productStore, settings, pac, broadcastDataChange }));
+    app.use(createInvoiceRequestsRouter({ pool, useDb, productStore, settings, pac, selfInvoiceRateLimiter, broadcastDataChange }));
+    app.use(createReportsRouter({ pool, useDb }));
+    app.use(createTipsRouter({ pool, useDb, settings, broadcastDataChange }));
+    app.use(createExchangeRatesRouter({ exchangeRates, broadcastDataChange }));
+    const quickKeyLayouts = createQuickKeyLayoutsRepository({ useDb, pool });
+    app.use(createQuickKeyLayoutsRouter({ quickKeyLayouts, productStore, broadcastDataChange }));
+    const parkedCarts = createParkedCartsRepository({ useDb, pool });
+    app.use(createParkedCartsRouter({ parkedCarts, pool, useDb, broadcastDataChange }));
+    const idempotencyKeys = createIdempotencyKeysRepository({ useDb, pool });
+    app.use(createExpensesRouter({ pool, useDb, idempotencyKeys, broadcastDataChange }));
+    app.use(createCoworkingSessionsRouter({ coworkingSessions, idempotencyKeys, broadcastDataChange }));
+    const tabs = createTabsRepository({ useDb, pool });
+    const floorTables = createFloorTablesRepository({ useDb, pool });
+    app.use(createTabsRouter({ tabs, floorTables, productStore, sendToKitchen, broadcastDataChange }));
+    app.use(createFloorTablesRouter({ floorTables, tabs, broadcastDataChange }));
     app.use(createCashSessionsRouter({ pool, useDb, broadcastDataChange }));
-    app.use(createCashWithdrawalsRouter({ pool, useDb, broadcastDataChange }));
+    app.use(createCashWithdrawalsRouter({ pool, useDb, idempotencyKeys, broadcastDataChange }));
     app.use(createUsersRouter({ pool, useDb }));
     app.use(createAuthRouter({ pool, useDb, loginRateLimiter }));
     app.use(createCustomersRouter({ pool, useDb, broadcastDataChange }));
@@ -14,7 +14,7 @@
 
 type DataChangeEvent = {
   type: 'data-change';
-  dataType: 'products' | 'orders' | 'expenses' | 'coworking-sessions' | 'cash-sessions' | 'customers' | 'cash-withdrawals';
+  dataType: 'products' | 'orders' | 'expenses' | 'coworking-sessions' | 'cash-sessions' | 'customers' | 'cash-withdrawals' | 'tabs' | 'floor-tables' | 'promotions' | 'kitchen' | 'settings' | 'invoices' | 'exchange-rates' | 'quick-key-layouts' | 'parked-carts' | 'ingredients';
   action?: 'create' | 'update' | 'delete';
   id?: string;
   timestamp: number;
@@ -0,0 +1,51 @@
+// CFDI invoicing (cfdi.js): fiscal data validated by the invoice and product
+// routes, through server.js in in-memory mode (no DATABASE_URL).
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3981;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+const del = (p) => request(server.baseUrl, 'DELETE', p);
+
+describe('invoices', () => {
+  const receptor = { rfc: 'xaxx010101000', name: 'Público en general', zipCode: '06700', taxRegime: '616', cfdiUse: 'S01' };
+
+  test('the receptor\'s fiscal data is validated in any mode; stamping needs the stored orders (503)', async () => {
+    const badRfc = await post('/api/invoices', { orderIds: ['order-1'], receptor: { ...receptor, rfc: 'NOPE' } });
+    expect(badRfc.status).toBe(400);
+    expect(badRfc.body).toEqual({ error: 'RFC inválido: NOPE' });
+    expect((await post('/api/invoices', { orderIds: ['order-1'], receptor: { ...receptor, cfdiUse: 'Z99' } })).status).toBe(400);
+
+    const valid = await post('/api/invoices', { orderIds: ['order-1'], receptor });
+    expect(valid.status).toBe(503);
+    expect(valid.body).toEqual({ error: 'Database not available' });
+    expect((await get('/api/invoices')).body).toEqual([]);
+  });
+
+  test('products carry SAT keys and the business its fiscal data, both validated', async () => {
+    const product = { name: 'Producto SAT temporal', price: 10, cost: 5, stock: 1, description: 'temp', imageUrl: 'https://example.com/x.png', category: 'Alimentos' };
+    const badKey = await post('/api/products', { ...product, satProductKey: '123' });
+    expect(badKey.status).toBe(400);
+    expect(badKey.body).toEqual({ error: 'Clave de producto SAT inválida: 123 (8 dígitos)' });
+
+    const created = await post('/api/products', { ...product, satProductKey: ' 50181900 ', satUnitKey: 'h87' });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ satProductKey: '50181900', satUnitKey: 'H87' });
+    await del(`/api/products/${created.body.id}`);
+
+    expect((await put('/api/settings', { taxRegime: '999' })).body).toEqual({ error: 'Régimen fiscal inválido: 999' });
+    expect((await put('/api/settings', { zipCode: '123' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,52 @@
+// Dollar tenders at the day's exchange rate (currency.js, orderPayments.js),
+// through server.js in in-memory mode (no DATABASE_URL).
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3984;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+
+describe('dollars at the register', () => {
+  const usdOrder = (extra) => post('/api/orders', {
+    clientName: 'Tourist',
+    serviceType: 'Para llevar',
+    paymentMethod: 'Dólares',
+    items: [{ id: '1', quantity: 1 }],
+    userId: 'user-1',
+    ...extra,
+  });
+
+  test('dollars are refused until an admin sets a valid rate for the day', async () => {
+    expect(await usdOrder({ usdTendered: 20 })).toMatchObject({ status: 409, body: { error: 'No hay tipo de cambio para USD' } });
+    expect((await put('/api/exchange-rates/USD', { rate: 'abc' })).body).toEqual({ error: 'Tipo de cambio inválido: abc' });
+    expect((await put('/api/exchange-rates/EUR', { rate: 20 })).body).toEqual({ error: 'Moneda no soportada: EUR' });
+
+    const { status, body } = await put('/api/exchange-rates/USD', { rate: 17.5, userId: 'admin-1' });
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ currency: 'USD', rate: 17.5, userId: 'admin-1' });
+    expect(body.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect((await get('/api/exchange-rates/current')).body.rate).toBe(17.5);
+  });
+
+  test('a dollar tender keeps the dollars and the rate, and gives change in pesos', async () => {
+    const { status, body } = await usdOrder({ usdTendered: 100 });
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ paymentMethod: 'Dólares', usdTendered: 100, exchangeRate: 17.5 });
+    expect(body.changeDue).toBe(Math.round((1750 - body.total) * 100) / 100);
+
+    expect((await usdOrder({})).body).toEqual({ error: 'Indica los dólares recibidos' });
+    expect((await usdOrder({ usdTendered: 0.01 })).body.error).toMatch(/^Los dólares recibidos \(US\$0\.01 = \$0\.18\) no cubren/);
+  });
+});
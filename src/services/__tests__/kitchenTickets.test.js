@@ -0,0 +1,75 @@
+// Kitchen tickets (kitchenTickets.js) queued by sales and bumped by the
+// kitchen display, through server.js in in-memory mode (no DATABASE_URL).
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3979;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+
+describe('kitchen display', () => {
+  let ticket;
+
+  test('a sale queues a ticket split by station, and bumps move lines and the ticket along', async () => {
+    const sale = await post('/api/orders', {
+      clientName: 'Mesa 4',
+      serviceType: 'Mesa',
+      paymentMethod: 'Efectivo',
+      items: [{ id: '2', quantity: 2 }, { id: '3', quantity: 1 }],
+      userId: 'user-1',
+    });
+    expect(sale.status).toBe(201);
+    expect(sale.body.prepStatus).toBe('new');
+
+    const queue = await get('/api/kitchen/tickets');
+    expect(queue.status).toBe(200);
+    ticket = queue.body.find(t => t.orderId === sale.body.id);
+    expect(ticket).toMatchObject({ label: 'Mesa 4', serviceType: 'Mesa', status: 'new' });
+    expect(ticket.items.map(({ index, station, quantity, status }) => ({ index, station, quantity, status }))).toEqual([
+      { index: 0, station: 'barra', quantity: 2, status: 'new' },
+      { index: 1, station: 'cocina', quantity: 1, status: 'new' },
+    ]);
+
+    const started = await post(`/api/kitchen/tickets/${ticket.id}/items/0/bump`);
+    expect(started.body.status).toBe('in_progress');
+    expect(started.body.items[0]).toMatchObject({ status: 'in_progress' });
+    expect(started.body.startedAt).toBeTruthy();
+
+    const ready = await post(`/api/kitchen/tickets/${ticket.id}/bump`);
+    expect(ready.body.status).toBe('ready');
+    expect(ready.body.items.every(item => item.status === 'ready')).toBe(true);
+
+    const delivered = await post(`/api/kitchen/tickets/${ticket.id}/bump`);
+    expect(delivered.body.status).toBe('delivered');
+    const active = await get('/api/kitchen/tickets');
+    expect(active.body.some(t => t.id === ticket.id)).toBe(false);
+  });
+
+  test('delivered tickets reject further bumps (409) and count towards prep-time stats', async () => {
+    const again = await post(`/api/kitchen/tickets/${ticket.id}/items/1/bump`);
+    expect(again.status).toBe(409);
+    expect(again.body).toEqual({ error: 'La orden de Mesa 4 ya se entregó' });
+
+    const missing = await post('/api/kitchen/tickets/kt-missing/bump');
+    expect(missing.status).toBe(404);
+
+    const stats = await get('/api/kitchen/stats');
+    expect(stats.status).toBe(200);
+    expect(stats.body.tickets).toBeGreaterThanOrEqual(1);
+    expect(typeof stats.body.averagePrepMinutes).toBe('number');
+    expect(stats.body.byStation.map(row => row.station)).toEqual(['barra', 'cocina']);
+
+    const badRange = await get('/api/kitchen/stats?from=ayer');
+    expect(badRange.status).toBe(400);
+  });
+});
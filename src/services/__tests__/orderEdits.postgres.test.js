@@ -0,0 +1,92 @@
+// Order edits end to end: PUT /api/orders/:id only runs against the database,
+// so this boots server.js on a throwaway PostgreSQL (tests/support/postgres.js)
+// and checks the order and the order_edits row the edit leaves behind.
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+const { startPostgres } = require('../../../tests/support/postgres');
+
+const PORT = 3966;
+const PG_PORT = 54366;
+
+let db;
+let server;
+const get = (urlPath) => request(server.baseUrl, 'GET', urlPath);
+const post = (urlPath, body) => request(server.baseUrl, 'POST', urlPath, body);
+const put = (urlPath, body) => request(server.baseUrl, 'PUT', urlPath, body);
+
+beforeAll(async () => {
+  db = await startPostgres(PG_PORT);
+  server = await startServer(PORT, { DATABASE_URL: db.url, ADMIN_SECRET_KEY: 'admin-secret' });
+}, 120000);
+
+afterAll(async () => {
+  server?.stop();
+  await db?.stop();
+});
+
+describe('PUT /api/orders/:id', () => {
+  let espresso;
+  const tipEdit = { reason: 'Propina mal capturada', userId: 'u-admin', tip: 10 };
+
+  const sell = async () => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Edición', serviceType: 'Mesa', paymentMethod: 'Efectivo', sendToKitchen: false,
+      items: [{ id: espresso.id, name: espresso.name, quantity: 1 }],
+    });
+    expect({ status, error: body.error }).toEqual({ status: 201 });
+    return body;
+  };
+  const editsOf = async (orderId) => (await db.query(
+    'SELECT "userId", "adminAuthorized", reason, changes FROM order_edits WHERE "orderId" = $1', [orderId]
+  )).rows;
+
+  beforeAll(async () => {
+    const { status, body } = await post('/api/products', { name: 'Espresso para editar', price: 40, cost: 12, stock: 20, category: 'Café' });
+    expect({ status, error: body.error }).toEqual({ status: 201 });
+    espresso = body;
+  });
+
+  test('applies the edit and keeps who changed what, and why', async () => {
+    const order = await sell();
+
+    const { status, body } = await put(`/api/orders/${order.id}`, tipEdit);
+    expect(status).toBe(200);
+    expect(body.order).toMatchObject({ id: order.id, tip: 10, total: order.total + 10 });
+
+    expect(await editsOf(order.id)).toEqual([
+      { userId: 'u-admin', adminAuthorized: false, reason: 'Propina mal capturada', changes: expect.any(Object) },
+    ]);
+    expect((await get(`/api/orders/${order.id}/edits`)).body).toHaveLength(1);
+  });
+
+  test('sales of a closed cash session need the admin key, not an admin\'s userId (403)', async () => {
+    const order = await sell();
+    const { rows: [{ created_at: soldAt }] } = await db.query('SELECT created_at FROM orders WHERE id = $1', [order.id]);
+    await db.query(
+      `INSERT INTO cash_sessions (id, "startAmount", "startTime", "endTime", status) VALUES ($1, 500, $2, $2, 'closed')`,
+      ['cs-closed', soldAt]
+    );
+
+    const refused = await put(`/api/orders/${order.id}`, tipEdit);
+    expect(refused.status).toBe(403);
+    expect(refused.body).toEqual({ error: 'Solo un administrador puede editar ventas de un corte de caja cerrado' });
+    expect((await put(`/api/orders/${order.id}?adminKey=guess`, tipEdit)).status).toBe(403);
+    expect(await editsOf(order.id)).toEqual([]);
+
+    const authorized = await put(`/api/orders/${order.id}?adminKey=admin-secret`, tipEdit);
+    expect(authorized.status).toBe(200);
+    expect((await editsOf(order.id)).map(edit => edit.adminAuthorized)).toEqual([true]);
+  });
+
+  test('refuses an invoiced order (409) and leaves it as it was', async () => {
+    const order = await sell();
+    await db.query('UPDATE orders SET "invoiceId" = $1 WHERE id = $2', ['inv-test', order.id]);
+
+    const { status, body } = await put(`/api/orders/${order.id}`, tipEdit);
+    expect(status).toBe(409);
+    expect(body).toEqual({ error: 'La orden ya está facturada y no se puede editar' });
+    const { rows: [stored] } = await db.query('SELECT tip FROM orders WHERE id = $1', [order.id]);
+    expect(parseFloat(stored.tip)).toBe(0);
+    expect(await editsOf(order.id)).toEqual([]);
+  });
+});
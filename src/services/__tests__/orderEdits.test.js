@@ -0,0 +1,37 @@
+// Order edits (orderEdits.js) through PUT /api/orders/:id on server.js in
+// in-memory mode (no DATABASE_URL): the request is checked before the route
+// needs the database. The edits themselves are in orderEdits.postgres.test.js.
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3989;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+
+describe('PUT /api/orders/:id', () => {
+  test('PUT /api/orders/:id needs a reason, the editing user and something to change (400)', async () => {
+    expect((await put('/api/orders/order-1', { userId: 'u1', tip: 10 })).body).toEqual({ error: 'El motivo de la edición es obligatorio' });
+    expect((await put('/api/orders/order-1', { reason: 'Propina mal capturada', tip: 10 })).body).toEqual({ error: 'Falta el usuario que edita la orden' });
+    expect((await put('/api/orders/order-1', { reason: 'Nada', userId: 'u1' })).body).toEqual({ error: 'La edición no cambia nada' });
+    expect((await put('/api/orders/order-1', { reason: 'x', userId: 'u1', serviceType: 'Domicilio' })).body).toEqual({ error: 'Tipo de servicio inválido: Domicilio' });
+    expect((await put('/api/orders/order-1', { reason: 'x', userId: 'u1', items: [{ lineIndex: 0, quantity: 1 }, { lineIndex: 0, quantity: 2 }] })).body)
+      .toEqual({ error: 'Línea inválida: 0' });
+  });
+
+  test('edits need the database; without one there is no change trail', async () => {
+    const { status, body } = await put('/api/orders/order-1', { reason: 'Propina mal capturada', userId: 'u1', tip: 10 });
+    expect(status).toBe(503);
+    expect(body).toEqual({ error: 'Database not available' });
+    expect((await get('/api/orders/order-1/edits')).body).toEqual([]);
+  });
+});
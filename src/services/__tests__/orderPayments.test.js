@@ -0,0 +1,84 @@
+// Tenders (orderPayments.js) through POST /api/orders on server.js in
+// in-memory mode (no DATABASE_URL). The credit share on PostgreSQL is in
+// database/__tests__/create_order_atomic.test.js.
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3974;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+
+describe('split tenders', () => {
+  test('POST /api/orders accepts split tenders and records the order as Mixto', async () => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Split Client',
+      serviceType: 'Mesa',
+      items: [{ id: '2', name: 'Latte', quantity: 2 }],
+      payments: [{ method: 'Efectivo', amount: 60 }, { method: 'Tarjeta', amount: 50 }],
+      userId: 'user-1',
+    });
+    expect(status).toBe(201);
+    expect(body.paymentMethod).toBe('Mixto');
+    expect(body.payments).toEqual([{ method: 'Efectivo', amount: 60 }, { method: 'Tarjeta', amount: 50 }]);
+  });
+
+  test('POST /api/orders rejects tenders that do not add up to the total (400)', async () => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Split Client',
+      serviceType: 'Mesa',
+      items: [{ id: '2', name: 'Latte', quantity: 2 }],
+      payments: [{ method: 'Efectivo', amount: 60 }, { method: 'Tarjeta', amount: 40 }],
+      userId: 'user-1',
+    });
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/no cubren el total/);
+  });
+
+  test('POST /api/orders refuses a credit tender without a customer (400)', async () => {
+    const { status } = await post('/api/orders', {
+      clientName: 'Split Client',
+      serviceType: 'Mesa',
+      items: [{ id: '2', name: 'Latte', quantity: 1 }],
+      payments: [{ method: 'Efectivo', amount: 5 }, { method: 'Crédito', amount: 50 }],
+      userId: 'user-1',
+    });
+    expect(status).toBe(400);
+  });
+});
+
+describe('cash tendered and change', () => {
+  const cashOrder = (extra) => post('/api/orders', {
+    clientName: 'Cash Client',
+    serviceType: 'Para llevar',
+    paymentMethod: 'Efectivo',
+    items: [{ id: '1', quantity: 1 }],
+    userId: 'user-1',
+    ...extra,
+  });
+
+  test('the order keeps the cash handed over and the change given back', async () => {
+    const { status, body } = await cashOrder({ cashTendered: 200 });
+    expect(status).toBe(201);
+    expect(body.cashTendered).toBe(200);
+    expect(body.changeDue).toBe(Math.round((200 - body.total) * 100) / 100);
+
+    const exact = await cashOrder({});
+    expect(exact.body.cashTendered).toBeUndefined();
+  });
+
+  test('short or misplaced cash is rejected (400)', async () => {
+    const short = await cashOrder({ cashTendered: 1 });
+    expect(short.status).toBe(400);
+    expect(short.body.error).toMatch(/^El efectivo recibido \(\$1\.00\) no cubre el pago en efectivo/);
+    expect((await cashOrder({ paymentMethod: 'Tarjeta', cashTendered: 100 })).body).toEqual({ error: 'La orden no tiene pago en efectivo' });
+  });
+});
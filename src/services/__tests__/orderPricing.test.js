@@ -0,0 +1,176 @@
+// Server-side pricing (orderPricing.js). The service is ESM and jest runs
+// these files as CommonJS, so each case runs through runModule; the checkout
+// cases go through POST /api/orders on server.js in in-memory mode.
+
+const { startServer, request, runModule } = require('../../../tests/characterization/helpers');
+
+describe('assertClientTotalsMatch', () => {
+  test('takes a half-cent customer discount however the client rounded it, but not two cents off', async () => {
+    const result = await runModule(`
+      import { priceOrder, assertClientTotalsMatch } from './src/services/orderPricing.js';
+
+      const products = [
+        { id: 'p1', name: 'Chilaquiles', category: 'Alimentos', price: 45.5, cost: 20 },
+        { id: 'p2', name: 'Galleta', category: 'Alimentos', price: 4.5, cost: 1 },
+      ];
+      const check = (items, discountPercentage, clientTotals) => {
+        const priced = priceOrder({ items, products, discountPercentage });
+        try {
+          assertClientTotalsMatch(priced, clientTotals);
+          return { discount: priced.discount, total: priced.total };
+        } catch (error) {
+          return { status: error.status, mismatched: error.mismatched };
+        }
+      };
+      console.log(JSON.stringify({
+        unrounded: check([{ id: 'p1', quantity: 1 }], 5, { subtotal: 45.5, discount: 2.275, total: 43.225 }),
+        rounded: check([{ id: 'p1', quantity: 1 }], 5, { subtotal: 45.5, discount: 2.28, total: 43.22 }),
+        fifteen: check([{ id: 'p2', quantity: 1 }], 15, { subtotal: 4.5, discount: 0.675, total: 3.825 }),
+        oneCentOff: check([{ id: 'p1', quantity: 1 }], 5, { subtotal: 45.5, discount: 2.27, total: 43.23 }),
+        twoCentsOff: check([{ id: 'p1', quantity: 1 }], 5, { subtotal: 45.5, discount: 2.26, total: 43.24 }),
+      }));
+    `);
+
+    expect(result.unrounded).toEqual({ discount: 2.28, total: 43.22 });
+    expect(result.rounded).toEqual({ discount: 2.28, total: 43.22 });
+    expect(result.fifteen).toEqual({ discount: 0.68, total: 3.82 });
+    expect(result.oneCentOff).toEqual({ discount: 2.28, total: 43.22 });
+    expect(result.twoCentsOff).toEqual({ status: 409, mismatched: ['discount', 'total'] });
+  });
+});
+
+describe('POST /api/orders', () => {
+  const PORT = 3971;
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer(PORT);
+  }, 20000);
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+  const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+  const del = (p) => request(server.baseUrl, 'DELETE', p);
+
+  test('POST /api/orders prices lines from the catalog, ignoring the client price', async () => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Test Client',
+      serviceType: 'Para llevar',
+      paymentMethod: 'Tarjeta',
+      items: [{ id: '1', name: 'Espresso', price: 1, cost: 0, quantity: 2 }],
+      tip: 5,
+      userId: 'user-1',
+    });
+    expect(status).toBe(201);
+    expect(body.items[0]).toMatchObject({ id: '1', name: 'Espresso Americano', price: 35, cost: 12, quantity: 2 });
+    expect(body).toMatchObject({ subtotal: 70, discount: 0, tip: 5, total: 75, totalCost: 24 });
+  });
+
+  test('POST /api/orders rejects a cart whose client totals disagree (409)', async () => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Stale Cache',
+      serviceType: 'Mesa',
+      paymentMethod: 'Efectivo',
+      items: [{ id: '1', name: 'Espresso', price: 30, cost: 12, quantity: 1 }],
+      subtotal: 30,
+      total: 30,
+      userId: 'user-1',
+    });
+    expect(status).toBe(409);
+    expect(body.mismatched).toEqual(['subtotal', 'total']);
+    expect(body.expected).toEqual({ subtotal: 35, discount: 0, tip: 0, total: 35 });
+  });
+
+  test('POST /api/orders rejects unknown products (400)', async () => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Test Client',
+      serviceType: 'Mesa',
+      paymentMethod: 'Efectivo',
+      items: [{ id: 'does-not-exist', name: 'Ghost', price: 10, cost: 0, quantity: 1 }],
+      userId: 'user-1',
+    });
+    expect(status).toBe(400);
+    expect(body).toEqual({ error: 'Producto no encontrado: Ghost' });
+  });
+
+  test('POST /api/orders prices the coworking line from its session and frees only the café it consumed', async () => {
+    const endTime = new Date();
+    const startTime = new Date(endTime.getTime() - 90 * 60 * 1000).toISOString();
+    const session = (await post('/api/coworking-sessions', { clientName: 'Cowork Client', startTime })).body;
+    await put(`/api/coworking-sessions/${session.id}`, {
+      endTime: endTime.toISOString(),
+      consumedExtras: [{ id: '2', name: 'Latte', price: 55, cost: 18, quantity: 1, category: 'Cafetería' }],
+    });
+    const order = (items) => post('/api/orders', {
+      clientName: 'Cowork Client',
+      serviceType: 'Mesa',
+      paymentMethod: 'Efectivo',
+      coworkingSessionId: session.id,
+      items,
+      userId: 'user-1',
+    });
+
+    // One latte was consumed, so a second free one is refused
+    const greedy = await order([
+      { id: 'COWORK_SERVICE', name: 'Servicio Coworking', price: 72, cost: 0, quantity: 1 },
+      { id: '2', name: 'Latte', price: 0, cost: 18, quantity: 2, complimentary: true },
+    ]);
+    expect(greedy.status).toBe(400);
+
+    // 90 minutes: first hour plus one half hour, whatever the cart says
+    const { status, body } = await order([
+      { id: 'COWORK_SERVICE', name: 'Servicio Coworking', price: 1, cost: 0, quantity: 1 },
+      { id: '2', name: 'Latte', price: 0, cost: 18, quantity: 1, complimentary: true },
+    ]);
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ subtotal: 108, total: 108, totalCost: 18 });
+    expect(body.items[0]).toMatchObject({ id: 'COWORK_SERVICE', price: 108, coworkingSessionId: session.id });
+
+    // Once the session is charged it can't free anything again
+    await put(`/api/coworking-sessions/${session.id}`, { status: 'finished' });
+    const again = await order([{ id: 'COWORK_SERVICE', name: 'Servicio Coworking', price: 0, cost: 0, quantity: 1 }]);
+    expect(again.status).toBe(409);
+    await del(`/api/coworking-sessions/${session.id}`);
+  });
+
+  test('POST /api/orders refuses a fake coworking line that would make the café free (400)', async () => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Tampered Cart',
+      serviceType: 'Mesa',
+      paymentMethod: 'Efectivo',
+      items: [
+        { id: 'COWORK_x', name: 'Servicio Coworking', price: 0, cost: 0, quantity: 1 },
+        { id: '2', name: 'Latte', price: 0, cost: 18, quantity: 20, complimentary: true },
+      ],
+      subtotal: 0,
+      total: 0,
+      userId: 'user-1',
+    });
+    expect(status).toBe(400);
+    expect(body).toEqual({ error: 'Falta la sesión de coworking que se cobra' });
+
+    const unknown = await post('/api/orders', {
+      clientName: 'Tampered Cart',
+      serviceType: 'Mesa',
+      paymentMethod: 'Efectivo',
+      coworkingSessionId: 'coworking-does-not-exist',
+      items: [{ id: 'COWORK_x', name: 'Servicio Coworking', price: 0, cost: 0, quantity: 1 }],
+      userId: 'user-1',
+    });
+    expect(unknown.status).toBe(400);
+  });
+
+  test('POST /api/orders refuses complimentary lines outside a coworking order (400)', async () => {
+    const { status } = await post('/api/orders', {
+      clientName: 'Test Client',
+      serviceType: 'Mesa',
+      paymentMethod: 'Efectivo',
+      items: [{ id: '2', name: 'Latte', price: 0, cost: 18, quantity: 1, complimentary: true }],
+      userId: 'user-1',
+    });
+    expect(status).toBe(400);
+  });
+});
@@ -0,0 +1,86 @@
+// Refunds end to end: POST /api/orders/:id/refunds only runs against the
+// database, so this boots server.js on a throwaway PostgreSQL
+// (tests/support/postgres.js) and checks what the refund puts back.
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+const { startPostgres } = require('../../../tests/support/postgres');
+
+const PORT = 3961;
+const PG_PORT = 54361;
+
+let db;
+let server;
+const get = (urlPath) => request(server.baseUrl, 'GET', urlPath);
+const post = (urlPath, body) => request(server.baseUrl, 'POST', urlPath, body);
+
+beforeAll(async () => {
+  db = await startPostgres(PG_PORT);
+  server = await startServer(PORT, { DATABASE_URL: db.url });
+}, 120000);
+
+afterAll(async () => {
+  server?.stop();
+  await db?.stop();
+});
+
+describe('POST /api/orders/:id/refunds', () => {
+  let milk;
+  let latte;
+
+  const stockOf = async () => ({
+    latte: (await get('/api/products')).body.find(p => p.id === latte.id).stock,
+    milk: (await get('/api/ingredients')).body.find(i => i.id === milk.id).stock,
+  });
+  const sell = async (quantity) => {
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Reembolso', serviceType: 'Para llevar', paymentMethod: 'Efectivo',
+      items: [{ id: latte.id, name: latte.name, quantity }],
+    });
+    expect({ status, error: body.error }).toEqual({ status: 201 });
+    return body;
+  };
+
+  beforeAll(async () => {
+    const created = await post('/api/ingredients', { name: 'Leche para reembolsar', unit: 'ml', unitCost: 0.02, stock: 1000 });
+    expect(created.body.error).toBeUndefined();
+    milk = created.body;
+    const product = await post('/api/products', {
+      name: 'Latte para reembolsar', price: 50, stock: 10, category: 'Café',
+      recipe: [{ ingredientId: milk.id, quantity: 200 }],
+    });
+    expect(product.body.error).toBeUndefined();
+    latte = product.body;
+  });
+
+  test('returns the stock and the recipe ingredients the sale took', async () => {
+    const order = await sell(3);
+    expect(await stockOf()).toEqual({ latte: 7, milk: 400 });
+
+    const partial = await post(`/api/orders/${order.id}/refunds`, { reason: 'Se derramó', lines: [{ lineIndex: 0, quantity: 1 }] });
+    expect(partial.status).toBe(201);
+    expect(partial.body.refund).toMatchObject({ type: 'partial', amount: 50 });
+    expect(partial.body.order).toMatchObject({ status: 'partially_refunded', refundedAmount: 50 });
+    expect(await stockOf()).toEqual({ latte: 8, milk: 600 });
+
+    const rest = await post(`/api/orders/${order.id}/refunds`, { reason: 'Cobro equivocado' });
+    expect(rest.status).toBe(201);
+    expect(rest.body.refund).toMatchObject({ type: 'partial', amount: 100 });
+    expect(rest.body.order).toMatchObject({ status: 'refunded', refundedAmount: 150 });
+    expect(await stockOf()).toEqual({ latte: 10, milk: 1000 });
+
+    const again = await post(`/api/orders/${order.id}/refunds`, { reason: 'Otra vez' });
+    expect(again.status).toBe(409);
+    expect(await stockOf()).toEqual({ latte: 10, milk: 1000 });
+  });
+
+  test('refuses an invoiced order (409) and leaves the stock alone', async () => {
+    const order = await sell(1);
+    await db.query('UPDATE orders SET "invoiceId" = $1 WHERE id = $2', ['inv-test', order.id]);
+
+    const { status, body } = await post(`/api/orders/${order.id}/refunds`, { reason: 'Cobro equivocado' });
+    expect(status).toBe(409);
+    expect(body).toEqual({ error: 'La orden ya está facturada y no se puede reembolsar' });
+    expect(await stockOf()).toEqual({ latte: 9, milk: 800 });
+    expect((await get(`/api/refunds?orderId=${order.id}`)).body).toEqual([]);
+  });
+});
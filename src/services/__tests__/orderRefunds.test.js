@@ -0,0 +1,64 @@
+// Refund math (orderRefunds.js). The service is ESM and jest runs these
+// files as CommonJS, so each case runs through runModule. The endpoints are
+// covered without a database here and on PostgreSQL in orderRefunds.postgres.test.js.
+
+const { startServer, request, runModule } = require('../../../tests/characterization/helpers');
+
+describe('buildRefund', () => {
+  test('refuses an invoiced order (409): its CFDI would need a credit note', async () => {
+    const result = await runModule(`
+      import { buildRefund } from './src/services/orderRefunds.js';
+
+      const order = {
+        id: 'order-1', status: 'completed', subtotal: 80, discount: 0, tip: 0, total: 80,
+        items: [{ id: 'p1', name: 'Latte', price: 40, cost: 10, quantity: 2 }],
+      };
+      const attempt = (o, lines) => {
+        try {
+          const { amount, orderStatus } = buildRefund({ order: o, lines });
+          return { amount, orderStatus };
+        } catch (error) {
+          return { status: error.status, error: error.message };
+        }
+      };
+      console.log(JSON.stringify({
+        invoiced: attempt({ ...order, invoiceId: 'inv-1' }),
+        invoicedPartial: attempt({ ...order, invoiceId: 'inv-1' }, [{ lineIndex: 0, quantity: 1 }]),
+        notInvoiced: attempt(order, [{ lineIndex: 0, quantity: 1 }]),
+      }));
+    `);
+
+    const refused = { status: 409, error: 'La orden ya está facturada y no se puede reembolsar' };
+    expect(result.invoiced).toEqual(refused);
+    expect(result.invoicedPartial).toEqual(refused);
+    expect(result.notInvoiced).toEqual({ amount: 40, orderStatus: 'partially_refunded' });
+  });
+});
+
+describe('refund endpoints without a database', () => {
+  const PORT = 3973;
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer(PORT);
+  }, 20000);
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  const get = (p) => request(server.baseUrl, 'GET', p);
+  const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+
+  test('GET /api/refunds returns an empty array without a database', async () => {
+    const { status, body } = await get('/api/refunds');
+    expect(status).toBe(200);
+    expect(body).toEqual([]);
+  });
+
+  test('POST /api/orders/:id/refunds requires a database', async () => {
+    const { status, body } = await post('/api/orders/anything/refunds', { reason: 'Cobro equivocado' });
+    expect(status).toBe(503);
+    expect(body).toEqual({ error: 'Database not available' });
+  });
+});
@@ -0,0 +1,61 @@
+// Split bills (orderSplit.js) through POST /api/orders/split on server.js in
+// in-memory mode (no DATABASE_URL). Their stock on PostgreSQL is in
+// database/__tests__/create_order_atomic.test.js.
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3975;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+
+describe('POST /api/orders/split', () => {
+  test('POST /api/orders/split creates one linked child order per payer, sharing lines by fraction', async () => {
+    const { status, body } = await post('/api/orders/split', {
+      clientName: 'Mesa 4',
+      serviceType: 'Mesa',
+      items: [{ id: '2', name: 'Latte', quantity: 2 }, { id: '5', name: 'Baguette', quantity: 1 }],
+      payers: [
+        { label: 'Ana', paymentMethod: 'Efectivo', tip: 10 },
+        { label: 'Luis', paymentMethod: 'Tarjeta' },
+        { label: 'Sofía', paymentMethod: 'Tarjeta' },
+      ],
+      assignments: [
+        { lineIndex: 0, payer: 0, quantity: 1 },
+        { lineIndex: 0, payer: 1, quantity: 1 },
+        { lineIndex: 1, payer: 0, quantity: 1 / 3 },
+        { lineIndex: 1, payer: 1, quantity: 1 / 3 },
+        { lineIndex: 1, payer: 2, quantity: 1 / 3 },
+      ],
+      userId: 'user-1',
+    });
+    expect(status).toBe(201);
+    expect(body.orders).toHaveLength(3);
+    expect(new Set(body.orders.map(o => o.parentOrderId))).toEqual(new Set([body.parentOrderId]));
+    expect(body.orders.map(o => o.payerLabel)).toEqual(['Ana', 'Luis', 'Sofía']);
+    expect(body.orders.map(o => o.total)).toEqual([96.67, 86.67, 31.66]);
+    // The baguette's single unit of stock goes to exactly one payer
+    expect(body.orders.flatMap(o => o.items).filter(i => i.id === '5').map(i => i.stockQuantity)).toEqual([1, 0, 0]);
+  });
+
+  test('POST /api/orders/split rejects a line that is not fully assigned (400)', async () => {
+    const { status, body } = await post('/api/orders/split', {
+      clientName: 'Mesa 4',
+      serviceType: 'Mesa',
+      items: [{ id: '2', name: 'Latte', quantity: 2 }],
+      payers: [{ paymentMethod: 'Efectivo' }, { paymentMethod: 'Efectivo' }],
+      assignments: [{ lineIndex: 0, payer: 0, quantity: 1 }],
+      userId: 'user-1',
+    });
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/se asignaron 1 de 2/);
+  });
+});
@@ -0,0 +1,37 @@
+// PAC adapter selection (pacAdapters.js): the stub only stamps when
+// PAC_PROVIDER=stub asks for it.
+
+const { runModule } = require('../../../tests/characterization/helpers');
+
+const stampWith = (env) => runModule(`
+  import { createPacAdapter } from './src/services/pacAdapters.js';
+
+  const pac = createPacAdapter();
+  const cfdi = { date: '2026-10-01T12:00:00', seal: 'c2VsbG8=' };
+  const stamp = await pac.stamp('<cfdi:Comprobante></cfdi:Comprobante>', cfdi)
+    .then(({ uuid, xml }) => ({ uuid: Boolean(uuid), timbre: xml.includes('TimbreFiscalDigital') }))
+    .catch(error => ({ status: error.status, error: error.message }));
+  console.log(JSON.stringify({ name: pac.name, unavailable: pac.unavailable || null, stamp }));
+`, env);
+
+describe('createPacAdapter', () => {
+  test('stamps nothing without PAC_PROVIDER (503)', async () => {
+    expect(await stampWith({ PAC_PROVIDER: '' })).toEqual({
+      name: null,
+      unavailable: 'No hay un PAC configurado para timbrar',
+      stamp: { status: 503, error: 'No hay un PAC configurado para timbrar' },
+    });
+  });
+
+  test('uses the local stub only when PAC_PROVIDER=stub', async () => {
+    expect(await stampWith({ PAC_PROVIDER: 'stub' })).toEqual({
+      name: 'stub',
+      unavailable: null,
+      stamp: { uuid: true, timbre: true },
+    });
+  });
+
+  test('refuses an unknown provider at startup', async () => {
+    await expect(stampWith({ PAC_PROVIDER: 'finkok' })).rejects.toThrow('Unknown PAC_PROVIDER "finkok"');
+  });
+});
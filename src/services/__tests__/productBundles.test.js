@@ -0,0 +1,72 @@
+// Combos (productBundles.js) through server.js in in-memory mode (no
+// DATABASE_URL). Their stock on PostgreSQL is in
+// database/__tests__/create_order_atomic.test.js.
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3977;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const del = (p) => request(server.baseUrl, 'DELETE', p);
+
+describe('combos', () => {
+  let comboId;
+
+  test('a combo sells at its own price, moves its components\' stock and splits revenue and cost among them', async () => {
+    const { body: combo } = await post('/api/products', {
+      name: 'Combo Latte + Croissant',
+      price: 80,
+      cost: 0,
+      stock: 0,
+      description: 'temp',
+      imageUrl: 'https://example.com/x.png',
+      category: 'Cafetería',
+      bundleItems: [{ productId: '2', quantity: 1 }, { productId: '3', quantity: 1 }],
+    });
+    comboId = combo.id;
+    const stockOf = (products, id) => products.find((p) => p.id === id).stock;
+    const { body: before } = await get('/api/products');
+    expect(stockOf(before, comboId)).toBe(Math.min(stockOf(before, '2'), stockOf(before, '3')));
+
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Combo Client',
+      serviceType: 'Mesa',
+      paymentMethod: 'Efectivo',
+      items: [{ id: comboId, quantity: 2 }],
+      userId: 'user-1',
+    });
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ subtotal: 160, totalCost: 76 });
+    expect(body.items[0].components).toEqual([
+      { id: '2', name: 'Latte', category: 'Cafetería', quantity: 1, revenue: 46.32, cost: 18 },
+      { id: '3', name: 'Croissant', category: 'Alimentos', quantity: 1, revenue: 33.68, cost: 20 },
+    ]);
+
+    const { body: after } = await get('/api/products');
+    expect(stockOf(after, '2')).toBe(stockOf(before, '2') - 2);
+    expect(stockOf(after, '3')).toBe(stockOf(before, '3') - 2);
+  });
+
+  test('a combo cannot contain another combo, and its components cannot be deleted (400/409)', async () => {
+    const nested = await post('/api/products', { name: 'Combo doble', price: 1, bundleItems: [{ productId: comboId, quantity: 1 }] });
+    expect(nested.status).toBe(400);
+
+    const { status, body } = await del('/api/products/2');
+    expect(status).toBe(409);
+    expect(body).toEqual({ error: 'El producto forma parte del combo Combo Latte + Croissant' });
+  });
+
+  afterAll(async () => {
+    await del(`/api/products/${comboId}`);
+  });
+});
@@ -0,0 +1,71 @@
+// Modifier groups (productModifiers.js) on products and order lines, through
+// server.js in in-memory mode (no DATABASE_URL).
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3976;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+const del = (p) => request(server.baseUrl, 'DELETE', p);
+
+describe('product modifiers', () => {
+  let productId;
+  let tabId;
+
+  test('POST /api/products keeps modifier groups and assigns ids', async () => {
+    const { status, body } = await post('/api/products', {
+      name: 'Latte Modificadores',
+      price: 50,
+      cost: 15,
+      stock: 10,
+      description: 'temp',
+      imageUrl: 'https://example.com/x.png',
+      category: 'Cafetería',
+      modifierGroups: [
+        { name: 'Tamaño', required: true, options: [{ name: 'Chico' }, { name: 'Grande', priceDelta: 10, costDelta: 3 }] },
+        { name: 'Leche', options: [{ name: 'Avena', priceDelta: 8, costDelta: 4 }] },
+      ],
+    });
+    expect(status).toBe(201);
+    expect(body.modifierGroups).toHaveLength(2);
+    expect(body.modifierGroups[0]).toMatchObject({ name: 'Tamaño', required: true, multiple: false, id: expect.any(String) });
+    productId = body.id;
+
+    const invalid = await post('/api/products', { name: 'Sin opciones', price: 1, modifierGroups: [{ name: 'Vacío', options: [] }] });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('lines are priced with the chosen options, and a missing required group is a 400', async () => {
+    const { body: tab } = await post('/api/tabs', { name: 'Barra' });
+    tabId = tab.id;
+    const { body: products } = await get('/api/products');
+    const [size, milk] = products.find((p) => p.id === productId).modifierGroups;
+    const large = { groupId: size.id, optionId: size.options[1].id };
+    const oat = { groupId: milk.id, optionId: milk.options[0].id };
+
+    const { status, body } = await post(`/api/tabs/${tabId}/items`, { items: [{ id: productId, quantity: 1, modifiers: [large, oat] }] });
+    expect(status).toBe(200);
+    expect(body.items[0]).toMatchObject({ price: 68, modifiers: [{ name: 'Grande', priceDelta: 10, costDelta: 3 }, { name: 'Avena', priceDelta: 8, costDelta: 4 }] });
+
+    const missing = await post(`/api/tabs/${tabId}/items`, { items: [{ id: productId, quantity: 1, modifiers: [oat] }] });
+    expect(missing.status).toBe(400);
+    expect(missing.body).toEqual({ error: 'Latte Modificadores: elige Tamaño' });
+  });
+
+  afterAll(async () => {
+    await put(`/api/tabs/${tabId}`, { items: [] });
+    await del(`/api/tabs/${tabId}`);
+    await del(`/api/products/${productId}`);
+  });
+});
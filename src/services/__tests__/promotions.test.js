@@ -0,0 +1,76 @@
+// Promotions and coupons (promotions.js) applied by POST /api/orders, through
+// server.js in in-memory mode (no DATABASE_URL).
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3978;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const del = (p) => request(server.baseUrl, 'DELETE', p);
+
+describe('promotions', () => {
+  const created = [];
+  const createPromotion = async (promotion) => {
+    const response = await post('/api/promotions', promotion);
+    if (response.status === 201) created.push(response.body.id);
+    return response;
+  };
+  const order = (items, extra = {}) => post('/api/orders', {
+    clientName: 'Promo Client',
+    serviceType: 'Mesa',
+    paymentMethod: 'Efectivo',
+    items,
+    userId: 'user-1',
+    ...extra,
+  });
+
+  test('automatic promotions are applied by the server, one per line, and recorded on the order', async () => {
+    const twoForOne = await createPromotion({ name: '2x1 Latte', type: 'buy_x_get_y', productIds: ['2'], buyQuantity: 1, getQuantity: 1 });
+    expect(twoForOne.status).toBe(201);
+    const pastries = await createPromotion({ name: 'Pan 10%', type: 'category_percent', category: 'Alimentos', percentOff: 10 });
+    expect(pastries.status).toBe(201);
+
+    const { status, body } = await order([{ id: '2', quantity: 2 }, { id: '3', quantity: 1 }]);
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ subtotal: 150, discount: 59, total: 91 });
+    expect(body.promotions).toEqual([
+      { promotionId: twoForOne.body.id, name: '2x1 Latte', type: 'buy_x_get_y', amount: 55 },
+      { promotionId: pastries.body.id, name: 'Pan 10%', type: 'category_percent', amount: 4 },
+    ]);
+
+    const invalid = await post('/api/promotions', { name: 'Sin horario', type: 'happy_hour', percentOff: 20 });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('a coupon stacks on top, is rejected when unknown (400) and stops at its usage limit (409)', async () => {
+    const coupon = await createPromotion({ name: 'Bienvenida', type: 'coupon', code: 'bienvenida', amountOff: 20, maxUses: 1 });
+    expect(coupon.body).toMatchObject({ code: 'BIENVENIDA', maxUses: 1, uses: 0 });
+
+    const unknown = await order([{ id: '3', quantity: 1 }], { couponCode: 'NOEXISTE' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body).toEqual({ error: 'Cupón no válido: NOEXISTE' });
+
+    const first = await order([{ id: '3', quantity: 1 }], { couponCode: 'Bienvenida' });
+    expect(first.status).toBe(201);
+    // 10% category promotion first (4), then the coupon on what's left
+    expect(first.body).toMatchObject({ subtotal: 40, discount: 24, total: 16 });
+    expect(first.body.promotions[1]).toMatchObject({ type: 'coupon', code: 'BIENVENIDA', amount: 20 });
+
+    const second = await order([{ id: '3', quantity: 1 }], { couponCode: 'BIENVENIDA' });
+    expect(second.status).toBe(409);
+    expect(second.body).toEqual({ error: 'El cupón BIENVENIDA ya se usó el máximo de veces' });
+  });
+
+  afterAll(async () => {
+    for (const id of created) await del(`/api/promotions/${id}`);
+  });
+});
@@ -0,0 +1,62 @@
+// QR encoding (qrCode.js) for the customer display. The service is ESM and
+// jest runs these files as CommonJS, so each case runs through runModule.
+
+const jsQR = require('jsqr');
+const { runModule } = require('../../../tests/characterization/helpers');
+
+describe('encodeQr', () => {
+  test('the QR encoder matches the standard\'s Reed-Solomon and format-bit vectors', async () => {
+    const result = await runModule(`
+      import { reedSolomonRemainder, formatBits } from './src/services/qrCode.js';
+      console.log(JSON.stringify({
+        numeric: reedSolomonRemainder([16, 32, 12, 86, 97, 128, 236, 17, 236, 17, 236, 17, 236, 17, 236, 17], 10),
+        alphanumeric: reedSolomonRemainder([32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17], 10),
+        formats: [0, 1, 2, 3, 4, 5, 6, 7].map(mask => formatBits(mask).toString(2).padStart(15, '0')),
+      }));
+    `);
+
+    // ISO/IEC 18004 annex I ("01234567", 1-M) and "HELLO WORLD" at 1-M
+    expect(result.numeric).toEqual([165, 36, 212, 193, 237, 54, 199, 135, 44, 85]);
+    expect(result.alphanumeric).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+    // Format information table, level M, masks 0-7
+    expect(result.formats).toEqual([
+      '101010000010010', '101000100100101', '101111001111100', '101101101001011',
+      '100010111111001', '100000011001110', '100111110010111', '100101010100000',
+    ]);
+  });
+
+  test('encodeQr output reads back with an independent decoder across versions', async () => {
+    // The longest text each version 1-10 holds at level M, and a UTF-8 one
+    const capacities = [14, 26, 42, 62, 84, 106, 122, 152, 180, 213];
+    const link = 'https://micafe.mx/f?folio=';
+    const texts = [
+      'order-123',
+      ...capacities.slice(1).map(bytes => link + '7'.repeat(bytes - link.length)),
+      `Facturación ñandú ${'☕'.repeat(10)}`,
+    ];
+    const grids = await runModule(`
+      import { encodeQr } from './src/services/qrCode.js';
+      console.log(JSON.stringify(${JSON.stringify(texts)}.map(text => encodeQr(text).map(row => row.map(Number).join('')))));
+    `);
+
+    const versions = grids.map(rows => (rows.length - 17) / 4);
+    expect(versions).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 4]);
+    grids.forEach((rows, index) => {
+      // 4 pixels per module plus the quiet zone, as RGBA
+      const scale = 4;
+      const side = (rows.length + 8) * scale;
+      const pixels = new Uint8ClampedArray(side * side * 4).fill(255);
+      rows.forEach((row, y) => [...row].forEach((dark, x) => {
+        if (dark !== '1') return;
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            const offset = (((y + 4) * scale + dy) * side + (x + 4) * scale + dx) * 4;
+            pixels.fill(0, offset, offset + 3);
+          }
+        }
+      }));
+      const decoded = jsQR(pixels, side, side);
+      expect(decoded && { text: decoded.data, version: decoded.version }).toEqual({ text: texts[index], version: versions[index] });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+// Quick-key layouts (quickKeyLayouts.js), through server.js in in-memory mode
+// (no DATABASE_URL).
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3986;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+const del = (p) => request(server.baseUrl, 'DELETE', p);
+
+describe('quick-key layouts', () => {
+  const product = (name) => ({ name, price: 40, cost: 10, stock: 20, description: '', imageUrl: '', category: 'Cafetería' });
+
+  test('layouts are checked against the catalog (400)', async () => {
+    const latte = (await post('/api/products', product('Latte QK'))).body;
+    const page = (keys) => ({ pages: [{ name: 'Café', keys }] });
+
+    expect((await put('/api/quick-key-layouts/register/x', page([]))).body).toEqual({ error: 'Ámbito inválido: register' });
+    expect((await put('/api/quick-key-layouts/role/cashier', page([]))).body).toEqual({ error: 'Rol inválido: cashier' });
+    expect((await put('/api/quick-key-layouts/role/employee', page([{ productId: latte.id, color: 'red' }]))).body)
+      .toEqual({ error: 'Color inválido: red' });
+    const unknown = await put('/api/quick-key-layouts/role/employee', page([{ productId: 'nope' }]));
+    expect(unknown).toMatchObject({ status: 400, body: { error: 'Producto no encontrado: nope' } });
+
+    await del(`/api/products/${latte.id}`);
+  });
+
+  test("a register gets its own layout before its role's", async () => {
+    const latte = (await post('/api/products', product('Latte QK2'))).body;
+    const layout = (name) => ({ name, favorites: [latte.id], pages: [{ name: 'Café', keys: [{ productId: latte.id, color: '#10B981' }] }] });
+
+    const saved = await put('/api/quick-key-layouts/role/employee', layout('Barra'));
+    expect(saved.status).toBe(200);
+    expect(saved.body.pages[0]).toMatchObject({ name: 'Café', keys: [{ productId: latte.id, color: '#10b981' }] });
+    await put('/api/quick-key-layouts/device/caja-1', layout('Caja 1'));
+
+    expect((await get('/api/quick-key-layouts/resolve?deviceId=caja-1&role=employee')).body.name).toBe('Caja 1');
+    expect((await get('/api/quick-key-layouts/resolve?deviceId=caja-2&role=employee')).body.name).toBe('Barra');
+    expect((await get('/api/quick-key-layouts/resolve?role=admin')).body).toBeNull();
+
+    expect((await del('/api/quick-key-layouts/device/caja-1')).status).toBe(204);
+    expect((await get('/api/quick-key-layouts/resolve?deviceId=caja-1&role=employee')).body.name).toBe('Barra');
+    await del('/api/quick-key-layouts/role/employee');
+    await del(`/api/products/${latte.id}`);
+  });
+});
@@ -0,0 +1,46 @@
+// Business settings and receipts (receipts.js), through server.js in in-memory
+// mode (no DATABASE_URL).
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3980;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+
+describe('business settings and receipts', () => {
+  test('settings start from the defaults and validate what the receipt needs', async () => {
+    const initial = await get('/api/settings');
+    expect(initial.status).toBe(200);
+    expect(initial.body).toMatchObject({ businessName: 'Conejo Negro Café', receiptWidth: 80, printerPort: 9100 });
+
+    const updated = await put('/api/settings', { receiptWidth: '58', receiptFooter: '  Vuelva pronto  ', unknownKey: 'x' });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ receiptWidth: 58, receiptFooter: 'Vuelva pronto' });
+    expect(updated.body.unknownKey).toBeUndefined();
+
+    expect((await put('/api/settings', { receiptWidth: 70 })).body).toEqual({ error: 'Ancho de papel inválido: 70 (58 u 80)' });
+    expect((await put('/api/settings', { businessName: ' ' })).status).toBe(400);
+
+    await put('/api/settings', { receiptWidth: initial.body.receiptWidth, receiptFooter: initial.body.receiptFooter });
+  });
+
+  test('receipts are rendered from stored orders, so in-memory mode has none (503)', async () => {
+    const badFormat = await get('/api/orders/order-1/receipt?format=txt');
+    expect(badFormat.status).toBe(400);
+    expect(badFormat.body).toEqual({ error: 'Formato inválido: txt (html, pdf o escpos)' });
+
+    expect((await get('/api/orders/order-1/receipt')).status).toBe(503);
+    expect((await post('/api/orders/order-1/receipt/print')).status).toBe(503);
+  });
+});
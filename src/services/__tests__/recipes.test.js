@@ -0,0 +1,92 @@
+// Recipes (recipes.js) and the ingredient stock they drive, through server.js
+// in in-memory mode (no DATABASE_URL). What a refund gives back is in
+// orderRefunds.postgres.test.js.
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3968;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const del = (p) => request(server.baseUrl, 'DELETE', p);
+
+describe('recipes and ingredients', () => {
+  const create = async (ingredient) => (await post('/api/ingredients', ingredient)).body;
+
+  test('a product recipe sets its cost and follows the ingredients\' purchases', async () => {
+    expect((await post('/api/ingredients', { name: 'Azúcar', unit: 'kg' })).body).toEqual({ error: 'Unidad inválida: kg (g, ml, pz)' });
+    const milk = await create({ name: 'Leche receta', unit: 'ml', unitCost: 0.02, stock: 1000 });
+    expect(milk).toMatchObject({ unit: 'ml', stock: 1000, unitCost: 0.02, reorderLevel: 0 });
+    const beans = await create({ name: 'Café en grano receta', unit: 'g', unitCost: 0.5 });
+    expect((await post('/api/ingredients', { name: 'Leche receta', unit: 'ml' })).status).toBe(409);
+
+    const unknown = await post('/api/products', { name: 'Sin insumo', price: 10, recipe: [{ ingredientId: 'ing-nope', quantity: 1 }] });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toMatch(/insumo no encontrado/);
+
+    const { status, body: latte } = await post('/api/products', {
+      name: 'Latte de receta', price: 55, cost: 99, stock: 50, category: 'Café',
+      recipe: [{ ingredientId: milk.id, quantity: 200 }, { ingredientId: beans.id, quantity: 18 }],
+      modifierGroups: [{ name: 'Extras', multiple: true, options: [{ name: 'Shot extra', priceDelta: 10, recipe: [{ ingredientId: beans.id, quantity: 9 }] }] }],
+    });
+    expect(status).toBe(201);
+    expect(latte.cost).toBe(13);
+    expect(latte.modifierGroups[0].options[0]).toMatchObject({ costDelta: 4.5, recipe: [{ ingredientId: beans.id, quantity: 9 }] });
+
+    // 1 kg for $800 with none on hand: the beans now cost 0.8/g
+    const purchase = await post(`/api/ingredients/${beans.id}/purchases`, { quantity: 1000, cost: 800 });
+    expect(purchase.status).toBe(201);
+    expect(purchase.body).toMatchObject({ stock: 1000, unitCost: 0.8 });
+    const updated = (await get('/api/products')).body.find(p => p.id === latte.id);
+    expect(updated.cost).toBe(18.4);
+    expect(updated.modifierGroups[0].options[0].costDelta).toBe(7.2);
+
+    expect((await del(`/api/ingredients/${beans.id}`)).body).toEqual({ error: 'El insumo se usa en la receta de Latte de receta' });
+  });
+
+  test('a sale consumes its recipes and options, and the report compares usage with purchases', async () => {
+    const milk = await create({ name: 'Leche reporte', unit: 'ml', unitCost: 0.02, stock: 2000, reorderLevel: 1500 });
+    const beans = await create({ name: 'Grano reporte', unit: 'g' });
+    await post(`/api/ingredients/${beans.id}/purchases`, { quantity: 500, cost: 250 });
+    const { body: product } = await post('/api/products', {
+      name: 'Capuchino de receta', price: 50, stock: 20, category: 'Café',
+      recipe: [{ ingredientId: milk.id, quantity: 150 }, { ingredientId: beans.id, quantity: 18 }],
+      modifierGroups: [{ name: 'Extras', multiple: true, options: [{ name: 'Shot', priceDelta: 10, recipe: [{ ingredientId: beans.id, quantity: 9 }] }] }],
+    });
+    const [{ id: groupId, options: [{ id: optionId }] }] = product.modifierGroups;
+
+    const sale = await post('/api/orders', {
+      clientName: 'Receta', serviceType: 'Para llevar', paymentMethod: 'Efectivo', userId: 'user-1',
+      items: [{ id: product.id, name: product.name, quantity: 2, modifiers: [{ groupId, optionId }] }],
+    });
+    expect(sale.status).toBe(201);
+
+    const ingredients = (await get('/api/ingredients')).body;
+    expect(ingredients.find(i => i.id === milk.id).stock).toBe(1700);
+    expect(ingredients.find(i => i.id === beans.id).stock).toBe(446);
+
+    const adjusted = await post(`/api/ingredients/${milk.id}/adjustments`, { countedStock: 1650, note: 'Conteo' });
+    expect(adjusted.body.stock).toBe(1650);
+
+    const from = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const to = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { status, body } = await get(`/api/reports/ingredients?from=${from}&to=${to}`);
+    expect(status).toBe(200);
+    expect(body.ingredients.find(line => line.ingredientId === beans.id)).toMatchObject({
+      used: 54, usedCost: 27, purchased: 500, purchasedCost: 250, adjusted: 0, difference: 446,
+    });
+    expect(body.ingredients.find(line => line.ingredientId === milk.id)).toMatchObject({
+      used: 300, usedCost: 6, purchased: 0, adjusted: 1950, stock: 1650, low: false,
+    });
+  });
+
+});
@@ -0,0 +1,61 @@
+// IVA per line and the monthly summary (taxes.js), through server.js in
+// in-memory mode (no DATABASE_URL).
+
+const { startServer, request } = require('../../../tests/characterization/helpers');
+
+const PORT = 3983;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const del = (p) => request(server.baseUrl, 'DELETE', p);
+
+describe('taxes', () => {
+  const created = [];
+
+  test('each line carries its product\'s IVA rate and breakdown as of the sale', async () => {
+    const invalid = await post('/api/products', { name: 'Agua', price: 20, taxRate: 'iva_8' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toEqual({ error: 'Tasa de IVA inválida: iva_8 (iva_16, iva_0, exempt)' });
+
+    for (const [name, price, taxRate] of [['Pastel entero', 116, undefined], ['Huevo por kilo', 50, 'exempt']]) {
+      const { body } = await post('/api/products', { name, price, cost: 0, stock: 10, description: 'temp', imageUrl: '', category: 'Alimentos', taxRate });
+      created.push(body.id);
+    }
+    const { status, body } = await post('/api/orders', {
+      clientName: 'Tax Client',
+      serviceType: 'Para llevar',
+      paymentMethod: 'Efectivo',
+      items: created.map(id => ({ id, quantity: 1 })),
+      userId: 'user-1',
+    });
+    expect(status).toBe(201);
+    expect(body.items.map(item => [item.taxRate, item.tax])).toEqual([
+      ['iva_16', { rate: 'iva_16', base: 100, amount: 16 }],
+      ['exempt', { rate: 'exempt', base: 50, amount: 0 }],
+    ]);
+  });
+
+  test('the monthly IVA summary validates the month and expenses validate their IVA', async () => {
+    const { status, body } = await get('/api/reports/taxes?month=2026-03');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ month: '2026-03', sales: [], ivaCollected: 0, ivaPaid: 0, ivaPayable: 0 });
+    expect((await get('/api/reports/taxes?month=2026-13')).body).toEqual({ error: 'Mes inválido: 2026-13 (AAAA-MM)' });
+
+    const expense = await post('/api/expenses', { description: 'Leche', amount: 100, category: 'Inventario', taxAmount: 120 });
+    expect(expense.status).toBe(400);
+    expect(expense.body).toEqual({ error: 'IVA inválido: 120' });
+  });
+
+  afterAll(async () => {
+    for (const id of created) await del(`/api/products/${id}`);
+  });
+});
@@ -0,0 +1,71 @@
+// Tip pooling (tipPooling.js) through /api/reports/tips and /api/tip-payouts on
+// server.js in in-memory mode (no DATABASE_URL), plus the refund rule the
+// report relies on.
+
+const { startServer, request, runModule } = require('../../../tests/characterization/helpers');
+
+const PORT = 3990;
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT);
+}, 20000);
+
+afterAll(() => {
+  server?.stop();
+});
+
+const get = (p) => request(server.baseUrl, 'GET', p);
+const post = (p, b) => request(server.baseUrl, 'POST', p, b);
+const put = (p, b) => request(server.baseUrl, 'PUT', p, b);
+
+describe('tip pooling', () => {
+  const period = 'from=2026-10-01T06:00:00.000Z&to=2026-10-16T06:00:00.000Z';
+
+  test('GET /api/reports/tips validates the period and rule, and follows the configured rule', async () => {
+    expect((await get('/api/reports/tips?from=ayer')).body).toEqual({ error: 'Fecha inválida' });
+    expect((await get(`/api/reports/tips?${period}&mode=lottery`)).body).toEqual({ error: 'Regla de reparto inválida: lottery' });
+    expect((await get(`/api/reports/tips?${period}&hours=u1:-2`)).body).toEqual({ error: 'Horas inválidas: u1:-2' });
+
+    // No orders without a database; hours can still be entered by hand
+    const report = await get(`/api/reports/tips?${period}&hours=u1:6`);
+    expect(report.status).toBe(200);
+    expect(report.body).toMatchObject({ mode: 'individual', poolShare: 100, totalTips: 0, pool: 0 });
+    expect(report.body.employees).toEqual([{ userId: 'u1', username: 'u1', tips: 0, hours: 6, kept: 0, fromPool: 0, payout: 0 }]);
+
+    expect((await put('/api/settings', { tipPoolMode: 'raffle' })).body).toEqual({ error: 'Regla de reparto de propinas inválida: raffle' });
+    await put('/api/settings', { tipPoolMode: 'hours', tipPoolShare: '50' });
+    expect((await get(`/api/reports/tips?${period}`)).body).toMatchObject({ mode: 'hours', poolShare: 50 });
+    await put('/api/settings', { tipPoolMode: 'individual', tipPoolShare: 100 });
+  });
+
+  test('POST /api/tip-payouts validates how it is posted, then needs the database', async () => {
+    expect((await post('/api/tip-payouts', { from: '2026-10-01', to: '2026-09-01' })).body).toEqual({ error: 'El periodo termina antes de empezar' });
+    expect((await post('/api/tip-payouts', { from: '2026-10-01', to: '2026-10-16', postAs: 'cheque' })).body)
+      .toEqual({ error: 'Forma de registro inválida: cheque' });
+    const { status, body } = await post('/api/tip-payouts', { from: '2026-10-01', to: '2026-10-16', postAs: 'expense' });
+    expect(status).toBe(503);
+    expect(body).toEqual({ error: 'Database not available' });
+    expect((await get('/api/tip-payouts')).body).toEqual([]);
+  });
+
+  // The tip report leaves out only 'refunded' orders, which holds because a
+  // partial refund never gives any of the tip back
+  test('partial refunds never return the tip; the refund that closes the order does', async () => {
+    const result = await runModule(`
+      import { buildRefund } from './src/services/orderRefunds.js';
+      const order = {
+        items: [{ id: '1', name: 'Espresso', price: 40, quantity: 2 }, { id: '2', name: 'Latte', price: 55, quantity: 1 }],
+        subtotal: 135, discount: 13.5, tip: 20, total: 141.5,
+      };
+      const partial = buildRefund({ order, lines: [{ lineIndex: 0, quantity: 2 }] });
+      const rest = buildRefund({ order, previousRefunds: [partial], lines: [{ lineIndex: 1, quantity: 1 }] });
+      console.log(JSON.stringify([partial, rest].map(({ amount, orderStatus }) => ({ amount, orderStatus }))));
+    `);
+
+    expect(result).toEqual([
+      { amount: 72, orderStatus: 'partially_refunded' }, // 80 less the 10% discount, no tip
+      { amount: 69.5, orderStatus: 'refunded' },         // 49.50 for the latte plus the 20 tip
+    ]);
+  });
+});
@@ -0,0 +1,426 @@
+/**
+ * CFDI Service - Mexican electronic invoices (CFDI 4.0) for paid orders
+ *
+ * One invoice covers one or more orders. Menu prices already include IVA, so
+ * every line is broken back down into its base and its tax:
+ *
+ *   ValorUnitario = price / (1 + rate)      Importe = Cantidad x ValorUnitario
+ *   Descuento     = the order's discount (promotions + customer), spread over
+ *                   its lines by amount, also without IVA
+ *   IVA           = (Importe - Descuento) x rate
+ *
+ * The rate is the one the line was sold with (see taxes.js); exempt lines
+ * carry a Traslado with TipoFactor "Exento" and no IVA. Tips are not the
+ * business's income and are left out. Each line carries its product's SAT
+ * keys (satProductKey / satUnitKey), or the defaults below.
+ *
+ * The flow is build -> sign with the business CSD -> stamp at a PAC (see
+ * pacAdapters.js). The cadena original is produced from the same model the
+ * XML is written from, in the order SAT's cadenaoriginal_4_0.xslt reads it.
+ *
+ * CSD files come from CFDI_CSD_CER_PATH, CFDI_CSD_KEY_PATH and
+ * CFDI_CSD_PASSWORD; the issuer's fiscal data from the business settings.
+ *
+ * Usage in API routes:
+ *   import { validateReceptor, buildCfdi, signCfdi, loadCsd, renderCfdiXml } from '../src/services/cfdi.js';
+ *   const receptor = validateReceptor(req.body.receptor);         // 400 on bad RFC/régimen/uso
+ *   const cfdi = signCfdi(buildCfdi({ orders, products, issuer, receptor, folio }), loadCsd());
+ *   const { xml, stamp } = await pac.stamp(renderCfdiXml(cfdi), cfdi);
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { isServiceItem, roundMoney } from './orderPricing.js';
+import { CREDIT_METHODS } from './orderPayments.js';
+import { TAX_RATES, DEFAULT_TAX_RATE, allocateDiscount } from './taxes.js';
+import { httpError } from './httpError.js';
+
+export const IVA_RATE = 0.16;
+
+// Restaurants, cafés and bars; coworking time is rented space. Unit "E48" is a service unit.
+export const DEFAULT_PRODUCT_KEY = '90101500';
+export const SERVICE_PRODUCT_KEY = '80131500';
+export const DEFAULT_UNIT_KEY = 'E48';
+
+// SAT catalogs (c_RegimenFiscal, c_UsoCFDI) - only the codes, labels live in the UI
+export const TAX_REGIMES = ['601', '603', '605', '606', '607', '608', '610', '611', '612', '614', '615', '616', '620', '621', '622', '623', '624', '625', '626'];
+export const CFDI_USES = ['G01', 'G02', 'G03', 'I01', 'I02', 'I03', 'I04', 'I05', 'I06', 'I07', 'I08', 'D01', 'D02', 'D03', 'D04', 'D05', 'D06', 'D07', 'D08', 'D09', 'D10', 'S01', 'CP01'];
+
+// c_FormaPago; credit sales are paid later (PPD, forma "99 Por definir")
+const PAYMENT_FORMS = { Efectivo: '01', Tarjeta: '04' };
+
+const RFC_PATTERN = /^([A-ZÑ&]{3,4})(\d{6})([A-Z\d]{3})$/;
+const ZIP_PATTERN = /^\d{5}$/;
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'America/Mexico_City';
+
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+const money = (value) => roundMoney(value).toFixed(2);
+
+export const isValidRfc = (rfc) => RFC_PATTERN.test(String(rfc || ''));
+
+/**
+ * Cleans up the customer's fiscal data (uppercase RFC and name, as on their
+ * Constancia de Situación Fiscal).
+ * @returns {{rfc, name, zipCode, taxRegime, cfdiUse}}
+ */
+export function validateReceptor(input = {}) {
+    const receptor = {
+        rfc: String(input.rfc || '').trim().toUpperCase(),
+        name: String(input.name || '').trim().toUpperCase().replace(/\s+/g, ' '),
+        zipCode: String(input.zipCode || '').trim(),
+        taxRegime: String(input.taxRegime || '').trim(),
+        cfdiUse: String(input.cfdiUse || '').trim().toUpperCase(),
+    };
+    if (!isValidRfc(receptor.rfc)) throw httpError(400, `RFC inválido: ${receptor.rfc || '(vacío)'}`);
+    if (!receptor.name) throw httpError(400, 'El nombre o razón social es obligatorio');
+    if (!ZIP_PATTERN.test(receptor.zipCode)) throw httpError(400, 'El código postal fiscal debe tener 5 dígitos');
+    if (!TAX_REGIMES.includes(receptor.taxRegime)) throw httpError(400, `Régimen fiscal inválido: ${receptor.taxRegime || '(vacío)'}`);
+    if (!CFDI_USES.includes(receptor.cfdiUse)) throw httpError(400, `Uso de CFDI inválido: ${receptor.cfdiUse || '(vacío)'}`);
+    return receptor;
+}
+
+/** The business's fiscal data from the settings, or a 409 naming what's missing. */
+export function issuerFrom(settings) {
+    const issuer = {
+        rfc: String(settings.taxId || '').trim().toUpperCase(),
+        name: String(settings.legalName || '').trim().toUpperCase(),
+        taxRegime: String(settings.taxRegime || ''),
+        zipCode: String(settings.zipCode || ''),
+        series: settings.invoiceSeries || null,
+    };
+    const missing = [
+        !isValidRfc(issuer.rfc) && 'RFC',
+        !issuer.name && 'razón social',
+        !TAX_REGIMES.includes(issuer.taxRegime) && 'régimen fiscal',
+        !ZIP_PATTERN.test(issuer.zipCode) && 'código postal',
+    ].filter(Boolean);
+    if (missing.length > 0) {
+        throw httpError(409, `Faltan datos fiscales del negocio: ${missing.join(', ')}`);
+    }
+    return issuer;
+}
+
+/** Local business time as CFDI wants it: 2026-10-19T12:30:00 */
+function cfdiDate(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Whether a sale can still be invoiced on its own: an income CFDI has to be
+ * issued in the calendar month (business time) of the purchase.
+ */
+export function isInPurchaseMonth(purchasedAt, now = new Date(), timeZone = BUSINESS_TIMEZONE) {
+    return cfdiDate(new Date(purchasedAt), timeZone).slice(0, 7) === cfdiDate(now, timeZone).slice(0, 7);
+}
+
+/** The tender with the most money decides the payment form (SAT rule for PUE). */
+function paymentTerms(orders) {
+    const byMethod = new Map();
+    orders.forEach(order => {
+        const tenders = order.payments && order.payments.length > 0 ? order.payments : [{ method: order.paymentMethod, amount: order.total }];
+        tenders.forEach(tender => byMethod.set(tender.method, (byMethod.get(tender.method) || 0) + tender.amount));
+    });
+    const [method] = [...byMethod.entries()].sort((a, b) => b[1] - a[1])[0] || ['Efectivo'];
+    if (CREDIT_METHODS.includes(method)) return { paymentForm: '99', paymentMethod: 'PPD' };
+    return { paymentForm: PAYMENT_FORMS[method] || '99', paymentMethod: 'PUE' };
+}
+
+/**
+ * The invoice, as a plain model the XML and the cadena original are both written from.
+ * @param {object} params
+ * @param {Array} params.orders - Normalized orders, none refunded or invoiced
+ * @param {Array} params.products - The catalog, for SAT keys
+ * @param {object} params.issuer - issuerFrom(settings)
+ * @param {object} params.receptor - validateReceptor(...)
+ * @param {number} params.folio
+ */
+export function buildCfdi({ orders, products, issuer, receptor, folio, now = new Date(), timeZone = BUSINESS_TIMEZONE }) {
+    const productsById = new Map(products.map(product => [String(product.id), product]));
+
+    const concepts = orders.flatMap(order => {
+        const lines = (order.items || []).filter(item => !String(item.id).startsWith('TIP_') && item.price * item.quantity > 0);
+        const discounts = allocateDiscount(order.discount || 0, lines.map(item => item.price * item.quantity));
+        return lines.map((item, index) => {
+            const product = productsById.get(String(item.id));
+            // The rate it was sold with; orders from before per-product rates fall back to the catalog
+            const { rate, exempt } = TAX_RATES[item.taxRate || product?.taxRate] || TAX_RATES[DEFAULT_TAX_RATE];
+            const unitValue = round6(item.price / (1 + rate));
+            const amount = roundMoney(item.quantity * unitValue);
+            const discount = roundMoney(discounts[index] / (1 + rate));
+            const base = roundMoney(amount - discount);
+            return {
+                productKey: product?.satProductKey || (isServiceItem(item.id) ? SERVICE_PRODUCT_KEY : DEFAULT_PRODUCT_KEY),
+                identification: String(item.id),
+                quantity: round6(item.quantity),
+                unitKey: product?.satUnitKey || DEFAULT_UNIT_KEY,
+                description: [item.name, ...(item.modifiers || []).map(modifier => modifier.name)].join(', '),
+                unitValue,
+                amount,
+                discount,
+                taxes: [exempt ? { base, exempt: true } : { base, rate, amount: roundMoney(base * rate) }],
+            };
+        });
+    });
+    if (concepts.length === 0) throw httpError(409, 'Las órdenes no tienen conceptos facturables');
+
+    // Comprobante-level taxes: one Traslado per rate (and one for exempt lines), summing the lines'
+    const byRate = new Map();
+    concepts.forEach(concept => concept.taxes.forEach(tax => {
+        const key = tax.exempt ? 'exempt' : tax.rate;
+        const current = byRate.get(key) || { ...tax, base: 0, ...(tax.exempt ? {} : { amount: 0 }) };
+        byRate.set(key, tax.exempt
+            ? { ...current, base: roundMoney(current.base + tax.base) }
+            : { ...current, base: roundMoney(current.base + tax.base), amount: roundMoney(current.amount + tax.amount) });
+    }));
+    const taxes = [...byRate.values()];
+
+    const subtotal = roundMoney(concepts.reduce((sum, concept) => sum + concept.amount, 0));
+    const discount = roundMoney(concepts.reduce((sum, concept) => sum + concept.discount, 0));
+    const totalTax = roundMoney(taxes.reduce((sum, tax) => sum + (tax.amount || 0), 0));
+
+    return {
+        series: issuer.series,
+        folio: String(folio),
+        date: cfdiDate(now, timeZone),
+        ...paymentTerms(orders),
+        subtotal,
+        discount,
+        total: roundMoney(subtotal - discount + totalTax),
+        currency: 'MXN',
+        placeOfIssue: issuer.zipCode,
+        issuer: { rfc: issuer.rfc, name: issuer.name, taxRegime: issuer.taxRegime },
+        receptor,
+        concepts,
+        taxes,
+        totalTax,
+        orderIds: orders.map(order => order.id),
+        certificateNumber: null,
+        certificate: null,
+        seal: null,
+    };
+}
+
+// --- cadena original and signature ---
+
+const normalizeSpace = (value) => String(value).trim().replace(/\s+/g, ' ');
+const rateString = (rate) => rate.toFixed(6);
+
+// Exempt Traslados carry only their base and TipoFactor "Exento"
+const trasladoValues = (tax) => (tax.exempt
+    ? [money(tax.base), '002', 'Exento']
+    : [money(tax.base), '002', 'Tasa', rateString(tax.rate), money(tax.amount)]);
+
+// Not written when every line is exempt
+const totalTaxValue = (cfdi) => (cfdi.taxes.some(tax => !tax.exempt) ? money(cfdi.totalTax) : null);
+
+/**
+ * The pipe-delimited string the seal is computed over, in the order of SAT's
+ * cadenaoriginal_4_0.xslt (attributes left out of the XML are left out here).
+ */
+export function cadenaOriginal(cfdi) {
+    const values = [
+        '4.0', cfdi.series, cfdi.folio, cfdi.date, cfdi.paymentForm, cfdi.certificateNumber,
+        money(cfdi.subtotal), cfdi.discount > 0 ? money(cfdi.discount) : null, cfdi.currency, money(cfdi.total),
+        'I', '01', cfdi.paymentMethod, cfdi.placeOfIssue,
+        cfdi.issuer.rfc, cfdi.issuer.name, cfdi.issuer.taxRegime,
+        cfdi.receptor.rfc, cfdi.receptor.name, cfdi.receptor.zipCode, cfdi.receptor.taxRegime, cfdi.receptor.cfdiUse,
+        ...cfdi.concepts.flatMap(concept => [
+            concept.productKey, concept.identification, String(concept.quantity), concept.unitKey, concept.description,
+            concept.unitValue.toFixed(6), money(concept.amount), concept.discount > 0 ? money(concept.discount) : null, '02',
+            ...concept.taxes.flatMap(trasladoValues),
+        ]),
+        ...cfdi.taxes.flatMap(trasladoValues),
+        totalTaxValue(cfdi),
+    ];
+    return `||${values.filter(value => value !== null && value !== undefined && value !== '').map(normalizeSpace).join('|')}||`;
+}
+
+/**
+ * Reads the business CSD (.cer and password-protected .key, both DER as SAT issues them).
+ * @returns {{certificateNumber: string, certificate: string, privateKey: crypto.KeyObject}}
+ */
+export function loadCsd({
+    cerPath = process.env.CFDI_CSD_CER_PATH,
+    keyPath = process.env.CFDI_CSD_KEY_PATH,
+    password = process.env.CFDI_CSD_PASSWORD,
+} = {}) {
+    if (!cerPath || !keyPath) throw httpError(503, 'No hay un CSD configurado para facturar');
+    try {
+        const cer = fs.readFileSync(cerPath);
+        const certificate = new crypto.X509Certificate(cer);
+        // SAT serial numbers are ASCII digits stored as hex: 3330303031... -> 30001...
+        const certificateNumber = certificate.serialNumber.replace(/(..)/g, (pair) => String.fromCharCode(parseInt(pair, 16)));
+        const privateKey = crypto.createPrivateKey({ key: fs.readFileSync(keyPath), format: 'der', type: 'pkcs8', passphrase: password });
+        return { certificateNumber, certificate: cer.toString('base64'), privateKey };
+    } catch (error) {
+        throw httpError(503, `No se pudo leer el CSD: ${error.message}`);
+    }
+}
+
+/** Adds the certificate and the seal (RSA-SHA256 over the cadena original). */
+export function signCfdi(cfdi, csd) {
+    const withCertificate = { ...cfdi, certificateNumber: csd.certificateNumber, certificate: csd.certificate };
+    const seal = crypto.createSign('RSA-SHA256').update(cadenaOriginal(withCertificate), 'utf8').sign(csd.privateKey, 'base64');
+    return { ...withCertificate, seal };
+}
+
+// --- XML ---
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+/** Renders `name` with the attributes that have a value, in the given order. */
+function element(name, attributes, children = '') {
+    const rendered = Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+    return children ? `<${name}${rendered}>${children}</${name}>` : `<${name}${rendered}/>`;
+}
+
+const traslado = (tax) => element('cfdi:Traslado', tax.exempt
+    ? { Base: money(tax.base), Impuesto: '002', TipoFactor: 'Exento' }
+    : { Base: money(tax.base), Impuesto: '002', TipoFactor: 'Tasa', TasaOCuota: rateString(tax.rate), Importe: money(tax.amount) });
+
+/** The signed (not yet stamped) CFDI 4.0 document. */
+export function renderCfdiXml(cfdi) {
+    const concepts = cfdi.concepts.map(concept => element('cfdi:Concepto', {
+        ClaveProdServ: concept.productKey,
+        NoIdentificacion: concept.identification,
+        Cantidad: String(concept.quantity),
+        ClaveUnidad: concept.unitKey,
+        Descripcion: concept.description,
+        ValorUnitario: concept.unitValue.toFixed(6),
+        Importe: money(concept.amount),
+        Descuento: concept.discount > 0 ? money(concept.discount) : null,
+        ObjetoImp: '02',
+    }, element('cfdi:Impuestos', {}, element('cfdi:Traslados', {}, concept.taxes.map(traslado).join(''))))).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>' + element('cfdi:Comprobante', {
+        'xmlns:cfdi': 'http://www.sat.gob.mx/cfd/4',
+        'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+        'xsi:schemaLocation': 'http://www.sat.gob.mx/cfd/4 http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd',
+        Version: '4.0',
+        Serie: cfdi.series,
+        Folio: cfdi.folio,
+        Fecha: cfdi.date,
+        Sello: cfdi.seal,
+        FormaPago: cfdi.paymentForm,
+        NoCertificado: cfdi.certificateNumber,
+        Certificado: cfdi.certificate,
+        SubTotal: money(cfdi.subtotal),
+        Descuento: cfdi.discount > 0 ? money(cfdi.discount) : null,
+        Moneda: cfdi.currency,
+        Total: money(cfdi.total),
+        TipoDeComprobante: 'I',
+        Exportacion: '01',
+        MetodoPago: cfdi.paymentMethod,
+        LugarExpedicion: cfdi.placeOfIssue,
+    }, [
+        element('cfdi:Emisor', { Rfc: cfdi.issuer.rfc, Nombre: cfdi.issuer.name, RegimenFiscal: cfdi.issuer.taxRegime }),
+        element('cfdi:Receptor', {
+            Rfc: cfdi.receptor.rfc,
+            Nombre: cfdi.receptor.name,
+            DomicilioFiscalReceptor: cfdi.receptor.zipCode,
+            RegimenFiscalReceptor: cfdi.receptor.taxRegime,
+            UsoCFDI: cfdi.receptor.cfdiUse,
+        }),
+        element('cfdi:Conceptos', {}, concepts),
+        element('cfdi:Impuestos', { TotalImpuestosTrasladados: totalTaxValue(cfdi) },
+            element('cfdi:Traslados', {}, cfdi.taxes.map(traslado).join(''))),
+    ].join(''));
+}
+
+// --- printed representation ---
+
+/** The invoice's printed representation (rendered to PDF with pdf.js). */
+export function renderInvoiceHtml(cfdi, stamp) {
+    const rows = cfdi.concepts.map(concept => `
+        <tr>
+            <td>${escapeXml(concept.productKey)}</td>
+            <td class="num">${concept.quantity}</td>
+            <td>${escapeXml(concept.unitKey)}</td>
+            <td>${escapeXml(concept.description)}</td>
+            <td class="num">${concept.unitValue.toFixed(2)}</td>
+            <td class="num">${money(concept.discount)}</td>
+            <td class="num">${money(concept.amount)}</td>
+        </tr>`).join('');
+    const verifyUrl = `https://verificacfdi.facturaelectronica.sat.gob.mx/default.aspx?id=${stamp.uuid}`
+        + `&re=${cfdi.issuer.rfc}&rr=${cfdi.receptor.rfc}&tt=${money(cfdi.total)}&fe=${cfdi.seal.slice(-8)}`;
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Factura ${escapeXml(cfdi.series || '')}${escapeXml(cfdi.folio)}</title>
+<style>
+    body { font: 11px/1.4 Helvetica, Arial, sans-serif; color: #222; margin: 0; }
+    h1 { font-size: 18px; margin: 0; }
+    .header { display: flex; justify-content: space-between; border-bottom: 2px solid #222; padding-bottom: 8px; margin-bottom: 8px; }
+    .box { margin-bottom: 8px; }
+    table { width: 100%; border-collapse: collapse; margin: 8px 0; }
+    th, td { border-bottom: 1px solid #ccc; padding: 4px; text-align: left; vertical-align: top; }
+    .num { text-align: right; white-space: nowrap; }
+    .totals { width: 40%; margin-left: auto; }
+    .seal { font-family: 'Courier New', monospace; font-size: 8px; word-break: break-all; }
+</style>
+</head>
+<body>
+    <div class="header">
+        <div>
+            <h1>${escapeXml(cfdi.issuer.name)}</h1>
+            <div>RFC: ${escapeXml(cfdi.issuer.rfc)} · Régimen ${escapeXml(cfdi.issuer.taxRegime)}</div>
+            <div>Lugar de expedición: ${escapeXml(cfdi.placeOfIssue)}</div>
+        </div>
+        <div class="num">
+            <h1>Factura ${escapeXml(cfdi.series || '')}${escapeXml(cfdi.folio)}</h1>
+            <div>Folio fiscal: ${escapeXml(stamp.uuid)}</div>
+            <div>Fecha: ${escapeXml(cfdi.date)}</div>
+            <div>Certificado: ${escapeXml(cfdi.certificateNumber)}</div>
+        </div>
+    </div>
+    <div class="box">
+        <strong>Receptor:</strong> ${escapeXml(cfdi.receptor.name)} · RFC ${escapeXml(cfdi.receptor.rfc)}
+        · C.P. ${escapeXml(cfdi.receptor.zipCode)} · Régimen ${escapeXml(cfdi.receptor.taxRegime)} · Uso ${escapeXml(cfdi.receptor.cfdiUse)}
+    </div>
+    <div class="box">Forma de pago ${escapeXml(cfdi.paymentForm)} · Método de pago ${escapeXml(cfdi.paymentMethod)} · Moneda ${escapeXml(cfdi.currency)}</div>
+    <table>
+        <thead><tr><th>Clave</th><th class="num">Cant.</th><th>Unidad</th><th>Descripción</th><th class="num">Valor unit.</th><th class="num">Descuento</th><th class="num">Importe</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+    <table class="totals">
+        <tr><td>Subtotal</td><td class="num">$${money(cfdi.subtotal)}</td></tr>
+        ${cfdi.discount > 0 ? `<tr><td>Descuento</td><td class="num">-$${money(cfdi.discount)}</td></tr>` : ''}
+        ${cfdi.taxes.map(tax => (tax.exempt
+            ? `<tr><td>IVA exento (base $${money(tax.base)})</td><td class="num">—</td></tr>`
+            : `<tr><td>IVA ${Math.round(tax.rate * 100)}%</td><td class="num">$${money(tax.amount)}</td></tr>`)).join('')}
+        <tr><td><strong>Total</strong></td><td class="num"><strong>$${money(cfdi.total)}</strong></td></tr>
+    </table>
+    <p class="seal"><strong>Sello digital del CFDI:</strong> ${escapeXml(cfdi.seal)}</p>
+    <p class="seal"><strong>Sello del SAT:</strong> ${escapeXml(stamp.satSeal)}</p>
+    <p class="seal"><strong>Certificado del SAT:</strong> ${escapeXml(stamp.satCertificateNumber)} · <strong>Fecha de timbrado:</strong> ${escapeXml(stamp.stampedAt)} · <strong>PAC:</strong> ${escapeXml(stamp.providerRfc)}</p>
+    <p class="seal"><strong>Verificación:</strong> ${escapeXml(verifyUrl)}</p>
+    <p>Este documento es una representación impresa de un CFDI.</p>
+</body>
+</html>`;
+}
+
+export default {
+    IVA_RATE,
+    TAX_REGIMES,
+    CFDI_USES,
+    isValidRfc,
+    validateReceptor,
+    issuerFrom,
+    isInPurchaseMonth,
+    buildCfdi,
+    cadenaOriginal,
+    loadCsd,
+    signCfdi,
+    renderCfdiXml,
+    renderInvoiceHtml
+};
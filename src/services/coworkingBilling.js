@@ -0,0 +1,62 @@
+/**
+ * Coworking Billing Service - what a coworking session charges at checkout
+ *
+ * The session's time is charged on the café's schedule: the first hour
+ * (or part of it) is $72, every half hour after that $36, and four hours or
+ * more are a full day at $225. Café drinks consumed during the session are
+ * included: they go on the closing order at $0, but only as many of each as
+ * the session recorded.
+ *
+ * Prices come from the stored session (start and end), never from the cart,
+ * so a tampered COWORK_ line can't set its own price or make the rest of the
+ * cart free (see priceOrder() in orderPricing.js).
+ *
+ * Usage in API routes:
+ *   import { coworkingCharge, includedItems } from '../src/services/coworkingBilling.js';
+ *   const { minutes, price } = coworkingCharge(session);
+ */
+
+export const FIRST_HOUR_PRICE = 72;
+export const HALF_HOUR_PRICE = 36;
+export const FULL_DAY_PRICE = 225;
+const FULL_DAY_MINUTES = 4 * 60;
+
+// Consumed extras in this category are included in the session's price
+export const INCLUDED_CATEGORY = 'Cafetería';
+
+/** Price of `minutes` of coworking on the schedule above. */
+export function priceForMinutes(minutes) {
+    if (minutes <= 0) return 0;
+    if (minutes >= FULL_DAY_MINUTES) return FULL_DAY_PRICE;
+    if (minutes <= 60) return FIRST_HOUR_PRICE;
+    return FIRST_HOUR_PRICE + Math.ceil((minutes - 60) / 30) * HALF_HOUR_PRICE;
+}
+
+/**
+ * Minutes (rounded up) and price of a session, from its start to its end -
+ * or to `now` while it has no end yet.
+ * @returns {{minutes: number, price: number}}
+ */
+export function coworkingCharge(session, now = new Date()) {
+    const end = session.endTime ? new Date(session.endTime) : now;
+    const minutes = Math.max(0, Math.ceil((end.getTime() - new Date(session.startTime).getTime()) / 60000));
+    return { minutes, price: priceForMinutes(minutes) };
+}
+
+/** Product id -> how many of it the session includes at no charge. */
+export function includedItems(session) {
+    const included = new Map();
+    (session.consumedExtras || [])
+        .filter(item => item.category === INCLUDED_CATEGORY)
+        .forEach(item => {
+            const id = String(item.id);
+            included.set(id, (included.get(id) || 0) + (Number(item.quantity) || 0));
+        });
+    return included;
+}
+
+export default {
+    priceForMinutes,
+    coworkingCharge,
+    includedItems
+};
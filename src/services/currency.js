@@ -0,0 +1,54 @@
+/**
+ * Currency Service - US dollars taken at the register
+ *
+ * Prices, totals and reports stay in pesos. A customer may pay (part of) an
+ * order with dollar bills: the tender is recorded with method 'Dólares' and
+ * its value in pesos, the order keeps the dollars handed over and the rate
+ * used, and the change is always given in pesos.
+ *
+ * An admin sets the rate once a day (see repositories/exchangeRates.js);
+ * checkout uses the latest one, and the dollars are counted separately when
+ * the cash session closes.
+ *
+ * Usage in API routes:
+ *   import { validateExchangeRate, toMxn, USD_CASH_METHOD } from '../src/services/currency.js';
+ *   const rate = validateExchangeRate(req.body.rate);       // 400 on a bad rate
+ *   const value = toMxn(usdTendered, rate);                   // pesos
+ */
+
+import { roundMoney } from './orderPricing.js';
+import { BUSINESS_TIMEZONE } from './taxes.js';
+import { httpError } from './httpError.js';
+
+export const USD_CASH_METHOD = 'Dólares';
+export const FOREIGN_CURRENCIES = ['USD'];
+
+/** The rate as a number with 4 decimals; throws 400 when it isn't a sensible peso rate. */
+export function validateExchangeRate(rate) {
+    const value = Number(rate);
+    if (rate === null || rate === '' || !Number.isFinite(value) || value <= 0 || value > 1000) {
+        throw httpError(400, `Tipo de cambio inválido: ${rate}`);
+    }
+    return Math.round(value * 10000) / 10000;
+}
+
+export function isForeignCurrency(currency) {
+    return FOREIGN_CURRENCIES.includes(currency);
+}
+
+/** Pesos for an amount in a foreign currency at `rate`. */
+export const toMxn = (amount, rate) => roundMoney(Number(amount) * Number(rate));
+
+/** YYYY-MM-DD of `date` in business time - the day a rate applies to. */
+export function businessDate(date = new Date(), timeZone = BUSINESS_TIMEZONE) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+export default {
+    USD_CASH_METHOD,
+    FOREIGN_CURRENCIES,
+    validateExchangeRate,
+    isForeignCurrency,
+    toMxn,
+    businessDate
+};
@@ -0,0 +1,24 @@
+/**
+ * HTTP Error - the error services and repositories throw for the router
+ *
+ * Routers answer with `error.status` and `error.message` when the error has a
+ * status (each router's sendError()), and with a 500 otherwise. Anything
+ * in `extra` goes on the error too, for responses that carry more than the
+ * message (e.g. the recalculated totals of a 409).
+ *
+ * Usage:
+ *   import { httpError } from './httpError.js';
+ *   throw httpError(404, 'Orden no encontrada');
+ */
+
+/** Error carrying the HTTP status the router should answer with. */
+export function httpError(status, message, extra = {}) {
+    const error = new Error(message);
+    error.status = status;
+    Object.assign(error, extra);
+    return error;
+}
+
+export default {
+    httpError
+};
@@ -0,0 +1,171 @@
+/**
+ * Kitchen Tickets Service - the barra/cocina queue and how long it takes
+ *
+ * Every sale (or round added to a tab) that has something to prepare becomes
+ * a ticket. Its lines are sent to a station by product category (combos are
+ * split into their components), and move through
+ *
+ *   new -> in_progress -> ready                  (each line, bumped at its station)
+ *   new -> in_progress -> ready -> delivered     (the ticket, derived from its lines;
+ *                                                 "delivered" is the last bump at the counter)
+ *
+ * Each step is timestamped so reports can show average wait and prep times.
+ * Stations come from KITCHEN_STATIONS, a JSON map of category to station
+ * ({"Cafetería": "barra", "Alimentos": "cocina"} by default); categories
+ * without a station (memberships, bottled drinks) never reach the display.
+ *
+ * Usage in API routes:
+ *   import { ticketItems, advanceItem, advanceTicket, prepTimeStats } from '../src/services/kitchenTickets.js';
+ *   const items = ticketItems(order.items);          // [] when nothing needs preparing
+ *   const changes = advanceItem(ticket, lineIndex);  // 404/409 on a bad bump
+ *   const stats = prepTimeStats(tickets);
+ */
+
+import { isServiceItem } from './orderPricing.js';
+import { httpError } from './httpError.js';
+
+export const PREP_STATUSES = ['new', 'in_progress', 'ready', 'delivered'];
+
+const DEFAULT_STATIONS = { 'Cafetería': 'barra', 'Alimentos': 'cocina' };
+
+function loadStations() {
+    if (!process.env.KITCHEN_STATIONS) return DEFAULT_STATIONS;
+    try {
+        return JSON.parse(process.env.KITCHEN_STATIONS);
+    } catch (error) {
+        console.warn('⚠️ KITCHEN_STATIONS is not valid JSON, using the default stations:', error.message);
+        return DEFAULT_STATIONS;
+    }
+}
+
+const STATIONS = loadStations();
+
+export function stationFor(category, stations = STATIONS) {
+    return stations[category] || null;
+}
+
+/**
+ * The lines of a priced order (or tab round) a station has to prepare.
+ * @param {Array} items - Priced lines; combo lines carry `components`
+ * @returns {Array<{index, id, name, quantity, station, modifiers, combo, status, startedAt, readyAt}>}
+ */
+export function ticketItems(items, stations = STATIONS) {
+    return items
+        .filter(item => !isServiceItem(item.id))
+        .flatMap(item => {
+            if (Array.isArray(item.components) && item.components.length > 0) {
+                // The combo's options (size, milk) go with its first component
+                return item.components.map((component, index) => ({
+                    id: component.id,
+                    name: component.name,
+                    category: component.category,
+                    quantity: component.quantity * item.quantity,
+                    modifiers: index === 0 ? item.modifiers || [] : [],
+                    combo: item.name,
+                }));
+            }
+            return [{ id: item.id, name: item.name, category: item.category, quantity: item.quantity, modifiers: item.modifiers || [], combo: null }];
+        })
+        .map(line => ({ ...line, station: stationFor(line.category, stations) }))
+        .filter(line => line.station)
+        .map(({ category, modifiers, ...line }, index) => ({
+            index,
+            ...line,
+            modifiers: modifiers.map(modifier => modifier.name),
+            status: 'new',
+            startedAt: null,
+            readyAt: null,
+        }));
+}
+
+/** Ticket status and timestamps that follow from its lines. */
+function deriveTicket(ticket, items, now) {
+    const allReady = items.every(item => item.status === 'ready');
+    const anyStarted = items.some(item => item.status !== 'new');
+    const status = allReady ? 'ready' : anyStarted ? 'in_progress' : 'new';
+    return {
+        items,
+        status,
+        startedAt: ticket.startedAt || (anyStarted ? now : null),
+        readyAt: allReady ? ticket.readyAt || now : null,
+    };
+}
+
+function assertNotDelivered(ticket) {
+    if (ticket.status === 'delivered') {
+        throw httpError(409, `La orden de ${ticket.label} ya se entregó`);
+    }
+}
+
+/**
+ * Bumps one line to its next step (new -> in_progress -> ready).
+ * @returns {object} The ticket fields to write
+ */
+export function advanceItem(ticket, index, now = new Date().toISOString()) {
+    assertNotDelivered(ticket);
+    const item = ticket.items.find(line => line.index === Number(index));
+    if (!item) throw httpError(404, 'Producto no encontrado en la orden');
+    if (item.status === 'ready') throw httpError(409, `${item.name} ya está listo`);
+
+    const items = ticket.items.map(line => {
+        if (line !== item) return line;
+        return line.status === 'new'
+            ? { ...line, status: 'in_progress', startedAt: now }
+            : { ...line, status: 'ready', startedAt: line.startedAt || now, readyAt: now };
+    });
+    return deriveTicket(ticket, items, now);
+}
+
+/**
+ * Bumps the whole ticket: every line still open is marked ready, and a ready
+ * ticket is marked delivered.
+ * @returns {object} The ticket fields to write
+ */
+export function advanceTicket(ticket, now = new Date().toISOString()) {
+    assertNotDelivered(ticket);
+    if (ticket.status === 'ready') {
+        return { status: 'delivered', deliveredAt: now };
+    }
+    const items = ticket.items.map(line => line.status === 'ready'
+        ? line
+        : { ...line, status: 'ready', startedAt: line.startedAt || now, readyAt: now });
+    return deriveTicket(ticket, items, now);
+}
+
+const minutesBetween = (from, to) => (new Date(to) - new Date(from)) / 60000;
+const average = (values) => (values.length === 0 ? null : Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10);
+
+/**
+ * Average times in minutes, over tickets that reached "ready":
+ * wait (created -> first line started), prep (created -> all ready),
+ * pickup (ready -> delivered), and per station (created -> line ready).
+ */
+export function prepTimeStats(tickets) {
+    const finished = tickets.filter(ticket => ticket.readyAt);
+    const byStation = new Map();
+    finished.forEach(ticket => ticket.items.forEach(item => {
+        if (!item.readyAt) return;
+        const times = byStation.get(item.station) || [];
+        times.push(minutesBetween(ticket.createdAt, item.readyAt));
+        byStation.set(item.station, times);
+    }));
+
+    return {
+        tickets: finished.length,
+        averageWaitMinutes: average(finished.filter(t => t.startedAt).map(t => minutesBetween(t.createdAt, t.startedAt))),
+        averagePrepMinutes: average(finished.map(t => minutesBetween(t.createdAt, t.readyAt))),
+        averagePickupMinutes: average(finished.filter(t => t.deliveredAt).map(t => minutesBetween(t.readyAt, t.deliveredAt))),
+        byStation: [...byStation.entries()]
+            .map(([station, times]) => ({ station, items: times.length, averageMinutes: average(times) }))
+            .sort((a, b) => a.station.localeCompare(b.station)),
+    };
+}
+
+export default {
+    PREP_STATUSES,
+    stationFor,
+    ticketItems,
+    advanceItem,
+    advanceTicket,
+    prepTimeStats
+};
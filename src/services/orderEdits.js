@@ -0,0 +1,268 @@
+/**
+ * Order Edits Service - corrections to a sale through PUT /api/orders/:id
+ *
+ * Once an order was created the only fix for a mistake was voiding it. An
+ * edit changes the order in place (client, service type, customer, tenders,
+ * tip and lines) and the router records an order_edits row with the order as
+ * it was and as it ended up, who changed it and why. This module validates
+ * the request, works out the edited order and the stock and customer-credit
+ * movements the change implies; the router does the locking and persisting.
+ *
+ * Lines already on the order keep the price they were sold at, and lines
+ * added by the edit come in at today's catalog price. The promotions the sale
+ * got are evaluated again, at the time of the sale, against the edited lines:
+ * a 2x1 whose second unit was taken off goes away, a coupon that no longer
+ * applies is dropped, and no promotion the sale didn't have is added.
+ *
+ * Usage in API routes:
+ *   import { validateOrderEdit, assertEditable, applyOrderEdit, stockDeltas, creditMoves } from '../src/services/orderEdits.js';
+ *   const edit = validateOrderEdit(req.body);      // 400 on a bad request
+ *   assertEditable(order, edit);                   // 409 refunded, invoiced or split lines
+ *   const after = applyOrderEdit({ order, edit, products, discountPercentage, promotions });
+ *   stockDeltas(order.items, after.items);         // [{ id, quantity }], > 0 takes stock
+ *   creditMoves(order, after);                     // [{ customerId, amount }], > 0 charges the customer
+ */
+
+import { priceOrder, roundMoney, isServiceItem } from './orderPricing.js';
+import { resolvePayments, orderTenders, CREDIT_METHODS } from './orderPayments.js';
+import { evaluatePromotions } from './promotions.js';
+import { stockMovesFor } from './productBundles.js';
+import { withLineTaxes } from './taxes.js';
+import { httpError } from './httpError.js';
+
+export const SERVICE_TYPES = ['Mesa', 'Para llevar'];
+
+// What an order_edits row keeps of the order before and after the edit
+export const SNAPSHOT_FIELDS = [
+    'clientName', 'serviceType', 'customerId', 'paymentMethod', 'payments', 'items',
+    'subtotal', 'discount', 'tip', 'total', 'promotions',
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+function validateLines(items) {
+    if (!Array.isArray(items) || items.length === 0) throw httpError(400, 'La orden no tiene productos');
+    const kept = new Set();
+    return items.map(line => {
+        const quantity = Number(line?.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw httpError(400, `Cantidad inválida para ${line?.name || line?.id || `la línea ${line?.lineIndex}`}`);
+        }
+        // Lines already on the order come as { lineIndex, quantity }, new ones as cart lines
+        if (line.lineIndex !== undefined) {
+            const lineIndex = Number(line.lineIndex);
+            if (!Number.isInteger(lineIndex) || lineIndex < 0 || kept.has(lineIndex)) {
+                throw httpError(400, `Línea inválida: ${line.lineIndex}`);
+            }
+            kept.add(lineIndex);
+            return { lineIndex, quantity };
+        }
+        if (isBlank(line.id)) throw httpError(400, 'Línea inválida: falta el producto');
+        return { ...line, quantity };
+    });
+}
+
+/**
+ * Checks an edit request. Only the fields present are changed; `payments`
+ * (or `paymentMethod`) may come with `cashTendered`/`usdTendered`.
+ * @returns {{reason: string, userId: string, clientName?, serviceType?, customerId?, paymentMethod?, payments?, tip?, items?}}
+ */
+export function validateOrderEdit(body = {}) {
+    const reason = String(body.reason || '').trim();
+    if (!reason) throw httpError(400, 'El motivo de la edición es obligatorio');
+    if (isBlank(body.userId)) throw httpError(400, 'Falta el usuario que edita la orden');
+
+    const edit = { reason, userId: String(body.userId) };
+    if (body.clientName !== undefined) {
+        edit.clientName = String(body.clientName || '').trim();
+        if (!edit.clientName) throw httpError(400, 'El nombre del cliente es obligatorio');
+    }
+    if (body.serviceType !== undefined) {
+        if (!SERVICE_TYPES.includes(body.serviceType)) throw httpError(400, `Tipo de servicio inválido: ${body.serviceType}`);
+        edit.serviceType = body.serviceType;
+    }
+    if (body.customerId !== undefined) edit.customerId = isBlank(body.customerId) ? null : String(body.customerId);
+    if (body.paymentMethod !== undefined) edit.paymentMethod = body.paymentMethod;
+    if (body.payments !== undefined) {
+        if (!Array.isArray(body.payments)) throw httpError(400, 'Los pagos deben ser una lista');
+        edit.payments = body.payments;
+    }
+    if (body.tip !== undefined) {
+        const tip = Number(body.tip || 0);
+        if (!Number.isFinite(tip) || tip < 0) throw httpError(400, 'Propina inválida');
+        edit.tip = roundMoney(tip);
+    }
+    if (body.items !== undefined) edit.items = validateLines(body.items);
+
+    const fields = ['clientName', 'serviceType', 'customerId', 'paymentMethod', 'payments', 'tip', 'items'];
+    if (!fields.some(field => edit[field] !== undefined)) throw httpError(400, 'La edición no cambia nada');
+    return edit;
+}
+
+/** Rejects (409) edits the order can't take. */
+export function assertEditable(order, edit) {
+    // A refund already returned part of it; editing would make the two disagree
+    if (order.status !== 'completed') throw httpError(409, 'La orden tiene reembolsos y no se puede editar');
+    if (order.invoiceId) throw httpError(409, 'La orden ya está facturada y no se puede editar');
+    // Split-bill lines are shares of the ticket's lines (see orderSplit.js)
+    if (order.parentOrderId && edit.items) {
+        throw httpError(409, 'Los productos de una cuenta dividida no se pueden editar');
+    }
+}
+
+/** The edited lines: kept ones as sold, new ones priced from the catalog. */
+function editedLines(order, lines, products) {
+    const added = lines.filter(line => line.lineIndex === undefined);
+    const priced = added.length > 0 ? priceOrder({ items: added, products }).items : [];
+    let next = 0;
+    return lines.map(line => {
+        if (line.lineIndex === undefined) return priced[next++];
+        const sold = order.items[line.lineIndex];
+        if (!sold) throw httpError(400, `Línea inválida: ${line.lineIndex}`);
+        return { ...sold, quantity: line.quantity };
+    });
+}
+
+/** The sale's promotions, evaluated again at the time of the sale. */
+function promotionsAtSale(order, items, promotions) {
+    const applied = order.promotions || [];
+    const ids = new Set(applied.map(promotion => String(promotion.promotionId)));
+    // Already applied (and redeemed) once: neither turning it off since nor
+    // the coupon's use limit takes it away from this sale
+    const candidates = promotions
+        .filter(promotion => ids.has(String(promotion.id)))
+        .map(promotion => ({ ...promotion, active: true, maxUses: null }));
+    const couponCode = applied.find(promotion => promotion.type === 'coupon')?.code;
+    const params = { items: items.filter(item => !isServiceItem(item.id)), promotions: candidates, now: new Date(order.date || order.created_at) };
+    if (!couponCode) return evaluatePromotions(params);
+    try {
+        return evaluatePromotions({ ...params, couponCode });
+    } catch (error) {
+        if (!error.status) throw error;
+        return evaluatePromotions(params);
+    }
+}
+
+/**
+ * The order after the edit. Lines and the customer discount are only priced
+ * again when the lines or the customer change.
+ * @param {object} params
+ * @param {object} params.order - Normalized order
+ * @param {object} params.edit - From validateOrderEdit
+ * @param {Array} [params.products] - Catalog, needed when lines are added
+ * @param {number} [params.discountPercentage] - The (new) customer's discount
+ * @param {Array} [params.promotions] - All promotions
+ */
+export function applyOrderEdit({ order, edit, products = [], discountPercentage = 0, promotions = [] }) {
+    const customerId = edit.customerId !== undefined ? edit.customerId : (order.customerId || null);
+    const tip = edit.tip !== undefined ? edit.tip : roundMoney(order.tip || 0);
+    let { items, subtotal, discount } = order;
+    let applied = order.promotions || [];
+
+    if (edit.items || customerId !== (order.customerId || null)) {
+        const lines = edit.items ? editedLines(order, edit.items, products) : order.items;
+        subtotal = roundMoney(lines.reduce((sum, item) => sum + item.price * item.quantity, 0));
+        const promotion = promotionsAtSale(order, lines, promotions);
+        const percentage = Math.min(Math.max(Number(discountPercentage) || 0, 0), 100);
+        discount = roundMoney(promotion.discount + (subtotal - promotion.discount) * (percentage / 100));
+        items = withLineTaxes(lines, discount);
+        applied = promotion.applied;
+    }
+    const total = roundMoney(subtotal - discount + tip);
+
+    // Without new tenders a single-tender order keeps its method for the new
+    // total; a mixed payment has to be re-entered when the total changes
+    const keepTenders = edit.paymentMethod === undefined && edit.payments === undefined;
+    const tenders = resolvePayments({
+        paymentMethod: keepTenders ? order.paymentMethod : edit.paymentMethod,
+        payments: keepTenders ? (orderTenders(order).length > 1 ? order.payments : undefined) : edit.payments,
+        total,
+        customerId,
+    });
+
+    return {
+        clientName: edit.clientName !== undefined ? edit.clientName : order.clientName,
+        serviceType: edit.serviceType !== undefined ? edit.serviceType : order.serviceType,
+        customerId,
+        paymentMethod: tenders.paymentMethod,
+        payments: tenders.payments,
+        items,
+        subtotal,
+        discount,
+        tip,
+        total,
+        promotions: applied,
+    };
+}
+
+/** The fields of an order an order_edits row keeps. */
+export function orderSnapshot(order) {
+    return Object.fromEntries(SNAPSHOT_FIELDS.map(field => {
+        if (field === 'payments') return [field, orderTenders(order)];
+        if (field === 'customerId') return [field, order.customerId || null];
+        if (field === 'promotions') return [field, order.promotions || []];
+        return [field, order[field] ?? null];
+    }));
+}
+
+/** Snapshot fields whose value differs between two snapshots. */
+export function changedFields(before, after) {
+    return SNAPSHOT_FIELDS.filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+}
+
+function stockTaken(items) {
+    const taken = new Map();
+    items
+        .filter(item => !isServiceItem(item.id))
+        .flatMap(item => stockMovesFor(item, Number(item.stockQuantity ?? item.quantity)))
+        .forEach(move => taken.set(String(move.id), (taken.get(String(move.id)) || 0) + move.quantity));
+    return taken;
+}
+
+/**
+ * Stock to move so inventory matches the edited lines: a positive quantity is
+ * taken out, a negative one goes back. Combos move their components.
+ */
+export function stockDeltas(beforeItems, afterItems) {
+    const before = stockTaken(beforeItems);
+    const after = stockTaken(afterItems);
+    return [...new Set([...before.keys(), ...after.keys()])]
+        .map(id => ({ id, quantity: (after.get(id) || 0) - (before.get(id) || 0) }))
+        .filter(move => move.quantity !== 0);
+}
+
+const owedOnCredit = (order) => order.customerId
+    ? roundMoney(orderTenders(order)
+        .filter(tender => CREDIT_METHODS.includes(tender.method))
+        .reduce((sum, tender) => sum + tender.amount, 0))
+    : 0;
+
+/**
+ * Customer credit movements for the edit: a positive amount is a new charge,
+ * a negative one reverses part of the old charge. Moving a credit sale to
+ * another customer reverses it on the first and charges the second.
+ */
+export function creditMoves(before, after) {
+    const from = before.customerId || null;
+    const to = after.customerId || null;
+    if (from === to) {
+        const amount = roundMoney(owedOnCredit(after) - owedOnCredit(before));
+        return to && amount !== 0 ? [{ customerId: to, amount }] : [];
+    }
+    return [
+        { customerId: from, amount: -owedOnCredit(before) },
+        { customerId: to, amount: owedOnCredit(after) },
+    ].filter(move => move.customerId && move.amount !== 0);
+}
+
+export default {
+    SERVICE_TYPES,
+    SNAPSHOT_FIELDS,
+    validateOrderEdit,
+    assertEditable,
+    applyOrderEdit,
+    orderSnapshot,
+    changedFields,
+    stockDeltas,
+    creditMoves
+};
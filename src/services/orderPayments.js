@@ -0,0 +1,164 @@
+/**
+ * Order Payments Service - split tenders for POST /api/orders
+ *
+ * An order is paid with one or more tenders ({ method, amount }), e.g. part
+ * cash and part card. The tenders must add up to the server-priced total.
+ * `paymentMethod` is kept for older clients and reports: the tender's method
+ * when there is only one, 'Mixto' otherwise.
+ *
+ * For the cash part the cashier may record what the customer handed over
+ * (`cashTendered`); the order keeps it along with the change given back, so
+ * a short drawer can be traced to the sale.
+ *
+ * Dollar bills are a tender of their own ('Dólares', its amount in pesos):
+ * the cashier records the dollars handed over (`usdTendered`), they are
+ * valued at the day's rate and any change is given in pesos.
+ *
+ * Usage in API routes:
+ *   import { resolvePayments, resolveCashTendered } from '../src/services/orderPayments.js';
+ *   const { paymentMethod, payments } = resolvePayments({ ...req.body, total: priced.total });
+ *   const cash = resolveCashTendered({ cashTendered, usdTendered, exchangeRate, payments }); // { cashTendered, changeDue, ... } | null
+ */
+
+import { roundMoney } from './orderPricing.js';
+import { USD_CASH_METHOD, toMxn } from './currency.js';
+import { httpError } from './httpError.js';
+
+export const PAYMENT_METHODS = ['Efectivo', 'Tarjeta', 'Crédito', 'Fiado', USD_CASH_METHOD];
+export const CREDIT_METHODS = ['Crédito', 'Fiado'];
+export const CASH_METHODS = ['Efectivo'];
+export const SPLIT_PAYMENT_METHOD = 'Mixto';
+
+const TOLERANCE = 0.005;
+
+/**
+ * Validates the tenders sent with an order against its total.
+ * Clients that only send `paymentMethod` get a single tender for the total.
+ * @returns {{paymentMethod: string, payments: Array<{method: string, amount: number}>}}
+ */
+export function resolvePayments({ paymentMethod, payments, total, customerId }) {
+    const tenders = Array.isArray(payments) && payments.length > 0
+        ? payments.map(tender => ({ method: tender.method, amount: roundMoney(tender.amount) }))
+        : [{ method: paymentMethod, amount: roundMoney(total) }];
+
+    tenders.forEach(tender => {
+        if (!PAYMENT_METHODS.includes(tender.method)) {
+            throw httpError(400, `Método de pago inválido: ${tender.method}`);
+        }
+        if (!Number.isFinite(tender.amount) || tender.amount < 0 || (tenders.length > 1 && tender.amount === 0)) {
+            throw httpError(400, `Monto inválido para el pago con ${tender.method}`);
+        }
+    });
+
+    const paid = roundMoney(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+    if (Math.abs(paid - roundMoney(total)) > TOLERANCE) {
+        throw httpError(400, `Los pagos ($${paid.toFixed(2)}) no cubren el total de la orden ($${roundMoney(total).toFixed(2)})`);
+    }
+
+    if (!customerId && tenders.some(tender => CREDIT_METHODS.includes(tender.method))) {
+        throw httpError(400, 'Las ventas a crédito requieren un cliente');
+    }
+
+    const methods = [...new Set(tenders.map(tender => tender.method))];
+    return {
+        paymentMethod: methods.length === 1 ? methods[0] : SPLIT_PAYMENT_METHOD,
+        payments: tenders,
+    };
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const tenderedSum = (payments, method) => roundMoney(payments
+    .filter(tender => tender.method === method)
+    .reduce((sum, tender) => sum + tender.amount, 0));
+
+/**
+ * Checks the cash handed over against the cash tenders and works out the
+ * change, in pesos. Dollars (`usdTendered`) are valued at `exchangeRate` and
+ * must be recorded whenever the order has a 'Dólares' tender.
+ * @returns {{cashTendered?: number, usdTendered?: number, exchangeRate?: number, changeDue: number} | null} null when no cash was recorded
+ */
+export function resolveCashTendered({ cashTendered, usdTendered, exchangeRate, payments }) {
+    const usdDue = tenderedSum(payments, USD_CASH_METHOD);
+    if (usdDue > 0 && isBlank(usdTendered)) {
+        throw httpError(400, 'Indica los dólares recibidos');
+    }
+    if (isBlank(cashTendered) && isBlank(usdTendered)) return null;
+
+    const result = { changeDue: 0 };
+    if (!isBlank(cashTendered)) {
+        const tendered = roundMoney(Number(cashTendered));
+        if (!Number.isFinite(tendered) || tendered < 0) {
+            throw httpError(400, `Efectivo recibido inválido: ${cashTendered}`);
+        }
+        const cashDue = roundMoney(payments
+            .filter(tender => CASH_METHODS.includes(tender.method))
+            .reduce((sum, tender) => sum + tender.amount, 0));
+        if (cashDue <= 0) {
+            throw httpError(400, 'La orden no tiene pago en efectivo');
+        }
+        if (tendered + TOLERANCE < cashDue) {
+            throw httpError(400, `El efectivo recibido ($${tendered.toFixed(2)}) no cubre el pago en efectivo ($${cashDue.toFixed(2)})`);
+        }
+        result.cashTendered = tendered;
+        result.changeDue = roundMoney(tendered - cashDue);
+    }
+    if (!isBlank(usdTendered)) {
+        const dollars = roundMoney(Number(usdTendered));
+        if (!Number.isFinite(dollars) || dollars < 0) {
+            throw httpError(400, `Dólares recibidos inválidos: ${usdTendered}`);
+        }
+        if (usdDue <= 0) {
+            throw httpError(400, 'La orden no tiene pago en dólares');
+        }
+        const value = toMxn(dollars, exchangeRate);
+        if (value + TOLERANCE < usdDue) {
+            throw httpError(400, `Los dólares recibidos (US$${dollars.toFixed(2)} = $${value.toFixed(2)}) no cubren el pago en dólares ($${usdDue.toFixed(2)})`);
+        }
+        result.usdTendered = dollars;
+        result.exchangeRate = Number(exchangeRate);
+        result.changeDue = roundMoney(result.changeDue + value - usdDue);
+    }
+    return result;
+}
+
+/** Tenders of a stored order; orders from before split payments have none. */
+export function orderTenders(order) {
+    if (Array.isArray(order.payments) && order.payments.length > 0) {
+        return order.payments.map(tender => ({ method: tender.method, amount: Number(tender.amount) }));
+    }
+    return [{ method: order.paymentMethod, amount: Number(order.total) }];
+}
+
+/**
+ * Spreads a refund over the order's tenders in proportion to what each paid,
+ * so a refund of a half-cash/half-card order returns half in cash.
+ */
+export function allocateRefund(order, amount) {
+    const tenders = orderTenders(order);
+    const total = tenders.reduce((sum, tender) => sum + tender.amount, 0);
+    if (tenders.length === 1 || total <= 0) {
+        return [{ method: tenders[0].method, amount: roundMoney(amount) }];
+    }
+
+    let allocated = 0;
+    return tenders.map((tender, index) => {
+        const share = index === tenders.length - 1
+            ? roundMoney(amount - allocated)
+            : roundMoney(amount * (tender.amount / total));
+        allocated = roundMoney(allocated + share);
+        return { method: tender.method, amount: share };
+    });
+}
+
+export default {
+    PAYMENT_METHODS,
+    CREDIT_METHODS,
+    CASH_METHODS,
+    USD_CASH_METHOD,
+    SPLIT_PAYMENT_METHOD,
+    resolvePayments,
+    resolveCashTendered,
+    orderTenders,
+    allocateRefund
+};
@@ -0,0 +1,192 @@
+/**
+ * Order Pricing Service - server-authoritative totals for POST /api/orders
+ *
+ * The browser used to compute subtotal, customer discount, tip and total and
+ * the orders router stored whatever it received. A stale PWA cache (old
+ * prices) or a tampered request could therefore record a wrong sale. This
+ * module re-prices every cart line from the products table and recomputes the
+ * totals, so the numbers that reach the database are always the server's.
+ * Promotions (promotions.js) are evaluated here too, before the customer's
+ * own discount, which applies to what is left after them. Every line leaves
+ * with its IVA breakdown as of the sale (taxes.js). A coworking line is priced
+ * from its session, which is also the only thing that makes café free
+ * (coworkingBilling.js).
+ *
+ * Usage in API routes:
+ *   import { priceOrder, assertClientTotalsMatch } from '../src/services/orderPricing.js';
+ *   const priced = priceOrder({ items, products, discountPercentage, tip, promotions, couponCode });
+ *   assertClientTotalsMatch(priced, req.body); // throws 409 on disagreement
+ */
+
+import { resolveModifiers } from './productModifiers.js';
+import { isBundle, allocateBundle } from './productBundles.js';
+import { evaluatePromotions } from './promotions.js';
+import { withLineTaxes, isValidTaxRate, DEFAULT_TAX_RATE } from './taxes.js';
+import { coworkingCharge, includedItems } from './coworkingBilling.js';
+import { httpError } from './httpError.js';
+
+// Line items that are not rows in the products table (coworking time, etc.).
+// Same prefixes create_order_atomic skips when decrementing stock.
+export const SERVICE_ITEM_PREFIXES = ['COWORK_', 'TIP_', 'SERVICE_'];
+
+// Client totals may be a cent off ours: a customer discount of half a cent
+// (5% of $45.50 is 2.275) can round the other way there, or not at all.
+const TOLERANCE = 0.01;
+
+export function roundMoney(value) {
+    return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+export function isServiceItem(itemId) {
+    return SERVICE_ITEM_PREFIXES.some(prefix => String(itemId).startsWith(prefix));
+}
+
+/**
+ * Re-prices a cart against the current catalog.
+ * @param {object} params
+ * @param {Array} params.items - Cart lines as sent by the client ({ id, quantity, ... })
+ * @param {Array} params.products - Current products (from productStore.getAll())
+ * @param {number} [params.discountPercentage] - Customer discount, 0-100
+ * @param {number} [params.tip] - Tip amount entered at checkout
+ * @param {Array} [params.promotions] - Promotions to evaluate (see promotions.js)
+ * @param {string} [params.couponCode] - Coupon entered at checkout
+ * @param {object} [params.coworkingSession] - The session a COWORK_ line charges (from the coworking repository)
+ * @param {Date} [params.now] - When the sale happens (for happy hours)
+ * @returns {{items: Array, subtotal: number, discount: number, tip: number, total: number, totalCost: number, promotions: Array}}
+ *   `discount` is promotions plus customer discount; `promotions` lists what each promotion took off
+ */
+export function priceOrder({ items, products, discountPercentage = 0, tip = 0, promotions = [], couponCode, coworkingSession = null, now = new Date() }) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw httpError(400, 'La orden no tiene productos');
+    }
+
+    const tipAmount = Number(tip || 0);
+    if (!Number.isFinite(tipAmount) || tipAmount < 0) {
+        throw httpError(400, 'Propina inválida');
+    }
+
+    const productsById = new Map(products.map(p => [String(p.id), p]));
+    // Café included in a coworking session is sold at $0, up to what the
+    // session consumed; the service line carries the session's own price
+    const coworkingLines = items.filter(item => String(item.id).startsWith('COWORK_'));
+    if (coworkingLines.length > 1) {
+        throw httpError(400, 'La orden solo puede cobrar una sesión de coworking');
+    }
+    if (coworkingLines.length > 0 && !coworkingSession) {
+        throw httpError(400, 'Falta la sesión de coworking que se cobra');
+    }
+    const included = coworkingLines.length > 0 ? includedItems(coworkingSession) : new Map();
+
+    const pricedItems = items.map(item => {
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw httpError(400, `Cantidad inválida para ${item.name || item.id}`);
+        }
+
+        if (isServiceItem(item.id)) {
+            if (!String(item.id).startsWith('COWORK_')) {
+                throw httpError(400, `Línea de servicio no permitida: ${item.name || item.id}`);
+            }
+            if (quantity !== 1) {
+                throw httpError(400, 'La sesión de coworking se cobra una sola vez');
+            }
+            const { price } = coworkingCharge(coworkingSession, now);
+            const taxRate = isValidTaxRate(item.taxRate) ? item.taxRate : DEFAULT_TAX_RATE;
+            return { ...item, quantity, price, cost: 0, taxRate, coworkingSessionId: coworkingSession.id };
+        }
+
+        const product = productsById.get(String(item.id));
+        if (!product) {
+            throw httpError(400, `Producto no encontrado: ${item.name || item.id}`);
+        }
+
+        if (item.complimentary) {
+            const left = included.get(String(product.id)) || 0;
+            if (quantity > left) {
+                throw httpError(400, `Solo el café incluido en coworking puede ir sin costo (${product.name})`);
+            }
+            included.set(String(product.id), left - quantity);
+        }
+
+        // Chosen options (size, milk...) add their catalog deltas to the line
+        const modifiers = resolveModifiers(product, item.modifiers);
+        const price = roundMoney(product.price + modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, 0));
+        if (price < 0) {
+            throw httpError(400, `Precio inválido para ${product.name}`);
+        }
+
+        // A combo's revenue and cost are its components' (see productBundles.js)
+        const components = isBundle(product)
+            ? allocateBundle(product, productsById, item.complimentary ? 0 : price)
+            : null;
+        const baseCost = components
+            ? components.reduce((sum, component) => sum + component.cost, 0)
+            : product.cost;
+        const cost = roundMoney(baseCost + modifiers.reduce((sum, modifier) => sum + modifier.costDelta, 0));
+
+        // The group/component definitions ride along on cart lines; the order
+        // only keeps the choices and the allocation
+        const { modifierGroups, bundleItems, modifiers: _requested, components: _components, ...line } = item;
+        return {
+            ...line,
+            name: product.name,
+            category: product.category,
+            taxRate: product.taxRate || DEFAULT_TAX_RATE,
+            quantity,
+            price: item.complimentary ? 0 : price,
+            cost,
+            ...(modifiers.length > 0 ? { modifiers } : {}),
+            ...(components ? { components } : {}),
+        };
+    });
+
+    const subtotal = roundMoney(pricedItems.reduce((acc, item) => acc + item.price * item.quantity, 0));
+    const promotion = evaluatePromotions({
+        items: pricedItems.filter(item => !isServiceItem(item.id)),
+        promotions,
+        couponCode,
+        now,
+    });
+    const percentage = Math.min(Math.max(Number(discountPercentage) || 0, 0), 100);
+    const customerDiscount = roundMoney((subtotal - promotion.discount) * (percentage / 100));
+    const discount = roundMoney(promotion.discount + customerDiscount);
+    const total = roundMoney(subtotal - discount + tipAmount);
+    const totalCost = roundMoney(pricedItems.reduce((acc, item) => acc + item.cost * item.quantity, 0));
+
+    return {
+        items: withLineTaxes(pricedItems, discount),
+        subtotal,
+        discount,
+        tip: roundMoney(tipAmount),
+        total,
+        totalCost,
+        promotions: promotion.applied,
+    };
+}
+
+/**
+ * Rejects the cart if any total the client sent disagrees with ours. Totals
+ * the client left out are not checked (older callers only send subtotal/total).
+ */
+export function assertClientTotalsMatch(priced, clientTotals = {}) {
+    const mismatched = ['subtotal', 'discount', 'total'].filter(field => {
+        const value = clientTotals[field];
+        if (value === undefined || value === null) return false;
+        return roundMoney(Math.abs(Number(value) - priced[field])) > TOLERANCE;
+    });
+
+    if (mismatched.length > 0) {
+        throw httpError(409, 'Los totales de la orden no coinciden con los precios actuales', {
+            mismatched,
+            expected: { subtotal: priced.subtotal, discount: priced.discount, tip: priced.tip, total: priced.total },
+        });
+    }
+}
+
+export default {
+    SERVICE_ITEM_PREFIXES,
+    roundMoney,
+    isServiceItem,
+    priceOrder,
+    assertClientTotalsMatch
+};
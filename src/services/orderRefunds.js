@@ -0,0 +1,153 @@
+/**
+ * Order Refunds Service - void/refund math for POST /api/orders/:id/refunds
+ *
+ * Orders are never deleted. A refund is a separate document that points at
+ * the original order and lists the lines (and quantities) being returned.
+ * This module works out what a requested refund is worth, given the order and
+ * whatever was already refunded, so the router only has to persist it.
+ *
+ * Line amounts carry the order's customer discount proportionally. The tip is
+ * only returned by the refund that leaves nothing else to refund, and that
+ * refund also absorbs rounding, so the refunds of an order always add up to
+ * exactly its total. The tip report counts on it: a partially refunded order
+ * still has its whole tip (routes/tips.js). Invoiced orders can't be refunded,
+ * the same way they can't be edited (orderEdits.js).
+ *
+ * Usage in API routes:
+ *   import { buildRefund } from '../src/services/orderRefunds.js';
+ *   const refund = buildRefund({ order, previousRefunds, lines }); // lines omitted = full
+ */
+
+import { roundMoney, isServiceItem } from './orderPricing.js';
+import { stockMovesFor } from './productBundles.js';
+import { httpError } from './httpError.js';
+
+/** Quantity already refunded per order line index. */
+export function refundedQuantities(order, previousRefunds = []) {
+    const refunded = order.items.map(() => 0);
+    previousRefunds.forEach(refund => {
+        (refund.items || []).forEach(line => {
+            if (refunded[line.lineIndex] !== undefined) {
+                refunded[line.lineIndex] += Number(line.quantity);
+            }
+        });
+    });
+    return refunded;
+}
+
+/**
+ * Whole units of stock a refunded quantity returns. Split-bill lines carry
+ * the units their order took (stockQuantity), which may differ from quantity.
+ */
+function restockUnits(item, quantity) {
+    if (item.stockQuantity === undefined || item.stockQuantity === null) return quantity;
+    return Math.round(Number(item.stockQuantity) * (quantity / Number(item.quantity)));
+}
+
+/**
+ * @param {object} params
+ * @param {object} params.order - Normalized order ({ items, subtotal, discount, tip, total, ... })
+ * @param {Array} [params.previousRefunds] - Refunds already recorded for this order
+ * @param {Array} [params.lines] - [{ lineIndex, quantity }]; omit for a full refund of what is left
+ * @returns {{type: 'full'|'partial', items: Array, amount: number, returned: Array, restock: Array, orderStatus: string}}
+ *   `returned` are the refunded order lines as sold, `restock` the stock they give back
+ */
+export function buildRefund({ order, previousRefunds = [], lines }) {
+    // Its CFDI would need a credit note (CFDI de egreso), which we don't issue
+    if (order.invoiceId) {
+        throw httpError(409, 'La orden ya está facturada y no se puede reembolsar');
+    }
+
+    const refunded = refundedQuantities(order, previousRefunds);
+    const remaining = order.items.map((item, index) => Number(item.quantity) - refunded[index]);
+
+    if (remaining.every(quantity => quantity <= 0)) {
+        throw httpError(409, 'La orden ya fue reembolsada por completo');
+    }
+
+    const requested = lines === undefined || lines === null
+        ? remaining.map((quantity, lineIndex) => ({ lineIndex, quantity })).filter(line => line.quantity > 0)
+        : lines;
+
+    if (!Array.isArray(requested) || requested.length === 0) {
+        throw httpError(400, 'Selecciona al menos un producto para reembolsar');
+    }
+
+    const requestedByLine = new Map();
+    requested.forEach(line => {
+        const lineIndex = Number(line.lineIndex);
+        const quantity = Number(line.quantity);
+        if (!Number.isInteger(lineIndex) || !order.items[lineIndex]) {
+            throw httpError(400, `Línea de orden inválida: ${line.lineIndex}`);
+        }
+        // A fractional share from a split bill can only be refunded whole
+        const isWholeShare = Math.abs(quantity - remaining[lineIndex]) < 0.0001;
+        if (!Number.isFinite(quantity) || quantity <= 0 || (!Number.isInteger(quantity) && !isWholeShare)) {
+            throw httpError(400, `Cantidad inválida para ${order.items[lineIndex].name}`);
+        }
+        requestedByLine.set(lineIndex, (requestedByLine.get(lineIndex) || 0) + quantity);
+    });
+
+    requestedByLine.forEach((quantity, lineIndex) => {
+        if (quantity > remaining[lineIndex]) {
+            throw httpError(400, `Solo quedan ${remaining[lineIndex]} de ${order.items[lineIndex].name} por reembolsar`);
+        }
+    });
+
+    const subtotal = Number(order.subtotal) || 0;
+    const discountRatio = subtotal > 0 ? (Number(order.discount) || 0) / subtotal : 0;
+
+    const items = [...requestedByLine.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([lineIndex, quantity]) => {
+            const item = order.items[lineIndex];
+            const price = Number(item.price) || 0;
+            // Split-bill lines carry their exact share of the line's money
+            const gross = item.amount !== undefined && item.amount !== null
+                ? Number(item.amount) * (quantity / Number(item.quantity))
+                : price * quantity;
+            return {
+                lineIndex,
+                id: item.id,
+                name: item.name,
+                category: item.category,
+                quantity,
+                price,
+                cost: Number(item.cost) || 0,
+                amount: roundMoney(gross * (1 - discountRatio)),
+            };
+        });
+
+    const closesOrder = remaining.every((quantity, index) => quantity === (requestedByLine.get(index) || 0));
+    const alreadyRefunded = previousRefunds.reduce((sum, refund) => sum + Number(refund.amount), 0);
+    const amount = closesOrder
+        ? roundMoney(Number(order.total) - alreadyRefunded)
+        : roundMoney(items.reduce((sum, line) => sum + line.amount, 0));
+
+    // The order's lines as far as they come back, with the units they took,
+    // so whatever the sale moved (stock here, anything else in the router)
+    // is moved back from the same lines
+    const returned = items.map(line => {
+        const item = order.items[line.lineIndex];
+        return { ...item, quantity: line.quantity, stockQuantity: restockUnits(item, line.quantity) };
+    });
+
+    return {
+        type: closesOrder && previousRefunds.length === 0 ? 'full' : 'partial',
+        items,
+        amount,
+        returned,
+        // Service lines (coworking time, etc.) have no stock to return; combos
+        // return their components
+        restock: returned
+            .filter(item => !isServiceItem(item.id))
+            .flatMap(item => stockMovesFor(item, item.stockQuantity))
+            .filter(move => move.quantity > 0),
+        orderStatus: closesOrder ? 'refunded' : 'partially_refunded',
+    };
+}
+
+export default {
+    refundedQuantities,
+    buildRefund
+};
@@ -0,0 +1,143 @@
+/**
+ * Order Split Service - separate checks for POST /api/orders/split
+ *
+ * A table's cart is priced once against the catalog and then divided among N
+ * payers. Each cart line is assigned to one or more payers, whole or in
+ * fractions (a shared pizza split three ways). Every payer becomes a child
+ * order with its own payment, tip and customer discount; the children share a
+ * parentOrderId so HistoryScreen can roll them up into one ticket.
+ *
+ * Fractions keep the money exact and the stock whole: the last share of a
+ * line absorbs the rounding cent, and each line's units are handed out to the
+ * payers with the largest shares (`stockQuantity`), so stock moves by whole
+ * units and the children always add up to the original cart.
+ *
+ * Usage in API routes:
+ *   import { splitOrder, priceSplitChild } from '../src/services/orderSplit.js';
+ *   const children = splitOrder({ items: priced.items, payerCount, assignments });
+ */
+
+import { roundMoney } from './orderPricing.js';
+import { httpError } from './httpError.js';
+
+// Shares of a line may be sent as 0.3333; they must add up within this margin.
+const QUANTITY_TOLERANCE = 0.001;
+
+/** Hands out `units` whole units in proportion to `shares` (largest remainder). */
+function wholeUnits(shares, units) {
+    const floors = shares.map(share => Math.floor(share + QUANTITY_TOLERANCE));
+    let left = units - floors.reduce((sum, value) => sum + value, 0);
+    const byRemainder = shares
+        .map((share, index) => ({ index, remainder: share - floors[index] }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+    for (const { index } of byRemainder) {
+        if (left <= 0) break;
+        floors[index] += 1;
+        left -= 1;
+    }
+    return floors;
+}
+
+/**
+ * Divides priced cart lines among payers.
+ * @param {object} params
+ * @param {Array} params.items - Lines already priced by priceOrder()
+ * @param {number} params.payerCount - Number of separate checks (2 or more)
+ * @param {Array} params.assignments - [{ lineIndex, payer, quantity }]; payer is 0-based
+ * @returns {Array<{items: Array, subtotal: number}>} One entry per payer
+ */
+export function splitOrder({ items, payerCount, assignments }) {
+    if (!Number.isInteger(payerCount) || payerCount < 2) {
+        throw httpError(400, 'Una cuenta dividida necesita al menos dos pagadores');
+    }
+    if (!Array.isArray(assignments) || assignments.length === 0) {
+        throw httpError(400, 'Asigna los productos a cada pagador');
+    }
+
+    // shares[lineIndex][payer] = quantity
+    const shares = items.map(() => new Array(payerCount).fill(0));
+    assignments.forEach(assignment => {
+        const lineIndex = Number(assignment.lineIndex);
+        const payer = Number(assignment.payer);
+        const quantity = Number(assignment.quantity);
+        if (!Number.isInteger(lineIndex) || !items[lineIndex]) {
+            throw httpError(400, `Línea de orden inválida: ${assignment.lineIndex}`);
+        }
+        if (!Number.isInteger(payer) || payer < 0 || payer >= payerCount) {
+            throw httpError(400, `Pagador inválido: ${assignment.payer}`);
+        }
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            throw httpError(400, `Cantidad inválida para ${items[lineIndex].name}`);
+        }
+        shares[lineIndex][payer] += quantity;
+    });
+
+    const children = Array.from({ length: payerCount }, () => ({ items: [], subtotal: 0 }));
+
+    items.forEach((item, lineIndex) => {
+        const lineShares = shares[lineIndex];
+        const assigned = lineShares.reduce((sum, quantity) => sum + quantity, 0);
+        if (Math.abs(assigned - item.quantity) > QUANTITY_TOLERANCE) {
+            throw httpError(400, `${item.name}: se asignaron ${roundMoney(assigned)} de ${item.quantity}`);
+        }
+
+        const payers = lineShares
+            .map((quantity, payer) => ({ payer, quantity }))
+            .filter(share => share.quantity > 0);
+        const lineAmount = roundMoney(item.price * item.quantity);
+        const units = wholeUnits(payers.map(share => share.quantity), item.quantity);
+
+        // Exact remainder on the last share so the fractions add back up to the line
+        const quantities = payers.map(share => Math.round(share.quantity * 10000) / 10000);
+        quantities[quantities.length - 1] = Math.round(
+            (item.quantity - quantities.slice(0, -1).reduce((sum, quantity) => sum + quantity, 0)) * 10000
+        ) / 10000;
+
+        let allocated = 0;
+        payers.forEach((share, index) => {
+            const isLast = index === payers.length - 1;
+            const amount = isLast
+                ? roundMoney(lineAmount - allocated)
+                : roundMoney(lineAmount * (share.quantity / item.quantity));
+            allocated = roundMoney(allocated + amount);
+
+            children[share.payer].items.push({
+                ...item,
+                quantity: quantities[index],
+                stockQuantity: units[index],
+                amount,
+                splitLineIndex: lineIndex,
+            });
+        });
+    });
+
+    children.forEach((child, payer) => {
+        if (child.items.length === 0) {
+            throw httpError(400, `El pagador ${payer + 1} no tiene productos asignados`);
+        }
+        child.subtotal = roundMoney(child.items.reduce((sum, item) => sum + item.amount, 0));
+    });
+
+    return children;
+}
+
+/** Totals of one child check: its own customer discount and tip. */
+export function priceSplitChild({ subtotal, discountPercentage = 0, tip = 0 }) {
+    const tipAmount = Number(tip || 0);
+    if (!Number.isFinite(tipAmount) || tipAmount < 0) {
+        throw httpError(400, 'Propina inválida');
+    }
+    const percentage = Math.min(Math.max(Number(discountPercentage) || 0, 0), 100);
+    const discount = roundMoney(subtotal * (percentage / 100));
+    return {
+        subtotal,
+        discount,
+        tip: roundMoney(tipAmount),
+        total: roundMoney(subtotal - discount + tipAmount),
+    };
+}
+
+export default {
+    splitOrder,
+    priceSplitChild
+};
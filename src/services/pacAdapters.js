@@ -0,0 +1,92 @@
+/**
+ * PAC Adapters - who stamps (timbra) our signed CFDIs
+ *
+ * A PAC (Proveedor Autorizado de Certificación) validates a signed CFDI,
+ * adds SAT's TimbreFiscalDigital and gives it its folio fiscal (UUID). Every
+ * PAC has its own API, so each one is an adapter with the same interface:
+ *
+ *   { name, async stamp(signedXml, cfdi) -> { uuid, stampedAt, satSeal,
+ *     satCertificateNumber, providerRfc, xml } }
+ *
+ * failing with an error carrying .status (502 when the PAC can't be reached
+ * or rejects the document, with its message). The adapter is picked once at
+ * startup from PAC_PROVIDER; register a real PAC in ADAPTERS below.
+ *
+ * 'stub' stamps locally with a random UUID and a fake SAT seal: the whole
+ * flow works end to end, but its invoices are NOT valid before SAT, so it is
+ * only used when PAC_PROVIDER=stub says so. Without PAC_PROVIDER nothing is
+ * stamped: every stamp fails with 503 and self-invoice requests wait in the
+ * admin queue (`unavailable` says why).
+ *
+ * Usage in server.js:
+ *   import { createPacAdapter } from './src/services/pacAdapters.js';
+ *   const pac = createPacAdapter();   // PAC_PROVIDER; none configured by default
+ */
+
+import crypto from 'crypto';
+import { httpError } from './httpError.js';
+
+const TFD_NAMESPACE = 'http://www.sat.gob.mx/TimbreFiscalDigital';
+const TFD_SCHEMA = 'http://www.sat.gob.mx/sitio_internet/cfd/TimbreFiscalDigital/TimbreFiscalDigitalv11.xsd';
+
+/** Puts the timbre in a Complemento at the end of the Comprobante. */
+export function appendTimbre(signedXml, stamp, cfdiSeal) {
+    const timbre = `<tfd:TimbreFiscalDigital xmlns:tfd="${TFD_NAMESPACE}" xsi:schemaLocation="${TFD_NAMESPACE} ${TFD_SCHEMA}"`
+        + ` Version="1.1" UUID="${stamp.uuid}" FechaTimbrado="${stamp.stampedAt}" RfcProvCertif="${stamp.providerRfc}"`
+        + ` SelloCFD="${cfdiSeal}" NoCertificadoSAT="${stamp.satCertificateNumber}" SelloSAT="${stamp.satSeal}"/>`;
+    return signedXml.replace(/<\/cfdi:Comprobante>$/, `<cfdi:Complemento>${timbre}</cfdi:Complemento></cfdi:Comprobante>`);
+}
+
+function createStubAdapter() {
+    return {
+        name: 'stub',
+        async stamp(signedXml, cfdi) {
+            const stamp = {
+                uuid: crypto.randomUUID().toUpperCase(),
+                // Same local-time format as the CFDI's Fecha
+                stampedAt: cfdi.date,
+                providerRfc: 'AAA010101AAA',
+                satCertificateNumber: '00000000000000000000',
+            };
+            const cadena = `||1.1|${stamp.uuid}|${stamp.stampedAt}|${stamp.providerRfc}|${cfdi.seal}|${stamp.satCertificateNumber}||`;
+            stamp.satSeal = crypto.createHash('sha256').update(cadena).digest('base64');
+            return { ...stamp, xml: appendTimbre(signedXml, stamp, cfdi.seal) };
+        },
+    };
+}
+
+const NOT_CONFIGURED = 'No hay un PAC configurado para timbrar';
+
+function createUnconfiguredAdapter() {
+    return {
+        name: null,
+        unavailable: NOT_CONFIGURED,
+        async stamp() {
+            throw httpError(503, NOT_CONFIGURED);
+        },
+    };
+}
+
+const ADAPTERS = {
+    stub: createStubAdapter,
+};
+
+export function createPacAdapter(name = process.env.PAC_PROVIDER, options = {}) {
+    if (!name) {
+        console.warn('⚠️ PAC_PROVIDER is not set: invoices can\'t be stamped');
+        return createUnconfiguredAdapter();
+    }
+    const create = ADAPTERS[name];
+    if (!create) {
+        throw new Error(`Unknown PAC_PROVIDER "${name}" (available: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    if (name === 'stub') {
+        console.warn('⚠️ Invoices are stamped by the local PAC stub: they are NOT valid before SAT');
+    }
+    return create(options);
+}
+
+export default {
+    createPacAdapter,
+    appendTimbre
+};
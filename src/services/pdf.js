@@ -0,0 +1,37 @@
+/**
+ * PDF Service - HTML pages printed to PDF by headless Chrome (puppeteer)
+ *
+ * Shared by receipts (a strip of thermal paper) and invoices (a letter page).
+ * puppeteer is loaded on first use so the server doesn't pay for it at startup.
+ *
+ * Usage in services:
+ *   import { htmlToPdf } from './pdf.js';
+ *   const pdf = await htmlToPdf(html, { format: 'Letter' });
+ *   const strip = await htmlToPdf(html, { width: '80mm', fitHeight: true });
+ */
+
+/**
+ * @param {string} html - A complete, self-contained page
+ * @param {object} options - puppeteer page.pdf() options; `fitHeight` makes
+ *   the page exactly as tall as the content (receipts)
+ * @returns {Promise<Buffer>}
+ */
+export async function htmlToPdf(html, { fitHeight = false, ...pdfOptions } = {}) {
+    const { default: puppeteer } = await import('puppeteer');
+    const browser = await puppeteer.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    try {
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'load' });
+        if (fitHeight) {
+            const height = await page.evaluate(() => document.body.scrollHeight);
+            pdfOptions.height = `${height + 8}px`;
+        }
+        return Buffer.from(await page.pdf({ printBackground: true, ...pdfOptions }));
+    } finally {
+        await browser.close();
+    }
+}
+
+export default {
+    htmlToPdf
+};
@@ -0,0 +1,143 @@
+/**
+ * Product Bundles Service - combos sold at one price (coffee + pastry deal)
+ *
+ * A bundle is a regular product whose `bundleItems` lists the products it is
+ * made of: [{ productId, quantity }]. It is sold like any other line, but:
+ *   - it has no stock of its own: a sale moves each component's stock, and the
+ *     bundle's available stock is whatever its components allow;
+ *   - its revenue and cost belong to the components. When an order is priced,
+ *     each bundle line gets `components` with the share of the bundle price
+ *     each component earned (in proportion to its list price) and its cost,
+ *     so product-level reports still add up per product.
+ * Bundles can't contain other bundles.
+ *
+ * Usage in API routes:
+ *   import { normalizeBundleItems, allocateBundle, stockMovesFor } from '../src/services/productBundles.js';
+ *   const bundleItems = normalizeBundleItems(req.body.bundleItems, { products, productId }); // 400 on bad input
+ *   const components = allocateBundle(product, productsById, price);                         // on order lines
+ *   const moves = stockMovesFor(item, item.quantity);                                         // [{ id, quantity }]
+ */
+
+import { httpError } from './httpError.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export function isBundle(product) {
+    return Array.isArray(product?.bundleItems) && product.bundleItems.length > 0;
+}
+
+/**
+ * Validates the component list sent with a product.
+ * @param {Array|undefined|null} bundleItems
+ * @param {object} context
+ * @param {Array} context.products - Current catalog
+ * @param {string} [context.productId] - The product being saved (can't contain itself)
+ * @returns {Array<{productId: string, quantity: number}>} [] for a regular product
+ */
+export function normalizeBundleItems(bundleItems, { products, productId }) {
+    if (bundleItems === undefined || bundleItems === null) return [];
+    if (!Array.isArray(bundleItems)) {
+        throw httpError(400, 'Los componentes del combo deben ser una lista');
+    }
+
+    const productsById = new Map(products.map(p => [String(p.id), p]));
+    const quantities = new Map();
+    bundleItems.forEach(component => {
+        const id = String(component?.productId || '');
+        const quantity = Number(component?.quantity || 1);
+        const product = productsById.get(id);
+        if (!product) {
+            throw httpError(400, `Producto no encontrado en el combo: ${id}`);
+        }
+        if (id === String(productId)) {
+            throw httpError(400, 'Un combo no puede incluirse a sí mismo');
+        }
+        if (isBundle(product)) {
+            throw httpError(400, `${product.name} ya es un combo; agrega sus productos directamente`);
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw httpError(400, `Cantidad inválida para ${product.name} en el combo`);
+        }
+        // The same product listed twice is one component with both quantities
+        quantities.set(id, (quantities.get(id) || 0) + quantity);
+    });
+
+    return [...quantities.entries()].map(([id, quantity]) => ({ productId: id, quantity }));
+}
+
+/**
+ * Splits one unit of a bundle into its components.
+ * @param {object} bundle - Catalog product with bundleItems
+ * @param {Map} productsById - Catalog by id
+ * @param {number} unitPrice - What one bundle sells for (after modifiers)
+ * @returns {Array<{id, name, category, quantity, revenue, cost}>} Per bundle unit:
+ *   quantity of the component, the part of unitPrice it earned, and its cost
+ */
+export function allocateBundle(bundle, productsById, unitPrice) {
+    const components = bundle.bundleItems.map(({ productId, quantity }) => {
+        const product = productsById.get(String(productId));
+        if (!product) {
+            throw httpError(400, `${bundle.name}: un producto del combo ya no existe (${productId})`);
+        }
+        return { product, quantity };
+    });
+
+    const listTotal = components.reduce((sum, { product, quantity }) => sum + product.price * quantity, 0);
+    let allocated = 0;
+    return components.map(({ product, quantity }, index) => {
+        const isLast = index === components.length - 1;
+        // By list price; evenly by units if every component is free. The last
+        // component absorbs the rounding cent so the parts add up to the price.
+        const weight = listTotal > 0
+            ? (product.price * quantity) / listTotal
+            : quantity / components.reduce((sum, c) => sum + c.quantity, 0);
+        const revenue = isLast ? roundMoney(unitPrice - allocated) : roundMoney(unitPrice * weight);
+        allocated = roundMoney(allocated + revenue);
+        return {
+            id: String(product.id),
+            name: product.name,
+            category: product.category,
+            quantity,
+            revenue,
+            cost: roundMoney(product.cost * quantity),
+        };
+    });
+}
+
+/**
+ * Stock a line moves: its own product, or each component of a bundle.
+ * @param {object} item - Order line (bundle lines carry `components`)
+ * @param {number} units - Whole units of the line being sold or returned
+ * @returns {Array<{id: string, quantity: number}>}
+ */
+export function stockMovesFor(item, units) {
+    if (Array.isArray(item.components) && item.components.length > 0) {
+        return item.components.map(component => ({ id: component.id, quantity: component.quantity * units }));
+    }
+    return [{ id: item.id, quantity: units }];
+}
+
+/**
+ * The catalog with each bundle's stock set to how many the components allow
+ * (a bundle row's own stock column is never moved).
+ */
+export function withBundleStock(products) {
+    if (!products.some(isBundle)) return products;
+    const productsById = new Map(products.map(p => [String(p.id), p]));
+    return products.map(product => {
+        if (!isBundle(product)) return product;
+        const stock = Math.min(...product.bundleItems.map(({ productId, quantity }) => {
+            const component = productsById.get(String(productId));
+            return component ? Math.floor(component.stock / quantity) : 0;
+        }));
+        return { ...product, stock: Math.max(stock, 0) };
+    });
+}
+
+export default {
+    isBundle,
+    normalizeBundleItems,
+    allocateBundle,
+    stockMovesFor,
+    withBundleStock
+};
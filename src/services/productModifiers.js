@@ -0,0 +1,130 @@
+/**
+ * Product Modifiers Service - option groups on products (size, milk, extra shot)
+ *
+ * A product can carry modifier groups, each a list of options with a price
+ * delta and a cost delta:
+ *   [{ id, name, required, multiple, options: [{ id, name, priceDelta, costDelta, recipe? }] }]
+ * `required` means at least one option must be chosen; `multiple` allows more
+ * than one (extra shots, toppings). A cart line lists what was chosen as
+ * `modifiers: [{ groupId, optionId }]`.
+ *
+ * The products router checks groups when a product is saved, and the pricing
+ * service resolves each line's choices against the catalog, so the deltas
+ * recorded on an order are always the catalog's and the line cost includes
+ * the options' cost (an oat-milk latte costs more to make than a plain one).
+ *
+ * Usage in API routes:
+ *   import { normalizeModifierGroups, resolveModifiers } from '../src/services/productModifiers.js';
+ *   const modifierGroups = normalizeModifierGroups(req.body.modifierGroups); // 400 on bad input
+ *   const modifiers = resolveModifiers(product, item.modifiers);              // 400 on bad choice
+ */
+
+import { httpError } from './httpError.js';
+
+function newId(prefix, index) {
+    return `${prefix}-${Date.now().toString(36)}-${index}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Validates and cleans the modifier groups sent with a product. Groups and
+ * options without an id get one, so choices stay addressable after renames.
+ * @param {Array|undefined|null} groups
+ * @returns {Array} Normalized groups ([] when none)
+ */
+export function normalizeModifierGroups(groups) {
+    if (groups === undefined || groups === null) return [];
+    if (!Array.isArray(groups)) {
+        throw httpError(400, 'Los modificadores deben ser una lista de grupos');
+    }
+
+    return groups.map((group, groupIndex) => {
+        const name = String(group?.name || '').trim();
+        if (!name) {
+            throw httpError(400, `El grupo de modificadores ${groupIndex + 1} necesita un nombre`);
+        }
+        if (!Array.isArray(group.options) || group.options.length === 0) {
+            throw httpError(400, `${name}: agrega al menos una opción`);
+        }
+
+        const options = group.options.map((option, optionIndex) => {
+            const optionName = String(option?.name || '').trim();
+            const priceDelta = Number(option?.priceDelta || 0);
+            const costDelta = Number(option?.costDelta || 0);
+            if (!optionName) {
+                throw httpError(400, `${name}: la opción ${optionIndex + 1} necesita un nombre`);
+            }
+            if (!Number.isFinite(priceDelta) || !Number.isFinite(costDelta)) {
+                throw httpError(400, `${name}: precio o costo inválido en ${optionName}`);
+            }
+            return {
+                id: String(option.id || newId('opt', optionIndex)),
+                name: optionName,
+                priceDelta: Math.round(priceDelta * 100) / 100,
+                costDelta: Math.round(costDelta * 100) / 100,
+                // Checked against the ingredients by the products router (see recipes.js)
+                ...(Array.isArray(option.recipe) && option.recipe.length > 0 ? { recipe: option.recipe } : {}),
+            };
+        });
+
+        return {
+            id: String(group.id || newId('grp', groupIndex)),
+            name,
+            required: Boolean(group.required),
+            multiple: Boolean(group.multiple),
+            options,
+        };
+    });
+}
+
+/**
+ * Resolves a cart line's chosen options against the product's groups.
+ * @param {object} product - Catalog product (with modifierGroups)
+ * @param {Array} [requested] - [{ groupId, optionId }] as sent by the client
+ * @returns {Array<{groupId, group, optionId, name, priceDelta, costDelta}>} In group order
+ */
+export function resolveModifiers(product, requested = []) {
+    const groups = product.modifierGroups || [];
+    const choices = Array.isArray(requested) ? requested : [];
+
+    const chosenByGroup = new Map(groups.map(group => [group.id, []]));
+    choices.forEach(choice => {
+        const group = groups.find(g => g.id === String(choice.groupId));
+        const option = group?.options.find(o => o.id === String(choice.optionId));
+        if (!group || !option) {
+            throw httpError(400, `Opción no válida para ${product.name}: ${choice.name || choice.optionId}`);
+        }
+        const chosen = chosenByGroup.get(group.id);
+        if (!chosen.some(o => o.id === option.id)) chosen.push(option);
+    });
+
+    return groups.flatMap(group => {
+        const chosen = chosenByGroup.get(group.id);
+        if (group.required && chosen.length === 0) {
+            throw httpError(400, `${product.name}: elige ${group.name}`);
+        }
+        if (!group.multiple && chosen.length > 1) {
+            throw httpError(400, `${product.name}: solo se permite una opción de ${group.name}`);
+        }
+        return group.options
+            .filter(option => chosen.includes(option))
+            .map(option => ({
+                groupId: group.id,
+                group: group.name,
+                optionId: option.id,
+                name: option.name,
+                priceDelta: option.priceDelta,
+                costDelta: option.costDelta,
+            }));
+    });
+}
+
+/** Identifies a combination of choices, so the same product with different options stays on separate lines. */
+export function modifiersKey(modifiers = []) {
+    return modifiers.map(modifier => modifier.optionId).sort().join('+');
+}
+
+export default {
+    normalizeModifierGroups,
+    resolveModifiers,
+    modifiersKey
+};
@@ -0,0 +1,269 @@
+/**
+ * Promotions Service - automatic deals and coupon codes for POST /api/orders
+ *
+ * Four kinds of promotion, all limited to some products (`productIds`), a
+ * category, or the whole menu, and optionally to days/hours of the week:
+ *   - happy_hour:       a fixed unit price or a percentage off inside a time window
+ *   - buy_x_get_y:      for every X units bought, the next Y (the cheapest) are free (2x1 = 1 + 1)
+ *   - category_percent: percentage off a category
+ *   - coupon:           percentage or amount off when the cashier enters its
+ *                       code, with an optional usage limit and expiry
+ *
+ * Automatic promotions don't stack: each line gets at most one, applied in
+ * the order above. A coupon applies on top, to what is left of its lines.
+ * The customer's own discountPercentage comes after all of them (see
+ * orderPricing.js). Schedules are read on the business clock
+ * (BUSINESS_TIMEZONE, Mexico City by default), not the server's.
+ *
+ * utils/promotions.ts runs the same evaluation in the browser so the cart
+ * shows the discount before checkout; the server's result is the one stored.
+ *
+ * Usage in API routes:
+ *   import { normalizePromotion, evaluatePromotions } from '../src/services/promotions.js';
+ *   const promotion = normalizePromotion(req.body);                        // 400 on bad input
+ *   const { applied, discount } = evaluatePromotions({ items, promotions, couponCode });
+ */
+
+import { httpError } from './httpError.js';
+
+export const PROMOTION_TYPES = ['happy_hour', 'buy_x_get_y', 'category_percent', 'coupon'];
+
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'America/Mexico_City';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+function assertPercent(value, name) {
+    if (value === null || !Number.isFinite(value) || value <= 0 || value > 100) {
+        throw httpError(400, `${name}: el porcentaje debe estar entre 0 y 100`);
+    }
+}
+
+function assertCount(value, label) {
+    if (!Number.isInteger(value) || value < 1) {
+        throw httpError(400, `${label} debe ser un número entero mayor a 0`);
+    }
+}
+
+function optionalDate(value, label) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw httpError(400, `${label} inválida`);
+    return date.toISOString();
+}
+
+/**
+ * Validates a promotion as sent by the promotions screen.
+ * @param {object} input
+ * @returns {object} Normalized promotion (without id/uses, which the repository owns)
+ */
+export function normalizePromotion(input = {}) {
+    const name = String(input.name || '').trim();
+    if (!name) throw httpError(400, 'La promoción necesita un nombre');
+    if (!PROMOTION_TYPES.includes(input.type)) {
+        throw httpError(400, `Tipo de promoción inválido: ${input.type}`);
+    }
+
+    const promotion = {
+        name,
+        type: input.type,
+        active: input.active === undefined ? true : Boolean(input.active),
+        productIds: Array.isArray(input.productIds) ? input.productIds.map(String) : [],
+        category: input.category ? String(input.category) : null,
+        percentOff: optionalNumber(input.percentOff),
+        price: optionalNumber(input.price),
+        amountOff: optionalNumber(input.amountOff),
+        buyQuantity: optionalNumber(input.buyQuantity),
+        getQuantity: optionalNumber(input.getQuantity),
+        code: input.code ? String(input.code).trim().toUpperCase() : null,
+        maxUses: optionalNumber(input.maxUses),
+        days: Array.isArray(input.days) ? [...new Set(input.days.map(Number))].sort() : [],
+        startTime: input.startTime || null,
+        endTime: input.endTime || null,
+        startsAt: optionalDate(input.startsAt, 'Fecha de inicio'),
+        expiresAt: optionalDate(input.expiresAt, 'Fecha de expiración'),
+    };
+
+    if (promotion.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw httpError(400, 'Días inválidos (0 = domingo ... 6 = sábado)');
+    }
+    if (Boolean(promotion.startTime) !== Boolean(promotion.endTime)) {
+        throw httpError(400, 'Indica la hora de inicio y la de fin');
+    }
+    if (promotion.startTime && (!TIME_PATTERN.test(promotion.startTime) || !TIME_PATTERN.test(promotion.endTime))) {
+        throw httpError(400, 'Horario inválido (usa HH:MM)');
+    }
+
+    switch (promotion.type) {
+        case 'happy_hour':
+            if (!promotion.startTime) throw httpError(400, `${name}: la hora feliz necesita un horario`);
+            if (promotion.price !== null) {
+                if (!Number.isFinite(promotion.price) || promotion.price < 0) throw httpError(400, `${name}: precio inválido`);
+                promotion.percentOff = null;
+            } else {
+                assertPercent(promotion.percentOff, name);
+            }
+            break;
+        case 'buy_x_get_y':
+            assertCount(promotion.buyQuantity, 'La cantidad a comprar');
+            assertCount(promotion.getQuantity, 'La cantidad de regalo');
+            break;
+        case 'category_percent':
+            if (!promotion.category) throw httpError(400, `${name}: elige una categoría`);
+            assertPercent(promotion.percentOff, name);
+            break;
+        case 'coupon':
+            if (!promotion.code || !CODE_PATTERN.test(promotion.code)) {
+                throw httpError(400, 'El código del cupón debe tener de 3 a 30 letras, números, - o _');
+            }
+            if (promotion.percentOff !== null) {
+                assertPercent(promotion.percentOff, name);
+                promotion.amountOff = null;
+            } else if (promotion.amountOff === null || !Number.isFinite(promotion.amountOff) || promotion.amountOff <= 0) {
+                throw httpError(400, `${name}: indica un porcentaje o un monto de descuento`);
+            }
+            if (promotion.maxUses !== null) assertCount(promotion.maxUses, 'El límite de usos');
+            break;
+    }
+
+    // Only coupons have a code and a usage limit
+    if (promotion.type !== 'coupon') {
+        promotion.code = null;
+        promotion.maxUses = null;
+    }
+    return promotion;
+}
+
+/** Day of the week (0 = Sunday) and minutes since midnight on the business clock. */
+function businessClock(now, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(now);
+    const part = (type) => parts.find(p => p.type === type).value;
+    return { day: WEEKDAYS.indexOf(part('weekday')), minutes: Number(part('hour')) * 60 + Number(part('minute')) };
+}
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+/** Whether the promotion's dates and weekly schedule include `now`. */
+export function isLive(promotion, now = new Date(), timeZone = BUSINESS_TIMEZONE) {
+    if (!promotion.active) return false;
+    if (promotion.startsAt && new Date(promotion.startsAt) > now) return false;
+    if (promotion.expiresAt && new Date(promotion.expiresAt) <= now) return false;
+
+    const { day, minutes } = businessClock(now, timeZone);
+    if (promotion.days.length > 0 && !promotion.days.includes(day)) return false;
+    if (promotion.startTime && promotion.endTime) {
+        const start = toMinutes(promotion.startTime);
+        const end = toMinutes(promotion.endTime);
+        // A window like 22:00-02:00 runs past midnight
+        const inWindow = start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+        if (!inWindow) return false;
+    }
+    return true;
+}
+
+function appliesTo(promotion, item) {
+    if (item.complimentary || !(item.price > 0)) return false;
+    if (promotion.productIds.length > 0) return promotion.productIds.includes(String(item.id));
+    if (promotion.category) return item.category === promotion.category;
+    return true;
+}
+
+/** Discount per line index for one automatic promotion. */
+function lineDiscounts(promotion, lines) {
+    const discounts = new Map();
+    if (promotion.type === 'buy_x_get_y') {
+        // Every unit, most expensive first; in each group of X + Y the last Y go free
+        const units = lines
+            .flatMap(line => Array.from({ length: line.item.quantity }, () => ({ index: line.index, price: line.item.price })))
+            .sort((a, b) => b.price - a.price || a.index - b.index);
+        const groupSize = promotion.buyQuantity + promotion.getQuantity;
+        for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+            units.slice(start + promotion.buyQuantity, start + groupSize).forEach(unit => {
+                discounts.set(unit.index, (discounts.get(unit.index) || 0) + unit.price);
+            });
+        }
+        return discounts;
+    }
+
+    lines.forEach(({ index, item }) => {
+        const unitDiscount = promotion.type === 'happy_hour' && promotion.price !== null
+            ? Math.max(item.price - promotion.price, 0)
+            : item.price * (promotion.percentOff / 100);
+        discounts.set(index, unitDiscount * item.quantity);
+    });
+    return discounts;
+}
+
+/** The coupon matching `code`, or a 400/409 explaining why it can't be used. */
+function findCoupon(promotions, code, now, timeZone) {
+    const normalized = String(code).trim().toUpperCase();
+    const coupon = promotions.find(p => p.type === 'coupon' && p.code === normalized);
+    if (!coupon || !coupon.active) throw httpError(400, `Cupón no válido: ${normalized}`);
+    if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) throw httpError(400, `El cupón ${normalized} expiró`);
+    if (coupon.maxUses !== null && coupon.uses >= coupon.maxUses) {
+        throw httpError(409, `El cupón ${normalized} ya se usó el máximo de veces`);
+    }
+    if (!isLive(coupon, now, timeZone)) throw httpError(400, `El cupón ${normalized} no es válido en este horario`);
+    return coupon;
+}
+
+/**
+ * Applies the live promotions (and the coupon, if a code was entered) to a
+ * priced cart.
+ * @param {object} params
+ * @param {Array} params.items - Priced product lines ({ id, category, price, quantity, complimentary }); no service lines
+ * @param {Array} params.promotions - All promotions (inactive/out-of-schedule ones are skipped)
+ * @param {string} [params.couponCode]
+ * @param {Date} [params.now]
+ * @returns {{applied: Array<{promotionId, name, type, code?, amount}>, discount: number}}
+ */
+export function evaluatePromotions({ items, promotions = [], couponCode, now = new Date(), timeZone = BUSINESS_TIMEZONE }) {
+    const lines = items.map((item, index) => ({ index, item, remaining: item.price * item.quantity, promoted: false }));
+    const applied = [];
+
+    const automatic = promotions
+        .filter(promotion => promotion.type !== 'coupon' && isLive(promotion, now, timeZone))
+        .sort((a, b) => PROMOTION_TYPES.indexOf(a.type) - PROMOTION_TYPES.indexOf(b.type) || String(a.id).localeCompare(String(b.id)));
+
+    automatic.forEach(promotion => {
+        const eligible = lines.filter(line => !line.promoted && appliesTo(promotion, line.item));
+        const discounts = lineDiscounts(promotion, eligible);
+        let amount = 0;
+        discounts.forEach((lineDiscount, index) => {
+            const line = lines[index];
+            const capped = roundMoney(Math.min(lineDiscount, line.remaining));
+            if (capped <= 0) return;
+            line.remaining = roundMoney(line.remaining - capped);
+            line.promoted = true;
+            amount += capped;
+        });
+        if (amount > 0) {
+            applied.push({ promotionId: promotion.id, name: promotion.name, type: promotion.type, amount: roundMoney(amount) });
+        }
+    });
+
+    if (couponCode) {
+        const coupon = findCoupon(promotions, couponCode, now, timeZone);
+        const base = lines
+            .filter(line => appliesTo(coupon, line.item))
+            .reduce((sum, line) => sum + line.remaining, 0);
+        const amount = roundMoney(coupon.percentOff !== null ? base * (coupon.percentOff / 100) : Math.min(coupon.amountOff, base));
+        if (amount <= 0) throw httpError(400, `El cupón ${coupon.code} no aplica a estos productos`);
+        applied.push({ promotionId: coupon.id, name: coupon.name, type: coupon.type, code: coupon.code, amount });
+    }
+
+    return { applied, discount: roundMoney(applied.reduce((sum, promotion) => sum + promotion.amount, 0)) };
+}
+
+export default {
+    PROMOTION_TYPES,
+    normalizePromotion,
+    isLive,
+    evaluatePromotions
+};
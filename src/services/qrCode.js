@@ -0,0 +1,326 @@
+/**
+ * QR Code Service - QR codes as SVG, with no image library
+ *
+ * Encodes short text (a folio, a self-invoicing link) as a QR code per
+ * ISO/IEC 18004: byte mode, error correction level M, versions 1-10 (up to
+ * 213 bytes, plenty for a URL with a folio). The mask is chosen by the
+ * standard's penalty rules, so phones read it from a screen as easily as
+ * from paper.
+ *
+ * Usage in API routes:
+ *   import { qrSvg } from '../src/services/qrCode.js';
+ *   res.type('image/svg+xml').send(qrSvg(`${selfInvoiceUrl}?folio=${order.id}`)); // 400 when too long
+ */
+
+import { httpError } from './httpError.js';
+
+// Level M, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = ECC_CODEWORDS_PER_BLOCK.length - 1;
+// Format bits identifying level M
+const ECC_FORMAT_BITS = 0;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Data modules left once the function patterns are drawn
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+const dataCodewords = (version) =>
+    Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ECC_BLOCKS[version];
+
+function alignmentPositions(version) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = version * 4 + 10; positions.length < numAlign; pos -= step) positions.splice(1, 0, pos);
+    return positions;
+}
+
+// --- Reed-Solomon over GF(2^8) with the QR polynomial 0x11D ---
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree - 1).fill(0);
+    result.push(1);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/** Error correction codewords for one block (exported for the tests). */
+export function reedSolomonRemainder(data, degree) {
+    const divisor = reedSolomonDivisor(degree);
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+}
+
+// --- Encoding ---
+
+function encodeData(bytes) {
+    const version = Array.from({ length: MAX_VERSION }, (_, i) => i + 1).find(v =>
+        4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= dataCodewords(v) * 8
+    );
+    if (!version) throw httpError(400, `Texto demasiado largo para el código QR (${bytes.length} bytes)`);
+
+    const bits = [];
+    const append = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+    append(0b0100, 4); // byte mode
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = dataCodewords(version) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    return { version, codewords };
+}
+
+// Splits into blocks, adds each block's error correction and interleaves
+function addEccAndInterleave(version, data) {
+    const numBlocks = NUM_ECC_BLOCKS[version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = reedSolomonRemainder(block, eccLength);
+        if (i < numShortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding short blocks got
+            if (i !== shortBlockLength - eccLength || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// --- Drawing ---
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+];
+
+function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => { modules[y][x] = dark; isFunction[y][x] = true; };
+
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    const finder = (cx, cy) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    };
+    finder(3, 3);
+    finder(size - 4, 3);
+    finder(3, size - 4);
+
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((px, i) => positions.forEach((py, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) set(px + dx, py + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }));
+
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = version << 12 | rem;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, getBit(bits, i));
+            set(b, a, getBit(bits, i));
+        }
+    }
+
+    return { size, modules, isFunction, set };
+}
+
+/** The 15 format bits for level M and a mask (exported for the tests). */
+export function formatBits(mask) {
+    const data = ECC_FORMAT_BITS << 3 | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    return (data << 10 | rem) ^ 0x5412;
+}
+
+function drawFormatBits({ size, set }, mask) {
+    const bits = formatBits(mask);
+    for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+    set(8, 7, getBit(bits, 6));
+    set(8, 8, getBit(bits, 7));
+    set(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+    set(8, size - 8, true); // always dark
+}
+
+// Zigzags the codewords up and down two-module columns, right to left
+function drawCodewords({ size, modules, isFunction }, codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask({ size, modules, isFunction }, mask) {
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+// Penalty score from the standard: long runs, 2x2 blocks, finder look-alikes, imbalance
+function penalty({ size, modules }) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+    const finderLike = [true, false, true, true, true, false, true];
+    for (const line of lines) {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) score += run - 2;
+                run = 1;
+            }
+        }
+        // 1:1:3:1:1 with four light modules on either side (the edge counts as light)
+        for (let i = -4; i + 7 <= size + 4; i++) {
+            const at = (k) => k >= 0 && k < size && line[k];
+            if (!finderLike.every((dark, k) => at(i + k) === dark)) continue;
+            const lightBefore = [1, 2, 3, 4].every(k => !at(i - k));
+            const lightAfter = [0, 1, 2, 3].every(k => !at(i + 7 + k));
+            if (lightBefore || lightAfter) score += 40;
+        }
+    }
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+            }
+        }
+    }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+}
+
+/**
+ * Encodes text as a QR code.
+ * @param {string} text
+ * @returns {boolean[][]} Modules by row (true = dark), without the quiet zone
+ */
+export function encodeQr(text) {
+    const { version, codewords } = encodeData([...Buffer.from(String(text), 'utf8')]);
+    const interleaved = addEccAndInterleave(version, codewords);
+
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const grid = createGrid(version);
+        drawFormatBits(grid, mask);
+        drawCodewords(grid, interleaved);
+        applyMask(grid, mask);
+        const score = penalty(grid);
+        if (!best || score < best.score) best = { score, modules: grid.modules };
+    }
+    return best.modules;
+}
+
+/**
+ * Renders text as an SVG QR code with the standard 4-module quiet zone.
+ * @param {string} text
+ * @returns {string} SVG document
+ */
+export function qrSvg(text) {
+    const modules = encodeQr(text);
+    const size = modules.length + 8;
+    const path = modules.flatMap((row, y) => row.map((dark, x) => dark ? `M${x + 4},${y + 4}h1v1h-1z` : '')).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`
+        + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+export default {
+    encodeQr,
+    qrSvg,
+};
@@ -0,0 +1,146 @@
+/**
+ * Quick-Key Layouts Service - the admin-arranged product grid at the register
+ *
+ * Instead of the whole catalog in alphabetical order, the sales grid can show
+ * a layout an admin arranged:
+ *   { name, favorites: [productId], pages: [{ id, name, keys: [{ productId, color }] }] }
+ * Favorites are pinned above every page; pages show as tabs, and keys keep
+ * the order they were dragged into. `color` is a #rrggbb button color (null
+ * uses the default).
+ *
+ * A layout belongs to a device (one register's id, kept in its localStorage)
+ * or to a role ('admin' / 'employee'). The register uses its own device
+ * layout when there is one, then its user's role layout, then the plain grid.
+ *
+ * Usage in API routes:
+ *   import { validateScope, normalizeLayout, resolveLayout } from '../src/services/quickKeyLayouts.js';
+ *   validateScope(req.params.scope, req.params.scopeKey);              // 400 on bad scope
+ *   const layout = normalizeLayout(req.body, productIds);              // 400 on bad input
+ *   const active = resolveLayout(layouts, { deviceId, role });         // null when none applies
+ */
+
+import { httpError } from './httpError.js';
+
+export const LAYOUT_SCOPES = ['device', 'role'];
+export const LAYOUT_ROLES = ['admin', 'employee'];
+export const MAX_PAGES = 12;
+export const MAX_KEYS_PER_PAGE = 60;
+export const MAX_FAVORITES = 12;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function newId(index) {
+    return `page-${Date.now().toString(36)}-${index}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Checks who a layout belongs to.
+ * @param {string} scope - 'device' or 'role'
+ * @param {string} scopeKey - Device id, or the role name
+ */
+export function validateScope(scope, scopeKey) {
+    if (!LAYOUT_SCOPES.includes(scope)) {
+        throw httpError(400, `Ámbito inválido: ${scope}`);
+    }
+    if (scope === 'role' && !LAYOUT_ROLES.includes(scopeKey)) {
+        throw httpError(400, `Rol inválido: ${scopeKey}`);
+    }
+    if (scope === 'device' && !DEVICE_ID_PATTERN.test(String(scopeKey || ''))) {
+        throw httpError(400, `Dispositivo inválido: ${scopeKey}`);
+    }
+}
+
+function productIdOf(value, productIds) {
+    const productId = String(value ?? '').trim();
+    if (!productIds.has(productId)) {
+        throw httpError(400, `Producto no encontrado: ${productId}`);
+    }
+    return productId;
+}
+
+/**
+ * Validates and cleans a layout sent by the editor. Pages without an id get
+ * one; a product may appear on several pages but only once per page.
+ * @param {Object} body - { name, favorites, pages }
+ * @param {Set<string>} productIds - Ids of the products in the catalog
+ * @returns {{name: string, favorites: string[], pages: Array}}
+ */
+export function normalizeLayout(body, productIds) {
+    const name = String(body?.name || '').trim() || 'Principal';
+    const favorites = body?.favorites ?? [];
+    const pages = body?.pages;
+
+    if (!Array.isArray(favorites)) {
+        throw httpError(400, 'Los favoritos deben ser una lista de productos');
+    }
+    if (favorites.length > MAX_FAVORITES) {
+        throw httpError(400, `Máximo ${MAX_FAVORITES} favoritos`);
+    }
+    if (!Array.isArray(pages) || pages.length === 0) {
+        throw httpError(400, 'El diseño necesita al menos una página');
+    }
+    if (pages.length > MAX_PAGES) {
+        throw httpError(400, `Máximo ${MAX_PAGES} páginas`);
+    }
+
+    const pageIds = new Set();
+    const normalizedPages = pages.map((page, pageIndex) => {
+        const pageName = String(page?.name || '').trim();
+        if (!pageName) {
+            throw httpError(400, `La página ${pageIndex + 1} necesita un nombre`);
+        }
+        const keys = page.keys ?? [];
+        if (!Array.isArray(keys)) {
+            throw httpError(400, `${pageName}: las teclas deben ser una lista`);
+        }
+        if (keys.length > MAX_KEYS_PER_PAGE) {
+            throw httpError(400, `${pageName}: máximo ${MAX_KEYS_PER_PAGE} teclas por página`);
+        }
+
+        const seen = new Set();
+        const normalizedKeys = keys.map(key => {
+            const productId = productIdOf(key?.productId, productIds);
+            if (seen.has(productId)) {
+                throw httpError(400, `${pageName}: el producto ${productId} está repetido`);
+            }
+            seen.add(productId);
+            const color = key.color ? String(key.color) : null;
+            if (color && !COLOR_PATTERN.test(color)) {
+                throw httpError(400, `Color inválido: ${color}`);
+            }
+            return { productId, color: color ? color.toLowerCase() : null };
+        });
+
+        let id = String(page.id || newId(pageIndex));
+        if (pageIds.has(id)) id = newId(pageIndex);
+        pageIds.add(id);
+        return { id, name: pageName, keys: normalizedKeys };
+    });
+
+    const normalizedFavorites = [...new Set(favorites.map(productId => productIdOf(productId, productIds)))];
+
+    return { name, favorites: normalizedFavorites, pages: normalizedPages };
+}
+
+/**
+ * Picks the layout a register shows: its own device layout first, then the
+ * one for its user's role.
+ * @param {Array} layouts - Saved layouts ({ scope, scopeKey, ... })
+ * @param {{deviceId?: string, role?: string}} who
+ * @returns {Object|null}
+ */
+export function resolveLayout(layouts, { deviceId, role }) {
+    const find = (scope, scopeKey) => scopeKey
+        ? layouts.find(layout => layout.scope === scope && layout.scopeKey === scopeKey)
+        : undefined;
+    return find('device', deviceId) || find('role', role) || null;
+}
+
+export default {
+    LAYOUT_SCOPES,
+    LAYOUT_ROLES,
+    validateScope,
+    normalizeLayout,
+    resolveLayout,
+};
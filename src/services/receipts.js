@@ -0,0 +1,274 @@
+/**
+ * Receipts Service - the customer's ticket for an order
+ *
+ * An order is turned into one receipt (header from the business settings,
+ * lines, discounts, payments, footer) and that receipt is rendered three ways:
+ *
+ *   renderReceiptHtml   printable page sized for 58mm or 80mm paper
+ *   renderReceiptPdf    the same page as a PDF (see pdf.js)
+ *   renderEscPos        raw ESC/POS bytes for a thermal printer
+ *
+ * and sendToPrinter() writes the ESC/POS bytes to a network printer (the raw
+ * port, 9100 by default). A USB printer gets the same bytes as a download.
+ *
+ * Usage in API routes:
+ *   import { buildReceipt, renderReceiptHtml, renderEscPos } from '../src/services/receipts.js';
+ *   const receipt = buildReceipt(order, settings);
+ *   res.type('html').send(renderReceiptHtml(receipt, { width: 58 }));
+ *   await sendToPrinter(renderEscPos(receipt), { host, port });   // 502 if unreachable
+ */
+
+import net from 'net';
+import { htmlToPdf } from './pdf.js';
+import { httpError } from './httpError.js';
+
+// Characters per line at the printer's standard font
+export const RECEIPT_WIDTHS = { 58: 32, 80: 48 };
+
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'America/Mexico_City';
+const PRINTER_TIMEOUT_MS = 5000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const money = (value) => `$${roundMoney(value).toFixed(2)}`;
+const dollars = (receipt) => `US$${roundMoney(receipt.usdTendered).toFixed(2)} @ ${receipt.exchangeRate}`;
+// Split-bill lines can hold a fraction of a dish (e.g. 0.3333)
+const quantity = (value) => String(Number(Number(value).toFixed(2)));
+
+function paperWidth(width) {
+    const value = Number(width);
+    if (!RECEIPT_WIDTHS[value]) throw httpError(400, `Ancho de papel inválido: ${width} (58 u 80)`);
+    return value;
+}
+
+/**
+ * Everything printed on the ticket, already formatted, in print order.
+ * @param {object} order - A normalized order (routes/orders.js normalizeOrder)
+ * @param {object} settings - Business settings (repositories/settings.js)
+ */
+export function buildReceipt(order, settings, { timeZone = BUSINESS_TIMEZONE } = {}) {
+    const promotionAmount = (order.promotions || []).reduce((sum, promotion) => sum + promotion.amount, 0);
+    const customerDiscount = roundMoney((order.discount || 0) - promotionAmount);
+    const discounts = [
+        ...(order.promotions || []).map(promotion => ({ label: promotion.code ? `Cupón ${promotion.code}` : promotion.name, amount: promotion.amount })),
+        ...(customerDiscount > 0.005 ? [{ label: 'Descuento cliente', amount: customerDiscount }] : []),
+    ];
+    const payments = order.payments && order.payments.length > 0
+        ? order.payments
+        : [{ method: order.paymentMethod, amount: order.total }];
+
+    return {
+        businessName: settings.businessName,
+        taxId: settings.taxId || null,
+        address: settings.address || null,
+        phone: settings.phone || null,
+        folio: order.id,
+        date: new Intl.DateTimeFormat('es-MX', { timeZone, dateStyle: 'short', timeStyle: 'short' }).format(new Date(order.date || order.created_at)),
+        clientName: order.clientName || null,
+        serviceType: order.serviceType || null,
+        lines: (order.items || []).map(item => ({
+            quantity: quantity(item.quantity),
+            name: item.name,
+            details: [
+                ...(item.modifiers || []).map(modifier => modifier.name),
+                ...(item.components || []).map(component => `${quantity(component.quantity)} ${component.name}`),
+            ],
+            amount: roundMoney(item.price * item.quantity),
+        })),
+        subtotal: order.subtotal,
+        discounts,
+        tip: order.tip || 0,
+        total: order.total,
+        payments: payments.map(tender => ({ method: tender.method, amount: tender.amount })),
+        cashTendered: order.cashTendered ?? null,
+        changeDue: order.changeDue ?? null,
+        usdTendered: order.usdTendered ?? null,
+        exchangeRate: order.exchangeRate ?? null,
+        refundedAmount: order.refundedAmount || 0,
+        footer: settings.receiptFooter || null,
+        selfInvoiceUrl: settings.selfInvoiceUrl || null,
+    };
+}
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/** Printable ticket page; the browser's print dialog (or puppeteer) does the rest. */
+export function renderReceiptHtml(receipt, { width = 80 } = {}) {
+    const paper = paperWidth(width);
+    const row = (label, value, className = '') =>
+        `<div class="row ${className}"><span>${escapeHtml(label)}</span><span>${escapeHtml(value)}</span></div>`;
+    const lines = receipt.lines.map(line => `
+        <div class="row"><span>${escapeHtml(line.quantity)} ${escapeHtml(line.name)}</span><span>${money(line.amount)}</span></div>
+        ${line.details.map(detail => `<div class="detail">${escapeHtml(detail)}</div>`).join('')}`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Ticket ${escapeHtml(receipt.folio)}</title>
+<style>
+    @page { size: ${paper}mm auto; margin: 0; }
+    * { box-sizing: border-box; }
+    body { width: ${paper}mm; margin: 0; padding: 3mm; font: ${paper === 58 ? 11 : 12}px/1.35 'Courier New', monospace; color: #000; }
+    .center { text-align: center; }
+    .name { font-size: 1.3em; font-weight: bold; }
+    .row { display: flex; justify-content: space-between; gap: 2mm; }
+    .detail { padding-left: 3mm; font-size: 0.9em; }
+    .total { font-size: 1.25em; font-weight: bold; }
+    hr { border: 0; border-top: 1px dashed #000; margin: 2mm 0; }
+</style>
+</head>
+<body>
+    <div class="center">
+        <div class="name">${escapeHtml(receipt.businessName)}</div>
+        ${receipt.taxId ? `<div>RFC: ${escapeHtml(receipt.taxId)}</div>` : ''}
+        ${receipt.address ? `<div>${escapeHtml(receipt.address)}</div>` : ''}
+        ${receipt.phone ? `<div>Tel. ${escapeHtml(receipt.phone)}</div>` : ''}
+    </div>
+    <hr>
+    <div>Folio: ${escapeHtml(receipt.folio)}</div>
+    <div>${escapeHtml(receipt.date)}</div>
+    ${receipt.clientName ? `<div>Cliente: ${escapeHtml(receipt.clientName)}</div>` : ''}
+    ${receipt.serviceType ? `<div>${escapeHtml(receipt.serviceType)}</div>` : ''}
+    <hr>
+    ${lines}
+    <hr>
+    ${row('Subtotal', money(receipt.subtotal))}
+    ${receipt.discounts.map(discount => row(discount.label, `-${money(discount.amount)}`)).join('')}
+    ${receipt.tip > 0 ? row('Propina', money(receipt.tip)) : ''}
+    ${row('TOTAL', money(receipt.total), 'total')}
+    ${receipt.payments.map(tender => row(tender.method, money(tender.amount))).join('')}
+    ${receipt.cashTendered !== null ? row('Recibido', money(receipt.cashTendered)) : ''}
+    ${receipt.usdTendered !== null ? row('Recibido', dollars(receipt)) : ''}
+    ${receipt.changeDue !== null ? row('Cambio', money(receipt.changeDue)) : ''}
+    ${receipt.refundedAmount > 0 ? row('Reembolsado', `-${money(receipt.refundedAmount)}`) : ''}
+    ${receipt.footer ? `<hr><div class="center">${escapeHtml(receipt.footer)}</div>` : ''}
+    ${receipt.selfInvoiceUrl ? `<div class="center">Factura en ${escapeHtml(receipt.selfInvoiceUrl)} dentro del mes de compra</div>` : ''}
+</body>
+</html>`;
+}
+
+/** The ticket page as a PDF the width of the paper and as tall as the ticket. */
+export async function renderReceiptPdf(receipt, { width = 80 } = {}) {
+    const paper = paperWidth(width);
+    return htmlToPdf(renderReceiptHtml(receipt, { width: paper }), { width: `${paper}mm`, fitHeight: true });
+}
+
+// --- ESC/POS ---
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const COMMANDS = {
+    init: [ESC, 0x40],
+    codePage850: [ESC, 0x74, 0x02],
+    alignLeft: [ESC, 0x61, 0x00],
+    alignCenter: [ESC, 0x61, 0x01],
+    boldOn: [ESC, 0x45, 0x01],
+    boldOff: [ESC, 0x45, 0x00],
+    doubleSize: [GS, 0x21, 0x11],
+    normalSize: [GS, 0x21, 0x00],
+    feedAndCut: [GS, 0x56, 0x42, 0x03],
+};
+
+// Thermal printers speak a code page, not UTF-8; CP850 covers Spanish
+const CP850 = {
+    'á': 0xa0, 'é': 0x82, 'í': 0xa1, 'ó': 0xa2, 'ú': 0xa3, 'ñ': 0xa4, 'ü': 0x81,
+    'Á': 0xb5, 'É': 0x90, 'Í': 0xd6, 'Ó': 0xe0, 'Ú': 0xe9, 'Ñ': 0xa5, 'Ü': 0x9a,
+    '¿': 0xa8, '¡': 0xad,
+};
+
+function encodeText(text) {
+    return [...text].map(char => {
+        const code = char.charCodeAt(0);
+        if (code >= 0x20 && code < 0x7f) return code;
+        return CP850[char] || 0x3f; // '?'
+    });
+}
+
+/** "label ..... value" filling the line; long labels wrap above the value. */
+function columns(label, value, chars) {
+    const room = chars - value.length - 1;
+    if (label.length <= room || room < 1) return [label + ' '.repeat(Math.max(chars - label.length - value.length, 1)) + value];
+    return [label.slice(0, chars), ...columns(label.slice(chars).trimStart(), value, chars)];
+}
+
+/** Raw bytes for the whole ticket, ending in a paper cut. */
+export function renderEscPos(receipt, { width = 80 } = {}) {
+    const chars = RECEIPT_WIDTHS[paperWidth(width)];
+    const bytes = [];
+    const command = (name) => bytes.push(...COMMANDS[name]);
+    const text = (line) => bytes.push(...encodeText(line), 0x0a);
+    const rule = () => text('-'.repeat(chars));
+
+    command('init');
+    command('codePage850');
+    command('alignCenter');
+    command('boldOn');
+    text(receipt.businessName);
+    command('boldOff');
+    if (receipt.taxId) text(`RFC: ${receipt.taxId}`);
+    if (receipt.address) text(receipt.address);
+    if (receipt.phone) text(`Tel. ${receipt.phone}`);
+    command('alignLeft');
+    rule();
+    text(`Folio: ${receipt.folio}`);
+    text(receipt.date);
+    if (receipt.clientName) text(`Cliente: ${receipt.clientName}`);
+    if (receipt.serviceType) text(receipt.serviceType);
+    rule();
+    receipt.lines.forEach(line => {
+        columns(`${line.quantity} ${line.name}`, money(line.amount), chars).forEach(text);
+        line.details.forEach(detail => text(`  ${detail}`.slice(0, chars)));
+    });
+    rule();
+    columns('Subtotal', money(receipt.subtotal), chars).forEach(text);
+    receipt.discounts.forEach(discount => columns(discount.label, `-${money(discount.amount)}`, chars).forEach(text));
+    if (receipt.tip > 0) columns('Propina', money(receipt.tip), chars).forEach(text);
+    command('boldOn');
+    command('doubleSize');
+    // Double-width characters take two columns each
+    columns('TOTAL', money(receipt.total), Math.floor(chars / 2)).forEach(text);
+    command('normalSize');
+    command('boldOff');
+    receipt.payments.forEach(tender => columns(tender.method, money(tender.amount), chars).forEach(text));
+    if (receipt.cashTendered !== null) columns('Recibido', money(receipt.cashTendered), chars).forEach(text);
+    if (receipt.usdTendered !== null) columns('Recibido', dollars(receipt), chars).forEach(text);
+    if (receipt.changeDue !== null) columns('Cambio', money(receipt.changeDue), chars).forEach(text);
+    if (receipt.refundedAmount > 0) columns('Reembolsado', `-${money(receipt.refundedAmount)}`, chars).forEach(text);
+    if (receipt.footer) {
+        rule();
+        command('alignCenter');
+        text(receipt.footer);
+    }
+    if (receipt.selfInvoiceUrl) {
+        command('alignCenter');
+        text('Factura en');
+        text(receipt.selfInvoiceUrl);
+        text('dentro del mes de compra');
+    }
+    command('feedAndCut');
+    return Buffer.from(bytes);
+}
+
+/** Writes raw bytes to a network thermal printer. Rejects with a 502 if it can't. */
+export function sendToPrinter(bytes, { host, port = 9100 }) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port: Number(port) || 9100 });
+        const fail = (error) => {
+            socket.destroy();
+            reject(httpError(502, `No se pudo imprimir en ${host}:${port} (${error.message})`));
+        };
+        socket.setTimeout(PRINTER_TIMEOUT_MS, () => fail(new Error('tiempo de espera agotado')));
+        socket.on('error', fail);
+        socket.on('connect', () => socket.end(bytes, resolve));
+    });
+}
+
+export default {
+    RECEIPT_WIDTHS,
+    buildReceipt,
+    renderReceiptHtml,
+    renderReceiptPdf,
+    renderEscPos,
+    sendToPrinter
+};
@@ -0,0 +1,217 @@
+/**
+ * Recipes Service - what products are made of, ingredient by ingredient
+ *
+ * Ingredients are what the kitchen buys and stocks (milk in ml, espresso
+ * beans in g, cups in pieces), each with its stock and its average unit cost.
+ * A product's recipe lists what one unit of it uses:
+ *   recipe: [{ ingredientId, quantity }]
+ * A modifier option can carry a recipe too: an extra shot adds 9 g of beans,
+ * oat milk takes out 200 ml of milk and adds 200 ml of oat milk (options may
+ * use negative quantities; products can't).
+ *
+ * A sale consumes its lines' recipes (a combo's are its components') plus
+ * those of the chosen options, times the units sold. Refunded lines and
+ * lines an edit takes off give theirs back. That is theoretical usage: it
+ * never blocks a sale, and the usage report compares it with what was bought
+ * so waste and miscounts show up.
+ *
+ * A product with a recipe costs what its recipe costs, and an option with a
+ * recipe costs what it adds, so `cost` and `costDelta` follow the ingredients'
+ * cost as purchases come in.
+ *
+ * Usage in API routes:
+ *   import { normalizeIngredient, normalizeRecipe, withRecipeCosts, consumptionFor } from '../src/services/recipes.js';
+ *   const ingredient = normalizeIngredient(req.body);                    // 400 on bad input
+ *   const recipe = normalizeRecipe(req.body.recipe, ingredientsById);    // 400 on unknown ingredient
+ *   const product = withRecipeCosts(productData, ingredientsById);       // cost from the recipe
+ *   const moves = consumptionFor(order.items, productsById);             // [{ ingredientId, quantity }]
+ */
+import { isServiceItem } from './orderPricing.js';
+import { httpError } from './httpError.js';
+
+export const INGREDIENT_UNITS = ['g', 'ml', 'pz'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+function nonNegative(value, message) {
+    const number = Number(value ?? 0);
+    if (!Number.isFinite(number) || number < 0) throw httpError(400, message);
+    return number;
+}
+
+/**
+ * Validates an ingredient as sent by the client. Stock is only taken when
+ * the ingredient is created; after that it moves with sales, purchases and
+ * adjustments.
+ * @returns {{name: string, unit: string, unitCost: number, reorderLevel: number, stock: number}}
+ */
+export function normalizeIngredient(data = {}) {
+    const name = String(data.name || '').trim();
+    if (!name) throw httpError(400, 'El insumo necesita un nombre');
+    if (!INGREDIENT_UNITS.includes(data.unit)) {
+        throw httpError(400, `Unidad inválida: ${data.unit} (${INGREDIENT_UNITS.join(', ')})`);
+    }
+    return {
+        name,
+        unit: data.unit,
+        unitCost: Math.round(nonNegative(data.unitCost, `${name}: costo unitario inválido`) * 10000) / 10000,
+        reorderLevel: roundQuantity(nonNegative(data.reorderLevel, `${name}: punto de reorden inválido`)),
+        stock: roundQuantity(nonNegative(data.stock, `${name}: existencia inválida`)),
+    };
+}
+
+/**
+ * Validates a recipe against the ingredients that exist. Lines of the same
+ * ingredient are merged.
+ * @param {Array|undefined|null} recipe
+ * @param {Map} ingredientsById
+ * @param {object} [options]
+ * @param {string} [options.label] - Whose recipe it is, for error messages
+ * @param {boolean} [options.allowNegative] - Option recipes may take out what the product's puts in
+ * @returns {Array<{ingredientId: string, quantity: number}>} [] when none
+ */
+export function normalizeRecipe(recipe, ingredientsById, { label = 'Receta', allowNegative = false } = {}) {
+    if (recipe === undefined || recipe === null) return [];
+    if (!Array.isArray(recipe)) throw httpError(400, `${label}: la receta debe ser una lista de insumos`);
+
+    const quantities = new Map();
+    recipe.forEach(line => {
+        const ingredientId = String(line?.ingredientId || '');
+        const ingredient = ingredientsById.get(ingredientId);
+        if (!ingredient) throw httpError(400, `${label}: insumo no encontrado (${line?.ingredientId})`);
+        const quantity = Number(line.quantity);
+        if (!Number.isFinite(quantity) || quantity === 0 || (quantity < 0 && !allowNegative)) {
+            throw httpError(400, `${label}: cantidad inválida de ${ingredient.name}`);
+        }
+        quantities.set(ingredientId, (quantities.get(ingredientId) || 0) + quantity);
+    });
+
+    return [...quantities]
+        .map(([ingredientId, quantity]) => ({ ingredientId, quantity: roundQuantity(quantity) }))
+        .filter(line => line.quantity !== 0);
+}
+
+/** What a recipe costs at the ingredients' current unit cost. */
+export function recipeCost(recipe = [], ingredientsById) {
+    return roundMoney(recipe.reduce((sum, line) => sum + line.quantity * (ingredientsById.get(line.ingredientId)?.unitCost || 0), 0));
+}
+
+/**
+ * The product with `cost` from its recipe and each option's `costDelta`
+ * from the option's recipe. Whatever has no recipe keeps the cost it was given.
+ */
+export function withRecipeCosts(product, ingredientsById) {
+    const recipe = product.recipe || [];
+    return {
+        ...product,
+        ...(recipe.length > 0 ? { cost: recipeCost(recipe, ingredientsById) } : {}),
+        ...(Array.isArray(product.modifierGroups) ? {
+            modifierGroups: product.modifierGroups.map(group => ({
+                ...group,
+                options: group.options.map(option => (option.recipe?.length > 0
+                    ? { ...option, costDelta: recipeCost(option.recipe, ingredientsById) }
+                    : option)),
+            })),
+        } : {}),
+    };
+}
+
+/** Whether the product's recipe, or one of its options', uses any of the ingredients. */
+export function usesIngredients(product, ingredientIds) {
+    const uses = (recipe = []) => recipe.some(line => ingredientIds.includes(line.ingredientId));
+    return uses(product.recipe) || (product.modifierGroups || []).some(group => group.options.some(option => uses(option.recipe)));
+}
+
+/**
+ * Ingredients a set of order lines uses, by the catalog's current recipes.
+ * Options apply to the line as a whole, and a substitution never gives back
+ * more of an ingredient than the line's recipe used.
+ * @param {Array} items - Order lines (bundle lines carry `components`)
+ * @param {Map} productsById - Catalog by id
+ * @returns {Array<{ingredientId: string, quantity: number}>} Quantities used (positive)
+ */
+export function consumptionFor(items, productsById) {
+    const used = new Map();
+    items.filter(item => !isServiceItem(item.id)).forEach(item => {
+        const product = productsById.get(String(item.id));
+        if (!product) return;
+        const units = Number(item.stockQuantity ?? item.quantity);
+        if (!(units > 0)) return;
+
+        const line = new Map();
+        const add = (recipe = [], times = 1) => recipe.forEach(({ ingredientId, quantity }) => {
+            line.set(ingredientId, (line.get(ingredientId) || 0) + quantity * times);
+        });
+        if (Array.isArray(item.components) && item.components.length > 0) {
+            item.components.forEach(component => add(productsById.get(String(component.id))?.recipe, component.quantity));
+        } else {
+            add(product.recipe);
+        }
+        (item.modifiers || []).forEach(modifier => {
+            const group = (product.modifierGroups || []).find(g => g.id === modifier.groupId);
+            add(group?.options.find(o => o.id === modifier.optionId)?.recipe);
+        });
+
+        line.forEach((quantity, ingredientId) => {
+            if (quantity > 0) used.set(ingredientId, (used.get(ingredientId) || 0) + quantity * units);
+        });
+    });
+    return [...used].map(([ingredientId, quantity]) => ({ ingredientId, quantity: roundQuantity(quantity) }));
+}
+
+/**
+ * Ingredient consumption to record so usage matches edited lines: a positive
+ * quantity is used, a negative one goes back.
+ */
+export function consumptionDeltas(beforeItems, afterItems, productsById) {
+    const before = new Map(consumptionFor(beforeItems, productsById).map(move => [move.ingredientId, move.quantity]));
+    const after = new Map(consumptionFor(afterItems, productsById).map(move => [move.ingredientId, move.quantity]));
+    return [...new Set([...before.keys(), ...after.keys()])]
+        .map(ingredientId => ({ ingredientId, quantity: roundQuantity((after.get(ingredientId) || 0) - (before.get(ingredientId) || 0)) }))
+        .filter(move => move.quantity !== 0);
+}
+
+/**
+ * Theoretical usage against purchases for a period, one line per ingredient.
+ * @param {Array} ingredients - Current ingredients
+ * @param {Array<{ingredientId, type, quantity, cost}>} totals - Movements summed by ingredient and type
+ * @returns {Array<{ingredientId, name, unit, used, usedCost, purchased, purchasedCost, adjusted, difference, stock, reorderLevel, low}>}
+ */
+export function usageReport(ingredients, totals) {
+    const sum = (ingredientId, type, field) => totals
+        .filter(total => total.ingredientId === ingredientId && total.type === type)
+        .reduce((acc, total) => acc + Number(total[field] || 0), 0);
+
+    return ingredients.map(ingredient => {
+        // Sales are recorded as stock going out, so their quantity is negative
+        const used = roundQuantity(-sum(ingredient.id, 'sale', 'quantity'));
+        const purchased = roundQuantity(sum(ingredient.id, 'purchase', 'quantity'));
+        return {
+            ingredientId: ingredient.id,
+            name: ingredient.name,
+            unit: ingredient.unit,
+            used,
+            usedCost: roundMoney(-sum(ingredient.id, 'sale', 'cost')),
+            purchased,
+            purchasedCost: roundMoney(sum(ingredient.id, 'purchase', 'cost')),
+            adjusted: roundQuantity(sum(ingredient.id, 'adjustment', 'quantity')),
+            difference: roundQuantity(purchased - used),
+            stock: ingredient.stock,
+            reorderLevel: ingredient.reorderLevel,
+            low: ingredient.stock <= ingredient.reorderLevel,
+        };
+    }).sort((a, b) => b.usedCost - a.usedCost || a.name.localeCompare(b.name, 'es'));
+}
+
+export default {
+    INGREDIENT_UNITS,
+    normalizeIngredient,
+    normalizeRecipe,
+    recipeCost,
+    withRecipeCosts,
+    usesIngredients,
+    consumptionFor,
+    consumptionDeltas,
+    usageReport
+};
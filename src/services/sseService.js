@@ -5,10 +5,16 @@
  * When data changes in the database, this service notifies all clients so they can
  * refresh their cache and stay in sync.
  *
+ * Clients can also subscribe to a channel (e.g. one register's customer
+ * display). Channel clients only get their channel's events, not the
+ * data-change broadcasts meant for the app.
+ *
  * Usage in API routes:
  *   import { broadcastDataChange } from '../services/sseService.js';
  *   // After updating data in database:
  *   broadcastDataChange('products', { action: 'update', id: productId });
+ *   // To the clients of one channel only:
+ *   broadcastToChannel('display:caja-1', 'display', { state });
  */
 
 const clients = new Set();
@@ -17,11 +23,13 @@ const clients = new Set();
  * Register a new SSE client connection
  * @param {Response} res - Express response object
  * @param {string} userId - User ID for tracking
+ * @param {string|null} channel - Channel to subscribe to (null for data-change broadcasts)
  */
-export function registerClient(res, userId = 'anonymous') {
+export function registerClient(res, userId = 'anonymous', channel = null) {
   const client = {
     id: Date.now() + Math.random(),
     userId,
+    channel,
     res,
     lastPing: Date.now()
   };
@@ -38,7 +46,7 @@ export function registerClient(res, userId = 'anonymous') {
   res.write(`data: ${JSON.stringify({ type: 'connected', timestamp: Date.now() })}\n\n`);
 
   clients.add(client);
-  console.log(`[SSE] Client connected. Total clients: ${clients.size}`);
+  console.log(`[SSE] Client connected${channel ? ` to ${channel}` : ''}. Total clients: ${clients.size}`);
 
   // Handle client disconnect
   res.on('close', () => {
@@ -68,6 +76,7 @@ export function broadcastDataChange(dataType, payload = {}) {
   let failed = 0;
 
   clients.forEach(client => {
+    if (client.channel) return;
     try {
       client.res.write(message);
       client.lastPing = Date.now();
@@ -86,6 +95,31 @@ export function broadcastDataChange(dataType, payload = {}) {
   return { sent, failed };
 }
 
+/**
+ * Send an event to the clients subscribed to one channel
+ * @param {string} channel - Channel name
+ * @param {string} type - Event type
+ * @param {object} payload - Event payload
+ */
+export function broadcastToChannel(channel, type, payload = {}) {
+  const message = `data: ${JSON.stringify({ type, timestamp: Date.now(), ...payload })}\n\n`;
+
+  let sent = 0;
+  clients.forEach(client => {
+    if (client.channel !== channel) return;
+    try {
+      client.res.write(message);
+      client.lastPing = Date.now();
+      sent++;
+    } catch (error) {
+      console.error('[SSE] Failed to send to client:', error);
+      clients.delete(client);
+    }
+  });
+
+  return { sent };
+}
+
 /**
  * Send heartbeat to all clients to keep connection alive
  */
@@ -158,6 +192,7 @@ process.on('SIGTERM', () => {
 export default {
   registerClient,
   broadcastDataChange,
+  broadcastToChannel,
   sendHeartbeat,
   getClientCount,
   cleanupStaleConnections
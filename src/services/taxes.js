@@ -0,0 +1,157 @@
+/**
+ * Taxes Service - IVA on what we sell and what we buy
+ *
+ * Menu prices include IVA. Each product has a tax rate (`taxRate`):
+ *
+ *   iva_16  - 16%, most of the menu
+ *   iva_0   - 0%, taxed at zero (e.g. packaged basic food)
+ *   exempt  - exento, no IVA at all
+ *
+ * When an order is priced, every line gets its tax breakdown as of the sale
+ * (`line.tax = { rate, base, amount }`), after its share of the order's
+ * discount, so a later rate change never rewrites past months. Tips are not
+ * the business's income and carry no tax. Expenses record the IVA their
+ * supplier charged (`taxAmount`), which is what the business can credit.
+ *
+ * Usage in API routes:
+ *   import { withLineTaxes, summarizeTaxes, monthlyTaxSummary } from '../src/services/taxes.js';
+ *   const items = withLineTaxes(pricedItems, discount);     // at sale time
+ *   const summary = monthlyTaxSummary({ orders, refunds, expenses, month: monthOf() });
+ */
+
+import { roundMoney } from './orderPricing.js';
+
+export const TAX_RATES = {
+    iva_16: { rate: 0.16, label: 'IVA 16%' },
+    iva_0: { rate: 0, label: 'IVA 0%' },
+    exempt: { rate: 0, label: 'Exento', exempt: true },
+};
+
+export const DEFAULT_TAX_RATE = 'iva_16';
+
+// Tax months are calendar months in business time
+export const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'America/Mexico_City';
+
+/** YYYY-MM of `date` in business time. */
+export function monthOf(date = new Date(), timeZone = BUSINESS_TIMEZONE) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit' })
+        .formatToParts(date).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}`;
+}
+
+export const isValidTaxRate = (taxRate) => Object.prototype.hasOwnProperty.call(TAX_RATES, taxRate);
+
+/** Lines that are not the business's income */
+const isUntaxed = (item) => String(item.id).startsWith('TIP_');
+
+/** What the line charged before the order's discount (split shares carry their own amount). */
+const lineAmount = (item) => (item.amount !== undefined ? Number(item.amount) : Number(item.price) * Number(item.quantity));
+
+/** Spreads `discount` over `amounts` proportionally; the last line takes the rounding. */
+export function allocateDiscount(discount, amounts) {
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (discount <= 0 || total <= 0) return amounts.map(() => 0);
+    let left = roundMoney(discount);
+    return amounts.map((amount, index) => {
+        const share = index === amounts.length - 1 ? left : roundMoney(discount * (amount / total));
+        left = roundMoney(left - share);
+        return share;
+    });
+}
+
+/** Splits a tax-inclusive amount into its base and its IVA. */
+export function breakDown(amount, taxRate = DEFAULT_TAX_RATE) {
+    const { rate } = TAX_RATES[taxRate] || TAX_RATES[DEFAULT_TAX_RATE];
+    const base = roundMoney(amount / (1 + rate));
+    return { rate: isValidTaxRate(taxRate) ? taxRate : DEFAULT_TAX_RATE, base, amount: roundMoney(amount - base) };
+}
+
+/**
+ * Adds `tax` to every taxable line: its rate (the line's taxRate, iva_16 when
+ * missing) and the base and IVA of what it charged after its share of `discount`.
+ */
+export function withLineTaxes(items, discount = 0) {
+    const taxable = items.filter(item => !isUntaxed(item));
+    const shares = allocateDiscount(Number(discount) || 0, taxable.map(lineAmount));
+    return items.map(item => {
+        const index = taxable.indexOf(item);
+        if (index === -1) return item;
+        return { ...item, tax: breakDown(roundMoney(lineAmount(item) - shares[index]), item.taxRate) };
+    });
+}
+
+/** The order's lines with their tax; orders from before line taxes get it computed now. */
+export function orderLineTaxes(order) {
+    const items = order.items || [];
+    if (items.every(item => isUntaxed(item) || item.tax)) return items.filter(item => item.tax).map(item => item.tax);
+    return withLineTaxes(items, order.discount).filter(item => item.tax).map(item => item.tax);
+}
+
+/** Base and IVA per rate: [{ rate, label, base, amount }], in TAX_RATES order. */
+export function summarizeTaxes(taxes) {
+    const byRate = new Map();
+    taxes.forEach(tax => {
+        const current = byRate.get(tax.rate) || { base: 0, amount: 0 };
+        byRate.set(tax.rate, { base: current.base + tax.base, amount: current.amount + tax.amount });
+    });
+    return Object.keys(TAX_RATES)
+        .filter(rate => byRate.has(rate))
+        .map(rate => ({
+            rate,
+            label: TAX_RATES[rate].label,
+            base: roundMoney(byRate.get(rate).base),
+            amount: roundMoney(byRate.get(rate).amount),
+        }));
+}
+
+/**
+ * The month's IVA: collected on sales (net of refunds) against what was paid
+ * on expenses.
+ * @param {object} params
+ * @param {Array} params.orders - Normalized orders of the month
+ * @param {Array} params.refunds - Refunds of the month, with the refunded order's { total, tip, items, discount } as `order`
+ * @param {Array} params.expenses - Expenses of the month ({ amount, taxAmount })
+ * @param {string} params.month - YYYY-MM
+ */
+export function monthlyTaxSummary({ orders, refunds = [], expenses = [], month }) {
+    const saleTaxes = orders.flatMap(orderLineTaxes);
+    // A refund gives back its share of the order's income; a full refund also returns the tip, hence the cap
+    const refundTaxes = refunds.flatMap(refund => {
+        const income = refund.order.total - (refund.order.tip || 0);
+        if (income <= 0) return [];
+        const share = Math.min(refund.amount / income, 1);
+        return orderLineTaxes(refund.order).map(tax => ({ rate: tax.rate, base: -tax.base * share, amount: -tax.amount * share }));
+    });
+    const sales = summarizeTaxes([...saleTaxes, ...refundTaxes]);
+    const taxableBase = roundMoney(sales.filter(line => !TAX_RATES[line.rate].exempt).reduce((sum, line) => sum + line.base, 0));
+    const exemptSales = roundMoney(sales.filter(line => TAX_RATES[line.rate].exempt).reduce((sum, line) => sum + line.base, 0));
+    const ivaCollected = roundMoney(sales.reduce((sum, line) => sum + line.amount, 0));
+    const expenseTotal = roundMoney(expenses.reduce((sum, expense) => sum + Number(expense.amount || 0), 0));
+    const ivaPaid = roundMoney(expenses.reduce((sum, expense) => sum + Number(expense.taxAmount || 0), 0));
+
+    return {
+        month,
+        sales,
+        taxableBase,
+        exemptSales,
+        ivaCollected,
+        expenses: { total: expenseTotal, base: roundMoney(expenseTotal - ivaPaid), ivaPaid },
+        ivaPaid,
+        // Positive: owed to SAT; negative: IVA in favor
+        ivaPayable: roundMoney(ivaCollected - ivaPaid),
+    };
+}
+
+export default {
+    TAX_RATES,
+    DEFAULT_TAX_RATE,
+    BUSINESS_TIMEZONE,
+    monthOf,
+    isValidTaxRate,
+    allocateDiscount,
+    breakDown,
+    withLineTaxes,
+    orderLineTaxes,
+    summarizeTaxes,
+    monthlyTaxSummary
+};
@@ -0,0 +1,170 @@
+/**
+ * Tip Pooling Service - who gets which tips for a period
+ *
+ * Every order stores its tip and the user who rang the sale, so the tips a
+ * period earned are attributed to whoever took them. How they are paid out
+ * follows the business's rule (settings tipPoolMode / tipPoolShare):
+ *
+ *   individual  each employee keeps the tips of the sales they rang
+ *   equal       tipPoolShare % of every employee's tips goes into a pool,
+ *               split in equal parts among everyone who worked the period
+ *   hours       same pool, split in proportion to the hours each one worked
+ *
+ * The rest (100 - tipPoolShare %) stays with whoever rang the sale. Hours
+ * come from the cash sessions each employee opened in the period, and can be
+ * overridden for people who don't run a register. Payouts are worked out in
+ * cents, so they add up to the tips collected to the cent; only the tips of
+ * sales rung without a user are left over, and only when nothing is pooled.
+ *
+ * Usage in API routes:
+ *   import { validatePeriod, parseHours, sessionHours, distributeTips } from '../src/services/tipPooling.js';
+ *   const period = validatePeriod(req.query);                    // 400 on bad dates
+ *   const hours = { ...sessionHours(sessions, period), ...parseHours(req.query.hours) };
+ *   const report = distributeTips({ tips, hours, mode, poolShare });
+ */
+
+import { httpError } from './httpError.js';
+
+export const TIP_POOL_MODES = ['individual', 'equal', 'hours'];
+
+const MAX_PERIOD_DAYS = 93;
+const HOUR_MS = 60 * 60 * 1000;
+
+/** [from, to) as Dates; both are required ISO timestamps. */
+export function validatePeriod({ from, to } = {}) {
+    const start = new Date(from);
+    const end = new Date(to);
+    if (!from || !to || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) throw httpError(400, 'Fecha inválida');
+    if (end <= start) throw httpError(400, 'El periodo termina antes de empezar');
+    if (end - start > MAX_PERIOD_DAYS * 24 * HOUR_MS) throw httpError(400, `El periodo no puede pasar de ${MAX_PERIOD_DAYS} días`);
+    return { from: start, to: end };
+}
+
+export function validatePoolRule({ mode, poolShare }) {
+    if (!TIP_POOL_MODES.includes(mode)) throw httpError(400, `Regla de reparto inválida: ${mode}`);
+    const share = Number(poolShare);
+    if (!Number.isFinite(share) || share < 0 || share > 100) throw httpError(400, `Porcentaje al fondo inválido: ${poolShare}`);
+    return { mode, poolShare: share };
+}
+
+/**
+ * Hours worked per user from `userId:hours` pairs, as the report's query
+ * string ("u1:6,u2:4.5") or an object ({ u1: 6 }).
+ */
+export function parseHours(hours) {
+    if (hours === undefined || hours === null || hours === '') return {};
+    const entries = typeof hours === 'object'
+        ? Object.entries(hours)
+        : String(hours).split(',').filter(Boolean).map(pair => {
+            const separator = pair.lastIndexOf(':');
+            return separator === -1 ? [pair, NaN] : [pair.slice(0, separator), pair.slice(separator + 1)];
+        });
+    return Object.fromEntries(entries.map(([userId, value]) => {
+        const parsed = Number(value);
+        if (!userId || !Number.isFinite(parsed) || parsed < 0 || parsed > 24 * MAX_PERIOD_DAYS) {
+            throw httpError(400, `Horas inválidas: ${userId}:${value}`);
+        }
+        return [userId, Math.round(parsed * 100) / 100];
+    }));
+}
+
+/**
+ * Hours each user spent with a cash session open, counting only the part
+ * inside the period. Sessions still open count up to `now`.
+ */
+export function sessionHours(sessions, { from, to }, now = new Date()) {
+    const hours = {};
+    sessions.forEach(session => {
+        if (!session.userId) return;
+        const start = Math.max(new Date(session.startTime).getTime(), from.getTime());
+        const end = Math.min(session.endTime ? new Date(session.endTime).getTime() : now.getTime(), to.getTime());
+        if (end <= start) return;
+        hours[session.userId] = (hours[session.userId] || 0) + (end - start) / HOUR_MS;
+    });
+    return Object.fromEntries(Object.entries(hours).map(([userId, value]) => [userId, Math.round(value * 100) / 100]));
+}
+
+/** Splits `cents` by `weights`, largest remainders first, so the parts add up exactly. */
+function allocateCents(cents, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (cents === 0 || totalWeight <= 0) return weights.map(() => 0);
+    const exact = weights.map(weight => (cents * weight) / totalWeight);
+    const parts = exact.map(Math.floor);
+    let left = cents - parts.reduce((sum, part) => sum + part, 0);
+    exact
+        .map((value, index) => ({ index, remainder: value - parts[index] }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+        .forEach(({ index }) => {
+            if (left <= 0) return;
+            parts[index] += 1;
+            left -= 1;
+        });
+    return parts;
+}
+
+/**
+ * @param {object} params
+ * @param {Array<{userId: string, amount: number}>} params.tips - One entry per order
+ * @param {Object<string, number>} [params.hours] - Hours worked per user
+ * @param {string} params.mode - One of TIP_POOL_MODES
+ * @param {number} [params.poolShare] - % of each employee's tips that goes into the pool
+ * @returns {{mode, poolShare, totalTips: number, pool: number, unassigned: number, employees: Array<{userId, tips, hours, kept, fromPool, payout}>}}
+ */
+export function distributeTips({ tips, hours = {}, mode, poolShare = 100 }) {
+    const rule = validatePoolRule({ mode, poolShare });
+    const rung = new Map();
+    tips.forEach(({ userId, amount }) => {
+        const cents = Math.round(Number(amount || 0) * 100);
+        if (cents <= 0) return;
+        const key = userId || null;
+        rung.set(key, (rung.get(key) || 0) + cents);
+    });
+
+    // Everyone who took tips or worked in the period. Tips rung without a
+    // user (older orders) have nobody to keep them, so they all go to the pool
+    const userIds = [...new Set([...rung.keys(), ...Object.keys(hours).filter(userId => hours[userId] > 0)])].filter(Boolean);
+    const unattributed = rung.get(null) || 0;
+    const pooledShare = rule.mode === 'individual' ? 0 : rule.poolShare / 100;
+    const pooled = userIds.map(userId => Math.round((rung.get(userId) || 0) * pooledShare));
+    const pool = pooled.reduce((sum, cents) => sum + cents, 0) + (rule.mode === 'individual' ? 0 : unattributed);
+
+    const weights = userIds.map(userId => (rule.mode === 'hours' ? hours[userId] || 0 : 1));
+    if (pool > 0 && !weights.some(weight => weight > 0)) {
+        throw httpError(409, rule.mode === 'hours'
+            ? 'No hay horas registradas en el periodo para repartir las propinas'
+            : 'No hay empleados en el periodo para repartir las propinas');
+    }
+    const fromPool = allocateCents(pool, weights);
+
+    const employees = userIds.map((userId, index) => {
+        const kept = (rung.get(userId) || 0) - pooled[index];
+        return {
+            userId,
+            tips: (rung.get(userId) || 0) / 100,
+            hours: hours[userId] || 0,
+            kept: kept / 100,
+            fromPool: fromPool[index] / 100,
+            payout: (kept + fromPool[index]) / 100,
+        };
+    }).sort((a, b) => b.payout - a.payout || a.userId.localeCompare(b.userId));
+
+    const totalTips = [...rung.values()].reduce((sum, cents) => sum + cents, 0);
+    return {
+        mode: rule.mode,
+        poolShare: rule.poolShare,
+        totalTips: totalTips / 100,
+        pool: pool / 100,
+        // Only left over when nothing is pooled
+        unassigned: (rule.mode === 'individual' ? unattributed : 0) / 100,
+        employees,
+    };
+}
+
+export default {
+    TIP_POOL_MODES,
+    validatePeriod,
+    validatePoolRule,
+    parseHours,
+    sessionHours,
+    distributeTips
+};
@@ -10,7 +10,7 @@
 // observable behavior - which then needs a conscious decision (intentional
 // fix vs. accidental regression), not a silent surprise.
 
-const { spawn } = require('child_process');
+const { spawn, execFile } = require('child_process');
 const path = require('path');
 
 const REPO_ROOT = path.join(__dirname, '..', '..');
@@ -120,4 +120,30 @@ function shapeOf(value) {
   return { type: typeof value };
 }
 
-module.exports = { startServer, request, shapeOf };
+/**
+ * Runs an ES module snippet in its own node process from the repo root and
+ * resolves with the last line it printed, parsed as JSON. For service
+ * internals the server doesn't expose; routes that only run against Postgres
+ * are tested on a real one (tests/support/postgres.js). The app is ESM and jest
+ * runs these files as CommonJS without a transform, so they can't be required
+ * directly.
+ */
+function runModule(source, extraEnv = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['--input-type=module', '-e', source], {
+      cwd: REPO_ROOT,
+      env: { ...process.env, ADMIN_SECRET_KEY: '', ...extraEnv },
+      timeout: 15000,
+    }, (error, stdout, stderr) => {
+      if (error) return reject(new Error(`${error.message}\n${stderr}`));
+      const lines = stdout.trim().split('\n');
+      try {
+        resolve(JSON.parse(lines[lines.length - 1]));
+      } catch {
+        reject(new Error(`Module printed no JSON result:\n${stdout}`));
+      }
+    });
+  });
+}
+
+module.exports = { startServer, request, shapeOf, runModule };
@@ -126,24 +126,25 @@ describe('orders', () => {
     expect(body).toEqual([]);
   });
 
+  // Product '1' was re-priced to 40 by the import test above
   test('POST /api/orders creates an order in memory', async () => {
     const { status, body } = await post('/api/orders', {
       clientName: 'Test Client',
       serviceType: 'Cafetería',
       paymentMethod: 'Efectivo',
-      items: [{ id: '1', name: 'Espresso', price: 35, cost: 12, quantity: 1 }],
-      subtotal: 35,
-      total: 35,
+      items: [{ id: '1', name: 'Espresso', price: 40, cost: 12, quantity: 1 }],
+      subtotal: 40,
+      total: 40,
       userId: 'user-1',
     });
     expect(status).toBe(201);
     expect(shapeOf(body)).toMatchSnapshot();
   });
 
-  test('DELETE /api/orders/:id requires a database', async () => {
+  test('DELETE /api/orders/:id is refused - orders are refunded, never deleted', async () => {
     const { status, body } = await del('/api/orders/anything');
-    expect(status).toBe(503);
-    expect(body).toEqual({ error: 'Database not available' });
+    expect(status).toBe(405);
+    expect(body.error).toMatch(/reembolso/);
   });
 
   test('POST /api/orders/cleanup-duplicates requires a database', async () => {
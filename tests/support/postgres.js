@@ -0,0 +1,61 @@
+// A throwaway PostgreSQL for tests of what only runs against the database
+// (refunds, create_order_atomic, idempotency keys). embedded-postgres ships
+// the server binaries as an npm package, so this needs no local install:
+// each suite gets an empty cluster in a temp dir (see postgres.mjs), and
+// server.js builds the schema and runs the migrations on it the same way it
+// does in production.
+
+const { spawn } = require('child_process');
+const path = require('path');
+const { Client } = require('pg');
+
+/**
+ * Starts an empty cluster on `port`. Returns { url, query(sql, params), stop() }
+ * - callers must call stop() in afterAll.
+ */
+function startPostgres(port) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'postgres.mjs'), String(port)], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const exited = new Promise((done) => child.once('exit', done));
+
+    let settled = false;
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      child.kill();
+      reject(error);
+    };
+    const timeout = setTimeout(() => fail(new Error(`PostgreSQL on port ${port} did not start within 60s`)), 60000);
+
+    let stderrBuf = '';
+    child.stderr.on('data', (d) => { stderrBuf += d.toString(); });
+    child.on('exit', (code) => fail(new Error(`PostgreSQL exited with code ${code}:\n${stderrBuf}`)));
+
+    child.stdout.on('data', async (data) => {
+      if (settled || !data.toString().includes('"url"')) return;
+      settled = true;
+      clearTimeout(timeout);
+      const { url } = JSON.parse(data.toString().trim().split('\n').pop());
+      const client = new Client({ connectionString: url });
+      try {
+        await client.connect();
+      } catch (error) {
+        child.kill();
+        return reject(error);
+      }
+      resolve({
+        url,
+        query: (sql, params) => client.query(sql, params),
+        stop: async () => {
+          await client.end().catch(() => {});
+          child.kill('SIGTERM');
+          await exited;
+        },
+      });
+    });
+  });
+}
+
+module.exports = { startPostgres };
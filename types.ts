@@ -7,10 +7,104 @@ export interface Product {
   description: string;
   imageUrl: string;
   category: 'Cafetería' | 'Refrigerador' | 'Alimentos' | 'Membresías';
+  modifierGroups?: ModifierGroup[];
+  bundleItems?: BundleItem[]; // Non-empty makes it a combo; its stock is what the components allow
+  recipe?: RecipeLine[]; // What one unit uses; non-empty makes `cost` the recipe's cost
+  satProductKey?: string | null; // CFDI c_ClaveProdServ; invoices fall back to a generic key
+  satUnitKey?: string | null; // CFDI c_ClaveUnidad, E48 by default
+  taxRate?: TaxRate; // IVA included in the price, iva_16 by default
+  sku?: string | null; // Internal code; the register's scanner finds a product by its SKU or barcode
+  barcode?: string | null; // EAN/UPC printed on the package
+}
+
+export type TaxRate = 'iva_16' | 'iva_0' | 'exempt';
+
+// A line's IVA as of the sale, after its share of the order's discount
+export interface LineTax {
+  rate: TaxRate;
+  base: number;
+  amount: number;
+}
+
+// One component of a combo, as configured on the product
+export interface BundleItem {
+  productId: string;
+  quantity: number;
+}
+
+// A combo line's component on an order: per combo unit, with the share of the
+// combo price it earned and its cost (server-allocated, for product reports)
+export interface BundleComponent {
+  id: string;
+  name: string;
+  category?: string;
+  quantity: number;
+  revenue: number;
+  cost: number;
+}
+
+export type IngredientUnit = 'g' | 'ml' | 'pz';
+
+// What the kitchen stocks and recipes consume; stock is theoretical until counted
+export interface Ingredient {
+  id: string;
+  name: string;
+  unit: IngredientUnit;
+  stock: number;
+  unitCost: number; // Weighted average of what was bought
+  reorderLevel: number;
+  createdAt?: string;
+}
+
+export interface RecipeLine {
+  ingredientId: string;
+  quantity: number; // In the ingredient's unit
+}
+
+// Options on a product (size, milk type, extra shot); deltas add to the base price and cost
+export interface ModifierOption {
+  id: string;
+  name: string;
+  priceDelta: number;
+  costDelta: number;
+  recipe?: RecipeLine[]; // What the option adds (or, negative, takes out); sets costDelta
+}
+
+export interface ModifierGroup {
+  id: string;
+  name: string;
+  required: boolean; // at least one option must be chosen
+  multiple: boolean; // more than one option may be chosen
+  options: ModifierOption[];
+}
+
+// An option chosen on a cart/order line, with the catalog deltas at the time of sale
+export interface SelectedModifier {
+  groupId: string;
+  group: string;
+  optionId: string;
+  name: string;
+  priceDelta: number;
+  costDelta: number;
 }
 
 export interface CartItem extends Product {
   quantity: number;
+  modifiers?: SelectedModifier[]; // price and cost already include their deltas
+  components?: BundleComponent[]; // Set by the server on combo lines
+  complimentary?: boolean; // Café included in a coworking session (sold at $0)
+  // Split bill lines (quantity may be a fraction of the original line)
+  amount?: number; // This payer's exact share of the line's money
+  stockQuantity?: number; // Whole units of stock this order moved
+  tax?: LineTax; // Set by the server on taxable lines
+}
+
+export type PaymentMethod = 'Efectivo' | 'Tarjeta' | 'Crédito' | 'Dólares'; // 'Dólares': amount in pesos, see Order.usdTendered
+
+// One tender of a split payment, e.g. part cash and part card
+export interface PaymentTender {
+  method: PaymentMethod;
+  amount: number;
 }
 
 export interface Order {
@@ -22,10 +116,86 @@ export interface Order {
   totalCost: number;
   clientName: string;
   serviceType: 'Mesa' | 'Para llevar';
-  paymentMethod: 'Efectivo' | 'Tarjeta' | 'Crédito'; // FIX BUG 2: Add Crédito
+  paymentMethod: PaymentMethod | 'Mixto'; // FIX BUG 2: Add Crédito. 'Mixto' = several tenders
+  payments?: PaymentTender[]; // Missing on orders from before split payments
   tip?: number;
   discount?: number; // FIX BUG 1: Add discount field
   customerId?: string; // Add customerId for tracking
+  status?: 'completed' | 'partially_refunded' | 'refunded';
+  refundedAmount?: number;
+  parentOrderId?: string; // Split bill: ticket shared by all the payers' orders
+  payerLabel?: string;
+  promotions?: AppliedPromotion[]; // Part of `discount`; the rest is the customer's own discount
+  prepStatus?: PrepStatus; // Missing when nothing on the order needed preparing
+  invoiceId?: string | null; // The CFDI covering it, once invoiced
+  cashTendered?: number; // Cash the customer handed over, when the cashier recorded it
+  changeDue?: number;
+  usdTendered?: number; // Dollar bills handed over for the 'Dólares' tender
+  exchangeRate?: number; // Pesos per dollar they were taken at
+  lastEditedAt?: string | null; // Set once the order was corrected (see OrderEdit)
+  pendingSync?: boolean; // Made offline, still in the sync queue (utils/offlineStorage.ts)
+}
+
+// One separate check of a split bill; becomes a child order
+export interface SplitBillPayer {
+  label: string;
+  paymentMethod: PaymentMethod;
+  payments?: PaymentTender[];
+  customerId?: string;
+  tip?: number;
+}
+
+// Quantity of a cart line assigned to a payer (may be a fraction, e.g. 1/3)
+export interface SplitBillAssignment {
+  lineIndex: number;
+  payer: number;
+  quantity: number;
+}
+
+export interface OrderRefundLine {
+  lineIndex: number; // Position of the refunded line in Order.items
+  id: string;
+  name: string;
+  category?: string;
+  quantity: number;
+  price: number;
+  cost: number;
+  amount: number; // Refunded money for this line (customer discount applied)
+}
+
+export interface OrderRefund {
+  id: string;
+  orderId: string;
+  type: 'full' | 'partial';
+  items: OrderRefundLine[];
+  amount: number;
+  paymentMethod: Order['paymentMethod'];
+  payments?: PaymentTender[]; // How the refund went back out, per tender
+  customerId?: string;
+  reason: string;
+  userId?: string;
+  date: string;
+}
+
+// The order fields an edit records, as they were before and after it
+export type OrderSnapshot = Pick<Order, 'clientName' | 'serviceType' | 'paymentMethod' | 'items' | 'subtotal' | 'discount' | 'total'> & {
+  customerId: string | null;
+  payments: PaymentTender[];
+  tip: number | null;
+  promotions: AppliedPromotion[];
+};
+
+// A correction made to an order after the sale (PUT /api/orders/:id)
+export interface OrderEdit {
+  id: string;
+  orderId: string;
+  userId?: string; // As reported by the register that made the edit
+  adminAuthorized: boolean; // Made with the admin key (required for closed cash sessions)
+  reason: string;
+  changes: (keyof OrderSnapshot)[];
+  before: OrderSnapshot;
+  after: OrderSnapshot;
+  date: string;
 }
 
 export type ExpenseCategory = 'Luz' | 'Internet' | 'Sueldos' | 'Inventario' | 'Otro';
@@ -40,6 +210,8 @@ export interface Expense {
   category: ExpenseCategory;
   type: ExpenseType;
   paymentSource: ExpensePaymentSource;
+  taxAmount?: number; // IVA the supplier charged, included in amount
+  pendingSync?: boolean; // Made offline, still in the sync queue
 }
 
 export interface CoworkingSession {
@@ -49,6 +221,254 @@ export interface CoworkingSession {
   endTime: string | null; // ISO string
   status: 'active' | 'finished';
   consumedExtras: CartItem[];
+  pendingSync?: boolean; // Started or changed offline, still in the sync queue
+}
+
+export interface FloorTable {
+  id: string;
+  name: string;
+  zone: string | null;
+  x: number; // grid column
+  y: number; // grid row
+  seats: number;
+  shape: 'square' | 'round';
+}
+
+// A dine-in tab: items accumulate during the visit and are paid as one order at the end
+export interface TabItem {
+  id: string;
+  name: string;
+  category?: string;
+  price: number;
+  quantity: number;
+  modifiers?: SelectedModifier[];
+}
+
+export interface Tab {
+  id: string;
+  name: string;
+  tableId: string | null;
+  status: 'open' | 'closed';
+  items: TabItem[];
+  customerId: string | null;
+  openedBy: string | null;
+  orderId: string | null; // the order that paid it
+  createdAt: string;
+  updatedAt: string;
+  closedAt: string | null;
+}
+
+// Happy hours, 2x1 deals, category discounts and coupons (see src/services/promotions.js)
+export type PromotionType = 'happy_hour' | 'buy_x_get_y' | 'category_percent' | 'coupon';
+
+export interface Promotion {
+  id: string;
+  name: string;
+  type: PromotionType;
+  active: boolean;
+  productIds: string[]; // empty = by category, or every product
+  category: string | null;
+  percentOff: number | null;
+  price: number | null; // happy_hour: fixed unit price instead of percentOff
+  amountOff: number | null; // coupon: fixed amount instead of percentOff
+  buyQuantity: number | null;
+  getQuantity: number | null;
+  code: string | null; // coupons only
+  maxUses: number | null;
+  uses: number;
+  days: number[]; // 0 = Sunday; empty = every day
+  startTime: string | null; // 'HH:MM'
+  endTime: string | null;
+  startsAt: string | null;
+  expiresAt: string | null;
+  createdAt?: string;
+}
+
+// What one promotion took off an order
+export interface AppliedPromotion {
+  promotionId: string;
+  name: string;
+  type: PromotionType;
+  code?: string;
+  amount: number;
+}
+
+// Kitchen/barra display (see src/services/kitchenTickets.js)
+export type PrepStatus = 'new' | 'in_progress' | 'ready' | 'delivered';
+
+export interface KitchenTicketItem {
+  index: number;
+  id: string;
+  name: string;
+  quantity: number;
+  station: string;
+  modifiers: string[]; // option names
+  combo: string | null; // the combo this component was sold in
+  status: Exclude<PrepStatus, 'delivered'>;
+  startedAt: string | null;
+  readyAt: string | null;
+}
+
+export interface KitchenTicket {
+  id: string;
+  orderId: string | null;
+  tabId: string | null;
+  label: string; // client or tab name
+  serviceType: 'Mesa' | 'Para llevar' | null;
+  status: PrepStatus;
+  items: KitchenTicketItem[];
+  createdAt: string;
+  startedAt: string | null;
+  readyAt: string | null;
+  deliveredAt: string | null;
+}
+
+export type ReceiptWidth = 58 | 80;
+
+// What the receipts print, and where (see repositories/settings.js)
+export interface BusinessSettings {
+  businessName: string;
+  taxId: string;
+  address: string;
+  phone: string;
+  receiptFooter: string;
+  receiptWidth: ReceiptWidth;
+  printerHost: string;
+  printerPort: number;
+  // Issuer data for CFDI invoices
+  legalName: string;
+  taxRegime: string;
+  zipCode: string;
+  invoiceSeries: string;
+  selfInvoiceUrl: string; // Printed on the tickets when set
+  customerDisplayImages: string[]; // Rotated on the customer display while idle
+  tipPoolMode: TipPoolMode;
+  tipPoolShare: number; // % of each employee's tips that goes into the pool
+}
+
+// Who the invoice is for, as the customer's Constancia de Situación Fiscal says
+export interface InvoiceReceptor {
+  rfc: string;
+  name: string;
+  zipCode: string;
+  taxRegime: string;
+  cfdiUse: string;
+}
+
+export interface Invoice {
+  id: string;
+  uuid: string; // Folio fiscal
+  series: string | null;
+  folio: number;
+  orderIds: string[];
+  receptorRfc: string;
+  receptorName: string;
+  total: number;
+  status: 'stamped';
+  pac: string | null;
+  stampedAt: string | null;
+  hasPdf: boolean;
+  createdAt: string;
+}
+
+// A customer's self-invoicing request that couldn't be stamped on the spot
+export interface InvoiceRequest {
+  id: string;
+  orderId: string;
+  receptor: InvoiceReceptor;
+  email: string | null;
+  status: 'pending' | 'invoiced' | 'rejected';
+  reason: string | null; // Why it was queued, or why it was rejected
+  invoiceId: string | null;
+  orderTotal?: number;
+  orderDate?: string;
+  createdAt: string;
+  resolvedAt: string | null;
+}
+
+// GET /api/reports/taxes?month=YYYY-MM
+export interface TaxSummary {
+  month: string;
+  sales: { rate: TaxRate; label: string; base: number; amount: number }[];
+  taxableBase: number;
+  exemptSales: number;
+  ivaCollected: number;
+  expenses: { total: number; base: number; ivaPaid: number };
+  ivaPaid: number;
+  ivaPayable: number; // Negative: IVA in favor
+}
+
+// How tips are paid out (see src/services/tipPooling.js)
+export type TipPoolMode = 'individual' | 'equal' | 'hours';
+
+export interface TipPayoutLine {
+  userId: string;
+  username: string;
+  tips: number; // Rung on their own sales
+  hours: number;
+  kept: number; // Their own tips that stayed out of the pool
+  fromPool: number;
+  payout: number;
+}
+
+// GET /api/reports/tips: who gets which tips for [from, to)
+export interface TipReport {
+  from: string;
+  to: string;
+  mode: TipPoolMode;
+  poolShare: number;
+  totalTips: number;
+  pool: number;
+  unassigned: number; // Tips of sales without a user, when nothing is pooled
+  employees: TipPayoutLine[];
+}
+
+export type TipPayoutPosting = 'none' | 'withdrawal' | 'expense';
+
+// A period's tips once paid out, with the withdrawal or expense it was posted as
+export interface TipPayout {
+  id: string;
+  from: string;
+  to: string;
+  mode: TipPoolMode;
+  poolShare: number;
+  lines: TipPayoutLine[];
+  total: number;
+  postedAs: TipPayoutPosting;
+  withdrawalId: string | null;
+  expenseId: string | null;
+  userId: string | null;
+  date: string;
+}
+
+// GET /api/reports/ingredients: what the period's sales used against what was bought
+export interface IngredientUsageLine {
+  ingredientId: string;
+  name: string;
+  unit: IngredientUnit;
+  used: number;
+  usedCost: number;
+  purchased: number;
+  purchasedCost: number;
+  adjusted: number;
+  difference: number; // purchased - used
+  stock: number;
+  reorderLevel: number;
+  low: boolean;
+}
+
+export interface IngredientReport {
+  from: string;
+  to: string;
+  ingredients: IngredientUsageLine[];
+}
+
+export interface KitchenStats {
+  tickets: number;
+  averageWaitMinutes: number | null;
+  averagePrepMinutes: number | null;
+  averagePickupMinutes: number | null;
+  byStation: { station: string; items: number; averageMinutes: number | null }[];
 }
 
 export interface CashSession {
@@ -62,6 +482,67 @@ export interface CashSession {
   totalExpenses?: number;
   expectedCash?: number;
   difference?: number;
+  // Dollars are counted apart from pesos
+  startAmountUsd?: number;
+  endAmountUsd?: number | null;
+  expectedCashUsd?: number;
+  differenceUsd?: number;
+}
+
+// Pesos per unit of foreign cash, set by an admin once a day
+export interface ExchangeRate {
+  currency: 'USD';
+  rate: number;
+  date: string; // YYYY-MM-DD
+  userId: string | null;
+  updatedAt: string;
+}
+
+// What a register's customer display shows (see routes/customerDisplay.js)
+export interface CustomerDisplayLine {
+  name: string;
+  quantity: number;
+  price: number;
+  details?: string; // Chosen options, e.g. "Grande, Leche de avena"
+}
+
+export type CustomerDisplayState =
+  | { mode: 'idle' }
+  | { mode: 'cart'; items: CustomerDisplayLine[]; subtotal: number; discount: number; tip: number; total: number }
+  | { mode: 'paid'; orderId: string; total: number; changeDue: number | null; qrData: string; qrKind: 'invoice' | 'reference' };
+
+// A sale set aside while the customer steps away (see repositories/parkedCarts.js)
+export interface ParkedCart {
+  id: string;
+  name: string;
+  items: CartItem[];
+  couponCode: string;
+  userId: string | null;
+  deviceId: string | null;
+  createdAt: string;
+  stale: boolean; // Parked before the open cash session started
+}
+
+// Admin-arranged sales grid (see src/services/quickKeyLayouts.js)
+export interface QuickKey {
+  productId: string;
+  color: string | null; // #rrggbb, null for the default button
+}
+
+export interface QuickKeyPage {
+  id: string;
+  name: string;
+  keys: QuickKey[];
+}
+
+export interface QuickKeyLayout {
+  scope: 'device' | 'role';
+  scopeKey: string; // device id, or 'admin' / 'employee'
+  name: string;
+  favorites: string[]; // product ids pinned above every page
+  pages: QuickKeyPage[];
+  userId: string | null;
+  updatedAt: string;
 }
 
 export interface User {
@@ -103,4 +584,5 @@ export interface CashWithdrawal {
   withdrawn_by?: string;
   withdrawn_at: string;
   created_at: string;
+  pendingSync?: boolean; // Made offline, still in the sync queue
 }
\ No newline at end of file
@@ -0,0 +1,46 @@
+import type { Product, CartItem } from '../types';
+
+// Client side of src/services/productBundles.js: combos have no stock of
+// their own, and their revenue and cost belong to their components.
+
+export function isBundle(product: Pick<Product, 'bundleItems'>): boolean {
+    return Array.isArray(product.bundleItems) && product.bundleItems.length > 0;
+}
+
+/** How many combos the components' stock allows. */
+export function bundleStock(bundle: Product, products: Product[]): number {
+    const stock = Math.min(...(bundle.bundleItems || []).map(({ productId, quantity }) => {
+        const component = products.find(p => p.id === productId);
+        return component ? Math.floor(component.stock / quantity) : 0;
+    }));
+    return Math.max(stock, 0);
+}
+
+/** Sold quantities as stock moves: a combo becomes its components. */
+export function expandStockMoves(items: { id: string; quantity: number }[], products: Product[]) {
+    return items.flatMap(item => {
+        const product = products.find(p => p.id === item.id);
+        if (!product || !isBundle(product)) return [item];
+        return (product.bundleItems || []).map(component => ({ id: component.productId, quantity: component.quantity * item.quantity }));
+    });
+}
+
+/**
+ * Order lines at product level: a combo line becomes one line per component
+ * with the revenue and cost the server allocated to it; other lines as they are.
+ * `amount` is the line's revenue before the order discount.
+ */
+export function productLines(item: CartItem): { id: string; name: string; category?: string; quantity: number; amount: number; cost: number; bundleName?: string }[] {
+    if (!item.components || item.components.length === 0) {
+        return [{ id: item.id, name: item.name, category: item.category, quantity: item.quantity, amount: item.price * item.quantity, cost: item.cost * item.quantity }];
+    }
+    return item.components.map(component => ({
+        id: component.id,
+        name: component.name,
+        category: component.category,
+        quantity: component.quantity * item.quantity,
+        amount: component.revenue * item.quantity,
+        cost: component.cost * item.quantity,
+        bundleName: item.name,
+    }));
+}
@@ -0,0 +1,17 @@
+// A random id for this register, kept in localStorage so the same browser
+// keeps its quick-key layout across reloads and logins.
+
+const DEVICE_ID_KEY = 'pos_device_id';
+
+export function getDeviceId(): string {
+    try {
+        const stored = window.localStorage.getItem(DEVICE_ID_KEY);
+        if (stored) return stored;
+        const id = `pos-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        window.localStorage.setItem(DEVICE_ID_KEY, id);
+        return id;
+    } catch {
+        // Private mode / storage disabled: no device layouts, role layouts still apply
+        return '';
+    }
+}
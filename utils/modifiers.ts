@@ -0,0 +1,32 @@
+import type { Product, SelectedModifier } from '../types';
+
+// Client side of src/services/productModifiers.js. The server re-prices every
+// line from the catalog, so these only keep the cart's numbers in line with it.
+
+/** Same combination key as the server's modifiersKey. */
+export function modifiersKey(modifiers: SelectedModifier[] = []): string {
+    return modifiers.map(modifier => modifier.optionId).sort().join('+');
+}
+
+/**
+ * Identifies a cart/tab line: the product id alone when it has no options,
+ * so lines without modifiers keep the key they always had.
+ */
+export function lineKey(item: { id: string; modifiers?: SelectedModifier[] }): string {
+    const key = modifiersKey(item.modifiers);
+    return key ? `${item.id}::${key}` : item.id;
+}
+
+/** "Grande, Leche de avena" - for cart rows and tickets. */
+export function formatModifiers(modifiers: SelectedModifier[] = []): string {
+    return modifiers.map(modifier => modifier.name).join(', ');
+}
+
+/** Product price and cost with the chosen options' deltas applied. */
+export function priceWithModifiers(product: Pick<Product, 'price' | 'cost'>, modifiers: SelectedModifier[] = []) {
+    const round = (value: number) => Math.round(value * 100) / 100;
+    return {
+        price: round(modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, product.price)),
+        cost: round(modifiers.reduce((sum, modifier) => sum + modifier.costDelta, product.cost)),
+    };
+}
@@ -240,36 +240,81 @@ export async function isDataStale(storeName: StoreName, maxAgeMs: number): Promi
   return Date.now() - meta.lastUpdated > maxAgeMs;
 }
 
-// Pending sync operations (for offline mutations)
-
-interface PendingSyncItem {
+// Pending sync operations (offline mutations)
+//
+// Every mutation the register can't send is kept here, in the order it was
+// made, with the idempotency key it was created with. processPendingSync
+// replays them oldest first; the server answers a key it already saw with the
+// record it created then, so a request that did get through before the
+// connection dropped is not applied twice. A mutation the server rejects stays
+// as 'failed' until someone retries or discards it.
+
+export type PendingSyncStatus = 'pending' | 'failed';
+
+export interface PendingSyncItem {
   id?: number;
   type: 'CREATE' | 'UPDATE' | 'DELETE';
   store: StoreName;
   endpoint: string;
   method: string;
   body?: any;
+  idempotencyKey?: string;
+  // Stand-in id a record created offline goes by until it syncs; the items
+  // queued after it that mention it are rewritten with the server's id
+  localId?: string;
+  label: string; // What the register sees in the queue
+  status: PendingSyncStatus;
+  error?: string;
   timestamp: number;
   retries: number;
 }
 
+export type PendingSyncInput = Omit<PendingSyncItem, 'id' | 'status' | 'error' | 'timestamp' | 'retries'>;
+
+const syncListeners = new Set<(synced: boolean) => void>();
+
+/**
+ * Called whenever the queue changes, with `synced` true at the end of a
+ * replay that got something to the server; returns the unsubscribe function
+ */
+export function onPendingSyncChange(listener: (synced: boolean) => void): () => void {
+  syncListeners.add(listener);
+  return () => { syncListeners.delete(listener); };
+}
+
+const notifySyncListeners = (synced = false) => syncListeners.forEach(listener => listener(synced));
+
+const requestInit = (item: PendingSyncInput): RequestInit => ({
+  method: item.method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(item.idempotencyKey ? { 'X-Idempotency-Key': item.idempotencyKey } : {})
+  },
+  body: item.body ? JSON.stringify(item.body) : undefined
+});
+
+const replaceId = <T>(value: T, localId: string, serverId: string): T =>
+  JSON.parse(JSON.stringify(value).split(localId).join(serverId));
+
 /**
  * Queue an operation for sync when online
  */
-export async function queueForSync(item: Omit<PendingSyncItem, 'id' | 'timestamp' | 'retries'>): Promise<void> {
+export async function queueForSync(item: PendingSyncInput): Promise<number> {
   const db = await initDB();
   return new Promise((resolve, reject) => {
     const transaction = db.transaction(STORES.PENDING_SYNC, 'readwrite');
     const store = transaction.objectStore(STORES.PENDING_SYNC);
     const request = store.add({
       ...item,
+      status: 'pending',
       timestamp: Date.now(),
       retries: 0
     });
 
     request.onsuccess = () => {
-      console.log(`[OfflineDB] Queued ${item.type} operation for sync`);
-      resolve();
+      console.log(`[OfflineDB] Queued ${item.type} ${item.endpoint} for sync`);
+      notifySyncListeners();
+      resolve(request.result as number);
     };
 
     request.onerror = () => reject(request.error);
@@ -277,7 +322,7 @@ export async function queueForSync(item: Omit<PendingSyncItem, 'id' | 'timestamp
 }
 
 /**
- * Get all pending sync operations
+ * Get all pending sync operations, oldest first (failed ones included)
  */
 export async function getPendingSync(): Promise<PendingSyncItem[]> {
   const db = await initDB();
@@ -287,13 +332,26 @@ export async function getPendingSync(): Promise<PendingSyncItem[]> {
     const index = store.index('timestamp');
     const request = index.getAll();
 
-    request.onsuccess = () => resolve(request.result);
+    // Items queued before the queue tracked a status were all pending
+    request.onsuccess = () => resolve(request.result.map((item: PendingSyncItem) => ({ ...item, status: item.status || 'pending' })));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function updateSyncItem(item: PendingSyncItem): Promise<void> {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.PENDING_SYNC, 'readwrite');
+    const store = transaction.objectStore(STORES.PENDING_SYNC);
+    const request = store.put(item);
+
+    request.onsuccess = () => resolve();
     request.onerror = () => reject(request.error);
   });
 }
 
 /**
- * Remove synced operation from queue
+ * Remove synced operation from queue (also how a failed one is discarded)
  */
 export async function removeSyncedItem(id: number): Promise<void> {
   const db = await initDB();
@@ -302,43 +360,124 @@ export async function removeSyncedItem(id: number): Promise<void> {
     const store = transaction.objectStore(STORES.PENDING_SYNC);
     const request = store.delete(id);
 
-    request.onsuccess = () => resolve();
+    request.onsuccess = () => {
+      notifySyncListeners();
+      resolve();
+    };
     request.onerror = () => reject(request.error);
   });
 }
 
 /**
- * Process all pending sync operations
+ * Put a failed operation back in line, at its original place
  */
-export async function processPendingSync(): Promise<{ success: number; failed: number }> {
+export async function retrySyncItem(id: number): Promise<void> {
+  const item = (await getPendingSync()).find(pending => pending.id === id);
+  if (!item) return;
+  await updateSyncItem({ ...item, status: 'pending', error: undefined });
+  notifySyncListeners();
+}
+
+/**
+ * Once a record created offline has its server id, the operations queued
+ * after it that mention its stand-in id use the real one
+ */
+async function rewriteLocalId(localId: string, serverId: string): Promise<void> {
   const pending = await getPendingSync();
-  let success = 0;
-  let failed = 0;
+  await Promise.all(pending
+    .filter(item => item.localId !== localId && JSON.stringify(item).includes(localId))
+    .map(item => updateSyncItem(replaceId(item, localId, serverId))));
+}
 
-  console.log(`[OfflineDB] Processing ${pending.length} pending sync operations`);
+/**
+ * Send a mutation now, or queue it when the register is offline or the
+ * request never got an answer. Resolves to null when it was queued.
+ * While older operations are still waiting it queues behind them, so the
+ * server always gets them in the order they were made.
+ */
+export async function sendOrQueue(item: PendingSyncInput): Promise<Response | null> {
+  const waiting = navigator.onLine
+    ? (await getPendingSync().catch(() => [])).some(pending => pending.status === 'pending')
+    : true;
 
-  for (const item of pending) {
+  if (!waiting) {
     try {
-      const response = await fetch(item.endpoint, {
-        method: item.method,
-        headers: { 'Content-Type': 'application/json' },
-        body: item.body ? JSON.stringify(item.body) : undefined
-      });
+      return await fetch(item.endpoint, requestInit(item));
+    } catch (error) {
+      // No answer: it may or may not have arrived, the idempotency key covers both
+      console.warn(`[OfflineDB] ${item.method} ${item.endpoint} failed, queueing it:`, error);
+    }
+  }
+
+  await queueForSync(item);
+  if (navigator.onLine) processPendingSync();
+  return null;
+}
+
+let syncInFlight: Promise<{ success: number; failed: number }> | null = null;
 
-      if (response.ok) {
+/**
+ * Process all pending sync operations, one at a time and in order. Stops at
+ * the first one that gets no answer (still offline, or the server is
+ * struggling) so nothing after it jumps ahead; the rest wait for the next run.
+ */
+export function processPendingSync(): Promise<{ success: number; failed: number }> {
+  if (!syncInFlight) {
+    syncInFlight = replayPendingSync().finally(() => { syncInFlight = null; });
+  }
+  return syncInFlight;
+}
+
+async function replayPendingSync(): Promise<{ success: number; failed: number }> {
+  let success = 0;
+  let failed = 0;
+
+  // Operations queued while this runs are picked up before it ends
+  for (let stopped = false; !stopped;) {
+    let pending = (await getPendingSync()).filter(item => item.status === 'pending');
+    if (pending.length === 0) break;
+    console.log(`[OfflineDB] Processing ${pending.length} pending sync operations`);
+
+    for (let i = 0; i < pending.length; i++) {
+      const item = pending[i];
+      let response: Response;
+      try {
+        response = await fetch(item.endpoint, requestInit(item));
+      } catch (error) {
+        console.warn(`[OfflineDB] Still offline, ${pending.length - i} operations wait:`, error);
+        stopped = true;
+        break;
+      }
+
+      // Deleting something that is already gone is done too
+      if (response.ok || (item.method === 'DELETE' && response.status === 404)) {
+        if (item.localId && response.status !== 204) {
+          const record = await response.json().catch(() => null);
+          if (record?.id) {
+            await rewriteLocalId(item.localId, record.id);
+            pending = pending.map(next => replaceId(next, item.localId!, record.id));
+          }
+        }
         await removeSyncedItem(item.id!);
         success++;
         console.log(`[OfflineDB] Synced ${item.type} operation to ${item.endpoint}`);
+      } else if (response.status >= 500) {
+        await updateSyncItem({ ...item, retries: item.retries + 1 });
+        console.error(`[OfflineDB] Server error syncing ${item.endpoint}: ${response.status}, will retry`);
+        stopped = true;
+        break;
       } else {
+        // Rejected (prices changed, out of stock, the session is gone): the
+        // register decides whether to retry or discard it
+        const { error } = await response.json().catch(() => ({ error: undefined }));
+        await updateSyncItem({ ...item, status: 'failed', error: error || `HTTP ${response.status}`, retries: item.retries + 1 });
         failed++;
         console.error(`[OfflineDB] Failed to sync ${item.type} to ${item.endpoint}: ${response.status}`);
       }
-    } catch (error) {
-      failed++;
-      console.error(`[OfflineDB] Sync error for ${item.endpoint}:`, error);
     }
   }
 
+  notifySyncListeners(success > 0);
   return { success, failed };
 }
 
@@ -356,6 +495,10 @@ export default {
   isDataStale,
   queueForSync,
   getPendingSync,
+  removeSyncedItem,
+  retrySyncItem,
+  sendOrQueue,
   processPendingSync,
+  onPendingSyncChange,
   STORES
 };
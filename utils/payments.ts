@@ -0,0 +1,60 @@
+import type { Order, OrderRefund, PaymentMethod, PaymentTender } from '../types';
+
+export const CASH_METHODS = ['Efectivo'];
+export const USD_CASH_METHOD = 'Dólares';
+export const CREDIT_METHODS = ['Crédito', 'Fiado'];
+
+/**
+ * Rounds to cents exactly like the server's roundMoney (src/services/orderPricing.js),
+ * so a half cent lands on the same side there and here.
+ */
+export const roundMoney = (value: number) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Tenders of an order. Orders from before split payments only have
+ * paymentMethod, which then covers the whole total.
+ */
+export function orderTenders(order: Pick<Order, 'paymentMethod' | 'payments' | 'total'>): PaymentTender[] {
+    if (order.payments && order.payments.length > 0) return order.payments;
+    return [{ method: order.paymentMethod as PaymentMethod, amount: order.total }];
+}
+
+/** Part of an order paid with the given methods (e.g. only cash goes into the drawer). */
+export function orderAmountPaidWith(order: Pick<Order, 'paymentMethod' | 'payments' | 'total'>, methods: string[]): number {
+    return orderTenders(order)
+        .filter(tender => methods.includes(tender.method))
+        .reduce((sum, tender) => sum + tender.amount, 0);
+}
+
+/** Part of a refund returned through the given methods. */
+export function refundAmountPaidWith(refund: Pick<OrderRefund, 'paymentMethod' | 'payments' | 'amount'>, methods: string[]): number {
+    if (refund.payments && refund.payments.length > 0) {
+        return refund.payments
+            .filter(tender => methods.includes(tender.method))
+            .reduce((sum, tender) => sum + tender.amount, 0);
+    }
+    return methods.includes(refund.paymentMethod) ? refund.amount : 0;
+}
+
+/**
+ * Cash the orders and refunds moved in the drawer, per currency. Change is
+ * always given in pesos, and dollar tenders are refunded in pesos.
+ */
+export function drawerCash(
+    orders: Pick<Order, 'paymentMethod' | 'payments' | 'total' | 'cashTendered' | 'changeDue' | 'usdTendered'>[],
+    refunds: Pick<OrderRefund, 'paymentMethod' | 'payments' | 'amount'>[]
+): { mxn: number; usd: number } {
+    const ordersMxn = orders.reduce((sum, order) =>
+        sum + (order.cashTendered ?? orderAmountPaidWith(order, CASH_METHODS)) - (order.changeDue ?? 0), 0);
+    const refundsMxn = refunds.reduce((sum, refund) => sum + refundAmountPaidWith(refund, [...CASH_METHODS, USD_CASH_METHOD]), 0);
+    return {
+        mxn: ordersMxn - refundsMxn,
+        usd: orders.reduce((sum, order) => sum + (order.usdTendered ?? 0), 0),
+    };
+}
+
+/** "Efectivo $60.00 + Tarjeta $50.00" for split payments, '' for a single tender. */
+export function formatTenders(payments?: PaymentTender[]): string {
+    if (!payments || payments.length < 2) return '';
+    return payments.map(tender => `${tender.method} $${tender.amount.toFixed(2)}`).join(' + ');
+}
@@ -0,0 +1,17 @@
+import type { Product } from '../types';
+
+// Client side of the SKU/barcode rules in routes/products.js: codes are
+// compared without case, and a code belongs to at most one product.
+
+/** What a scanned or typed code must look like to be a product code. */
+export const PRODUCT_CODE_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+export const looksLikeProductCode = (text: string): boolean => PRODUCT_CODE_PATTERN.test(text.trim());
+
+/** The product whose barcode or SKU is `code`, if any. */
+export function findProductByCode(products: Product[], code: string): Product | undefined {
+    const wanted = code.trim().toLowerCase();
+    if (!wanted) return undefined;
+    return products.find(product => product.barcode?.toLowerCase() === wanted)
+        || products.find(product => product.sku?.toLowerCase() === wanted);
+}
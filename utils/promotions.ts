@@ -0,0 +1,174 @@
+import type { Promotion, PromotionType, AppliedPromotion } from '../types';
+
+// Client side of src/services/promotions.js, so the cart shows the discount
+// before checkout. The server evaluates again when the order is created and
+// its result is the one stored; keep the two in step.
+//
+// Schedules are read on the business clock. The server can be pointed at
+// another zone with BUSINESS_TIMEZONE; this one can't, which is fine while
+// every register is in the same city as the café.
+const BUSINESS_TIMEZONE = 'America/Mexico_City';
+
+const PRECEDENCE: PromotionType[] = ['happy_hour', 'buy_x_get_y', 'category_percent', 'coupon'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const PROMOTION_TYPE_LABELS: Record<PromotionType, string> = {
+    happy_hour: 'Hora feliz',
+    buy_x_get_y: 'Compra X lleva Y',
+    category_percent: 'Descuento por categoría',
+    coupon: 'Cupón',
+};
+
+export const DAY_LABELS = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+interface PromotionLine {
+    id: string;
+    category?: string;
+    price: number;
+    quantity: number;
+    complimentary?: boolean;
+}
+
+const round = (value: number) => Math.round(value * 100) / 100;
+const toMinutes = (time: string) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+function businessClock(now: Date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: BUSINESS_TIMEZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(now);
+    const part = (type: string) => parts.find(p => p.type === type)?.value || '0';
+    return { day: WEEKDAYS.indexOf(part('weekday')), minutes: Number(part('hour')) * 60 + Number(part('minute')) };
+}
+
+/** Whether the promotion's dates and weekly schedule include `now`. */
+export function isLive(promotion: Promotion, now = new Date()): boolean {
+    if (!promotion.active) return false;
+    if (promotion.startsAt && new Date(promotion.startsAt) > now) return false;
+    if (promotion.expiresAt && new Date(promotion.expiresAt) <= now) return false;
+
+    const { day, minutes } = businessClock(now);
+    if (promotion.days.length > 0 && !promotion.days.includes(day)) return false;
+    if (promotion.startTime && promotion.endTime) {
+        const start = toMinutes(promotion.startTime);
+        const end = toMinutes(promotion.endTime);
+        const inWindow = start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+        if (!inWindow) return false;
+    }
+    return true;
+}
+
+function appliesTo(promotion: Promotion, item: PromotionLine): boolean {
+    if (item.complimentary || !(item.price > 0)) return false;
+    if (promotion.productIds.length > 0) return promotion.productIds.includes(String(item.id));
+    if (promotion.category) return item.category === promotion.category;
+    return true;
+}
+
+function lineDiscounts(promotion: Promotion, lines: { index: number; item: PromotionLine }[]): Map<number, number> {
+    const discounts = new Map<number, number>();
+    if (promotion.type === 'buy_x_get_y') {
+        const buy = promotion.buyQuantity || 1;
+        const groupSize = buy + (promotion.getQuantity || 1);
+        const units = lines
+            .flatMap(line => Array.from({ length: line.item.quantity }, () => ({ index: line.index, price: line.item.price })))
+            .sort((a, b) => b.price - a.price || a.index - b.index);
+        for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+            units.slice(start + buy, start + groupSize).forEach(unit => {
+                discounts.set(unit.index, (discounts.get(unit.index) || 0) + unit.price);
+            });
+        }
+        return discounts;
+    }
+
+    lines.forEach(({ index, item }) => {
+        const unitDiscount = promotion.type === 'happy_hour' && promotion.price !== null
+            ? Math.max(item.price - promotion.price, 0)
+            : item.price * ((promotion.percentOff || 0) / 100);
+        discounts.set(index, unitDiscount * item.quantity);
+    });
+    return discounts;
+}
+
+/** Why a coupon code can't be used right now, or null if it can. */
+function couponProblem(coupon: Promotion | undefined, code: string, now: Date): string | null {
+    if (!coupon || !coupon.active) return `Cupón no válido: ${code}`;
+    if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) return `El cupón ${code} expiró`;
+    if (coupon.maxUses !== null && coupon.uses >= coupon.maxUses) return `El cupón ${code} ya se usó el máximo de veces`;
+    if (!isLive(coupon, now)) return `El cupón ${code} no es válido en este horario`;
+    return null;
+}
+
+/**
+ * Same evaluation as the server's evaluatePromotions(). Instead of throwing,
+ * a coupon that can't be used is left out and explained in `couponError`.
+ */
+export function evaluatePromotions(
+    items: PromotionLine[],
+    promotions: Promotion[],
+    couponCode = '',
+    now = new Date(),
+): { applied: AppliedPromotion[]; discount: number; couponError: string | null } {
+    const lines = items.map((item, index) => ({ index, item, remaining: item.price * item.quantity, promoted: false }));
+    const applied: AppliedPromotion[] = [];
+
+    promotions
+        .filter(promotion => promotion.type !== 'coupon' && isLive(promotion, now))
+        .sort((a, b) => PRECEDENCE.indexOf(a.type) - PRECEDENCE.indexOf(b.type) || String(a.id).localeCompare(String(b.id)))
+        .forEach(promotion => {
+            const eligible = lines.filter(line => !line.promoted && appliesTo(promotion, line.item));
+            let amount = 0;
+            lineDiscounts(promotion, eligible).forEach((lineDiscount, index) => {
+                const line = lines[index];
+                const capped = round(Math.min(lineDiscount, line.remaining));
+                if (capped <= 0) return;
+                line.remaining = round(line.remaining - capped);
+                line.promoted = true;
+                amount += capped;
+            });
+            if (amount > 0) {
+                applied.push({ promotionId: promotion.id, name: promotion.name, type: promotion.type, amount: round(amount) });
+            }
+        });
+
+    let couponError: string | null = null;
+    const code = couponCode.trim().toUpperCase();
+    if (code) {
+        const coupon = promotions.find(p => p.type === 'coupon' && p.code === code);
+        couponError = couponProblem(coupon, code, now);
+        if (coupon && !couponError) {
+            const base = lines.filter(line => appliesTo(coupon, line.item)).reduce((sum, line) => sum + line.remaining, 0);
+            const amount = round(coupon.percentOff !== null ? base * (coupon.percentOff / 100) : Math.min(coupon.amountOff || 0, base));
+            if (amount > 0) {
+                applied.push({ promotionId: coupon.id, name: coupon.name, type: coupon.type, code: coupon.code || code, amount });
+            } else {
+                couponError = `El cupón ${code} no aplica a estos productos`;
+            }
+        }
+    }
+
+    return { applied, discount: round(applied.reduce((sum, promotion) => sum + promotion.amount, 0)), couponError };
+}
+
+/** "2x1 · Lun, Vie · 17:00-19:00" style summary for lists. */
+export function describePromotion(promotion: Promotion): string {
+    const parts: string[] = [];
+    switch (promotion.type) {
+        case 'happy_hour':
+            parts.push(promotion.price !== null ? `a $${promotion.price.toFixed(2)}` : `${promotion.percentOff}% menos`);
+            break;
+        case 'buy_x_get_y':
+            parts.push(`${(promotion.buyQuantity || 0) + (promotion.getQuantity || 0)}x${promotion.buyQuantity}`);
+            break;
+        case 'category_percent':
+            parts.push(`${promotion.percentOff}% en ${promotion.category}`);
+            break;
+        case 'coupon':
+            parts.push(`${promotion.code}: ${promotion.percentOff !== null ? `${promotion.percentOff}%` : `$${(promotion.amountOff || 0).toFixed(2)}`}`);
+            if (promotion.maxUses !== null) parts.push(`${promotion.uses}/${promotion.maxUses} usos`);
+            break;
+    }
+    if (promotion.days.length > 0) parts.push(promotion.days.map(day => DAY_LABELS[day]).join(', '));
+    if (promotion.startTime && promotion.endTime) parts.push(`${promotion.startTime}-${promotion.endTime}`);
+    if (promotion.expiresAt) parts.push(`vence ${new Date(promotion.expiresAt).toLocaleDateString('es-MX')}`);
+    return parts.join(' · ');
+}
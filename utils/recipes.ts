@@ -0,0 +1,16 @@
+import type { Ingredient, IngredientUnit, RecipeLine } from '../types';
+
+// Units of the ingredients in src/services/recipes.js
+export const INGREDIENT_UNIT_LABELS: Record<IngredientUnit, string> = {
+    g: 'Gramos (g)',
+    ml: 'Mililitros (ml)',
+    pz: 'Piezas (pz)',
+};
+
+// Same sum the server uses to set a product's cost (or an option's costDelta)
+export function recipeCost(recipe: RecipeLine[] = [], ingredients: Ingredient[]): number {
+    const total = recipe.reduce((sum, line) => sum + line.quantity * (ingredients.find(i => i.id === line.ingredientId)?.unitCost || 0), 0);
+    return Math.round(total * 100) / 100;
+}
+
+export const isLowStock = (ingredient: Ingredient) => ingredient.stock <= ingredient.reorderLevel;
@@ -141,7 +141,16 @@ export const CACHE_KEYS = {
   CASH_SESSIONS: 'cash_sessions',
   USERS: 'users',
   CUSTOMERS: 'customers',
-  CASH_WITHDRAWALS: 'cash_withdrawals'
+  CASH_WITHDRAWALS: 'cash_withdrawals',
+  REFUNDS: 'refunds',
+  TABS: 'tabs',
+  FLOOR_TABLES: 'floor_tables',
+  PROMOTIONS: 'promotions',
+  SETTINGS: 'settings',
+  EXCHANGE_RATE: 'exchange_rate',
+  QUICK_KEY_LAYOUT: 'quick_key_layout',
+  PARKED_CARTS: 'parked_carts',
+  INGREDIENTS: 'ingredients'
 } as const;
 
 export default sessionCache;
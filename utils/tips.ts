@@ -0,0 +1,8 @@
+import type { TipPoolMode } from '../types';
+
+// Labels for the tip payout rules of src/services/tipPooling.js
+export const TIP_POOL_MODE_LABELS: Record<TipPoolMode, string> = {
+    individual: 'Cada quien sus propinas',
+    equal: 'Fondo repartido en partes iguales',
+    hours: 'Fondo repartido por horas trabajadas',
+};